@@ -11,6 +11,8 @@ const timeSlotRoutes = require('./routes/timeSlot.routes');
 const bookingRoutes = require('./routes/booking.routes');
 const availabilityRoutes = require('./routes/availability.routes');
 const projectRoutes = require('./routes/project.routes');
+const guestRoutes = require('./routes/guest.routes');
+const rsvpRoutes = require('./routes/rsvp.routes');
 const venueDesignRoutes = require('./routes/venueDesign.routes');
 const venueRoutes = require('./routes/venue.routes');
 const designElementRoutes = require('./routes/designElement.routes');
@@ -38,7 +40,9 @@ app.use('/service-listings', serviceListingRoutes);
 app.use('/time-slots', timeSlotRoutes);
 app.use('/bookings', bookingRoutes);
 app.use('/availability', availabilityRoutes);
+app.use('/projects/:projectId/guests', guestRoutes);
 app.use('/projects', projectRoutes);
+app.use('/rsvp', rsvpRoutes);
 app.use('/venue-designs', venueDesignRoutes);
 app.use('/venues', venueRoutes);
 app.use('/design-elements', designElementRoutes);
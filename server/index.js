@@ -2,6 +2,7 @@ const app = require('./app');
 const http = require('http');
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
+const { registerDesignCollaboration } = require('./services/designCollaborationService');
 
 const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-only-secret';
@@ -69,6 +70,9 @@ io.on('connection', (socket) => {
     socket.leave(`conversation:${conversationId}`);
   });
 
+  // Venue design rooms: live element changes, editors' selections and cursors
+  registerDesignCollaboration(socket);
+
   // Handle disconnect
   socket.on('disconnect', () => {
     // Cleanup handled automatically by Socket.IO
@@ -93,11 +97,17 @@ function notifyNewMessage(userId, conversationId, message) {
   });
 }
 
+// Helper function to push fresh RSVP counts to the couple who owns the project
+function emitRsvpUpdate(coupleId, payload) {
+  io.to(`user:${coupleId}`).emit('rsvp-updated', payload);
+}
+
 // Make io available to routes
 app.set('io', io);
 app.set('emitNewMessage', emitNewMessage);
 app.set('emitConversationUpdate', emitConversationUpdate);
 app.set('notifyNewMessage', notifyNewMessage);
+app.set('emitRsvpUpdate', emitRsvpUpdate);
 
 // Start auto-cancellation scheduler
 const { startAutoCancellationScheduler } = require('./services/scheduler');
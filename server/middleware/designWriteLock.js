@@ -0,0 +1,53 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Applies writes to the same project's venue design one at a time (within this process).
+ * Element routes read layoutData, change it and write it back; two editors saving at the
+ * same moment would otherwise drop each other's placement metadata. It also makes the
+ * order of commits - and so of the realtime events broadcast after them - well defined.
+ * Routes addressed by venue design ID (table tagging) join the queue of its project.
+ */
+const designQueues = new Map();
+
+async function resolveQueueKey(params) {
+  if (params.projectId) return params.projectId;
+  const venueDesign = await prisma.venueDesign.findUnique({
+    where: { id: params.venueDesignId },
+    select: { projectId: true },
+  });
+  // Unknown designs still queue (by their own ID); the route answers with a 404
+  return venueDesign?.projectId || params.venueDesignId;
+}
+
+function enqueue(key, res, next) {
+  const previous = designQueues.get(key) || Promise.resolve();
+
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  designQueues.set(key, tail);
+
+  let released = false;
+  const done = () => {
+    if (released) return;
+    released = true;
+    release();
+    if (designQueues.get(key) === tail) {
+      designQueues.delete(key);
+    }
+  };
+  res.on('finish', done);
+  res.on('close', done);
+
+  previous.then(() => next());
+}
+
+function serializeDesignWrites(req, res, next) {
+  resolveQueueKey(req.params).then((key) => enqueue(key, res, next), next);
+}
+
+module.exports = { serializeDesignWrites };
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "GuestSide" AS ENUM ('bride', 'groom', 'both');
+
+-- CreateTable
+CREATE TABLE "Guest" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT,
+    "contactNumber" TEXT,
+    "household" TEXT,
+    "side" "GuestSide" NOT NULL DEFAULT 'both',
+    "dietaryRequirements" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "allergies" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "plusOneAllowance" INTEGER NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Guest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Guest_projectId_idx" ON "Guest"("projectId");
+
+-- CreateIndex
+CREATE INDEX "Guest_projectId_household_idx" ON "Guest"("projectId", "household");
+
+-- AddForeignKey
+ALTER TABLE "Guest" ADD CONSTRAINT "Guest_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "WeddingProject"("id") ON DELETE CASCADE ON UPDATE CASCADE;
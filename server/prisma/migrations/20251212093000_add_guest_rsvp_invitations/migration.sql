@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "GuestRsvpStatus" AS ENUM ('pending', 'attending', 'declined');
+
+-- AlterTable
+ALTER TABLE "WeddingProject" ADD COLUMN     "rsvpDeadline" TIMESTAMP(3),
+ADD COLUMN     "rsvpMealOptions" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "Guest" ADD COLUMN     "invitationId" TEXT,
+ADD COLUMN     "mealChoice" TEXT,
+ADD COLUMN     "plusOnesAttending" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "rsvpRespondedAt" TIMESTAMP(3),
+ADD COLUMN     "rsvpStatus" "GuestRsvpStatus" NOT NULL DEFAULT 'pending';
+
+-- CreateTable
+CREATE TABLE "GuestInvitation" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "household" TEXT,
+    "token" TEXT NOT NULL,
+    "sentAt" TIMESTAMP(3),
+    "lastReminderAt" TIMESTAMP(3),
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GuestInvitation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuestInvitation_token_key" ON "GuestInvitation"("token");
+
+-- CreateIndex
+CREATE INDEX "GuestInvitation_projectId_idx" ON "GuestInvitation"("projectId");
+
+-- CreateIndex
+CREATE INDEX "Guest_invitationId_idx" ON "Guest"("invitationId");
+
+-- AddForeignKey
+ALTER TABLE "Guest" ADD CONSTRAINT "Guest_invitationId_fkey" FOREIGN KEY ("invitationId") REFERENCES "GuestInvitation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuestInvitation" ADD CONSTRAINT "GuestInvitation_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "WeddingProject"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Guest" ADD COLUMN     "tableId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Guest_tableId_idx" ON "Guest"("tableId");
+
+-- AddForeignKey
+ALTER TABLE "Guest" ADD CONSTRAINT "Guest_tableId_fkey" FOREIGN KEY ("tableId") REFERENCES "PlacedElement"("id") ON DELETE SET NULL ON UPDATE CASCADE;
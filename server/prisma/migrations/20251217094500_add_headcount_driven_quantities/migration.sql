@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ServiceListing" ADD COLUMN     "guestsPerUnit" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "quantityFollowsHeadcount" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "ProjectService" ADD COLUMN     "previousQuantity" INTEGER;
@@ -0,0 +1,9 @@
+-- DropIndex
+DROP INDEX "VenueDesign_projectId_key";
+
+-- AlterTable
+ALTER TABLE "VenueDesign" ADD COLUMN     "isActive" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "name" TEXT NOT NULL DEFAULT 'Main layout';
+
+-- CreateIndex
+CREATE INDEX "VenueDesign_projectId_idx" ON "VenueDesign"("projectId");
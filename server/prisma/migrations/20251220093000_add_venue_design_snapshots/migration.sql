@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "VenueDesignSnapshot" (
+    "id" TEXT NOT NULL,
+    "venueDesignId" TEXT NOT NULL,
+    "label" TEXT,
+    "placementCount" INTEGER NOT NULL DEFAULT 0,
+    "data" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "VenueDesignSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "VenueDesignSnapshot_venueDesignId_createdAt_idx" ON "VenueDesignSnapshot"("venueDesignId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "VenueDesignSnapshot" ADD CONSTRAINT "VenueDesignSnapshot_venueDesignId_fkey" FOREIGN KEY ("venueDesignId") REFERENCES "VenueDesign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
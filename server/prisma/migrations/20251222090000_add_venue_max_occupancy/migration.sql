@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ServiceListing" ADD COLUMN     "maxOccupancy" INTEGER;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "DesignElement" ADD COLUMN     "canHostChildren" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "hostChildTypes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "hostSurfaceHeight" DOUBLE PRECISION,
+ADD COLUMN     "maxChildren" INTEGER;
+
+-- Tables already held stacked items before host rules existed; keep them as hosts
+UPDATE "DesignElement"
+SET "canHostChildren" = true,
+    "hostSurfaceHeight" = NULLIF("dimensions"->>'height', '')::DOUBLE PRECISION
+WHERE "elementType" ILIKE 'table' OR "name" ILIKE '%table%';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "DesignElement" ADD COLUMN     "floorplanMetadata" JSONB;
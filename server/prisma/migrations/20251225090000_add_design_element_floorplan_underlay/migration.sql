@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "DesignElement" ADD COLUMN     "floorplanUnderlay" JSONB;
+
+-- Move trace-over images out of the stored floorplans
+UPDATE "DesignElement"
+SET "floorplanUnderlay" = "floorplanMetadata" -> 'underlay',
+    "floorplanMetadata" = "floorplanMetadata" - 'underlay'
+WHERE "floorplanMetadata" ? 'underlay';
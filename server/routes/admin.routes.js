@@ -7,6 +7,7 @@ const { requireAdmin } = require('../middleware/auth');
 const { approveVendor, rejectVendor } = require('../services/vendor.service');
 const { sendEmail, generateRefundProcessedEmail } = require('../utils/mailer');
 const { passwordPolicy } = require('../utils/security');
+const { OMIT_FLOORPLAN } = require('../services/floorplanService');
 const {
   PACKAGE_INCLUDE,
   buildPackageResponse,
@@ -817,7 +818,7 @@ router.post('/packages', requireAdmin, async (req, res, next) => {
       // Verify venue exists and has 3D model
       const venue = await prisma.serviceListing.findUnique({
         where: { id: payload.venueServiceListingId },
-        include: { designElement: true },
+        include: { designElement: { omit: OMIT_FLOORPLAN } },
       });
 
       if (!venue) {
@@ -913,7 +914,7 @@ router.put('/packages/:packageId', requireAdmin, async (req, res, next) => {
       if (payload.venueServiceListingId) {
         const venue = await prisma.serviceListing.findUnique({
           where: { id: payload.venueServiceListingId },
-          include: { designElement: true },
+          include: { designElement: { omit: OMIT_FLOORPLAN } },
         });
 
         if (!venue) {
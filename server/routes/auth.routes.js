@@ -528,6 +528,8 @@ router.get('/me', requireAuth, async (req, res, next) => {
             category: true,
             location: true,
             description: true,
+            // Floor plan images among these can be traced in the floorplan editor
+            verificationDocuments: true,
           }
         }
       } 
@@ -5,6 +5,10 @@ const { requireAuth } = require('../middleware/auth');
 const { prefixedUlid } = require('../utils/id');
 const { calculateCancellationFeeAndPayment } = require('../utils/cancellationFeeCalculator');
 const notificationService = require('../services/notificationService');
+const { getDietaryReport } = require('../services/dietaryReportService');
+const { isCateringBooking, toDietaryReportCsv } = require('../services/dietaryRollupService');
+const { getSetupSheet } = require('../services/setupSheetService');
+const { validateProjectLayout } = require('../services/layoutValidationService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -35,7 +39,10 @@ async function updateLinkedDesignItemsForBooking(bookingId, status) {
       selectedServices: true,
       project: {
         include: {
-          venueDesign: {
+          // Booked items always live in the active layout variant
+          venueDesigns: {
+            where: { isActive: true },
+            take: 1,
             include: {
               placedElements: {
                 select: {
@@ -57,7 +64,9 @@ async function updateLinkedDesignItemsForBooking(bookingId, status) {
     (s) => s.serviceListingId
   );
 
-  if (!booking.project.venueDesign) {
+  const venueDesign = booking.project.venueDesigns[0];
+
+  if (!venueDesign) {
     // No 3D design yet – only ProjectService entries will be affected
     if (isActiveStatus) {
       await prisma.projectService.updateMany({
@@ -68,6 +77,7 @@ async function updateLinkedDesignItemsForBooking(bookingId, status) {
         data: {
           isBooked: true,
           bookingId,
+          previousQuantity: null, // Headcount changes were reviewed at checkout
         },
       });
     } else if (status === 'cancelled_by_couple' || status === 'cancelled_by_vendor' || status === 'rejected') {
@@ -84,7 +94,6 @@ async function updateLinkedDesignItemsForBooking(bookingId, status) {
     return;
   }
 
-  const venueDesign = booking.project.venueDesign;
   const layoutData = venueDesign.layoutData || {};
   const placementsMeta = layoutData.placementsMeta || {};
 
@@ -220,6 +229,7 @@ async function updateLinkedDesignItemsForBooking(bookingId, status) {
       data: {
         isBooked: true,
         bookingId,
+        previousQuantity: null, // Headcount changes were reviewed at checkout
       },
     });
   } else if (status === 'cancelled_by_couple' || status === 'cancelled_by_vendor' || status === 'rejected') {
@@ -536,6 +546,9 @@ router.get('/:id', requireAuth, async (req, res, next) => {
         ...payment,
         amount: payment.amount.toString(),
       })),
+      // Aggregated meal/dietary/allergy counts for caterers (no guest details)
+      dietaryReport:
+        booking.projectId && isCateringBooking(booking) ? await getDietaryReport(booking.projectId) : null,
     };
 
     res.json(bookingWithStringPrices);
@@ -544,6 +557,97 @@ router.get('/:id', requireAuth, async (req, res, next) => {
   }
 });
 
+// GET /bookings/:id/dietary-report/csv - Download the dietary and allergy rollup of a catering booking
+router.get('/:id/dietary-report/csv', requireAuth, async (req, res, next) => {
+  try {
+    const where = {
+      id: req.params.id,
+    };
+
+    if (req.user.role === 'vendor') {
+      where.vendorId = req.user.sub;
+    } else if (req.user.role === 'couple') {
+      where.coupleId = req.user.sub;
+    } else {
+      return res.status(403).json({ error: 'Vendor or couple access required' });
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where,
+      select: {
+        id: true,
+        projectId: true,
+        selectedServices: {
+          select: {
+            serviceListing: { select: { category: true } },
+          },
+        },
+      },
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!booking.projectId || !isCateringBooking(booking)) {
+      return res.status(400).json({ error: 'Dietary reports are only available for catering bookings linked to a project' });
+    }
+
+    const report = await getDietaryReport(booking.projectId);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="dietary-report-${booking.id}.csv"`);
+    res.send(toDietaryReportCsv(report));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /bookings/:id/setup-sheet - Where the booked vendor's items go in the project's venue design
+router.get('/:id/setup-sheet', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'vendor') {
+      return res.status(403).json({ error: 'Vendor access required' });
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: req.params.id,
+        vendorId: req.user.sub,
+      },
+      select: {
+        id: true,
+        projectId: true,
+        status: true,
+        selectedServices: {
+          select: {
+            serviceListingId: true,
+            quantity: true,
+            serviceListing: { select: { id: true, name: true, category: true } },
+          },
+        },
+      },
+    });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!booking.projectId) {
+      return res.status(400).json({ error: 'Setup sheets are only available for bookings linked to a project' });
+    }
+
+    if (['cancelled_by_couple', 'cancelled_by_vendor', 'rejected'].includes(booking.status)) {
+      return res.status(400).json({ error: 'Setup sheets are not available for cancelled or rejected bookings' });
+    }
+
+    const sheet = await getSetupSheet(booking);
+    res.json({ bookingId: booking.id, ...sheet });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // PATCH /bookings/:id/status - Update booking status (accept/reject/update)
 router.patch('/:id/status', requireAuth, async (req, res, next) => {
   try {
@@ -1041,6 +1145,15 @@ router.post('/', requireAuth, async (req, res, next) => {
       if (!project) {
         return res.status(404).json({ error: 'Project not found' });
       }
+
+      // Hard layout problems (blocked doors, over the venue's capacity) must be fixed before checkout
+      const layoutReport = await validateProjectLayout(project.id);
+      if (layoutReport && layoutReport.hardCount > 0) {
+        return res.status(409).json({
+          error: 'Fix the layout problems in the venue designer before checking out.',
+          violations: layoutReport.violations.filter((violation) => violation.severity === 'hard'),
+        });
+      }
     }
 
     // If the couple already has an "active" booking for a different project whose wedding date has not passed yet, they are not allowed to make new bookings for another project.
@@ -1,10 +1,15 @@
 const express = require('express');
 const { z } = require('zod');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { requireAuth } = require('../middleware/auth');
+const {
+  OMIT_FLOORPLAN_UNDERLAY,
+  parseFloorplanMetadata,
+  splitFloorplanUnderlay,
+} = require('../services/floorplanService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -28,7 +33,8 @@ const createModel3DUpload = () => {
 
   return multer({
     storage: model3DStorage,
-    limits: { fileSize: 150 * 1024 * 1024 }, // 150MB max
+    // Floorplans can carry their trace-over image, over multer's 1MB default for fields
+    limits: { fileSize: 150 * 1024 * 1024, fieldSize: 5 * 1024 * 1024 }, // 150MB max
     fileFilter: (_req, file, cb) => {
       const ext = path.extname(file.originalname).toLowerCase();
       if (ext === '.glb') {
@@ -49,13 +55,49 @@ const dimensionsSchema = z
   })
   .partial();
 
+// What stackable items an element can hold on its top surface
+const stackingRulesSchema = z.object({
+  canHostChildren: z.boolean().optional(),
+  hostSurfaceHeight: z
+    .number()
+    .min(0, 'Surface height must be 0 or greater')
+    .max(10, 'Surface height must be at most 10 m')
+    .nullable()
+    .optional(),
+  maxChildren: z.number().int('Max items must be a whole number').min(1, 'Max items must be at least 1').nullable().optional(),
+  hostChildTypes: z
+    .array(z.string().trim().min(1).max(50, 'Element type must be at most 50 characters'))
+    .max(20, 'List at most 20 element types')
+    .optional(),
+});
+
 const designElementPatchSchema = z.object({
   name: z.string().min(1, 'Name is required').max(100, 'Name must be at most 100 characters').optional(),
   elementType: z.string().max(50, 'Element type must be at most 50 characters').optional().nullable(),
   isStackable: z.boolean().optional(),
   dimensions: dimensionsSchema.nullable().optional(),
+  ...stackingRulesSchema.shape,
 });
 
+// Multipart forms send the stacking rules as strings
+const parseStackingRules = (body) => {
+  const toNumber = (value) => (value === undefined || value === '' || value === 'null' ? null : Number(value));
+  let hostChildTypes = [];
+  if (body.hostChildTypes) {
+    try {
+      hostChildTypes = JSON.parse(body.hostChildTypes);
+    } catch (e) {
+      console.warn('Invalid hostChildTypes JSON:', e);
+    }
+  }
+  return stackingRulesSchema.parse({
+    canHostChildren: body.canHostChildren === 'true',
+    hostSurfaceHeight: toNumber(body.hostSurfaceHeight),
+    maxChildren: toNumber(body.maxChildren),
+    hostChildTypes,
+  });
+};
+
 const designElementCreateSchema = z.object({
   name: z.string().min(1, 'Name is required').max(100, 'Name must be at most 100 characters'),
   elementType: z.string().max(50, 'Element type must be at most 50 characters').optional().nullable(),
@@ -71,6 +113,7 @@ router.get('/', requireAuth, async (req, res, next) => {
     const designElements = await prisma.designElement.findMany({
       where: { vendorId: req.user.sub },
       orderBy: { name: 'asc' },
+      omit: OMIT_FLOORPLAN_UNDERLAY,
     });
 
     res.json(designElements);
@@ -104,6 +147,9 @@ router.post('/', requireAuth, async (req, res, next) => {
         });
 
         const isStackable = req.body.isStackable === 'true';
+        const stackingRules = parseStackingRules(req.body);
+        const floorplanMetadata = parseFloorplanMetadata(req.body.floorplanMetadata);
+        const { floorplan, underlay } = splitFloorplanUnderlay(floorplanMetadata);
         let dimensions = null;
         if (req.body.dimensions) {
           try {
@@ -122,8 +168,12 @@ router.post('/', requireAuth, async (req, res, next) => {
             elementType: validatedData.elementType || null,
             modelFile: modelPath,
             isStackable: isStackable,
+            ...stackingRules,
             dimensions: dimensions || undefined,
+            floorplanMetadata: floorplan || undefined,
+            floorplanUnderlay: underlay || undefined,
           },
+          omit: OMIT_FLOORPLAN_UNDERLAY,
         });
 
         res.status(201).json(designElement);
@@ -132,7 +182,7 @@ router.post('/', requireAuth, async (req, res, next) => {
           fs.unlinkSync(req.file.path);
         }
         if (dbErr instanceof z.ZodError) {
-          return res.status(400).json({ error: dbErr.errors[0].message });
+          return res.status(400).json({ error: dbErr.issues[0]?.message || 'Validation error' });
         }
         next(dbErr);
       }
@@ -201,10 +251,16 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
     if (validatedData.dimensions !== undefined) {
       updateData.dimensions = validatedData.dimensions || null;
     }
+    ['canHostChildren', 'hostSurfaceHeight', 'maxChildren', 'hostChildTypes'].forEach((field) => {
+      if (validatedData[field] !== undefined) {
+        updateData[field] = validatedData[field];
+      }
+    });
 
     const designElement = await prisma.designElement.update({
       where: { id: req.params.id },
       data: updateData,
+      omit: OMIT_FLOORPLAN_UNDERLAY,
     });
 
     res.json(designElement);
@@ -248,6 +304,9 @@ router.post('/:id/model3d', requireAuth, async (req, res, next) => {
 
       try {
         const modelPath = `/uploads/models3d/${req.file.filename}`;
+        // A model uploaded without its floorplan no longer matches the stored one
+        const floorplanMetadata = parseFloorplanMetadata(req.body.floorplanMetadata);
+        const { floorplan, underlay } = splitFloorplanUnderlay(floorplanMetadata);
 
         if (existingElement.modelFile) {
           const oldPath = path.join(__dirname, '..', existingElement.modelFile);
@@ -272,7 +331,10 @@ router.post('/:id/model3d', requireAuth, async (req, res, next) => {
             modelFile: modelPath,
             isStackable: isStackable,
             dimensions: dimensions || undefined,
+            floorplanMetadata: floorplan || Prisma.DbNull,
+            floorplanUnderlay: underlay || Prisma.DbNull,
           },
+          omit: OMIT_FLOORPLAN_UNDERLAY,
         });
 
         res.json(designElement);
@@ -280,6 +342,9 @@ router.post('/:id/model3d', requireAuth, async (req, res, next) => {
         if (req.file && fs.existsSync(req.file.path)) {
           fs.unlinkSync(req.file.path);
         }
+        if (dbErr instanceof z.ZodError) {
+          return res.status(400).json({ error: dbErr.issues[0]?.message || 'Validation error' });
+        }
         next(dbErr);
       }
     });
@@ -0,0 +1,577 @@
+const express = require('express');
+const { z } = require('zod');
+const { PrismaClient } = require('@prisma/client');
+const { requireAuth } = require('../middleware/auth');
+const {
+  generateInvitations,
+  pruneEmptyInvitations,
+  sendInvitations,
+  getRsvpSummary,
+} = require('../services/guestRsvpService');
+const { getSeatingPlan } = require('../services/seatingService');
+const { refreshHeadcountQuantities } = require('../services/headcountQuantityService');
+
+// Mounted at /projects/:projectId/guests, so we need access to the parent params
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+/**
+ * Helper function to check if a project can be modified
+ * Projects with 'completed' status or past their wedding date cannot be modified
+ * Throws an error with statusCode if project is completed/past wedding date or not found
+ */
+async function checkProjectCanBeModified(projectId, coupleId) {
+  const project = await prisma.weddingProject.findFirst({
+    where: {
+      id: projectId,
+      coupleId,
+    },
+    select: {
+      id: true,
+      status: true,
+      weddingDate: true,
+    },
+  });
+
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (project.status === 'completed') {
+    const error = new Error('Completed projects cannot be modified');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (project.weddingDate) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const weddingDate = new Date(project.weddingDate);
+    weddingDate.setHours(0, 0, 0, 0);
+
+    if (weddingDate < today) {
+      const error = new Error('Projects past their wedding date cannot be modified');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  return project;
+}
+
+// Dietary/allergy tags are stored lowercase and de-duplicated so counts group cleanly
+const tagListSchema = z
+  .array(z.string().trim().min(1).max(50, 'Each entry must be 50 characters or less'))
+  .max(20, 'Too many entries')
+  .transform((tags) => Array.from(new Set(tags.map((t) => t.toLowerCase()))));
+
+const guestFields = {
+  name: z.string().trim().min(1, 'Guest name is required').max(100, 'Guest name must be 100 characters or less'),
+  email: z.string().trim().email('Invalid email address').max(255).optional().nullable().or(z.literal('')),
+  contactNumber: z
+    .string()
+    .trim()
+    .regex(/^[0-9+\-\s()]*$/, 'Contact number contains invalid characters')
+    .max(30, 'Contact number must be 30 characters or less')
+    .optional()
+    .nullable(),
+  household: z.string().trim().max(100, 'Household must be 100 characters or less').optional().nullable(),
+  side: z.enum(['bride', 'groom', 'both']).optional(),
+  dietaryRequirements: tagListSchema.optional(),
+  allergies: tagListSchema.optional(),
+  plusOneAllowance: z.number().int().min(0, 'Plus-one allowance cannot be negative').max(10, 'Plus-one allowance must be 10 or less').optional(),
+  notes: z.string().max(1000, 'Notes must be 1000 characters or less').optional().nullable(),
+};
+
+const createGuestSchema = z.object(guestFields);
+
+// The couple can also record RSVPs received by phone or in person
+const updateGuestSchema = z.object({
+  ...guestFields,
+  name: guestFields.name.optional(),
+  rsvpStatus: z.enum(['pending', 'attending', 'declined']).optional(),
+  mealChoice: z.string().trim().max(100).optional().nullable(),
+  plusOnesAttending: z.number().int().min(0).max(10).optional(),
+});
+
+const rsvpSettingsSchema = z.object({
+  rsvpDeadline: z.string().datetime().or(z.string().regex(/^\d{4}-\d{2}-\d{2}/)).optional().nullable(),
+  rsvpMealOptions: z
+    .array(z.string().trim().min(1).max(100, 'Meal option must be 100 characters or less'))
+    .max(10, 'Up to 10 meal options are allowed')
+    .optional(),
+});
+
+const sendInvitationsSchema = z.object({
+  invitationIds: z.array(z.string().uuid()).optional(),
+  reminder: z.boolean().optional(),
+});
+
+const seatingAssignmentsSchema = z.object({
+  assignments: z
+    .array(
+      z.object({
+        guestId: z.string().uuid(),
+        // PlacedElement IDs are ULIDs (e.g., "ple_01KBSEGMKNM3TWK9VWNHYWRKJ6"); null unseats the guest
+        tableId: z.string().min(1).nullable(),
+      })
+    )
+    .min(1, 'At least one assignment is required')
+    .max(500, 'Up to 500 assignments can be saved at once'),
+});
+
+const INVITATION_SELECT = {
+  id: true,
+  token: true,
+  household: true,
+  sentAt: true,
+  lastReminderAt: true,
+  respondedAt: true,
+};
+
+const bulkCreateGuestSchema = z.object({
+  guests: z.array(createGuestSchema).min(1, 'At least one guest is required').max(500, 'Up to 500 guests can be added at once'),
+});
+
+/**
+ * Normalise optional string fields: empty strings are stored as null
+ */
+function toGuestData(data) {
+  const guestData = {};
+  if (data.name !== undefined) guestData.name = data.name;
+  if (data.email !== undefined) guestData.email = data.email ? data.email.toLowerCase() : null;
+  if (data.contactNumber !== undefined) guestData.contactNumber = data.contactNumber || null;
+  if (data.household !== undefined) guestData.household = data.household || null;
+  if (data.side !== undefined) guestData.side = data.side;
+  if (data.dietaryRequirements !== undefined) guestData.dietaryRequirements = data.dietaryRequirements;
+  if (data.allergies !== undefined) guestData.allergies = data.allergies;
+  if (data.plusOneAllowance !== undefined) guestData.plusOneAllowance = data.plusOneAllowance;
+  if (data.notes !== undefined) guestData.notes = data.notes || null;
+  if (data.rsvpStatus !== undefined) {
+    guestData.rsvpStatus = data.rsvpStatus;
+    guestData.rsvpRespondedAt = data.rsvpStatus === 'pending' ? null : new Date();
+    if (data.rsvpStatus !== 'attending') {
+      guestData.mealChoice = null;
+      guestData.plusOnesAttending = 0;
+    }
+  }
+  if (data.mealChoice !== undefined && guestData.mealChoice === undefined) guestData.mealChoice = data.mealChoice || null;
+  if (data.plusOnesAttending !== undefined && guestData.plusOnesAttending === undefined) {
+    guestData.plusOnesAttending = data.plusOnesAttending;
+  }
+  return guestData;
+}
+
+/**
+ * Push the latest RSVP counts to the couple's open dashboards
+ * (after bringing headcount-driven service quantities up to date)
+ */
+async function broadcastRsvpSummary(req, projectId) {
+  await refreshHeadcountQuantities(projectId);
+  const emitRsvpUpdate = req.app.get('emitRsvpUpdate');
+  if (!emitRsvpUpdate) return;
+  const summary = await getRsvpSummary(projectId);
+  emitRsvpUpdate(req.user.sub, { projectId, summary });
+}
+
+function handleRouteError(err, res, next) {
+  if (err instanceof z.ZodError) {
+    const issues = err.issues.map((i) => ({ field: i.path?.[0] ?? 'unknown', message: i.message }));
+    return res.status(400).json({ error: issues[0]?.message || 'Invalid input', issues });
+  }
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  return next(err);
+}
+
+/**
+ * GET /projects/:projectId/guests
+ * Get all guests for a project, ordered by household then name
+ */
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await prisma.weddingProject.findFirst({
+      where: {
+        id: req.params.projectId,
+        coupleId: req.user.sub,
+      },
+      select: { id: true },
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const guests = await prisma.guest.findMany({
+      where: { projectId: req.params.projectId },
+      include: {
+        invitation: { select: INVITATION_SELECT },
+      },
+      orderBy: [{ household: 'asc' }, { name: 'asc' }],
+    });
+
+    res.json(guests);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /projects/:projectId/guests
+ * Add a guest to the project
+ */
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const data = createGuestSchema.parse(req.body);
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const guest = await prisma.guest.create({
+      data: {
+        projectId: req.params.projectId,
+        ...toGuestData(data),
+      },
+    });
+
+    await broadcastRsvpSummary(req, req.params.projectId);
+
+    res.status(201).json(guest);
+  } catch (err) {
+    handleRouteError(err, res, next);
+  }
+});
+
+/**
+ * POST /projects/:projectId/guests/bulk
+ * Add several guests at once (e.g., pasted from a spreadsheet)
+ */
+router.post('/bulk', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const data = bulkCreateGuestSchema.parse(req.body);
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const guests = await prisma.$transaction(
+      data.guests.map((guest) =>
+        prisma.guest.create({
+          data: {
+            projectId: req.params.projectId,
+            ...toGuestData(guest),
+          },
+        })
+      )
+    );
+
+    await broadcastRsvpSummary(req, req.params.projectId);
+
+    res.status(201).json(guests);
+  } catch (err) {
+    handleRouteError(err, res, next);
+  }
+});
+
+/**
+ * GET /projects/:projectId/guests/summary
+ * RSVP counts, confirmed headcount and meal choices for the project
+ */
+router.get('/summary', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await prisma.weddingProject.findFirst({
+      where: {
+        id: req.params.projectId,
+        coupleId: req.user.sub,
+      },
+      select: { id: true, rsvpDeadline: true, rsvpMealOptions: true },
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const summary = await getRsvpSummary(project.id);
+
+    res.json({
+      ...summary,
+      rsvpDeadline: project.rsvpDeadline,
+      rsvpMealOptions: project.rsvpMealOptions,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /projects/:projectId/guests/rsvp-settings
+ * Update the RSVP deadline and meal options shown on the public RSVP form
+ */
+router.patch('/rsvp-settings', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const data = rsvpSettingsSchema.parse(req.body);
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const updateData = {};
+    if (data.rsvpDeadline !== undefined) updateData.rsvpDeadline = data.rsvpDeadline ? new Date(data.rsvpDeadline) : null;
+    if (data.rsvpMealOptions !== undefined) updateData.rsvpMealOptions = Array.from(new Set(data.rsvpMealOptions));
+
+    const project = await prisma.weddingProject.update({
+      where: { id: req.params.projectId },
+      data: updateData,
+      select: { id: true, rsvpDeadline: true, rsvpMealOptions: true },
+    });
+
+    res.json(project);
+  } catch (err) {
+    handleRouteError(err, res, next);
+  }
+});
+
+/**
+ * POST /projects/:projectId/guests/invitations
+ * Generate RSVP invitation links for every guest that does not have one yet (one per household)
+ */
+router.post('/invitations', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const invitedCount = await generateInvitations(req.params.projectId);
+
+    const invitations = await prisma.guestInvitation.findMany({
+      where: { projectId: req.params.projectId },
+      select: {
+        ...INVITATION_SELECT,
+        guests: { select: { id: true, name: true } },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.status(201).json({ invitedCount, invitations });
+  } catch (err) {
+    handleRouteError(err, res, next);
+  }
+});
+
+/**
+ * POST /projects/:projectId/guests/invitations/send
+ * Email RSVP invitations (or reminders to households that have not replied)
+ */
+router.post('/invitations/send', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const data = sendInvitationsSchema.parse(req.body || {});
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    // Make sure newly added guests are covered before sending
+    if (!data.invitationIds) {
+      await generateInvitations(req.params.projectId);
+    }
+
+    const result = await sendInvitations(req.params.projectId, {
+      invitationIds: data.invitationIds || null,
+      reminder: Boolean(data.reminder),
+    });
+
+    res.json(result);
+  } catch (err) {
+    handleRouteError(err, res, next);
+  }
+});
+
+/**
+ * GET /projects/:projectId/guests/seating
+ * Get the tables in the venue design with their capacity, the guests seated at each, and seating warnings
+ */
+router.get('/seating', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await prisma.weddingProject.findFirst({
+      where: {
+        id: req.params.projectId,
+        coupleId: req.user.sub,
+      },
+      select: { id: true },
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const seatingPlan = await getSeatingPlan(project.id);
+    res.json(seatingPlan);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /projects/:projectId/guests/seating
+ * Assign guests to tables (or unseat them with tableId: null).
+ * Over-capacity tables are allowed but reported in the returned plan's warnings.
+ */
+router.put('/seating', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const data = seatingAssignmentsSchema.parse(req.body);
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const guestIds = Array.from(new Set(data.assignments.map((a) => a.guestId)));
+    const guestCount = await prisma.guest.count({
+      where: { id: { in: guestIds }, projectId: req.params.projectId },
+    });
+    if (guestCount !== guestIds.length) {
+      return res.status(404).json({ error: 'Guest not found' });
+    }
+
+    const tableIds = Array.from(new Set(data.assignments.map((a) => a.tableId).filter(Boolean)));
+    if (tableIds.length > 0) {
+      const currentPlan = await getSeatingPlan(req.params.projectId);
+      const validTableIds = new Set(currentPlan.tables.map((table) => table.id));
+      if (tableIds.some((tableId) => !validTableIds.has(tableId))) {
+        return res.status(400).json({ error: 'Guests can only be seated at tables in this project\'s venue design' });
+      }
+    }
+
+    await prisma.$transaction(
+      data.assignments.map((assignment) =>
+        prisma.guest.update({
+          where: { id: assignment.guestId },
+          data: { tableId: assignment.tableId },
+        })
+      )
+    );
+
+    const seatingPlan = await getSeatingPlan(req.params.projectId);
+    res.json(seatingPlan);
+  } catch (err) {
+    handleRouteError(err, res, next);
+  }
+});
+
+/**
+ * PATCH /projects/:projectId/guests/:guestId
+ * Update a guest
+ */
+router.patch('/:guestId', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const data = updateGuestSchema.parse(req.body);
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const guest = await prisma.guest.findFirst({
+      where: {
+        id: req.params.guestId,
+        projectId: req.params.projectId,
+      },
+    });
+
+    if (!guest) {
+      return res.status(404).json({ error: 'Guest not found' });
+    }
+
+    const guestData = toGuestData(data);
+    const plusOneAllowance = guestData.plusOneAllowance ?? guest.plusOneAllowance;
+    const plusOnesAttending = guestData.plusOnesAttending ?? guest.plusOnesAttending;
+    if (plusOnesAttending > plusOneAllowance) {
+      if (data.plusOnesAttending !== undefined) {
+        return res.status(400).json({ error: `This guest may bring at most ${plusOneAllowance} plus-one(s)` });
+      }
+      // Allowance was lowered below what was already confirmed
+      guestData.plusOnesAttending = plusOneAllowance;
+    }
+
+    const updatedGuest = await prisma.guest.update({
+      where: { id: guest.id },
+      data: guestData,
+      include: {
+        invitation: { select: INVITATION_SELECT },
+      },
+    });
+
+    await broadcastRsvpSummary(req, req.params.projectId);
+
+    res.json(updatedGuest);
+  } catch (err) {
+    handleRouteError(err, res, next);
+  }
+});
+
+/**
+ * DELETE /projects/:projectId/guests/:guestId
+ * Remove a guest from the project
+ */
+router.delete('/:guestId', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const guest = await prisma.guest.findFirst({
+      where: {
+        id: req.params.guestId,
+        projectId: req.params.projectId,
+      },
+      select: { id: true },
+    });
+
+    if (!guest) {
+      return res.status(404).json({ error: 'Guest not found' });
+    }
+
+    await prisma.guest.delete({
+      where: { id: guest.id },
+    });
+
+    await pruneEmptyInvitations(req.params.projectId);
+    await broadcastRsvpSummary(req, req.params.projectId);
+
+    res.json({ message: 'Guest deleted successfully' });
+  } catch (err) {
+    handleRouteError(err, res, next);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { PrismaClient, WeddingPackageStatus } = require('@prisma/client');
 const { PACKAGE_INCLUDE, buildPackageResponse, ensurePackageDesign } = require('../services/package.service');
 const { buildDefaultLayoutData } = require('../services/package.service');
+const { OMIT_FLOORPLAN } = require('../services/floorplanService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -66,6 +67,7 @@ router.get('/:packageId/preview', async (req, res, next) => {
           include: {
             position: true,
             designElement: {
+              omit: OMIT_FLOORPLAN,
               include: {
                 vendor: {
                   include: {
@@ -119,7 +121,7 @@ router.get('/:packageId/preview', async (req, res, next) => {
       const venueListing = await prisma.serviceListing.findUnique({
         where: { id: design.venueServiceListingId },
         include: {
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN },
           vendor: {
             select: {
               userId: true,
@@ -6,6 +6,9 @@ const path = require('path');
 const { requireAdmin } = require('../middleware/auth');
 const { prefixedUlid } = require('../utils/id');
 const { buildDefaultLayoutData, ensurePackageDesign, validatePackageHealth } = require('../services/package.service');
+const { LIGHTING_SCHEMA } = require('../services/sceneLightingService');
+const { ANNOTATIONS_SCHEMA } = require('../services/designAnnotationService');
+const { OMIT_FLOORPLAN } = require('../services/floorplanService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -51,7 +54,10 @@ const CAMERA_SCHEMA = z
   });
 
 const SAVE_SCHEMA = z.object({
-  layoutData: z.any().optional(),
+  layoutData: z
+    .object({ lighting: LIGHTING_SCHEMA.optional(), annotations: ANNOTATIONS_SCHEMA.optional() })
+    .passthrough()
+    .optional(),
 });
 
 const PREVIEW_SCHEMA = z.object({
@@ -377,7 +383,7 @@ router.get('/:packageId', requireAdmin, async (req, res, next) => {
       const venueListing = await prisma.serviceListing.findUnique({
         where: { id: design.venueServiceListingId },
         include: {
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN },
           vendor: {
             select: {
               userId: true,
@@ -518,7 +524,7 @@ router.post('/:packageId/elements', requireAdmin, async (req, res, next) => {
         isActive: true,
       },
       include: {
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN },
         vendor: {
           select: {
             userId: true,
@@ -532,7 +538,7 @@ router.post('/:packageId/elements', requireAdmin, async (req, res, next) => {
         },
         components: {
           include: {
-            designElement: true,
+            designElement: { omit: OMIT_FLOORPLAN },
           },
         },
       },
@@ -680,7 +686,7 @@ router.post('/:packageId/elements/:elementId/duplicate', requireAdmin, async (re
       },
       include: {
         position: true,
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN },
       },
     });
 
@@ -697,7 +703,7 @@ router.post('/:packageId/elements/:elementId/duplicate', requireAdmin, async (re
     if (bundleId) {
       const allPlacements = await prisma.packagePlacedElement.findMany({
         where: { packageDesignId: design.id },
-        include: { position: true, designElement: true },
+        include: { position: true, designElement: { omit: OMIT_FLOORPLAN } },
       });
       
       bundlePlacements = allPlacements.filter((p) => {
@@ -727,7 +733,7 @@ router.post('/:packageId/elements/:elementId/duplicate', requireAdmin, async (re
 
     const existingPlacements = await prisma.packagePlacedElement.findMany({
       where: { packageDesignId: design.id },
-      include: { position: true, designElement: true },
+      include: { position: true, designElement: { omit: OMIT_FLOORPLAN } },
     });
 
     const findNonOverlappingPosition = (desiredPos, existingPlacements, bundleBounds) => {
@@ -1317,7 +1323,7 @@ router.patch('/:packageId/venue', requireAdmin, async (req, res, next) => {
         },
       },
       include: {
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN },
       },
     });
 
@@ -1461,10 +1467,10 @@ router.get('/:packageId/catalog', requireAdmin, async (req, res, next) => {
               },
             },
           },
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN },
           components: {
             include: {
-              designElement: true,
+              designElement: { omit: OMIT_FLOORPLAN },
             },
           },
           reviews: {
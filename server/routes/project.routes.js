@@ -3,6 +3,7 @@ const { z } = require('zod');
 const { PrismaClient } = require('@prisma/client');
 const { requireAuth } = require('../middleware/auth');
 const { applyPackageDesignToProject } = require('../services/package.service');
+const { updatePlannedSpend } = require('../services/plannedSpendService');
 const notificationService = require('../services/notificationService');
 
 const router = express.Router();
@@ -222,7 +223,9 @@ router.get('/:id', requireAuth, async (req, res, next) => {
         basePackage: {
           include: BASE_PACKAGE_INCLUDE,
         },
-        venueDesign: true,
+        venueDesigns: {
+          where: { isActive: true },
+        },
         budget: true,
         tasks: {
           include: {
@@ -261,6 +264,9 @@ router.get('/:id', requireAuth, async (req, res, next) => {
             bookingDate: 'desc',
           },
         },
+        _count: {
+          select: { guests: true },
+        },
       },
     });
 
@@ -629,22 +635,17 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
       },
     });
 
-    // If venue is being updated, also update the venueDesign venueName if it exists
+    // If venue is being updated, also update the venueName of its layout variants
     // and create/update venue expense in budget
     if (data.venueServiceListingId !== undefined) {
       if (project.venueServiceListing) {
-      const venueDesign = await prisma.venueDesign.findUnique({
-        where: { projectId: project.id },
-      });
-      
-      if (venueDesign) {
-        await prisma.venueDesign.update({
-          where: { id: venueDesign.id },
+        // Every layout variant is drawn in the same venue
+        await prisma.venueDesign.updateMany({
+          where: { projectId: project.id },
           data: {
             venueName: project.venueServiceListing.name,
           },
         });
-        }
 
         // Create or update venue expense in budget
         const budget = await prisma.budget.findUnique({
@@ -1008,9 +1009,15 @@ router.patch('/:projectId/services/:serviceListingId', requireAuth, async (req,
     // Check if service is exclusive - exclusive services can only have quantity 1
     const serviceListing = await prisma.serviceListing.findUnique({
       where: { id: serviceListingId },
-      select: { availabilityType: true },
+      select: { availabilityType: true, quantityFollowsHeadcount: true },
     });
 
+    if (serviceListing?.quantityFollowsHeadcount) {
+      return res.status(400).json({
+        error: 'The quantity of this service follows your confirmed guest count and updates automatically as guests RSVP.',
+      });
+    }
+
     if (serviceListing?.availabilityType === 'exclusive' && quantity !== 1) {
       return res.status(400).json({
         error: 'This is an exclusive service. Only one booking per day is allowed, so the quantity must be 1.',
@@ -1122,10 +1129,7 @@ router.delete('/:projectId/services/:serviceListingId', requireAuth, async (req,
 
     // Update planned spend in background (non-3D services affect budget)
     // Wait for update to complete so frontend gets fresh data
-    const venueDesignRoutes = require('./venueDesign.routes');
-    if (venueDesignRoutes.updatePlannedSpend) {
-      await venueDesignRoutes.updatePlannedSpend(projectId);
-    }
+    await updatePlannedSpend(projectId);
 
     return res.json({ message: 'Service removed from project successfully' });
   } catch (err) {
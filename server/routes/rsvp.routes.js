@@ -0,0 +1,167 @@
+const express = require('express');
+const { z } = require('zod');
+const { PrismaClient } = require('@prisma/client');
+const { getRsvpSummary } = require('../services/guestRsvpService');
+const { getRsvpClosedReason, findRsvpResponseError } = require('../services/rsvpRulesService');
+const { refreshHeadcountQuantities } = require('../services/headcountQuantityService');
+
+// Public (unauthenticated) RSVP endpoints - access is granted by the invitation token alone
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const submitRsvpSchema = z.object({
+  responses: z
+    .array(
+      z.object({
+        guestId: z.string().uuid(),
+        rsvpStatus: z.enum(['attending', 'declined']),
+        mealChoice: z.string().trim().max(100).optional().nullable(),
+        plusOnesAttending: z.number().int().min(0).max(10).optional(),
+      })
+    )
+    .min(1, 'Please respond for at least one guest'),
+});
+
+/**
+ * Load an invitation by token together with what the public form needs.
+ * Guest contact details are deliberately not selected.
+ */
+async function findInvitationByToken(token) {
+  return prisma.guestInvitation.findUnique({
+    where: { token },
+    include: {
+      project: {
+        select: {
+          id: true,
+          coupleId: true,
+          projectName: true,
+          weddingDate: true,
+          status: true,
+          rsvpDeadline: true,
+          rsvpMealOptions: true,
+          venueServiceListing: { select: { name: true } },
+        },
+      },
+      guests: {
+        select: {
+          id: true,
+          name: true,
+          plusOneAllowance: true,
+          rsvpStatus: true,
+          mealChoice: true,
+          plusOnesAttending: true,
+        },
+        orderBy: { name: 'asc' },
+      },
+    },
+  });
+}
+
+function toPublicInvitation(invitation) {
+  const { project } = invitation;
+  const closedReason = getRsvpClosedReason(project);
+  return {
+    household: invitation.household,
+    respondedAt: invitation.respondedAt,
+    event: {
+      name: project.projectName,
+      weddingDate: project.weddingDate,
+      venueName: project.venueServiceListing?.name || null,
+      rsvpDeadline: project.rsvpDeadline,
+      mealOptions: project.rsvpMealOptions,
+    },
+    isOpen: !closedReason,
+    closedReason,
+    guests: invitation.guests,
+  };
+}
+
+/**
+ * GET /rsvp/:token
+ * Get the household's invitation and current responses
+ */
+router.get('/:token', async (req, res, next) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json(toPublicInvitation(invitation));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /rsvp/:token
+ * Record attending/declined, meal choice and plus-ones for guests in the household
+ */
+router.post('/:token', async (req, res, next) => {
+  try {
+    const data = submitRsvpSchema.parse(req.body);
+
+    const invitation = await findInvitationByToken(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const closedReason = getRsvpClosedReason(invitation.project);
+    if (closedReason) {
+      return res.status(403).json({ error: closedReason });
+    }
+
+    const responseError = findRsvpResponseError(
+      data.responses,
+      invitation.guests,
+      invitation.project.rsvpMealOptions || []
+    );
+    if (responseError) {
+      return res.status(400).json({ error: responseError });
+    }
+
+    const respondedAt = new Date();
+
+    await prisma.$transaction([
+      ...data.responses.map((response) => {
+        const isAttending = response.rsvpStatus === 'attending';
+        return prisma.guest.update({
+          where: { id: response.guestId },
+          data: {
+            rsvpStatus: response.rsvpStatus,
+            mealChoice: isAttending ? response.mealChoice || null : null,
+            plusOnesAttending: isAttending ? response.plusOnesAttending || 0 : 0,
+            rsvpRespondedAt: respondedAt,
+          },
+        });
+      }),
+      prisma.guestInvitation.update({
+        where: { id: invitation.id },
+        data: { respondedAt },
+      }),
+    ]);
+
+    // Headcount-driven service quantities (catering per head, favors...) follow the new RSVPs
+    await refreshHeadcountQuantities(invitation.project.id);
+
+    // Live update for the couple's dashboard
+    const emitRsvpUpdate = req.app.get('emitRsvpUpdate');
+    if (emitRsvpUpdate) {
+      const summary = await getRsvpSummary(invitation.project.id);
+      emitRsvpUpdate(invitation.project.coupleId, { projectId: invitation.project.id, summary });
+    }
+
+    const updatedInvitation = await findInvitationByToken(req.params.token);
+    res.json(toPublicInvitation(updatedInvitation));
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((i) => ({ field: i.path?.[0] ?? 'unknown', message: i.message }));
+      return res.status(400).json({ error: issues[0]?.message || 'Invalid input', issues });
+    }
+    next(err);
+  }
+});
+
+module.exports = router;
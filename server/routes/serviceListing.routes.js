@@ -1,11 +1,17 @@
 const express = require('express');
 const { z } = require('zod');
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { requireAuth } = require('../middleware/auth');
 const { flagPackagesForListing, revalidatePackagesForListing } = require('../services/package.service');
+const {
+  OMIT_FLOORPLAN,
+  OMIT_FLOORPLAN_UNDERLAY,
+  parseFloorplanMetadata,
+  splitFloorplanUnderlay,
+} = require('../services/floorplanService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -15,10 +21,10 @@ async function computeHas3DModel(listingId) {
   const listing = await prisma.serviceListing.findUnique({
     where: { id: listingId },
     include: {
-      designElement: true,
+      designElement: { omit: OMIT_FLOORPLAN },
       components: {
         include: {
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN },
         },
       },
     },
@@ -111,6 +117,21 @@ const serviceListingSchema = z
       .optional()
       .nullable(),
     pricingPolicy: z.enum(['per_unit', 'per_table', 'fixed_package', 'time_based']).optional().default('fixed_package'),
+    quantityFollowsHeadcount: z.boolean().optional().default(false),
+    guestsPerUnit: z
+      .number()
+      .int()
+      .positive('Guests per unit must be a positive integer')
+      .max(1000, 'Guests per unit cannot exceed 1000')
+      .optional()
+      .default(1),
+    maxOccupancy: z
+      .number()
+      .int()
+      .positive('Maximum occupancy must be a positive integer')
+      .max(100000, 'Maximum occupancy cannot exceed 100,000')
+      .optional()
+      .nullable(),
     hourlyRate: z
       .number()
       .min(0, 'Hourly rate cannot be less than 0')
@@ -181,6 +202,19 @@ const serviceListingSchema = z
       path: ['hourlyRate'],
     }
   )
+  .refine(
+    (data) => {
+      // Only per-unit and per-table quantities can follow the guest headcount
+      if (data.quantityFollowsHeadcount) {
+        return data.pricingPolicy === 'per_unit' || data.pricingPolicy === 'per_table';
+      }
+      return true;
+    },
+    {
+      message: 'Only per unit or per table listings can follow the guest headcount',
+      path: ['quantityFollowsHeadcount'],
+    }
+  )
   .refine(
     (data) => {
       // Price is required for all policies except time_based
@@ -207,6 +241,7 @@ router.get('/design-elements', requireAuth, async (req, res, next) => {
     const designElements = await prisma.designElement.findMany({
       where: { vendorId: req.user.sub },
       orderBy: { name: 'asc' },
+      omit: OMIT_FLOORPLAN_UNDERLAY,
     });
 
     res.json(designElements);
@@ -226,10 +261,10 @@ router.get('/', requireAuth, async (req, res, next) => {
       where: { vendorId: req.user.sub },
       orderBy: { createdAt: 'desc' },
       include: {
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
         components: {
           include: {
-            designElement: true,
+            designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
           },
         },
       },
@@ -269,10 +304,10 @@ router.get('/:id', requireAuth, async (req, res, next) => {
         vendorId: req.user.sub,
       },
       include: {
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
         components: {
           include: {
-            designElement: true,
+            designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
           },
         },
       },
@@ -331,6 +366,9 @@ router.post('/', requireAuth, async (req, res, next) => {
         maxQuantity: listingData.availabilityType === 'quantity_based' ? listingData.maxQuantity : null,
         pricingPolicy: listingData.pricingPolicy || 'fixed_package',
         hourlyRate: listingData.pricingPolicy === 'time_based' && listingData.hourlyRate ? parseFloat(listingData.hourlyRate) : null,
+        quantityFollowsHeadcount: listingData.quantityFollowsHeadcount,
+        guestsPerUnit: listingData.guestsPerUnit,
+        maxOccupancy: listingData.category === 'Venue' ? listingData.maxOccupancy ?? null : null,
         cancellationPolicy: listingData.cancellationPolicy || null,
         cancellationFeeTiers: listingData.cancellationFeeTiers || null,
         designElementId: listingData.designElementId || null,
@@ -338,7 +376,7 @@ router.post('/', requireAuth, async (req, res, next) => {
       include: {
         components: {
           include: {
-            designElement: true,
+            designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
           },
         },
       },
@@ -365,10 +403,10 @@ router.post('/', requireAuth, async (req, res, next) => {
       const listingWithComponents = await prisma.serviceListing.findUnique({
         where: { id: listing.id },
         include: {
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
           components: {
             include: {
-              designElement: true,
+              designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
             },
           },
         },
@@ -392,7 +430,7 @@ router.post('/', requireAuth, async (req, res, next) => {
     const finalListing = await prisma.serviceListing.findUnique({
       where: { id: listing.id },
       include: {
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
       },
     });
 
@@ -465,6 +503,20 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
           .optional()
           .nullable(),
         pricingPolicy: z.enum(['per_unit', 'per_table', 'fixed_package', 'time_based']).optional(),
+        quantityFollowsHeadcount: z.boolean().optional(),
+        guestsPerUnit: z
+          .number()
+          .int()
+          .positive('Guests per unit must be a positive integer')
+          .max(1000, 'Guests per unit cannot exceed 1000')
+          .optional(),
+        maxOccupancy: z
+          .number()
+          .int()
+          .positive('Maximum occupancy must be a positive integer')
+          .max(100000, 'Maximum occupancy cannot exceed 100,000')
+          .optional()
+          .nullable(),
         hourlyRate: z
           .number()
           .min(0, 'Hourly rate cannot be less than 0')
@@ -579,6 +631,11 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
       }
     }
 
+    // Maximum occupancy only applies to venues
+    if (updateData.category !== undefined && updateData.category !== 'Venue') {
+      updateData.maxOccupancy = null;
+    }
+
     // Handle maxQuantity based on availabilityType
     if (updateData.availabilityType !== undefined) {
       if (updateData.availabilityType === 'quantity_based') {
@@ -605,6 +662,13 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
         // Clear hourly rate for other pricing policies
         updateData.hourlyRate = null;
       }
+      // Only per-unit and per-table quantities can follow the guest headcount
+      if (updateData.pricingPolicy !== 'per_unit' && updateData.pricingPolicy !== 'per_table') {
+        if (updateData.quantityFollowsHeadcount) {
+          return res.status(400).json({ error: 'Only per unit or per table listings can follow the guest headcount' });
+        }
+        updateData.quantityFollowsHeadcount = false;
+      }
     } else {
       // If pricingPolicy is not being updated, handle hourlyRate if it's being updated
       if (updateData.hourlyRate !== undefined) {
@@ -628,10 +692,10 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
       where: { id: req.params.id },
       data: updateData,
       include: {
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
         components: {
           include: {
-            designElement: true,
+            designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
           },
         },
       },
@@ -672,10 +736,10 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
       const listingWithComponents = await prisma.serviceListing.findUnique({
         where: { id: req.params.id },
         include: {
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
           components: {
             include: {
-              designElement: true,
+              designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
             },
           },
         },
@@ -693,10 +757,10 @@ router.patch('/:id', requireAuth, async (req, res, next) => {
         where: { id: req.params.id },
         data: { has3DModel: has3D },
         include: {
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
           components: {
             include: {
-              designElement: true,
+              designElement: { omit: OMIT_FLOORPLAN_UNDERLAY },
             },
           },
         },
@@ -889,7 +953,8 @@ const createModel3DUpload = (listingId) => {
 
   return multer({
     storage: model3DStorage,
-    limits: { fileSize: 150 * 1024 * 1024 }, // 150MB max
+    // fieldSize leaves room for a floorplan that embeds an uploaded trace image
+    limits: { fileSize: 150 * 1024 * 1024, fieldSize: 5 * 1024 * 1024 }, // 150MB max
     fileFilter: (_req, file, cb) => {
       const ext = path.extname(file.originalname).toLowerCase();
       if (ext === '.glb') {
@@ -941,6 +1006,9 @@ router.post('/:id/model3d', requireAuth, async (req, res, next) => {
             console.warn('Invalid dimensions JSON:', e);
           }
         }
+        // Venue models drawn in the floorplan editor come with their floorplan
+        const floorplanMetadata = parseFloorplanMetadata(req.body.floorplanMetadata);
+        const { floorplan, underlay } = splitFloorplanUnderlay(floorplanMetadata);
 
         // Create or update DesignElement
         const modelPath = `/uploads/models3d/${req.file.filename}`;
@@ -965,7 +1033,10 @@ router.post('/:id/model3d', requireAuth, async (req, res, next) => {
               modelFile: modelPath,
               isStackable: isStackable,
               dimensions: dimensions || undefined,
+              floorplanMetadata: floorplan || Prisma.DbNull,
+              floorplanUnderlay: underlay || Prisma.DbNull,
             },
+            omit: OMIT_FLOORPLAN_UNDERLAY,
           });
         } else {
           // Create new design element
@@ -977,7 +1048,10 @@ router.post('/:id/model3d', requireAuth, async (req, res, next) => {
               modelFile: modelPath,
               isStackable: isStackable,
               dimensions: dimensions || undefined,
+              floorplanMetadata: floorplan || undefined,
+              floorplanUnderlay: underlay || undefined,
             },
+            omit: OMIT_FLOORPLAN_UNDERLAY,
           });
         }
 
@@ -1001,6 +1075,9 @@ router.post('/:id/model3d', requireAuth, async (req, res, next) => {
         if (req.file && fs.existsSync(req.file.path)) {
           fs.unlinkSync(req.file.path);
         }
+        if (dbErr instanceof z.ZodError) {
+          return res.status(400).json({ error: dbErr.issues[0]?.message || 'Validation error' });
+        }
         next(dbErr);
       }
     });
@@ -1130,7 +1207,7 @@ router.delete('/:id/model3d', requireAuth, async (req, res, next) => {
         vendorId: req.user.sub,
       },
       include: {
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN },
       },
     });
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const { z } = require('zod');
 const { PrismaClient } = require('@prisma/client');
+const { OMIT_FLOORPLAN } = require('../services/floorplanService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -76,10 +77,10 @@ router.get('/search', async (req, res, next) => {
             },
           },
           // Include 3D-related data so venue selection can show previews
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN },
           components: {
             include: {
-              designElement: true,
+              designElement: { omit: OMIT_FLOORPLAN },
             },
           },
         },
@@ -160,10 +161,10 @@ router.get('/:id', async (req, res, next) => {
           take: 10,
         },
         // Include 3D-related data for detailed view
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN },
         components: {
           include: {
-            designElement: true,
+            designElement: { omit: OMIT_FLOORPLAN },
           },
         },
       },
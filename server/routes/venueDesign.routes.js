@@ -5,8 +5,47 @@ const { z } = require('zod');
 const { PrismaClient } = require('@prisma/client');
 
 const { requireAuth } = require('../middleware/auth');
+const { serializeDesignWrites } = require('../middleware/designWriteLock');
 const { prefixedUlid } = require('../utils/id');
 const { calculatePrice, calculateEventDuration } = require('../utils/pricingCalculator');
+const { getConfirmedHeadcount } = require('../services/headcountQuantityService');
+const { getHeadcountQuantity, getSyncedHeadcountQuantity } = require('../utils/headcountQuantityCalculator');
+const { calculatePlannedSpend, updatePlannedSpend } = require('../services/plannedSpendService');
+const {
+  buildGridSlots,
+  buildCircleSlots,
+  buildChairsAroundTableSlots,
+  partitionOccupiedSlots,
+} = require('../services/placementPatternService');
+const {
+  getActiveVenueDesign,
+  duplicateVenueDesign,
+  activateVenueDesign,
+  getDesignCapacity,
+} = require('../services/designVariantService');
+const {
+  serializeSnapshotSummary,
+  captureDesignSnapshot,
+  restoreDesignSnapshot,
+} = require('../services/designSnapshotService');
+const { emitDesignChange } = require('../services/designCollaborationService');
+const { validateProjectLayout } = require('../services/layoutValidationService');
+const { LIGHTING_SCHEMA } = require('../services/sceneLightingService');
+const { ANNOTATIONS_SCHEMA } = require('../services/designAnnotationService');
+const { OMIT_FLOORPLAN } = require('../services/floorplanService');
+const { getSeatingTables, transferSeating } = require('../services/seatingService');
+const { numberTables, mergeClientPlacementsMeta } = require('../services/seatingRulesService');
+const { findStackingError } = require('../services/stackingService');
+const {
+  getFootprintExtents,
+  findFootprintCollision,
+  describeCollision,
+} = require('../services/footprintService');
+const {
+  buildVenueLayout,
+  findMoveLayoutViolation,
+  describeLayoutViolation,
+} = require('../services/venueLayoutService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -23,7 +62,49 @@ const ADD_ELEMENT_SCHEMA = z.object({
   rotation: z.coerce.number().optional(),
 });
 
-const UPDATE_ELEMENT_SCHEMA = z.object({
+const MAX_PATTERN_PLACEMENTS = 200;
+
+const PATTERN_BASE_FIELDS = {
+  serviceListingId: z.string().uuid('Invalid service listing ID'),
+  // Leave spots that overlap existing items empty instead of rejecting the whole pattern
+  skipOccupied: z.boolean().optional(),
+};
+
+const PATTERN_SCHEMA = z
+  .discriminatedUnion('pattern', [
+    z.object({
+      ...PATTERN_BASE_FIELDS,
+      pattern: z.literal('grid'),
+      center: VECTOR_SCHEMA,
+      rows: z.coerce.number().int().min(1).max(50),
+      columns: z.coerce.number().int().min(1).max(50),
+      spacingX: z.coerce.number().min(0.1).max(50),
+      spacingZ: z.coerce.number().min(0.1).max(50),
+      rotation: z.coerce.number().optional(),
+    }),
+    z.object({
+      ...PATTERN_BASE_FIELDS,
+      pattern: z.literal('circle'),
+      center: VECTOR_SCHEMA,
+      count: z.coerce.number().int().min(2).max(MAX_PATTERN_PLACEMENTS),
+      radius: z.coerce.number().min(0.2).max(50),
+      startAngle: z.coerce.number().optional(),
+      facing: z.enum(['center', 'outward', 'fixed']).optional(),
+      rotation: z.coerce.number().optional(),
+    }),
+    z.object({
+      ...PATTERN_BASE_FIELDS,
+      pattern: z.literal('around_table'),
+      // PlacedElement ID of the table (a ULID such as "ple_...")
+      tableElementId: z.string().min(1),
+      count: z.coerce.number().int().min(1).max(30),
+    }),
+  ])
+  .refine((data) => data.pattern !== 'grid' || data.rows * data.columns <= MAX_PATTERN_PLACEMENTS, {
+    message: `A pattern can place at most ${MAX_PATTERN_PLACEMENTS} items`,
+  });
+
+const UPDATE_ELEMENT_FIELDS = z.object({
     position: VECTOR_SCHEMA.optional(),
     rotation: z.coerce.number().optional(),
     isLocked: z.boolean().optional(),
@@ -35,11 +116,57 @@ const UPDATE_ELEMENT_SCHEMA = z.object({
         quantityIndex: z.number().int().nullable().optional(),
       })
       .optional(),
-  })
-  .refine(
-    (data) => data.position || data.rotation !== undefined || data.isLocked !== undefined || data.parentElementId !== undefined || data.metadata,
-    { message: 'Nothing to update' }
-  );
+  });
+
+const hasElementChanges = (data) =>
+  data.position || data.rotation !== undefined || data.isLocked !== undefined || data.parentElementId !== undefined || data.metadata;
+
+const UPDATE_ELEMENT_SCHEMA = UPDATE_ELEMENT_FIELDS.refine(hasElementChanges, { message: 'Nothing to update' });
+
+// Group edits (move/rotate/align a selection) are sent as one request and applied atomically
+const BATCH_UPDATE_ELEMENTS_SCHEMA = z.object({
+  updates: z
+    .array(
+      UPDATE_ELEMENT_FIELDS.extend({
+        id: z.string().min(1),
+      }).refine(hasElementChanges, { message: 'Nothing to update' })
+    )
+    .min(1, 'Provide at least one element to update')
+    .max(200),
+});
+
+// Re-creates placements that were removed, keeping their original IDs (used by undo/redo)
+// IDs the server gave placements (prefixedUlid('ple') in utils/id); restores may only reuse these
+const PLACEMENT_ID_PATTERN = /^ple_[0-9A-HJKMNP-TV-Z]{26}$/;
+
+const RESTORE_ELEMENTS_SCHEMA = z.object({
+  placements: z
+    .array(
+      z.object({
+        id: z.string().regex(PLACEMENT_ID_PATTERN, 'Invalid element ID'),
+        designElementId: z.string().min(1),
+        position: VECTOR_SCHEMA,
+        rotation: z.coerce.number().optional(),
+        isLocked: z.boolean().optional(),
+        parentElementId: z.string().min(1).nullable().optional(),
+        serviceListingIds: z.array(z.string().uuid()).optional(),
+        elementType: z.string().max(50).nullable().optional(),
+        // Only what ties the item back to its listing and group; the rest of its
+        // placement metadata is rebuilt from the listing like a newly added item's
+        metadata: z.object({
+          serviceListingId: z.string().uuid('Invalid service listing ID'),
+          bundleId: z.string().max(64).nullable().optional(),
+          patternId: z.string().max(64).nullable().optional(),
+          role: z.string().max(50).nullable().optional(),
+          quantityIndex: z.number().int().positive().nullable().optional(),
+          // The number a restored table asks for back; numberTables decides
+          tableNumber: z.number().int().positive().nullable().optional(),
+        }),
+      })
+    )
+    .min(1, 'Provide at least one element to restore')
+    .max(200),
+});
 
 const CAMERA_SCHEMA = z.object({
     position: VECTOR_SCHEMA.optional(),
@@ -50,7 +177,43 @@ const CAMERA_SCHEMA = z.object({
   });
 
 const SAVE_SCHEMA = z.object({
-  layoutData: z.any().optional(),
+  layoutData: z.object({}).passthrough().optional(),
+  // Explicit saves store a restore point; autosaves leave this off
+  snapshot: z.boolean().optional().default(false),
+  label: z.string().trim().max(80).optional(),
+});
+
+const MAX_CAMERA_TOURS = 10;
+
+// Guided walk-through of the design; the camera glides through the keyframes in order
+const CAMERA_TOUR_SCHEMA = z.object({
+  name: z.string().trim().min(1, 'Tour name is required').max(80),
+  keyframes: z
+    .array(
+      z.object({
+        position: VECTOR_SCHEMA,
+        target: VECTOR_SCHEMA,
+        // Seconds to travel here from the previous keyframe (ignored on the first)
+        duration: z.coerce.number().min(0.5).max(60).optional().default(3),
+      })
+    )
+    .min(2, 'Record at least two camera positions')
+    .max(40, 'A tour can have at most 40 camera positions'),
+});
+
+const MAX_DESIGN_VARIANTS = 6;
+
+const VARIANT_NAME_SCHEMA = z.string().trim().min(1, 'Variant name is required').max(80);
+
+const CREATE_VARIANT_SCHEMA = z.object({
+  name: VARIANT_NAME_SCHEMA,
+  // Variant to copy; defaults to the active one. Ignored when blank is true.
+  sourceVariantId: z.string().optional(),
+  blank: z.boolean().optional().default(false),
+});
+
+const UPDATE_VARIANT_SCHEMA = z.object({
+  name: VARIANT_NAME_SCHEMA,
 });
 
 const CATALOG_QUERY_SCHEMA = z.object({
@@ -112,7 +275,12 @@ const PLACEMENT_INCLUDE = {
       name: true,
       modelFile: true,
       vendorId: true,
+      elementType: true,
       isStackable: true,
+      canHostChildren: true,
+      hostSurfaceHeight: true,
+      maxChildren: true,
+      hostChildTypes: true,
       dimensions: true,
       vendor: {
         select: {
@@ -185,6 +353,7 @@ function serializePlacement(placement, meta, serviceMap) {
     id: placement.id,
     rotation: placement.rotation ?? 0,
     isLocked: placement.isLocked,
+    version: placement.version ?? 0,
     parentElementId: placement.parentElementId || null, // Include parent element ID for parent-child relationships
     position: {
       x: safePosition.x,
@@ -202,6 +371,10 @@ function serializePlacement(placement, meta, serviceMap) {
           modelFile: placement.designElement.modelFile,
           vendorId: placement.designElement.vendorId,
           isStackable: placement.designElement.isStackable,
+          canHostChildren: Boolean(placement.designElement.canHostChildren),
+          hostSurfaceHeight: placement.designElement.hostSurfaceHeight ?? null,
+          maxChildren: placement.designElement.maxChildren ?? null,
+          hostChildTypes: placement.designElement.hostChildTypes || [],
           dimensions: placement.designElement.dimensions,
           elementType: placement.designElement.elementType || null, // Include element type from design element
           vendor: placement.designElement.vendor
@@ -227,7 +400,7 @@ async function fetchProject(projectId, coupleId) {
     include: {
       venueServiceListing: {
         include: {
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN },
           vendor: {
             select: {
               userId: true,
@@ -311,234 +484,196 @@ async function checkProjectCanBeModified(projectId, coupleId) {
 }
 
 /**
- * Helper function to calculate and update planned spend from 3D design
- * This calculates the total cost of all non-booked placements in the venue design
+ * Hybrid cleanup of budget expenses linked to placements that are about to be deleted:
+ * expenses whose placements are all gone are removed, grouped expenses shrink proportionally
+ * @param {String} projectId - WeddingProject ID
+ * @param {String[]} placementIdsBeingDeleted
  */
-// Export updatePlannedSpend so it can be used by other route files
-async function updatePlannedSpend(projectId) {
-  try {
-    const project = await prisma.weddingProject.findUnique({
-      where: { id: projectId },
-      select: {
-        id: true,
-        venueServiceListingId: true,
-        weddingDate: true,
-        eventStartTime: true,
-        eventEndTime: true,
-        budget: true,
-        venueDesign: {
-          include: {
-            placedElements: {
-              // Include ALL placements regardless of booking status
-              // Planned (3D) should show total cost of all services in the design
-              select: {
-                id: true,
-                serviceListingIds: true, // For per-table services
-              },
+async function cleanupExpensesForDeletedPlacements(projectId, placementIdsBeingDeleted) {
+  // Hybrid cleanup: Handle expenses linked to placements being deleted
+  // Check for expenses that reference these placements
+  const budget = await prisma.budget.findUnique({
+    where: { projectId },
+    include: {
+      categories: {
+        include: {
+          expenses: {
+            where: {
+              from3DDesign: true,
+              OR: [
+                { placedElementId: { in: placementIdsBeingDeleted } },
+              ],
             },
           },
         },
       },
-    });
-
-    if (!project || !project.budget) {
-      return; // No budget to update
+    },
+  });
+  
+  // Also check expenses with placedElementIds JSON field
+  // We'll check this manually since Prisma doesn't have great JSON array query support
+  const allExpenses = budget ? budget.categories.flatMap(cat => cat.expenses) : [];
+  const expensesToCheck = allExpenses.filter(expense => {
+    if (placementIdsBeingDeleted.includes(expense.placedElementId)) {
+      return true;
     }
-
-    if (!project.venueDesign) {
-      // No venue design, set plannedSpend to 0
-      await prisma.budget.update({
-        where: { id: project.budget.id },
-        data: {
-          plannedSpend: 0,
-          totalRemaining: parseFloat(project.budget.totalBudget) - parseFloat(project.budget.totalSpent) - 0,
-        },
-      });
-      return;
+    if (expense.placedElementIds && Array.isArray(expense.placedElementIds)) {
+      return expense.placedElementIds.some(id => placementIdsBeingDeleted.includes(id));
     }
-
-    // Calculate planned spend using the same logic as checkout summary
-    const layoutData = project.venueDesign.layoutData || {};
-    const placementsMeta = layoutData.placementsMeta || {};
-
-    // Get all service listing IDs from placements and project services
-    const serviceListingIds = new Set();
-    project.venueDesign.placedElements.forEach((placement) => {
-      const meta = placementsMeta[placement.id];
-      if (meta?.serviceListingId) {
-        serviceListingIds.add(meta.serviceListingId);
-      }
-    });
-
-    // Get project services
-    const projectServices = await prisma.projectService.findMany({
-      where: { projectId: project.id },
-      include: {
-        serviceListing: {
-          select: {
-            id: true,
-            price: true,
-            pricingPolicy: true,
-            hourlyRate: true,
-          },
-        },
-      },
-    });
-
-    projectServices.forEach((ps) => {
-      if (ps.serviceListingId) {
-        serviceListingIds.add(ps.serviceListingId);
+    // Check remark for old data
+    if (expense.remark) {
+      try {
+        const remarkData = JSON.parse(expense.remark);
+        if (remarkData.placedElementIds && Array.isArray(remarkData.placedElementIds)) {
+          return remarkData.placedElementIds.some(id => placementIdsBeingDeleted.includes(id));
+        }
+      } catch (e) {
+        // Not JSON, skip
       }
-    });
-
-    // Include venue ALWAYS (planned (3D) should show all services regardless of booking status)
-    if (project.venueServiceListingId) {
-      serviceListingIds.add(project.venueServiceListingId);
     }
+    return false;
+  });
 
-    // Get all service listings
-    const serviceListings = await prisma.serviceListing.findMany({
-      where: { id: { in: Array.from(serviceListingIds) } },
-      select: {
-        id: true,
-        price: true,
-        pricingPolicy: true,
-        hourlyRate: true,
-      },
-    });
-
-    const serviceListingMap = {};
-    serviceListings.forEach((listing) => {
-      serviceListingMap[listing.id] = listing;
-    });
-
-    // Calculate design quantities per service listing (matching checkout summary)
-    const designQuantities = {};
-    const bundleTracker = new Map(); // Track bundles to avoid double-counting
-
-    // Count 3D placements
-    project.venueDesign.placedElements.forEach((placement) => {
-      const meta = placementsMeta[placement.id];
-      if (!meta?.serviceListingId) return;
-
-      const bundleId = meta.bundleId;
-      if (bundleId) {
-        // For bundles, count once per bundle
-        if (!bundleTracker.has(bundleId)) {
-          bundleTracker.set(bundleId, true);
-          if (!designQuantities[meta.serviceListingId]) {
-            designQuantities[meta.serviceListingId] = 0;
+  if (budget && expensesToCheck.length > 0) {
+    // Group expenses by category for easier processing
+    const expensesByCategory = new Map();
+    budget.categories.forEach(category => {
+      category.expenses.forEach(expense => {
+        if (expensesToCheck.includes(expense)) {
+          if (!expensesByCategory.has(category.id)) {
+            expensesByCategory.set(category.id, []);
           }
-          designQuantities[meta.serviceListingId] += 1;
-        }
-      } else {
-        // Individual placement
-        if (!designQuantities[meta.serviceListingId]) {
-          designQuantities[meta.serviceListingId] = 0;
+          expensesByCategory.get(category.id).push(expense);
         }
-        designQuantities[meta.serviceListingId] += 1;
-      }
+      });
     });
-
-    // Count per-table services from table tagging (serviceListingIds on placements)
-    // This matches checkout summary logic - per-table services come from table tagging, not projectServices
-    project.venueDesign.placedElements.forEach((placement) => {
-      if (placement.serviceListingIds && Array.isArray(placement.serviceListingIds)) {
-        placement.serviceListingIds.forEach((serviceListingId) => {
-          if (!designQuantities[serviceListingId]) {
-            designQuantities[serviceListingId] = 0;
+    
+    for (const [categoryId, expenses] of expensesByCategory.entries()) {
+      for (const expense of expenses) {
+        // Get all placement IDs for this expense
+        let expensePlacementIds = [];
+        if (expense.placedElementIds && Array.isArray(expense.placedElementIds)) {
+          expensePlacementIds = expense.placedElementIds;
+        } else if (expense.placedElementId) {
+          expensePlacementIds = [expense.placedElementId];
+        } else {
+          // Check remark field for old data
+          try {
+            if (expense.remark) {
+              const remarkData = JSON.parse(expense.remark);
+              if (remarkData.placedElementIds && Array.isArray(remarkData.placedElementIds)) {
+                expensePlacementIds = remarkData.placedElementIds;
+              }
+            }
+          } catch (e) {
+            // Not JSON, skip
           }
-          designQuantities[serviceListingId] += 1;
-        });
-      }
-    });
-
-    // Count non-3D project services (excluding per-table services to avoid double-counting)
-    // Matching checkout summary logic
-    for (const ps of projectServices) {
-      if (!ps.serviceListingId) continue;
-      const listing = serviceListingMap[ps.serviceListingId];
-      if (!listing) continue;
-
-      // Skip per-table services (they're already counted via table tagging above)
-      if (listing.pricingPolicy === 'per_table') {
-        continue;
-      }
-
-      // For other services, use ProjectService quantity
-      if (!designQuantities[ps.serviceListingId]) {
-        designQuantities[ps.serviceListingId] = 0;
-      }
-      designQuantities[ps.serviceListingId] += ps.quantity || 1;
-    }
-
-    // Include venue ALWAYS in designQuantities (planned (3D) shows all services regardless of booking)
-    if (project.venueServiceListingId) {
-      designQuantities[project.venueServiceListingId] = 1;
-    }
-
-    // Calculate event duration for time_based pricing
-    let eventDuration = null;
-    if (project.eventStartTime && project.eventEndTime) {
-      try {
-        eventDuration = calculateEventDuration(project.eventStartTime, project.eventEndTime);
-      } catch (err) {
-        console.warn('[updatePlannedSpend] Failed to calculate event duration:', err.message);
-      }
-    }
-
-    // Calculate total using calculatePrice (matching checkout summary)
-    let totalPlannedSpend = 0;
-    Object.entries(designQuantities).forEach(([serviceListingId, designQuantity]) => {
-      const listing = serviceListingMap[serviceListingId];
-      if (!listing || designQuantity <= 0) return;
+        }
 
-      try {
-        const pricingContext = {};
+        // Find which placements from this expense are being deleted
+        const deletedPlacementIds = expensePlacementIds.filter(id => placementIdsBeingDeleted.includes(id));
         
-        if (listing.pricingPolicy === 'per_unit') {
-          pricingContext.quantity = designQuantity;
-        } else if (listing.pricingPolicy === 'per_table') {
-          pricingContext.tableCount = designQuantity;
-        } else if (listing.pricingPolicy === 'time_based') {
-          if (eventDuration !== null) {
-            pricingContext.eventDuration = eventDuration;
+        if (deletedPlacementIds.length > 0) {
+          // Get the service listing to calculate unit price
+          const serviceListing = expense.serviceListingId 
+            ? await prisma.serviceListing.findUnique({
+                where: { id: expense.serviceListingId },
+                select: { price: true, pricingPolicy: true },
+              })
+            : null;
+          
+          const unitPrice = serviceListing ? parseFloat(serviceListing.price || 0) : 0;
+          const remainingPlacementIds = expensePlacementIds.filter(id => !placementIdsBeingDeleted.includes(id));
+          
+          if (remainingPlacementIds.length === 0) {
+            // All placements deleted → delete the expense
+            await prisma.expense.delete({
+              where: { id: expense.id },
+            });
+            
+            // Update budget: add back to plannedSpend, remove from totalSpent if marked as paid
+            const expenseEstimatedCost = parseFloat(expense.estimatedCost || 0);
+            const expenseActualCost = expense.actualCost ? parseFloat(expense.actualCost) : 0;
+            
+            await prisma.budget.update({
+              where: { id: budget.id },
+              data: {
+                plannedSpend: { increment: expenseEstimatedCost },
+                totalSpent: expenseActualCost > 0 ? { decrement: expenseActualCost } : undefined,
+              },
+            });
           } else {
-            // Skip time_based services if event duration is not available
-            return;
+            // Some placements remain → reduce quantity and cost
+            const deletedCount = deletedPlacementIds.length;
+            const newQuantity = remainingPlacementIds.length;
+            
+            // Calculate new costs
+            const oldEstimatedCost = parseFloat(expense.estimatedCost || 0);
+            const oldActualCost = expense.actualCost ? parseFloat(expense.actualCost) : 0;
+            
+            // For grouped items, reduce proportionally
+            const costPerItem = oldEstimatedCost / expensePlacementIds.length;
+            const newEstimatedCost = costPerItem * newQuantity;
+            const newActualCost = oldActualCost > 0 ? (oldActualCost / expensePlacementIds.length) * newQuantity : null;
+            
+            // Update expense name to reflect new quantity
+            const nameMatch = expense.expenseName.match(/^(.+?)(\s*\((\d+)\))?$/);
+            const baseName = nameMatch ? nameMatch[1] : expense.expenseName;
+            const updatedName = newQuantity > 1 ? `${baseName} (${newQuantity})` : baseName;
+            
+            await prisma.expense.update({
+              where: { id: expense.id },
+              data: {
+                expenseName: updatedName,
+                estimatedCost: newEstimatedCost,
+                actualCost: newActualCost,
+                placedElementId: remainingPlacementIds[0], // Update to first remaining
+                placedElementIds: remainingPlacementIds, // Update placement IDs
+              },
+            });
+            
+            // Update budget: adjust plannedSpend and totalSpent
+            const estimatedCostChange = oldEstimatedCost - newEstimatedCost;
+            const actualCostChange = oldActualCost - (newActualCost || 0);
+            
+            await prisma.budget.update({
+              where: { id: budget.id },
+              data: {
+                plannedSpend: { increment: estimatedCostChange },
+                totalSpent: actualCostChange > 0 ? { decrement: actualCostChange } : undefined,
+              },
+            });
           }
         }
-        // fixed_package doesn't need context
-
-        const calculatedPrice = calculatePrice(listing, pricingContext);
-        totalPlannedSpend += parseFloat(calculatedPrice.toString());
-      } catch (err) {
-        console.warn(`[updatePlannedSpend] Failed to calculate price for ${listing.id}:`, err.message);
-        // Fallback to base price * quantity for per_unit/per_table, or base price for others
-        const basePrice = parseFloat(listing.price?.toString() || '0');
-        if (listing.pricingPolicy === 'per_unit' || listing.pricingPolicy === 'per_table') {
-          totalPlannedSpend += basePrice * designQuantity;
-        } else {
-          totalPlannedSpend += basePrice;
-        }
       }
+    }
+    
+    // Recalculate budget totals
+    const categories = await prisma.budgetCategory.findMany({
+      where: { budgetId: budget.id },
+      include: { expenses: true },
     });
-
-    // plannedSpend includes ALL services in the 3D venue design regardless of booking status
-    // This represents the total planned cost, not what's available to book
-    const plannedSpend = Math.max(0, totalPlannedSpend);
-
-    // Update budget
+    
+    let totalSpent = 0;
+    categories.forEach(category => {
+      category.expenses.forEach(expense => {
+        if (expense.actualCost) {
+          totalSpent += parseFloat(expense.actualCost);
+        }
+      });
+    });
+    
+    const currentBudget = await prisma.budget.findUnique({
+      where: { id: budget.id },
+    });
+    
     await prisma.budget.update({
-      where: { id: project.budget.id },
+      where: { id: budget.id },
       data: {
-        plannedSpend: plannedSpend,
-        totalRemaining: parseFloat(project.budget.totalBudget) - parseFloat(project.budget.totalSpent) - plannedSpend,
+        totalSpent: totalSpent,
+        totalRemaining: parseFloat(currentBudget.totalBudget) - totalSpent - parseFloat(currentBudget.plannedSpend || 0),
       },
     });
-  } catch (error) {
-    console.error('Error updating planned spend:', error);
-    // Don't throw - this is a background update
   }
 }
 
@@ -594,8 +729,7 @@ async function handlePerTableServiceExpenses(projectId, serviceListingIds, place
     }
 
     // Get ALL placements in the venue design to count how many tables are tagged for each service
-    const venueDesign = await prisma.venueDesign.findUnique({
-      where: { projectId },
+    const venueDesign = await getActiveVenueDesign(projectId, {
       select: { id: true },
     });
 
@@ -825,8 +959,7 @@ async function updatePerTableServiceExpenses(projectId, serviceListingIds) {
     }
 
     // Get venue design to count currently tagged tables
-    const venueDesign = await prisma.venueDesign.findUnique({
-      where: { projectId },
+    const venueDesign = await getActiveVenueDesign(projectId, {
       include: {
         placedElements: {
           where: {
@@ -1205,8 +1338,7 @@ async function getOrCreateVenueDesign(project) {
     cameraPosition: true,
   };
 
-  let venueDesign = await prisma.venueDesign.findUnique({
-    where: { projectId: project.id },
+  let venueDesign = await getActiveVenueDesign(project.id, {
     include: includeConfig,
   });
 
@@ -1227,7 +1359,7 @@ async function getOrCreateVenueDesign(project) {
       isActive: true,
     },
     include: {
-      designElement: true,
+      designElement: { omit: OMIT_FLOORPLAN },
     },
   });
 
@@ -1273,6 +1405,46 @@ async function getOrCreateVenueDesign(project) {
   return venueDesign;
 }
 
+/**
+ * First floor collision that moving/rotating placements of a design would cause, or null
+ * @param {Object} venueDesign - From getOrCreateVenueDesign (placedElements with position and designElement)
+ * @param {Array} updates - [{ id, position?, rotation? }]
+ */
+function findUpdateCollision(venueDesign, updates) {
+  const moves = toMoves(venueDesign, updates);
+  return moves.length > 0 ? findFootprintCollision(moves, venueDesign.placedElements) : null;
+}
+
+// Placements an update moves or turns, with where they would end up
+function toMoves(venueDesign, updates) {
+  const placementById = new Map(venueDesign.placedElements.map((placement) => [placement.id, placement]));
+  return updates
+    .filter((update) => update.position || update.rotation !== undefined)
+    .map((update) => ({
+      placement: placementById.get(update.id),
+      position: update.position,
+      rotation: update.rotation,
+    }))
+    .filter((move) => move.placement);
+}
+
+/**
+ * Walkable floor and no-go zones of the project's venue, or null when its model was
+ * not drawn in the floorplan editor
+ * @param {Object} project - From fetchProject (which leaves the floorplan out)
+ */
+async function getVenueLayout(project) {
+  const designElementId = project.venueServiceListing?.designElementId;
+  if (!designElementId) {
+    return null;
+  }
+  const designElement = await prisma.designElement.findUnique({
+    where: { id: designElementId },
+    select: { floorplanMetadata: true },
+  });
+  return buildVenueLayout(designElement?.floorplanMetadata);
+}
+
 router.get('/:projectId', requireAuth, async (req, res, next) => {
   try {
     if (req.user.role !== 'couple') {
@@ -1631,6 +1803,8 @@ router.get('/:projectId', requireAuth, async (req, res, next) => {
             isActive: venueListing.isActive,
             images: venueListing.images || [],
             modelFile: venueListing.designElement?.modelFile ?? null,
+            // Walkable floor and no-go zones the designer enforces while dragging
+            layout: await getVenueLayout(project),
             designElement: venueListing.designElement
               ? {
                   id: venueListing.designElement.id,
@@ -1660,6 +1834,7 @@ router.get('/:projectId', requireAuth, async (req, res, next) => {
         : null,
       design: {
         id: venueDesign.id,
+        name: venueDesign.name,
         layoutData,
         cameraPosition: venueDesign.cameraPosition
           ? {
@@ -1712,7 +1887,7 @@ router.get('/:projectId/vendor-preview', requireAuth, async (req, res, next) =>
       include: {
         venueServiceListing: {
           include: {
-            designElement: true,
+            designElement: { omit: OMIT_FLOORPLAN },
             vendor: {
               select: {
                 userId: true,
@@ -1772,7 +1947,15 @@ router.get('/:projectId/vendor-preview', requireAuth, async (req, res, next) =>
 
     const venueListing = project.venueServiceListing;
 
+    // Table numbers for the printable floor plan; guest names stay with the couple
+    const tables = await getSeatingTables(venueDesign);
+
     return res.json({
+      project: {
+        projectName: project.projectName,
+        weddingDate: project.weddingDate,
+        venueName: venueListing?.name || null,
+      },
       venue: venueListing?.designElement?.modelFile
         ? {
             id: venueListing.id,
@@ -1783,6 +1966,10 @@ router.get('/:projectId/vendor-preview', requireAuth, async (req, res, next) =>
       design: {
         id: venueDesign.id,
         layoutData,
+        cameraTours: layoutData.cameraTours || [],
+        lighting: layoutData.lighting || null,
+        annotations: layoutData.annotations || null,
+        tables: tables.map(({ id, tableNumber, name, capacity }) => ({ id, tableNumber, name, capacity })),
         placedElements: placements,
       },
     });
@@ -1794,7 +1981,7 @@ router.get('/:projectId/vendor-preview', requireAuth, async (req, res, next) =>
   }
 });
 
-router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
+router.post('/:projectId/elements', requireAuth, serializeDesignWrites, async (req, res, next) => {
   try {
     if (req.user.role !== 'couple') {
       return res.status(403).json({ error: 'Couple access required' });
@@ -1818,7 +2005,7 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
         isActive: true,
       },
       include: {
-        designElement: true,
+        designElement: { omit: OMIT_FLOORPLAN },
         vendor: {
           select: {
             userId: true,
@@ -1832,7 +2019,7 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
         },
         components: {
           include: {
-            designElement: true,
+            designElement: { omit: OMIT_FLOORPLAN },
           },
         },
       },
@@ -1886,12 +2073,17 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
 
     // If no 3D models, add to ProjectService instead of PlacedElement
     if (elementDescriptors.length === 0) {
+      // For headcount-driven services, quantity follows the confirmed guest count
       // For per_table services, initial quantity should be 0 (until tables are tagged)
       // For exclusive services, quantity must always be 1
       // For other services, use quantity 1
-      const isPerTable = serviceListing.pricingPolicy === 'per_table';
+      const followsHeadcount = serviceListing.quantityFollowsHeadcount;
+      const isPerTable = serviceListing.pricingPolicy === 'per_table' && !followsHeadcount;
       const isExclusive = serviceListing.availabilityType === 'exclusive';
-      const initialQuantity = isPerTable ? 0 : 1;
+      let initialQuantity = isPerTable ? 0 : 1;
+      if (followsHeadcount) {
+        initialQuantity = getHeadcountQuantity(serviceListing, await getConfirmedHeadcount(project.id));
+      }
       
       // Add to ProjectService table (for non-3D services)
       await prisma.projectService.upsert({
@@ -1904,8 +2096,9 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
         update: {
           // For exclusive services, keep quantity at 1 (don't increment)
           // For per_table services, quantity is managed by table tags
+          // For headcount-driven services, quantity is managed by RSVPs
           // For other services, increment quantity
-          ...(isExclusive || isPerTable ? {} : { quantity: { increment: 1 } }),
+          ...(isExclusive || isPerTable || followsHeadcount ? {} : { quantity: { increment: 1 } }),
         },
         create: {
           projectId: project.id,
@@ -1919,7 +2112,9 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
       await updatePlannedSpend(req.params.projectId);
 
       return res.status(200).json({
-        message: isPerTable 
+        message: followsHeadcount
+          ? 'Service added to project. Its quantity follows your confirmed guest count.'
+          : isPerTable
           ? 'Service added to project. Please tag tables in the 3D design to set the quantity.'
           : 'Service added to project (no 3D model available)',
         placements: [], // No placements for non-3D services
@@ -1936,85 +2131,51 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
 
     // Get existing placements to check for collisions
     const existingPlacements = venueDesign.placedElements || [];
-    
-      // Helper function to check if a position collides with existing placements
-      const findNonOverlappingPosition = (desiredPos, existingPlacements, designElement) => {
-        const COLLISION_RADIUS_DEFAULT = 0.4;
-        const CLEARANCE = 0.02;
-      
-      // Get footprint radius for the new element
-      let footprintRadius = COLLISION_RADIUS_DEFAULT;
-      if (designElement?.dimensions) {
-        const width = Number(designElement.dimensions.width) || 0;
-        const depth = Number(designElement.dimensions.depth) || 0;
-        const derived = Math.max(width, depth) / 2;
-        if (derived > 0) footprintRadius = derived;
-      }
-      
-      // Try the desired position first
-      let testPos = { ...desiredPos };
-      let attempts = 0;
+    const placementsBefore = [...existingPlacements];
+    const venueLayout = await getVenueLayout(project);
+
+    // Nearest free spot for a new element, searching outwards in a spiral from the desired position
+    const findNonOverlappingPosition = (desiredPos, existingPlacements, designElement) => {
+      const { halfWidth, halfDepth } = getFootprintExtents(designElement);
+      const step = Math.max(halfWidth, halfDepth) * 2 + 0.05;
       const maxAttempts = 100;
       const searchRadius = 20; // Maximum search radius
       const angleStep = Math.PI / 4; // 45 degrees
-      
-      while (attempts < maxAttempts) {
-        let hasCollision = false;
-        
-        // Check collision with all existing placements
-        for (const existing of existingPlacements) {
-          if (!existing.position) continue;
-          
-          const existingPos = existing.position;
-          const dx = testPos.x - existingPos.x;
-          const dz = testPos.z - existingPos.z;
-          const distance = Math.sqrt(dx * dx + dz * dz);
-          
-          // Get footprint radius for existing element
-          let existingRadius = COLLISION_RADIUS_DEFAULT;
-          if (existing.designElement?.dimensions) {
-            const width = Number(existing.designElement.dimensions.width) || 0;
-            const depth = Number(existing.designElement.dimensions.depth) || 0;
-            const derived = Math.max(width, depth) / 2;
-            if (derived > 0) existingRadius = derived;
-          }
-          
-          const threshold = Math.max(0.1, footprintRadius + existingRadius - CLEARANCE);
-          if (distance < threshold) {
-            hasCollision = true;
-            break;
-          }
-        }
-        
-        if (!hasCollision) {
+      let testPos = { ...desiredPos };
+
+      for (let attempts = 1; attempts <= maxAttempts; attempts += 1) {
+        const candidate = { placement: { designElement, rotation }, position: testPos, rotation };
+        if (
+          !findFootprintCollision([candidate], existingPlacements) &&
+          !findMoveLayoutViolation(venueLayout, [candidate])
+        ) {
           return testPos;
         }
-        
+
         // Try next position in a spiral pattern
-        attempts++;
         const ring = Math.floor(Math.sqrt(attempts));
         const angle = (attempts - ring * ring) * angleStep;
-        const radius = ring * (footprintRadius * 2 + CLEARANCE);
         testPos = {
-          x: desiredPos.x + radius * Math.cos(angle),
+          x: desiredPos.x + ring * step * Math.cos(angle),
           y: desiredPos.y,
-          z: desiredPos.z + radius * Math.sin(angle),
+          z: desiredPos.z + ring * step * Math.sin(angle),
         };
-        
+
         // Check if we've gone too far
-        const distanceFromOrigin = Math.sqrt(testPos.x * testPos.x + testPos.z * testPos.z);
-        if (distanceFromOrigin > searchRadius) {
+        if (Math.sqrt(testPos.x * testPos.x + testPos.z * testPos.z) > searchRadius) {
           // Reset to a closer position
           testPos = {
-            x: desiredPos.x + (ring % 4) * (footprintRadius * 2 + CLEARANCE),
+            x: desiredPos.x + (ring % 4) * step,
             y: desiredPos.y,
-            z: desiredPos.z + Math.floor(ring / 4) * (footprintRadius * 2 + CLEARANCE),
+            z: desiredPos.z + Math.floor(ring / 4) * step,
           };
         }
       }
-      
-      // If we couldn't find a position, return the original (user can manually adjust)
-      return desiredPos;
+
+      // No free floor space nearby; the element is not placed on top of another one
+      const error = new Error(`There is no free space near this position for ${designElement?.name || 'the element'}.`);
+      error.statusCode = 409;
+      throw error;
     };
 
     await prisma.$transaction(async (tx) => {
@@ -2081,6 +2242,7 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
       const placementsMeta = { ...(layoutData.placementsMeta || {}) };
 
       Object.assign(placementsMeta, metadataEntries);
+      numberTables(placementsMeta, placementsBefore, createdPlacements);
 
       await tx.venueDesign.update({
         where: { id: venueDesign.id },
@@ -2104,6 +2266,8 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
     // Update planned spend in background (don't wait)
     updatePlannedSpend(req.params.projectId).catch(console.error);
 
+    emitDesignChange(req, venueDesign.id, 'placements-upserted', { placements: responsePlacements });
+
     return res.status(201).json({
       bundleId,
       placements: responsePlacements,
@@ -2126,99 +2290,195 @@ router.post('/:projectId/elements', requireAuth, async (req, res, next) => {
   }
 });
 
-router.patch('/:projectId/elements/:elementId', requireAuth, async (req, res, next) => {
+/**
+ * Number of units of a listing already in a design (a bundle counts once)
+ */
+function countDesignUnits(placementsMeta, serviceListingId) {
+  const units = new Set();
+  Object.entries(placementsMeta).forEach(([placementId, meta]) => {
+    if (meta?.serviceListingId === serviceListingId) {
+      units.add(meta.bundleId || placementId);
+    }
+  });
+  return units.size;
+}
+
+/**
+ * POST /venue-designs/:projectId/elements/pattern
+ * Place many copies of a single-item listing at once: a rows x columns grid, a circle
+ * around a point, or chairs around a placed table (sized from the table's dimensions).
+ * Runs the same listing, availability and quantity checks as adding a single element;
+ * every copy is its own unit and they share a patternId in their metadata.
+ */
+router.post('/:projectId/elements/pattern', requireAuth, serializeDesignWrites, async (req, res, next) => {
   try {
     if (req.user.role !== 'couple') {
       return res.status(403).json({ error: 'Couple access required' });
     }
 
-    const payload = UPDATE_ELEMENT_SCHEMA.parse(req.body);
+    const payload = PATTERN_SCHEMA.parse(req.body);
 
     const project = await fetchProject(req.params.projectId, req.user.sub);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Check if project is archived
     await checkProjectCanBeModified(req.params.projectId, req.user.sub);
 
     const venueDesign = await getOrCreateVenueDesign(project);
 
-    const placement = await prisma.placedElement.findFirst({
+    const serviceListing = await prisma.serviceListing.findFirst({
       where: {
-        id: req.params.elementId,
-        venueDesignId: venueDesign.id,
+        id: payload.serviceListingId,
+        isActive: true,
       },
       include: {
-        position: true,
+        designElement: { omit: OMIT_FLOORPLAN },
+        vendor: {
+          select: {
+            userId: true,
+            user: {
+              select: {
+                name: true,
+                email: true,
+              },
+            },
+          },
+        },
+        components: {
+          select: { id: true },
+        },
       },
     });
 
-    if (!placement) {
-      return res.status(404).json({ error: 'Placed element not found' });
+    if (!serviceListing) {
+      return res.status(404).json({ error: 'Service listing not found or inactive' });
+    }
+
+    if (serviceListing.category === 'Venue') {
+      return res.status(400).json({ error: 'Venue listings cannot be placed inside another venue.' });
+    }
+
+    if (!serviceListing.designElementId || !serviceListing.designElement) {
+      return res.status(400).json({ error: 'Only services with a 3D model can be placed as a pattern.' });
+    }
+
+    if (serviceListing.components.length > 0) {
+      return res.status(400).json({
+        error: 'Patterns place single items only. Add bundled services (e.g. table sets) one at a time.',
+      });
+    }
+
+    let availability = null;
+    if (project.weddingDate) {
+      const weddingDateIso =
+        project.weddingDate instanceof Date
+          ? project.weddingDate.toISOString().slice(0, 10)
+          : project.weddingDate.toString().slice(0, 10);
+
+      availability = await checkServiceAvailabilityForDate(serviceListing.id, weddingDateIso);
+
+      if (availability && availability.available === false) {
+        return res.status(400).json({
+          error: availability.reason || 'Service is unavailable on the selected wedding date',
+        });
+      }
+    }
+
+    const existingPlacements = venueDesign.placedElements || [];
+    let slots;
+    let table = null;
+    if (payload.pattern === 'grid') {
+      slots = buildGridSlots(payload);
+    } else if (payload.pattern === 'circle') {
+      slots = buildCircleSlots(payload);
+    } else {
+      table = existingPlacements.find((placement) => placement.id === payload.tableElementId);
+      if (!table) {
+        return res.status(404).json({ error: 'Table not found in this design' });
+      }
+      const dimensions = table.designElement?.dimensions;
+      if (!dimensions || !(Number(dimensions.width) > 0) || !(Number(dimensions.depth) > 0)) {
+        return res.status(400).json({ error: 'This table has no dimensions, so chairs cannot be arranged around it.' });
+      }
+      slots = buildChairsAroundTableSlots(table, serviceListing.designElement, payload.count);
+    }
+
+    // Chairs are meant to sit close to their own table, so it is not an obstacle
+    const obstacles = table ? existingPlacements.filter((placement) => placement.id !== table.id) : existingPlacements;
+    const { free, occupied } = partitionOccupiedSlots(
+      slots,
+      serviceListing.designElement,
+      obstacles,
+      await getVenueLayout(project)
+    );
+    if (occupied.length > 0 && !payload.skipOccupied) {
+      return res.status(409).json({
+        error: `${occupied.length} of ${slots.length} spots overlap items already in the design or the venue's walls, columns or stage. Move the pattern or skip occupied spots.`,
+        occupiedCount: occupied.length,
+      });
+    }
+    if (free.length === 0) {
+      return res.status(400).json({ error: 'Every spot in this pattern is already occupied.' });
     }
 
     const layoutData = venueDesign.layoutData || {};
     const placementsMeta = { ...(layoutData.placementsMeta || {}) };
-    const existingMeta = placementsMeta[placement.id] || {};
+    const unitsInDesign = countDesignUnits(placementsMeta, serviceListing.id);
+
+    if (serviceListing.availabilityType === 'exclusive' && unitsInDesign + free.length > 1) {
+      return res.status(400).json({
+        error: `This is an exclusive service (${serviceListing.name}). Only one instance can be placed in the design.`,
+        warning: true,
+      });
+    }
+    if (serviceListing.availabilityType === 'quantity_based') {
+      const limit = availability?.availableQuantity ?? serviceListing.maxQuantity;
+      if (limit && unitsInDesign + free.length > limit) {
+        return res.status(400).json({
+          error: `Only ${Math.max(limit - unitsInDesign, 0)} more of ${serviceListing.name} can be added (maximum ${limit}).`,
+          warning: true,
+        });
+      }
+    }
+
+    const patternId = prefixedUlid('pat');
+    const unitPrice = serviceListing.price ? serviceListing.price.toString() : null;
+    const createdPlacements = [];
 
     await prisma.$transaction(async (tx) => {
-      if (payload.position) {
-        await tx.coordinates.update({
-          where: { id: placement.positionId },
+      for (const slot of free) {
+        const positionRecord = await tx.coordinates.create({
           data: {
-            x: payload.position.x,
-            y: payload.position.y,
-            z: payload.position.z,
+            id: prefixedUlid('pos'),
+            x: slot.position.x,
+            y: slot.position.y,
+            z: slot.position.z,
           },
         });
-      }
 
-      if (payload.rotation !== undefined || payload.isLocked !== undefined || payload.parentElementId !== undefined) {
-        const updateData = {};
-        if (payload.rotation !== undefined) updateData.rotation = payload.rotation;
-        if (payload.isLocked !== undefined) updateData.isLocked = payload.isLocked;
-        if (payload.parentElementId !== undefined) {
-          console.log('[Backend] Updating parentElementId:', {
-            placementId: placement.id,
-            newParentElementId: payload.parentElementId,
-            currentParentElementId: placement.parentElementId,
-          });
-          // Validate parent exists and is in same venue design
-          if (payload.parentElementId !== null) {
-            const parentExists = await tx.placedElement.findFirst({
-              where: {
-                id: payload.parentElementId,
-                venueDesignId: venueDesign.id,
-              },
-            });
-            if (!parentExists) {
-              console.error('[Backend] Parent element not found:', payload.parentElementId);
-              throw new Error('Parent element not found');
-            }
-            // Prevent circular references
-            if (payload.parentElementId === placement.id) {
-              console.error('[Backend] Circular reference detected:', payload.parentElementId);
-              throw new Error('Element cannot be its own parent');
-            }
-          }
-          updateData.parentElementId = payload.parentElementId;
-        }
-        if (Object.keys(updateData).length > 0) {
-          await tx.placedElement.update({
-            where: { id: placement.id },
-            data: updateData,
-          });
-          console.log('[Backend] Updated placement:', placement.id, 'with data:', updateData);
-        }
-      }
+        const placement = await tx.placedElement.create({
+          data: {
+            id: prefixedUlid('ple'),
+            venueDesignId: venueDesign.id,
+            designElementId: serviceListing.designElementId,
+            positionId: positionRecord.id,
+            rotation: slot.rotation,
+          },
+          include: PLACEMENT_INCLUDE,
+        });
 
-      if (payload.metadata) {
+        createdPlacements.push(placement);
         placementsMeta[placement.id] = {
-          ...existingMeta,
-          ...payload.metadata,
+          serviceListingId: serviceListing.id,
+          bundleId: prefixedUlid('bnd'),
+          role: 'primary',
+          quantityIndex: null,
+          unitPrice,
+          patternId,
         };
       }
+      numberTables(placementsMeta, venueDesign.placedElements, createdPlacements);
 
       await tx.venueDesign.update({
         where: { id: venueDesign.id },
@@ -2232,43 +2492,22 @@ router.patch('/:projectId/elements/:elementId', requireAuth, async (req, res, ne
       });
     });
 
-    const updatedPlacement = await prisma.placedElement.findUnique({
-      where: { id: placement.id },
-      include: PLACEMENT_INCLUDE,
-    });
-
-    const serviceListingId = placementsMeta[placement.id]?.serviceListingId;
-    let serviceListingInfo = null;
-    if (serviceListingId) {
-      const serviceListing = await prisma.serviceListing.findUnique({
-        where: { id: serviceListingId },
-        include: {
-          vendor: {
-            select: {
-              userId: true,
-              user: {
-                select: {
-                  name: true,
-                  email: true,
-                },
-              },
-            },
-          },
-        },
-      });
-      serviceListingInfo = serializeServiceListing(serviceListing);
-    }
-
-    const responsePlacement = serializePlacement(
-      updatedPlacement,
-      placementsMeta[placement.id],
-      serviceListingInfo ? { [serviceListingInfo.id]: serviceListingInfo } : {}
+    const serviceInfo = serializeServiceListing(serviceListing);
+    const serviceMap = { [serviceInfo.id]: serviceInfo };
+    const responsePlacements = createdPlacements.map((placement) =>
+      serializePlacement(placement, placementsMeta[placement.id], serviceMap)
     );
 
     // Update planned spend in background (don't wait)
     updatePlannedSpend(req.params.projectId).catch(console.error);
 
-    return res.json(responsePlacement);
+    emitDesignChange(req, venueDesign.id, 'placements-upserted', { placements: responsePlacements });
+
+    return res.status(201).json({
+      patternId,
+      placements: responsePlacements,
+      skippedCount: occupied.length,
+    });
   } catch (err) {
     if (err instanceof z.ZodError) {
       const issues = err.issues.map((issue) => ({
@@ -2287,264 +2526,120 @@ router.patch('/:projectId/elements/:elementId', requireAuth, async (req, res, ne
   }
 });
 
-router.delete('/:projectId/elements/:elementId', requireAuth, async (req, res, next) => {
+/**
+ * PATCH /venue-designs/:projectId/elements
+ * Update several placements in one transaction (group move, rotate, align, lock).
+ * Body: { updates: [{ id, position?, rotation?, isLocked?, parentElementId?, metadata? }] }
+ */
+router.patch('/:projectId/elements', requireAuth, serializeDesignWrites, async (req, res, next) => {
   try {
     if (req.user.role !== 'couple') {
       return res.status(403).json({ error: 'Couple access required' });
     }
 
-    const removeScope = req.query.scope === 'bundle' ? 'bundle' : 'single';
+    const payload = BATCH_UPDATE_ELEMENTS_SCHEMA.parse(req.body);
 
     const project = await fetchProject(req.params.projectId, req.user.sub);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Check if project is archived
     await checkProjectCanBeModified(req.params.projectId, req.user.sub);
 
     const venueDesign = await getOrCreateVenueDesign(project);
 
-    const layoutData = venueDesign.layoutData || {};
-    const placementsMeta = { ...(layoutData.placementsMeta || {}) };
-
-    const targetMeta = placementsMeta[req.params.elementId];
-
-    const placementIdsToDelete = [req.params.elementId];
-    if (removeScope === 'bundle' && targetMeta?.bundleId) {
-      Object.entries(placementsMeta).forEach(([placementId, meta]) => {
-        if (meta?.bundleId === targetMeta.bundleId && !placementIdsToDelete.includes(placementId)) {
-          placementIdsToDelete.push(placementId);
-        }
-      });
+    const updateIds = payload.updates.map((update) => update.id);
+    if (new Set(updateIds).size !== updateIds.length) {
+      return res.status(400).json({ error: 'Each element can only appear once per batch' });
     }
 
     const placements = await prisma.placedElement.findMany({
       where: {
-        id: { in: placementIdsToDelete },
+        id: { in: updateIds },
         venueDesignId: venueDesign.id,
       },
-      select: {
-        id: true,
-        positionId: true,
-        isBooked: true,
-      },
+      select: { id: true, positionId: true },
     });
-
-    if (placements.length === 0) {
+    if (placements.length !== updateIds.length) {
       return res.status(404).json({ error: 'Placed element not found' });
     }
+    const placementMap = new Map(placements.map((placement) => [placement.id, placement]));
 
-    // Prevent removal of any booked elements
-    const hasBookedPlacement = placements.some((p) => p.isBooked);
-    if (hasBookedPlacement) {
-      return res.status(400).json({
-        error:
-          'One or more selected elements are part of a booking and cannot be removed. Please contact your vendor if you need to change a booked service.',
+    const parentIds = [
+      ...new Set(payload.updates.map((update) => update.parentElementId).filter(Boolean)),
+    ];
+    for (const update of payload.updates) {
+      if (update.parentElementId && update.parentElementId === update.id) {
+        return res.status(400).json({ error: 'Element cannot be its own parent' });
+      }
+    }
+    if (parentIds.length > 0) {
+      const parentCount = await prisma.placedElement.count({
+        where: { id: { in: parentIds }, venueDesignId: venueDesign.id },
       });
+      if (parentCount !== parentIds.length) {
+        return res.status(400).json({ error: 'Parent element not found' });
+      }
     }
 
-    const positionIds = placements.map((placement) => placement.positionId);
-    const placementIdsBeingDeleted = placements.map((p) => p.id);
+    const stackingError = findStackingError(payload.updates, venueDesign.placedElements);
+    if (stackingError) {
+      return res.status(400).json({ error: stackingError.message, elementIds: [stackingError.placement.id] });
+    }
 
-    // Hybrid cleanup: Handle expenses linked to placements being deleted
-    // Check for expenses that reference these placements
-    const budget = await prisma.budget.findUnique({
-      where: { projectId: req.params.projectId },
-      include: {
-        categories: {
-          include: {
-            expenses: {
-              where: {
-                from3DDesign: true,
-                OR: [
-                  { placedElementId: { in: placementIdsBeingDeleted } },
-                ],
-              },
+    const collision = findUpdateCollision(venueDesign, payload.updates);
+    if (collision) {
+      return res.status(409).json({
+        error: describeCollision(collision),
+        elementIds: [collision.placement.id, collision.other.id],
+      });
+    }
+
+    const layoutViolation = findMoveLayoutViolation(
+      await getVenueLayout(project),
+      toMoves(venueDesign, payload.updates)
+    );
+    if (layoutViolation) {
+      return res.status(409).json({
+        error: describeLayoutViolation(layoutViolation),
+        elementIds: [layoutViolation.placement.id],
+      });
+    }
+
+    const layoutData = venueDesign.layoutData || {};
+    const placementsMeta = { ...(layoutData.placementsMeta || {}) };
+
+    await prisma.$transaction(async (tx) => {
+      for (const update of payload.updates) {
+        const placement = placementMap.get(update.id);
+
+        if (update.position) {
+          await tx.coordinates.update({
+            where: { id: placement.positionId },
+            data: {
+              x: update.position.x,
+              y: update.position.y,
+              z: update.position.z,
             },
-          },
-        },
-      },
-    });
-    
-    // Also check expenses with placedElementIds JSON field
-    // We'll check this manually since Prisma doesn't have great JSON array query support
-    const allExpenses = budget ? budget.categories.flatMap(cat => cat.expenses) : [];
-    const expensesToCheck = allExpenses.filter(expense => {
-      if (placementIdsBeingDeleted.includes(expense.placedElementId)) {
-        return true;
-      }
-      if (expense.placedElementIds && Array.isArray(expense.placedElementIds)) {
-        return expense.placedElementIds.some(id => placementIdsBeingDeleted.includes(id));
-      }
-      // Check remark for old data
-      if (expense.remark) {
-        try {
-          const remarkData = JSON.parse(expense.remark);
-          if (remarkData.placedElementIds && Array.isArray(remarkData.placedElementIds)) {
-            return remarkData.placedElementIds.some(id => placementIdsBeingDeleted.includes(id));
-          }
-        } catch (e) {
-          // Not JSON, skip
+          });
         }
-      }
-      return false;
-    });
 
-    if (budget && expensesToCheck.length > 0) {
-      // Group expenses by category for easier processing
-      const expensesByCategory = new Map();
-      budget.categories.forEach(category => {
-        category.expenses.forEach(expense => {
-          if (expensesToCheck.includes(expense)) {
-            if (!expensesByCategory.has(category.id)) {
-              expensesByCategory.set(category.id, []);
-            }
-            expensesByCategory.get(category.id).push(expense);
-          }
+        const updateData = { version: { increment: 1 } };
+        if (update.rotation !== undefined) updateData.rotation = update.rotation;
+        if (update.isLocked !== undefined) updateData.isLocked = update.isLocked;
+        if (update.parentElementId !== undefined) updateData.parentElementId = update.parentElementId;
+        await tx.placedElement.update({
+          where: { id: placement.id },
+          data: updateData,
         });
-      });
-      
-      for (const [categoryId, expenses] of expensesByCategory.entries()) {
-        for (const expense of expenses) {
-          // Get all placement IDs for this expense
-          let expensePlacementIds = [];
-          if (expense.placedElementIds && Array.isArray(expense.placedElementIds)) {
-            expensePlacementIds = expense.placedElementIds;
-          } else if (expense.placedElementId) {
-            expensePlacementIds = [expense.placedElementId];
-          } else {
-            // Check remark field for old data
-            try {
-              if (expense.remark) {
-                const remarkData = JSON.parse(expense.remark);
-                if (remarkData.placedElementIds && Array.isArray(remarkData.placedElementIds)) {
-                  expensePlacementIds = remarkData.placedElementIds;
-                }
-              }
-            } catch (e) {
-              // Not JSON, skip
-            }
-          }
 
-          // Find which placements from this expense are being deleted
-          const deletedPlacementIds = expensePlacementIds.filter(id => placementIdsBeingDeleted.includes(id));
-          
-          if (deletedPlacementIds.length > 0) {
-            // Get the service listing to calculate unit price
-            const serviceListing = expense.serviceListingId 
-              ? await prisma.serviceListing.findUnique({
-                  where: { id: expense.serviceListingId },
-                  select: { price: true, pricingPolicy: true },
-                })
-              : null;
-            
-            const unitPrice = serviceListing ? parseFloat(serviceListing.price || 0) : 0;
-            const remainingPlacementIds = expensePlacementIds.filter(id => !placementIdsBeingDeleted.includes(id));
-            
-            if (remainingPlacementIds.length === 0) {
-              // All placements deleted → delete the expense
-              await prisma.expense.delete({
-                where: { id: expense.id },
-              });
-              
-              // Update budget: add back to plannedSpend, remove from totalSpent if marked as paid
-              const expenseEstimatedCost = parseFloat(expense.estimatedCost || 0);
-              const expenseActualCost = expense.actualCost ? parseFloat(expense.actualCost) : 0;
-              
-              await prisma.budget.update({
-                where: { id: budget.id },
-                data: {
-                  plannedSpend: { increment: expenseEstimatedCost },
-                  totalSpent: expenseActualCost > 0 ? { decrement: expenseActualCost } : undefined,
-                },
-              });
-            } else {
-              // Some placements remain → reduce quantity and cost
-              const deletedCount = deletedPlacementIds.length;
-              const newQuantity = remainingPlacementIds.length;
-              
-              // Calculate new costs
-              const oldEstimatedCost = parseFloat(expense.estimatedCost || 0);
-              const oldActualCost = expense.actualCost ? parseFloat(expense.actualCost) : 0;
-              
-              // For grouped items, reduce proportionally
-              const costPerItem = oldEstimatedCost / expensePlacementIds.length;
-              const newEstimatedCost = costPerItem * newQuantity;
-              const newActualCost = oldActualCost > 0 ? (oldActualCost / expensePlacementIds.length) * newQuantity : null;
-              
-              // Update expense name to reflect new quantity
-              const nameMatch = expense.expenseName.match(/^(.+?)(\s*\((\d+)\))?$/);
-              const baseName = nameMatch ? nameMatch[1] : expense.expenseName;
-              const updatedName = newQuantity > 1 ? `${baseName} (${newQuantity})` : baseName;
-              
-              await prisma.expense.update({
-                where: { id: expense.id },
-                data: {
-                  expenseName: updatedName,
-                  estimatedCost: newEstimatedCost,
-                  actualCost: newActualCost,
-                  placedElementId: remainingPlacementIds[0], // Update to first remaining
-                  placedElementIds: remainingPlacementIds, // Update placement IDs
-                },
-              });
-              
-              // Update budget: adjust plannedSpend and totalSpent
-              const estimatedCostChange = oldEstimatedCost - newEstimatedCost;
-              const actualCostChange = oldActualCost - (newActualCost || 0);
-              
-              await prisma.budget.update({
-                where: { id: budget.id },
-                data: {
-                  plannedSpend: { increment: estimatedCostChange },
-                  totalSpent: actualCostChange > 0 ? { decrement: actualCostChange } : undefined,
-                },
-              });
-            }
-          }
+        if (update.metadata) {
+          placementsMeta[placement.id] = {
+            ...(placementsMeta[placement.id] || {}),
+            ...update.metadata,
+          };
         }
       }
-      
-      // Recalculate budget totals
-      const categories = await prisma.budgetCategory.findMany({
-        where: { budgetId: budget.id },
-        include: { expenses: true },
-      });
-      
-      let totalSpent = 0;
-      categories.forEach(category => {
-        category.expenses.forEach(expense => {
-          if (expense.actualCost) {
-            totalSpent += parseFloat(expense.actualCost);
-          }
-        });
-      });
-      
-      const currentBudget = await prisma.budget.findUnique({
-        where: { id: budget.id },
-      });
-      
-      await prisma.budget.update({
-        where: { id: budget.id },
-        data: {
-          totalSpent: totalSpent,
-          totalRemaining: parseFloat(currentBudget.totalBudget) - totalSpent - parseFloat(currentBudget.plannedSpend || 0),
-        },
-      });
-    }
-
-    await prisma.$transaction(async (tx) => {
-      await tx.placedElement.deleteMany({
-        where: { id: { in: placements.map((p) => p.id) } },
-      });
-
-      await tx.coordinates.deleteMany({
-        where: { id: { in: positionIds } },
-      });
-
-      placementIdsToDelete.forEach((placementId) => {
-        delete placementsMeta[placementId];
-      });
 
       await tx.venueDesign.update({
         where: { id: venueDesign.id },
@@ -2558,14 +2653,58 @@ router.delete('/:projectId/elements/:elementId', requireAuth, async (req, res, n
       });
     });
 
-    // Update planned spend immediately so frontend gets fresh data
-    await updatePlannedSpend(req.params.projectId);
-
-    return res.json({
-      removedPlacementIds: placements.map((p) => p.id),
-      removedBundle: removeScope === 'bundle' && targetMeta?.bundleId ? targetMeta.bundleId : null,
+    const updatedPlacements = await prisma.placedElement.findMany({
+      where: { id: { in: updateIds } },
+      include: PLACEMENT_INCLUDE,
     });
+
+    const serviceListingIds = [
+      ...new Set(updateIds.map((id) => placementsMeta[id]?.serviceListingId).filter(Boolean)),
+    ];
+    const serviceListings = serviceListingIds.length
+      ? await prisma.serviceListing.findMany({
+          where: { id: { in: serviceListingIds } },
+          include: {
+            vendor: {
+              select: {
+                userId: true,
+                user: {
+                  select: {
+                    name: true,
+                    email: true,
+                  },
+                },
+              },
+            },
+          },
+        })
+      : [];
+    const serviceMap = serviceListings.reduce((acc, listing) => {
+      acc[listing.id] = serializeServiceListing(listing);
+      return acc;
+    }, {});
+
+    const responsePlacements = updatedPlacements.map((placement) =>
+      serializePlacement(placement, placementsMeta[placement.id], serviceMap)
+    );
+
+    // Update planned spend in background (don't wait)
+    updatePlannedSpend(req.params.projectId).catch(console.error);
+
+    emitDesignChange(req, venueDesign.id, 'placements-upserted', { placements: responsePlacements });
+
+    return res.json({ placements: responsePlacements });
   } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.[0] ?? 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
     if (err.statusCode) {
       return res.status(err.statusCode).json({ error: err.message });
     }
@@ -2573,324 +2712,1665 @@ router.delete('/:projectId/elements/:elementId', requireAuth, async (req, res, n
   }
 });
 
-// Duplicate element endpoint
-router.post('/:projectId/elements/:elementId/duplicate', requireAuth, async (req, res, next) => {
+router.patch('/:projectId/elements/:elementId', requireAuth, serializeDesignWrites, async (req, res, next) => {
   try {
     if (req.user.role !== 'couple') {
       return res.status(403).json({ error: 'Couple access required' });
     }
 
+    const payload = UPDATE_ELEMENT_SCHEMA.parse(req.body);
+
     const project = await fetchProject(req.params.projectId, req.user.sub);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
+    // Check if project is archived
     await checkProjectCanBeModified(req.params.projectId, req.user.sub);
 
     const venueDesign = await getOrCreateVenueDesign(project);
 
-    const originalPlacement = await prisma.placedElement.findFirst({
+    const placement = await prisma.placedElement.findFirst({
       where: {
         id: req.params.elementId,
         venueDesignId: venueDesign.id,
       },
       include: {
         position: true,
-        designElement: true,
       },
     });
 
-    if (!originalPlacement) {
+    if (!placement) {
       return res.status(404).json({ error: 'Placed element not found' });
     }
 
-    const layoutData = venueDesign.layoutData || {};
-    const placementsMeta = { ...(layoutData.placementsMeta || {}) };
-    const originalMeta = placementsMeta[originalPlacement.id] || {};
+    if (payload.parentElementId === placement.id) {
+      return res.status(400).json({ error: 'Element cannot be its own parent' });
+    }
+    const stackingError = findStackingError([{ id: placement.id, ...payload }], venueDesign.placedElements);
+    if (stackingError) {
+      return res.status(400).json({ error: stackingError.message, elementIds: [placement.id] });
+    }
 
-    // Check if this is part of a bundle - if so, duplicate the entire bundle
-    const bundleId = originalMeta.bundleId;
-    let bundlePlacements = [];
-    if (bundleId) {
-      // Find all placements in the same bundle
-      const allPlacements = await prisma.placedElement.findMany({
-        where: { venueDesignId: venueDesign.id },
-        include: { position: true, designElement: true },
-      });
-      
-      bundlePlacements = allPlacements.filter((p) => {
-        const meta = placementsMeta[p.id] || {};
-        return meta.bundleId === bundleId;
+    const collision = findUpdateCollision(venueDesign, [{ id: placement.id, ...payload }]);
+    if (collision) {
+      return res.status(409).json({
+        error: describeCollision(collision),
+        elementIds: [collision.placement.id, collision.other.id],
       });
-    } else {
-      // Single element, not part of a bundle
-      bundlePlacements = [originalPlacement];
     }
 
-    // Get service listing info to check availability type (use first placement's service)
-    const serviceListingId = originalMeta.serviceListingId;
-    let serviceListing = null;
-    if (serviceListingId) {
-      serviceListing = await prisma.serviceListing.findUnique({
-        where: { id: serviceListingId },
-        select: {
-          id: true,
-          availabilityType: true,
-          maxQuantity: true,
-          name: true,
-        },
+    const layoutViolation = findMoveLayoutViolation(
+      await getVenueLayout(project),
+      toMoves(venueDesign, [{ id: placement.id, ...payload }])
+    );
+    if (layoutViolation) {
+      return res.status(409).json({
+        error: describeLayoutViolation(layoutViolation),
+        elementIds: [placement.id],
       });
     }
 
-    // Check duplication limits based on service type
-    // For bundles, we count by bundle instances, not individual elements
-    if (serviceListing) {
-      if (serviceListing.availabilityType === 'exclusive') {
-        // Count unique bundles (not individual placements)
-        const uniqueBundles = new Set();
-        Object.values(placementsMeta).forEach((meta) => {
-          if (meta.serviceListingId === serviceListingId && meta.bundleId) {
-            uniqueBundles.add(meta.bundleId);
-          } else if (meta.serviceListingId === serviceListingId && !meta.bundleId) {
-            // Single element (not part of bundle) counts as one instance
-            uniqueBundles.add(`single_${Object.keys(placementsMeta).find(k => placementsMeta[k] === meta)}`);
-          }
+    const layoutData = venueDesign.layoutData || {};
+    const placementsMeta = { ...(layoutData.placementsMeta || {}) };
+    const existingMeta = placementsMeta[placement.id] || {};
+
+    await prisma.$transaction(async (tx) => {
+      if (payload.position) {
+        await tx.coordinates.update({
+          where: { id: placement.positionId },
+          data: {
+            x: payload.position.x,
+            y: payload.position.y,
+            z: payload.position.z,
+          },
         });
-        
-        if (uniqueBundles.size >= 1) {
-          return res.status(400).json({
-            error: `This is an exclusive service (${serviceListing.name}). Only one instance can be placed in the design.`,
-            warning: true,
+      }
+
+      if (payload.rotation !== undefined || payload.isLocked !== undefined || payload.parentElementId !== undefined) {
+        const updateData = {};
+        if (payload.rotation !== undefined) updateData.rotation = payload.rotation;
+        if (payload.isLocked !== undefined) updateData.isLocked = payload.isLocked;
+        if (payload.parentElementId !== undefined) {
+          console.log('[Backend] Updating parentElementId:', {
+            placementId: placement.id,
+            newParentElementId: payload.parentElementId,
+            currentParentElementId: placement.parentElementId,
           });
+          // The parent was checked against the stacking rules above
+          updateData.parentElementId = payload.parentElementId;
         }
-      } else if (serviceListing.availabilityType === 'quantity_based' && serviceListing.maxQuantity) {
-        // Count unique bundles (not individual placements)
-        const uniqueBundles = new Set();
-        Object.values(placementsMeta).forEach((meta) => {
-          if (meta.serviceListingId === serviceListingId && meta.bundleId) {
-            uniqueBundles.add(meta.bundleId);
-          } else if (meta.serviceListingId === serviceListingId && !meta.bundleId) {
-            uniqueBundles.add(`single_${Object.keys(placementsMeta).find(k => placementsMeta[k] === meta)}`);
-          }
-        });
-        
-        if (uniqueBundles.size >= serviceListing.maxQuantity) {
-          return res.status(400).json({
-            error: `Maximum quantity (${serviceListing.maxQuantity}) for this service has been reached.`,
-            warning: true,
+        if (Object.keys(updateData).length > 0) {
+          await tx.placedElement.update({
+            where: { id: placement.id },
+            data: updateData,
           });
+          console.log('[Backend] Updated placement:', placement.id, 'with data:', updateData);
         }
       }
-      // 'reusable' services have no limit - allow unlimited duplication
-    }
-
-    // Calculate offset position for the bundle (use the first placement as reference)
-    const referencePlacement = bundlePlacements[0];
-    const COLLISION_RADIUS_DEFAULT = 0.4;
-    const CLEARANCE = 0.1;
-    
-    // Calculate bundle bounding box to determine offset distance
-    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
-    bundlePlacements.forEach((p) => {
-      if (p.position) {
-        minX = Math.min(minX, p.position.x);
-        maxX = Math.max(maxX, p.position.x);
-        minZ = Math.min(minZ, p.position.z);
-        maxZ = Math.max(maxZ, p.position.z);
-      }
-    });
-    const bundleWidth = Math.max(maxX - minX, 0.5);
-    const bundleDepth = Math.max(maxZ - minZ, 0.5);
-    const offsetDistance = Math.max(bundleWidth, bundleDepth) + CLEARANCE;
-
-    // Get existing placements to find non-overlapping position
-    const existingPlacements = await prisma.placedElement.findMany({
-      where: { venueDesignId: venueDesign.id },
-      include: { position: true, designElement: true },
-    });
-
-    const findNonOverlappingPosition = (desiredPos, existingPlacements, bundleBounds) => {
-      let testPos = { ...desiredPos };
-      let attempts = 0;
-      const maxAttempts = 50;
-      const angleStep = Math.PI / 4; // 45 degrees
-
-      while (attempts < maxAttempts) {
-        let hasCollision = false;
-
-        // Check if the bundle at this position would collide with any existing placement
-        for (const existing of existingPlacements) {
-          if (!existing.position) continue;
-          // Skip placements that are part of the original bundle we're duplicating
-          const existingMeta = placementsMeta[existing.id] || {};
-          if (existingMeta.bundleId === bundleId) continue;
-
-          // Check if bundle bounds overlap with existing placement
-          const bundleMinX = testPos.x - bundleWidth / 2;
-          const bundleMaxX = testPos.x + bundleWidth / 2;
-          const bundleMinZ = testPos.z - bundleDepth / 2;
-          const bundleMaxZ = testPos.z + bundleDepth / 2;
-
-          const existingRadius = COLLISION_RADIUS_DEFAULT;
-          const threshold = existingRadius + CLEARANCE;
-
-          if (
-            existing.position.x + threshold >= bundleMinX &&
-            existing.position.x - threshold <= bundleMaxX &&
-            existing.position.z + threshold >= bundleMinZ &&
-            existing.position.z - threshold <= bundleMaxZ
-          ) {
-            hasCollision = true;
-            break;
-          }
-        }
 
-        if (!hasCollision) {
-          return testPos;
-        }
+      // Every write gets a new version, including position- and metadata-only ones
+      await tx.placedElement.update({
+        where: { id: placement.id },
+        data: { version: { increment: 1 } },
+      });
 
-        attempts++;
-        const ring = Math.floor(Math.sqrt(attempts));
-        const angle = (attempts - ring * ring) * angleStep;
-        const radius = ring * offsetDistance;
-        testPos = {
-          x: referencePlacement.position.x + radius * Math.cos(angle),
-          y: referencePlacement.position.y,
-          z: referencePlacement.position.z + radius * Math.sin(angle),
+      if (payload.metadata) {
+        placementsMeta[placement.id] = {
+          ...existingMeta,
+          ...payload.metadata,
         };
       }
 
-      return testPos; // Return last attempt if all failed
-    };
+      await tx.venueDesign.update({
+        where: { id: venueDesign.id },
+        data: {
+          layoutData: {
+            ...layoutData,
+            placementsMeta,
+            lastSavedAt: new Date().toISOString(),
+          },
+        },
+      });
+    });
 
-    const bundleCenter = {
-      x: (minX + maxX) / 2,
-      y: referencePlacement.position.y,
-      z: (minZ + maxZ) / 2,
-    };
+    const updatedPlacement = await prisma.placedElement.findUnique({
+      where: { id: placement.id },
+      include: PLACEMENT_INCLUDE,
+    });
 
-    const newBundleCenter = findNonOverlappingPosition(
-      {
-        x: bundleCenter.x + offsetDistance,
-        y: bundleCenter.y,
-        z: bundleCenter.z,
-      },
-      existingPlacements,
-      { width: bundleWidth, depth: bundleDepth }
+    const serviceListingId = placementsMeta[placement.id]?.serviceListingId;
+    let serviceListingInfo = null;
+    if (serviceListingId) {
+      const serviceListing = await prisma.serviceListing.findUnique({
+        where: { id: serviceListingId },
+        include: {
+          vendor: {
+            select: {
+              userId: true,
+              user: {
+                select: {
+                  name: true,
+                  email: true,
+                },
+              },
+            },
+          },
+        },
+      });
+      serviceListingInfo = serializeServiceListing(serviceListing);
+    }
+
+    const responsePlacement = serializePlacement(
+      updatedPlacement,
+      placementsMeta[placement.id],
+      serviceListingInfo ? { [serviceListingInfo.id]: serviceListingInfo } : {}
     );
 
-    // Calculate offset from bundle center for each placement
-    const offsetX = newBundleCenter.x - bundleCenter.x;
-    const offsetZ = newBundleCenter.z - bundleCenter.z;
+    // Update planned spend in background (don't wait)
+    updatePlannedSpend(req.params.projectId).catch(console.error);
 
-    // Create new bundle ID for duplicated bundle
-    const newBundleId = bundleId ? prefixedUlid('bnd') : null;
+    emitDesignChange(req, venueDesign.id, 'placements-upserted', { placements: [responsePlacement] });
 
-    // Duplicate all placements in the bundle
-    // Note: Tagged services are NOT copied - users can tag the duplicated element manually if needed
-    const duplicatedPlacements = await prisma.$transaction(async (tx) => {
-      const newPlacements = [];
-      
-      for (const originalPlacement of bundlePlacements) {
-        // Calculate new position maintaining relative position within bundle
-        const newPosition = {
-          x: originalPlacement.position.x + offsetX,
-          y: originalPlacement.position.y,
-          z: originalPlacement.position.z + offsetZ,
-        };
+    return res.json(responsePlacement);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.[0] ?? 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
 
-        const newPositionRecord = await tx.coordinates.create({
-          data: {
-            x: newPosition.x,
-            y: newPosition.y,
-            z: newPosition.z,
-          },
-        });
+router.delete('/:projectId/elements/:elementId', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
 
-        // Don't copy tagged services - duplicated element starts with no tags
-        // User can tag it manually if needed
+    const removeScope = req.query.scope === 'bundle' ? 'bundle' : 'single';
 
-        const newPlacementRecord = await tx.placedElement.create({
-          data: {
-            venueDesignId: venueDesign.id,
-            designElementId: originalPlacement.designElementId,
-            positionId: newPositionRecord.id,
-            rotation: originalPlacement.rotation || 0,
-            isLocked: false,
-            parentElementId: originalPlacement.parentElementId, // Preserve parent if original had one
-            serviceListingIds: [], // Don't copy tagged services - user can tag manually
-            elementType: originalPlacement.elementType,
-          },
-        });
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-        // Copy metadata with new bundleId
-        const originalMeta = placementsMeta[originalPlacement.id] || {};
-        const newMeta = { ...originalMeta };
-        if (newBundleId) {
-          newMeta.bundleId = newBundleId;
+    // Check if project is archived
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+
+    const layoutData = venueDesign.layoutData || {};
+    const placementsMeta = { ...(layoutData.placementsMeta || {}) };
+
+    const targetMeta = placementsMeta[req.params.elementId];
+
+    const placementIdsToDelete = [req.params.elementId];
+    if (removeScope === 'bundle' && targetMeta?.bundleId) {
+      Object.entries(placementsMeta).forEach(([placementId, meta]) => {
+        if (meta?.bundleId === targetMeta.bundleId && !placementIdsToDelete.includes(placementId)) {
+          placementIdsToDelete.push(placementId);
         }
-        placementsMeta[newPlacementRecord.id] = newMeta;
+      });
+    }
 
-        newPlacements.push(newPlacementRecord);
-      }
+    const placements = await prisma.placedElement.findMany({
+      where: {
+        id: { in: placementIdsToDelete },
+        venueDesignId: venueDesign.id,
+      },
+      select: {
+        id: true,
+        positionId: true,
+        isBooked: true,
+      },
+    });
+
+    if (placements.length === 0) {
+      return res.status(404).json({ error: 'Placed element not found' });
+    }
+
+    // Prevent removal of any booked elements
+    const hasBookedPlacement = placements.some((p) => p.isBooked);
+    if (hasBookedPlacement) {
+      return res.status(400).json({
+        error:
+          'One or more selected elements are part of a booking and cannot be removed. Please contact your vendor if you need to change a booked service.',
+      });
+    }
+
+    const positionIds = placements.map((placement) => placement.positionId);
+    const placementIdsBeingDeleted = placements.map((p) => p.id);
+
+    await cleanupExpensesForDeletedPlacements(req.params.projectId, placementIdsBeingDeleted);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.placedElement.deleteMany({
+        where: { id: { in: placements.map((p) => p.id) } },
+      });
+
+      await tx.coordinates.deleteMany({
+        where: { id: { in: positionIds } },
+      });
+
+      placementIdsToDelete.forEach((placementId) => {
+        delete placementsMeta[placementId];
+      });
+
+      await tx.venueDesign.update({
+        where: { id: venueDesign.id },
+        data: {
+          layoutData: {
+            ...layoutData,
+            placementsMeta,
+            lastSavedAt: new Date().toISOString(),
+          },
+        },
+      });
+    });
+
+    // Update planned spend immediately so frontend gets fresh data
+    await updatePlannedSpend(req.params.projectId);
+
+    emitDesignChange(req, venueDesign.id, 'placements-removed', { placementIds: placements.map((p) => p.id) });
+
+    return res.json({
+      removedPlacementIds: placements.map((p) => p.id),
+      removedBundle: removeScope === 'bundle' && targetMeta?.bundleId ? targetMeta.bundleId : null,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+// Duplicate element endpoint
+router.post('/:projectId/elements/:elementId/duplicate', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+
+    const originalPlacement = await prisma.placedElement.findFirst({
+      where: {
+        id: req.params.elementId,
+        venueDesignId: venueDesign.id,
+      },
+      include: {
+        position: true,
+        designElement: { omit: OMIT_FLOORPLAN },
+      },
+    });
+
+    if (!originalPlacement) {
+      return res.status(404).json({ error: 'Placed element not found' });
+    }
+
+    const layoutData = venueDesign.layoutData || {};
+    const placementsMeta = { ...(layoutData.placementsMeta || {}) };
+    const originalMeta = placementsMeta[originalPlacement.id] || {};
+
+    // Check if this is part of a bundle - if so, duplicate the entire bundle
+    const bundleId = originalMeta.bundleId;
+    let bundlePlacements = [];
+    if (bundleId) {
+      // Find all placements in the same bundle
+      const allPlacements = await prisma.placedElement.findMany({
+        where: { venueDesignId: venueDesign.id },
+        include: { position: true, designElement: { omit: OMIT_FLOORPLAN } },
+      });
+      
+      bundlePlacements = allPlacements.filter((p) => {
+        const meta = placementsMeta[p.id] || {};
+        return meta.bundleId === bundleId;
+      });
+    } else {
+      // Single element, not part of a bundle
+      bundlePlacements = [originalPlacement];
+    }
+
+    // Get service listing info to check availability type (use first placement's service)
+    const serviceListingId = originalMeta.serviceListingId;
+    let serviceListing = null;
+    if (serviceListingId) {
+      serviceListing = await prisma.serviceListing.findUnique({
+        where: { id: serviceListingId },
+        select: {
+          id: true,
+          availabilityType: true,
+          maxQuantity: true,
+          name: true,
+        },
+      });
+    }
+
+    // Check duplication limits based on service type
+    // For bundles, we count by bundle instances, not individual elements
+    if (serviceListing) {
+      if (serviceListing.availabilityType === 'exclusive') {
+        // Count unique bundles (not individual placements)
+        const uniqueBundles = new Set();
+        Object.values(placementsMeta).forEach((meta) => {
+          if (meta.serviceListingId === serviceListingId && meta.bundleId) {
+            uniqueBundles.add(meta.bundleId);
+          } else if (meta.serviceListingId === serviceListingId && !meta.bundleId) {
+            // Single element (not part of bundle) counts as one instance
+            uniqueBundles.add(`single_${Object.keys(placementsMeta).find(k => placementsMeta[k] === meta)}`);
+          }
+        });
+        
+        if (uniqueBundles.size >= 1) {
+          return res.status(400).json({
+            error: `This is an exclusive service (${serviceListing.name}). Only one instance can be placed in the design.`,
+            warning: true,
+          });
+        }
+      } else if (serviceListing.availabilityType === 'quantity_based' && serviceListing.maxQuantity) {
+        // Count unique bundles (not individual placements)
+        const uniqueBundles = new Set();
+        Object.values(placementsMeta).forEach((meta) => {
+          if (meta.serviceListingId === serviceListingId && meta.bundleId) {
+            uniqueBundles.add(meta.bundleId);
+          } else if (meta.serviceListingId === serviceListingId && !meta.bundleId) {
+            uniqueBundles.add(`single_${Object.keys(placementsMeta).find(k => placementsMeta[k] === meta)}`);
+          }
+        });
+        
+        if (uniqueBundles.size >= serviceListing.maxQuantity) {
+          return res.status(400).json({
+            error: `Maximum quantity (${serviceListing.maxQuantity}) for this service has been reached.`,
+            warning: true,
+          });
+        }
+      }
+      // 'reusable' services have no limit - allow unlimited duplication
+    }
+
+    // Calculate offset position for the bundle (use the first placement as reference)
+    const referencePlacement = bundlePlacements[0];
+    const CLEARANCE = 0.1;
+    
+    // Calculate bundle bounding box to determine offset distance
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    bundlePlacements.forEach((p) => {
+      if (p.position) {
+        const { halfWidth, halfDepth } = getFootprintExtents(p.designElement);
+        const reach = Math.max(halfWidth, halfDepth);
+        minX = Math.min(minX, p.position.x - reach);
+        maxX = Math.max(maxX, p.position.x + reach);
+        minZ = Math.min(minZ, p.position.z - reach);
+        maxZ = Math.max(maxZ, p.position.z + reach);
+      }
+    });
+    const bundleWidth = Math.max(maxX - minX, 0.5);
+    const bundleDepth = Math.max(maxZ - minZ, 0.5);
+    const offsetDistance = Math.max(bundleWidth, bundleDepth) + CLEARANCE;
+
+    // Get existing placements to find non-overlapping position
+    const existingPlacements = await prisma.placedElement.findMany({
+      where: { venueDesignId: venueDesign.id },
+      include: { position: true, designElement: { omit: OMIT_FLOORPLAN } },
+    });
+    const venueLayout = await getVenueLayout(project);
+
+    // Copies of the bundle's elements if the bundle centre were moved to `center`
+    const bundleCopiesAt = (center) =>
+      bundlePlacements.map((p) => ({
+        placement: { designElement: p.designElement, rotation: p.rotation },
+        position: {
+          x: p.position.x + center.x - bundleCenter.x,
+          y: p.position.y,
+          z: p.position.z + center.z - bundleCenter.z,
+        },
+        rotation: p.rotation,
+      }));
+
+    const findNonOverlappingPosition = (desiredPos, existingPlacements) => {
+      let testPos = { ...desiredPos };
+      const maxAttempts = 50;
+      const angleStep = Math.PI / 4; // 45 degrees
+
+      for (let attempts = 1; attempts <= maxAttempts; attempts += 1) {
+        // Every element of the copied bundle has to land on free floor
+        const copies = bundleCopiesAt(testPos);
+        if (!findFootprintCollision(copies, existingPlacements) && !findMoveLayoutViolation(venueLayout, copies)) {
+          return testPos;
+        }
+
+        const ring = Math.floor(Math.sqrt(attempts));
+        const angle = (attempts - ring * ring) * angleStep;
+        const radius = ring * offsetDistance;
+        testPos = {
+          x: bundleCenter.x + radius * Math.cos(angle),
+          y: bundleCenter.y,
+          z: bundleCenter.z + radius * Math.sin(angle),
+        };
+      }
+
+      return null;
+    };
+
+    const bundleCenter = {
+      x: (minX + maxX) / 2,
+      y: referencePlacement.position.y,
+      z: (minZ + maxZ) / 2,
+    };
+
+    const newBundleCenter = findNonOverlappingPosition(
+      {
+        x: bundleCenter.x + offsetDistance,
+        y: bundleCenter.y,
+        z: bundleCenter.z,
+      },
+      existingPlacements
+    );
+    if (!newBundleCenter) {
+      return res.status(409).json({ error: 'There is no free space next to this element for a copy.' });
+    }
+
+    // Copies stay on the same parent, which has to have room for them
+    const stackedCopies = bundlePlacements
+      .filter((p) => p.parentElementId)
+      .map((p, index) => ({ id: `copy-${index}`, parentElementId: null, designElement: p.designElement, original: p }));
+    const stackingError = findStackingError(
+      stackedCopies.map((copy) => ({ id: copy.id, parentElementId: copy.original.parentElementId })),
+      [...existingPlacements, ...stackedCopies]
+    );
+    if (stackingError) {
+      return res.status(409).json({ error: stackingError.message });
+    }
+
+    // Calculate offset from bundle center for each placement
+    const offsetX = newBundleCenter.x - bundleCenter.x;
+    const offsetZ = newBundleCenter.z - bundleCenter.z;
+
+    // Create new bundle ID for duplicated bundle
+    const newBundleId = bundleId ? prefixedUlid('bnd') : null;
+
+    // Duplicate all placements in the bundle
+    // Note: Tagged services are NOT copied - users can tag the duplicated element manually if needed
+    const duplicatedPlacements = await prisma.$transaction(async (tx) => {
+      const newPlacements = [];
+      
+      for (const originalPlacement of bundlePlacements) {
+        // Calculate new position maintaining relative position within bundle
+        const newPosition = {
+          x: originalPlacement.position.x + offsetX,
+          y: originalPlacement.position.y,
+          z: originalPlacement.position.z + offsetZ,
+        };
+
+        const newPositionRecord = await tx.coordinates.create({
+          data: {
+            x: newPosition.x,
+            y: newPosition.y,
+            z: newPosition.z,
+          },
+        });
+
+        // Don't copy tagged services - duplicated element starts with no tags
+        // User can tag it manually if needed
+
+        const newPlacementRecord = await tx.placedElement.create({
+          data: {
+            venueDesignId: venueDesign.id,
+            designElementId: originalPlacement.designElementId,
+            positionId: newPositionRecord.id,
+            rotation: originalPlacement.rotation || 0,
+            isLocked: false,
+            parentElementId: originalPlacement.parentElementId, // Preserve parent if original had one
+            serviceListingIds: [], // Don't copy tagged services - user can tag manually
+            elementType: originalPlacement.elementType,
+          },
+        });
+
+        // Copy metadata with new bundleId
+        const originalMeta = placementsMeta[originalPlacement.id] || {};
+        const newMeta = { ...originalMeta };
+        if (newBundleId) {
+          newMeta.bundleId = newBundleId;
+        }
+        placementsMeta[newPlacementRecord.id] = newMeta;
+
+        newPlacements.push(newPlacementRecord);
+      }
+
+      // Copied tables get numbers of their own
+      numberTables(
+        placementsMeta,
+        existingPlacements,
+        newPlacements.map((placement, index) => ({
+          ...placement,
+          designElement: bundlePlacements[index].designElement,
+        }))
+      );
+
+      await tx.venueDesign.update({
+        where: { id: venueDesign.id },
+        data: {
+          layoutData: {
+            ...layoutData,
+            placementsMeta,
+            lastSavedAt: new Date().toISOString(),
+          },
+        },
+      });
+
+      return newPlacements;
+    });
+
+    // Fetch all duplicated placements with includes
+    const fullPlacements = await Promise.all(
+      duplicatedPlacements.map((p) =>
+        prisma.placedElement.findUnique({
+          where: { id: p.id },
+          include: PLACEMENT_INCLUDE,
+        })
+      )
+    );
+
+    // Get service listing info for serialization
+    let serviceListingInfo = null;
+    if (serviceListingId) {
+      const fullServiceListing = await prisma.serviceListing.findUnique({
+        where: { id: serviceListingId },
+        include: {
+          vendor: {
+            select: {
+              userId: true,
+              user: {
+                select: {
+                  name: true,
+                  email: true,
+                },
+              },
+            },
+          },
+        },
+      });
+      serviceListingInfo = serializeServiceListing(fullServiceListing);
+    }
+
+    const serviceMap = serviceListingInfo ? { [serviceListingInfo.id]: serviceListingInfo } : {};
+    const responsePlacements = fullPlacements.map((placement) =>
+      serializePlacement(placement, placementsMeta[placement.id], serviceMap)
+    );
+
+    emitDesignChange(req, venueDesign.id, 'placements-upserted', { placements: responsePlacements });
+
+    return res.json({
+      placements: responsePlacements, // Return array for bundles, single item for non-bundles
+      bundleId: newBundleId,
+      warning: serviceListing?.availabilityType === 'exclusive' 
+        ? 'This is an exclusive service. Only one instance can be booked per date.'
+        : null,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+/**
+ * POST /venue-designs/:projectId/elements/restore
+ * Re-create previously removed placements with their original IDs, positions,
+ * parent links and grouping, so undo/redo can reverse a delete on the server.
+ * Restored placements are never booked; parent links are only restored when the
+ * parent still exists in this design or is part of the same restore. Their metadata
+ * is rebuilt from the listing and they count against its quantity limits, like added items.
+ */
+router.post('/:projectId/elements/restore', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const payload = RESTORE_ELEMENTS_SCHEMA.parse(req.body);
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+
+    const restoreIds = payload.placements.map((placement) => placement.id);
+    if (new Set(restoreIds).size !== restoreIds.length) {
+      return res.status(400).json({ error: 'Duplicate element IDs in restore request' });
+    }
+
+    const existing = await prisma.placedElement.findMany({
+      where: { id: { in: restoreIds } },
+      select: { id: true },
+    });
+    if (existing.length > 0) {
+      return res.status(409).json({ error: 'Some elements already exist in the design' });
+    }
+
+    // Every restored placement must still match an active listing and one of its 3D models
+    const serviceListingIds = [...new Set(payload.placements.map((placement) => placement.metadata.serviceListingId))];
+    const serviceListings = await prisma.serviceListing.findMany({
+      where: { id: { in: serviceListingIds }, isActive: true },
+      include: {
+        vendor: {
+          select: {
+            userId: true,
+            user: {
+              select: {
+                name: true,
+                email: true,
+              },
+            },
+          },
+        },
+        components: {
+          select: { designElementId: true, role: true },
+        },
+      },
+    });
+    const listingMap = new Map(serviceListings.map((listing) => [listing.id, listing]));
+
+    const layoutData = venueDesign.layoutData || {};
+    const placementsMeta = { ...(layoutData.placementsMeta || {}) };
+    const liveBundleListings = new Map(
+      Object.values(placementsMeta)
+        .filter((meta) => meta?.bundleId)
+        .map((meta) => [meta.bundleId, meta.serviceListingId])
+    );
+    const newBundleIds = new Map();
+    const restoredMeta = {};
+
+    for (const placement of payload.placements) {
+      const { metadata } = placement;
+      const listing = listingMap.get(metadata.serviceListingId);
+      if (!listing) {
+        return res.status(404).json({ error: 'Service listing not found or inactive' });
+      }
+      // Roles the listing gives this 3D model, as adding the listing would
+      const roles = [
+        ...(listing.designElementId === placement.designElementId ? ['primary'] : []),
+        ...listing.components
+          .filter((component) => component.designElementId === placement.designElementId)
+          .map((component) => component.role || 'component'),
+      ];
+      if (roles.length === 0) {
+        return res.status(400).json({ error: `3D model does not belong to ${listing.name}` });
+      }
+
+      // A bundle ID another listing uses now is replaced, so the item can't join a foreign bundle
+      let bundleId = metadata.bundleId || null;
+      if (bundleId && liveBundleListings.has(bundleId) && liveBundleListings.get(bundleId) !== listing.id) {
+        if (!newBundleIds.has(bundleId)) newBundleIds.set(bundleId, prefixedUlid('bnd'));
+        bundleId = newBundleIds.get(bundleId);
+      }
+
+      restoredMeta[placement.id] = {
+        serviceListingId: listing.id,
+        bundleId,
+        role: roles.includes(metadata.role) ? metadata.role : roles[0],
+        quantityIndex: metadata.quantityIndex ?? null,
+        unitPrice: listing.price ? listing.price.toString() : null,
+        ...(metadata.patternId ? { patternId: metadata.patternId } : {}),
+        ...(metadata.tableNumber ? { tableNumber: metadata.tableNumber } : {}),
+      };
+    }
+
+    const availabilityByListing = new Map();
+    if (project.weddingDate) {
+      const weddingDateIso =
+        project.weddingDate instanceof Date
+          ? project.weddingDate.toISOString().slice(0, 10)
+          : project.weddingDate.toString().slice(0, 10);
+
+      for (const listing of serviceListings) {
+        const availability = await checkServiceAvailabilityForDate(listing.id, weddingDateIso);
+        if (availability && availability.available === false) {
+          return res.status(400).json({
+            error: availability.reason || `${listing.name} is unavailable on the selected wedding date`,
+          });
+        }
+        availabilityByListing.set(listing.id, availability);
+      }
+    }
+
+    // Restored units count against the same limits as added ones; items rejoining a bundle
+    // still in the design are not a new unit
+    for (const listing of serviceListings) {
+      const restoredUnits = new Set(
+        Object.entries(restoredMeta)
+          .filter(([, meta]) => meta.serviceListingId === listing.id)
+          .map(([placementId, meta]) => meta.bundleId || placementId)
+          .filter((unit) => !liveBundleListings.has(unit))
+      );
+      const unitsInDesign = countDesignUnits(placementsMeta, listing.id);
+
+      if (listing.availabilityType === 'exclusive' && unitsInDesign + restoredUnits.size > 1) {
+        return res.status(400).json({
+          error: `This is an exclusive service (${listing.name}). Only one instance can be placed in the design.`,
+          warning: true,
+        });
+      }
+      if (listing.availabilityType === 'quantity_based') {
+        const limit = availabilityByListing.get(listing.id)?.availableQuantity ?? listing.maxQuantity;
+        if (limit && unitsInDesign + restoredUnits.size > limit) {
+          return res.status(400).json({
+            error: `Only ${Math.max(limit - unitsInDesign, 0)} more of ${listing.name} can be added (maximum ${limit}).`,
+            warning: true,
+          });
+        }
+      }
+    }
+
+    const requestedParentIds = payload.placements
+      .map((placement) => placement.parentElementId)
+      .filter((parentId) => parentId && !restoreIds.includes(parentId));
+    const existingParents = requestedParentIds.length
+      ? await prisma.placedElement.findMany({
+          where: { id: { in: requestedParentIds }, venueDesignId: venueDesign.id },
+          select: { id: true },
+        })
+      : [];
+    const validParentIds = new Set([...restoreIds, ...existingParents.map((parent) => parent.id)]);
+
+    // Restored items as they will stand in the design, for the same checks as new ones
+    const designElements = await prisma.designElement.findMany({
+      where: { id: { in: [...new Set(payload.placements.map((placement) => placement.designElementId))] } },
+      select: PLACEMENT_INCLUDE.designElement.select,
+    });
+    const designElementMap = new Map(designElements.map((element) => [element.id, element]));
+    const restoredPlacements = payload.placements.map((placement) => ({
+      id: placement.id,
+      parentElementId: null,
+      elementType: placement.elementType ?? null,
+      designElement: designElementMap.get(placement.designElementId),
+      position: placement.position,
+      rotation: placement.rotation || 0,
+    }));
+
+    const stackingError = findStackingError(
+      payload.placements
+        .filter((placement) => placement.parentElementId && validParentIds.has(placement.parentElementId))
+        .map((placement) => ({ id: placement.id, parentElementId: placement.parentElementId })),
+      [...venueDesign.placedElements, ...restoredPlacements]
+    );
+    if (stackingError) {
+      return res.status(400).json({ error: stackingError.message, elementIds: [stackingError.placement.id] });
+    }
+
+    // Something may have been moved into a restored item's spot since it was removed
+    const restoreMoves = restoredPlacements.map(({ id, ...placement }) => ({
+      placement: { ...placement, restoredId: id },
+      position: placement.position,
+      rotation: placement.rotation,
+    }));
+    const collision = findFootprintCollision(restoreMoves, venueDesign.placedElements);
+    if (collision) {
+      return res.status(409).json({
+        error: describeCollision(collision),
+        elementIds: [collision.placement.restoredId, collision.other.id || collision.other.restoredId],
+      });
+    }
+
+    const layoutViolation = findMoveLayoutViolation(await getVenueLayout(project), restoreMoves);
+    if (layoutViolation) {
+      return res.status(409).json({
+        error: describeLayoutViolation(layoutViolation),
+        elementIds: [layoutViolation.placement.restoredId],
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // Create every placement first, then link parents, since a child may come before its parent
+      for (const placement of payload.placements) {
+        const positionRecord = await tx.coordinates.create({
+          data: {
+            x: placement.position.x,
+            y: placement.position.y,
+            z: placement.position.z,
+          },
+        });
+
+        await tx.placedElement.create({
+          data: {
+            id: placement.id,
+            venueDesignId: venueDesign.id,
+            designElementId: placement.designElementId,
+            positionId: positionRecord.id,
+            rotation: placement.rotation || 0,
+            isLocked: placement.isLocked ?? false,
+            serviceListingIds: placement.serviceListingIds || [],
+            elementType: placement.elementType ?? null,
+          },
+        });
+
+        placementsMeta[placement.id] = restoredMeta[placement.id];
+      }
+
+      for (const placement of payload.placements) {
+        if (placement.parentElementId && validParentIds.has(placement.parentElementId)) {
+          await tx.placedElement.update({
+            where: { id: placement.id },
+            data: { parentElementId: placement.parentElementId },
+          });
+        }
+      }
+
+      // A restored table keeps its number unless another table has taken it since
+      numberTables(placementsMeta, venueDesign.placedElements, restoredPlacements);
+
+      await tx.venueDesign.update({
+        where: { id: venueDesign.id },
+        data: {
+          layoutData: {
+            ...layoutData,
+            placementsMeta,
+            lastSavedAt: new Date().toISOString(),
+          },
+        },
+      });
+    });
+
+    const savedPlacements = await prisma.placedElement.findMany({
+      where: { id: { in: restoreIds } },
+      include: PLACEMENT_INCLUDE,
+    });
+
+    const serviceMap = Object.fromEntries(
+      serviceListings.map((listing) => [listing.id, serializeServiceListing(listing)])
+    );
+    const responsePlacements = savedPlacements.map((placement) =>
+      serializePlacement(placement, placementsMeta[placement.id], serviceMap)
+    );
+
+    await updatePlannedSpend(req.params.projectId);
+
+    emitDesignChange(req, venueDesign.id, 'placements-upserted', { placements: responsePlacements });
+
+    return res.json({ placements: responsePlacements });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.[0] ?? 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
+    // Another design restored the same IDs between the check above and the create
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Some elements already exist in the design' });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+router.patch('/:projectId/camera', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const payload = CAMERA_SCHEMA.parse(req.body);
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Check if project is archived
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+
+    let cameraPositionId = venueDesign.cameraPositionId;
+
+    await prisma.$transaction(async (tx) => {
+      if (payload.position) {
+        if (cameraPositionId) {
+          await tx.coordinates.update({
+            where: { id: cameraPositionId },
+            data: payload.position,
+          });
+        } else {
+          const coord = await tx.coordinates.create({
+            data: {
+              id: prefixedUlid('cam'),
+              x: payload.position.x,
+              y: payload.position.y,
+              z: payload.position.z,
+            },
+          });
+          cameraPositionId = coord.id;
+        }
+      }
+
+      await tx.venueDesign.update({
+        where: { id: venueDesign.id },
+        data: {
+          cameraPositionId,
+          zoomLevel: payload.zoomLevel !== undefined ? payload.zoomLevel : venueDesign.zoomLevel,
+          layoutData: {
+            ...(venueDesign.layoutData || {}),
+            lastSavedAt: new Date().toISOString(),
+          },
+        },
+      });
+    });
+
+    const updatedDesign = await prisma.venueDesign.findUnique({
+      where: { id: venueDesign.id },
+      include: { cameraPosition: true },
+    });
+
+    return res.json({
+      cameraPosition: updatedDesign.cameraPosition
+        ? {
+            x: updatedDesign.cameraPosition.x,
+            y: updatedDesign.cameraPosition.y,
+            z: updatedDesign.cameraPosition.z,
+          }
+        : null,
+      zoomLevel: updatedDesign.zoomLevel,
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.[0] ?? 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+router.post('/:projectId/save', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const payload = SAVE_SCHEMA.parse(req.body);
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Check if project is archived
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    const layoutData = venueDesign.layoutData || {};
+    const incomingMeta = payload.layoutData?.placementsMeta;
+    const nextPlacementsMeta =
+      incomingMeta && typeof incomingMeta === 'object'
+        ? mergeClientPlacementsMeta(layoutData.placementsMeta || {}, incomingMeta)
+        : layoutData.placementsMeta || {};
+
+    const updatedLayout = {
+      ...layoutData,
+      ...(payload.layoutData || {}),
+      // placementsMeta is server-owned metadata used for bundle grouping & summaries.
+      // Never wipe it just because the client doesn't send it (or sends an empty object).
+      placementsMeta: nextPlacementsMeta,
+      // Camera tours, lighting and annotations have their own routes; an autosave from another
+      // editor must not undo them
+      cameraTours: layoutData.cameraTours || [],
+      lighting: layoutData.lighting,
+      annotations: layoutData.annotations,
+      lastSavedAt: new Date().toISOString(),
+    };
+
+    await prisma.venueDesign.update({
+      where: { id: venueDesign.id },
+      data: {
+        layoutData: updatedLayout,
+      },
+    });
+
+    const snapshot = payload.snapshot ? await captureDesignSnapshot(venueDesign.id, payload.label || null) : null;
+
+    return res.json({
+      message: 'Design saved successfully',
+      layoutData: updatedLayout,
+      snapshot,
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.[0] ?? 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+// Replace some keys of a design's layoutData (camera tours, lighting, annotations), leaving the rest as stored
+async function writeLayoutData(venueDesign, changes) {
+  await prisma.venueDesign.update({
+    where: { id: venueDesign.id },
+    data: {
+      layoutData: {
+        ...(venueDesign.layoutData || {}),
+        ...changes,
+      },
+    },
+  });
+}
+
+/**
+ * POST /venue-designs/:projectId/camera-tours
+ * Save a recorded camera tour on the active layout
+ */
+router.post('/:projectId/camera-tours', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const payload = CAMERA_TOUR_SCHEMA.parse(req.body);
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    const cameraTours = venueDesign.layoutData?.cameraTours || [];
+    if (cameraTours.length >= MAX_CAMERA_TOURS) {
+      return res.status(400).json({ error: `A design can have at most ${MAX_CAMERA_TOURS} camera tours` });
+    }
+
+    const now = new Date().toISOString();
+    const tour = { id: prefixedUlid('tour'), ...payload, createdAt: now, updatedAt: now };
+    const nextTours = [...cameraTours, tour];
+    await writeLayoutData(venueDesign, { cameraTours: nextTours });
+
+    emitDesignChange(req, venueDesign.id, 'camera-tours-updated', { cameraTours: nextTours });
+
+    return res.status(201).json({ tour, cameraTours: nextTours });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.[0] ?? 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+/**
+ * PUT /venue-designs/:projectId/camera-tours/:tourId
+ * Replace a camera tour's name and keyframes
+ */
+router.put('/:projectId/camera-tours/:tourId', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const payload = CAMERA_TOUR_SCHEMA.parse(req.body);
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    const cameraTours = venueDesign.layoutData?.cameraTours || [];
+    const existing = cameraTours.find((tour) => tour.id === req.params.tourId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Camera tour not found' });
+    }
+
+    const tour = { ...existing, ...payload, updatedAt: new Date().toISOString() };
+    const nextTours = cameraTours.map((item) => (item.id === tour.id ? tour : item));
+    await writeLayoutData(venueDesign, { cameraTours: nextTours });
+
+    emitDesignChange(req, venueDesign.id, 'camera-tours-updated', { cameraTours: nextTours });
+
+    return res.json({ tour, cameraTours: nextTours });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.[0] ?? 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+// DELETE /venue-designs/:projectId/camera-tours/:tourId - Remove a camera tour
+router.delete('/:projectId/camera-tours/:tourId', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    const cameraTours = venueDesign.layoutData?.cameraTours || [];
+    if (!cameraTours.some((tour) => tour.id === req.params.tourId)) {
+      return res.status(404).json({ error: 'Camera tour not found' });
+    }
+
+    const nextTours = cameraTours.filter((tour) => tour.id !== req.params.tourId);
+    await writeLayoutData(venueDesign, { cameraTours: nextTours });
+
+    emitDesignChange(req, venueDesign.id, 'camera-tours-updated', { cameraTours: nextTours });
+
+    return res.json({ cameraTours: nextTours });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+/**
+ * PUT /venue-designs/:projectId/lighting
+ * Replace the design's lighting (time-of-day preset and placed lights). Saved on its own
+ * rather than with the layout autosave, so an autosave from another editor can't undo it.
+ */
+router.put('/:projectId/lighting', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const lighting = LIGHTING_SCHEMA.parse(req.body);
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    await writeLayoutData(venueDesign, { lighting });
+
+    emitDesignChange(req, venueDesign.id, 'lighting-updated', { lighting });
+
+    return res.json({ lighting });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.join('.') || 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+/**
+ * PUT /venue-designs/:projectId/annotations
+ * Replace the design's annotations (dimension lines and notes). Saved on its own like lighting.
+ */
+router.put('/:projectId/annotations', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const annotations = ANNOTATIONS_SCHEMA.parse(req.body);
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    await writeLayoutData(venueDesign, { annotations });
+
+    emitDesignChange(req, venueDesign.id, 'annotations-updated', { annotations });
+
+    return res.json({ annotations });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      const issues = err.issues.map((issue) => ({
+        field: issue.path?.join('.') || 'unknown',
+        message: issue.message,
+      }));
+      return res.status(400).json({
+        error: issues[0]?.message || 'Invalid input',
+        issues,
+      });
+    }
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+async function findDesignSnapshot(venueDesignId, snapshotId) {
+  const snapshot = await prisma.venueDesignSnapshot.findFirst({
+    where: { id: snapshotId, venueDesignId },
+  });
+  if (!snapshot) {
+    const error = new Error('Snapshot not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return snapshot;
+}
+
+/**
+ * GET /venue-designs/:projectId/snapshots
+ * Restore points of the active layout, newest first
+ */
+router.get('/:projectId/snapshots', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    const snapshots = await prisma.venueDesignSnapshot.findMany({
+      where: { venueDesignId: venueDesign.id },
+      select: { id: true, label: true, placementCount: true, createdAt: true },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return res.json({ snapshots: snapshots.map(serializeSnapshotSummary) });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+/**
+ * GET /venue-designs/:projectId/snapshots/:snapshotId
+ * Read-only preview of a snapshot, in the same shape as the vendor preview
+ */
+router.get('/:projectId/snapshots/:snapshotId', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    const snapshot = await findDesignSnapshot(venueDesign.id, req.params.snapshotId);
+    const data = snapshot.data || {};
+    const snapshotPlacements = data.placements || [];
+    const placementsMeta = data.layoutData?.placementsMeta || {};
+
+    const designElementIds = [...new Set(snapshotPlacements.map((placement) => placement.designElementId))];
+    const serviceListingIds = [
+      ...new Set(
+        snapshotPlacements
+          .flatMap((placement) => [placementsMeta[placement.id]?.serviceListingId, ...(placement.serviceListingIds || [])])
+          .filter(Boolean)
+      ),
+    ];
+
+    const [designElements, serviceListings] = await Promise.all([
+      prisma.designElement.findMany({
+        where: { id: { in: designElementIds } },
+        select: PLACEMENT_INCLUDE.designElement.select,
+      }),
+      serviceListingIds.length > 0
+        ? prisma.serviceListing.findMany({
+            where: { id: { in: serviceListingIds } },
+            include: {
+              vendor: {
+                select: {
+                  userId: true,
+                  user: { select: { name: true, email: true } },
+                },
+              },
+            },
+          })
+        : [],
+    ]);
+
+    const designElementMap = new Map(designElements.map((element) => [element.id, element]));
+    const serviceMap = serviceListings.reduce((acc, listing) => {
+      acc[listing.id] = serializeServiceListing(listing);
+      return acc;
+    }, {});
+
+    // Elements whose 3D model has since been deleted cannot be drawn
+    const placements = snapshotPlacements
+      .filter((placement) => designElementMap.has(placement.designElementId))
+      .map((placement) =>
+        serializePlacement(
+          { ...placement, designElement: designElementMap.get(placement.designElementId), bookingId: null },
+          placementsMeta[placement.id],
+          serviceMap
+        )
+      );
+
+    const venueListing = project.venueServiceListing;
+
+    return res.json({
+      venue: venueListing?.designElement?.modelFile
+        ? {
+            id: venueListing.id,
+            name: venueListing.name,
+            modelFile: venueListing.designElement.modelFile,
+          }
+        : null,
+      design: {
+        id: venueDesign.id,
+        name: venueDesign.name,
+        cameraPosition: data.cameraPosition || null,
+        zoomLevel: data.zoomLevel ?? null,
+        cameraTours: data.layoutData?.cameraTours || [],
+        lighting: data.layoutData?.lighting || null,
+        annotations: data.layoutData?.annotations || null,
+        placedElements: placements,
+      },
+      snapshot: serializeSnapshotSummary(snapshot),
+      missingElementCount: snapshotPlacements.length - placements.length,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+/**
+ * POST /venue-designs/:projectId/snapshots/:snapshotId/restore
+ * Restore a snapshot over the active layout. The current state is saved as a snapshot first
+ * so the restore can itself be undone. Booked placements, camera tours, lighting and
+ * annotations are kept as they are.
+ */
+router.post('/:projectId/snapshots/:snapshotId/restore', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const venueDesign = await getOrCreateVenueDesign(project);
+    const snapshot = await findDesignSnapshot(venueDesign.id, req.params.snapshotId);
+
+    const taggedListingIds = new Set([
+      ...venueDesign.placedElements.flatMap((placement) => placement.serviceListingIds || []),
+      ...(snapshot.data?.placements || []).flatMap((placement) => placement.serviceListingIds || []),
+    ]);
+
+    const snapshotTime = new Date(snapshot.createdAt).toLocaleString('en-MY');
+    let backupSnapshot = null;
+
+    const result = await restoreDesignSnapshot(venueDesign, snapshot, {
+      venueLayout: await getVenueLayout(project),
+      beforeRestore: async () => {
+        backupSnapshot = await captureDesignSnapshot(venueDesign.id, `Before restoring ${snapshotTime}`);
+      },
+      beforeDelete: (placementIds) => cleanupExpensesForDeletedPlacements(project.id, placementIds),
+    });
+
+    // Table tags came back with the snapshot, so per-table expenses and the budget follow it
+    if (taggedListingIds.size > 0) {
+      await updatePerTableServiceExpenses(project.id, Array.from(taggedListingIds));
+    }
+    await updatePlannedSpend(project.id);
+
+    emitDesignChange(req, venueDesign.id, 'design-reloaded');
+
+    return res.json({
+      ...result,
+      backupSnapshot,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        error: err.message,
+        ...(err.elementIds ? { elementIds: err.elementIds } : {}),
+      });
+    }
+    return next(err);
+  }
+});
+
+function serializeVariant(design) {
+  return {
+    id: design.id,
+    name: design.name,
+    isActive: design.isActive,
+    placementCount: design._count?.placedElements ?? design.placedElements?.length ?? 0,
+    createdAt: design.createdAt,
+    updatedAt: design.updatedAt,
+  };
+}
+
+async function findProjectVariant(projectId, variantId) {
+  const variant = await prisma.venueDesign.findFirst({
+    where: { id: variantId, projectId },
+    include: { _count: { select: { placedElements: true } } },
+  });
+  if (!variant) {
+    const error = new Error('Design variant not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return variant;
+}
+
+async function assertVariantNameAvailable(projectId, name, excludeId = null) {
+  const existing = await prisma.venueDesign.findFirst({
+    where: {
+      projectId,
+      name: { equals: name, mode: 'insensitive' },
+      ...(excludeId ? { NOT: { id: excludeId } } : {}),
+    },
+    select: { id: true },
+  });
+  if (existing) {
+    const error = new Error(`A layout variant named "${name}" already exists`);
+    error.statusCode = 409;
+    throw error;
+  }
+}
+
+/**
+ * GET /venue-designs/:projectId/variants
+ * List the project's layout variants (creates the first one if the project has none yet)
+ */
+router.get('/:projectId/variants', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-      await tx.venueDesign.update({
-        where: { id: venueDesign.id },
-        data: {
-          layoutData: {
-            ...layoutData,
-            placementsMeta,
-            lastSavedAt: new Date().toISOString(),
-          },
-        },
-      });
+    await getOrCreateVenueDesign(project);
 
-      return newPlacements;
+    const variants = await prisma.venueDesign.findMany({
+      where: { projectId: project.id },
+      include: { _count: { select: { placedElements: true } } },
+      orderBy: { createdAt: 'asc' },
     });
 
-    // Fetch all duplicated placements with includes
-    const fullPlacements = await Promise.all(
-      duplicatedPlacements.map((p) =>
-        prisma.placedElement.findUnique({
-          where: { id: p.id },
-          include: PLACEMENT_INCLUDE,
-        })
-      )
-    );
+    return res.json({ variants: variants.map(serializeVariant), maxVariants: MAX_DESIGN_VARIANTS });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
 
-    // Get service listing info for serialization
-    let serviceListingInfo = null;
-    if (serviceListingId) {
-      const fullServiceListing = await prisma.serviceListing.findUnique({
-        where: { id: serviceListingId },
+/**
+ * GET /venue-designs/:projectId/variants/compare
+ * Side-by-side planned cost and seating capacity of every layout variant.
+ * Non-3D services and the venue are shared by all variants (sharedSpend);
+ * layoutSpend is what the variant's own 3D elements and table tags add.
+ */
+router.get('/:projectId/variants/compare', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const [designs, headcount, sharedSpend] = await Promise.all([
+      prisma.venueDesign.findMany({
+        where: { projectId: project.id },
         include: {
-          vendor: {
+          placedElements: {
             select: {
-              userId: true,
-              user: {
+              id: true,
+              serviceListingIds: true,
+              elementType: true,
+              designElement: {
                 select: {
                   name: true,
-                  email: true,
+                  elementType: true,
                 },
               },
             },
           },
         },
+        orderBy: { createdAt: 'asc' },
+      }),
+      getConfirmedHeadcount(project.id),
+      calculatePlannedSpend(project, { layoutData: {}, placedElements: [] }),
+    ]);
+
+    const variants = [];
+    for (const design of designs) {
+      const [plannedSpend, capacity] = await Promise.all([
+        calculatePlannedSpend(project, design),
+        getDesignCapacity(design),
+      ]);
+      variants.push({
+        ...serializeVariant(design),
+        plannedSpend,
+        layoutSpend: Math.max(0, plannedSpend - sharedSpend),
+        ...capacity,
+        seatShortfall: Math.max(0, headcount - capacity.seatCapacity),
       });
-      serviceListingInfo = serializeServiceListing(fullServiceListing);
     }
 
-    const serviceMap = serviceListingInfo ? { [serviceListingInfo.id]: serviceListingInfo } : {};
-    const responsePlacements = fullPlacements.map((placement) =>
-      serializePlacement(placement, placementsMeta[placement.id], serviceMap)
-    );
-
+    const active = variants.find((variant) => variant.isActive);
     return res.json({
-      placements: responsePlacements, // Return array for bundles, single item for non-bundles
-      bundleId: newBundleId,
-      warning: serviceListing?.availabilityType === 'exclusive' 
-        ? 'This is an exclusive service. Only one instance can be booked per date.'
+      confirmedHeadcount: headcount,
+      sharedSpend,
+      maxVariants: MAX_DESIGN_VARIANTS,
+      budget: project.budget
+        ? {
+            totalBudget: parseFloat(project.budget.totalBudget),
+            totalSpent: parseFloat(project.budget.totalSpent),
+          }
         : null,
+      variants: variants.map((variant) => ({
+        ...variant,
+        costDifference: active ? variant.plannedSpend - active.plannedSpend : 0,
+        capacityDifference: active ? variant.seatCapacity - active.seatCapacity : 0,
+      })),
     });
   } catch (err) {
     if (err.statusCode) {
@@ -2900,74 +4380,71 @@ router.post('/:projectId/elements/:elementId/duplicate', requireAuth, async (req
   }
 });
 
-router.patch('/:projectId/camera', requireAuth, async (req, res, next) => {
+/**
+ * POST /venue-designs/:projectId/variants
+ * Create a layout variant, either a copy of an existing one (the active one by default) or blank.
+ * New variants are inactive until activated.
+ */
+router.post('/:projectId/variants', requireAuth, serializeDesignWrites, async (req, res, next) => {
   try {
     if (req.user.role !== 'couple') {
       return res.status(403).json({ error: 'Couple access required' });
     }
 
-    const payload = CAMERA_SCHEMA.parse(req.body);
+    const payload = CREATE_VARIANT_SCHEMA.parse(req.body);
 
     const project = await fetchProject(req.params.projectId, req.user.sub);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Check if project is archived
     await checkProjectCanBeModified(req.params.projectId, req.user.sub);
 
-    const venueDesign = await getOrCreateVenueDesign(project);
+    const activeDesign = await getOrCreateVenueDesign(project);
 
-    let cameraPositionId = venueDesign.cameraPositionId;
+    const variantCount = await prisma.venueDesign.count({ where: { projectId: project.id } });
+    if (variantCount >= MAX_DESIGN_VARIANTS) {
+      return res.status(400).json({
+        error: `A project can have at most ${MAX_DESIGN_VARIANTS} layout variants. Delete one to add another.`,
+      });
+    }
 
-    await prisma.$transaction(async (tx) => {
-      if (payload.position) {
-        if (cameraPositionId) {
-          await tx.coordinates.update({
-            where: { id: cameraPositionId },
-            data: payload.position,
-          });
-        } else {
-          const coord = await tx.coordinates.create({
-            data: {
-              id: prefixedUlid('cam'),
-              x: payload.position.x,
-              y: payload.position.y,
-              z: payload.position.z,
-            },
-          });
-          cameraPositionId = coord.id;
-        }
-      }
+    await assertVariantNameAvailable(project.id, payload.name);
 
-      await tx.venueDesign.update({
-        where: { id: venueDesign.id },
-        data: {
-          cameraPositionId,
-          zoomLevel: payload.zoomLevel !== undefined ? payload.zoomLevel : venueDesign.zoomLevel,
-          layoutData: {
-            ...(venueDesign.layoutData || {}),
-            lastSavedAt: new Date().toISOString(),
+    let created;
+    if (payload.blank) {
+      created = await prisma.$transaction(async (tx) => {
+        const cameraPosition = await tx.coordinates.create({
+          data: {
+            id: prefixedUlid('cam'),
+            x: 0,
+            y: 3,
+            z: 8,
           },
-        },
-      });
-    });
+        });
 
-    const updatedDesign = await prisma.venueDesign.findUnique({
-      where: { id: venueDesign.id },
-      include: { cameraPosition: true },
-    });
+        return tx.venueDesign.create({
+          data: {
+            id: prefixedUlid('vnd'),
+            projectId: project.id,
+            name: payload.name,
+            isActive: false,
+            venueName: activeDesign.venueName,
+            cameraPositionId: cameraPosition.id,
+            layoutData: buildDefaultLayoutData(),
+            zoomLevel: 1.2,
+          },
+        });
+      });
+    } else {
+      const source = payload.sourceVariantId
+        ? await findProjectVariant(project.id, payload.sourceVariantId)
+        : activeDesign;
+      created = await duplicateVenueDesign(source.id, payload.name);
+    }
 
-    return res.json({
-      cameraPosition: updatedDesign.cameraPosition
-        ? {
-            x: updatedDesign.cameraPosition.x,
-            y: updatedDesign.cameraPosition.y,
-            z: updatedDesign.cameraPosition.z,
-          }
-        : null,
-      zoomLevel: updatedDesign.zoomLevel,
-    });
+    const variant = await findProjectVariant(project.id, created.id);
+    return res.status(201).json({ variant: serializeVariant(variant) });
   } catch (err) {
     if (err instanceof z.ZodError) {
       const issues = err.issues.map((issue) => ({
@@ -2986,50 +4463,35 @@ router.patch('/:projectId/camera', requireAuth, async (req, res, next) => {
   }
 });
 
-router.post('/:projectId/save', requireAuth, async (req, res, next) => {
+/**
+ * PATCH /venue-designs/:projectId/variants/:variantId
+ * Rename a layout variant
+ */
+router.patch('/:projectId/variants/:variantId', requireAuth, serializeDesignWrites, async (req, res, next) => {
   try {
     if (req.user.role !== 'couple') {
       return res.status(403).json({ error: 'Couple access required' });
     }
 
-    const payload = SAVE_SCHEMA.parse(req.body);
+    const payload = UPDATE_VARIANT_SCHEMA.parse(req.body);
 
     const project = await fetchProject(req.params.projectId, req.user.sub);
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Check if project is archived
     await checkProjectCanBeModified(req.params.projectId, req.user.sub);
 
-    const venueDesign = await getOrCreateVenueDesign(project);
-    const layoutData = venueDesign.layoutData || {};
-    const incomingMeta = payload.layoutData?.placementsMeta;
-    const nextPlacementsMeta =
-      incomingMeta && typeof incomingMeta === 'object' && Object.keys(incomingMeta).length > 0
-        ? { ...(layoutData.placementsMeta || {}), ...incomingMeta }
-        : layoutData.placementsMeta || {};
-
-    const updatedLayout = {
-      ...layoutData,
-      ...(payload.layoutData || {}),
-      // placementsMeta is server-owned metadata used for bundle grouping & summaries.
-      // Never wipe it just because the client doesn't send it (or sends an empty object).
-      placementsMeta: nextPlacementsMeta,
-      lastSavedAt: new Date().toISOString(),
-    };
+    await findProjectVariant(project.id, req.params.variantId);
+    await assertVariantNameAvailable(project.id, payload.name, req.params.variantId);
 
     await prisma.venueDesign.update({
-      where: { id: venueDesign.id },
-      data: {
-        layoutData: updatedLayout,
-      },
+      where: { id: req.params.variantId },
+      data: { name: payload.name },
     });
 
-    return res.json({
-      message: 'Design saved successfully',
-      layoutData: updatedLayout,
-    });
+    const variant = await findProjectVariant(project.id, req.params.variantId);
+    return res.json({ variant: serializeVariant(variant) });
   } catch (err) {
     if (err instanceof z.ZodError) {
       const issues = err.issues.map((issue) => ({
@@ -3048,6 +4510,123 @@ router.post('/:projectId/save', requireAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * POST /venue-designs/:projectId/variants/:variantId/activate
+ * Make a variant the active layout used for checkout, budget sync and table tagging.
+ * Not allowed while services placed in the current active layout are booked.
+ * Seated guests move to the same table numbers in the new layout; `seating.unseated`
+ * counts those whose table number it doesn't have.
+ */
+router.post('/:projectId/variants/:variantId/activate', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const target = await findProjectVariant(project.id, req.params.variantId);
+    if (target.isActive) {
+      return res.json({ variant: serializeVariant(target) });
+    }
+
+    const activeDesign = await getActiveVenueDesign(project.id, { select: { id: true, layoutData: true } });
+    if (activeDesign) {
+      const bookedCount = await prisma.placedElement.count({
+        where: { venueDesignId: activeDesign.id, isBooked: true },
+      });
+      if (bookedCount > 0) {
+        return res.status(409).json({
+          error:
+            'Services in the active layout are already booked. Cancel those bookings before switching to another layout.',
+          bookedCount,
+        });
+      }
+    }
+
+    // Guests follow their table numbers into the newly active layout, committed with the
+    // switch so a failure can't leave them seated at tables of an inactive layout
+    const seating = await prisma.$transaction(async (tx) => {
+      await activateVenueDesign(project.id, target.id, tx);
+      return activeDesign ? transferSeating(activeDesign, target, tx) : { moved: 0, unseated: 0 };
+    });
+
+    // Budget now follows the newly active layout
+    await updatePlannedSpend(project.id);
+
+    // Anyone still editing the old layout reloads and follows the switch
+    if (activeDesign) {
+      emitDesignChange(req, activeDesign.id, 'design-reloaded');
+    }
+
+    const variant = await findProjectVariant(project.id, target.id);
+    return res.json({ variant: serializeVariant(variant), seating });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
+/**
+ * DELETE /venue-designs/:projectId/variants/:variantId
+ * Delete an inactive layout variant and its placements
+ */
+router.delete('/:projectId/variants/:variantId', requireAuth, serializeDesignWrites, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await checkProjectCanBeModified(req.params.projectId, req.user.sub);
+
+    const variant = await findProjectVariant(project.id, req.params.variantId);
+    if (variant.isActive) {
+      return res.status(400).json({ error: 'The active layout cannot be deleted. Activate another variant first.' });
+    }
+
+    const placements = await prisma.placedElement.findMany({
+      where: { venueDesignId: variant.id },
+      select: { positionId: true },
+    });
+
+    await prisma.$transaction(async (tx) => {
+      await tx.venueDesign.delete({
+        where: { id: variant.id },
+      });
+
+      // Positions and the camera are not cascaded from the design
+      const coordinateIds = placements.map((placement) => placement.positionId);
+      if (variant.cameraPositionId) {
+        coordinateIds.push(variant.cameraPositionId);
+      }
+      if (coordinateIds.length) {
+        await tx.coordinates.deleteMany({
+          where: { id: { in: coordinateIds } },
+        });
+      }
+    });
+
+    return res.json({ message: 'Layout variant deleted', id: variant.id });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    return next(err);
+  }
+});
+
 router.get('/:projectId/catalog', requireAuth, async (req, res, next) => {
   try {
     if (req.user.role !== 'couple') {
@@ -3117,10 +4696,10 @@ router.get('/:projectId/catalog', requireAuth, async (req, res, next) => {
               },
             },
           },
-          designElement: true,
+          designElement: { omit: OMIT_FLOORPLAN },
           components: {
             include: {
-              designElement: true,
+              designElement: { omit: OMIT_FLOORPLAN },
             },
           },
           reviews: {
@@ -3285,7 +4864,7 @@ router.get('/:venueDesignId/table-count', requireAuth, async (req, res, next) =>
 });
 
 // POST /venue-designs/:venueDesignId/tag-tables - Tag tables with service listing IDs
-router.post('/:venueDesignId/tag-tables', requireAuth, async (req, res, next) => {
+router.post('/:venueDesignId/tag-tables', requireAuth, serializeDesignWrites, async (req, res, next) => {
   try {
     const { tagTables } = require('../services/tableCountService');
 
@@ -3323,6 +4902,11 @@ router.post('/:venueDesignId/tag-tables', requireAuth, async (req, res, next) =>
     // Check if project is archived
     await checkProjectCanBeModified(venueDesign.project.id, req.user.sub);
 
+    // Per-table pricing follows the active layout only
+    if (!venueDesign.isActive) {
+      return res.status(400).json({ error: 'Tables can only be tagged in the active layout variant' });
+    }
+
     const updatedCount = await tagTables(
       venueDesignId,
       validatedData.placedElementIds,
@@ -3340,6 +4924,8 @@ router.post('/:venueDesignId/tag-tables', requireAuth, async (req, res, next) =>
     // Note: Per-table services are now shown in "3D Venue Design (Planned)" section
     // Users can manually move them to categories (Option B approach)
 
+    emitDesignChange(req, venueDesignId, 'design-reloaded');
+
     res.json({
       message: `Successfully tagged ${updatedCount} table(s)`,
       venueDesignId,
@@ -3374,7 +4960,7 @@ router.post('/:venueDesignId/tag-tables', requireAuth, async (req, res, next) =>
 });
 
 // POST /venue-designs/:venueDesignId/untag-tables - Remove service listing tags from tables
-router.post('/:venueDesignId/untag-tables', requireAuth, async (req, res, next) => {
+router.post('/:venueDesignId/untag-tables', requireAuth, serializeDesignWrites, async (req, res, next) => {
   try {
     const { untagTables } = require('../services/tableCountService');
 
@@ -3412,6 +4998,11 @@ router.post('/:venueDesignId/untag-tables', requireAuth, async (req, res, next)
     // Check if project is archived
     await checkProjectCanBeModified(venueDesign.project.id, req.user.sub);
 
+    // Per-table pricing follows the active layout only
+    if (!venueDesign.isActive) {
+      return res.status(400).json({ error: 'Tables can only be tagged in the active layout variant' });
+    }
+
     const updatedCount = await untagTables(
       venueDesignId,
       validatedData.placedElementIds,
@@ -3429,6 +5020,8 @@ router.post('/:venueDesignId/untag-tables', requireAuth, async (req, res, next)
     // Note: Per-table services are now shown in "3D Venue Design (Planned)" section
     // Users can manually move them to categories (Option B approach)
 
+    emitDesignChange(req, venueDesignId, 'design-reloaded');
+
     res.json({
       message: `Successfully untagged ${updatedCount} table(s)`,
       venueDesignId,
@@ -3504,6 +5097,29 @@ router.get('/:projectId/budget', requireAuth, async (req, res, next) => {
   }
 });
 
+// GET /venue-designs/:projectId/layout-validation - Check walkways, clearances and occupancy of the active layout
+router.get('/:projectId/layout-validation', requireAuth, async (req, res, next) => {
+  try {
+    if (req.user.role !== 'couple') {
+      return res.status(403).json({ error: 'Couple access required' });
+    }
+
+    const project = await fetchProject(req.params.projectId, req.user.sub);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const report = await validateProjectLayout(project.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Venue design not found' });
+    }
+
+    return res.json(report);
+  } catch (err) {
+    next(err);
+  }
+});
+
 // GET /venue-designs/:projectId/checkout-summary - Get checkout summary with calculated quantities and prices
 router.get('/:projectId/checkout-summary', requireAuth, async (req, res, next) => {
   try {
@@ -3527,11 +5143,16 @@ router.get('/:projectId/checkout-summary', requireAuth, async (req, res, next) =
     const layoutData = venueDesign.layoutData || {};
     const placementsMeta = layoutData.placementsMeta || {};
 
+    // Headcount-driven quantities are priced from the latest RSVPs; RSVP and guest
+    // updates store them, so this read never writes
+    const confirmedHeadcount = await getConfirmedHeadcount(project.id);
+
     // Get all placements with their service listings
     const placements = await prisma.placedElement.findMany({
       where: { venueDesignId: venueDesign.id },
       include: {
         designElement: {
+          omit: OMIT_FLOORPLAN,
           include: {
             vendor: {
               select: {
@@ -3718,11 +5339,22 @@ router.get('/:projectId/checkout-summary', requireAuth, async (req, res, next) =
 
     // Count non-3D project services
     const { getTableCount } = require('../services/tableCountService');
+    const projectServiceMap = {};
     for (const ps of projectServices) {
       if (!ps.serviceListingId) continue;
       const listing = serviceListingMap[ps.serviceListingId];
       if (!listing) continue;
 
+      if (listing.quantityFollowsHeadcount) {
+        // Headcount-driven services ignore placement/tag counts; booked ones keep their quantity
+        projectServiceMap[ps.serviceListingId] = ps.isBooked
+          ? ps
+          : { ...ps, ...getSyncedHeadcountQuantity(ps, listing, confirmedHeadcount) };
+        designQuantities[ps.serviceListingId] = projectServiceMap[ps.serviceListingId].quantity;
+        continue;
+      }
+      projectServiceMap[ps.serviceListingId] = ps;
+
       if (listing.pricingPolicy === 'per_table') {
         // For per_table services, use the table count service
         try {
@@ -3837,6 +5469,16 @@ router.get('/:projectId/checkout-summary', requireAuth, async (req, res, next) =
         unitPrice,
         price: additionalPrice,
         pricingPolicy: listing.pricingPolicy,
+        quantityFollowsHeadcount: listing.quantityFollowsHeadcount,
+        guestsPerUnit: listing.guestsPerUnit,
+        // Unreviewed change caused by RSVPs since the last booking request
+        headcountChange:
+          listing.quantityFollowsHeadcount && projectServiceMap[serviceListingId]?.previousQuantity != null
+            ? {
+                previousQuantity: projectServiceMap[serviceListingId].previousQuantity,
+                quantity: designQuantity,
+              }
+            : null,
         serviceListing: {
           id: listing.id,
           name: listing.name,
@@ -3860,6 +5502,7 @@ router.get('/:projectId/checkout-summary', requireAuth, async (req, res, next) =
       eventStartTime: project.eventStartTime || null,
       eventEndTime: project.eventEndTime || null,
       hasVenueSelected: Boolean(project.venueServiceListingId),
+      confirmedHeadcount,
       venue: {
         serviceListingId: project.venueServiceListingId || null,
         booking: venueBookingStatus,
@@ -3874,8 +5517,6 @@ router.get('/:projectId/checkout-summary', requireAuth, async (req, res, next) =
   }
 });
 
-// Export updatePlannedSpend function for use in other route files
 module.exports = router;
-module.exports.updatePlannedSpend = updatePlannedSpend;
 
 
@@ -0,0 +1,60 @@
+/**
+ * Design Annotations
+ *
+ * Measurements and notes planners leave on a design, saved in layoutData.annotations:
+ * dimension lines between two points (e.g. dance floor to stage) and sticky notes.
+ * Every point is an anchor - a world position, optionally tied to a placed element so
+ * it follows the element when it is moved or rotated. Vendors see them in their preview.
+ */
+
+const { z } = require('zod');
+
+const MAX_DIMENSIONS = 50;
+const MAX_NOTES = 50;
+
+const POINT_SCHEMA = z.object({
+  x: z.coerce.number(),
+  y: z.coerce.number(),
+  z: z.coerce.number(),
+});
+
+const ANCHOR_SCHEMA = z.object({
+  // World position when saved; used on its own when the element is gone
+  position: POINT_SCHEMA,
+  elementId: z.string().trim().min(1).max(60).optional(),
+  // Position relative to the element's centre, in the element's unrotated frame
+  offset: POINT_SCHEMA.optional(),
+});
+
+const DIMENSION_SCHEMA = z.object({
+  id: z.string().trim().min(1).max(40),
+  start: ANCHOR_SCHEMA,
+  end: ANCHOR_SCHEMA,
+  label: z.string().trim().max(80).optional(),
+});
+
+const NOTE_SCHEMA = z.object({
+  id: z.string().trim().min(1).max(40),
+  anchor: ANCHOR_SCHEMA,
+  text: z.string().trim().max(500),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Note colors must be hex colors like #fde68a'),
+});
+
+const ANNOTATIONS_SCHEMA = z.object({
+  dimensions: z
+    .array(DIMENSION_SCHEMA)
+    .max(MAX_DIMENSIONS, `A design can have at most ${MAX_DIMENSIONS} dimension lines`)
+    .optional()
+    .default([]),
+  notes: z
+    .array(NOTE_SCHEMA)
+    .max(MAX_NOTES, `A design can have at most ${MAX_NOTES} notes`)
+    .optional()
+    .default([]),
+});
+
+module.exports = {
+  MAX_DIMENSIONS,
+  MAX_NOTES,
+  ANNOTATIONS_SCHEMA,
+};
@@ -0,0 +1,173 @@
+/**
+ * Design Collaboration Service
+ *
+ * Real-time co-editing of a venue design. Every browser editing a design joins the
+ * design's Socket.IO room. Element writes made through the REST routes are broadcast
+ * to the room after they commit, and editors share their selection and cursor.
+ *
+ * Conflicts on the same PlacedElement: writes to a design are applied one at a time
+ * (middleware/designWriteLock) and each write bumps the element's version. The last
+ * committed write wins; clients only apply an element if its version is newer than
+ * the one they hold, so every editor ends up with the same state.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getActiveVenueDesign } = require('./designVariantService');
+
+const prisma = new PrismaClient();
+
+const EDITOR_COLORS = ['#e16789', '#3f8efc', '#2bb673', '#f5a623', '#8e5bd9', '#00a6a6', '#d0463b', '#6d7f91'];
+
+// venueDesignId -> Map(socketId -> editor)
+const designEditors = new Map();
+
+const designRoom = (venueDesignId) => `venue-design:${venueDesignId}`;
+
+// Stable per-connection colour, so the same editor keeps it for the whole session
+function pickEditorColor(socketId) {
+  let hash = 0;
+  for (let i = 0; i < socketId.length; i += 1) {
+    hash = (hash * 31 + socketId.charCodeAt(i)) >>> 0;
+  }
+  return EDITOR_COLORS[hash % EDITOR_COLORS.length];
+}
+
+function listEditors(venueDesignId) {
+  return Array.from(designEditors.get(venueDesignId)?.values() || []);
+}
+
+function leaveDesign(socket) {
+  const venueDesignId = socket.venueDesignId;
+  if (!venueDesignId) return;
+
+  const editors = designEditors.get(venueDesignId);
+  if (editors) {
+    editors.delete(socket.id);
+    if (editors.size === 0) {
+      designEditors.delete(venueDesignId);
+    }
+  }
+  socket.leave(designRoom(venueDesignId));
+  socket.to(designRoom(venueDesignId)).emit('venue-design-editor-left', { socketId: socket.id });
+  socket.venueDesignId = null;
+}
+
+/**
+ * Wire the venue design collaboration events onto a connected socket
+ * @param {Object} socket - Authenticated Socket.IO socket (userId, userRole)
+ */
+function registerDesignCollaboration(socket) {
+  // Join the room of the project's active layout; the ack lists the other editors
+  socket.on('join-venue-design', async (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      if (socket.userRole !== 'couple') {
+        return reply({ error: 'Couple access required' });
+      }
+
+      const projectId = payload?.projectId;
+      const project = projectId
+        ? await prisma.weddingProject.findFirst({
+            where: { id: projectId, coupleId: socket.userId },
+            select: { id: true },
+          })
+        : null;
+      if (!project) {
+        return reply({ error: 'Project not found' });
+      }
+
+      const venueDesign = await getActiveVenueDesign(project.id, { select: { id: true } });
+      if (!venueDesign) {
+        return reply({ error: 'Venue design not found' });
+      }
+
+      leaveDesign(socket);
+
+      const user = await prisma.user.findUnique({
+        where: { id: socket.userId },
+        select: { name: true },
+      });
+      const editor = {
+        socketId: socket.id,
+        userId: socket.userId,
+        name: user?.name || 'Another editor',
+        color: pickEditorColor(socket.id),
+        selectedIds: [],
+        cursor: null,
+      };
+
+      const others = listEditors(venueDesign.id);
+      if (!designEditors.has(venueDesign.id)) {
+        designEditors.set(venueDesign.id, new Map());
+      }
+      designEditors.get(venueDesign.id).set(socket.id, editor);
+      socket.venueDesignId = venueDesign.id;
+      socket.join(designRoom(venueDesign.id));
+      socket.to(designRoom(venueDesign.id)).emit('venue-design-editor-joined', editor);
+
+      return reply({ venueDesignId: venueDesign.id, editor, editors: others });
+    } catch (err) {
+      console.error('[designCollaboration] join failed', err);
+      return reply({ error: 'Unable to join the design' });
+    }
+  });
+
+  socket.on('leave-venue-design', () => {
+    leaveDesign(socket);
+  });
+
+  // Selection and cursor (floor point) of this editor
+  socket.on('venue-design-presence', (payload) => {
+    const editor = designEditors.get(socket.venueDesignId)?.get(socket.id);
+    if (!editor) return;
+
+    if (Array.isArray(payload?.selectedIds)) {
+      editor.selectedIds = payload.selectedIds.filter((id) => typeof id === 'string').slice(0, 200);
+    }
+    if (payload?.cursor === null) {
+      editor.cursor = null;
+    } else if (Number.isFinite(payload?.cursor?.x) && Number.isFinite(payload?.cursor?.z)) {
+      editor.cursor = { x: payload.cursor.x, z: payload.cursor.z };
+    }
+
+    socket.to(designRoom(socket.venueDesignId)).emit('venue-design-presence', {
+      socketId: socket.id,
+      selectedIds: editor.selectedIds,
+      cursor: editor.cursor,
+    });
+  });
+
+  socket.on('disconnect', () => {
+    leaveDesign(socket);
+  });
+}
+
+/**
+ * Broadcast a committed design change to everyone else editing the design.
+ * The requesting browser sends its socket ID in X-Socket-Id and is skipped, since it
+ * already applied the change from the HTTP response.
+ * @param {Object} req - Express request (for the io instance and X-Socket-Id)
+ * @param {String} venueDesignId - VenueDesign the change was made to
+ * @param {String} type - 'placements-upserted' | 'placements-removed' | 'camera-tours-updated' | 'lighting-updated' | 'annotations-updated' | 'design-reloaded'
+ * @param {Object} payload - { placements } | { placementIds } | { cameraTours } | { lighting } | { annotations } | {}
+ */
+function emitDesignChange(req, venueDesignId, type, payload = {}) {
+  const io = req.app.get('io');
+  if (!io || !venueDesignId) return;
+
+  const sourceSocketId = req.get('x-socket-id');
+  const target = sourceSocketId
+    ? io.to(designRoom(venueDesignId)).except(sourceSocketId)
+    : io.to(designRoom(venueDesignId));
+  target.emit('venue-design-change', {
+    type,
+    venueDesignId,
+    sourceSocketId: sourceSocketId || null,
+    ...payload,
+  });
+}
+
+module.exports = {
+  registerDesignCollaboration,
+  emitDesignChange,
+};
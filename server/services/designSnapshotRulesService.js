@@ -0,0 +1,97 @@
+/**
+ * Design Snapshot Rules Service
+ *
+ * What restoring a snapshot may do: the restored placements must fit around the booked
+ * ones that stay, and the restored layoutData keeps the parts of the live design that
+ * a snapshot does not roll back. Works on data already loaded (see designSnapshotService).
+ */
+
+const { findStackingError } = require('./stackingService');
+const { findFootprintCollision, describeCollision } = require('./footprintService');
+const { findMoveLayoutViolation, describeLayoutViolation } = require('./venueLayoutService');
+
+// layoutData kept from the live design on restore: these are edited through their own
+// routes and are not part of the placement history a snapshot rolls back
+const LIVE_LAYOUT_KEYS = ['cameraTours', 'lighting', 'annotations'];
+
+function conflictError(status, message, elementIds) {
+  const error = new Error(message);
+  error.statusCode = status;
+  error.elementIds = elementIds;
+  return error;
+}
+
+/**
+ * Refuse a restore whose placements would break the rules new placements follow
+ * against what stays: invalid stacking, overlapping a kept booked item, or standing
+ * in the venue's walls, columns or stage. Overlaps among the snapshot's own
+ * placements were allowed when it was taken and are not checked again.
+ * @param {Array} restored - Snapshot placements as they will stand (id, parentElementId, designElement, position, rotation)
+ * @param {Array} booked - Kept booked placements (with designElement, position, rotation and parentElementId)
+ * @param {Object|null} venueLayout - From buildVenueLayout
+ */
+function assertRestoreFits(restored, booked, venueLayout) {
+  const finalIds = new Set([...restored, ...booked].map((placement) => placement.id));
+  const stackingError = findStackingError(
+    restored
+      .filter((placement) => placement.snapshotParentId && finalIds.has(placement.snapshotParentId))
+      .map((placement) => ({ id: placement.id, parentElementId: placement.snapshotParentId })),
+    [...booked, ...restored]
+  );
+  if (stackingError) {
+    throw conflictError(400, stackingError.message, [stackingError.placement.id]);
+  }
+
+  for (const placement of restored) {
+    // Checked as new items, so they never count as already overlapping
+    const move = {
+      placement: { designElement: placement.designElement, restoredId: placement.id },
+      position: placement.position,
+      rotation: placement.rotation,
+    };
+    const collision = findFootprintCollision([move], booked);
+    if (collision) {
+      throw conflictError(409, describeCollision(collision), [placement.id, collision.other.id]);
+    }
+    const layoutViolation = findMoveLayoutViolation(venueLayout, [move]);
+    if (layoutViolation) {
+      throw conflictError(409, describeLayoutViolation(layoutViolation), [placement.id]);
+    }
+  }
+}
+
+/**
+ * layoutData of a design after a restore: the snapshot's, with the placement metadata of
+ * kept booked placements taken from the live design, and camera tours, lighting and
+ * annotations kept as they are now
+ * @param {Object} snapshotLayout - layoutData stored in the snapshot
+ * @param {Object|null} liveLayout - layoutData of the live design
+ * @param {Object} placementIds
+ * @param {Set} placementIds.bookedIds - Booked placements that stay
+ * @param {Set} placementIds.restoredIds - Snapshot placements being restored
+ * @returns {Object}
+ */
+function buildRestoredLayoutData(snapshotLayout, liveLayout, { bookedIds, restoredIds }) {
+  const snapshotMeta = snapshotLayout.placementsMeta || {};
+  const currentMeta = liveLayout?.placementsMeta || {};
+
+  const placementsMeta = {};
+  bookedIds.forEach((id) => {
+    if (currentMeta[id]) placementsMeta[id] = currentMeta[id];
+  });
+  restoredIds.forEach((id) => {
+    if (snapshotMeta[id]) placementsMeta[id] = snapshotMeta[id];
+  });
+
+  const layoutData = { ...snapshotLayout, placementsMeta, lastSavedAt: new Date().toISOString() };
+  LIVE_LAYOUT_KEYS.forEach((key) => {
+    delete layoutData[key];
+    if (liveLayout?.[key] !== undefined) layoutData[key] = liveLayout[key];
+  });
+  return layoutData;
+}
+
+module.exports = {
+  assertRestoreFits,
+  buildRestoredLayoutData,
+};
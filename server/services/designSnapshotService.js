@@ -0,0 +1,283 @@
+/**
+ * Design Snapshot Service
+ *
+ * Restore points for venue designs. Each explicit save stores an immutable copy of
+ * the design's placements, camera and layoutData; a snapshot can later be restored
+ * over the live design. Booked placements are never touched by a restore, and the
+ * restored layout must fit around them like any other edit.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { prefixedUlid } = require('../utils/id');
+const { assertRestoreFits, buildRestoredLayoutData } = require('./designSnapshotRulesService');
+
+const prisma = new PrismaClient();
+
+// Oldest snapshots beyond this are pruned when a new one is taken
+const MAX_SNAPSHOTS_PER_DESIGN = 30;
+
+function serializeSnapshotSummary(snapshot) {
+  return {
+    id: snapshot.id,
+    label: snapshot.label || null,
+    placementCount: snapshot.placementCount,
+    createdAt: snapshot.createdAt,
+  };
+}
+
+/**
+ * Store the current state of a venue design as a snapshot
+ * @param {String} venueDesignId - VenueDesign ID
+ * @param {String|null} label - Optional label shown in the history list
+ * @returns {Promise<Object>} Snapshot summary { id, label, placementCount, createdAt }
+ */
+async function captureDesignSnapshot(venueDesignId, label = null) {
+  const venueDesign = await prisma.venueDesign.findUnique({
+    where: { id: venueDesignId },
+    include: {
+      cameraPosition: true,
+      placedElements: {
+        include: { position: true },
+      },
+    },
+  });
+
+  if (!venueDesign) {
+    const error = new Error('Venue design not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const placements = venueDesign.placedElements.map((placement) => ({
+    id: placement.id,
+    designElementId: placement.designElementId,
+    position: {
+      x: placement.position?.x ?? 0,
+      y: placement.position?.y ?? 0,
+      z: placement.position?.z ?? 0,
+    },
+    rotation: placement.rotation ?? 0,
+    isLocked: placement.isLocked,
+    parentElementId: placement.parentElementId || null,
+    serviceListingIds: placement.serviceListingIds || [],
+    elementType: placement.elementType || null,
+    isBooked: placement.isBooked,
+  }));
+
+  const snapshot = await prisma.venueDesignSnapshot.create({
+    data: {
+      id: prefixedUlid('snp'),
+      venueDesignId,
+      label,
+      placementCount: placements.length,
+      data: {
+        layoutData: venueDesign.layoutData || {},
+        cameraPosition: venueDesign.cameraPosition
+          ? {
+              x: venueDesign.cameraPosition.x,
+              y: venueDesign.cameraPosition.y,
+              z: venueDesign.cameraPosition.z,
+            }
+          : null,
+        zoomLevel: venueDesign.zoomLevel,
+        placements,
+      },
+    },
+  });
+
+  const stale = await prisma.venueDesignSnapshot.findMany({
+    where: { venueDesignId },
+    orderBy: { createdAt: 'desc' },
+    skip: MAX_SNAPSHOTS_PER_DESIGN,
+    select: { id: true },
+  });
+  if (stale.length > 0) {
+    await prisma.venueDesignSnapshot.deleteMany({
+      where: { id: { in: stale.map((entry) => entry.id) } },
+    });
+  }
+
+  return serializeSnapshotSummary(snapshot);
+}
+
+/**
+ * Restore a snapshot over the live design.
+ * Booked placements stay exactly as they are. Snapshot placements whose 3D model was deleted
+ * or whose service is no longer active are skipped. Placements that exist in both keep their
+ * IDs (so guest seating and table tags survive); the rest are created or removed. Camera
+ * tours, lighting and annotations stay as they are now.
+ * Throws (statusCode 400/409, with elementIds) when the restored placements don't fit
+ * around the booked ones or the venue (see assertRestoreFits); nothing is written then.
+ * @param {Object} venueDesign - Live VenueDesign (id, layoutData, cameraPositionId, placedElements with designElement and position)
+ * @param {Object} snapshot - VenueDesignSnapshot with data
+ * @param {Object} options
+ * @param {Object|null} options.venueLayout - From buildVenueLayout
+ * @param {Function} options.beforeRestore - Called once the restore is known to fit, before any write
+ * @param {Function} options.beforeDelete - Called with the IDs of placements about to be removed
+ * @returns {Promise<Object>} { restoredCount, keptBookedCount, skippedCount, removedCount }
+ */
+async function restoreDesignSnapshot(
+  venueDesign,
+  snapshot,
+  { venueLayout = null, beforeRestore = async () => {}, beforeDelete = async () => {} } = {}
+) {
+  const data = snapshot.data || {};
+  const snapshotLayout = data.layoutData || {};
+  const snapshotMeta = snapshotLayout.placementsMeta || {};
+
+  const current = await prisma.placedElement.findMany({
+    where: { venueDesignId: venueDesign.id },
+    select: { id: true, positionId: true, isBooked: true },
+  });
+  const currentById = new Map(current.map((placement) => [placement.id, placement]));
+  const bookedIds = new Set(current.filter((placement) => placement.isBooked).map((placement) => placement.id));
+
+  const snapshotPlacements = (data.placements || []).filter((placement) => !bookedIds.has(placement.id));
+
+  const [designElements, activeListings] = await Promise.all([
+    prisma.designElement.findMany({
+      where: { id: { in: [...new Set(snapshotPlacements.map((placement) => placement.designElementId))] } },
+      select: {
+        id: true,
+        name: true,
+        elementType: true,
+        dimensions: true,
+        isStackable: true,
+        canHostChildren: true,
+        maxChildren: true,
+        hostChildTypes: true,
+      },
+    }),
+    prisma.serviceListing.findMany({
+      where: {
+        id: {
+          in: [
+            ...new Set(
+              snapshotPlacements.map((placement) => snapshotMeta[placement.id]?.serviceListingId).filter(Boolean)
+            ),
+          ],
+        },
+        isActive: true,
+      },
+      select: { id: true },
+    }),
+  ]);
+  const designElementMap = new Map(designElements.map((element) => [element.id, element]));
+  const activeListingIds = new Set(activeListings.map((listing) => listing.id));
+
+  const restorable = snapshotPlacements.filter((placement) => {
+    const listingId = snapshotMeta[placement.id]?.serviceListingId;
+    return designElementMap.has(placement.designElementId) && (!listingId || activeListingIds.has(listingId));
+  });
+  const restorableIds = new Set(restorable.map((placement) => placement.id));
+  const toDelete = current.filter((placement) => !placement.isBooked && !restorableIds.has(placement.id));
+
+  assertRestoreFits(
+    restorable.map((placement) => ({
+      id: placement.id,
+      parentElementId: null,
+      snapshotParentId: placement.parentElementId || null,
+      elementType: placement.elementType || null,
+      designElement: designElementMap.get(placement.designElementId),
+      position: placement.position,
+      rotation: placement.rotation ?? 0,
+    })),
+    (venueDesign.placedElements || []).filter((placement) => bookedIds.has(placement.id)),
+    venueLayout
+  );
+  await beforeRestore();
+
+  if (toDelete.length > 0) {
+    await beforeDelete(toDelete.map((placement) => placement.id));
+  }
+
+  await prisma.$transaction(
+    async (tx) => {
+      if (toDelete.length > 0) {
+        await tx.placedElement.deleteMany({
+          where: { id: { in: toDelete.map((placement) => placement.id) } },
+        });
+        await tx.coordinates.deleteMany({
+          where: { id: { in: toDelete.map((placement) => placement.positionId) } },
+        });
+      }
+
+      for (const placement of restorable) {
+        const fields = {
+          designElementId: placement.designElementId,
+          rotation: placement.rotation ?? 0,
+          isLocked: Boolean(placement.isLocked),
+          serviceListingIds: placement.serviceListingIds || [],
+          elementType: placement.elementType || null,
+          parentElementId: null,
+        };
+        const existing = currentById.get(placement.id);
+        if (existing) {
+          await tx.coordinates.update({
+            where: { id: existing.positionId },
+            data: placement.position,
+          });
+          await tx.placedElement.update({
+            where: { id: placement.id },
+            data: { ...fields, version: { increment: 1 } },
+          });
+        } else {
+          const position = await tx.coordinates.create({
+            data: { id: prefixedUlid('pos'), ...placement.position },
+          });
+          await tx.placedElement.create({
+            data: {
+              id: placement.id,
+              venueDesignId: venueDesign.id,
+              positionId: position.id,
+              ...fields,
+            },
+          });
+        }
+      }
+
+      // Stacking is restored once every parent exists; parents that were skipped leave the child on the floor
+      const finalIds = new Set([...restorableIds, ...bookedIds]);
+      for (const placement of restorable) {
+        if (!placement.parentElementId || !finalIds.has(placement.parentElementId)) continue;
+        await tx.placedElement.update({
+          where: { id: placement.id },
+          data: { parentElementId: placement.parentElementId },
+        });
+      }
+
+      if (data.cameraPosition && venueDesign.cameraPositionId) {
+        await tx.coordinates.update({
+          where: { id: venueDesign.cameraPositionId },
+          data: data.cameraPosition,
+        });
+      }
+
+      await tx.venueDesign.update({
+        where: { id: venueDesign.id },
+        data: {
+          zoomLevel: data.zoomLevel ?? venueDesign.zoomLevel,
+          layoutData: buildRestoredLayoutData(snapshotLayout, venueDesign.layoutData, {
+            bookedIds,
+            restoredIds: restorableIds,
+          }),
+        },
+      });
+    },
+    // Large layouts need more than the default 5s for the per-placement writes
+    { timeout: 30000 }
+  );
+
+  return {
+    restoredCount: restorable.length,
+    keptBookedCount: bookedIds.size,
+    skippedCount: snapshotPlacements.length - restorable.length,
+    removedCount: toDelete.length,
+  };
+}
+
+module.exports = {
+  serializeSnapshotSummary,
+  captureDesignSnapshot,
+  restoreDesignSnapshot,
+};
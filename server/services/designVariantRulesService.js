@@ -0,0 +1,75 @@
+/**
+ * Design Variant Rules Service
+ *
+ * How a layout variant is copied and how its seating capacity adds up. Works on data
+ * already loaded (see designVariantService).
+ */
+
+const { prefixedUlid } = require('../utils/id');
+
+const isChairPlacement = (placement) =>
+  placement.elementType === 'chair' ||
+  placement.designElement?.elementType === 'chair' ||
+  Boolean(placement.designElement?.name?.toLowerCase().includes('chair'));
+
+/**
+ * New IDs for the placements of a copied variant, and their placement metadata under the
+ * new IDs. Each bundle gets a new ID shared by all its members, so the copy prices
+ * independently of the original.
+ * @param {Array} placements - Placements of the source design (with id)
+ * @param {Object} sourceMeta - layoutData.placementsMeta of the source design
+ * @returns {Object} { placementIdMap, placementsMeta } - placementIdMap maps source to new placement IDs
+ */
+function copyPlacementsMeta(placements, sourceMeta) {
+  const placementIdMap = new Map();
+  const bundleIdMap = new Map();
+  placements.forEach((placement) => {
+    placementIdMap.set(placement.id, prefixedUlid('ple'));
+    const bundleId = sourceMeta[placement.id]?.bundleId;
+    if (bundleId && !bundleIdMap.has(bundleId)) {
+      bundleIdMap.set(bundleId, prefixedUlid('bnd'));
+    }
+  });
+
+  const placementsMeta = {};
+  placements.forEach((placement) => {
+    const meta = sourceMeta[placement.id];
+    if (!meta) return;
+    placementsMeta[placementIdMap.get(placement.id)] = {
+      ...meta,
+      bundleId: meta.bundleId ? bundleIdMap.get(meta.bundleId) : meta.bundleId,
+    };
+  });
+
+  return { placementIdMap, placementsMeta };
+}
+
+/**
+ * Seating capacity of a layout: seats at its tables plus loose chairs
+ * (chairs placed on their own rather than as part of a table bundle)
+ * @param {Array} tables - From getSeatingTables (with capacity, null when unknown)
+ * @param {Object} venueDesign - VenueDesign with layoutData and placedElements (with designElement)
+ * @returns {Object} { tableCount, tableSeats, looseChairs, seatCapacity, tablesWithoutCapacity }
+ */
+function summarizeDesignCapacity(tables, venueDesign) {
+  const placementsMeta = venueDesign.layoutData?.placementsMeta || {};
+
+  const tableSeats = tables.reduce((sum, table) => sum + (table.capacity || 0), 0);
+  const looseChairs = (venueDesign.placedElements || []).filter((placement) => {
+    const meta = placementsMeta[placement.id];
+    return isChairPlacement(placement) && (!meta?.bundleId || meta.role === 'primary');
+  }).length;
+
+  return {
+    tableCount: tables.length,
+    tableSeats,
+    looseChairs,
+    seatCapacity: tableSeats + looseChairs,
+    tablesWithoutCapacity: tables.filter((table) => table.capacity === null).length,
+  };
+}
+
+module.exports = {
+  copyPlacementsMeta,
+  summarizeDesignCapacity,
+};
@@ -0,0 +1,165 @@
+/**
+ * Design Variant Service
+ *
+ * A wedding project can keep several named venue layouts (e.g. "Theatre style"
+ * and "Banquet style"). Exactly one is active at a time: checkout, budget sync
+ * and table tagging always work on the active layout.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { prefixedUlid } = require('../utils/id');
+const { copyPlacementsMeta, summarizeDesignCapacity } = require('./designVariantRulesService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get the active venue design (layout variant) of a project
+ * @param {String} projectId - WeddingProject ID
+ * @param {Object} args - Optional Prisma include/select
+ * @returns {Promise<Object|null>}
+ */
+async function getActiveVenueDesign(projectId, args = {}) {
+  return prisma.venueDesign.findFirst({
+    where: { projectId, isActive: true },
+    ...args,
+  });
+}
+
+/**
+ * Copy a venue design into a new, inactive variant of the same project.
+ * Placements, stacking, table tags and placement metadata are copied; bundles get
+ * new IDs so the copy prices independently. Booking state is not copied.
+ * @param {String} sourceDesignId - VenueDesign to copy
+ * @param {String} name - Name of the new variant
+ * @returns {Promise<Object>} The created VenueDesign
+ */
+async function duplicateVenueDesign(sourceDesignId, name) {
+  const source = await prisma.venueDesign.findUnique({
+    where: { id: sourceDesignId },
+    include: {
+      cameraPosition: true,
+      placedElements: {
+        include: { position: true },
+      },
+    },
+  });
+
+  if (!source) {
+    const error = new Error('Design variant not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const sourceLayout = source.layoutData || {};
+  const { placementIdMap, placementsMeta } = copyPlacementsMeta(
+    source.placedElements,
+    sourceLayout.placementsMeta || {}
+  );
+
+  return prisma.$transaction(
+    async (tx) => {
+      const cameraPosition = await tx.coordinates.create({
+        data: {
+          id: prefixedUlid('cam'),
+          x: source.cameraPosition?.x ?? 0,
+          y: source.cameraPosition?.y ?? 3,
+          z: source.cameraPosition?.z ?? 8,
+        },
+      });
+
+      const created = await tx.venueDesign.create({
+        data: {
+          id: prefixedUlid('vnd'),
+          projectId: source.projectId,
+          name,
+          isActive: false,
+          venueName: source.venueName,
+          cameraPositionId: cameraPosition.id,
+          zoomLevel: source.zoomLevel,
+          layoutData: {
+            ...sourceLayout,
+            placementsMeta,
+            lastSavedAt: new Date().toISOString(),
+          },
+        },
+      });
+
+      // Create every placement first, then restore stacking once all parents exist
+      for (const placement of source.placedElements) {
+        const position = await tx.coordinates.create({
+          data: {
+            id: prefixedUlid('pos'),
+            x: placement.position.x,
+            y: placement.position.y,
+            z: placement.position.z,
+          },
+        });
+        await tx.placedElement.create({
+          data: {
+            id: placementIdMap.get(placement.id),
+            venueDesignId: created.id,
+            designElementId: placement.designElementId,
+            positionId: position.id,
+            rotation: placement.rotation,
+            isLocked: placement.isLocked,
+            serviceListingIds: placement.serviceListingIds || [],
+            elementType: placement.elementType,
+          },
+        });
+      }
+
+      for (const placement of source.placedElements) {
+        if (!placement.parentElementId || !placementIdMap.has(placement.parentElementId)) continue;
+        await tx.placedElement.update({
+          where: { id: placementIdMap.get(placement.id) },
+          data: { parentElementId: placementIdMap.get(placement.parentElementId) },
+        });
+      }
+
+      return created;
+    },
+    // Large layouts need more than the default 5s for the per-placement inserts
+    { timeout: 30000 }
+  );
+}
+
+/**
+ * Make a variant the project's active layout (deactivates the others)
+ * @param {String} projectId - WeddingProject ID
+ * @param {String} designId - VenueDesign to activate
+ * @param {Object} [tx] - Transaction to run in, so callers can commit related writes with
+ *   the switch; runs in a transaction of its own otherwise
+ * @returns {Promise<Object>} The activated VenueDesign
+ */
+async function activateVenueDesign(projectId, designId, tx = null) {
+  if (!tx) {
+    return prisma.$transaction((client) => activateVenueDesign(projectId, designId, client));
+  }
+  await tx.venueDesign.updateMany({
+    where: { projectId, isActive: true, NOT: { id: designId } },
+    data: { isActive: false },
+  });
+  return tx.venueDesign.update({
+    where: { id: designId },
+    data: { isActive: true },
+  });
+}
+
+/**
+ * Seating capacity of a layout: seats at its tables plus loose chairs
+ * (chairs placed on their own rather than as part of a table bundle)
+ * @param {Object} venueDesign - VenueDesign with id, layoutData and placedElements (with designElement)
+ * @returns {Promise<Object>} { tableCount, tableSeats, looseChairs, seatCapacity, tablesWithoutCapacity }
+ */
+async function getDesignCapacity(venueDesign) {
+  // Required lazily: seatingService itself depends on this service
+  const { getSeatingTables } = require('./seatingService');
+  return summarizeDesignCapacity(await getSeatingTables(venueDesign), venueDesign);
+}
+
+module.exports = {
+  getActiveVenueDesign,
+  duplicateVenueDesign,
+  activateVenueDesign,
+  getDesignCapacity,
+};
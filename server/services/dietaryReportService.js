@@ -0,0 +1,44 @@
+/**
+ * Dietary Report Service
+ *
+ * Loads a project's attending and pending guests and its seating for the dietary and
+ * allergy rollup its caterers see (dietaryRollupService).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getSeatingTables } = require('./seatingService');
+const { getActiveVenueDesign } = require('./designVariantService');
+const { buildDietaryReport } = require('./dietaryRollupService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Build the dietary and allergy rollup for a project
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<Object>} { generatedAt, pendingGuestCount, totals, tables, unseated }
+ */
+async function getDietaryReport(projectId) {
+  const [guests, venueDesign] = await Promise.all([
+    prisma.guest.findMany({
+      where: { projectId, rsvpStatus: { in: ['attending', 'pending'] } },
+      select: {
+        rsvpStatus: true,
+        mealChoice: true,
+        plusOnesAttending: true,
+        dietaryRequirements: true,
+        allergies: true,
+        tableId: true,
+      },
+    }),
+    getActiveVenueDesign(projectId, {
+      select: { id: true, layoutData: true },
+    }),
+  ]);
+
+  const tables = venueDesign ? await getSeatingTables(venueDesign) : [];
+  return buildDietaryReport(guests, tables);
+}
+
+module.exports = {
+  getDietaryReport,
+};
@@ -0,0 +1,138 @@
+/**
+ * Dietary Rollup Service
+ *
+ * Aggregates meal choices, dietary requirements and allergies of a project's
+ * attending guests for its caterers, in total and per table when seating exists.
+ * Only counts leave this service: no guest names or contact details.
+ */
+
+// Label used for plus-ones and guests who have not picked a meal
+const UNSPECIFIED_MEAL = 'Not specified';
+
+/**
+ * Whether a booking includes a catering service
+ * @param {Object} booking - Booking with selectedServices[].serviceListing.category
+ * @returns {Boolean}
+ */
+function isCateringBooking(booking) {
+  return (booking.selectedServices || []).some((service) => service.serviceListing?.category === 'Caterer');
+}
+
+/**
+ * Case-insensitive tally that keeps the first spelling it saw as the label
+ */
+function createTally() {
+  const entries = new Map();
+  return {
+    add(label, count = 1) {
+      const trimmed = (label || '').trim();
+      if (!trimmed || count <= 0) return;
+      const key = trimmed.toLowerCase();
+      const entry = entries.get(key) || { label: trimmed, count: 0 };
+      entry.count += count;
+      entries.set(key, entry);
+    },
+    toArray() {
+      return Array.from(entries.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    },
+  };
+}
+
+/**
+ * Roll up a group of attending guests
+ * @param {Array} guests - Attending guests
+ * @returns {Object} { headcount, mealChoices, dietaryRequirements, allergies }
+ */
+function summarizeGuests(guests) {
+  const mealChoices = createTally();
+  const dietaryRequirements = createTally();
+  const allergies = createTally();
+  let headcount = 0;
+
+  guests.forEach((guest) => {
+    const plusOnes = guest.plusOnesAttending || 0;
+    headcount += 1 + plusOnes;
+    mealChoices.add(guest.mealChoice || UNSPECIFIED_MEAL);
+    // Plus-ones do not pick a meal or record dietary needs on the RSVP form
+    mealChoices.add(UNSPECIFIED_MEAL, plusOnes);
+    (guest.dietaryRequirements || []).forEach((requirement) => dietaryRequirements.add(requirement));
+    (guest.allergies || []).forEach((allergy) => allergies.add(allergy));
+  });
+
+  return {
+    headcount,
+    mealChoices: mealChoices.toArray(),
+    dietaryRequirements: dietaryRequirements.toArray(),
+    allergies: allergies.toArray(),
+  };
+}
+
+/**
+ * Roll up guests in total, per table and unseated
+ * @param {Array} guests - Attending and pending guests with meal, dietary, allergy and tableId fields
+ * @param {Array} tables - From getSeatingTables
+ * @returns {Object} { generatedAt, pendingGuestCount, totals, tables, unseated }
+ */
+function buildDietaryReport(guests, tables) {
+  const attendingGuests = guests.filter((guest) => guest.rsvpStatus === 'attending');
+  const tableIds = new Set(tables.map((table) => table.id));
+
+  const tableReports = tables
+    .map((table) => ({
+      tableNumber: table.tableNumber,
+      name: table.name,
+      ...summarizeGuests(attendingGuests.filter((guest) => guest.tableId === table.id)),
+    }))
+    .filter((table) => table.headcount > 0);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    pendingGuestCount: guests.length - attendingGuests.length,
+    totals: summarizeGuests(attendingGuests),
+    tables: tableReports,
+    // Only meaningful once seating has started
+    unseated:
+      tableReports.length > 0
+        ? summarizeGuests(attendingGuests.filter((guest) => !guest.tableId || !tableIds.has(guest.tableId)))
+        : null,
+  };
+}
+
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Guest-entered labels could otherwise run as formulas when the file is opened in a spreadsheet
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize a dietary report as CSV: one row per (group, type, item)
+ * @param {Object} report - Result of buildDietaryReport
+ * @returns {String}
+ */
+function toDietaryReportCsv(report) {
+  const rows = [['Group', 'Type', 'Item', 'Count']];
+  const addGroup = (group, summary) => {
+    rows.push([group, 'Headcount', '', summary.headcount]);
+    summary.mealChoices.forEach((entry) => rows.push([group, 'Meal', entry.label, entry.count]));
+    summary.dietaryRequirements.forEach((entry) => rows.push([group, 'Dietary', entry.label, entry.count]));
+    summary.allergies.forEach((entry) => rows.push([group, 'Allergy', entry.label, entry.count]));
+  };
+
+  addGroup('All guests', report.totals);
+  report.tables.forEach((table) => addGroup(`Table ${table.tableNumber}`, table));
+  if (report.unseated && report.unseated.headcount > 0) {
+    addGroup('Unseated', report.unseated);
+  }
+  rows.push(['Awaiting RSVP', 'Guests', '', report.pendingGuestCount]);
+
+  return rows.map((row) => row.map(escapeCsv).join(',')).join('\n');
+}
+
+module.exports = {
+  isCateringBooking,
+  buildDietaryReport,
+  toDietaryReportCsv,
+};
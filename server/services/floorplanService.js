@@ -0,0 +1,174 @@
+/**
+ * Venue Floorplans
+ *
+ * The 2D floorplan a venue model was generated from in the floorplan editor,
+ * saved on its DesignElement (floorplanMetadata) so the vendor can reopen, edit
+ * and regenerate the model instead of redrawing it. Points, wall thicknesses,
+ * door/window offsets and widths are in editor pixels; heights are in meters.
+ * Walls may curve (`bulge`), and the room can have freestanding `columns`,
+ * raised `floorZones` (platforms and mezzanines) and a `ceiling` shape.
+ * `modelFrame` records where the drawing sits inside the exported GLB (see venueLayoutService).
+ *
+ * The editor also sends the image the vendor traced the walls over as `underlay`. That can be
+ * one of the vendor's private documents and is far larger than the drawing, so it is stored
+ * apart (DesignElement.floorplanUnderlay) and only returned to the vendor's own editor.
+ * Design elements included for anyone else leave both out (OMIT_FLOORPLAN); the code that
+ * needs the floorplan selects it.
+ */
+
+const { z } = require('zod');
+
+const MAX_FLOORPLAN_ITEMS = 2000;
+
+// Prisma `omit` for design elements in catalogs, designs and packages
+const OMIT_FLOORPLAN = { floorplanMetadata: true, floorplanUnderlay: true };
+// ...and for the vendor's own listings, which show whether there is a floorplan to reopen
+const OMIT_FLOORPLAN_UNDERLAY = { floorplanUnderlay: true };
+
+const ID_SCHEMA = z.string().trim().min(1).max(60);
+const COORDINATE_SCHEMA = z.number().finite();
+
+// Unknown fields are kept so newer editor features survive a round trip
+const POINT_SCHEMA = z
+  .object({
+    id: ID_SCHEMA,
+    x: COORDINATE_SCHEMA,
+    y: COORDINATE_SCHEMA,
+  })
+  .passthrough();
+
+const WALL_SCHEMA = z
+  .object({
+    id: ID_SCHEMA,
+    startPointId: ID_SCHEMA,
+    endPointId: ID_SCHEMA,
+  })
+  .passthrough();
+
+const OPENING_SCHEMA = z
+  .object({
+    id: ID_SCHEMA,
+    wallId: ID_SCHEMA,
+  })
+  .passthrough();
+
+const STAGE_SCHEMA = z
+  .object({
+    id: ID_SCHEMA,
+    x: COORDINATE_SCHEMA,
+    y: COORDINATE_SCHEMA,
+  })
+  .passthrough();
+
+const COLUMN_SCHEMA = z
+  .object({
+    id: ID_SCHEMA,
+    x: COORDINATE_SCHEMA,
+    y: COORDINATE_SCHEMA,
+    size: z.number().positive(),
+  })
+  .passthrough();
+
+const FLOOR_ZONE_SCHEMA = z
+  .object({
+    id: ID_SCHEMA,
+    points: z.array(z.object({ x: COORDINATE_SCHEMA, y: COORDINATE_SCHEMA })).min(3).max(MAX_FLOORPLAN_ITEMS),
+    elevation: z.number().finite().min(0),
+  })
+  .passthrough();
+
+const CEILING_SCHEMA = z
+  .object({
+    shape: z.enum(['none', 'flat', 'vaulted', 'dome']),
+    height: z.number().positive().optional(),
+  })
+  .passthrough();
+
+const MODEL_FRAME_SCHEMA = z
+  .object({
+    offsetX: COORDINATE_SCHEMA,
+    offsetZ: COORDINATE_SCHEMA,
+    bounds: z.object({
+      minX: COORDINATE_SCHEMA,
+      maxX: COORDINATE_SCHEMA,
+      minY: COORDINATE_SCHEMA,
+      maxY: COORDINATE_SCHEMA,
+      minZ: COORDINATE_SCHEMA,
+      maxZ: COORDINATE_SCHEMA,
+    }),
+  })
+  .passthrough();
+
+const listOf = (schema, label) =>
+  z
+    .array(schema)
+    .max(MAX_FLOORPLAN_ITEMS, `A floorplan can have at most ${MAX_FLOORPLAN_ITEMS} ${label}`)
+    .optional()
+    .default([]);
+
+const FLOORPLAN_SCHEMA = z
+  .object({
+    points: listOf(POINT_SCHEMA, 'points'),
+    walls: listOf(WALL_SCHEMA, 'walls'),
+    doors: listOf(OPENING_SCHEMA, 'doors'),
+    windows: listOf(OPENING_SCHEMA, 'windows'),
+    stages: listOf(STAGE_SCHEMA, 'stages'),
+    columns: listOf(COLUMN_SCHEMA, 'columns'),
+    floorZones: listOf(FLOOR_ZONE_SCHEMA, 'floor zones'),
+    ceiling: CEILING_SCHEMA.optional(),
+    modelFrame: MODEL_FRAME_SCHEMA.optional(),
+  })
+  .passthrough()
+  .superRefine((floorplan, ctx) => {
+    const pointIds = new Set(floorplan.points.map((point) => point.id));
+    const wallIds = new Set(floorplan.walls.map((wall) => wall.id));
+    if (floorplan.walls.some((wall) => !pointIds.has(wall.startPointId) || !pointIds.has(wall.endPointId))) {
+      ctx.addIssue({ code: 'custom', path: ['walls'], message: 'Every wall must join two points of the floorplan' });
+    }
+    if ([...floorplan.doors, ...floorplan.windows].some((opening) => !wallIds.has(opening.wallId))) {
+      ctx.addIssue({ code: 'custom', path: ['doors'], message: 'Every door and window must sit on a wall of the floorplan' });
+    }
+  });
+
+/**
+ * Floorplan sent along with a venue model upload (a JSON string in multipart forms)
+ * @param {String|Object|undefined} raw
+ * @returns {Object|null} Validated floorplan, or null when none was sent
+ * @throws {z.ZodError} When the floorplan is malformed
+ */
+function parseFloorplanMetadata(raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (e) {
+      throw new z.ZodError([{ code: 'custom', path: ['floorplanMetadata'], message: 'Floorplan data is not valid JSON' }]);
+    }
+  }
+  return FLOORPLAN_SCHEMA.parse(value);
+}
+
+/**
+ * Take the trace-over image off a floorplan, to be stored in its own field
+ * @param {Object|null} floorplan - Validated floorplan (parseFloorplanMetadata)
+ * @returns {{ floorplan: Object|null, underlay: Object|null }}
+ */
+function splitFloorplanUnderlay(floorplan) {
+  if (!floorplan) {
+    return { floorplan: null, underlay: null };
+  }
+  const { underlay, ...drawing } = floorplan;
+  return { floorplan: drawing, underlay: underlay || null };
+}
+
+module.exports = {
+  MAX_FLOORPLAN_ITEMS,
+  FLOORPLAN_SCHEMA,
+  OMIT_FLOORPLAN,
+  OMIT_FLOORPLAN_UNDERLAY,
+  parseFloorplanMetadata,
+  splitFloorplanUnderlay,
+};
@@ -0,0 +1,253 @@
+/**
+ * Footprint Service
+ *
+ * Floor collision between placed elements. An element's footprint is the rectangle
+ * of its DesignElement.dimensions (width along its own x axis, depth along z), at the
+ * size the designer draws its model (MODEL_SCALE), turned by PlacedElement.rotation (degrees around the vertical axis, like three.js rotation.y).
+ * Round items (named "round", as the pattern generator assumes) are circles instead.
+ * Two rectangles overlap when no edge direction of either separates them (separating
+ * axis test). The designer runs the same check while dragging.
+ */
+
+const COLLISION_HALF_EXTENT_DEFAULT = 0.4;
+// The designer draws every placed model this much larger than its declared dimensions (PlacedElement)
+const MODEL_SCALE = 1.2;
+const FOOTPRINT_CLEARANCE = 0.02;
+// Items above this height are stacked on something and never collide with floor items
+const FLOOR_LEVEL_Y = 0.1;
+
+const toRadians = (degrees) => ((Number(degrees) || 0) * Math.PI) / 180;
+
+/**
+ * Half width and half depth of a design element's footprint as drawn
+ * @param {Object} designElement - DesignElement with dimensions { width, depth }
+ * @returns {{ halfWidth: Number, halfDepth: Number }}
+ */
+function getFootprintExtents(designElement) {
+  const width = Number(designElement?.dimensions?.width) || 0;
+  const depth = Number(designElement?.dimensions?.depth) || 0;
+  if (width <= 0 && depth <= 0) {
+    return { halfWidth: COLLISION_HALF_EXTENT_DEFAULT, halfDepth: COLLISION_HALF_EXTENT_DEFAULT };
+  }
+  // A missing dimension is treated as square rather than as a line
+  return { halfWidth: ((width || depth) * MODEL_SCALE) / 2, halfDepth: ((depth || width) * MODEL_SCALE) / 2 };
+}
+
+const isRound = (designElement) => (designElement?.name || '').toLowerCase().includes('round');
+
+// Centre, local axes on the floor (x/z) and half extents of a footprint
+function toFootprint({ designElement, position, rotation }) {
+  const angle = toRadians(rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const { halfWidth, halfDepth } = getFootprintExtents(designElement);
+  return {
+    center: { x: position?.x || 0, z: position?.z || 0 },
+    axes: [
+      { x: cos, z: -sin },
+      { x: sin, z: cos },
+    ],
+    halfWidth,
+    halfDepth,
+    radius: isRound(designElement) ? Math.max(halfWidth, halfDepth) : null,
+  };
+}
+
+// Half the length of a footprint projected onto a unit axis
+const projectedRadius = (footprint, axis) =>
+  footprint.halfWidth * Math.abs(footprint.axes[0].x * axis.x + footprint.axes[0].z * axis.z) +
+  footprint.halfDepth * Math.abs(footprint.axes[1].x * axis.x + footprint.axes[1].z * axis.z);
+
+// Distance from a rectangle footprint to a point (0 inside it)
+function distanceToRectangle(footprint, point) {
+  const dx = point.x - footprint.center.x;
+  const dz = point.z - footprint.center.z;
+  const localX = dx * footprint.axes[0].x + dz * footprint.axes[0].z;
+  const localZ = dx * footprint.axes[1].x + dz * footprint.axes[1].z;
+  const outsideX = Math.max(Math.abs(localX) - footprint.halfWidth, 0);
+  const outsideZ = Math.max(Math.abs(localZ) - footprint.halfDepth, 0);
+  return Math.hypot(outsideX, outsideZ);
+}
+
+// Whether two rectangle footprints overlap by more than `clearance` (separating axis test)
+function rectanglesOverlap(first, second, clearance = 0) {
+  const dx = second.center.x - first.center.x;
+  const dz = second.center.z - first.center.z;
+  return [...first.axes, ...second.axes].every((axis) => {
+    const distance = Math.abs(dx * axis.x + dz * axis.z);
+    return distance < projectedRadius(first, axis) + projectedRadius(second, axis) - clearance;
+  });
+}
+
+/**
+ * Whether two floor-level items overlap
+ * @param {Object} a - { designElement, position, rotation }
+ * @param {Object} b - { designElement, position, rotation }
+ * @returns {Boolean}
+ */
+function footprintsOverlap(a, b) {
+  if ((a.position?.y || 0) >= FLOOR_LEVEL_Y || (b.position?.y || 0) >= FLOOR_LEVEL_Y) {
+    return false;
+  }
+  const first = toFootprint(a);
+  const second = toFootprint(b);
+
+  if (first.radius !== null && second.radius !== null) {
+    const distance = Math.hypot(second.center.x - first.center.x, second.center.z - first.center.z);
+    return distance < first.radius + second.radius - FOOTPRINT_CLEARANCE;
+  }
+  if (first.radius !== null || second.radius !== null) {
+    const [circle, rectangle] = first.radius !== null ? [first, second] : [second, first];
+    return distanceToRectangle(rectangle, circle.center) < circle.radius - FOOTPRINT_CLEARANCE;
+  }
+  return rectanglesOverlap(first, second, FOOTPRINT_CLEARANCE);
+}
+
+// Corners of a rectangle footprint
+const cornersOf = (footprint) => {
+  const [widthAxis, depthAxis] = footprint.axes;
+  return [
+    [1, 1],
+    [1, -1],
+    [-1, -1],
+    [-1, 1],
+  ].map(([u, v]) => ({
+    x: footprint.center.x + u * footprint.halfWidth * widthAxis.x + v * footprint.halfDepth * depthAxis.x,
+    z: footprint.center.z + u * footprint.halfWidth * widthAxis.z + v * footprint.halfDepth * depthAxis.z,
+  }));
+};
+
+// Distance from a point to the segment a-b
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSquared = dx * dx + dz * dz;
+  const t = lengthSquared > 0 ? Math.min(Math.max(((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSquared, 0), 1) : 0;
+  return Math.hypot(point.x - (a.x + t * dx), point.z - (a.z + t * dz));
+}
+
+const edgesOf = (corners) => corners.map((corner, i) => [corner, corners[(i + 1) % corners.length]]);
+
+// Shortest distance between two edges that don't cross
+const edgeDistance = ([a, b], [c, d]) =>
+  Math.min(distanceToSegment(a, c, d), distanceToSegment(b, c, d), distanceToSegment(c, a, b), distanceToSegment(d, a, b));
+
+/**
+ * Shortest distance between the edges of two outlines that don't overlap
+ * @param {Array} first - [{ x, z }] polygon
+ * @param {Array} second - [{ x, z }] polygon
+ * @returns {Number}
+ */
+function getOutlineGap(first, second) {
+  const otherEdges = edgesOf(second);
+  return Math.min(...edgesOf(first).flatMap((edge) => otherEdges.map((other) => edgeDistance(edge, other))));
+}
+
+// Sides of the polygon standing in for round footprints
+const ROUND_OUTLINE_SIDES = 16;
+
+/**
+ * Outline of a floor-level item's footprint on the floor, pulled in by the clearance
+ * so items standing flush against something don't count as touching it
+ * @param {Object} item - { designElement, position, rotation }
+ * @returns {Array} [{ x, z }] corners, or a polygon around round items
+ */
+function getFootprintOutline(item) {
+  const footprint = toFootprint(item);
+  if (footprint.radius !== null) {
+    const radius = Math.max(footprint.radius - FOOTPRINT_CLEARANCE, 0);
+    return Array.from({ length: ROUND_OUTLINE_SIDES }, (_, i) => {
+      const angle = (i / ROUND_OUTLINE_SIDES) * 2 * Math.PI;
+      return { x: footprint.center.x + radius * Math.cos(angle), z: footprint.center.z + radius * Math.sin(angle) };
+    });
+  }
+  return cornersOf({
+    ...footprint,
+    halfWidth: Math.max(footprint.halfWidth - FOOTPRINT_CLEARANCE, 0),
+    halfDepth: Math.max(footprint.halfDepth - FOOTPRINT_CLEARANCE, 0),
+  });
+}
+
+/**
+ * Free floor distance between two items' footprints (0 when they touch or overlap)
+ * @param {Object} a - { designElement, position, rotation }
+ * @param {Object} b - { designElement, position, rotation }
+ * @returns {Number}
+ */
+function footprintGap(a, b) {
+  const first = toFootprint(a);
+  const second = toFootprint(b);
+  let gap;
+  if (first.radius !== null && second.radius !== null) {
+    gap = Math.hypot(second.center.x - first.center.x, second.center.z - first.center.z) - first.radius - second.radius;
+  } else if (first.radius !== null || second.radius !== null) {
+    const [circle, rectangle] = first.radius !== null ? [first, second] : [second, first];
+    gap = distanceToRectangle(rectangle, circle.center) - circle.radius;
+  } else if (rectanglesOverlap(first, second)) {
+    // Overlapping rectangles need not have a corner inside each other (two long tables crossing)
+    gap = 0;
+  } else {
+    gap = getOutlineGap(cornersOf(first), cornersOf(second));
+  }
+  return Math.max(0, gap);
+}
+
+/**
+ * First floor collision a set of moves or new items would cause, or null.
+ * Pairs that already overlapped before a move are ignored, so an existing overlap
+ * never blocks tidying up a layout.
+ * @param {Array} moves - [{ placement, position, rotation }]; placement.id is absent for new items
+ * @param {Array} placements - Every placement in the design (with position, rotation and designElement)
+ * @returns {{ placement: Object, other: Object } | null}
+ */
+function findFootprintCollision(moves, placements) {
+  const movesById = new Map(moves.filter((move) => move.placement.id).map((move) => [move.placement.id, move]));
+  const toEntry = (placement, move) => ({
+    placement,
+    moved: Boolean(move),
+    before: placement.id ? placement : null,
+    next: {
+      designElement: placement.designElement,
+      position: move?.position || placement.position,
+      rotation: move?.rotation ?? placement.rotation,
+    },
+  });
+  const entries = [
+    ...placements.map((placement) => toEntry(placement, movesById.get(placement.id))),
+    ...moves.filter((move) => !move.placement.id).map((move) => toEntry(move.placement, move)),
+  ];
+
+  for (const entry of entries) {
+    if (!entry.moved) continue;
+    for (const other of entries) {
+      if (other === entry) continue;
+      if (!footprintsOverlap(entry.next, other.next)) continue;
+      if (entry.before && other.before && footprintsOverlap(entry.before, other.before)) continue;
+      return { placement: entry.placement, other: other.placement };
+    }
+  }
+  return null;
+}
+
+/**
+ * Message for a write that would put two items on top of each other
+ * @param {{ placement: Object, other: Object }} collision - From findFootprintCollision
+ * @returns {String}
+ */
+function describeCollision(collision) {
+  const name = collision.placement.designElement?.name || 'The element';
+  const otherName = collision.other.designElement?.name || 'another element';
+  return `${name} would overlap ${otherName}. Move it to a free spot.`;
+}
+
+module.exports = {
+  FLOOR_LEVEL_Y,
+  MODEL_SCALE,
+  getFootprintExtents,
+  footprintsOverlap,
+  footprintGap,
+  getFootprintOutline,
+  getOutlineGap,
+  findFootprintCollision,
+  describeCollision,
+};
@@ -0,0 +1,196 @@
+/**
+ * Guest RSVP Service
+ *
+ * Generates per-household invitation links, sends invitation/reminder emails
+ * and aggregates RSVP responses for a wedding project.
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { sendEmail, generateRsvpInvitationEmail } = require('../utils/mailer');
+const { summarizeRsvps } = require('./rsvpRulesService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Build the public RSVP URL for an invitation token
+ * @param {String} token - GuestInvitation token
+ * @returns {String} Absolute frontend URL
+ */
+function buildRsvpUrl(token) {
+  return `${process.env.FRONTEND_BASE_URL || 'https://localhost:3000'}/rsvp/${token}`;
+}
+
+/**
+ * Generate an unguessable URL-safe token
+ * @returns {String}
+ */
+function generateInvitationToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Households are matched case-insensitively ("Tan family" === "TAN FAMILY ")
+const householdKey = (household) => (household ? household.trim().toLowerCase() : null);
+
+/**
+ * Create invitations for all guests that do not have one yet.
+ * Guests sharing a household share one invitation (joining an existing one if present);
+ * guests without a household get their own.
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<Number>} Number of guests newly attached to an invitation
+ */
+async function generateInvitations(projectId) {
+  const uninvitedGuests = await prisma.guest.findMany({
+    where: { projectId, invitationId: null },
+    select: { id: true, household: true },
+  });
+
+  if (uninvitedGuests.length === 0) {
+    return 0;
+  }
+
+  const existingInvitations = await prisma.guestInvitation.findMany({
+    where: { projectId, household: { not: null } },
+    select: { id: true, household: true },
+  });
+  const invitationByHousehold = new Map(existingInvitations.map((inv) => [householdKey(inv.household), inv.id]));
+
+  await prisma.$transaction(async (tx) => {
+    for (const guest of uninvitedGuests) {
+      const key = householdKey(guest.household);
+      let invitationId = key ? invitationByHousehold.get(key) : null;
+
+      if (!invitationId) {
+        const invitation = await tx.guestInvitation.create({
+          data: {
+            projectId,
+            household: guest.household ? guest.household.trim() : null,
+            token: generateInvitationToken(),
+          },
+        });
+        invitationId = invitation.id;
+        if (key) {
+          invitationByHousehold.set(key, invitationId);
+        }
+      }
+
+      await tx.guest.update({
+        where: { id: guest.id },
+        data: { invitationId },
+      });
+    }
+  });
+
+  return uninvitedGuests.length;
+}
+
+/**
+ * Remove invitations that no longer have any guests attached
+ * @param {String} projectId - WeddingProject ID
+ */
+async function pruneEmptyInvitations(projectId) {
+  await prisma.guestInvitation.deleteMany({
+    where: { projectId, guests: { none: {} } },
+  });
+}
+
+/**
+ * Email invitations (or reminders) to every guest with an email address.
+ * Reminders are only sent to households that still have pending guests.
+ * @param {String} projectId - WeddingProject ID
+ * @param {Object} options
+ * @param {String[]} [options.invitationIds] - Limit to these invitations (defaults to all)
+ * @param {Boolean} [options.reminder] - Send reminder wording instead of the first invitation
+ * @returns {Promise<{sent: Number, skipped: Number}>} Households emailed / skipped
+ */
+async function sendInvitations(projectId, { invitationIds = null, reminder = false } = {}) {
+  const project = await prisma.weddingProject.findUnique({
+    where: { id: projectId },
+    select: {
+      projectName: true,
+      weddingDate: true,
+      rsvpDeadline: true,
+      venueServiceListing: { select: { name: true } },
+    },
+  });
+
+  const invitations = await prisma.guestInvitation.findMany({
+    where: {
+      projectId,
+      ...(invitationIds ? { id: { in: invitationIds } } : {}),
+    },
+    include: {
+      guests: {
+        select: { name: true, email: true, rsvpStatus: true },
+      },
+    },
+  });
+
+  let sent = 0;
+  let skipped = 0;
+
+  for (const invitation of invitations) {
+    const recipients = Array.from(
+      new Set(invitation.guests.map((g) => g.email).filter(Boolean))
+    );
+    const hasPendingGuests = invitation.guests.some((g) => g.rsvpStatus === 'pending');
+
+    if (recipients.length === 0 || (reminder && !hasPendingGuests)) {
+      skipped += 1;
+      continue;
+    }
+
+    const { text, html } = generateRsvpInvitationEmail({
+      name: invitation.household || invitation.guests[0]?.name,
+      projectName: project.projectName,
+      weddingDateLabel: new Date(project.weddingDate).toLocaleDateString(),
+      venueName: project.venueServiceListing?.name,
+      rsvpDeadlineLabel: project.rsvpDeadline ? new Date(project.rsvpDeadline).toLocaleDateString() : null,
+      actionUrl: buildRsvpUrl(invitation.token),
+      isReminder: reminder,
+    });
+    const subject = reminder
+      ? `Reminder: Please RSVP for ${project.projectName}`
+      : `You're invited: ${project.projectName}`;
+
+    for (const recipient of recipients) {
+      await sendEmail(recipient, subject, { text, html });
+    }
+
+    await prisma.guestInvitation.update({
+      where: { id: invitation.id },
+      data: reminder ? { lastReminderAt: new Date() } : { sentAt: invitation.sentAt || new Date() },
+    });
+    sent += 1;
+  }
+
+  return { sent, skipped };
+}
+
+/**
+ * Aggregate RSVP responses for a project
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<Object>} Counts by status, confirmed headcount and meal choices
+ */
+async function getRsvpSummary(projectId) {
+  const guests = await prisma.guest.findMany({
+    where: { projectId },
+    select: {
+      rsvpStatus: true,
+      mealChoice: true,
+      plusOneAllowance: true,
+      plusOnesAttending: true,
+      invitationId: true,
+    },
+  });
+
+  return summarizeRsvps(guests);
+}
+
+module.exports = {
+  buildRsvpUrl,
+  generateInvitations,
+  pruneEmptyInvitations,
+  sendInvitations,
+  getRsvpSummary,
+};
@@ -0,0 +1,94 @@
+/**
+ * Headcount Quantity Service
+ *
+ * Keeps ProjectService quantities of listings that follow the guest headcount
+ * (e.g. catering per head, favors per guest, tables per 10 guests) in line with
+ * the project's confirmed RSVPs, and refreshes planned spend when they change.
+ * The quantities themselves come from utils/headcountQuantityCalculator.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getRsvpSummary } = require('./guestRsvpService');
+const { updatePlannedSpend } = require('./plannedSpendService');
+const { getSyncedHeadcountQuantity } = require('../utils/headcountQuantityCalculator');
+
+const prisma = new PrismaClient();
+
+/**
+ * Confirmed headcount for a project
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<Number>}
+ */
+async function getConfirmedHeadcount(projectId) {
+  const summary = await getRsvpSummary(projectId);
+  return summary.confirmedHeadcount;
+}
+
+/**
+ * Update the quantity of every unbooked, headcount-driven ProjectService in a project
+ * so the couple can see what moved before booking.
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<Array>} Changed services: { serviceListingId, fromQuantity, quantity }
+ */
+async function syncHeadcountQuantities(projectId) {
+  const projectServices = await prisma.projectService.findMany({
+    where: {
+      projectId,
+      isBooked: false,
+      serviceListing: { quantityFollowsHeadcount: true },
+    },
+    select: {
+      id: true,
+      serviceListingId: true,
+      quantity: true,
+      previousQuantity: true,
+      serviceListing: { select: { guestsPerUnit: true } },
+    },
+  });
+
+  if (projectServices.length === 0) {
+    return [];
+  }
+
+  const confirmedHeadcount = await getConfirmedHeadcount(projectId);
+  const changes = [];
+
+  for (const ps of projectServices) {
+    const synced = getSyncedHeadcountQuantity(ps, ps.serviceListing, confirmedHeadcount);
+    if (synced.quantity === ps.quantity) continue;
+
+    await prisma.projectService.update({
+      where: { id: ps.id },
+      data: synced,
+    });
+    changes.push({ serviceListingId: ps.serviceListingId, fromQuantity: ps.quantity, quantity: synced.quantity });
+  }
+
+  return changes;
+}
+
+/**
+ * Sync headcount-driven quantities after guests or RSVPs change and refresh the
+ * project's planned spend when anything moved. Best-effort: failures are logged only,
+ * so an RSVP or guest update never fails because of pricing.
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<Array>} Changed services (empty on failure)
+ */
+async function refreshHeadcountQuantities(projectId) {
+  try {
+    const changes = await syncHeadcountQuantities(projectId);
+    if (changes.length > 0) {
+      await updatePlannedSpend(projectId);
+    }
+    return changes;
+  } catch (err) {
+    console.error(`[refreshHeadcountQuantities] Failed for project ${projectId}:`, err.message);
+    return [];
+  }
+}
+
+module.exports = {
+  getConfirmedHeadcount,
+  syncHeadcountQuantities,
+  refreshHeadcountQuantities,
+};
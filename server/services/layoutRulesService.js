@@ -0,0 +1,238 @@
+/**
+ * Layout Rules Service
+ *
+ * Guest-flow and safety checks for a venue layout: walkways between items, clearance
+ * around doors (placed ones and the venue floorplan's doorways) and stages, items
+ * standing in the venue's walls, columns or stage (for venues drawn in the floorplan
+ * editor), and the venue's maximum occupancy. Hard violations block checkout; soft ones
+ * are shown as advice. Only walkways guests seated at tables depend on are hard; tight
+ * spacing between other items (a DJ booth beside its speakers) is advice. Distances are
+ * measured between the items' rotated footprints, the same shapes the designer's
+ * collision check uses. Works on data already loaded (see layoutValidationService).
+ */
+
+const { getFootprintRadius } = require('./placementPatternService');
+const { footprintGap } = require('./footprintService');
+const { OBSTACLE_LABELS, getZoneGap, findLayoutViolation } = require('./venueLayoutService');
+
+// Distances in metres
+const LAYOUT_RULES = {
+  minAisleWidth: 1.0, // Free walkway between two items (required beside tables, advised elsewhere)
+  seatedTableAllowance: 0.45, // Room a seated guest takes behind a table edge
+  doorClearance: 1.5, // Kept free in front of doors and entrances
+  stageClearance: 1.0, // Kept free around a stage
+};
+
+// Items closer than this are pushed together on purpose (e.g. a row of buffet tables)
+const ADJOINING_GAP = 0.1;
+// Smaller items (vases, lanterns) don't narrow a walkway
+const MIN_BLOCKING_RADIUS = 0.3;
+// Items above this height are stacked on something and never collide with floor items
+const FLOOR_LEVEL_Y = 0.1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const elementTypeOf = (placement) =>
+  (placement.elementType || placement.designElement?.elementType || '').toLowerCase();
+const elementNameOf = (placement) => placement.designElement?.name || 'Item';
+
+const matchesKind = (placement, words) => {
+  const type = elementTypeOf(placement);
+  const name = elementNameOf(placement).toLowerCase();
+  return words.includes(type) || words.some((word) => name.includes(word));
+};
+
+const isTable = (placement) => matchesKind(placement, ['table']);
+const isChair = (placement) => matchesKind(placement, ['chair']);
+const isDoor = (placement) => matchesKind(placement, ['door', 'entrance', 'exit']);
+const isStage = (placement) => matchesKind(placement, ['stage']);
+
+const midpoint = (a, b) => ({
+  x: round(((a.position?.x || 0) + (b.position?.x || 0)) / 2),
+  z: round(((a.position?.z || 0) + (b.position?.z || 0)) / 2),
+});
+
+function buildViolation(rule, severity, message, elementIds, position = null, subject = elementIds.join(',') || 'design') {
+  return {
+    id: `${rule}:${subject}`,
+    rule,
+    severity,
+    message,
+    elementIds,
+    position,
+  };
+}
+
+/**
+ * Validate a layout
+ * @param {Object} input
+ * @param {Array} input.placements - Placements with position, parentElementId, elementType and designElement
+ * @param {Number|null} input.maxOccupancy - Venue's maximum occupancy (null when unknown)
+ * @param {Number} input.confirmedHeadcount - Confirmed guests including plus-ones
+ * @param {Object} input.capacity - From getDesignCapacity ({ tableCount, seatCapacity, ... })
+ * @param {Object|null} input.venueLayout - From buildVenueLayout (null for venues without a floorplan)
+ * @returns {Object} { valid, hardCount, softCount, violations, rules, maxOccupancy, seatCapacity, confirmedHeadcount }
+ */
+function validateLayout({ placements, maxOccupancy = null, confirmedHeadcount = 0, capacity, venueLayout = null }) {
+  const violations = [];
+  const floorItems = placements.filter(
+    (placement) => !placement.parentElementId && (placement.position?.y || 0) < FLOOR_LEVEL_Y
+  );
+
+  // Items inside a wall, column, stage or raised platform of the venue, or off its floor
+  floorItems.forEach((item) => {
+    const obstacle = findLayoutViolation(venueLayout, item);
+    if (!obstacle) return;
+    violations.push(
+      buildViolation(
+        'venue_obstacle',
+        'hard',
+        `${elementNameOf(item)} is placed ${OBSTACLE_LABELS[obstacle.kind]}`,
+        [item.id],
+        { x: round(item.position?.x || 0), z: round(item.position?.z || 0) }
+      )
+    );
+  });
+
+  // Doors: nothing may stand in front of them (one violation per door, listing what blocks it)
+  floorItems.filter(isDoor).forEach((door) => {
+    const blocking = floorItems.filter(
+      (item) => item.id !== door.id && !isDoor(item) && footprintGap(door, item) < LAYOUT_RULES.doorClearance
+    );
+    if (blocking.length === 0) return;
+    violations.push(
+      buildViolation(
+        'door_clearance',
+        'hard',
+        `${blocking.length} item${blocking.length === 1 ? '' : 's'} within ${LAYOUT_RULES.doorClearance} m of ${elementNameOf(door)}`,
+        [door.id, ...blocking.map((item) => item.id)],
+        { x: round(door.position?.x || 0), z: round(door.position?.z || 0) }
+      )
+    );
+  });
+
+  // Doorways of the venue floorplan, which are part of the venue model rather than placed items
+  (venueLayout?.doors || []).forEach((doorway) => {
+    const blocking = floorItems.filter(
+      (item) => !isDoor(item) && getZoneGap(doorway.polygon, item) < LAYOUT_RULES.doorClearance
+    );
+    if (blocking.length === 0) return;
+    violations.push(
+      buildViolation(
+        'door_clearance',
+        'hard',
+        `${blocking.length} item${blocking.length === 1 ? '' : 's'} within ${LAYOUT_RULES.doorClearance} m of a doorway`,
+        blocking.map((item) => item.id),
+        { x: round(doorway.center.x), z: round(doorway.center.z) },
+        doorway.id
+      )
+    );
+  });
+
+  // Stages: keep room to walk on and off
+  floorItems.filter(isStage).forEach((stage) => {
+    const crowding = floorItems.filter(
+      (item) =>
+        item.id !== stage.id &&
+        !isStage(item) &&
+        getFootprintRadius(item.designElement) >= MIN_BLOCKING_RADIUS &&
+        footprintGap(stage, item) < LAYOUT_RULES.stageClearance
+    );
+    if (crowding.length === 0) return;
+    violations.push(
+      buildViolation(
+        'stage_clearance',
+        'soft',
+        `${crowding.length} item${crowding.length === 1 ? '' : 's'} within ${LAYOUT_RULES.stageClearance} m of ${elementNameOf(stage)}`,
+        [stage.id, ...crowding.map((item) => item.id)],
+        { x: round(stage.position?.x || 0), z: round(stage.position?.z || 0) }
+      )
+    );
+  });
+
+  // Walkways between larger items: required next to tables, where seated guests get in and
+  // out, advised between anything else. Chairs belong to their table's seating allowance;
+  // doors and stages have their own rules above.
+  const aisleItems = floorItems.filter(
+    (item) =>
+      !isChair(item) &&
+      !isDoor(item) &&
+      !isStage(item) &&
+      getFootprintRadius(item.designElement) >= MIN_BLOCKING_RADIUS
+  );
+  for (let i = 0; i < aisleItems.length; i += 1) {
+    for (let j = i + 1; j < aisleItems.length; j += 1) {
+      const a = aisleItems[i];
+      const b = aisleItems[j];
+      const gap = footprintGap(a, b);
+      if (gap < ADJOINING_GAP) continue;
+      const allowance =
+        (isTable(a) ? LAYOUT_RULES.seatedTableAllowance : 0) + (isTable(b) ? LAYOUT_RULES.seatedTableAllowance : 0);
+      const walkway = Math.max(0, gap - allowance);
+      if (walkway >= LAYOUT_RULES.minAisleWidth) continue;
+      const required = isTable(a) || isTable(b);
+      violations.push(
+        buildViolation(
+          'aisle_width',
+          required ? 'hard' : 'soft',
+          `Only ${round(walkway)} m of walkway between ${elementNameOf(a)} and ${elementNameOf(b)} (${LAYOUT_RULES.minAisleWidth} m ${required ? 'required' : 'recommended'})`,
+          [a.id, b.id],
+          midpoint(a, b)
+        )
+      );
+    }
+  }
+
+  // Occupancy
+  const seatCapacity = capacity?.seatCapacity || 0;
+  const seatingIds = placements.filter((placement) => isTable(placement)).map((placement) => placement.id);
+  if (maxOccupancy) {
+    if (seatCapacity > maxOccupancy) {
+      violations.push(
+        buildViolation(
+          'max_occupancy',
+          'hard',
+          `The layout seats ${seatCapacity} guests but the venue holds at most ${maxOccupancy}`,
+          seatingIds
+        )
+      );
+    }
+    if (confirmedHeadcount > maxOccupancy) {
+      violations.push(
+        buildViolation(
+          'guest_occupancy',
+          'hard',
+          `${confirmedHeadcount} confirmed guests is more than the venue's maximum of ${maxOccupancy}`,
+          []
+        )
+      );
+    }
+  }
+  if (capacity?.tableCount > 0 && confirmedHeadcount > seatCapacity) {
+    violations.push(
+      buildViolation(
+        'seat_shortfall',
+        'soft',
+        `${confirmedHeadcount - seatCapacity} confirmed guest${confirmedHeadcount - seatCapacity === 1 ? '' : 's'} without a seat`,
+        seatingIds
+      )
+    );
+  }
+
+  const hardCount = violations.filter((violation) => violation.severity === 'hard').length;
+  return {
+    valid: hardCount === 0,
+    hardCount,
+    softCount: violations.length - hardCount,
+    violations,
+    rules: LAYOUT_RULES,
+    maxOccupancy: maxOccupancy || null,
+    seatCapacity,
+    confirmedHeadcount,
+  };
+}
+
+module.exports = {
+  LAYOUT_RULES,
+  validateLayout,
+};
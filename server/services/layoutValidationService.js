@@ -0,0 +1,63 @@
+/**
+ * Layout Validation Service
+ *
+ * Loads a project's active layout, venue and confirmed headcount and checks them
+ * against the layout rules (layoutRulesService) for the designer and the checkout gate.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getActiveVenueDesign, getDesignCapacity } = require('./designVariantService');
+const { getConfirmedHeadcount } = require('./headcountQuantityService');
+const { buildVenueLayout } = require('./venueLayoutService');
+const { validateLayout } = require('./layoutRulesService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Validate the active layout of a project
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<Object|null>} Validation report, or null when the project has no layout yet
+ */
+async function validateProjectLayout(projectId) {
+  const [project, venueDesign, confirmedHeadcount] = await Promise.all([
+    prisma.weddingProject.findUnique({
+      where: { id: projectId },
+      select: {
+        venueServiceListing: {
+          select: { maxOccupancy: true, designElement: { select: { floorplanMetadata: true } } },
+        },
+      },
+    }),
+    getActiveVenueDesign(projectId, {
+      include: {
+        placedElements: {
+          include: {
+            position: true,
+            designElement: {
+              select: { id: true, name: true, elementType: true, dimensions: true },
+            },
+          },
+        },
+      },
+    }),
+    getConfirmedHeadcount(projectId),
+  ]);
+
+  if (!venueDesign) {
+    return null;
+  }
+
+  const capacity = await getDesignCapacity(venueDesign);
+
+  return validateLayout({
+    placements: venueDesign.placedElements,
+    maxOccupancy: project?.venueServiceListing?.maxOccupancy ?? null,
+    confirmedHeadcount,
+    capacity,
+    venueLayout: buildVenueLayout(project?.venueServiceListing?.designElement?.floorplanMetadata),
+  });
+}
+
+module.exports = {
+  validateProjectLayout,
+};
@@ -1,5 +1,7 @@
 const { WeddingPackageStatus, WeddingPackageItemStatus } = require('@prisma/client');
 const { prefixedUlid } = require('../utils/id');
+const { updatePlannedSpend } = require('./plannedSpendService');
+const { OMIT_FLOORPLAN } = require('./floorplanService');
 
 const PACKAGE_INCLUDE = {
   items: {
@@ -367,6 +369,7 @@ const ensurePackageDesign = async (prisma, packageId) => {
       include: {
         position: true,
         designElement: {
+          omit: OMIT_FLOORPLAN,
           include: {
             vendor: {
               include: {
@@ -430,8 +433,9 @@ const applyPackageDesignToProject = async (prisma, packageId, projectId) => {
   }
 
   await prisma.$transaction(async (tx) => {
-    const existingDesign = await tx.venueDesign.findUnique({
-      where: { projectId },
+    // The package template replaces the project's active layout variant
+    const existingDesign = await tx.venueDesign.findFirst({
+      where: { projectId, isActive: true },
       include: {
         placedElements: {
           select: {
@@ -672,12 +676,8 @@ const applyPackageDesignToProject = async (prisma, packageId, projectId) => {
   });
 
   // Ensure budget "planned (3D)" reflects the newly applied template placements.
-  // updatePlannedSpend is exported from venueDesign.routes and is used elsewhere (e.g., project routes).
   try {
-    const venueDesignRoutes = require('../routes/venueDesign.routes');
-    if (venueDesignRoutes.updatePlannedSpend) {
-      await venueDesignRoutes.updatePlannedSpend(projectId);
-    }
+    await updatePlannedSpend(projectId);
   } catch {
     // Best-effort only; template can still load even if planned spend refresh fails.
   }
@@ -0,0 +1,196 @@
+/**
+ * Placement Pattern Service
+ *
+ * Pure geometry for the venue designer's pattern generator: banquet grids,
+ * circular arrangements and chairs around a table. Positions are in metres on
+ * the floor plane (x/z) and rotations in degrees around the vertical axis,
+ * matching PlacedElement.rotation.
+ */
+
+const { MODEL_SCALE, getFootprintExtents, footprintsOverlap } = require('./footprintService');
+const { findLayoutViolation } = require('./venueLayoutService');
+
+// Items above this height are stacked on something and never collide with floor items
+const FLOOR_LEVEL_Y = 0.1;
+// Gap between a table edge and the front of its chairs
+const CHAIR_TABLE_GAP = 0.05;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const round = (value) => Number(value.toFixed(3)) || 0;
+
+const normalizeDegrees = (degrees) => {
+  const normalized = degrees % 360;
+  return round(normalized < 0 ? normalized + 360 : normalized);
+};
+
+/**
+ * Footprint radius of a design element (half its larger floor dimension, as drawn)
+ * @param {Object} designElement - DesignElement with dimensions { width, depth }
+ * @returns {Number}
+ */
+function getFootprintRadius(designElement) {
+  const { halfWidth, halfDepth } = getFootprintExtents(designElement);
+  return Math.max(halfWidth, halfDepth);
+}
+
+// Rotate a floor offset around the vertical axis (same convention as three.js rotation.y)
+function rotateOffset(x, z, degrees) {
+  const angle = toRadians(degrees);
+  return {
+    x: x * Math.cos(angle) + z * Math.sin(angle),
+    z: -x * Math.sin(angle) + z * Math.cos(angle),
+  };
+}
+
+// Rotation that turns a model (front facing +z) from `from` towards `to`
+function facingRotation(from, to) {
+  return normalizeDegrees(toDegrees(Math.atan2(to.x - from.x, to.z - from.z)));
+}
+
+/**
+ * Rows x columns grid centred on `center`, turned by `rotation`
+ * @param {Object} options - { center, rows, columns, spacingX, spacingZ, rotation }
+ * @returns {Array} [{ position, rotation }]
+ */
+function buildGridSlots({ center, rows, columns, spacingX, spacingZ, rotation = 0 }) {
+  const slots = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      const offset = rotateOffset(
+        (column - (columns - 1) / 2) * spacingX,
+        (row - (rows - 1) / 2) * spacingZ,
+        rotation
+      );
+      slots.push({
+        position: { x: round(center.x + offset.x), y: center.y, z: round(center.z + offset.z) },
+        rotation: normalizeDegrees(rotation),
+      });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Items evenly spaced on a circle around `center`
+ * @param {Object} options - { center, count, radius, startAngle, facing: 'center' | 'outward' | 'fixed', rotation }
+ * @returns {Array} [{ position, rotation }]
+ */
+function buildCircleSlots({ center, count, radius, startAngle = 0, facing = 'center', rotation = 0 }) {
+  const slots = [];
+  for (let index = 0; index < count; index += 1) {
+    const angle = toRadians(startAngle) + (index * 2 * Math.PI) / count;
+    const position = {
+      x: round(center.x + radius * Math.sin(angle)),
+      y: center.y,
+      z: round(center.z + radius * Math.cos(angle)),
+    };
+    let itemRotation = rotation;
+    if (facing === 'center') {
+      itemRotation = facingRotation(position, center);
+    } else if (facing === 'outward') {
+      itemRotation = facingRotation(center, position);
+    }
+    slots.push({ position, rotation: normalizeDegrees(itemRotation) });
+  }
+  return slots;
+}
+
+/**
+ * Chairs around a table, facing it. Round (or square-footprint) tables get a ring;
+ * rectangular tables get chairs along their sides in proportion to side length.
+ * @param {Object} table - Placement with position, rotation and designElement.dimensions
+ * @param {Object} chairElement - Chair DesignElement (for its footprint)
+ * @param {Number} count - Number of chairs
+ * @returns {Array} [{ position, rotation }]
+ */
+function buildChairsAroundTableSlots(table, chairElement, count) {
+  const dimensions = table.designElement?.dimensions || {};
+  const width = (Number(dimensions.width) || 0) * MODEL_SCALE;
+  const depth = (Number(dimensions.depth) || 0) * MODEL_SCALE;
+  const center = { x: table.position.x, y: 0, z: table.position.z };
+  const chairRadius = getFootprintRadius(chairElement);
+  const tableRotation = table.rotation || 0;
+  const isRound =
+    Math.abs(width - depth) < 0.05 || (table.designElement?.name || '').toLowerCase().includes('round');
+
+  if (isRound) {
+    return buildCircleSlots({
+      center,
+      count,
+      radius: Math.max(width, depth) / 2 + CHAIR_TABLE_GAP + chairRadius,
+      facing: 'center',
+    });
+  }
+
+  // Share the chairs between the two long sides first, then the ends
+  const halfWidth = width / 2 + CHAIR_TABLE_GAP + chairRadius;
+  const halfDepth = depth / 2 + CHAIR_TABLE_GAP + chairRadius;
+  const longSideIsWidth = width >= depth;
+  const longLength = longSideIsWidth ? width : depth;
+  const shortLength = longSideIsWidth ? depth : width;
+  const perimeter = 2 * (longLength + shortLength);
+  let endChairs = Math.round((count * 2 * shortLength) / perimeter);
+  if (count >= 6 && endChairs === 0) endChairs = 2;
+  endChairs = Math.min(endChairs - (endChairs % 2), count);
+  const sideChairs = count - endChairs;
+  const sides = [
+    { count: Math.ceil(sideChairs / 2), along: longSideIsWidth ? 'x' : 'z', sign: 1 },
+    { count: Math.floor(sideChairs / 2), along: longSideIsWidth ? 'x' : 'z', sign: -1 },
+    { count: endChairs / 2, along: longSideIsWidth ? 'z' : 'x', sign: 1 },
+    { count: endChairs / 2, along: longSideIsWidth ? 'z' : 'x', sign: -1 },
+  ];
+
+  const slots = [];
+  sides.forEach((side) => {
+    const length = side.along === 'x' ? width : depth;
+    for (let index = 0; index < side.count; index += 1) {
+      const along = ((index + 0.5) / side.count - 0.5) * length;
+      const local =
+        side.along === 'x' ? { x: along, z: side.sign * halfDepth } : { x: side.sign * halfWidth, z: along };
+      // Face the table square-on: towards the matching point on the table's centre line
+      const facingLocal = side.along === 'x' ? { x: along, z: 0 } : { x: 0, z: along };
+      const offset = rotateOffset(local.x, local.z, tableRotation);
+      const facingOffset = rotateOffset(facingLocal.x, facingLocal.z, tableRotation);
+      const position = { x: round(center.x + offset.x), y: 0, z: round(center.z + offset.z) };
+      const target = { x: center.x + facingOffset.x, z: center.z + facingOffset.z };
+      slots.push({ position, rotation: facingRotation(position, target) });
+    }
+  });
+  return slots;
+}
+
+/**
+ * Split slots into free ones and ones overlapping existing floor-level placements
+ * or a no-go zone of the venue (walls, columns, stage)
+ * @param {Array} slots - [{ position, rotation }]
+ * @param {Object} designElement - Element being placed
+ * @param {Array} existingPlacements - Placements with position and designElement
+ * @param {Object|null} [venueLayout] - From buildVenueLayout
+ * @returns {{ free: Array, occupied: Array }}
+ */
+function partitionOccupiedSlots(slots, designElement, existingPlacements, venueLayout = null) {
+  const floorPlacements = existingPlacements.filter(
+    (placement) => placement.position && (placement.position.y || 0) < FLOOR_LEVEL_Y
+  );
+  const free = [];
+  const occupied = [];
+
+  slots.forEach((slot) => {
+    const candidate = { designElement, position: slot.position, rotation: slot.rotation };
+    const overlaps =
+      floorPlacements.some((placement) => footprintsOverlap(candidate, placement)) ||
+      Boolean(findLayoutViolation(venueLayout, candidate));
+    (overlaps ? occupied : free).push(slot);
+  });
+
+  return { free, occupied };
+}
+
+module.exports = {
+  getFootprintRadius,
+  buildGridSlots,
+  buildCircleSlots,
+  buildChairsAroundTableSlots,
+  partitionOccupiedSlots,
+};
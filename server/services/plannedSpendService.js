@@ -0,0 +1,259 @@
+/**
+ * Planned Spend Service
+ *
+ * Prices a project's venue design the way checkout does and keeps the budget's
+ * "planned (3D)" figure in sync with the active layout.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { calculatePrice, calculateEventDuration } = require('../utils/pricingCalculator');
+const { getActiveVenueDesign } = require('./designVariantService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Planned spend of one venue design (layout variant): its 3D placements and table tags,
+ * plus the project's non-3D services and venue, priced like the checkout summary.
+ * @param {Object} project - WeddingProject with id, venueServiceListingId, eventStartTime, eventEndTime
+ * @param {Object|null} venueDesign - VenueDesign with layoutData and placedElements { id, serviceListingIds }
+ * @returns {Promise<Number>}
+ */
+async function calculatePlannedSpend(project, venueDesign) {
+  const layoutData = venueDesign?.layoutData || {};
+  const placementsMeta = layoutData.placementsMeta || {};
+  const placedElements = venueDesign?.placedElements || [];
+
+  // Get all service listing IDs from placements and project services
+  const serviceListingIds = new Set();
+  placedElements.forEach((placement) => {
+    const meta = placementsMeta[placement.id];
+    if (meta?.serviceListingId) {
+      serviceListingIds.add(meta.serviceListingId);
+    }
+  });
+
+  // Get project services
+  const projectServices = await prisma.projectService.findMany({
+    where: { projectId: project.id },
+    include: {
+      serviceListing: {
+        select: {
+          id: true,
+          price: true,
+          pricingPolicy: true,
+          hourlyRate: true,
+        },
+      },
+    },
+  });
+
+  projectServices.forEach((ps) => {
+    if (ps.serviceListingId) {
+      serviceListingIds.add(ps.serviceListingId);
+    }
+  });
+
+  // Include venue ALWAYS (planned (3D) should show all services regardless of booking status)
+  if (project.venueServiceListingId) {
+    serviceListingIds.add(project.venueServiceListingId);
+  }
+
+  // Get all service listings
+  const serviceListings = await prisma.serviceListing.findMany({
+    where: { id: { in: Array.from(serviceListingIds) } },
+    select: {
+      id: true,
+      price: true,
+      pricingPolicy: true,
+      hourlyRate: true,
+      quantityFollowsHeadcount: true,
+    },
+  });
+
+  const serviceListingMap = {};
+  serviceListings.forEach((listing) => {
+    serviceListingMap[listing.id] = listing;
+  });
+
+  // Calculate design quantities per service listing (matching checkout summary)
+  const designQuantities = {};
+  const bundleTracker = new Map(); // Track bundles to avoid double-counting
+
+  // Count 3D placements
+  placedElements.forEach((placement) => {
+    const meta = placementsMeta[placement.id];
+    if (!meta?.serviceListingId) return;
+
+    const bundleId = meta.bundleId;
+    if (bundleId) {
+      // For bundles, count once per bundle
+      if (!bundleTracker.has(bundleId)) {
+        bundleTracker.set(bundleId, true);
+        if (!designQuantities[meta.serviceListingId]) {
+          designQuantities[meta.serviceListingId] = 0;
+        }
+        designQuantities[meta.serviceListingId] += 1;
+      }
+    } else {
+      // Individual placement
+      if (!designQuantities[meta.serviceListingId]) {
+        designQuantities[meta.serviceListingId] = 0;
+      }
+      designQuantities[meta.serviceListingId] += 1;
+    }
+  });
+
+  // Count per-table services from table tagging (serviceListingIds on placements)
+  // This matches checkout summary logic - per-table services come from table tagging, not projectServices
+  placedElements.forEach((placement) => {
+    if (placement.serviceListingIds && Array.isArray(placement.serviceListingIds)) {
+      placement.serviceListingIds.forEach((serviceListingId) => {
+        if (!designQuantities[serviceListingId]) {
+          designQuantities[serviceListingId] = 0;
+        }
+        designQuantities[serviceListingId] += 1;
+      });
+    }
+  });
+
+  // Count non-3D project services (excluding per-table services to avoid double-counting)
+  // Matching checkout summary logic
+  for (const ps of projectServices) {
+    if (!ps.serviceListingId) continue;
+    const listing = serviceListingMap[ps.serviceListingId];
+    if (!listing) continue;
+
+    // Skip per-table services (they're already counted via table tagging above)
+    if (listing.pricingPolicy === 'per_table') {
+      continue;
+    }
+
+    // For other services, use ProjectService quantity
+    if (!designQuantities[ps.serviceListingId]) {
+      designQuantities[ps.serviceListingId] = 0;
+    }
+    designQuantities[ps.serviceListingId] += ps.quantity || 1;
+  }
+
+  // Headcount-driven services use their synced ProjectService quantity instead of placement/tag counts
+  for (const ps of projectServices) {
+    if (serviceListingMap[ps.serviceListingId]?.quantityFollowsHeadcount) {
+      designQuantities[ps.serviceListingId] = ps.quantity;
+    }
+  }
+
+  // Include venue ALWAYS in designQuantities (planned (3D) shows all services regardless of booking)
+  if (project.venueServiceListingId) {
+    designQuantities[project.venueServiceListingId] = 1;
+  }
+
+  // Calculate event duration for time_based pricing
+  let eventDuration = null;
+  if (project.eventStartTime && project.eventEndTime) {
+    try {
+      eventDuration = calculateEventDuration(project.eventStartTime, project.eventEndTime);
+    } catch (err) {
+      console.warn('[updatePlannedSpend] Failed to calculate event duration:', err.message);
+    }
+  }
+
+  // Calculate total using calculatePrice (matching checkout summary)
+  let totalPlannedSpend = 0;
+  Object.entries(designQuantities).forEach(([serviceListingId, designQuantity]) => {
+    const listing = serviceListingMap[serviceListingId];
+    if (!listing || designQuantity <= 0) return;
+
+    try {
+      const pricingContext = {};
+      
+      if (listing.pricingPolicy === 'per_unit') {
+        pricingContext.quantity = designQuantity;
+      } else if (listing.pricingPolicy === 'per_table') {
+        pricingContext.tableCount = designQuantity;
+      } else if (listing.pricingPolicy === 'time_based') {
+        if (eventDuration !== null) {
+          pricingContext.eventDuration = eventDuration;
+        } else {
+          // Skip time_based services if event duration is not available
+          return;
+        }
+      }
+      // fixed_package doesn't need context
+
+      const calculatedPrice = calculatePrice(listing, pricingContext);
+      totalPlannedSpend += parseFloat(calculatedPrice.toString());
+    } catch (err) {
+      console.warn(`[updatePlannedSpend] Failed to calculate price for ${listing.id}:`, err.message);
+      // Fallback to base price * quantity for per_unit/per_table, or base price for others
+      const basePrice = parseFloat(listing.price?.toString() || '0');
+      if (listing.pricingPolicy === 'per_unit' || listing.pricingPolicy === 'per_table') {
+        totalPlannedSpend += basePrice * designQuantity;
+      } else {
+        totalPlannedSpend += basePrice;
+      }
+    }
+  });
+
+  // plannedSpend includes ALL services in the 3D venue design regardless of booking status
+  // This represents the total planned cost, not what's available to book
+  return Math.max(0, totalPlannedSpend);
+}
+
+/**
+ * Recalculate the project's planned (3D) spend from its active venue design and
+ * store it on the budget. Best-effort: failures are logged only.
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<void>}
+ */
+async function updatePlannedSpend(projectId) {
+  try {
+    const project = await prisma.weddingProject.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        venueServiceListingId: true,
+        weddingDate: true,
+        eventStartTime: true,
+        eventEndTime: true,
+        budget: true,
+      },
+    });
+
+    if (!project || !project.budget) {
+      return; // No budget to update
+    }
+
+    const venueDesign = await getActiveVenueDesign(projectId, {
+      include: {
+        placedElements: {
+          // Include ALL placements regardless of booking status
+          // Planned (3D) should show total cost of all services in the design
+          select: {
+            id: true,
+            serviceListingIds: true, // For per-table services
+          },
+        },
+      },
+    });
+
+    // No venue design yet, plannedSpend is 0
+    const plannedSpend = venueDesign ? await calculatePlannedSpend(project, venueDesign) : 0;
+
+    // Update budget
+    await prisma.budget.update({
+      where: { id: project.budget.id },
+      data: {
+        plannedSpend: plannedSpend,
+        totalRemaining: parseFloat(project.budget.totalBudget) - parseFloat(project.budget.totalSpent) - plannedSpend,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating planned spend:', error);
+    // Don't throw - this is a background update
+  }
+}
+
+module.exports = {
+  calculatePlannedSpend,
+  updatePlannedSpend,
+};
@@ -0,0 +1,109 @@
+/**
+ * RSVP Rules Service
+ *
+ * When a household's invitation accepts responses, whether a set of responses is
+ * acceptable, and how guests' responses add up to the project's RSVP counts. Works on
+ * data already loaded (see guestRsvpService and the public RSVP routes).
+ */
+
+/**
+ * RSVPs close once the deadline passes, the wedding date passes, or the project is completed
+ * @param {Object} project - WeddingProject with status, weddingDate and rsvpDeadline
+ * @param {Date} now
+ * @returns {String|null} Why RSVPs are closed, or null while they are open
+ */
+function getRsvpClosedReason(project, now = new Date()) {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  if (project.status === 'completed') {
+    return 'This event has already taken place';
+  }
+  if (project.weddingDate) {
+    const weddingDate = new Date(project.weddingDate);
+    weddingDate.setHours(0, 0, 0, 0);
+    if (weddingDate < today) {
+      return 'This event has already taken place';
+    }
+  }
+  if (project.rsvpDeadline) {
+    const deadline = new Date(project.rsvpDeadline);
+    deadline.setHours(23, 59, 59, 999);
+    if (deadline < now) {
+      return 'The RSVP deadline has passed. Please contact the couple directly.';
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a household's responses against its guests and the couple's meal options
+ * @param {Array} responses - { guestId, rsvpStatus, mealChoice, plusOnesAttending }
+ * @param {Array} guests - Guests of the invitation ({ id, name, plusOneAllowance })
+ * @param {Array} mealOptions - Project's rsvpMealOptions (empty = no meal choice asked)
+ * @returns {String|null} Error message for the first invalid response
+ */
+function findRsvpResponseError(responses, guests, mealOptions = []) {
+  const guestsById = new Map(guests.map((g) => [g.id, g]));
+
+  for (const response of responses) {
+    const guest = guestsById.get(response.guestId);
+    if (!guest) {
+      return 'Guest is not part of this invitation';
+    }
+    if (response.rsvpStatus !== 'attending') continue;
+
+    if ((response.plusOnesAttending || 0) > guest.plusOneAllowance) {
+      return `${guest.name} may bring at most ${guest.plusOneAllowance} additional guest(s)`;
+    }
+    if (mealOptions.length > 0 && !response.mealChoice) {
+      return `Please choose a meal for ${guest.name}`;
+    }
+    if (mealOptions.length > 0 && !mealOptions.includes(response.mealChoice)) {
+      return `Invalid meal choice for ${guest.name}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add up guests' RSVP responses
+ * @param {Array} guests - Guests with rsvpStatus, mealChoice, plusOneAllowance, plusOnesAttending and invitationId
+ * @returns {Object} Counts by status, confirmed headcount and meal choices
+ */
+function summarizeRsvps(guests) {
+  const summary = {
+    totalGuests: guests.length,
+    invitedGuests: 0,
+    pending: 0,
+    attending: 0,
+    declined: 0,
+    plusOnesAttending: 0,
+    confirmedHeadcount: 0,
+    maxHeadcount: 0,
+    mealChoices: {},
+  };
+
+  guests.forEach((guest) => {
+    summary[guest.rsvpStatus] += 1;
+    summary.maxHeadcount += 1 + (guest.plusOneAllowance || 0);
+    if (guest.invitationId) {
+      summary.invitedGuests += 1;
+    }
+    if (guest.rsvpStatus === 'attending') {
+      summary.plusOnesAttending += guest.plusOnesAttending || 0;
+      const meal = guest.mealChoice || 'Not specified';
+      summary.mealChoices[meal] = (summary.mealChoices[meal] || 0) + 1;
+    }
+  });
+
+  summary.confirmedHeadcount = summary.attending + summary.plusOnesAttending;
+
+  return summary;
+}
+
+module.exports = {
+  getRsvpClosedReason,
+  findRsvpResponseError,
+  summarizeRsvps,
+};
@@ -0,0 +1,48 @@
+/**
+ * Scene Lighting
+ *
+ * Lighting a design is shown with, saved in layoutData.lighting: a time-of-day preset
+ * (daylight, golden hour or evening) plus lights placed in the venue - spotlights and
+ * uplights, fairy-light strings and candles. Every 3D view of the design renders it.
+ */
+
+const { z } = require('zod');
+
+const LIGHTING_PRESETS = ['daylight', 'goldenHour', 'evening'];
+const LIGHT_TYPES = ['spotlight', 'fairyLights', 'candle'];
+// Each placed light is a real-time light in the scene, so the count is kept low for slower devices
+const MAX_SCENE_LIGHTS = 24;
+
+const LIGHT_SCHEMA = z.object({
+  id: z.string().trim().min(1).max(40),
+  type: z.enum(LIGHT_TYPES),
+  position: z.object({
+    x: z.coerce.number(),
+    y: z.coerce.number().min(0).max(30),
+    z: z.coerce.number(),
+  }),
+  // Degrees around the vertical axis (direction a spotlight faces, or a fairy-light string runs)
+  rotation: z.coerce.number().optional().default(0),
+  // Degrees a spotlight is tilted from level: -90 points straight down, 90 straight up
+  pitch: z.coerce.number().min(-90).max(90).optional().default(-90),
+  color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Light colors must be hex colors like #ffcc88'),
+  intensity: z.coerce.number().min(0).max(100),
+  // Fairy-light string length in metres
+  length: z.coerce.number().min(0.5).max(30).optional(),
+});
+
+const LIGHTING_SCHEMA = z.object({
+  preset: z.enum(LIGHTING_PRESETS).optional().default('daylight'),
+  lights: z
+    .array(LIGHT_SCHEMA)
+    .max(MAX_SCENE_LIGHTS, `A design can have at most ${MAX_SCENE_LIGHTS} lights`)
+    .optional()
+    .default([]),
+});
+
+module.exports = {
+  LIGHTING_PRESETS,
+  LIGHT_TYPES,
+  MAX_SCENE_LIGHTS,
+  LIGHTING_SCHEMA,
+};
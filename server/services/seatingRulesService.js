@@ -0,0 +1,120 @@
+/**
+ * Seating Rules Service
+ *
+ * Table numbers, the seats each guest takes and how the guests seated at a table add up
+ * against its capacity. Works on data already loaded (see seatingService).
+ */
+
+/**
+ * Seats a guest occupies at their table.
+ * Declined guests take no seat; attending guests bring their confirmed plus-ones;
+ * guests who have not replied yet keep seats for their full plus-one allowance.
+ * @param {Object} guest - Guest with rsvpStatus, plusOnesAttending and plusOneAllowance
+ * @returns {Number}
+ */
+function getSeatsNeeded(guest) {
+  if (guest.rsvpStatus === 'declined') return 0;
+  if (guest.rsvpStatus === 'attending') return 1 + (guest.plusOnesAttending || 0);
+  return 1 + (guest.plusOneAllowance || 0);
+}
+
+// Same table rules as tableCountService (elementType, or "table" in the element's name)
+const isTablePlacement = (placement) =>
+  placement.elementType === 'table' ||
+  placement.designElement?.elementType === 'table' ||
+  Boolean(placement.designElement?.name?.toLowerCase().includes('table'));
+
+/**
+ * Give tables without a number of their own the next free table numbers, kept in
+ * placementsMeta so a table keeps its number (and guests' assignments and printed charts
+ * keep theirs) when other tables are removed or added. When two tables claim the same
+ * number, as a restored or copied table can, the one already in the design keeps it.
+ * @param {Object} placementsMeta - layoutData.placementsMeta, updated in place
+ * @param {Array} placements - Placements already in the design (with id, elementType and designElement)
+ * @param {Array} [addedPlacements] - Placements being added to it
+ */
+function numberTables(placementsMeta, placements, addedPlacements = []) {
+  const tables = [...[...placements].sort((a, b) => a.id.localeCompare(b.id)), ...addedPlacements].filter(
+    isTablePlacement
+  );
+  const taken = new Set();
+  const unnumbered = tables.filter((table) => {
+    const tableNumber = placementsMeta[table.id]?.tableNumber;
+    if (!Number.isInteger(tableNumber) || tableNumber < 1 || taken.has(tableNumber)) return true;
+    taken.add(tableNumber);
+    return false;
+  });
+
+  let next = 1;
+  unnumbered.forEach((table) => {
+    while (taken.has(next)) next += 1;
+    placementsMeta[table.id] = { ...(placementsMeta[table.id] || {}), tableNumber: next };
+    taken.add(next);
+  });
+}
+
+/**
+ * Merge the placement metadata a client saves into the stored copy, key by key and only for
+ * placements the design has. Table numbers are server-owned (numberTables), so a client with
+ * a stale copy can neither drop nor change them.
+ * @param {Object} storedMeta - layoutData.placementsMeta as stored
+ * @param {Object} incomingMeta - placementsMeta sent with the save
+ * @returns {Object}
+ */
+function mergeClientPlacementsMeta(storedMeta, incomingMeta) {
+  const merged = { ...storedMeta };
+  Object.entries(incomingMeta).forEach(([placementId, meta]) => {
+    if (!merged[placementId] || !meta || typeof meta !== 'object') return;
+    const clientMeta = { ...meta };
+    delete clientMeta.tableNumber;
+    merged[placementId] = { ...merged[placementId], ...clientMeta };
+  });
+  return merged;
+}
+
+/**
+ * Seat guests at the design's tables and add up what each table holds
+ * @param {Array} tables - From getSeatingTables
+ * @param {Array} guests - Guests with id, rsvpStatus, plus-ones and tableId
+ * @returns {Object} { tables, guests, warnings }
+ */
+function buildSeatingPlan(tables, guests) {
+  const tableIds = new Set(tables.map((table) => table.id));
+
+  const seatedGuests = guests.map((guest) => ({
+    ...guest,
+    // Assignments to elements that are no longer tables are treated as unseated
+    tableId: guest.tableId && tableIds.has(guest.tableId) ? guest.tableId : null,
+    seatsNeeded: getSeatsNeeded(guest),
+  }));
+
+  const tablesWithGuests = tables.map((table) => {
+    const tableGuests = seatedGuests.filter((guest) => guest.tableId === table.id);
+    const seatsUsed = tableGuests.reduce((sum, guest) => sum + guest.seatsNeeded, 0);
+    return {
+      ...table,
+      guestIds: tableGuests.map((guest) => guest.id),
+      seatsUsed,
+      isOverCapacity: table.capacity !== null && seatsUsed > table.capacity,
+    };
+  });
+
+  const unseatedGuests = seatedGuests.filter((guest) => !guest.tableId && guest.rsvpStatus !== 'declined');
+
+  return {
+    tables: tablesWithGuests,
+    guests: seatedGuests,
+    warnings: {
+      overCapacityTableIds: tablesWithGuests.filter((table) => table.isOverCapacity).map((table) => table.id),
+      unseatedGuestCount: unseatedGuests.length,
+      unseatedSeatCount: unseatedGuests.reduce((sum, guest) => sum + guest.seatsNeeded, 0),
+    },
+  };
+}
+
+module.exports = {
+  getSeatsNeeded,
+  numberTables,
+  mergeClientPlacementsMeta,
+  buildSeatingPlan,
+};
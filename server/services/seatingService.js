@@ -0,0 +1,159 @@
+/**
+ * Seating Service
+ *
+ * Builds the seating plan for a wedding project: the tables placed in its
+ * venue design, how many seats each one has, and which guests sit where.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getTables } = require('./tableCountService');
+const { getActiveVenueDesign } = require('./designVariantService');
+const { numberTables, buildSeatingPlan } = require('./seatingRulesService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Seat capacity per service listing, from its "chair" bundle components
+ * @param {String[]} serviceListingIds
+ * @returns {Promise<Map<String, Number>>} serviceListingId -> chairs per unit
+ */
+async function getChairCountsByListing(serviceListingIds) {
+  if (serviceListingIds.length === 0) {
+    return new Map();
+  }
+
+  const chairComponents = await prisma.serviceComponent.findMany({
+    where: {
+      serviceListingId: { in: serviceListingIds },
+      role: { equals: 'chair', mode: 'insensitive' },
+    },
+    select: {
+      serviceListingId: true,
+      quantityPerUnit: true,
+    },
+  });
+
+  const counts = new Map();
+  chairComponents.forEach((component) => {
+    counts.set(
+      component.serviceListingId,
+      (counts.get(component.serviceListingId) || 0) + (component.quantityPerUnit || 0)
+    );
+  });
+  return counts;
+}
+
+/**
+ * List the tables in a venue design with their seat capacity.
+ * A table's capacity comes from the chair components of the service listing it was placed from;
+ * it is null when that listing has no chair component.
+ * @param {Object} venueDesign - VenueDesign with id and layoutData
+ * @returns {Promise<Array>} Tables by table number (see numberTables)
+ */
+async function getSeatingTables(venueDesign) {
+  const tables = await getTables(venueDesign.id);
+  // Tables placed before numbers were stored are numbered on the fly, in placement order
+  const placementsMeta = { ...(venueDesign.layoutData?.placementsMeta || {}) };
+  numberTables(placementsMeta, tables);
+
+  const listingIds = Array.from(
+    new Set(tables.map((table) => placementsMeta[table.id]?.serviceListingId).filter(Boolean))
+  );
+  const chairCounts = await getChairCountsByListing(listingIds);
+
+  const seatingTables = tables.map((table) => {
+    const serviceListingId = placementsMeta[table.id]?.serviceListingId || null;
+    return {
+      id: table.id,
+      tableNumber: placementsMeta[table.id].tableNumber,
+      name: table.designElement?.name || 'Table',
+      position: table.position
+        ? { x: table.position.x, y: table.position.y, z: table.position.z }
+        : { x: 0, y: 0, z: 0 },
+      serviceListingId,
+      capacity: serviceListingId && chairCounts.has(serviceListingId) ? chairCounts.get(serviceListingId) : null,
+    };
+  });
+  return seatingTables.sort((a, b) => a.tableNumber - b.tableNumber);
+}
+
+/**
+ * Get the full seating plan for a project
+ * @param {String} projectId - WeddingProject ID
+ * @returns {Promise<Object>} { project, tables, guests, warnings }
+ */
+async function getSeatingPlan(projectId) {
+  const [project, venueDesign, guests] = await Promise.all([
+    prisma.weddingProject.findUnique({
+      where: { id: projectId },
+      select: {
+        projectName: true,
+        weddingDate: true,
+        venueServiceListing: { select: { name: true } },
+      },
+    }),
+    getActiveVenueDesign(projectId, {
+      select: { id: true, layoutData: true },
+    }),
+    prisma.guest.findMany({
+      where: { projectId },
+      select: {
+        id: true,
+        name: true,
+        household: true,
+        side: true,
+        rsvpStatus: true,
+        plusOneAllowance: true,
+        plusOnesAttending: true,
+        tableId: true,
+      },
+      orderBy: [{ household: 'asc' }, { name: 'asc' }],
+    }),
+  ]);
+
+  const tables = venueDesign ? await getSeatingTables(venueDesign) : [];
+  const plan = buildSeatingPlan(tables, guests);
+
+  return {
+    project: {
+      projectName: project?.projectName || null,
+      weddingDate: project?.weddingDate || null,
+      venueName: project?.venueServiceListing?.name || null,
+    },
+    ...plan,
+  };
+}
+
+/**
+ * Move the guests seated in one layout variant to the tables with the same numbers in
+ * another, so switching layouts keeps the seating plan. Guests whose table number the
+ * other layout doesn't have keep their old table and show as unseated until they are
+ * placed again (or the old layout is switched back to).
+ * @param {Object} fromDesign - VenueDesign with id and layoutData
+ * @param {Object} toDesign - VenueDesign with id and layoutData
+ * @param {Object} [tx] - Transaction to write in (defaults to the shared client)
+ * @returns {Promise<{ moved: Number, unseated: Number }>} Guests moved and guests left without a table
+ */
+async function transferSeating(fromDesign, toDesign, tx = prisma) {
+  const [fromTables, toTables] = await Promise.all([getSeatingTables(fromDesign), getSeatingTables(toDesign)]);
+  const targetByNumber = new Map(toTables.map((table) => [table.tableNumber, table.id]));
+
+  let moved = 0;
+  let unseated = 0;
+  for (const table of fromTables) {
+    const targetId = targetByNumber.get(table.tableNumber);
+    if (targetId) {
+      const result = await tx.guest.updateMany({ where: { tableId: table.id }, data: { tableId: targetId } });
+      moved += result.count;
+    } else {
+      unseated += await tx.guest.count({ where: { tableId: table.id, rsvpStatus: { not: 'declined' } } });
+    }
+  }
+  return { moved, unseated };
+}
+
+module.exports = {
+  getSeatingTables,
+  getSeatingPlan,
+  transferSeating,
+};
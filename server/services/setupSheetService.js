@@ -0,0 +1,149 @@
+/**
+ * Setup Sheet Service
+ *
+ * Builds a booked vendor's setup sheet from the project's active venue design:
+ * which of the vendor's items go where (position, rotation, what they stand on),
+ * how many were booked, and which tables their per-table services cover.
+ * The floor footprints of the whole design come along so the sheet can show
+ * the vendor's items in context. No guest details leave this service.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getSeatingTables } = require('./seatingService');
+const { getActiveVenueDesign } = require('./designVariantService');
+
+const prisma = new PrismaClient();
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// PlacedElement.rotation is in degrees around the vertical axis; sheets show 0-359
+const normalizeRotation = (rotation) => ((Math.round(Number(rotation) || 0) % 360) + 360) % 360;
+
+/**
+ * Build the setup sheet of a booking
+ * @param {Object} booking - Booking with projectId and selectedServices[] (serviceListingId, quantity,
+ * serviceListing { id, name, category })
+ * @returns {Promise<Object>} { project, services, placements, tables }
+ */
+async function getSetupSheet(booking) {
+  const [project, venueDesign, bookedTables] = await Promise.all([
+    prisma.weddingProject.findUnique({
+      where: { id: booking.projectId },
+      select: {
+        projectName: true,
+        weddingDate: true,
+        eventStartTime: true,
+        eventEndTime: true,
+        venueServiceListing: { select: { name: true } },
+      },
+    }),
+    getActiveVenueDesign(booking.projectId, {
+      select: {
+        id: true,
+        layoutData: true,
+        placedElements: {
+          select: {
+            id: true,
+            rotation: true,
+            parentElementId: true,
+            position: { select: { x: true, y: true, z: true } },
+            designElement: { select: { name: true, dimensions: true } },
+          },
+        },
+      },
+    }),
+    prisma.bookedTable.findMany({
+      where: { bookingId: booking.id },
+      select: { serviceListingId: true, placedElementId: true },
+    }),
+  ]);
+
+  const placedElements = venueDesign?.placedElements || [];
+  const placementsMeta = venueDesign?.layoutData?.placementsMeta || {};
+  const tables = venueDesign ? await getSeatingTables(venueDesign) : [];
+  const tableById = new Map(tables.map((table) => [table.id, table]));
+  const placementById = new Map(placedElements.map((placement) => [placement.id, placement]));
+
+  const describeTable = (placementId) => {
+    const table = tableById.get(placementId);
+    if (!table) return null;
+    return { id: table.id, tableNumber: table.tableNumber, name: table.name };
+  };
+
+  // Reference numbers tie each row of the sheet to a pin on its plan
+  let nextRef = 1;
+
+  const services = (booking.selectedServices || []).map((service) => {
+    const items = placedElements
+      .filter((placement) => placementsMeta[placement.id]?.serviceListingId === service.serviceListingId)
+      .sort((a, b) => (a.position?.z || 0) - (b.position?.z || 0) || (a.position?.x || 0) - (b.position?.x || 0))
+      .map((placement) => {
+        const parent = placement.parentElementId ? placementById.get(placement.parentElementId) : null;
+        return {
+          id: placement.id,
+          ref: nextRef++,
+          name: placement.designElement?.name || 'Item',
+          position: {
+            x: round(placement.position?.x),
+            y: round(placement.position?.y),
+            z: round(placement.position?.z),
+          },
+          rotation: normalizeRotation(placement.rotation),
+          tableNumber: tableById.get(placement.id)?.tableNumber ?? null,
+          standsOn: parent
+            ? {
+                id: parent.id,
+                name: parent.designElement?.name || 'Item',
+                tableNumber: tableById.get(parent.id)?.tableNumber ?? null,
+              }
+            : null,
+        };
+      });
+
+    const serviceTables = bookedTables
+      .filter((bookedTable) => bookedTable.serviceListingId === service.serviceListingId)
+      .map((bookedTable) => describeTable(bookedTable.placedElementId))
+      .filter(Boolean)
+      .sort((a, b) => a.tableNumber - b.tableNumber);
+
+    return {
+      serviceListingId: service.serviceListingId,
+      name: service.serviceListing?.name || 'Service',
+      category: service.serviceListing?.category || null,
+      quantity: service.quantity,
+      items,
+      tables: serviceTables,
+    };
+  });
+
+  return {
+    project: {
+      projectName: project?.projectName || null,
+      weddingDate: project?.weddingDate || null,
+      eventStartTime: project?.eventStartTime || null,
+      eventEndTime: project?.eventEndTime || null,
+      venueName: project?.venueServiceListing?.name || null,
+    },
+    services,
+    // Everything on the floor, for the plan
+    placements: placedElements.map((placement) => ({
+      id: placement.id,
+      rotation: placement.rotation || 0,
+      parentElementId: placement.parentElementId,
+      position: {
+        x: placement.position?.x || 0,
+        y: placement.position?.y || 0,
+        z: placement.position?.z || 0,
+      },
+      designElement: {
+        name: placement.designElement?.name || null,
+        dimensions: placement.designElement?.dimensions || null,
+      },
+    })),
+    tables: tables.map((table) => ({ id: table.id, tableNumber: table.tableNumber })),
+  };
+}
+
+module.exports = {
+  getSetupSheet,
+};
@@ -0,0 +1,92 @@
+/**
+ * Stacking Service
+ *
+ * Rules for placing one item on top of another (PlacedElement.parentElementId).
+ * A child must be stackable, and its parent's design element must be declared
+ * as a host by its vendor: canHostChildren, optionally limited to some element
+ * types (hostChildTypes) and to a number of items (maxChildren).
+ * Only newly made parent links are checked, so layouts saved before the rules
+ * existed can still be moved around.
+ */
+
+const displayName = (placement) => placement.designElement?.name || 'This item';
+
+/**
+ * Why a host's element can't take a child's element, or null when it can (capacity aside)
+ * @param {Object} host - Placement with designElement
+ * @param {Object} child - Placement with designElement (and optionally elementType)
+ * @returns {String|null}
+ */
+function describeHostRejection(host, child) {
+  if (!child.designElement?.isStackable) {
+    return `${displayName(child)} can't be placed on top of other items.`;
+  }
+  if (!host.designElement?.canHostChildren) {
+    return `${displayName(host)} can't hold other items.`;
+  }
+  const accepted = (host.designElement.hostChildTypes || []).map((type) => type.toLowerCase());
+  if (accepted.length > 0) {
+    const childType = (child.designElement.elementType || child.elementType || '').toLowerCase();
+    if (!accepted.includes(childType)) {
+      return `${displayName(host)} only holds ${host.designElement.hostChildTypes.join(', ')}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * First invalid parent link a set of updates would create, or null.
+ * @param {Array} updates - [{ id, parentElementId? }]
+ * @param {Array} placements - Every placement in the design (with parentElementId and designElement)
+ * @returns {{ placement: Object, parent: Object|null, message: String } | null}
+ */
+function findStackingError(updates, placements) {
+  const placementById = new Map(placements.map((placement) => [placement.id, placement]));
+  const nextParentId = new Map(placements.map((placement) => [placement.id, placement.parentElementId || null]));
+  updates.forEach((update) => {
+    if (update.parentElementId !== undefined && placementById.has(update.id)) {
+      nextParentId.set(update.id, update.parentElementId);
+    }
+  });
+
+  for (const update of updates) {
+    const placement = placementById.get(update.id);
+    if (!placement || !update.parentElementId || update.parentElementId === placement.parentElementId) continue;
+
+    const parent = placementById.get(update.parentElementId);
+    if (!parent) {
+      return { placement, parent: null, message: 'Parent element not found' };
+    }
+
+    const rejection = describeHostRejection(parent, placement);
+    if (rejection) {
+      return { placement, parent, message: rejection };
+    }
+
+    // Walk up from the new parent; meeting the child again means a loop
+    const seen = new Set();
+    for (let id = parent.id; id; id = nextParentId.get(id)) {
+      if (id === placement.id || seen.has(id)) {
+        return { placement, parent, message: `${displayName(placement)} can't be placed on an item it holds.` };
+      }
+      seen.add(id);
+    }
+
+    const maxChildren = parent.designElement.maxChildren;
+    if (maxChildren !== null && maxChildren !== undefined) {
+      const childCount = [...nextParentId.values()].filter((id) => id === parent.id).length;
+      if (childCount > maxChildren) {
+        return {
+          placement,
+          parent,
+          message: `${displayName(parent)} holds at most ${maxChildren} ${maxChildren === 1 ? 'item' : 'items'}.`,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  findStackingError,
+};
@@ -6,6 +6,8 @@
  */
 
 const { PrismaClient } = require('@prisma/client');
+const { getConfirmedHeadcount } = require('./headcountQuantityService');
+const { getHeadcountQuantity } = require('../utils/headcountQuantityCalculator');
 const prisma = new PrismaClient();
 
 /**
@@ -77,12 +79,15 @@ async function getTables(venueDesignId) {
     throw new Error('Venue design ID is required');
   }
 
+  // Same table rules as getTableCount (PlacedElement/DesignElement elementType, or name contains "table")
   const tables = await prisma.placedElement.findMany({
     where: {
       venueDesignId,
-      designElement: {
-        elementType: 'table',
-      },
+      OR: [
+        { elementType: 'table' },
+        { designElement: { elementType: 'table' } },
+        { designElement: { name: { contains: 'table', mode: 'insensitive' } } },
+      ],
     },
     include: {
       designElement: {
@@ -92,7 +97,9 @@ async function getTables(venueDesignId) {
           elementType: true,
         },
       },
+      position: true,
     },
+    orderBy: { id: 'asc' },
   });
 
   return tables;
@@ -175,6 +182,8 @@ async function tagTables(venueDesignId, placedElementIds, serviceListingIds) {
     select: { 
       id: true,
       pricingPolicy: true,
+      quantityFollowsHeadcount: true,
+      guestsPerUnit: true,
     },
   });
 
@@ -196,12 +205,16 @@ async function tagTables(venueDesignId, placedElementIds, serviceListingIds) {
 
   // For per_table services, ensure they exist in ProjectService
   // This is required for them to appear in checkout
-  const perTableServiceIds = serviceListings
-    .filter(sl => sl.pricingPolicy === 'per_table')
-    .map(sl => sl.id);
+  const perTableServices = serviceListings.filter(sl => sl.pricingPolicy === 'per_table');
+
+  if (perTableServices.length > 0) {
+    // Headcount-driven per_table services start from the confirmed guest count instead
+    const confirmedHeadcount = perTableServices.some(sl => sl.quantityFollowsHeadcount)
+      ? await getConfirmedHeadcount(venueDesign.projectId)
+      : 0;
 
-  if (perTableServiceIds.length > 0) {
-    const projectServicePromises = perTableServiceIds.map(async (serviceListingId) => {
+    const projectServicePromises = perTableServices.map(async (serviceListing) => {
+      const serviceListingId = serviceListing.id;
       try {
         await prisma.projectService.upsert({
           where: {
@@ -216,7 +229,10 @@ async function tagTables(venueDesignId, placedElementIds, serviceListingIds) {
           create: {
             projectId: venueDesign.projectId,
             serviceListingId: serviceListingId,
-            quantity: 0, // Quantity is managed by table tags, not ProjectService.quantity
+            // Quantity is managed by table tags, not ProjectService.quantity (unless it follows headcount)
+            quantity: serviceListing.quantityFollowsHeadcount
+              ? getHeadcountQuantity(serviceListing, confirmedHeadcount)
+              : 0,
           },
         });
       } catch (error) {
@@ -0,0 +1,344 @@
+/**
+ * Venue Layout Service
+ *
+ * Walkable floor and no-go zones of a venue whose model was drawn in the floorplan
+ * editor, worked out from the floorplan saved with it (DesignElement.floorplanMetadata).
+ * The editor records where the drawing sits inside the exported GLB (`modelFrame`), and
+ * the designer centres and scales every venue model the same way (VenueModel in Scene3D),
+ * so the layout is in the designer's world meters on the floor (x/z).
+ *
+ * Walls are obstacles along their whole length, doorways included so exits stay clear,
+ * and so are columns, stages and raised platforms. Mezzanines are overhead and are not.
+ * The doorways themselves are listed too, so layout validation can keep the floor in
+ * front of them clear.
+ * Venues uploaded as plain model files have no layout. The designer runs the same check
+ * while dragging.
+ */
+
+const { FLOOR_LEVEL_Y, getFootprintOutline, getOutlineGap } = require('./footprintService');
+
+// Editor units (BlueprintEditor constants)
+const PIXELS_PER_METER = 20;
+const DEFAULT_WALL_THICKNESS = 10;
+const DEFAULT_COLUMN_SIZE = 12;
+
+// The designer scales venue models into this range of sizes (meters)
+const MIN_MODEL_SIZE = 10;
+const MAX_MODEL_SIZE = 80;
+
+const ROUND_COLUMN_SIDES = 16;
+// Longest straight piece used to follow a curved wall, in editor pixels
+const ARC_STEP = 10;
+
+const OBSTACLE_LABELS = {
+  wall: 'inside a wall or doorway',
+  column: 'on a column',
+  stage: 'on the stage',
+  platform: 'on a raised platform',
+  outside: 'outside the venue floor',
+};
+
+// --- Floorplan geometry (copied from src/components/BlueprintEditor/wallGeometry.js, whose test checks both agree) ---
+
+// Circle a curved wall lies on, or null for straight walls; `bulge` bows it to the left of start→end
+function getWallArc(start, end, bulge) {
+  const chord = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!bulge || Math.abs(bulge) < 0.5 || chord < 1) return null;
+
+  const sagitta = Math.min(Math.abs(bulge), chord / 2);
+  const side = Math.sign(bulge);
+  const normal = { x: (end.y - start.y) / chord, y: -(end.x - start.x) / chord };
+  const radius = (chord * chord) / 4 / (2 * sagitta) + sagitta / 2;
+  const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const cx = mid.x + normal.x * side * (sagitta - radius);
+  const cy = mid.y + normal.y * side * (sagitta - radius);
+
+  const startAngle = Math.atan2(start.y - cy, start.x - cx);
+  const span = 4 * Math.atan((2 * sagitta) / chord);
+  const apex = { x: mid.x + normal.x * side * sagitta, y: mid.y + normal.y * side * sagitta };
+  const halfway = startAngle + span / 2;
+  const forward = Math.hypot(cx + radius * Math.cos(halfway) - apex.x, cy + radius * Math.sin(halfway) - apex.y);
+  const sweep = forward < radius * 0.01 + 0.01 ? span : -span;
+
+  return { cx, cy, radius, startAngle, sweep };
+}
+
+// Point `offset` pixels along a wall from its start, with the wall's direction there
+function getPointOnWall(start, end, bulge, offset) {
+  const arc = getWallArc(start, end, bulge);
+  if (!arc) {
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    return { x: start.x + Math.cos(angle) * offset, y: start.y + Math.sin(angle) * offset, angle };
+  }
+  const theta = arc.startAngle + (Math.sign(arc.sweep) * offset) / arc.radius;
+  return {
+    x: arc.cx + arc.radius * Math.cos(theta),
+    y: arc.cy + arc.radius * Math.sin(theta),
+    angle: theta + (Math.sign(arc.sweep) * Math.PI) / 2,
+  };
+}
+
+// Points along a wall from start to end, following its arc when curved
+function sampleWall(start, end, bulge) {
+  const arc = getWallArc(start, end, bulge);
+  if (!arc) return [start, end];
+  const steps = Math.max(
+    2,
+    Math.ceil((arc.radius * Math.abs(arc.sweep)) / ARC_STEP),
+    Math.ceil(Math.abs(arc.sweep) / (Math.PI / 24))
+  );
+  return Array.from({ length: steps + 1 }, (_, i) => {
+    const theta = arc.startAngle + (arc.sweep * i) / steps;
+    return { x: arc.cx + arc.radius * Math.cos(theta), y: arc.cy + arc.radius * Math.sin(theta) };
+  });
+}
+
+// The first closed loop of walls, in editor pixels, or null when the walls don't close
+function getRoomOutline(floorplan, pointById) {
+  const neighbours = new Map();
+  floorplan.walls.forEach((wall) => {
+    [
+      [wall.startPointId, wall.endPointId],
+      [wall.endPointId, wall.startPointId],
+    ].forEach(([from, to]) => {
+      if (!neighbours.has(from)) neighbours.set(from, []);
+      neighbours.get(from).push(to);
+    });
+  });
+
+  const startId = [...neighbours.keys()].find((id) => neighbours.get(id).length >= 2);
+  if (!startId) return null;
+
+  const path = [startId];
+  const visited = new Set(path);
+  let previous = null;
+  let current = startId;
+  for (let i = 0; i < floorplan.points.length * 2; i += 1) {
+    const from = previous;
+    const next = neighbours.get(current).find((id) => id !== from);
+    if (next === startId && path.length > 2) break;
+    if (!next || visited.has(next)) break;
+    visited.add(next);
+    path.push(next);
+    previous = current;
+    current = next;
+  }
+  if (path.length < 3 || path.some((id) => !pointById.has(id))) return null;
+
+  return path.flatMap((id, i) => {
+    const nextId = path[(i + 1) % path.length];
+    const a = pointById.get(id);
+    const b = pointById.get(nextId);
+    const wall = floorplan.walls.find(
+      (w) => (w.startPointId === id && w.endPointId === nextId) || (w.startPointId === nextId && w.endPointId === id)
+    );
+    if (!wall || !wall.bulge) return [a];
+    const samples = wall.startPointId === id ? sampleWall(a, b, wall.bulge) : sampleWall(b, a, wall.bulge).reverse();
+    return samples.slice(0, -1);
+  });
+}
+
+// Rectangle around a centre in editor pixels, turned like the editor turns stages and columns
+function rectangle(cx, cy, halfWidth, halfDepth, rotationDegrees) {
+  const angle = ((Number(rotationDegrees) || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [
+    [-1, -1],
+    [1, -1],
+    [1, 1],
+    [-1, 1],
+  ].map(([u, v]) => ({
+    x: cx + u * halfWidth * cos - v * halfDepth * sin,
+    y: cy + u * halfWidth * sin + v * halfDepth * cos,
+  }));
+}
+
+// Band of a wall between two points of its centre line, carried past both ends to close the corners
+function wallPiece(a, b, halfThickness) {
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  if (length === 0) return null;
+  return rectangle((a.x + b.x) / 2, (a.y + b.y) / 2, length / 2 + halfThickness, halfThickness, (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI);
+}
+
+/**
+ * Maps editor pixels to designer world meters, or null when the frame is unusable
+ * @param {Object} modelFrame - { offsetX, offsetZ, bounds: { minX, maxX, minY, maxY, minZ, maxZ } } in GLB meters
+ */
+function getModelTransform(modelFrame) {
+  const { bounds } = modelFrame;
+  const size = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, bounds.maxZ - bounds.minZ);
+  if (!(size > 0)) return null;
+  let scale = 1;
+  if (size > MAX_MODEL_SIZE) scale = MAX_MODEL_SIZE / size;
+  else if (size < MIN_MODEL_SIZE) scale = MIN_MODEL_SIZE / size;
+  const centerX = (bounds.minX + bounds.maxX) / 2;
+  const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+  // The designer shifts the model back by its unscaled centre and then scales it about its origin
+  return (point) => ({
+    x: scale * (point.x / PIXELS_PER_METER + modelFrame.offsetX) - centerX,
+    z: scale * (point.y / PIXELS_PER_METER + modelFrame.offsetZ) - centerZ,
+  });
+}
+
+/**
+ * Walkable floor, obstacles and doorways of a venue, from the floorplan saved with its model
+ * @param {Object|null} floorplan - DesignElement.floorplanMetadata
+ * @returns {{ floor: Array|null, obstacles: Array, doors: Array }|null} floor is the [{ x, z }] outline
+ * (null when the walls don't enclose a room); obstacles are [{ kind, id, polygon: [{ x, z }] }];
+ * doors are the openings in the walls, [{ id, center: { x, z }, polygon }].
+ * null when the model was not exported from the floorplan editor.
+ */
+function buildVenueLayout(floorplan) {
+  if (!floorplan?.modelFrame?.bounds || !Array.isArray(floorplan.points) || !Array.isArray(floorplan.walls)) {
+    return null;
+  }
+  const toWorld = getModelTransform(floorplan.modelFrame);
+  if (!toWorld) return null;
+
+  const pointById = new Map(floorplan.points.map((point) => [point.id, point]));
+  const obstacles = [];
+  const addObstacle = (kind, id, polygon) => {
+    if (polygon) obstacles.push({ kind, id, polygon: polygon.map(toWorld) });
+  };
+
+  floorplan.walls.forEach((wall) => {
+    const start = pointById.get(wall.startPointId);
+    const end = pointById.get(wall.endPointId);
+    if (!start || !end) return;
+    const halfThickness = (Number(wall.thickness) || DEFAULT_WALL_THICKNESS) / 2;
+    const samples = sampleWall(start, end, wall.bulge);
+    samples.slice(1).forEach((point, i) => addObstacle('wall', wall.id, wallPiece(samples[i], point, halfThickness)));
+  });
+
+  (floorplan.columns || []).forEach((column) => {
+    const half = (Number(column.size) || DEFAULT_COLUMN_SIZE) / 2;
+    const polygon =
+      column.shape === 'square'
+        ? rectangle(column.x, column.y, half, half, column.rotation)
+        : Array.from({ length: ROUND_COLUMN_SIDES }, (_, i) => {
+            const angle = (i / ROUND_COLUMN_SIDES) * 2 * Math.PI;
+            return { x: column.x + half * Math.cos(angle), y: column.y + half * Math.sin(angle) };
+          });
+    addObstacle('column', column.id, polygon);
+  });
+
+  (floorplan.stages || []).forEach((stage) => {
+    addObstacle('stage', stage.id, rectangle(stage.x, stage.y, (Number(stage.width) || 0) / 2, (Number(stage.depth) || 0) / 2, stage.rotation));
+  });
+
+  (floorplan.floorZones || [])
+    .filter((zone) => zone.kind !== 'mezzanine' && Array.isArray(zone.points) && zone.points.length >= 3)
+    .forEach((zone) => addObstacle('platform', zone.id, zone.points));
+
+  const wallById = new Map(floorplan.walls.map((wall) => [wall.id, wall]));
+  const doors = (floorplan.doors || []).flatMap((door) => {
+    const wall = wallById.get(door.wallId);
+    const start = pointById.get(wall?.startPointId);
+    const end = pointById.get(wall?.endPointId);
+    if (!start || !end) return [];
+    const { x, y, angle } = getPointOnWall(start, end, wall.bulge, Number(door.offset) || 0);
+    const halfThickness = (Number(wall.thickness) || DEFAULT_WALL_THICKNESS) / 2;
+    const polygon = rectangle(x, y, (Number(door.width) || 0) / 2, halfThickness, (angle * 180) / Math.PI);
+    return [{ id: door.id, center: toWorld({ x, y }), polygon: polygon.map(toWorld) }];
+  });
+
+  const outline = getRoomOutline(floorplan, pointById);
+  return { floor: outline ? outline.map(toWorld) : null, obstacles, doors };
+}
+
+// --- Polygon tests on the floor (x/z) ---
+
+const cross = (origin, a, b) => (a.x - origin.x) * (b.z - origin.z) - (a.z - origin.z) * (b.x - origin.x);
+
+const edgesOf = (polygon) => polygon.map((point, i) => [point, polygon[(i + 1) % polygon.length]]);
+
+const segmentsCross = ([a, b], [c, d]) =>
+  (cross(c, d, a) > 0) !== (cross(c, d, b) > 0) && (cross(a, b, c) > 0) !== (cross(a, b, d) > 0);
+
+function containsPoint(polygon, point) {
+  let inside = false;
+  edgesOf(polygon).forEach(([a, b]) => {
+    if ((a.z > point.z) !== (b.z > point.z) && point.x < a.x + ((point.z - a.z) * (b.x - a.x)) / (b.z - a.z)) {
+      inside = !inside;
+    }
+  });
+  return inside;
+}
+
+const edgesCross = (first, second) => edgesOf(first).some((edge) => edgesOf(second).some((other) => segmentsCross(edge, other)));
+
+const polygonsOverlap = (first, second) =>
+  first.some((point) => containsPoint(second, point)) ||
+  second.some((point) => containsPoint(first, point)) ||
+  edgesCross(first, second);
+
+/**
+ * Free floor between a floor-level item and a zone of the venue (0 when it stands in it)
+ * @param {Array} polygon - [{ x, z }] outline from buildVenueLayout
+ * @param {Object} item - { designElement, position, rotation }
+ * @returns {Number}
+ */
+function getZoneGap(polygon, item) {
+  const outline = getFootprintOutline(item);
+  if (polygonsOverlap(outline, polygon)) return 0;
+  return getOutlineGap(outline, polygon);
+}
+
+/**
+ * Obstacle a floor-level item would stand on, or whether it would leave the floor
+ * @param {Object|null} layout - From buildVenueLayout
+ * @param {Object} item - { designElement, position, rotation }
+ * @returns {{ kind: String, id?: String }|null} kind is an obstacle kind, or 'outside'
+ */
+function findLayoutViolation(layout, item) {
+  if (!layout || (item.position?.y || 0) >= FLOOR_LEVEL_Y) return null;
+  const outline = getFootprintOutline(item);
+  const obstacle = layout.obstacles.find((candidate) => polygonsOverlap(outline, candidate.polygon));
+  if (obstacle) return { kind: obstacle.kind, id: obstacle.id };
+  if (layout.floor && (!outline.every((point) => containsPoint(layout.floor, point)) || edgesCross(outline, layout.floor))) {
+    return { kind: 'outside' };
+  }
+  return null;
+}
+
+/**
+ * First move or new item that would put something in a no-go zone, or null.
+ * Items already in one can still be moved, so an older layout can be tidied up.
+ * @param {Object|null} layout - From buildVenueLayout
+ * @param {Array} moves - [{ placement, position, rotation }]; placement.id is absent for new items
+ * @returns {{ placement: Object, violation: Object }|null}
+ */
+function findMoveLayoutViolation(layout, moves) {
+  if (!layout) return null;
+  for (const move of moves) {
+    const violation = findLayoutViolation(layout, {
+      designElement: move.placement.designElement,
+      position: move.position || move.placement.position,
+      rotation: move.rotation ?? move.placement.rotation,
+    });
+    if (!violation) continue;
+    if (move.placement.id && findLayoutViolation(layout, move.placement)) continue;
+    return { placement: move.placement, violation };
+  }
+  return null;
+}
+
+/**
+ * Message for a write that would put an item in a no-go zone
+ * @param {{ placement: Object, violation: Object }} result - From findMoveLayoutViolation
+ * @returns {String}
+ */
+function describeLayoutViolation(result) {
+  const name = result.placement.designElement?.name || 'The element';
+  return `${name} can't be placed ${OBSTACLE_LABELS[result.violation.kind] || 'there'}. Move it to open floor.`;
+}
+
+module.exports = {
+  OBSTACLE_LABELS,
+  buildVenueLayout,
+  getZoneGap,
+  findLayoutViolation,
+  findMoveLayoutViolation,
+  describeLayoutViolation,
+};
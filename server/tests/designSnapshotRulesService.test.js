@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { assertRestoreFits, buildRestoredLayoutData } = require('../services/designSnapshotRulesService');
+
+const table = { name: 'Table', dimensions: { width: 1, depth: 1 }, canHostChildren: true, maxChildren: 1 };
+const vase = { name: 'Vase', dimensions: { width: 0.2, depth: 0.2 }, isStackable: true };
+const at = (id, designElement, x, z, extra = {}) => ({
+  id,
+  parentElementId: null,
+  designElement,
+  position: { x, y: 0, z },
+  rotation: 0,
+  ...extra,
+});
+
+test('assertRestoreFits accepts placements clear of what stays', () => {
+  const booked = [at('booked', table, 0, 0)];
+  const restored = [at('t1', table, 5, 0), at('t2', table, 5.2, 0)];
+  // The snapshot's own overlap (t1 and t2) was allowed when it was taken
+  assert.doesNotThrow(() => assertRestoreFits(restored, booked, null));
+});
+
+test('assertRestoreFits refuses a placement that overlaps a kept booked item', () => {
+  const booked = [at('booked', table, 0, 0)];
+  assert.throws(
+    () => assertRestoreFits([at('t1', table, 0.3, 0)], booked, null),
+    (err) => {
+      assert.equal(err.statusCode, 409);
+      assert.deepEqual(err.elementIds, ['t1', 'booked']);
+      assert.equal(err.message, 'Table would overlap Table. Move it to a free spot.');
+      return true;
+    }
+  );
+});
+
+test('assertRestoreFits refuses stacking the kept host cannot take', () => {
+  const booked = [at('booked', table, 0, 0), { ...at('kept', vase, 0, 0), parentElementId: 'booked' }];
+  const restored = [at('v2', vase, 0, 0, { snapshotParentId: 'booked' })];
+  assert.throws(
+    () => assertRestoreFits(restored, booked, null),
+    (err) => {
+      assert.equal(err.statusCode, 400);
+      assert.deepEqual(err.elementIds, ['v2']);
+      assert.equal(err.message, 'Table holds at most 1 item.');
+      return true;
+    }
+  );
+  // A parent that is no longer in the design leaves the child on the floor instead
+  const orphan = [at('v3', vase, 3, 3, { snapshotParentId: 'gone' })];
+  assert.doesNotThrow(() => assertRestoreFits(orphan, booked, null));
+});
+
+test('assertRestoreFits refuses a placement outside the venue floor', () => {
+  const venueLayout = {
+    floor: [
+      { x: 0, z: 0 },
+      { x: 10, z: 0 },
+      { x: 10, z: 8 },
+      { x: 0, z: 8 },
+    ],
+    obstacles: [],
+    doors: [],
+  };
+  assert.doesNotThrow(() => assertRestoreFits([at('t1', table, 5, 4)], [], venueLayout));
+  assert.throws(
+    () => assertRestoreFits([at('t1', table, -3, 4)], [], venueLayout),
+    (err) => err.statusCode === 409 && err.elementIds[0] === 't1'
+  );
+});
+
+test('buildRestoredLayoutData takes placement metadata from where each placement comes from', () => {
+  const snapshotLayout = {
+    placementsMeta: {
+      t1: { tableNumber: 1 },
+      booked: { tableNumber: 9 },
+      removed: { tableNumber: 3 },
+    },
+    floorGrid: true,
+  };
+  const liveLayout = { placementsMeta: { booked: { tableNumber: 2, bundleId: 'b1' } } };
+
+  const layoutData = buildRestoredLayoutData(snapshotLayout, liveLayout, {
+    bookedIds: new Set(['booked']),
+    restoredIds: new Set(['t1', 'skipped']),
+  });
+
+  assert.deepEqual(layoutData.placementsMeta, {
+    booked: { tableNumber: 2, bundleId: 'b1' },
+    t1: { tableNumber: 1 },
+  });
+  assert.equal(layoutData.floorGrid, true);
+  assert.ok(!Number.isNaN(Date.parse(layoutData.lastSavedAt)));
+});
+
+test('buildRestoredLayoutData keeps the live camera tours, lighting and annotations', () => {
+  const snapshotLayout = {
+    cameraTours: [{ id: 'old' }],
+    lighting: { preset: 'day' },
+    annotations: [{ id: 'old-note' }],
+  };
+  const liveLayout = { lighting: { preset: 'evening' }, annotations: [] };
+
+  const layoutData = buildRestoredLayoutData(snapshotLayout, liveLayout, {
+    bookedIds: new Set(),
+    restoredIds: new Set(),
+  });
+
+  assert.deepEqual(layoutData.lighting, { preset: 'evening' });
+  assert.deepEqual(layoutData.annotations, []);
+  // Tours the live design no longer has are not brought back
+  assert.equal('cameraTours' in layoutData, false);
+});
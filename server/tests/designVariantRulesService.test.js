@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { copyPlacementsMeta, summarizeDesignCapacity } = require('../services/designVariantRulesService');
+
+test('copyPlacementsMeta gives every placement and bundle a new ID', () => {
+  const placements = [{ id: 'table' }, { id: 'chair1' }, { id: 'chair2' }, { id: 'arch' }];
+  const sourceMeta = {
+    table: { bundleId: 'b1', role: 'primary', tableNumber: 4, serviceListingId: 'svc1' },
+    chair1: { bundleId: 'b1', role: 'child' },
+    chair2: { bundleId: 'b1', role: 'child' },
+  };
+
+  const { placementIdMap, placementsMeta } = copyPlacementsMeta(placements, sourceMeta);
+
+  assert.equal(placementIdMap.size, 4);
+  assert.equal(new Set(placementIdMap.values()).size, 4);
+  placementIdMap.forEach((newId, oldId) => assert.notEqual(newId, oldId));
+
+  const copiedTable = placementsMeta[placementIdMap.get('table')];
+  assert.deepEqual({ ...copiedTable, bundleId: 'b1' }, sourceMeta.table);
+  assert.notEqual(copiedTable.bundleId, 'b1');
+  assert.equal(placementsMeta[placementIdMap.get('chair1')].bundleId, copiedTable.bundleId);
+  assert.equal(placementsMeta[placementIdMap.get('chair2')].bundleId, copiedTable.bundleId);
+  // Placements without metadata get none in the copy
+  assert.equal(placementsMeta[placementIdMap.get('arch')], undefined);
+  assert.equal(Object.keys(placementsMeta).length, 3);
+});
+
+test('summarizeDesignCapacity adds loose chairs to the seats at tables', () => {
+  const tables = [
+    { id: 't1', capacity: 8 },
+    { id: 't2', capacity: 10 },
+    { id: 't3', capacity: null },
+  ];
+  const venueDesign = {
+    layoutData: {
+      placementsMeta: {
+        bundled: { bundleId: 'b1', role: 'child' },
+        bundlePrimary: { bundleId: 'b2', role: 'primary' },
+      },
+    },
+    placedElements: [
+      { id: 'loose', elementType: 'chair' },
+      { id: 'byName', designElement: { name: 'Ghost Chair' } },
+      { id: 'bundled', elementType: 'chair' },
+      { id: 'bundlePrimary', designElement: { elementType: 'chair' } },
+      { id: 'arch', designElement: { name: 'Floral Arch' } },
+    ],
+  };
+
+  assert.deepEqual(summarizeDesignCapacity(tables, venueDesign), {
+    tableCount: 3,
+    tableSeats: 18,
+    looseChairs: 3,
+    seatCapacity: 21,
+    tablesWithoutCapacity: 1,
+  });
+});
+
+test('summarizeDesignCapacity of an empty layout is zero', () => {
+  assert.deepEqual(summarizeDesignCapacity([], { layoutData: null }), {
+    tableCount: 0,
+    tableSeats: 0,
+    looseChairs: 0,
+    seatCapacity: 0,
+    tablesWithoutCapacity: 0,
+  });
+});
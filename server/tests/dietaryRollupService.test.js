@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isCateringBooking, buildDietaryReport, toDietaryReportCsv } = require('../services/dietaryRollupService');
+
+const guest = (fields) => ({
+  rsvpStatus: 'attending',
+  mealChoice: null,
+  plusOnesAttending: 0,
+  dietaryRequirements: [],
+  allergies: [],
+  tableId: null,
+  ...fields,
+});
+
+test('only bookings with a caterer get the dietary report', () => {
+  assert.equal(isCateringBooking({ selectedServices: [{ serviceListing: { category: 'Caterer' } }] }), true);
+  assert.equal(isCateringBooking({ selectedServices: [{ serviceListing: { category: 'Florist' } }] }), false);
+  assert.equal(isCateringBooking({}), false);
+});
+
+test('totals merge spellings and count plus-ones without a meal', () => {
+  const report = buildDietaryReport(
+    [
+      guest({ mealChoice: 'Fish', dietaryRequirements: ['Vegetarian'], allergies: ['Nuts'], plusOnesAttending: 1 }),
+      guest({ mealChoice: 'Fish', dietaryRequirements: ['vegetarian '], allergies: ['nuts', 'Shellfish'] }),
+      guest({ rsvpStatus: 'pending', mealChoice: 'Beef', allergies: ['Gluten'] }),
+    ],
+    []
+  );
+
+  assert.equal(report.pendingGuestCount, 1);
+  assert.deepEqual(report.totals, {
+    headcount: 3,
+    mealChoices: [
+      { label: 'Fish', count: 2 },
+      { label: 'Not specified', count: 1 },
+    ],
+    dietaryRequirements: [{ label: 'Vegetarian', count: 2 }],
+    allergies: [
+      { label: 'Nuts', count: 2 },
+      { label: 'Shellfish', count: 1 },
+    ],
+  });
+  // No seating yet, so no per-table or unseated groups
+  assert.deepEqual(report.tables, []);
+  assert.equal(report.unseated, null);
+});
+
+test('seated guests are rolled up per table and the rest as unseated', () => {
+  const tables = [
+    { id: 't1', tableNumber: 1, name: 'Round Table' },
+    { id: 't2', tableNumber: 2, name: 'Round Table' },
+  ];
+  const report = buildDietaryReport(
+    [guest({ mealChoice: 'Fish', tableId: 't1' }), guest({ mealChoice: 'Vegan', tableId: 'removed' })],
+    tables
+  );
+
+  assert.deepEqual(
+    report.tables.map((table) => [table.tableNumber, table.headcount]),
+    [[1, 1]]
+  );
+  assert.deepEqual(report.unseated.mealChoices, [{ label: 'Vegan', count: 1 }]);
+});
+
+test('the CSV has one row per item and neutralizes spreadsheet formulas', () => {
+  const report = buildDietaryReport([guest({ mealChoice: '=HYPERLINK("x")', allergies: ['Nuts, tree'] })], []);
+
+  assert.deepEqual(toDietaryReportCsv(report).split('\n'), [
+    'Group,Type,Item,Count',
+    'All guests,Headcount,,1',
+    'All guests,Meal,"\'=HYPERLINK(""x"")",1',
+    'All guests,Allergy,"Nuts, tree",1',
+    'Awaiting RSVP,Guests,,0',
+  ]);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MODEL_SCALE,
+  getFootprintExtents,
+  footprintsOverlap,
+  footprintGap,
+  findFootprintCollision,
+  describeCollision,
+} = require('../services/footprintService');
+
+// Elements whose models are drawn at the given size in meters
+const drawnAt = (name, width, depth) => ({ name, dimensions: { width: width / MODEL_SCALE, depth: depth / MODEL_SCALE } });
+
+const longTable = drawnAt('Long Table', 2, 1);
+const roundTable = drawnAt('Round Table', 1.5, 1.5);
+
+const assertNear = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const item = (designElement, x, z, rotation = 0, y = 0) => ({ designElement, position: { x, y, z }, rotation });
+
+test('getFootprintExtents halves the drawn size and treats a missing dimension as square', () => {
+  assert.deepEqual(getFootprintExtents({ dimensions: { width: 2, depth: 1 } }), { halfWidth: MODEL_SCALE, halfDepth: MODEL_SCALE / 2 });
+  assert.deepEqual(getFootprintExtents({ dimensions: { width: 3 } }), { halfWidth: 1.5 * MODEL_SCALE, halfDepth: 1.5 * MODEL_SCALE });
+  assert.deepEqual(getFootprintExtents({}), { halfWidth: 0.4, halfDepth: 0.4 });
+});
+
+test('rectangles overlap only when no axis separates them', () => {
+  assert.equal(footprintsOverlap(item(longTable, 0, 0), item(longTable, 1.5, 0)), true);
+  assert.equal(footprintsOverlap(item(longTable, 0, 0), item(longTable, 2.5, 0)), false);
+  // Side by side along their depth, 1.2 m apart centre to centre
+  assert.equal(footprintsOverlap(item(longTable, 0, 0), item(longTable, 0, 1.2)), false);
+  // Turned a quarter, the second table reaches 1 m along z and now overlaps
+  assert.equal(footprintsOverlap(item(longTable, 0, 0), item(longTable, 0, 1.2, 90)), true);
+});
+
+test('items standing flush against each other do not overlap', () => {
+  assert.equal(footprintsOverlap(item(longTable, 0, 0), item(longTable, 2, 0)), false);
+});
+
+test('round items are circles', () => {
+  // The bounding squares would overlap at the corners; the circles don't
+  assert.equal(footprintsOverlap(item(roundTable, 0, 0), item(roundTable, 1.1, 1.1)), false);
+  assert.equal(footprintsOverlap(item(roundTable, 0, 0), item(roundTable, 1.4, 0)), true);
+  // Circle against rectangle: measured to the rectangle's nearest edge
+  assert.equal(footprintsOverlap(item(roundTable, 0, 0), item(longTable, 1.6, 0)), true);
+  assert.equal(footprintsOverlap(item(roundTable, 0, 0), item(longTable, 1.8, 0)), false);
+});
+
+test('stacked items never collide with floor items', () => {
+  assert.equal(footprintsOverlap(item(longTable, 0, 0), item(longTable, 0, 0, 0, 0.75)), false);
+});
+
+test('footprintGap measures free floor between rotated footprints', () => {
+  assertNear(footprintGap(item(longTable, 0, 0), item(longTable, 3, 0)), 1);
+  assert.equal(footprintGap(item(longTable, 0, 0), item(longTable, 1, 0)), 0);
+  assertNear(footprintGap(item(longTable, 0, 0), item(longTable, 2.5, 0, 90)), 1);
+  assertNear(footprintGap(item(roundTable, 0, 0), item(roundTable, 3, 0)), 1.5);
+});
+
+test('footprintGap is 0 for rectangles crossing with no corner inside each other', () => {
+  const banquetTable = drawnAt('Banquet Table', 6, 0.8);
+  assert.equal(footprintGap(item(banquetTable, 0, 0), item(banquetTable, 0, 0, 90)), 0);
+  // Both turned a quarter, so their 1 m depths face each other across 3 m
+  assertNear(footprintGap(item(longTable, 0, 0, 90), item(longTable, 3, 0, 90)), 2);
+});
+
+test('findFootprintCollision reports moves and new items landing on something', () => {
+  const placements = [
+    { id: 'a', ...item(longTable, 0, 0) },
+    { id: 'b', ...item(longTable, 5, 0) },
+  ];
+
+  const move = { placement: placements[1], position: { x: 1, y: 0, z: 0 }, rotation: 0 };
+  assert.deepEqual(findFootprintCollision([move], placements), { placement: placements[1], other: placements[0] });
+
+  const added = { placement: { designElement: roundTable }, position: { x: 5, y: 0, z: 0.5 }, rotation: 0 };
+  assert.equal(findFootprintCollision([added], placements).other, placements[1]);
+
+  const clear = { placement: placements[1], position: { x: 3, y: 0, z: 0 }, rotation: 0 };
+  assert.equal(findFootprintCollision([clear], placements), null);
+});
+
+test('findFootprintCollision ignores pairs that already overlapped', () => {
+  const placements = [
+    { id: 'a', ...item(longTable, 0, 0) },
+    { id: 'b', ...item(longTable, 1, 0) },
+  ];
+  const nudge = { placement: placements[1], position: { x: 1.2, y: 0, z: 0 }, rotation: 0 };
+  assert.equal(findFootprintCollision([nudge], placements), null);
+});
+
+test('describeCollision names both items', () => {
+  const collision = { placement: { designElement: longTable }, other: { designElement: roundTable } };
+  assert.equal(describeCollision(collision), 'Long Table would overlap Round Table. Move it to a free spot.');
+  assert.equal(describeCollision({ placement: {}, other: {} }), 'The element would overlap another element. Move it to a free spot.');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getHeadcountQuantity, getSyncedHeadcountQuantity } = require('../utils/headcountQuantityCalculator');
+
+test('rounds up to whole units of guestsPerUnit', () => {
+  assert.equal(getHeadcountQuantity({ guestsPerUnit: 8 }, 16), 2);
+  assert.equal(getHeadcountQuantity({ guestsPerUnit: 8 }, 17), 3);
+  assert.equal(getHeadcountQuantity({ guestsPerUnit: 8 }, 1), 1);
+});
+
+test('counts one unit per guest when guestsPerUnit is missing or invalid', () => {
+  assert.equal(getHeadcountQuantity({}, 42), 42);
+  assert.equal(getHeadcountQuantity({ guestsPerUnit: 0 }, 42), 42);
+  assert.equal(getHeadcountQuantity({ guestsPerUnit: -5 }, 42), 42);
+});
+
+test('needs nothing without confirmed guests', () => {
+  assert.equal(getHeadcountQuantity({ guestsPerUnit: 10 }, 0), 0);
+  assert.equal(getHeadcountQuantity({ guestsPerUnit: 10 }, -3), 0);
+});
+
+test('a headcount change keeps the quantity the couple last reviewed', () => {
+  const tables = { guestsPerUnit: 10 };
+  assert.deepEqual(getSyncedHeadcountQuantity({ quantity: 8, previousQuantity: null }, tables, 95), {
+    quantity: 10,
+    previousQuantity: 8,
+  });
+  // A second change before review still compares against the first baseline
+  assert.deepEqual(getSyncedHeadcountQuantity({ quantity: 10, previousQuantity: 8 }, tables, 110), {
+    quantity: 11,
+    previousQuantity: 8,
+  });
+});
+
+test('the baseline clears once the quantity is back where it was', () => {
+  const tables = { guestsPerUnit: 10 };
+  assert.deepEqual(getSyncedHeadcountQuantity({ quantity: 10, previousQuantity: 8 }, tables, 75), {
+    quantity: 8,
+    previousQuantity: null,
+  });
+  assert.deepEqual(getSyncedHeadcountQuantity({ quantity: 8, previousQuantity: null }, tables, 80), {
+    quantity: 8,
+    previousQuantity: null,
+  });
+});
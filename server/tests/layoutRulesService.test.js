@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LAYOUT_RULES, validateLayout } = require('../services/layoutRulesService');
+const { buildVenueLayout } = require('../services/venueLayoutService');
+const { MODEL_SCALE } = require('../services/footprintService');
+
+// Elements whose models are drawn at the given size in meters
+const drawnAt = (name, width, depth, elementType) => ({
+  name,
+  elementType,
+  dimensions: { width: width / MODEL_SCALE, depth: depth / MODEL_SCALE },
+});
+
+const longTable = drawnAt('Long Table', 2, 1, 'table');
+const bar = drawnAt('Bar', 2, 1);
+const chair = drawnAt('Chair', 0.5, 0.5, 'chair');
+const door = drawnAt('Main Entrance', 1, 0.2);
+const stage = drawnAt('Stage', 4, 2);
+
+let nextId = 0;
+const place = (designElement, x, z, extra = {}) => {
+  nextId += 1;
+  return { id: `p${nextId}`, designElement, position: { x, y: 0, z }, rotation: 0, parentElementId: null, ...extra };
+};
+
+const rulesOf = (report) => report.violations.map((violation) => `${violation.severity}:${violation.rule}`);
+
+test('a roomy layout is valid', () => {
+  const report = validateLayout({
+    placements: [place(longTable, 0, 0), place(longTable, 0, 3), place(chair, 0, 0.8)],
+    capacity: { tableCount: 2, seatCapacity: 16 },
+    confirmedHeadcount: 12,
+    maxOccupancy: 100,
+  });
+
+  assert.deepEqual(report.violations, []);
+  assert.equal(report.valid, true);
+  assert.equal(report.seatCapacity, 16);
+  assert.equal(report.rules, LAYOUT_RULES);
+});
+
+test('narrow walkways block checkout, counting the room seated guests take at tables', () => {
+  // 1.5 m apart, less 0.45 m of seated guests on each side
+  const tables = validateLayout({ placements: [place(longTable, 0, 0), place(longTable, 0, 2.5)], capacity: {} });
+  assert.deepEqual(rulesOf(tables), ['hard:aisle_width']);
+  assert.equal(tables.valid, false);
+  assert.equal(tables.violations[0].message, 'Only 0.6 m of walkway between Long Table and Long Table (1 m required)');
+  assert.deepEqual(tables.violations[0].position, { x: 0, z: 1.25 });
+
+  // The same gap between two bars is wide enough
+  assert.deepEqual(rulesOf(validateLayout({ placements: [place(bar, 0, 0), place(bar, 0, 2.5)], capacity: {} })), []);
+});
+
+test('tight spacing away from tables is only advice', () => {
+  const report = validateLayout({ placements: [place(bar, 0, 0), place(bar, 0, 1.5)], capacity: {} });
+  assert.deepEqual(rulesOf(report), ['soft:aisle_width']);
+  assert.equal(report.valid, true);
+  assert.equal(report.violations[0].message, 'Only 0.5 m of walkway between Bar and Bar (1 m recommended)');
+});
+
+test('items pushed together and chairs do not count as walkways', () => {
+  const report = validateLayout({
+    placements: [place(bar, 0, 0), place(bar, 2.05, 0), place(longTable, 0, 3.5), place(chair, 0, 2.7)],
+    capacity: {},
+  });
+  assert.deepEqual(report.violations, []);
+});
+
+test('stacked items are left out of floor checks', () => {
+  const report = validateLayout({
+    placements: [place(longTable, 0, 0), place(longTable, 0, 1.5, { parentElementId: 'p0' })],
+    capacity: {},
+  });
+  assert.deepEqual(report.violations, []);
+});
+
+test('doors need clearance and stages get advice', () => {
+  const entrance = place(door, 0, 0);
+  const stageItem = place(stage, 10, 0);
+  const nearDoor = place(bar, 0, 1.5);
+  const nearStage = place(bar, 10, 1.8);
+  const report = validateLayout({ placements: [entrance, stageItem, nearDoor, nearStage], capacity: {} });
+
+  assert.deepEqual(rulesOf(report), ['hard:door_clearance', 'soft:stage_clearance']);
+  assert.deepEqual(report.violations[0].elementIds, [entrance.id, nearDoor.id]);
+  assert.equal(report.violations[1].message, '1 item within 1 m of Stage');
+  assert.equal(report.hardCount, 1);
+  assert.equal(report.softCount, 1);
+});
+
+test('the doorways of the venue floorplan need clearance too', () => {
+  const venueLayout = buildVenueLayout({
+    modelFrame: { offsetX: 0, offsetZ: 0, bounds: { minX: -10, maxX: 10, minY: 0, maxY: 3, minZ: -10, maxZ: 10 } },
+    points: [
+      { id: 'a', x: 0, y: 0 },
+      { id: 'b', x: 200, y: 0 },
+    ],
+    walls: [{ id: 'front', startPointId: 'a', endPointId: 'b' }],
+    doors: [{ id: 'door', wallId: 'front', offset: 100, width: 20, height: 2 }],
+  });
+  const nearDoor = place(bar, 5, 1.5);
+  const report = validateLayout({ placements: [nearDoor, place(bar, 5, 4)], capacity: {}, venueLayout });
+
+  assert.deepEqual(rulesOf(report), ['hard:door_clearance']);
+  assert.deepEqual(report.violations[0].elementIds, [nearDoor.id]);
+  assert.equal(report.violations[0].id, 'door_clearance:door');
+  assert.deepEqual(report.violations[0].position, { x: 5, z: 0 });
+});
+
+test('items in the venue walls or columns block checkout', () => {
+  const venueLayout = buildVenueLayout({
+    modelFrame: { offsetX: 0, offsetZ: 0, bounds: { minX: -10, maxX: 10, minY: 0, maxY: 3, minZ: -10, maxZ: 10 } },
+    points: [],
+    walls: [],
+    columns: [{ id: 'col', x: 100, y: 100, size: 12, shape: 'square' }],
+  });
+  const report = validateLayout({ placements: [place(chair, 5, 5)], capacity: {}, venueLayout });
+
+  assert.deepEqual(rulesOf(report), ['hard:venue_obstacle']);
+  assert.equal(report.violations[0].message, 'Chair is placed on a column');
+});
+
+test('seats and guests are checked against the venue occupancy', () => {
+  const tables = [place(longTable, 0, 0), place(longTable, 0, 4)];
+  const overSeated = validateLayout({
+    placements: tables,
+    capacity: { tableCount: 2, seatCapacity: 20 },
+    confirmedHeadcount: 18,
+    maxOccupancy: 16,
+  });
+  assert.deepEqual(rulesOf(overSeated), ['hard:max_occupancy', 'hard:guest_occupancy']);
+  assert.deepEqual(overSeated.violations[0].elementIds, tables.map((table) => table.id));
+
+  const shortOfSeats = validateLayout({
+    placements: tables,
+    capacity: { tableCount: 2, seatCapacity: 16 },
+    confirmedHeadcount: 17,
+  });
+  assert.deepEqual(rulesOf(shortOfSeats), ['soft:seat_shortfall']);
+  assert.equal(shortOfSeats.violations[0].message, '1 confirmed guest without a seat');
+  assert.equal(shortOfSeats.valid, true);
+  assert.equal(shortOfSeats.maxOccupancy, null);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildGridSlots,
+  buildCircleSlots,
+  buildChairsAroundTableSlots,
+  partitionOccupiedSlots,
+} = require('../services/placementPatternService');
+const { MODEL_SCALE } = require('../services/footprintService');
+const { buildVenueLayout } = require('../services/venueLayoutService');
+
+// Elements whose models are drawn at the given size in meters
+const drawnAt = (name, width, depth) => ({ name, dimensions: { width: width / MODEL_SCALE, depth: depth / MODEL_SCALE } });
+
+const longTable = drawnAt('Long Table', 2, 1);
+const roundTable = drawnAt('Round Table', 1.5, 1.5);
+const chair = drawnAt('Chair', 0.5, 0.5);
+
+const origin = { x: 0, y: 0, z: 0 };
+const spots = (slots) => slots.map(({ position, rotation }) => [position.x, position.z, rotation]);
+
+test('grids are centred on the chosen point and turn with it', () => {
+  const slots = buildGridSlots({ center: origin, rows: 2, columns: 3, spacingX: 2, spacingZ: 3 });
+  assert.deepEqual(spots(slots), [
+    [-2, -1.5, 0],
+    [0, -1.5, 0],
+    [2, -1.5, 0],
+    [-2, 1.5, 0],
+    [0, 1.5, 0],
+    [2, 1.5, 0],
+  ]);
+
+  const turned = buildGridSlots({ center: origin, rows: 1, columns: 2, spacingX: 2, spacingZ: 2, rotation: -270 });
+  assert.deepEqual(spots(turned), [
+    [0, 1, 90],
+    [0, -1, 90],
+  ]);
+});
+
+test('circles face their centre, away from it, or keep a fixed rotation', () => {
+  const facingIn = buildCircleSlots({ center: origin, count: 4, radius: 2 });
+  assert.deepEqual(spots(facingIn), [
+    [0, 2, 180],
+    [2, 0, 270],
+    [0, -2, 0],
+    [-2, 0, 90],
+  ]);
+
+  const facingOut = buildCircleSlots({ center: origin, count: 2, radius: 2, facing: 'outward' });
+  assert.deepEqual(spots(facingOut), [
+    [0, 2, 0],
+    [0, -2, 180],
+  ]);
+
+  const fixed = buildCircleSlots({ center: origin, count: 2, radius: 1, facing: 'fixed', rotation: 45 });
+  assert.deepEqual(fixed.map((slot) => slot.rotation), [45, 45]);
+});
+
+test('chairs ring a round table just clear of its edge', () => {
+  const table = { position: origin, rotation: 0, designElement: roundTable };
+  // 0.75 m table radius, 5 cm gap and 0.25 m of chair
+  assert.deepEqual(spots(buildChairsAroundTableSlots(table, chair, 4)), [
+    [0, 1.05, 180],
+    [1.05, 0, 270],
+    [0, -1.05, 0],
+    [-1.05, 0, 90],
+  ]);
+});
+
+test('chairs go along the long sides of a rectangular table first, then its ends', () => {
+  const table = { position: origin, rotation: 0, designElement: longTable };
+  assert.deepEqual(spots(buildChairsAroundTableSlots(table, chair, 6)), [
+    [-0.5, 0.8, 180],
+    [0.5, 0.8, 180],
+    [-0.5, -0.8, 0],
+    [0.5, -0.8, 0],
+    [1.3, 0, 270],
+    [-1.3, 0, 90],
+  ]);
+});
+
+test('slots on existing floor items or venue columns are set aside', () => {
+  const venueLayout = buildVenueLayout({
+    modelFrame: { offsetX: 0, offsetZ: 0, bounds: { minX: -10, maxX: 10, minY: 0, maxY: 3, minZ: -10, maxZ: 10 } },
+    points: [],
+    walls: [],
+    columns: [{ id: 'col', x: 100, y: 100, size: 12, shape: 'square' }],
+  });
+  const placements = [
+    { designElement: longTable, position: { x: 0, y: 0, z: 0 }, rotation: 0 },
+    // A centrepiece on top of another table is no obstacle on the floor
+    { designElement: chair, position: { x: 3, y: 0.75, z: 0 }, rotation: 0 },
+  ];
+  const slots = [
+    { position: { x: 0, y: 0, z: 0.5 }, rotation: 0 },
+    { position: { x: 3, y: 0, z: 0 }, rotation: 0 },
+    { position: { x: 5, y: 0, z: 5 }, rotation: 0 },
+  ];
+
+  const { free, occupied } = partitionOccupiedSlots(slots, chair, placements, venueLayout);
+  assert.deepEqual(free, [slots[1]]);
+  assert.deepEqual(occupied, [slots[0], slots[2]]);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRsvpClosedReason, findRsvpResponseError, summarizeRsvps } = require('../services/rsvpRulesService');
+
+const now = new Date(2026, 5, 10, 12);
+
+test('RSVPs stay open through the whole deadline day', () => {
+  assert.equal(getRsvpClosedReason({ status: 'draft', rsvpDeadline: new Date(2026, 5, 10) }, now), null);
+  assert.equal(
+    getRsvpClosedReason({ status: 'draft', rsvpDeadline: new Date(2026, 5, 9) }, now),
+    'The RSVP deadline has passed. Please contact the couple directly.'
+  );
+});
+
+test('RSVPs close after the wedding or once the project is completed', () => {
+  assert.equal(getRsvpClosedReason({ status: 'draft', weddingDate: new Date(2026, 5, 10) }, now), null);
+  assert.equal(
+    getRsvpClosedReason({ status: 'draft', weddingDate: new Date(2026, 5, 9) }, now),
+    'This event has already taken place'
+  );
+  assert.equal(getRsvpClosedReason({ status: 'completed' }, now), 'This event has already taken place');
+});
+
+const household = [
+  { id: 'g1', name: 'Alex', plusOneAllowance: 1 },
+  { id: 'g2', name: 'Sam', plusOneAllowance: 0 },
+];
+
+test('responses are checked against the household and its plus-one allowance', () => {
+  assert.equal(
+    findRsvpResponseError(
+      [
+        { guestId: 'g1', rsvpStatus: 'attending', plusOnesAttending: 1 },
+        { guestId: 'g2', rsvpStatus: 'declined' },
+      ],
+      household
+    ),
+    null
+  );
+  assert.equal(
+    findRsvpResponseError([{ guestId: 'g3', rsvpStatus: 'declined' }], household),
+    'Guest is not part of this invitation'
+  );
+  assert.equal(
+    findRsvpResponseError([{ guestId: 'g2', rsvpStatus: 'attending', plusOnesAttending: 1 }], household),
+    'Sam may bring at most 0 additional guest(s)'
+  );
+});
+
+test('attending guests pick one of the couple\'s meals when meals are asked for', () => {
+  const meals = ['Fish', 'Vegetarian'];
+  assert.equal(
+    findRsvpResponseError([{ guestId: 'g1', rsvpStatus: 'attending' }], household, meals),
+    'Please choose a meal for Alex'
+  );
+  assert.equal(
+    findRsvpResponseError([{ guestId: 'g1', rsvpStatus: 'attending', mealChoice: 'Beef' }], household, meals),
+    'Invalid meal choice for Alex'
+  );
+  // Declining needs no meal
+  assert.equal(findRsvpResponseError([{ guestId: 'g1', rsvpStatus: 'declined' }], household, meals), null);
+});
+
+test('the summary counts plus-ones and meals of attending guests only', () => {
+  const summary = summarizeRsvps([
+    { rsvpStatus: 'attending', mealChoice: 'Fish', plusOneAllowance: 2, plusOnesAttending: 2, invitationId: 'i1' },
+    { rsvpStatus: 'attending', mealChoice: null, plusOneAllowance: 0, plusOnesAttending: 0, invitationId: 'i1' },
+    { rsvpStatus: 'declined', mealChoice: 'Fish', plusOneAllowance: 1, plusOnesAttending: 1, invitationId: 'i2' },
+    { rsvpStatus: 'pending', mealChoice: null, plusOneAllowance: 0, plusOnesAttending: 0, invitationId: null },
+  ]);
+
+  assert.deepEqual(summary, {
+    totalGuests: 4,
+    invitedGuests: 3,
+    pending: 1,
+    attending: 2,
+    declined: 1,
+    plusOnesAttending: 2,
+    confirmedHeadcount: 4,
+    maxHeadcount: 7,
+    mealChoices: { Fish: 1, 'Not specified': 1 },
+  });
+});
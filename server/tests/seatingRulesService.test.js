@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getSeatsNeeded,
+  numberTables,
+  mergeClientPlacementsMeta,
+  buildSeatingPlan,
+} = require('../services/seatingRulesService');
+
+const table = (id) => ({ id, elementType: 'table' });
+
+test('guests hold seats for the plus-ones they may still bring', () => {
+  assert.equal(getSeatsNeeded({ rsvpStatus: 'pending', plusOneAllowance: 2 }), 3);
+  assert.equal(getSeatsNeeded({ rsvpStatus: 'attending', plusOneAllowance: 2, plusOnesAttending: 1 }), 2);
+  assert.equal(getSeatsNeeded({ rsvpStatus: 'declined', plusOneAllowance: 2 }), 0);
+});
+
+test('numberTables gives new tables the lowest free numbers and leaves other items alone', () => {
+  const meta = { t1: { tableNumber: 1 }, t3: { tableNumber: 3 } };
+  const chair = { id: 'c1', designElement: { name: 'Chiavari Chair' } };
+  const roundTable = { id: 'r1', designElement: { name: 'Round Table' } };
+
+  numberTables(meta, [table('t1'), table('t3'), chair], [table('new'), roundTable]);
+
+  assert.equal(meta.new.tableNumber, 2);
+  assert.equal(meta.r1.tableNumber, 4);
+  assert.equal(meta.c1, undefined);
+});
+
+test('numberTables lets the table already in the design keep a number claimed twice', () => {
+  const meta = { t1: { tableNumber: 1 }, copy: { tableNumber: 1, serviceListingId: 'l1' } };
+
+  numberTables(meta, [table('t1')], [table('copy')]);
+
+  assert.equal(meta.t1.tableNumber, 1);
+  assert.deepEqual(meta.copy, { tableNumber: 2, serviceListingId: 'l1' });
+});
+
+test('a saved copy of the placement metadata cannot change table numbers or add placements', () => {
+  const stored = { t1: { tableNumber: 4, serviceListingId: 'l1' } };
+  const merged = mergeClientPlacementsMeta(stored, {
+    t1: { tableNumber: 1, groupId: 'g1' },
+    gone: { tableNumber: 2 },
+  });
+
+  assert.deepEqual(merged, { t1: { tableNumber: 4, serviceListingId: 'l1', groupId: 'g1' } });
+  assert.deepEqual(stored.t1, { tableNumber: 4, serviceListingId: 'l1' });
+});
+
+test('buildSeatingPlan adds up seats per table and warns about full tables and unseated guests', () => {
+  const tables = [
+    { id: 't1', tableNumber: 1, capacity: 2 },
+    { id: 't2', tableNumber: 2, capacity: null },
+  ];
+  const guests = [
+    { id: 'a', rsvpStatus: 'attending', plusOnesAttending: 1, tableId: 't1' },
+    { id: 'b', rsvpStatus: 'pending', plusOneAllowance: 0, tableId: 't1' },
+    { id: 'c', rsvpStatus: 'pending', plusOneAllowance: 1, tableId: 'removed' },
+    { id: 'd', rsvpStatus: 'declined', tableId: null },
+  ];
+
+  const plan = buildSeatingPlan(tables, guests);
+
+  assert.deepEqual(
+    plan.tables.map(({ id, guestIds, seatsUsed, isOverCapacity }) => ({ id, guestIds, seatsUsed, isOverCapacity })),
+    [
+      { id: 't1', guestIds: ['a', 'b'], seatsUsed: 3, isOverCapacity: true },
+      { id: 't2', guestIds: [], seatsUsed: 0, isOverCapacity: false },
+    ]
+  );
+  // A table that is gone counts as no table
+  assert.equal(plan.guests[2].tableId, null);
+  assert.deepEqual(plan.warnings, { overCapacityTableIds: ['t1'], unseatedGuestCount: 1, unseatedSeatCount: 2 });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findStackingError } = require('../services/stackingService');
+
+const table = {
+  id: 'table',
+  parentElementId: null,
+  designElement: { name: 'Table', canHostChildren: true, hostChildTypes: ['centerpiece', 'Candle'], maxChildren: 2 },
+};
+const vase = {
+  id: 'vase',
+  parentElementId: null,
+  elementType: 'centerpiece',
+  designElement: { name: 'Vase', isStackable: true },
+};
+const candle = {
+  id: 'candle',
+  parentElementId: null,
+  designElement: { name: 'Candle', isStackable: true, elementType: 'candle' },
+};
+const lantern = {
+  id: 'lantern',
+  parentElementId: 'table',
+  elementType: 'centerpiece',
+  designElement: { name: 'Lantern', isStackable: true },
+};
+const chair = { id: 'chair', parentElementId: null, designElement: { name: 'Chair', elementType: 'chair' } };
+const tray = {
+  id: 'tray',
+  parentElementId: null,
+  designElement: { name: 'Tray', isStackable: true, canHostChildren: true, elementType: 'centerpiece' },
+};
+
+test('accepts a stackable child on a host that takes its type', () => {
+  assert.equal(findStackingError([{ id: 'vase', parentElementId: 'table' }], [table, vase]), null);
+  // Accepted types are matched without regard to case
+  assert.equal(findStackingError([{ id: 'candle', parentElementId: 'table' }], [table, candle]), null);
+});
+
+test('rejects children that are not stackable or hosts that hold nothing', () => {
+  assert.equal(
+    findStackingError([{ id: 'chair', parentElementId: 'table' }], [table, chair]).message,
+    "Chair can't be placed on top of other items."
+  );
+  assert.equal(
+    findStackingError([{ id: 'vase', parentElementId: 'chair' }], [chair, vase]).message,
+    "Chair can't hold other items."
+  );
+});
+
+test('rejects child types the host does not list', () => {
+  const candleStand = { ...table, designElement: { ...table.designElement, hostChildTypes: ['candle'] } };
+  const error = findStackingError([{ id: 'tray', parentElementId: 'table' }], [candleStand, tray]);
+  assert.equal(error.message, 'Table only holds candle.');
+});
+
+test('rejects a missing parent', () => {
+  const error = findStackingError([{ id: 'vase', parentElementId: 'gone' }], [vase]);
+  assert.deepEqual(error, { placement: vase, parent: null, message: 'Parent element not found' });
+});
+
+test('rejects loops, including ones made by the same batch of updates', () => {
+  const trayOnSecondTray = { ...tray, parentElementId: 'tray2' };
+  const secondTray = { ...tray, id: 'tray2' };
+  assert.equal(
+    findStackingError([{ id: 'tray2', parentElementId: 'tray' }], [trayOnSecondTray, secondTray]).message,
+    "Tray can't be placed on an item it holds."
+  );
+  assert.equal(
+    findStackingError(
+      [
+        { id: 'tray', parentElementId: 'tray2' },
+        { id: 'tray2', parentElementId: 'tray' },
+      ],
+      [tray, secondTray]
+    ).message,
+    "Tray can't be placed on an item it holds."
+  );
+  assert.equal(findStackingError([{ id: 'tray', parentElementId: 'tray' }], [tray]).message, "Tray can't be placed on an item it holds.");
+});
+
+test('enforces maxChildren counting children already on the host', () => {
+  const updates = [
+    { id: 'vase', parentElementId: 'table' },
+    { id: 'candle', parentElementId: 'table' },
+  ];
+  const error = findStackingError(updates, [table, lantern, vase, candle]);
+  assert.equal(error.message, 'Table holds at most 2 items.');
+
+  // Moving the lantern off the table in the same batch frees its spot
+  assert.equal(findStackingError([...updates, { id: 'lantern', parentElementId: null }], [table, lantern, vase, candle]), null);
+});
+
+test('leaves existing links alone so older layouts can still be edited', () => {
+  const legacyChair = { ...chair, parentElementId: 'table' };
+  assert.equal(findStackingError([{ id: 'chair', parentElementId: 'table' }], [table, legacyChair]), null);
+});
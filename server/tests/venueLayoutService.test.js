@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildVenueLayout,
+  getZoneGap,
+  findLayoutViolation,
+  findMoveLayoutViolation,
+  describeLayoutViolation,
+} = require('../services/venueLayoutService');
+
+// A frame the designer neither scales nor shifts, so world meters are editor pixels / 20
+const IDENTITY_FRAME = {
+  offsetX: 0,
+  offsetZ: 0,
+  bounds: { minX: -10, maxX: 10, minY: 0, maxY: 3, minZ: -10, maxZ: 10 },
+};
+
+// A 10 m x 8 m hall with a round column in the middle and a 4 m x 1 m stage at the back
+const hall = (overrides = {}) => ({
+  modelFrame: IDENTITY_FRAME,
+  points: [
+    { id: 'a', x: 0, y: 0 },
+    { id: 'b', x: 200, y: 0 },
+    { id: 'c', x: 200, y: 160 },
+    { id: 'd', x: 0, y: 160 },
+  ],
+  walls: [
+    { id: 'w1', startPointId: 'a', endPointId: 'b' },
+    { id: 'w2', startPointId: 'b', endPointId: 'c' },
+    { id: 'w3', startPointId: 'c', endPointId: 'd' },
+    { id: 'w4', startPointId: 'd', endPointId: 'a' },
+  ],
+  columns: [{ id: 'col', x: 100, y: 80, size: 12, shape: 'round' }],
+  stages: [{ id: 'stage', x: 100, y: 140, width: 80, depth: 20 }],
+  floorZones: [
+    { id: 'dais', kind: 'platform', points: [{ x: 20, y: 20 }, { x: 40, y: 20 }, { x: 40, y: 40 }] },
+    { id: 'gallery', kind: 'mezzanine', points: [{ x: 120, y: 20 }, { x: 180, y: 20 }, { x: 180, y: 60 }] },
+  ],
+  ...overrides,
+});
+
+const chair = { name: 'Chair', dimensions: { width: 0.5, depth: 0.5 } };
+const at = (x, z, y = 0) => ({ designElement: chair, position: { x, y, z }, rotation: 0 });
+
+test('buildVenueLayout needs a floorplan exported with its model frame', () => {
+  assert.equal(buildVenueLayout(null), null);
+  assert.equal(buildVenueLayout({ points: [], walls: [] }), null);
+  const flatFrame = { offsetX: 0, offsetZ: 0, bounds: { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 } };
+  assert.equal(buildVenueLayout(hall({ modelFrame: flatFrame })), null);
+});
+
+test('buildVenueLayout maps the room outline and obstacles to world meters', () => {
+  const layout = buildVenueLayout(hall());
+
+  assert.deepEqual(layout.floor, [
+    { x: 0, z: 0 },
+    { x: 10, z: 0 },
+    { x: 10, z: 8 },
+    { x: 0, z: 8 },
+  ]);
+  const kinds = layout.obstacles.map((obstacle) => `${obstacle.kind}:${obstacle.id}`);
+  assert.deepEqual(kinds, ['wall:w1', 'wall:w2', 'wall:w3', 'wall:w4', 'column:col', 'stage:stage', 'platform:dais']);
+});
+
+test('buildVenueLayout follows the designer scaling oversized models down', () => {
+  const frame = { offsetX: 1, offsetZ: 2, bounds: { minX: 0, maxX: 160, minY: 0, maxY: 10, minZ: 0, maxZ: 100 } };
+  const layout = buildVenueLayout(hall({ modelFrame: frame }));
+
+  // 160 m long, so scaled by 80 / 160 about the origin after centring on (80, 50)
+  assert.deepEqual(layout.floor[0], { x: 0.5 * 1 - 80, z: 0.5 * 2 - 50 });
+  assert.deepEqual(layout.floor[2], { x: 0.5 * 11 - 80, z: 0.5 * 10 - 50 });
+});
+
+test('buildVenueLayout leaves the floor open when the walls do not close', () => {
+  const layout = buildVenueLayout(hall({ walls: hall().walls.slice(0, 3) }));
+  assert.equal(layout.floor, null);
+  assert.equal(findLayoutViolation(layout, at(-5, 4)), null);
+});
+
+test('curved walls are followed piece by piece', () => {
+  const walls = hall().walls.map((wall) => (wall.id === 'w1' ? { ...wall, bulge: 40 } : wall));
+  const layout = buildVenueLayout(hall({ walls }));
+
+  assert.ok(layout.obstacles.filter((obstacle) => obstacle.id === 'w1').length > 2);
+  assert.ok(layout.floor.length > 4);
+  // The wall bows out 2 m, so the bay beyond the straight line is floor
+  assert.equal(findLayoutViolation(layout, at(5, -1)), null);
+});
+
+test('buildVenueLayout places doorways along their wall', () => {
+  // 1 m wide, 5 m along the front wall
+  const layout = buildVenueLayout(hall({ doors: [{ id: 'door', wallId: 'w1', offset: 100, width: 20, height: 2 }] }));
+  const [doorway] = layout.doors;
+
+  assert.equal(doorway.id, 'door');
+  assert.deepEqual(doorway.center, { x: 5, z: 0 });
+  assert.equal(Math.round(getZoneGap(doorway.polygon, at(5, 1)) * 100) / 100, 0.47);
+  assert.equal(getZoneGap(doorway.polygon, at(5, 0)), 0);
+  assert.deepEqual(buildVenueLayout(hall({ doors: [{ id: 'lost', wallId: 'gone', offset: 0, width: 20 }] })).doors, []);
+});
+
+test('findLayoutViolation finds the obstacle an item stands on', () => {
+  const layout = buildVenueLayout(hall());
+
+  assert.equal(findLayoutViolation(layout, at(3, 3)), null);
+  assert.deepEqual(findLayoutViolation(layout, at(5, 4)), { kind: 'column', id: 'col' });
+  assert.deepEqual(findLayoutViolation(layout, at(0.2, 4)), { kind: 'wall', id: 'w4' });
+  assert.deepEqual(findLayoutViolation(layout, at(6, 7)), { kind: 'stage', id: 'stage' });
+  assert.deepEqual(findLayoutViolation(layout, at(1.5, 1.5)), { kind: 'platform', id: 'dais' });
+  // Under the mezzanine is open floor
+  assert.equal(findLayoutViolation(layout, at(8, 1.5)), null);
+  assert.deepEqual(findLayoutViolation(layout, at(-3, 4)), { kind: 'outside' });
+});
+
+test('findLayoutViolation ignores stacked items and venues without a layout', () => {
+  assert.equal(findLayoutViolation(buildVenueLayout(hall()), at(5, 4, 0.75)), null);
+  assert.equal(findLayoutViolation(null, at(5, 4)), null);
+});
+
+test('findMoveLayoutViolation lets items already in a no-go zone be moved', () => {
+  const layout = buildVenueLayout(hall());
+  const onColumn = { id: 'p1', ...at(5, 4) };
+  const free = { id: 'p2', ...at(3, 3) };
+
+  const blocked = findMoveLayoutViolation(layout, [{ placement: free, position: { x: 5, y: 0, z: 4 } }]);
+  assert.deepEqual(blocked, { placement: free, violation: { kind: 'column', id: 'col' } });
+  assert.equal(findMoveLayoutViolation(layout, [{ placement: onColumn, position: { x: 5.1, y: 0, z: 4 } }]), null);
+
+  // New items have no id and are always checked
+  const added = { designElement: chair };
+  const onStage = [{ placement: added, position: { x: 6, y: 0, z: 7 } }];
+  assert.equal(findMoveLayoutViolation(layout, onStage).violation.kind, 'stage');
+  assert.equal(findMoveLayoutViolation(null, onStage), null);
+});
+
+test('describeLayoutViolation explains where the item would end up', () => {
+  assert.equal(
+    describeLayoutViolation({ placement: { designElement: chair }, violation: { kind: 'outside' } }),
+    "Chair can't be placed outside the venue floor. Move it to open floor."
+  );
+  assert.equal(
+    describeLayoutViolation({ placement: {}, violation: { kind: 'column' } }),
+    "The element can't be placed on a column. Move it to open floor."
+  );
+});
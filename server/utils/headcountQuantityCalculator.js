@@ -0,0 +1,41 @@
+/**
+ * Headcount Quantity Calculation
+ *
+ * Quantities of listings that follow the guest headcount (e.g. catering per head,
+ * favors per guest, tables per 10 guests). Kept free of database access;
+ * headcountQuantityService applies them to a project's services.
+ */
+
+/**
+ * Quantity a headcount-driven listing needs for a given number of confirmed guests
+ * @param {Object} serviceListing - ServiceListing with guestsPerUnit
+ * @param {Number} confirmedHeadcount - Attending guests plus their confirmed plus-ones
+ * @returns {Number}
+ */
+function getHeadcountQuantity(serviceListing, confirmedHeadcount) {
+  const guestsPerUnit = Math.max(serviceListing.guestsPerUnit || 1, 1);
+  return Math.ceil(Math.max(confirmedHeadcount, 0) / guestsPerUnit);
+}
+
+/**
+ * Quantity and unreviewed baseline a headcount-driven ProjectService should hold.
+ * The quantity before the first unreviewed change is kept as previousQuantity and
+ * cleared once the quantities match again.
+ * @param {Object} projectService - ProjectService with quantity and previousQuantity
+ * @param {Object} serviceListing - ServiceListing with guestsPerUnit
+ * @param {Number} confirmedHeadcount - Attending guests plus their confirmed plus-ones
+ * @returns {Object} { quantity, previousQuantity }
+ */
+function getSyncedHeadcountQuantity(projectService, serviceListing, confirmedHeadcount) {
+  const quantity = getHeadcountQuantity(serviceListing, confirmedHeadcount);
+  if (quantity === projectService.quantity) {
+    return { quantity, previousQuantity: projectService.previousQuantity ?? null };
+  }
+  const baseline = projectService.previousQuantity ?? projectService.quantity;
+  return { quantity, previousQuantity: baseline === quantity ? null : baseline };
+}
+
+module.exports = {
+  getHeadcountQuantity,
+  getSyncedHeadcountQuantity,
+};
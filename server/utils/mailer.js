@@ -346,6 +346,107 @@ Weddding Platform Team`;
   return { text, html };
 }
 
-module.exports = { sendEmail, generateOtpEmail, generatePaymentReminderEmail, generateRefundProcessedEmail };
+/**
+ * Generate a styled RSVP invitation (or reminder) email for a guest household.
+ * @param {object} params
+ * @param {string} params.name - Guest or household name
+ * @param {string} params.projectName - Wedding project name shown as the event title
+ * @param {string} params.weddingDateLabel
+ * @param {string} [params.venueName]
+ * @param {string} [params.rsvpDeadlineLabel]
+ * @param {string} params.actionUrl - Tokenized RSVP link
+ * @param {boolean} [params.isReminder]
+ * @returns {{text:string, html:string}}
+ */
+function generateRsvpInvitationEmail(params) {
+  const isReminder = Boolean(params?.isReminder);
+  const title = isReminder ? 'RSVP Reminder' : "You're Invited";
+  const subtitle = isReminder ? 'We are still waiting for your reply.' : 'Please let us know if you can join us.';
+
+  const name = escapeHtml(params?.name || 'there');
+  const projectName = escapeHtml(params?.projectName || 'Our Wedding');
+  const weddingDateLabel = escapeHtml(params?.weddingDateLabel || '');
+  const venueName = escapeHtml(params?.venueName || '');
+  const rsvpDeadlineLabel = escapeHtml(params?.rsvpDeadlineLabel || '');
+  const actionUrl = escapeHtml(params?.actionUrl || (process.env.FRONTEND_BASE_URL || 'https://localhost:3000'));
+
+  const text = `Hi ${params?.name || 'there'},
+
+${isReminder ? `This is a friendly reminder to RSVP for ${params?.projectName || 'our wedding'}.` : `You are invited to ${params?.projectName || 'our wedding'}!`}
+
+Event Details:
+- Date: ${params?.weddingDateLabel || ''}
+${params?.venueName ? `- Venue: ${params.venueName}` : ''}
+${params?.rsvpDeadlineLabel ? `- Please reply by: ${params.rsvpDeadlineLabel}` : ''}
+
+RSVP here: ${params?.actionUrl || ''}
+
+No account is needed. This link is personal to your household, so please don't share it.`;
+
+  const html = `
+    <div style="font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background:#f5f5f7; padding:24px;">
+      <table align="center" width="100%" style="max-width:640px; margin:0 auto; background:#ffffff; border-radius:16px; overflow:hidden; box-shadow:0 10px 30px rgba(15,23,42,0.08);">
+        <tr>
+          <td style="padding:24px 32px 16px; background:linear-gradient(135deg,#f9739b,#ab47bc); color:#ffffff;">
+            <h1 style="margin:0; font-size:24px; letter-spacing:0.03em; text-transform:uppercase;">${title}</h1>
+            <p style="margin:8px 0 0; opacity:0.9;">${subtitle}</p>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:24px 32px 8px;">
+            <p style="margin:0 0 16px; color:#111827;">Hi ${name},</p>
+            <p style="margin:0 0 16px; color:#4b5563; line-height:1.6;">
+              ${isReminder
+                ? `We haven&apos;t received your RSVP for <strong>${projectName}</strong> yet. It only takes a minute.`
+                : `We would love for you to celebrate <strong>${projectName}</strong> with us.`}
+            </p>
+
+            <div style="margin:24px 0; padding:16px 18px; border-radius:12px; background:#f9fafb; border:1px solid #e5e7eb;">
+              <h2 style="margin:0 0 12px; font-size:16px; color:#111827;">Event Details</h2>
+              <table style="width:100%; font-size:14px; color:#374151;">
+                <tr>
+                  <td style="padding:4px 0; width:40%; opacity:0.7;">Date</td>
+                  <td style="padding:4px 0; font-weight:600;">${weddingDateLabel}</td>
+                </tr>
+                ${venueName ? `
+                <tr>
+                  <td style="padding:4px 0; opacity:0.7;">Venue</td>
+                  <td style="padding:4px 0;">${venueName}</td>
+                </tr>` : ''}
+                ${rsvpDeadlineLabel ? `
+                <tr>
+                  <td style="padding:4px 0; opacity:0.7;">Please reply by</td>
+                  <td style="padding:4px 0; font-weight:600;">${rsvpDeadlineLabel}</td>
+                </tr>` : ''}
+              </table>
+            </div>
+
+            <div style="margin:24px 0;">
+              <a href="${actionUrl}"
+                 style="display:inline-block; padding:10px 18px; border-radius:999px;
+                        background:#111827; color:#ffffff; text-decoration:none; font-size:14px; font-weight:600;">
+                RSVP Now
+              </a>
+            </div>
+
+            <p style="margin:16px 0 0; font-size:12px; color:#9ca3af;">
+              No account is needed. This link is personal to your household, so please don&apos;t share it.
+            </p>
+          </td>
+        </tr>
+      </table>
+    </div>
+  `;
+
+  return { text, html };
+}
+
+module.exports = {
+  sendEmail,
+  generateOtpEmail,
+  generatePaymentReminderEmail,
+  generateRefundProcessedEmail,
+  generateRsvpInvitationEmail,
+};
 
 
@@ -8,6 +8,8 @@ import CreateProject from './pages/CreateProject/CreateProject';
 import ProjectDashboard from './pages/ProjectDashboard/ProjectDashboard';
 import BudgetManagement from './pages/BudgetManagement/BudgetManagement';
 import ChecklistPage from './pages/ChecklistPage/ChecklistPage';
+import GuestList from './pages/GuestList/GuestList';
+import Rsvp from './pages/Rsvp/Rsvp';
 import Messages from './pages/Messages/Messages';
 import VenueDesigner from './pages/VenueDesigner/VenueDesigner';
 import MyBookings from './pages/MyBookings/MyBookings';
@@ -75,11 +77,13 @@ const AppContent = () => {
   const isVenueDesignerRoute =
     location.pathname === '/venue-designer' || location.pathname.includes('/venue-designer');
   const isMessagesRoute = location.pathname === '/messages';
+  const isRsvpRoute = location.pathname.startsWith('/rsvp/');
   const isVendorUser = user?.role === 'vendor';
   
   // Hide navbar for vendors on messages page, or for normal hide conditions
   const hideNavbar =
     isVenueDesignerRoute ||
+    isRsvpRoute ||
     location.pathname === '/login' ||
     location.pathname === '/register' ||
     location.pathname === '/vendor/register' ||
@@ -134,6 +138,7 @@ const AppContent = () => {
     if (p === '/forgot-password') return setCouple('Forgot Password');
     if (p === '/otp') return setCouple('OTP Verification');
     if (p === '/reset-password') return setCouple('Reset Password');
+    if (p.startsWith('/rsvp/')) return setCouple('RSVP');
 
     // Couple core pages
     if (p === '/projects') return setCouple('Projects');
@@ -141,6 +146,7 @@ const AppContent = () => {
     if (p === '/project-dashboard') return setCouple('Project Dashboard');
     if (p === '/budget') return setCouple('Budget Management');
     if (p === '/checklist') return setCouple('Checklist');
+    if (p === '/guests') return setCouple('Guest List');
     if (p === '/messages') return setCouple('Messages');
     if (p === '/venue-designer' || p.includes('/venue-designer')) return setCouple('Venue Designer');
     if (p === '/my-bookings') return setCouple('My Bookings');
@@ -203,6 +209,7 @@ const AppContent = () => {
               <Route path="/about" element={<About />} />
               <Route path="/features" element={<Features />} />
               <Route path="/faq" element={<FAQ />} />
+              <Route path="/rsvp/:token" element={<Rsvp />} />
               <Route path="/admin" element={<Navigate to="/admin/dashboard" replace />} />
               <Route path="/admin/login" element={<AdminLogin />} />
               <Route path="/admin/dashboard" element={<AdminLayout><Dashboard /></AdminLayout>} />
@@ -220,6 +227,7 @@ const AppContent = () => {
               <Route path="/project-dashboard" element={<RequireAuth><ProjectDashboard /></RequireAuth>} />
               <Route path="/budget" element={<RequireAuth><BudgetManagement /></RequireAuth>} />
               <Route path="/checklist" element={<RequireAuth><ChecklistPage /></RequireAuth>} />
+              <Route path="/guests" element={<RequireAuth><GuestList /></RequireAuth>} />
               <Route path="/messages" element={<RequireAuth><MessagesRedirect /></RequireAuth>} />
               <Route path="/venue-designer" element={<RequireAuth><VenueDesigner /></RequireAuth>} />
               <Route path="/projects/:projectId/venue-designer" element={<RequireAuth><VenueDesigner /></RequireAuth>} />
@@ -1,10 +1,13 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { Box, Button, IconButton, Typography, Snackbar, Alert } from '@mui/material';
-import { Check as CheckIcon, Undo, Redo } from '@mui/icons-material';
+import { Check as CheckIcon, Undo, Redo, UploadFile } from '@mui/icons-material';
 import { FloorplanEditor } from './FloorplanEditor';
 import { Room3D } from './Room3D';
 import { ViewMode } from './types';
 import ConfirmationDialog from '../ConfirmationDialog/ConfirmationDialog';
+import FloorplanImportDialog from './FloorplanImportDialog';
+import CeilingPanel from './CeilingPanel';
+import { DEFAULT_CEILING } from './constants';
 import './BlueprintEditor.css';
 
 
@@ -33,6 +36,10 @@ const BlueprintEditor = ({
           doors: parsed.doors || [],
           windows: parsed.windows || [],
           stages: parsed.stages || [],
+          columns: parsed.columns || [],
+          floorZones: parsed.floorZones || [],
+          ...(parsed.ceiling ? { ceiling: parsed.ceiling } : {}),
+          ...(parsed.underlay ? { underlay: parsed.underlay } : {}),
         };
       }
       
@@ -59,6 +66,7 @@ const BlueprintEditor = ({
   // Dialog states
   const [showClearDialog, setShowClearDialog] = useState(false);
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
+  const [showImportDialog, setShowImportDialog] = useState(false);
   
   // Notification states
   const [notification, setNotification] = useState({ open: false, message: '', severity: 'success' });
@@ -155,7 +163,18 @@ const BlueprintEditor = ({
 
   const handleConfirmClear = () => {
     setShowClearDialog(false);
-    const emptyData = { points: [], walls: [], doors: [], windows: [], stages: [] };
+    // The trace-over image and ceiling stay so the vendor can start tracing again
+    const emptyData = {
+      points: [],
+      walls: [],
+      doors: [],
+      windows: [],
+      stages: [],
+      columns: [],
+      floorZones: [],
+      ...(data.ceiling ? { ceiling: data.ceiling } : {}),
+      ...(data.underlay ? { underlay: data.underlay } : {}),
+    };
     handleFloorplanUpdate(emptyData, true);
     setNotification({
       open: true,
@@ -164,6 +183,19 @@ const BlueprintEditor = ({
     });
   };
 
+  const handleCeilingChange = (fields) => {
+    handleFloorplanUpdate({ ...data, ceiling: { ...DEFAULT_CEILING, ...data.ceiling, ...fields } }, true);
+  };
+
+  const handleImport = (importedData, summary) => {
+    handleFloorplanUpdate(importedData, true);
+    setNotification({
+      open: true,
+      message: `Imported ${importedData.walls.length} walls, ${summary.doorCount} doors and ${summary.windowCount} windows.`,
+      severity: 'success'
+    });
+  };
+
   return (
     <Box className="blueprint-editor-container" sx={{ height: '100%', display: 'flex', flexDirection: 'column', bgcolor: '#f5f5f5' }}>
       {/* Header */}
@@ -258,6 +290,16 @@ const BlueprintEditor = ({
 
           <Box sx={{ width: '1px', height: '32px', bgcolor: '#e0e0e0', mx: 2 }} />
 
+          <Button 
+            onClick={() => setShowImportDialog(true)}
+            variant="outlined"
+            size="small"
+            startIcon={<UploadFile />}
+            sx={{ textTransform: 'none', color: '#e16789', borderColor: '#e16789' }}
+          >
+            Import DXF/SVG
+          </Button>
+
           <Button 
             onClick={handleClearAll}
             variant="outlined"
@@ -297,6 +339,8 @@ const BlueprintEditor = ({
           boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
         }}>
           <Box sx={{ p: 3, flex: 1, overflowY: 'auto' }}>
+            <CeilingPanel ceiling={data.ceiling} onChange={handleCeilingChange} />
+
             <Box sx={{ 
               mt: 4, 
               p: 2, 
@@ -327,11 +371,15 @@ const BlueprintEditor = ({
                 <li>Use <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>Draw Mode (P)</Box> to create walls.</li>
                 <li>Use <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>Door Mode (D)</Box> to place doors on walls.</li>
                 <li>Use <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>Window Mode (W)</Box> to place windows on walls.</li>
+                <li>Use <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>Column Mode (C)</Box> for pillars and <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>Floor Zone Mode (F)</Box> to outline raised platforms and mezzanines.</li>
+                <li>Give a selected wall a <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>curve</Box> to draw bays and rounded ends.</li>
                 <li>Select elements to edit properties: <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>height</Box>, <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>thickness</Box>, <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>texture</Box>.</li>
                 <li>Use mouse <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>wheel</Box> or zoom buttons to zoom in/out.</li>
                 <li>Click elements to select and <Box component="span" sx={{ color: '#d32f2f', fontWeight: 600 }}>delete</Box> them.</li>
                 <li><Box component="span" sx={{ color: '#333', fontFamily: 'monospace', fontSize: '0.625rem' }}>CTRL+Z</Box> to Undo, <Box component="span" sx={{ color: '#333', fontFamily: 'monospace', fontSize: '0.625rem' }}>CTRL+Y</Box> to Redo.</li>
                 <li>Press <Box component="span" sx={{ color: '#333', fontFamily: 'monospace', fontSize: '0.625rem' }}>ESC</Box> to cancel placement modes.</li>
+                <li>Use <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>Import DXF/SVG</Box> to start from a CAD drawing instead of drawing every wall.</li>
+                <li>Use the <Box component="span" sx={{ color: '#e16789', fontWeight: 600 }}>image button</Box> to trace over a floor plan picture; calibrate its scale by clicking two points a known distance apart.</li>
               </Box>
             </Box>
           </Box>
@@ -441,6 +489,12 @@ const BlueprintEditor = ({
         cancelText="Cancel"
       />
 
+      <FloorplanImportDialog
+        open={showImportDialog}
+        onClose={() => setShowImportDialog(false)}
+        onImport={handleImport}
+      />
+
       {/* Notification Snackbar */}
       <Snackbar
         open={notification.open}
@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Box, MenuItem, Select, TextField, Typography } from '@mui/material';
+import { CEILING_SHAPES, DEFAULT_CEILING } from './constants';
+
+const captionSx = { fontSize: '0.75rem', color: '#666' };
+const inputSx = { width: 64, '& .MuiOutlinedInput-root': { bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 } };
+const selectSx = { width: '100%', bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 };
+
+const VAULT_AXES = [
+  { id: 'x', name: 'Left to right' },
+  { id: 'y', name: 'Front to back' },
+];
+
+/**
+ * Ceiling of the whole room: its shape, the height it starts at above the floor, and for
+ * vaults and domes how much higher it rises in the middle.
+ */
+const CeilingPanel = ({ ceiling, onChange }) => {
+  const current = { ...DEFAULT_CEILING, ...ceiling };
+  const [heightInput, setHeightInput] = useState('');
+  const [riseInput, setRiseInput] = useState('');
+
+  useEffect(() => {
+    setHeightInput(String(current.height));
+    setRiseInput(String(current.rise));
+  }, [current.height, current.rise]);
+
+  const applyNumber = (field, input, reset) => {
+    const meters = parseFloat(input);
+    if (!(meters > 0)) {
+      reset(String(current[field]));
+      return;
+    }
+    if (meters !== current[field]) onChange({ [field]: meters });
+  };
+
+  return (
+    <Box sx={{ p: 2, bgcolor: '#f8f9fa', borderRadius: 2, border: '1px solid #e0e0e0', display: 'flex', flexDirection: 'column', gap: 1 }}>
+      <Typography variant="caption" sx={{
+        fontSize: '0.75rem',
+        fontWeight: 700,
+        color: '#333',
+        display: 'block',
+        textTransform: 'uppercase',
+        letterSpacing: '0.05em'
+      }}>
+        Ceiling
+      </Typography>
+
+      <Select value={current.shape} onChange={(e) => onChange({ shape: e.target.value })} size="small" sx={selectSx}>
+        {CEILING_SHAPES.map(s => <MenuItem key={s.id} value={s.id}>{s.name}</MenuItem>)}
+      </Select>
+
+      {current.shape !== 'none' && (
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+          <Typography variant="caption" sx={captionSx}>{current.shape === 'flat' ? 'Height:' : 'Height at walls:'}</Typography>
+          <Box component="form" onSubmit={(e) => { e.preventDefault(); applyNumber('height', heightInput, setHeightInput); }}
+            sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <TextField type="number" inputProps={{ step: 0.1 }} value={heightInput}
+              onChange={(e) => setHeightInput(e.target.value)} onBlur={() => applyNumber('height', heightInput, setHeightInput)}
+              size="small" sx={inputSx} />
+            <Typography variant="caption" sx={captionSx}>m</Typography>
+          </Box>
+        </Box>
+      )}
+
+      {(current.shape === 'vaulted' || current.shape === 'dome') && (
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+          <Typography variant="caption" sx={captionSx}>Rise in the middle:</Typography>
+          <Box component="form" onSubmit={(e) => { e.preventDefault(); applyNumber('rise', riseInput, setRiseInput); }}
+            sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <TextField type="number" inputProps={{ step: 0.1 }} value={riseInput}
+              onChange={(e) => setRiseInput(e.target.value)} onBlur={() => applyNumber('rise', riseInput, setRiseInput)}
+              size="small" sx={inputSx} />
+            <Typography variant="caption" sx={captionSx}>m</Typography>
+          </Box>
+        </Box>
+      )}
+
+      {current.shape === 'vaulted' && (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+          <Typography variant="caption" sx={captionSx}>Vault runs:</Typography>
+          <Select value={current.axis} onChange={(e) => onChange({ axis: e.target.value })} size="small" sx={selectSx}>
+            {VAULT_AXES.map(a => <MenuItem key={a.id} value={a.id}>{a.name}</MenuItem>)}
+          </Select>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+CeilingPanel.propTypes = {
+  // Missing for floorplans drawn before ceilings existed
+  ceiling: PropTypes.shape({
+    shape: PropTypes.oneOf(CEILING_SHAPES.map(s => s.id)),
+    height: PropTypes.number,
+    rise: PropTypes.number,
+    axis: PropTypes.oneOf(['x', 'y']),
+  }),
+  // Called with the changed ceiling fields
+  onChange: PropTypes.func.isRequired,
+};
+
+export default CeilingPanel;
@@ -2,11 +2,13 @@
  * FloorplanEditor Component
  * 
  * Enhanced 2D floorplan editor with support for:
- * - Walls with height, thickness, and texture properties
+ * - Straight and curved walls with height, thickness, and texture properties
  * - Doors and windows placement with collision detection
  * - Stage platforms with resize handles and rotation
+ * - Freestanding columns and raised floor zones (platforms, mezzanines)
  * - Zoom functionality (mouse wheel + buttons)
- * - Multiple drawing modes: SELECT, DRAW, PAN, DOOR, WINDOW, STAGE
+ * - Trace-over image underlay with two-point scale calibration
+ * - Multiple drawing modes: SELECT, DRAW, PAN, DOOR, WINDOW, STAGE, COLUMN, ZONE, CALIBRATE
  * 
  * Keyboard Shortcuts:
  * - V: Select Mode
@@ -14,8 +16,11 @@
  * - D: Door Mode
  * - W: Window Mode
  * - S: Stage Mode
+ * - C: Column Mode
+ * - F: Floor Zone Mode (Enter closes the outline)
  * - H: Pan Mode
  * - Space: Hold to pan
+ * - Alt: Hold to place and drag corners off the grid (for tracing)
  * - ESC: Cancel current mode
  * - Delete/Backspace: Delete selected element
  * - CTRL+Z: Undo
@@ -24,17 +29,21 @@
  * Data Format:
  * {
  *   points: [{ id, x, y }],
- *   walls: [{ id, startPointId, endPointId, thickness, height, texture }],
+ *   walls: [{ id, startPointId, endPointId, thickness, height, texture, bulge }],
  *   doors: [{ id, wallId, offset, width, height }],
  *   windows: [{ id, wallId, offset, width, height, heightFromGround }],
- *   stages: [{ id, x, y, width, depth, height, rotation, color }]
+ *   stages: [{ id, x, y, width, depth, height, rotation, color }],
+ *   columns: [{ id, x, y, shape, size, height, rotation }],
+ *   floorZones: [{ id, points: [{ x, y }], kind, elevation, label }],
+ *   ceiling: { shape, height, rise, axis } (optional, edited in the BlueprintEditor sidebar),
+ *   underlay: { src, cx, cy, width, height, rotation, opacity, locked } (optional)
  * }
  * 
  * Backward Compatible: Old floorplans without doors/windows will load with empty arrays.
  */
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { Box, Button, IconButton, TextField, Typography, Select, MenuItem } from '@mui/material';
+import { Alert, Box, Button, IconButton, TextField, Typography, Select, Menu, MenuItem, ListSubheader } from '@mui/material';
 import { 
   Delete as Trash2Icon, 
   Edit as PenToolIcon, 
@@ -44,7 +53,10 @@ import {
   DoorFront as DoorIcon,
   Window as WindowIcon,
   ZoomIn,
-  ZoomOut
+  ZoomOut,
+  AddPhotoAlternate as TraceImageIcon,
+  Adjust as ColumnIcon,
+  Layers as FloorZoneIcon
 } from '@mui/icons-material';
 import { 
   GRID_SIZE, 
@@ -55,15 +67,23 @@ import {
   DEFAULT_WINDOW_WIDTH,
   DEFAULT_WINDOW_HEIGHT,
   DEFAULT_WINDOW_ELEVATION,
-  WALL_TEXTURES
+  WALL_TEXTURES,
+  DEFAULT_COLUMN_SIZE,
+  COLUMN_SHAPES,
+  FLOOR_ZONE_KINDS
 } from './constants';
+import { apiFetch } from '../../lib/api';
+import { formatImageUrl } from '../../utils/image';
+import { calibrateUnderlay, createUnderlay, isImagePath, readImageFile, readImageUrl } from './traceImage';
+import TraceImagePanel from './TraceImagePanel';
+import { getPointOnWall, getWallLength, getWallPath, projectOntoWall } from './wallGeometry';
 
 const generateId = () => Math.random().toString(36).substr(2, 9);
 
 export const FloorplanEditor = ({ data, onUpdate }) => {
   const svgRef = useRef(null);
   
-  // Modes: 'SELECT' | 'DRAW' | 'PAN' | 'DOOR' | 'WINDOW'
+  // Modes: 'SELECT' | 'DRAW' | 'PAN' | 'DOOR' | 'WINDOW' | 'COLUMN' | 'ZONE' | 'CALIBRATE'
   const [mode, setMode] = useState('SELECT');
   
   // Pan & Zoom State
@@ -77,6 +97,8 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
   const [draggingWallId, setDraggingWallId] = useState(null);
   const [draggingDoorId, setDraggingDoorId] = useState(null);
   const [draggingWindowId, setDraggingWindowId] = useState(null);
+  const [draggingColumnId, setDraggingColumnId] = useState(null);
+  const [draggingZoneId, setDraggingZoneId] = useState(null);
   const [lastMousePos, setLastMousePos] = useState(null);
   const hasSavedHistoryRef = useRef(false);
 
@@ -87,12 +109,15 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
   const [selectedPointId, setSelectedPointId] = useState(null);
   const [selectedDoorId, setSelectedDoorId] = useState(null);
   const [selectedWindowId, setSelectedWindowId] = useState(null);
+  const [selectedColumnId, setSelectedColumnId] = useState(null);
+  const [selectedZoneId, setSelectedZoneId] = useState(null);
 
   // Property Inputs
   const [wallLengthInput, setWallLengthInput] = useState("");
   const [wallHeightInput, setWallHeightInput] = useState("");
   const [wallThicknessInput, setWallThicknessInput] = useState("");
   const [wallTextureInput, setWallTextureInput] = useState("default");
+  const [wallCurveInput, setWallCurveInput] = useState("");
   
   const [doorWidthInput, setDoorWidthInput] = useState("");
   const [doorHeightInput, setDoorHeightInput] = useState("");
@@ -101,14 +126,33 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
   const [windowHeightInput, setWindowHeightInput] = useState("");
   const [windowElevationInput, setWindowElevationInput] = useState("");
 
+  const [columnSizeInput, setColumnSizeInput] = useState("");
+  const [columnHeightInput, setColumnHeightInput] = useState("");
+  const [columnRotationInput, setColumnRotationInput] = useState("");
+
+  const [zoneElevationInput, setZoneElevationInput] = useState("");
+  const [zoneLabelInput, setZoneLabelInput] = useState("");
+
 
   // Draw Mode State
   const [activeDrawId, setActiveDrawId] = useState(null);
   const [cursorPos, setCursorPos] = useState(null);
 
+  // Corners of the floor zone being outlined
+  const [zonePoints, setZonePoints] = useState([]);
+
   // Door/Window Placement Mode State
   const [ghostOpening, setGhostOpening] = useState(null);
 
+  // Trace Image State
+  const [draggingUnderlay, setDraggingUnderlay] = useState(false);
+  const [calibrationPoints, setCalibrationPoints] = useState([]);
+  const [showTracePanel, setShowTracePanel] = useState(false);
+  const [traceMenuAnchor, setTraceMenuAnchor] = useState(null);
+  const [traceDocuments, setTraceDocuments] = useState([]);
+  const [traceError, setTraceError] = useState('');
+  const traceFileInputRef = useRef(null);
+
   // --- Utils ---
 
   const getMousePosition = useCallback((evt) => {
@@ -125,6 +169,8 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
 
   const getSnappedPosition = (evt) => {
     const pos = getMousePosition(evt);
+    // Alt places corners exactly where clicked, to follow a traced image
+    if (evt.altKey) return pos;
     return {
       x: Math.round(pos.x / GRID_SIZE) * GRID_SIZE,
       y: Math.round(pos.y / GRID_SIZE) * GRID_SIZE
@@ -133,36 +179,6 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
 
   const getPoint = useCallback((id) => data.points.find(p => p.id === id), [data.points]);
 
-  // Helper to calculate distance from point to line segment
-  const pointToLineDistance = (px, py, x1, y1, x2, y2) => {
-    const A = px - x1;
-    const B = py - y1;
-    const C = x2 - x1;
-    const D = y2 - y1;
-
-    const dot = A * C + B * D;
-    const lenSq = C * C + D * D;
-    let param = -1;
-    if (lenSq !== 0) param = dot / lenSq;
-
-    let xx, yy;
-
-    if (param < 0) {
-      xx = x1;
-      yy = y1;
-    } else if (param > 1) {
-      xx = x2;
-      yy = y2;
-    } else {
-      xx = x1 + param * C;
-      yy = y1 + param * D;
-    }
-
-    const dx = px - xx;
-    const dy = py - yy;
-    return { distance: Math.sqrt(dx * dx + dy * dy), x: xx, y: yy, offsetRatio: param };
-  };
-
   // Collision detection for doors/windows
   const checkOverlap = (wallId, offset, width, type, excludeId) => {
     const min = offset - width / 2;
@@ -221,11 +237,12 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
             const start = getPoint(wall.startPointId);
             const end = getPoint(wall.endPointId);
             if (start && end) {
-                const length = Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2));
+                const length = getWallLength(start, end, wall.bulge);
                 setWallLengthInput((length / PIXELS_PER_METER).toFixed(2));
                 setWallHeightInput((wall.height || DEFAULT_WALL_HEIGHT).toString());
                 setWallThicknessInput((wall.thickness / PIXELS_PER_METER).toFixed(2));
                 setWallTextureInput(wall.texture || 'default');
+                setWallCurveInput(((wall.bulge || 0) / PIXELS_PER_METER).toFixed(2));
             }
         }
     } else if (selectedDoorId && data.doors) {
@@ -241,8 +258,26 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
         setWindowHeightInput(win.height.toString());
         setWindowElevationInput(win.heightFromGround.toString());
       }
+    } else if (selectedColumnId && data.columns) {
+      const column = data.columns.find(c => c.id === selectedColumnId);
+      if (column) {
+        setColumnSizeInput((column.size / PIXELS_PER_METER).toFixed(2));
+        setColumnHeightInput(column.height ? column.height.toString() : '');
+        setColumnRotationInput((column.rotation || 0).toString());
+      }
+    } else if (selectedZoneId && data.floorZones) {
+      const zone = data.floorZones.find(z => z.id === selectedZoneId);
+      if (zone) {
+        setZoneElevationInput(zone.elevation.toString());
+        setZoneLabelInput(zone.label || '');
+      }
     }
-  }, [selectedWallId, selectedDoorId, selectedWindowId, data, getPoint]);
+  }, [selectedWallId, selectedDoorId, selectedWindowId, selectedColumnId, selectedZoneId, data, getPoint]);
+
+  // An unfinished zone outline is dropped when leaving Floor Zone mode
+  useEffect(() => {
+    if (mode !== 'ZONE') setZonePoints([]);
+  }, [mode]);
 
   // --- Handlers ---
 
@@ -288,6 +323,94 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
   };
 
 
+  // --- Trace Image ---
+
+  const updateUnderlay = (changes, saveToHistory = true) => {
+    if (!data.underlay) return;
+    onUpdate({ ...data, underlay: { ...data.underlay, ...changes } }, saveToHistory);
+  };
+
+  const handleOpenTraceMenu = async (e) => {
+    if (data.underlay) {
+      setShowTracePanel(prev => !prev);
+      return;
+    }
+    setTraceMenuAnchor(e.currentTarget);
+    try {
+      // Floor plans the vendor uploaded with their verification documents
+      const me = await apiFetch('/auth/me');
+      setTraceDocuments((me?.vendor?.verificationDocuments || []).filter(isImagePath));
+    } catch (err) {
+      setTraceDocuments([]);
+    }
+  };
+
+  const placeUnderlay = async (loadImage) => {
+    setTraceMenuAnchor(null);
+    try {
+      const image = await loadImage();
+      let center = { x: 0, y: 0 };
+      if (svgRef.current) {
+        const { width, height } = svgRef.current.getBoundingClientRect();
+        center = { x: (width / 2 - pan.x) / zoom, y: (height / 2 - pan.y) / zoom };
+      }
+      onUpdate({ ...data, underlay: createUnderlay(image, center) }, true);
+      setShowTracePanel(true);
+      setCalibrationPoints([]);
+      setMode('CALIBRATE');
+      setTraceError('');
+    } catch (err) {
+      console.error('Error loading trace image:', err);
+      setTraceError(err.message || 'The image could not be loaded');
+    }
+  };
+
+  const handleTraceFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) placeUnderlay(() => readImageFile(file));
+  };
+
+  const handleRemoveUnderlay = () => {
+    const { underlay, ...rest } = data;
+    onUpdate(rest, true);
+    setShowTracePanel(false);
+    if (mode === 'CALIBRATE') setMode('SELECT');
+  };
+
+  const startCalibration = () => {
+    setCalibrationPoints([]);
+    setMode('CALIBRATE');
+    setSelectedWallId(null);
+    setSelectedPointId(null);
+    setActiveDrawId(null);
+  };
+
+  const cancelCalibration = () => {
+    setCalibrationPoints([]);
+    setMode('SELECT');
+  };
+
+  const applyCalibration = (meters) => {
+    if (!data.underlay || calibrationPoints.length < 2) return;
+    const [first, second] = calibrationPoints;
+    onUpdate({ ...data, underlay: calibrateUnderlay(data.underlay, first, second, meters) }, true);
+    setCalibrationPoints([]);
+    setMode('SELECT');
+  };
+
+  const handleUnderlayDown = (e) => {
+    if (mode !== 'SELECT' || isSpacePressed || e.button === 1 || data.underlay?.locked) return;
+    e.stopPropagation();
+    setSelectedWallId(null);
+    setSelectedPointId(null);
+    setSelectedDoorId(null);
+    setSelectedWindowId(null);
+    setDraggingUnderlay(true);
+    setLastMousePos(getMousePosition(e));
+    e.target.setPointerCapture(e.pointerId);
+  };
+
   const handlePointerMove = (e) => {
     if (isPanning) {
         setPan(prev => ({ x: prev.x + e.movementX, y: prev.y + e.movementY }));
@@ -296,51 +419,59 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
 
     const mousePos = getMousePosition(e);
     const snapped = getSnappedPosition(e);
-    setCursorPos(snapped);
+    setCursorPos(mode === 'CALIBRATE' ? mousePos : snapped);
 
 
     // Opening (Door/Window) Placement Logic
     if (mode === 'DOOR' || mode === 'WINDOW') {
       let closestDist = 20 / zoom;
-      let foundWallId = null;
-      let foundPos = { x: 0, y: 0 };
-      let foundAngle = 0;
-      let wallStart = null;
+      let found = null;
 
       data.walls.forEach(wall => {
         const start = getPoint(wall.startPointId);
         const end = getPoint(wall.endPointId);
         if (start && end) {
-          const { distance, x, y } = pointToLineDistance(mousePos.x, mousePos.y, start.x, start.y, end.x, end.y);
-          if (distance < closestDist) {
-            closestDist = distance;
-            foundWallId = wall.id;
-            foundPos = { x, y };
-            foundAngle = Math.atan2(end.y - start.y, end.x - start.x) * (180 / Math.PI);
-            wallStart = start;
+          const projection = projectOntoWall(start, end, wall.bulge, mousePos);
+          if (projection.distance < closestDist) {
+            closestDist = projection.distance;
+            found = { ...projection, wallId: wall.id };
           }
         }
       });
 
-      if (foundWallId && wallStart) {
-        const dist = Math.sqrt(Math.pow(foundPos.x - wallStart.x, 2) + Math.pow(foundPos.y - wallStart.y, 2));
+      if (found) {
         const width = mode === 'DOOR' ? DEFAULT_DOOR_WIDTH : DEFAULT_WINDOW_WIDTH;
         
-        const { hasCollision } = checkOverlap(foundWallId, dist, width, mode === 'DOOR' ? 'DOOR' : 'WINDOW');
+        const { hasCollision } = checkOverlap(found.wallId, found.offset, width, mode === 'DOOR' ? 'DOOR' : 'WINDOW');
         
         setGhostOpening({ 
-            ...foundPos, 
-            wallId: foundWallId, 
-            angle: foundAngle, 
+            x: found.x, 
+            y: found.y, 
+            offset: found.offset, 
+            wallId: found.wallId, 
+            angle: found.angle * (180 / Math.PI), 
             valid: !hasCollision 
         });
-        setHoverWallId(foundWallId);
+        setHoverWallId(found.wallId);
       } else {
         setGhostOpening(null);
         setHoverWallId(null);
       }
     }
 
+    if (mode === 'SELECT' && draggingUnderlay && lastMousePos) {
+      if (!hasSavedHistoryRef.current) {
+        onUpdate(data, true);
+        hasSavedHistoryRef.current = true;
+      }
+      updateUnderlay({
+        cx: data.underlay.cx + mousePos.x - lastMousePos.x,
+        cy: data.underlay.cy + mousePos.y - lastMousePos.y
+      }, false);
+      setLastMousePos(mousePos);
+      return;
+    }
+
     if (mode === 'SELECT') {
       const draggingOpeningId = draggingDoorId || draggingWindowId;
       if (draggingOpeningId) {
@@ -353,9 +484,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
           const start = getPoint(wall.startPointId);
           const end = getPoint(wall.endPointId);
           if (start && end) {
-            const { offsetRatio } = pointToLineDistance(mousePos.x, mousePos.y, start.x, start.y, end.x, end.y);
-            const wallLength = Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2));
-            const proposedOffset = Math.max(0, Math.min(wallLength, offsetRatio * wallLength));
+            const { offset: proposedOffset } = projectOntoWall(start, end, wall.bulge, mousePos);
             
             const collisionResult = checkOverlap(wall.id, proposedOffset, item.width, isDoor ? 'DOOR' : 'WINDOW', item.id);
             
@@ -419,6 +548,30 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                 setLastMousePos(snapped);
             }
         }
+      } else if (draggingColumnId) {
+        if (!hasSavedHistoryRef.current) {
+            onUpdate(data, true);
+            hasSavedHistoryRef.current = true;
+        }
+        const updatedColumns = (data.columns || []).map(c =>
+          c.id === draggingColumnId ? { ...c, x: snapped.x, y: snapped.y } : c
+        );
+        onUpdate({ ...data, columns: updatedColumns }, false);
+      } else if (draggingZoneId && lastMousePos) {
+        const dx = snapped.x - lastMousePos.x;
+        const dy = snapped.y - lastMousePos.y;
+
+        if (dx !== 0 || dy !== 0) {
+            if (!hasSavedHistoryRef.current) {
+                onUpdate(data, true);
+                hasSavedHistoryRef.current = true;
+            }
+            const updatedZones = (data.floorZones || []).map(z =>
+              z.id === draggingZoneId ? { ...z, points: z.points.map(p => ({ x: p.x + dx, y: p.y + dy })) } : z
+            );
+            onUpdate({ ...data, floorZones: updatedZones }, false);
+            setLastMousePos(snapped);
+        }
       }
     }
   };
@@ -429,6 +582,9 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
     setDraggingWallId(null);
     setDraggingDoorId(null);
     setDraggingWindowId(null);
+    setDraggingColumnId(null);
+    setDraggingZoneId(null);
+    setDraggingUnderlay(false);
     setLastMousePos(null);
     hasSavedHistoryRef.current = false; 
     if (e.target instanceof Element) {
@@ -449,6 +605,12 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
       setSelectedPointId(null);
       setSelectedDoorId(null);
       setSelectedWindowId(null);
+      setSelectedColumnId(null);
+      setSelectedZoneId(null);
+    } else if (mode === 'CALIBRATE') {
+      // A third click starts a new measurement
+      const pos = getMousePosition(e);
+      setCalibrationPoints(prev => (prev.length >= 2 ? [pos] : [...prev, pos]));
     } else if (mode === 'DRAW') {
       const snapped = getSnappedPosition(e);
       onUpdate(data, true);
@@ -472,18 +634,40 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
       }
 
       onUpdate({
+        ...data,
         points: [...data.points, newPoint],
         walls: newWalls
       }, false); 
       
       setActiveDrawId(newPoint.id);
+    } else if (mode === 'COLUMN') {
+      const snapped = getSnappedPosition(e);
+      const newColumn = {
+        id: generateId(),
+        x: snapped.x,
+        y: snapped.y,
+        shape: 'round',
+        size: DEFAULT_COLUMN_SIZE,
+        rotation: 0
+      };
+      onUpdate(data, true);
+      onUpdate({ ...data, columns: [...(data.columns || []), newColumn] }, false);
+    } else if (mode === 'ZONE') {
+      const snapped = getSnappedPosition(e);
+      const first = zonePoints[0];
+      // Clicking the first corner again closes the outline
+      if (first && zonePoints.length >= 3 && Math.hypot(snapped.x - first.x, snapped.y - first.y) < 10 / zoom) {
+        finishZone();
+      } else {
+        setZonePoints(prev => [...prev, snapped]);
+      }
     } else if ((mode === 'DOOR' || mode === 'WINDOW') && ghostOpening && ghostOpening.valid) {
       onUpdate(data, true);
       const wall = data.walls.find(w => w.id === ghostOpening.wallId);
       if (wall) {
         const start = getPoint(wall.startPointId);
         if (start) {
-          const dist = Math.sqrt(Math.pow(ghostOpening.x - start.x, 2) + Math.pow(ghostOpening.y - start.y, 2));
+          const dist = ghostOpening.offset;
           
           if (mode === 'DOOR') {
             const { mergedWidth, mergedOffset, idsToDelete } = checkOverlap(wall.id, dist, DEFAULT_DOOR_WIDTH, 'DOOR');
@@ -520,7 +704,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
   };
 
   const handlePointDown = (e, pointId) => {
-    if (mode === 'PAN' || isSpacePressed || e.button === 1 || mode === 'DOOR' || mode === 'WINDOW') {
+    if (mode === 'PAN' || isSpacePressed || e.button === 1 || mode === 'DOOR' || mode === 'WINDOW' || mode === 'COLUMN' || mode === 'ZONE' || mode === 'CALIBRATE') {
         return; 
     }
     
@@ -530,6 +714,8 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
       setSelectedWallId(null);
       setSelectedDoorId(null);
       setSelectedWindowId(null);
+      setSelectedColumnId(null);
+      setSelectedZoneId(null);
       setSelectedPointId(pointId);
       setDraggingPointId(pointId);
       e.target.setPointerCapture(e.pointerId);
@@ -564,7 +750,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
   };
 
   const handleWallDown = (e, wallId) => {
-    if (mode === 'PAN' || isSpacePressed || e.button === 1 || mode === 'DOOR' || mode === 'WINDOW') {
+    if (mode === 'PAN' || isSpacePressed || e.button === 1 || mode === 'DOOR' || mode === 'WINDOW' || mode === 'COLUMN' || mode === 'ZONE' || mode === 'CALIBRATE') {
         return; 
     }
 
@@ -575,6 +761,8 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
       setSelectedPointId(null);
       setSelectedDoorId(null);
       setSelectedWindowId(null);
+      setSelectedColumnId(null);
+      setSelectedZoneId(null);
       
       setDraggingWallId(wallId);
       setLastMousePos(snapped);
@@ -584,7 +772,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
   };
 
   const handleDoorDown = (e, doorId) => {
-    if (mode === 'PAN' || isSpacePressed || e.button === 1 || mode === 'DOOR' || mode === 'WINDOW') return;
+    if (mode === 'PAN' || isSpacePressed || e.button === 1 || mode === 'DOOR' || mode === 'WINDOW' || mode === 'COLUMN' || mode === 'ZONE' || mode === 'CALIBRATE') return;
     e.stopPropagation();
 
     if (mode === 'SELECT') {
@@ -592,13 +780,15 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
       setSelectedWallId(null);
       setSelectedPointId(null);
       setSelectedWindowId(null);
+      setSelectedColumnId(null);
+      setSelectedZoneId(null);
       setDraggingDoorId(doorId);
       e.target.setPointerCapture(e.pointerId);
     }
   };
 
   const handleWindowDown = (e, winId) => {
-    if (mode === 'PAN' || isSpacePressed || e.button === 1 || mode === 'DOOR' || mode === 'WINDOW') return;
+    if (mode === 'PAN' || isSpacePressed || e.button === 1 || mode === 'DOOR' || mode === 'WINDOW' || mode === 'COLUMN' || mode === 'ZONE' || mode === 'CALIBRATE') return;
     e.stopPropagation();
 
     if (mode === 'SELECT') {
@@ -606,12 +796,59 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
       setSelectedDoorId(null);
       setSelectedWallId(null);
       setSelectedPointId(null);
+      setSelectedColumnId(null);
+      setSelectedZoneId(null);
       setDraggingWindowId(winId);
       e.target.setPointerCapture(e.pointerId);
     }
   };
 
-  const deleteSelection = () => {
+  const handleColumnDown = (e, columnId) => {
+    if (mode !== 'SELECT' || isSpacePressed || e.button === 1) return;
+    e.stopPropagation();
+
+    setSelectedColumnId(columnId);
+    setSelectedWallId(null);
+    setSelectedPointId(null);
+    setSelectedDoorId(null);
+    setSelectedWindowId(null);
+    setSelectedZoneId(null);
+    setDraggingColumnId(columnId);
+    e.target.setPointerCapture(e.pointerId);
+  };
+
+  const handleZoneDown = (e, zoneId) => {
+    if (mode !== 'SELECT' || isSpacePressed || e.button === 1) return;
+    e.stopPropagation();
+
+    setSelectedZoneId(zoneId);
+    setSelectedWallId(null);
+    setSelectedPointId(null);
+    setSelectedDoorId(null);
+    setSelectedWindowId(null);
+    setSelectedColumnId(null);
+    setDraggingZoneId(zoneId);
+    setLastMousePos(getSnappedPosition(e));
+    e.target.setPointerCapture(e.pointerId);
+  };
+
+  const finishZone = useCallback(() => {
+    if (zonePoints.length >= 3) {
+      const kind = FLOOR_ZONE_KINDS[0];
+      const newZone = {
+        id: generateId(),
+        points: zonePoints,
+        kind: kind.id,
+        elevation: kind.defaultElevation,
+        label: ''
+      };
+      onUpdate(data, true);
+      onUpdate({ ...data, floorZones: [...(data.floorZones || []), newZone] }, false);
+    }
+    setZonePoints([]);
+  }, [zonePoints, data, onUpdate]);
+
+  const deleteSelection = useCallback(() => {
     onUpdate(data, true);
     if (selectedWallId) {
       const updatedWalls = data.walls.filter(w => w.id !== selectedWallId);
@@ -629,7 +866,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
       const remainingDoors = (data.doors || []).filter(d => !connectedWallIds.includes(d.wallId));
       const remainingWindows = (data.windows || []).filter(w => !connectedWallIds.includes(w.wallId));
 
-      onUpdate({ points: updatedPoints, walls: remainingWalls, doors: remainingDoors, windows: remainingWindows }, false);
+      onUpdate({ ...data, points: updatedPoints, walls: remainingWalls, doors: remainingDoors, windows: remainingWindows }, false);
       setSelectedPointId(null);
     }
     if (selectedDoorId) {
@@ -642,7 +879,17 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
       onUpdate({ ...data, windows: updatedWindows }, false);
       setSelectedWindowId(null);
     }
-  };
+    if (selectedColumnId) {
+      const updatedColumns = (data.columns || []).filter(c => c.id !== selectedColumnId);
+      onUpdate({ ...data, columns: updatedColumns }, false);
+      setSelectedColumnId(null);
+    }
+    if (selectedZoneId) {
+      const updatedZones = (data.floorZones || []).filter(z => z.id !== selectedZoneId);
+      onUpdate({ ...data, floorZones: updatedZones }, false);
+      setSelectedZoneId(null);
+    }
+  }, [data, onUpdate, selectedWallId, selectedPointId, selectedDoorId, selectedWindowId, selectedColumnId, selectedZoneId]);
 
   // --- Property Updates ---
 
@@ -653,6 +900,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
     const lengthMeters = parseFloat(wallLengthInput);
     const heightMeters = parseFloat(wallHeightInput);
     const thicknessMeters = parseFloat(wallThicknessInput);
+    const curveMeters = parseFloat(wallCurveInput);
     const newTexture = overrides?.texture ?? wallTextureInput;
     
     let updatedWalls = data.walls.map(w => {
@@ -661,7 +909,8 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                 ...w,
                 height: isNaN(heightMeters) ? (w.height || DEFAULT_WALL_HEIGHT) : heightMeters,
                 thickness: (!isNaN(thicknessMeters) && thicknessMeters > 0) ? thicknessMeters * PIXELS_PER_METER : w.thickness,
-                texture: newTexture
+                texture: newTexture,
+                bulge: isNaN(curveMeters) ? (w.bulge || 0) : curveMeters * PIXELS_PER_METER
             };
         }
         return w;
@@ -673,17 +922,19 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
         const start = getPoint(wall.startPointId);
         const end = getPoint(wall.endPointId);
         if (start && end) {
-          const currentLength = Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2));
-          if (currentLength > 0.001) {
-            const newLengthPixels = lengthMeters * PIXELS_PER_METER;
-            const dirX = (end.x - start.x) / currentLength;
-            const dirY = (end.y - start.y) / currentLength;
-            const newEndX = start.x + dirX * newLengthPixels;
-            const newEndY = start.y + dirY * newLengthPixels;
+          const currentLength = getWallLength(start, end, wall.bulge);
+          const newLengthPixels = lengthMeters * PIXELS_PER_METER;
+          // Only when the length was edited, so changing the curve leaves the ends where they are
+          if (currentLength > 0.001 && Math.abs(newLengthPixels - currentLength) >= PIXELS_PER_METER / 100) {
+            // A curved wall keeps its shape: its ends and its curve scale together
+            const scale = newLengthPixels / currentLength;
+            const newEndX = start.x + (end.x - start.x) * scale;
+            const newEndY = start.y + (end.y - start.y) * scale;
             
             const updatedPoints = data.points.map(p => 
               p.id === end.id ? { ...p, x: newEndX, y: newEndY } : p
             );
+            updatedWalls = updatedWalls.map(w => (w.id === wall.id ? { ...w, bulge: w.bulge * scale } : w));
             onUpdate({ ...data, walls: updatedWalls, points: updatedPoints }, false);
             return;
           }
@@ -733,6 +984,52 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
     onUpdate({ ...data, windows: updatedWindows }, false);
   };
 
+  const applyColumnChanges = (overrides) => {
+    if (!selectedColumnId) return;
+    onUpdate(data, true);
+    const sizeMeters = parseFloat(columnSizeInput);
+    const heightMeters = parseFloat(columnHeightInput);
+    const rotation = parseFloat(columnRotationInput);
+
+    const updatedColumns = (data.columns || []).map(c => {
+      if (c.id === selectedColumnId) {
+        return {
+          ...c,
+          shape: overrides?.shape ?? c.shape,
+          size: (!isNaN(sizeMeters) && sizeMeters > 0) ? sizeMeters * PIXELS_PER_METER : c.size,
+          // Left empty, the column reaches the ceiling
+          height: (!isNaN(heightMeters) && heightMeters > 0) ? heightMeters : undefined,
+          rotation: isNaN(rotation) ? (c.rotation || 0) : rotation
+        }
+      }
+      return c;
+    });
+    onUpdate({ ...data, columns: updatedColumns }, false);
+  };
+
+  const applyZoneChanges = (overrides) => {
+    if (!selectedZoneId) return;
+    onUpdate(data, true);
+    const elevationMeters = parseFloat(zoneElevationInput);
+    // Switching kind starts from that kind's usual floor height
+    const newKind = overrides?.kind && FLOOR_ZONE_KINDS.find(k => k.id === overrides.kind);
+
+    const updatedZones = (data.floorZones || []).map(z => {
+      if (z.id === selectedZoneId) {
+        return {
+          ...z,
+          kind: newKind ? newKind.id : z.kind,
+          elevation: newKind
+            ? newKind.defaultElevation
+            : ((!isNaN(elevationMeters) && elevationMeters > 0) ? elevationMeters : z.elevation),
+          label: zoneLabelInput.trim()
+        }
+      }
+      return z;
+    });
+    onUpdate({ ...data, floorZones: updatedZones }, false);
+  };
+
 
   // Handle Keyboard Shortcuts
   useEffect(() => {
@@ -763,6 +1060,16 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
           setMode('WINDOW');
           setSelectedWallId(null);
           setSelectedPointId(null);
+        } else if ((e.key === 'c' || e.key === 'C') && !e.ctrlKey && !e.metaKey) {
+          setMode('COLUMN');
+          setSelectedWallId(null);
+          setSelectedPointId(null);
+          setActiveDrawId(null);
+        } else if (e.key === 'f' || e.key === 'F') {
+          setMode('ZONE');
+          setSelectedWallId(null);
+          setSelectedPointId(null);
+          setActiveDrawId(null);
         }
       }
 
@@ -772,10 +1079,13 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
              deleteSelection();
            }
         }
-      } else if (mode === 'DRAW' || mode === 'DOOR' || mode === 'WINDOW') {
+      } else if (mode === 'DRAW' || mode === 'DOOR' || mode === 'WINDOW' || mode === 'COLUMN' || mode === 'ZONE' || mode === 'CALIBRATE') {
         if (e.key === 'Escape') {
           setActiveDrawId(null);
+          setCalibrationPoints([]);
           setMode('SELECT');
+        } else if (e.key === 'Enter' && mode === 'ZONE') {
+          finishZone();
         }
       }
     };
@@ -793,7 +1103,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
         window.removeEventListener('keydown', handleKeyDown);
         window.removeEventListener('keyup', handleKeyUp);
     };
-  }, [selectedWallId, selectedPointId, selectedDoorId, selectedWindowId, mode, data, onUpdate, isPanning]);
+  }, [mode, isPanning, deleteSelection, finishZone]);
 
   const activePoint = activeDrawId ? getPoint(activeDrawId) : null;
 
@@ -801,9 +1111,9 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
   let cursorClass = 'cursor-default';
   if (isPanning) cursorClass = 'cursor-grabbing';
   else if (mode === 'PAN' || isSpacePressed) cursorClass = 'cursor-grab';
-  else if (mode === 'DRAW') cursorClass = 'cursor-crosshair';
-  else if (mode === 'DOOR' || mode === 'WINDOW') cursorClass = 'cursor-copy';
-  else if (draggingWallId || draggingPointId || draggingDoorId || draggingWindowId) cursorClass = 'cursor-move';
+  else if (mode === 'DRAW' || mode === 'ZONE' || mode === 'CALIBRATE') cursorClass = 'cursor-crosshair';
+  else if (mode === 'DOOR' || mode === 'WINDOW' || mode === 'COLUMN') cursorClass = 'cursor-copy';
+  else if (draggingWallId || draggingPointId || draggingDoorId || draggingWindowId || draggingColumnId || draggingZoneId) cursorClass = 'cursor-move';
 
   return (
     <Box sx={{ width: '100%', height: '100%', bgcolor: '#ffffff', position: 'relative', overflow: 'hidden', userSelect: 'none' }}>
@@ -832,8 +1142,8 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
           cursor: cursorClass === 'cursor-grabbing' ? 'grabbing' :
                   cursorClass === 'cursor-grab' ? 'grab' :
                   cursorClass === 'cursor-crosshair' ? 'crosshair' :
-                  (mode === 'DOOR' || mode === 'WINDOW') ? 'copy' :
-                  (draggingWallId || draggingPointId || draggingDoorId || draggingWindowId) ? 'move' : 'default'
+                  cursorClass === 'cursor-copy' ? 'copy' :
+                  cursorClass === 'cursor-move' ? 'move' : 'default'
         }}
         onPointerMove={handlePointerMove}
         onPointerUp={handlePointerUp}
@@ -842,6 +1152,60 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
         onContextMenu={(e) => e.preventDefault()} 
       >
         <g transform={`translate(${pan.x}, ${pan.y}) scale(${zoom})`}>
+          {/* Trace Image */}
+          {data.underlay && (
+            <g transform={`translate(${data.underlay.cx}, ${data.underlay.cy}) rotate(${data.underlay.rotation})`}>
+              <image
+                href={formatImageUrl(data.underlay.src)}
+                x={-data.underlay.width / 2}
+                y={-data.underlay.height / 2}
+                width={data.underlay.width}
+                height={data.underlay.height}
+                opacity={data.underlay.opacity}
+                preserveAspectRatio="none"
+                onPointerDown={handleUnderlayDown}
+                style={{
+                  pointerEvents: mode === 'SELECT' && !data.underlay.locked && !isSpacePressed ? 'auto' : 'none',
+                  cursor: 'move'
+                }}
+              />
+            </g>
+          )}
+
+          {/* Floor Zones */}
+          {(data.floorZones || []).map(zone => {
+            const isSelected = selectedZoneId === zone.id;
+            const kind = FLOOR_ZONE_KINDS.find(k => k.id === zone.kind);
+            const cx = zone.points.reduce((sum, p) => sum + p.x, 0) / zone.points.length;
+            const cy = zone.points.reduce((sum, p) => sum + p.y, 0) / zone.points.length;
+
+            return (
+              <g key={zone.id} onPointerDown={(e) => handleZoneDown(e, zone.id)}
+                style={{ cursor: mode === 'SELECT' && !isSpacePressed ? 'move' : 'default' }}
+              >
+                <polygon
+                  points={zone.points.map(p => `${p.x},${p.y}`).join(' ')}
+                  fill={zone.kind === 'mezzanine' ? '#c7d2fe' : '#e7e5e4'}
+                  fillOpacity={0.6}
+                  stroke={isSelected ? "#ef4444" : "#78716c"}
+                  strokeWidth={isSelected ? 2 : 1}
+                  strokeDasharray={zone.kind === 'mezzanine' ? '6 4' : undefined}
+                  vectorEffect="non-scaling-stroke"
+                />
+                <text
+                  x={cx}
+                  y={cy}
+                  textAnchor="middle"
+                  fill="#57534e"
+                  fontSize="10"
+                  style={{ pointerEvents: 'none', userSelect: 'none', fontFamily: 'monospace' }}
+                >
+                  {zone.label || kind?.name || 'Floor Zone'} +{zone.elevation}m
+                </text>
+              </g>
+            );
+          })}
+
           {/* Existing Walls */}
           {data.walls.map(wall => {
             const start = getPoint(wall.startPointId);
@@ -851,22 +1215,20 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
             const isSelected = wall.id === selectedWallId;
             const isDragging = wall.id === draggingWallId;
 
+            const wallPath = getWallPath(start, end, wall.bulge);
+
             return (
               <g key={wall.id} onPointerDown={(e) => handleWallDown(e, wall.id)}>
-                <line
-                  x1={start.x}
-                  y1={start.y}
-                  x2={end.x}
-                  y2={end.y}
+                <path
+                  d={wallPath}
+                  fill="none"
                   stroke="transparent"
                   strokeWidth={30}
                   style={{ cursor: mode === 'SELECT' && !isSpacePressed ? 'move' : 'pointer' }}
                 />
-                <line
-                  x1={start.x}
-                  y1={start.y}
-                  x2={end.x}
-                  y2={end.y}
+                <path
+                  d={wallPath}
+                  fill="none"
                   stroke={isSelected ? "#ef4444" : (isDragging ? "#3b82f6" : ((mode === 'DOOR' || mode === 'WINDOW') && hoverWallId === wall.id ? "#60a5fa" : (() => {
                     const texture = WALL_TEXTURES.find(t => t.id === (wall.texture || 'default'));
                     return texture ? texture.color : "#94a3b8";
@@ -888,14 +1250,10 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
               const end = getPoint(wall.endPointId);
               if (!start || !end) return null;
               
-              const angle = Math.atan2(end.y - start.y, end.x - start.x);
               const wallWindows = (data.windows || []).filter(w => w.wallId === wall.id);
 
               return wallWindows.map(win => {
-                  const dx = Math.cos(angle) * win.offset;
-                  const dy = Math.sin(angle) * win.offset;
-                  const cx = start.x + dx;
-                  const cy = start.y + dy;
+                  const { x: cx, y: cy, angle } = getPointOnWall(start, end, wall.bulge, win.offset);
                   const isSelected = selectedWindowId === win.id;
                   
                   return (
@@ -917,14 +1275,10 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
              const end = getPoint(wall.endPointId);
              if (!start || !end) return null;
              
-             const angle = Math.atan2(end.y - start.y, end.x - start.x);
              const wallDoors = (data.doors || []).filter(d => d.wallId === wall.id);
 
              return wallDoors.map(door => {
-                const dx = Math.cos(angle) * door.offset;
-                const dy = Math.sin(angle) * door.offset;
-                const cx = start.x + dx;
-                const cy = start.y + dy;
+                const { x: cx, y: cy, angle } = getPointOnWall(start, end, wall.bulge, door.offset);
                 const isSelected = selectedDoorId === door.id;
 
                 return (
@@ -946,6 +1300,32 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
              });
           })}
 
+          {/* Columns */}
+          {(data.columns || []).map(column => {
+            const isSelected = selectedColumnId === column.id;
+            const fill = draggingColumnId === column.id ? "#3b82f6" : "#64748b";
+            const stroke = isSelected ? "#ef4444" : "#0f172a";
+
+            return (
+              <g key={column.id} transform={`translate(${column.x}, ${column.y}) rotate(${column.rotation || 0})`}
+                onPointerDown={(e) => handleColumnDown(e, column.id)}
+                style={{ cursor: mode === 'SELECT' && !isSpacePressed ? 'move' : 'default' }}
+              >
+                {column.shape === 'square' ? (
+                  <rect x={-column.size / 2} y={-column.size / 2} width={column.size} height={column.size}
+                    fill={fill} stroke={stroke} strokeWidth={isSelected ? 2 : 1} />
+                ) : (
+                  <circle r={column.size / 2} fill={fill} stroke={stroke} strokeWidth={isSelected ? 2 : 1} />
+                )}
+              </g>
+            );
+          })}
+
+          {/* Ghost Column (Column Mode) */}
+          {mode === 'COLUMN' && cursorPos && (
+            <circle cx={cursorPos.x} cy={cursorPos.y} r={DEFAULT_COLUMN_SIZE / 2} fill="#60a5fa" opacity={0.7} style={{ pointerEvents: 'none' }} />
+          )}
+
           {/* Ghost Opening (Placement Mode) */}
           {ghostOpening && (
              <g transform={`translate(${ghostOpening.x}, ${ghostOpening.y}) rotate(${ghostOpening.angle})`} style={{ pointerEvents: 'none' }}>
@@ -967,6 +1347,45 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
             />
           )}
 
+          {/* Floor Zone Outline (Zone Mode) */}
+          {mode === 'ZONE' && zonePoints.length > 0 && (
+            <g style={{ pointerEvents: 'none' }}>
+              <polyline
+                points={[...zonePoints, ...(cursorPos ? [cursorPos] : [])].map(p => `${p.x},${p.y}`).join(' ')}
+                fill="#e7e5e4"
+                fillOpacity={0.4}
+                stroke="#3b82f6"
+                strokeWidth={2}
+                strokeDasharray="8 4"
+                vectorEffect="non-scaling-stroke"
+              />
+              {zonePoints.map((point, index) => (
+                <circle key={index} cx={point.x} cy={point.y} r={(index === 0 ? 6 : 4) / zoom} fill="#3b82f6" />
+              ))}
+            </g>
+          )}
+
+          {/* Calibration Line */}
+          {mode === 'CALIBRATE' && calibrationPoints.length > 0 && (
+            <g style={{ pointerEvents: 'none' }}>
+              {(calibrationPoints[1] || cursorPos) && (
+                <line
+                  x1={calibrationPoints[0].x}
+                  y1={calibrationPoints[0].y}
+                  x2={(calibrationPoints[1] || cursorPos).x}
+                  y2={(calibrationPoints[1] || cursorPos).y}
+                  stroke="#e16789"
+                  strokeWidth={2}
+                  strokeDasharray="6 4"
+                  vectorEffect="non-scaling-stroke"
+                />
+              )}
+              {calibrationPoints.map((point, index) => (
+                <circle key={index} cx={point.x} cy={point.y} r={5 / zoom} fill="#e16789" stroke="#ffffff" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+              ))}
+            </g>
+          )}
+
           {/* Points */}
           {data.points.map(point => {
             const isSelected = selectedPointId === point.id;
@@ -996,9 +1415,8 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
              const end = getPoint(wall.endPointId);
              if (!start || !end) return null;
              
-             const mx = (start.x + end.x) / 2;
-             const my = (start.y + end.y) / 2;
-             const length = Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2));
+             const length = getWallLength(start, end, wall.bulge);
+             const { x: mx, y: my } = getPointOnWall(start, end, wall.bulge, length / 2);
              const lengthInMeters = (length / PIXELS_PER_METER).toFixed(1);
 
              return (
@@ -1018,6 +1436,12 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
         </g>
       </svg>
       
+      {traceError && (
+        <Alert severity="error" onClose={() => setTraceError('')} sx={{ position: 'absolute', top: 16, left: 16, right: 16 }}>
+          {traceError}
+        </Alert>
+      )}
+
       {/* Editor Overlay UI */}
       <Box sx={{ position: 'absolute', bottom: 16, left: 16, right: 16, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', pointerEvents: 'none' }}>
         <Box sx={{ display: 'flex', gap: 1, pointerEvents: 'auto', alignItems: 'flex-end' }}>
@@ -1091,6 +1515,40 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                 >
                   <WindowIcon sx={{ fontSize: 18 }} />
                 </IconButton>
+                <IconButton
+                  onClick={() => { setMode('COLUMN'); setSelectedWallId(null); setSelectedPointId(null); setActiveDrawId(null); }}
+                  sx={{ 
+                    p: 1,
+                    borderRadius: 1,
+                    color: mode === 'COLUMN' ? 'white' : '#666',
+                    bgcolor: mode === 'COLUMN' ? '#e16789' : 'transparent',
+                    '&:hover': { 
+                      color: 'white', 
+                      bgcolor: mode === 'COLUMN' ? '#d1537a' : '#e0e0e0' 
+                    },
+                    transition: 'all 0.2s'
+                  }}
+                  title="Add Column (C)"
+                >
+                  <ColumnIcon sx={{ fontSize: 18 }} />
+                </IconButton>
+                <IconButton
+                  onClick={() => { setMode('ZONE'); setSelectedWallId(null); setSelectedPointId(null); setActiveDrawId(null); }}
+                  sx={{ 
+                    p: 1,
+                    borderRadius: 1,
+                    color: mode === 'ZONE' ? 'white' : '#666',
+                    bgcolor: mode === 'ZONE' ? '#e16789' : 'transparent',
+                    '&:hover': { 
+                      color: 'white', 
+                      bgcolor: mode === 'ZONE' ? '#d1537a' : '#e0e0e0' 
+                    },
+                    transition: 'all 0.2s'
+                  }}
+                  title="Add Platform or Mezzanine (F)"
+                >
+                  <FloorZoneIcon sx={{ fontSize: 18 }} />
+                </IconButton>
                 <IconButton
                   onClick={() => { setMode('PAN'); setSelectedWallId(null); setSelectedPointId(null); setActiveDrawId(null); }}
                   sx={{ 
@@ -1110,6 +1568,39 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                 </IconButton>
              </Box>
 
+             {/* Trace Image */}
+             <Box sx={{ bgcolor: '#f5f5f5', borderRadius: 2, p: 0.5, display: 'flex', border: '1px solid #e0e0e0', boxShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
+                <IconButton
+                  onClick={handleOpenTraceMenu}
+                  sx={{ 
+                    p: 1,
+                    borderRadius: 1,
+                    color: showTracePanel && data.underlay ? 'white' : '#666',
+                    bgcolor: showTracePanel && data.underlay ? '#e16789' : 'transparent',
+                    '&:hover': { 
+                      color: 'white', 
+                      bgcolor: showTracePanel && data.underlay ? '#d1537a' : '#e0e0e0' 
+                    },
+                    transition: 'all 0.2s'
+                  }}
+                  title={data.underlay ? 'Trace Image Settings' : 'Trace Over an Image'}
+                >
+                  <TraceImageIcon sx={{ fontSize: 18 }} />
+                </IconButton>
+                <input ref={traceFileInputRef} type="file" accept="image/*" hidden onChange={handleTraceFileChange} />
+                <Menu anchorEl={traceMenuAnchor} open={Boolean(traceMenuAnchor)} onClose={() => setTraceMenuAnchor(null)}>
+                  <MenuItem onClick={() => { setTraceMenuAnchor(null); traceFileInputRef.current?.click(); }}>
+                    Upload an image...
+                  </MenuItem>
+                  {traceDocuments.length > 0 && <ListSubheader>Your verification documents</ListSubheader>}
+                  {traceDocuments.map(doc => (
+                    <MenuItem key={doc} onClick={() => placeUnderlay(() => readImageUrl(formatImageUrl(doc)).then(image => ({ ...image, src: doc })))}>
+                      {doc.split('/').pop().replace(/^\d+-\d+-/, '')}
+                    </MenuItem>
+                  ))}
+                </Menu>
+             </Box>
+
              {/* Zoom Controls */}
              <Box sx={{ bgcolor: '#f5f5f5', borderRadius: 2, p: 0.5, display: 'flex', border: '1px solid #e0e0e0', boxShadow: '0 2px 4px rgba(0,0,0,0.1)' }}>
                 <IconButton
@@ -1146,8 +1637,21 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                 </IconButton>
              </Box>
 
+             {/* Trace Image Settings */}
+             {data.underlay && (showTracePanel || mode === 'CALIBRATE') && (
+                 <TraceImagePanel
+                   underlay={data.underlay}
+                   onChange={updateUnderlay}
+                   onRemove={handleRemoveUnderlay}
+                   calibration={{ active: mode === 'CALIBRATE', pointCount: calibrationPoints.length }}
+                   onStartCalibration={startCalibration}
+                   onApplyCalibration={applyCalibration}
+                   onCancelCalibration={cancelCalibration}
+                 />
+             )}
+
              {/* Property Panels */}
-             {(selectedWallId || selectedDoorId || selectedWindowId) && mode === 'SELECT' && (
+             {(selectedWallId || selectedDoorId || selectedWindowId || selectedColumnId || selectedZoneId) && mode === 'SELECT' && (
                  <Box sx={{ 
                    bgcolor: '#f8f9fa', 
                    p: 1.5, 
@@ -1161,7 +1665,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                    minWidth: 200
                  }}>
                     <Typography variant="caption" sx={{ fontSize: '0.7rem', color: '#666', fontWeight: 700, textTransform: 'uppercase', mb: 0.5 }}>
-                      {selectedWallId ? 'Wall Properties' : selectedDoorId ? 'Door Properties' : 'Window Properties'}
+                      {selectedWallId ? 'Wall Properties' : selectedDoorId ? 'Door Properties' : selectedWindowId ? 'Window Properties' : selectedColumnId ? 'Column Properties' : 'Floor Zone Properties'}
                     </Typography>
                     
                     {selectedWallId ? (
@@ -1200,6 +1704,16 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                                     {WALL_TEXTURES.map(t => <MenuItem key={t.id} value={t.id}>{t.name}</MenuItem>)}
                                 </Select>
                             </Box>
+                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}
+                                title="How far the middle of the wall bows out. 0 is straight; negative curves the other way.">
+                                <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>Curve:</Typography>
+                                <Box component="form" onSubmit={(e) => { e.preventDefault(); applyWallChanges(); }} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                    <TextField type="number" inputProps={{ step: 0.1 }} value={wallCurveInput} 
+                                        onChange={(e) => setWallCurveInput(e.target.value)} onBlur={() => applyWallChanges()} 
+                                        size="small" sx={{ width: 64, '& .MuiOutlinedInput-root': { bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 } }} />
+                                    <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>m</Typography>
+                                </Box>
+                            </Box>
                         </>
                     ) : selectedDoorId ? (
                         <>
@@ -1252,6 +1766,70 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                                 </Box>
                             </Box>
                         </>
+                    ) : selectedColumnId ? (
+                        <>
+                            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                                <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>Shape:</Typography>
+                                <Select value={(data.columns || []).find(c => c.id === selectedColumnId)?.shape || 'round'}
+                                    onChange={(e) => applyColumnChanges({ shape: e.target.value })}
+                                    size="small" sx={{ width: '100%', bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 }}>
+                                    {COLUMN_SHAPES.map(s => <MenuItem key={s.id} value={s.id}>{s.name}</MenuItem>)}
+                                </Select>
+                            </Box>
+                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+                                <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>Width:</Typography>
+                                <Box component="form" onSubmit={(e) => { e.preventDefault(); applyColumnChanges(); }} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                    <TextField type="number" inputProps={{ step: 0.1 }} value={columnSizeInput} 
+                                        onChange={(e) => setColumnSizeInput(e.target.value)} onBlur={() => applyColumnChanges()} 
+                                        size="small" sx={{ width: 64, '& .MuiOutlinedInput-root': { bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 } }} />
+                                    <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>m</Typography>
+                                </Box>
+                            </Box>
+                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+                                <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>Height:</Typography>
+                                <Box component="form" onSubmit={(e) => { e.preventDefault(); applyColumnChanges(); }} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                    <TextField type="number" inputProps={{ step: 0.1 }} value={columnHeightInput} placeholder="Auto"
+                                        onChange={(e) => setColumnHeightInput(e.target.value)} onBlur={() => applyColumnChanges()} 
+                                        size="small" sx={{ width: 64, '& .MuiOutlinedInput-root': { bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 } }} />
+                                    <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>m</Typography>
+                                </Box>
+                            </Box>
+                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+                                <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>Rotation:</Typography>
+                                <Box component="form" onSubmit={(e) => { e.preventDefault(); applyColumnChanges(); }} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                    <TextField type="number" inputProps={{ step: 15 }} value={columnRotationInput} 
+                                        onChange={(e) => setColumnRotationInput(e.target.value)} onBlur={() => applyColumnChanges()} 
+                                        size="small" sx={{ width: 64, '& .MuiOutlinedInput-root': { bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 } }} />
+                                    <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>°</Typography>
+                                </Box>
+                            </Box>
+                        </>
+                    ) : selectedZoneId ? (
+                        <>
+                            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                                <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>Type:</Typography>
+                                <Select value={(data.floorZones || []).find(z => z.id === selectedZoneId)?.kind || 'platform'}
+                                    onChange={(e) => applyZoneChanges({ kind: e.target.value })}
+                                    size="small" sx={{ width: '100%', bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 }}>
+                                    {FLOOR_ZONE_KINDS.map(k => <MenuItem key={k.id} value={k.id}>{k.name}</MenuItem>)}
+                                </Select>
+                            </Box>
+                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+                                <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>Floor Height:</Typography>
+                                <Box component="form" onSubmit={(e) => { e.preventDefault(); applyZoneChanges(); }} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                                    <TextField type="number" inputProps={{ step: 0.1 }} value={zoneElevationInput} 
+                                        onChange={(e) => setZoneElevationInput(e.target.value)} onBlur={() => applyZoneChanges()} 
+                                        size="small" sx={{ width: 64, '& .MuiOutlinedInput-root': { bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 } }} />
+                                    <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>m</Typography>
+                                </Box>
+                            </Box>
+                            <Box component="form" onSubmit={(e) => { e.preventDefault(); applyZoneChanges(); }} sx={{ display: 'flex', flexDirection: 'column', gap: 0.5 }}>
+                                <Typography variant="caption" sx={{ fontSize: '0.75rem', color: '#666' }}>Label:</Typography>
+                                <TextField value={zoneLabelInput} placeholder="e.g. Stage, Gallery"
+                                    onChange={(e) => setZoneLabelInput(e.target.value)} onBlur={() => applyZoneChanges()} 
+                                    size="small" sx={{ '& .MuiOutlinedInput-root': { bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 } }} />
+                            </Box>
+                        </>
                     ) : null}
                  </Box>
              )}
@@ -1282,7 +1860,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                     </Typography>
                     <Typography variant="caption" sx={{ display: 'block', color: '#666' }}>Click to add walls.</Typography>
                     <Typography variant="caption" sx={{ color: '#999', mt: 0.5, display: 'block' }}>
-                      ESC to stop.
+                      {data.underlay ? 'Hold Alt to trace off the grid. ESC to stop.' : 'ESC to stop.'}
                     </Typography>
                   </>
                 ) : mode === 'DOOR' ? (
@@ -1305,6 +1883,36 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
                       ESC to cancel.
                     </Typography>
                   </>
+                ) : mode === 'COLUMN' ? (
+                  <>
+                    <Typography variant="caption" sx={{ fontWeight: 600, color: '#e16789', mb: 0.5, display: 'block' }}>
+                      Column Mode
+                    </Typography>
+                    <Typography variant="caption" sx={{ display: 'block', color: '#666' }}>Click to place columns.</Typography>
+                    <Typography variant="caption" sx={{ color: '#999', mt: 0.5, display: 'block' }}>
+                      ESC to stop.
+                    </Typography>
+                  </>
+                ) : mode === 'ZONE' ? (
+                  <>
+                    <Typography variant="caption" sx={{ fontWeight: 600, color: '#e16789', mb: 0.5, display: 'block' }}>
+                      Floor Zone Mode
+                    </Typography>
+                    <Typography variant="caption" sx={{ display: 'block', color: '#666' }}>Click the corners of a platform or mezzanine.</Typography>
+                    <Typography variant="caption" sx={{ color: '#999', mt: 0.5, display: 'block' }}>
+                      Click the first corner or press Enter to finish. ESC to cancel.
+                    </Typography>
+                  </>
+                ) : mode === 'CALIBRATE' ? (
+                  <>
+                    <Typography variant="caption" sx={{ fontWeight: 600, color: '#e16789', mb: 0.5, display: 'block' }}>
+                      Calibrate Scale
+                    </Typography>
+                    <Typography variant="caption" sx={{ display: 'block', color: '#666' }}>Click two points a known distance apart.</Typography>
+                    <Typography variant="caption" sx={{ color: '#999', mt: 0.5, display: 'block' }}>
+                      ESC to cancel.
+                    </Typography>
+                  </>
                 ) : (
                   <>
                     <Typography variant="caption" sx={{ fontWeight: 600, color: '#e16789', mb: 0.5, display: 'block' }}>
@@ -1316,7 +1924,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
             </Box>
         </Box>
 
-        {mode === 'SELECT' && (selectedWallId || selectedPointId || selectedDoorId || selectedWindowId) && (
+        {mode === 'SELECT' && (selectedWallId || selectedPointId || selectedDoorId || selectedWindowId || selectedColumnId || selectedZoneId) && (
           <Button
             onClick={deleteSelection}
             variant="contained"
@@ -1338,7 +1946,7 @@ export const FloorplanEditor = ({ data, onUpdate }) => {
               textTransform: 'none'
             }}
           >
-            {selectedWallId ? 'Delete Wall' : selectedPointId ? 'Delete Corner' : selectedDoorId ? 'Delete Door' : 'Delete Window'}
+            {selectedWallId ? 'Delete Wall' : selectedPointId ? 'Delete Corner' : selectedDoorId ? 'Delete Door' : selectedWindowId ? 'Delete Window' : selectedColumnId ? 'Delete Column' : 'Delete Floor Zone'}
           </Button>
         )}
       </Box>
@@ -0,0 +1,278 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Close, UploadFile } from '@mui/icons-material';
+import { PIXELS_PER_METER } from './constants';
+import {
+  DRAWING_UNITS,
+  MAX_IMPORTED_WALLS,
+  buildImportedFloorplan,
+  listLayers,
+  parseDrawing,
+} from './floorplanImport';
+
+const PREVIEW_SIZE = 260;
+
+const defaultUnit = (drawing) => {
+  if (drawing.metresPerUnit) return 'drawing';
+  if (drawing.unit) return drawing.unit;
+  // Architectural DXFs without units are almost always in millimeters
+  return drawing.flipY ? 'mm' : 'px';
+};
+
+/**
+ * Import of a CAD drawing (DXF or SVG) as the floorplan's walls, doors and windows.
+ * The vendor picks the drawing's unit against the editor's PIXELS_PER_METER, checking it
+ * against the overall size shown, and which layers hold the walls.
+ */
+const FloorplanImportDialog = ({ open, onClose, onImport }) => {
+  const [fileName, setFileName] = useState('');
+  const [drawing, setDrawing] = useState(null);
+  const [unit, setUnit] = useState('mm');
+  const [selectedLayers, setSelectedLayers] = useState([]);
+  const [wallThickness, setWallThickness] = useState('0.5');
+  const [detectOpenings, setDetectOpenings] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setFileName('');
+      setDrawing(null);
+      setError('');
+    }
+  }, [open]);
+
+  const layers = useMemo(() => (drawing ? listLayers(drawing) : []), [drawing]);
+
+  const metresPerUnit =
+    unit === 'drawing' ? drawing?.metresPerUnit : DRAWING_UNITS.find((option) => option.id === unit)?.metres;
+  const thickness = parseFloat(wallThickness);
+
+  const result = useMemo(() => {
+    if (!drawing || !metresPerUnit || selectedLayers.length === 0) return null;
+    return buildImportedFloorplan(drawing, {
+      metresPerUnit,
+      layers: selectedLayers,
+      wallThickness: thickness > 0 ? thickness : 0.5,
+      detectOpenings,
+    });
+  }, [drawing, metresPerUnit, selectedLayers, thickness, detectOpenings]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parseDrawing(file.name, await file.text());
+      if (parsed.segments.length === 0) {
+        setError('No lines were found in this drawing.');
+        setDrawing(null);
+        return;
+      }
+      setFileName(file.name);
+      setDrawing(parsed);
+      setUnit(defaultUnit(parsed));
+      setSelectedLayers(listLayers(parsed).map((layer) => layer.name));
+      setError('');
+    } catch (err) {
+      console.error('Error reading drawing:', err);
+      setError(err.message || 'Failed to read the drawing');
+      setDrawing(null);
+    }
+  };
+
+  const toggleLayer = (name) => {
+    setSelectedLayers((prev) => (prev.includes(name) ? prev.filter((layer) => layer !== name) : [...prev, name]));
+  };
+
+  const wallCount = result?.floorplan.walls.length || 0;
+  const tooLarge = wallCount > MAX_IMPORTED_WALLS;
+  const canImport = wallCount > 0 && !tooLarge && thickness > 0;
+
+  const handleImport = () => {
+    if (!canImport) return;
+    onImport(result.floorplan, result);
+    onClose();
+  };
+
+  // Preview box in pixels, fitted around the imported points
+  const preview = useMemo(() => {
+    if (!result || result.floorplan.points.length === 0) return null;
+    const { points, walls } = result.floorplan;
+    const xs = points.map((point) => point.x);
+    const ys = points.map((point) => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+    const pointById = new Map(points.map((point) => [point.id, point]));
+    const project = (point) => ({
+      x: 10 + ((point.x - minX) / span) * (PREVIEW_SIZE - 20),
+      y: 10 + ((point.y - minY) / span) * (PREVIEW_SIZE - 20),
+    });
+    return walls.slice(0, MAX_IMPORTED_WALLS).map((wall) => {
+      const a = project(pointById.get(wall.startPointId));
+      const b = project(pointById.get(wall.endPointId));
+      return { id: wall.id, x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+    });
+  }, [result]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Typography variant="h5" component="h2" sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>
+          Import floorplan
+        </Typography>
+        <IconButton onClick={onClose} size="small" aria-label="Close">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <Button variant="outlined" component="label" startIcon={<UploadFile />} sx={{ textTransform: 'none' }}>
+            {fileName || 'Choose a DXF or SVG drawing'}
+            <input type="file" hidden accept=".dxf,.svg,image/svg+xml" onChange={handleFileChange} />
+          </Button>
+
+          {drawing && (
+            <>
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+                <TextField
+                  select
+                  size="small"
+                  label="Drawing units"
+                  value={unit}
+                  onChange={(e) => setUnit(e.target.value)}
+                  helperText={`The editor draws ${PIXELS_PER_METER} px per meter`}
+                >
+                  {drawing.metresPerUnit && <MenuItem value="drawing">As set in the drawing</MenuItem>}
+                  {DRAWING_UNITS.map((option) => (
+                    <MenuItem key={option.id} value={option.id}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Wall thickness (m)"
+                  value={wallThickness}
+                  onChange={(e) => setWallThickness(e.target.value)}
+                  inputProps={{ min: 0.05, step: 0.05 }}
+                  error={!(thickness > 0)}
+                />
+              </Box>
+
+              {result && (
+                <Typography variant="body2" color="text.secondary">
+                  The venue comes out {result.size.width.toFixed(1)} m × {result.size.depth.toFixed(1)} m. If that
+                  doesn't match the real building, change the drawing units.
+                </Typography>
+              )}
+
+              {layers.length > 1 && (
+                <Box>
+                  <Typography variant="subtitle2">Layers with walls</Typography>
+                  <Box sx={{ display: 'flex', flexDirection: 'column', maxHeight: 160, overflowY: 'auto' }}>
+                    {layers.map((layer) => (
+                      <FormControlLabel
+                        key={layer.name}
+                        control={
+                          <Checkbox
+                            size="small"
+                            checked={selectedLayers.includes(layer.name)}
+                            onChange={() => toggleLayer(layer.name)}
+                          />
+                        }
+                        label={`${layer.name} (${layer.count} ${layer.count === 1 ? 'line' : 'lines'})`}
+                      />
+                    ))}
+                  </Box>
+                </Box>
+              )}
+
+              <FormControlLabel
+                control={<Checkbox checked={detectOpenings} onChange={(e) => setDetectOpenings(e.target.checked)} />}
+                label="Turn gaps in walls into doors and windows"
+              />
+
+              {preview && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Box
+                    component="svg"
+                    width={PREVIEW_SIZE}
+                    height={PREVIEW_SIZE}
+                    sx={{ border: '1px solid #e0e0e0', borderRadius: 1, bgcolor: '#fafafa', flexShrink: 0 }}
+                  >
+                    {preview.map((line) => (
+                      <line key={line.id} {...line} stroke="#333" strokeWidth={1.5} />
+                    ))}
+                  </Box>
+                  <Typography variant="body2" color="text.secondary">
+                    {wallCount} {wallCount === 1 ? 'wall' : 'walls'}, {result.doorCount}{' '}
+                    {result.doorCount === 1 ? 'door' : 'doors'} and {result.windowCount}{' '}
+                    {result.windowCount === 1 ? 'window' : 'windows'}.
+                  </Typography>
+                </Box>
+              )}
+
+              {result && wallCount === 0 && (
+                <Alert severity="warning">No walls are long enough at this scale. Check the drawing units.</Alert>
+              )}
+              {tooLarge && (
+                <Alert severity="warning">
+                  The drawing makes {wallCount} walls, more than the {MAX_IMPORTED_WALLS} a floorplan can hold. Untick
+                  the layers with furniture, hatching or text.
+                </Alert>
+              )}
+              <Alert severity="info">
+                Importing replaces the current drawing. Press Ctrl+Z to get it back.
+              </Alert>
+            </>
+          )}
+
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ p: 2, justifyContent: 'flex-end' }}>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleImport}
+          disabled={!canImport}
+          sx={{
+            bgcolor: '#e16789',
+            '&:hover': { bgcolor: '#d1537a' },
+            fontWeight: 600,
+          }}
+        >
+          Import
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+FloorplanImportDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  // Called with the new floorplan data and the import summary
+  onImport: PropTypes.func.isRequired,
+};
+
+export default FloorplanImportDialog;
@@ -3,7 +3,9 @@ import { Canvas, useThree, useFrame } from '@react-three/fiber';
 import { OrbitControls, Environment, Grid } from '@react-three/drei';
 import * as THREE from 'three';
 import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
-import { PIXELS_PER_METER, WALL_TEXTURES, DEFAULT_WALL_HEIGHT } from './constants';
+import { PIXELS_PER_METER, WALL_TEXTURES, DEFAULT_WALL_HEIGHT, MEZZANINE_THICKNESS } from './constants';
+import { getWallArc, getWallLength, getPointOnWall, getRoomOutline } from './wallGeometry';
+import { buildCeilingGeometry } from './ceilingGeometry';
 
 // Helper function to trigger download
 const saveArrayBuffer = (buffer, filename) => {
@@ -52,10 +54,13 @@ const WallSegmentMesh = ({ length, height, thickness, position, rotation, textur
   );
 };
 
+// Longest straight piece used to follow a curved wall (meters)
+const ARC_PIECE_LENGTH = 0.5;
+
 // Complex wall mesh that handles doors and windows by splitting into segments
 const ComplexWallMesh = ({ wall, start, end, doors, windows, enableShadows = true }) => {
   const { totalLength, thickness, height, angle, midX, midY, segments } = useMemo(() => {
-    const len = Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2)) / PIXELS_PER_METER;
+    const len = getWallLength(start, end, wall.bulge) / PIXELS_PER_METER;
     const thick = wall.thickness / PIXELS_PER_METER;
     const h = wall.height || DEFAULT_WALL_HEIGHT;
     const ang = Math.atan2(end.y - start.y, end.x - start.x);
@@ -138,8 +143,48 @@ const ComplexWallMesh = ({ wall, start, end, doors, windows, enableShadows = tru
     return { totalLength: len, thickness: thick, height: h, angle: ang, midX: mx, midY: my, segments: segs };
   }, [wall, start, end, doors, windows]);
 
+  // Curved walls: each segment becomes short straight pieces following the arc
+  const arcPieces = useMemo(() => {
+    if (!getWallArc(start, end, wall.bulge)) return null;
+    return segments.flatMap((seg, idx) => {
+      const from = seg.centerX - seg.length / 2;
+      const count = Math.max(1, Math.ceil(seg.length / ARC_PIECE_LENGTH));
+      return Array.from({ length: count }, (_, i) => {
+        const a = getPointOnWall(start, end, wall.bulge, (from + (seg.length * i) / count) * PIXELS_PER_METER);
+        const b = getPointOnWall(start, end, wall.bulge, (from + (seg.length * (i + 1)) / count) * PIXELS_PER_METER);
+        return {
+          key: `${wall.id}-${idx}-${i}`,
+          // Overlap the pieces a little so the outside of the curve has no gaps
+          length: Math.hypot(b.x - a.x, b.y - a.y) / PIXELS_PER_METER + thickness * 0.1,
+          height: seg.height,
+          position: [(a.x + b.x) / 2 / PIXELS_PER_METER, seg.centerY, (a.y + b.y) / 2 / PIXELS_PER_METER],
+          rotation: [0, -Math.atan2(b.y - a.y, b.x - a.x), 0],
+        };
+      });
+    });
+  }, [wall, start, end, segments, thickness]);
+
+  if (arcPieces) {
+    return (
+      <group name={`wall-${wall.id}`} userData={{ floorplanType: 'wall', id: wall.id }}>
+        {arcPieces.map(piece => (
+          <WallSegmentMesh
+            key={piece.key}
+            length={piece.length}
+            height={piece.height}
+            thickness={thickness}
+            position={piece.position}
+            rotation={piece.rotation}
+            texture={wall.texture}
+            enableShadows={enableShadows}
+          />
+        ))}
+      </group>
+    );
+  }
+
   return (
-    <group position={[midX, 0, midY]} rotation={[0, -angle, 0]}>
+    <group name={`wall-${wall.id}`} userData={{ floorplanType: 'wall', id: wall.id }} position={[midX, 0, midY]} rotation={[0, -angle, 0]}>
       {segments.map((seg, idx) => (
         <WallSegmentMesh
           key={`${wall.id}-${idx}`}
@@ -168,18 +213,16 @@ const windowGlassMaterial = new THREE.MeshStandardMaterial({
 // Window glass panel
 const WindowGlass = ({ window, wall, start, end }) => {
   const { angle, cx, cy, width, height, elevation } = useMemo(() => {
-    const ang = Math.atan2(end.y - start.y, end.x - start.x);
-    const dx = Math.cos(ang) * window.offset;
-    const dy = Math.sin(ang) * window.offset;
+    const point = getPointOnWall(start, end, wall.bulge, window.offset);
     return {
-      angle: ang,
-      cx: (start.x + dx) / PIXELS_PER_METER,
-      cy: (start.y + dy) / PIXELS_PER_METER,
+      angle: point.angle,
+      cx: point.x / PIXELS_PER_METER,
+      cy: point.y / PIXELS_PER_METER,
       width: window.width / PIXELS_PER_METER,
       height: window.height,
       elevation: window.heightFromGround || 0
     };
-  }, [window, start, end]);
+  }, [window, wall, start, end]);
 
   return (
     <group position={[cx, 0, cy]} rotation={[0, -angle, 0]}>
@@ -193,55 +236,13 @@ const WindowGlass = ({ window, wall, start, end }) => {
 // Helper function to get room shape (reused for floor and ceiling)
 const useRoomShape = (data) => {
   return useMemo(() => {
-    const s = new THREE.Shape();
-    if (data.walls.length < 3) return null;
-
-    const adj = new Map();
-    data.walls.forEach(w => {
-      if (!adj.has(w.startPointId)) adj.set(w.startPointId, []);
-      if (!adj.has(w.endPointId)) adj.set(w.endPointId, []);
-      adj.get(w.startPointId).push(w.endPointId);
-      adj.get(w.endPointId).push(w.startPointId);
-    });
-
-    const startNodeId = Array.from(adj.keys()).find(k => adj.get(k).length >= 2);
-    if (!startNodeId) return null;
+    const outline = getRoomOutline(data);
+    if (!outline) return null;
 
-    const path = [startNodeId];
-    const visited = new Set();
-    visited.add(startNodeId);
-
-    let curr = startNodeId;
-    let prev = null;
-    
-    for(let i = 0; i < data.points.length * 2; i++) {
-       const neighbors = adj.get(curr);
-       if (!neighbors) break;
-
-       const next = neighbors.find(n => n !== prev);
-       
-       if (next === startNodeId && path.length > 2) {
-          break; 
-       }
-
-       if (next && !visited.has(next)) {
-         visited.add(next);
-         path.push(next);
-         prev = curr;
-         curr = next;
-       } else {
-         break; 
-       }
-    }
-
-    if (path.length < 3) return null;
-
-    const pathPoints = path.map(id => data.points.find(p => p.id === id)).filter(p => !!p);
-    if (pathPoints.length !== path.length) return null;
-
-    s.moveTo(pathPoints[0].x / PIXELS_PER_METER, -pathPoints[0].y / PIXELS_PER_METER);
-    for (let i = 1; i < pathPoints.length; i++) {
-      s.lineTo(pathPoints[i].x / PIXELS_PER_METER, -pathPoints[i].y / PIXELS_PER_METER);
+    const s = new THREE.Shape();
+    s.moveTo(outline[0].x / PIXELS_PER_METER, -outline[0].y / PIXELS_PER_METER);
+    for (let i = 1; i < outline.length; i++) {
+      s.lineTo(outline[i].x / PIXELS_PER_METER, -outline[i].y / PIXELS_PER_METER);
     }
     s.closePath();
     return s;
@@ -254,13 +255,93 @@ const FloorMesh = ({ data, enableShadows = true }) => {
   if (!shape) return null;
 
   return (
-    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.01, 0]} receiveShadow={false}>
+    <mesh name="floor" rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.01, 0]} receiveShadow={false}>
       <shapeGeometry args={[shape]} />
       <meshStandardMaterial color="#f3f4f6" side={THREE.DoubleSide} />
     </mesh>
   );
 };
 
+// Height of the room where nothing else says: the ceiling, or else its tallest wall
+const getRoomHeight = (data) => {
+  if (data.ceiling && data.ceiling.shape !== 'none' && data.ceiling.height > 0) return data.ceiling.height;
+  return data.walls.length > 0 ? Math.max(...data.walls.map(w => w.height || DEFAULT_WALL_HEIGHT)) : DEFAULT_WALL_HEIGHT;
+};
+
+const columnMaterial = new THREE.MeshStandardMaterial({ color: '#e2e8f0', roughness: 0.6 });
+
+// Freestanding column from the floor up
+const ColumnMesh = ({ column, roomHeight }) => {
+  const size = column.size / PIXELS_PER_METER;
+  const height = column.height > 0 ? column.height : roomHeight;
+  return (
+    <mesh
+      name={`column-${column.id}`}
+      userData={{ floorplanType: 'column', id: column.id }}
+      position={[column.x / PIXELS_PER_METER, height / 2, column.y / PIXELS_PER_METER]}
+      rotation={[0, -((column.rotation || 0) * Math.PI) / 180, 0]}
+      material={columnMaterial}
+    >
+      {column.shape === 'square'
+        ? <boxGeometry args={[size, height, size]} />
+        : <cylinderGeometry args={[size / 2, size / 2, height, 24]} />}
+    </mesh>
+  );
+};
+
+const platformMaterial = new THREE.MeshStandardMaterial({ color: '#d6d3d1', roughness: 0.7 });
+
+// Raised platform (solid from the floor) or mezzanine (a slab at its floor height)
+const FloorZoneMesh = ({ zone }) => {
+  const { geometry, baseY } = useMemo(() => {
+    if (!zone.points || zone.points.length < 3 || !(zone.elevation > 0)) return {};
+    const shape = new THREE.Shape();
+    shape.moveTo(zone.points[0].x / PIXELS_PER_METER, -zone.points[0].y / PIXELS_PER_METER);
+    zone.points.slice(1).forEach(p => shape.lineTo(p.x / PIXELS_PER_METER, -p.y / PIXELS_PER_METER));
+    shape.closePath();
+    const depth = zone.kind === 'mezzanine' ? Math.min(MEZZANINE_THICKNESS, zone.elevation) : zone.elevation;
+    return {
+      geometry: new THREE.ExtrudeGeometry(shape, { depth, bevelEnabled: false }),
+      baseY: zone.elevation - depth,
+    };
+  }, [zone]);
+
+  if (!geometry) return null;
+  return (
+    <mesh
+      name={`floor-zone-${zone.id}`}
+      userData={{ floorplanType: 'floorZone', id: zone.id, kind: zone.kind, elevation: zone.elevation }}
+      geometry={geometry}
+      material={platformMaterial}
+      rotation={[-Math.PI / 2, 0, 0]}
+      position={[0, baseY, 0]}
+    />
+  );
+};
+
+const ceilingMaterial = new THREE.MeshStandardMaterial({ color: '#fafaf9', roughness: 0.9 });
+
+const CeilingMesh = ({ data }) => {
+  const geometry = useMemo(() => {
+    const outline = getRoomOutline(data);
+    if (!outline) return null;
+    return buildCeilingGeometry(
+      outline.map(p => ({ x: p.x / PIXELS_PER_METER, z: p.y / PIXELS_PER_METER })),
+      data.ceiling
+    );
+  }, [data]);
+
+  if (!geometry) return null;
+  return (
+    <mesh
+      name="ceiling"
+      userData={{ floorplanType: 'ceiling', ...data.ceiling }}
+      geometry={geometry}
+      material={ceilingMaterial}
+    />
+  );
+};
+
 // Corner post material
 const cornerPostMaterial = new THREE.MeshStandardMaterial({ color: "#64748b" });
 
@@ -309,10 +390,22 @@ const SceneExporter = ({ onExportRef, onExport, data }) => {
               // If onExport callback is provided, call it with the blob and floorplan data
               if (onExport) {
                 const blob = new Blob([result], { type: 'model/gltf-binary' });
+                // Where the floorplan ended up inside the model, so the designer can map
+                // walls, columns and stages onto the placed venue
+                const box = new THREE.Box3().setFromObject(roomContent);
+                const modelFrame = {
+                  offsetX: roomContent.position.x,
+                  offsetZ: roomContent.position.z,
+                  bounds: {
+                    minX: box.min.x, maxX: box.max.x,
+                    minY: box.min.y, maxY: box.max.y,
+                    minZ: box.min.z, maxZ: box.max.z,
+                  },
+                };
                 onExport({
                   glbBlob: blob,
                   glbFileName: 'venue-model.glb',
-                  floorplan: data // Include full floorplan data with doors, windows, stages
+                  floorplan: { ...data, modelFrame } // Include full floorplan data with doors, windows, stages
                 });
               } else {
                 // Otherwise, download directly
@@ -374,6 +467,8 @@ const SceneContent = ({ data, cameraDistance = 20, onDistanceChange }) => {
     }).filter(Boolean);
   }, [data.walls, data.points, data.doors, data.windows]);
 
+  const roomHeight = useMemo(() => getRoomHeight(data), [data]);
+
   // Pre-compute point connections
   const pointConnections = useMemo(() => {
     return data.points.map(p => {
@@ -415,7 +510,16 @@ const SceneContent = ({ data, cameraDistance = 20, onDistanceChange }) => {
           <CornerPost key={point.id} x={point.x} y={point.y} walls={walls} cameraDistance={cameraDistance} />
         ))}
 
+        {(data.columns || []).map(column => (
+          <ColumnMesh key={column.id} column={column} roomHeight={roomHeight} />
+        ))}
+
+        {(data.floorZones || []).map(zone => (
+          <FloorZoneMesh key={zone.id} zone={zone} />
+        ))}
+
         <FloorMesh data={data} enableShadows={false} />
+        {data.ceiling && <CeilingMesh data={data} />}
       </group>
 
       <Grid infiniteGrid sectionSize={5} cellColor="#334155" sectionColor="#475569" fadeDistance={50} />
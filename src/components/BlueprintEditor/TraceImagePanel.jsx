@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Box, Button, FormControlLabel, Slider, Switch, TextField, Typography } from '@mui/material';
+import { PIXELS_PER_METER } from './constants';
+
+const captionSx = { fontSize: '0.75rem', color: '#666' };
+const inputSx = { width: 64, '& .MuiOutlinedInput-root': { bgcolor: '#ffffff', fontSize: '0.75rem', height: 28 } };
+const sliderSx = { color: '#e16789', py: 1 };
+
+/**
+ * Settings of the trace-over image: opacity, rotation, size and lock, and the two-point
+ * calibration that sets its real-world scale.
+ */
+const TraceImagePanel = ({ underlay, onChange, onRemove, calibration, onStartCalibration, onApplyCalibration, onCancelCalibration }) => {
+  const [widthInput, setWidthInput] = useState('');
+  const [distanceInput, setDistanceInput] = useState('');
+
+  useEffect(() => {
+    setWidthInput((underlay.width / PIXELS_PER_METER).toFixed(2));
+  }, [underlay.width]);
+
+  useEffect(() => {
+    if (calibration.pointCount < 2) setDistanceInput('');
+  }, [calibration.pointCount]);
+
+  const applyWidth = () => {
+    const meters = parseFloat(widthInput);
+    if (!(meters > 0)) {
+      setWidthInput((underlay.width / PIXELS_PER_METER).toFixed(2));
+      return;
+    }
+    const width = meters * PIXELS_PER_METER;
+    if (Math.abs(width - underlay.width) < 0.01) return;
+    onChange({ width, height: (underlay.height * width) / underlay.width }, true);
+  };
+
+  const applyDistance = (e) => {
+    e.preventDefault();
+    const meters = parseFloat(distanceInput);
+    if (meters > 0) onApplyCalibration(meters);
+  };
+
+  return (
+    <Box sx={{
+      bgcolor: '#f8f9fa',
+      p: 1.5,
+      borderRadius: 2,
+      border: '1px solid #e0e0e0',
+      boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+      pointerEvents: 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: 1,
+      width: 220
+    }}>
+      <Typography variant="caption" sx={{ fontSize: '0.7rem', color: '#666', fontWeight: 700, textTransform: 'uppercase', mb: 0.5 }}>
+        Trace Image
+      </Typography>
+
+      {calibration.active ? (
+        <>
+          <Typography variant="caption" sx={captionSx}>
+            {calibration.pointCount === 0 && 'Click the start of something whose length you know, such as a wall.'}
+            {calibration.pointCount === 1 && 'Now click its other end.'}
+            {calibration.pointCount === 2 && 'How long is it in real life?'}
+          </Typography>
+          {calibration.pointCount === 2 && (
+            <Box component="form" onSubmit={applyDistance} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <TextField type="number" inputProps={{ step: 0.1, min: 0 }} value={distanceInput} autoFocus
+                onChange={(e) => setDistanceInput(e.target.value)} size="small" sx={inputSx} />
+              <Typography variant="caption" sx={captionSx}>m</Typography>
+              <Button type="submit" size="small" disabled={!(parseFloat(distanceInput) > 0)}
+                sx={{ textTransform: 'none', color: '#e16789', ml: 'auto' }}>
+                Apply
+              </Button>
+            </Box>
+          )}
+          <Button size="small" onClick={onCancelCalibration} sx={{ textTransform: 'none', color: '#666' }}>
+            Cancel
+          </Button>
+        </>
+      ) : (
+        <>
+          <Box>
+            <Typography variant="caption" sx={captionSx}>Opacity: {Math.round(underlay.opacity * 100)}%</Typography>
+            <Slider size="small" min={0.1} max={1} step={0.05} value={underlay.opacity} sx={sliderSx}
+              onChange={(e, value) => onChange({ opacity: value }, false)} />
+          </Box>
+          <Box>
+            <Typography variant="caption" sx={captionSx}>Rotation: {Math.round(underlay.rotation)}°</Typography>
+            <Slider size="small" min={-180} max={180} step={0.5} value={underlay.rotation} sx={sliderSx}
+              onChange={(e, value) => onChange({ rotation: value }, false)} />
+          </Box>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+            <Typography variant="caption" sx={captionSx}>Width:</Typography>
+            <Box component="form" onSubmit={(e) => { e.preventDefault(); applyWidth(); }} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <TextField type="number" inputProps={{ step: 0.1 }} value={widthInput}
+                onChange={(e) => setWidthInput(e.target.value)} onBlur={applyWidth} size="small" sx={inputSx} />
+              <Typography variant="caption" sx={captionSx}>m</Typography>
+            </Box>
+          </Box>
+          <FormControlLabel
+            control={<Switch size="small" checked={!!underlay.locked} onChange={(e) => onChange({ locked: e.target.checked }, true)} />}
+            label={<Typography variant="caption" sx={captionSx}>Lock in place</Typography>}
+          />
+          <Button size="small" variant="outlined" onClick={onStartCalibration}
+            sx={{ textTransform: 'none', color: '#e16789', borderColor: '#e16789' }}>
+            Calibrate Scale
+          </Button>
+          <Button size="small" color="error" onClick={onRemove} sx={{ textTransform: 'none' }}>
+            Remove Image
+          </Button>
+        </>
+      )}
+    </Box>
+  );
+};
+
+TraceImagePanel.propTypes = {
+  underlay: PropTypes.shape({
+    width: PropTypes.number.isRequired,
+    height: PropTypes.number.isRequired,
+    rotation: PropTypes.number.isRequired,
+    opacity: PropTypes.number.isRequired,
+    locked: PropTypes.bool,
+  }).isRequired,
+  // Called with the changed underlay fields and whether to save an undo step first
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  calibration: PropTypes.shape({
+    active: PropTypes.bool.isRequired,
+    pointCount: PropTypes.number.isRequired,
+  }).isRequired,
+  onStartCalibration: PropTypes.func.isRequired,
+  // Called with the real distance in meters between the two picked points
+  onApplyCalibration: PropTypes.func.isRequired,
+  onCancelCalibration: PropTypes.func.isRequired,
+};
+
+export default TraceImagePanel;
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+/**
+ * Ceiling surface over a room outline
+ *
+ * The outline is cut into a grid of small cells so vaults and domes can rise across
+ * the room while still ending exactly on its walls, whatever its shape. Faces point
+ * down, so the ceiling is seen from inside the room and is see-through from above.
+ */
+
+// Cells per side of the room for curved ceilings
+const CURVED_CELLS = 24;
+
+// Sutherland-Hodgman clip of a polygon to one side of an axis-aligned line
+const clipToEdge = (polygon, axis, limit, keepBelow) => {
+  const inside = (point) => (keepBelow ? point[axis] <= limit : point[axis] >= limit);
+  const result = [];
+  polygon.forEach((current, i) => {
+    const previous = polygon[(i + polygon.length - 1) % polygon.length];
+    if (inside(current) !== inside(previous)) {
+      const t = (limit - previous[axis]) / (current[axis] - previous[axis]);
+      result.push({ x: previous.x + (current.x - previous.x) * t, z: previous.z + (current.z - previous.z) * t });
+    }
+    if (inside(current)) result.push(current);
+  });
+  return result;
+};
+
+const clipToCell = (polygon, minX, maxX, minZ, maxZ) => {
+  let clipped = clipToEdge(polygon, 'x', minX, false);
+  if (clipped.length > 2) clipped = clipToEdge(clipped, 'x', maxX, true);
+  if (clipped.length > 2) clipped = clipToEdge(clipped, 'z', minZ, false);
+  if (clipped.length > 2) clipped = clipToEdge(clipped, 'z', maxZ, true);
+  return clipped;
+};
+
+/**
+ * Height of the ceiling above a point of the room
+ * @param {Object} ceiling - { shape, height, rise, axis }
+ * @param {Object} bounds - { minX, maxX, minZ, maxZ } of the room, meters
+ */
+export const getCeilingHeightAt = (ceiling, bounds, x, z) => {
+  const rise = Math.max(0, Number(ceiling.rise) || 0);
+  const halfWidth = (bounds.maxX - bounds.minX) / 2 || 1;
+  const halfDepth = (bounds.maxZ - bounds.minZ) / 2 || 1;
+  const u = (x - (bounds.minX + halfWidth)) / halfWidth;
+  const v = (z - (bounds.minZ + halfDepth)) / halfDepth;
+  if (ceiling.shape === 'vaulted') {
+    // The vault runs along its axis and curves across the room
+    const across = ceiling.axis === 'y' ? u : v;
+    return ceiling.height + rise * Math.sqrt(Math.max(0, 1 - across * across));
+  }
+  if (ceiling.shape === 'dome') {
+    return ceiling.height + rise * Math.sqrt(Math.max(0, 1 - u * u - v * v));
+  }
+  return ceiling.height;
+};
+
+/**
+ * Ceiling geometry for a room
+ * @param {Array} outline - [{ x, z }] room outline in meters
+ * @param {Object} ceiling - { shape, height, rise, axis }
+ * @returns {THREE.BufferGeometry|null}
+ */
+export const buildCeilingGeometry = (outline, ceiling) => {
+  if (!outline || outline.length < 3 || !ceiling || ceiling.shape === 'none' || !(ceiling.height > 0)) return null;
+
+  const bounds = {
+    minX: Math.min(...outline.map(p => p.x)),
+    maxX: Math.max(...outline.map(p => p.x)),
+    minZ: Math.min(...outline.map(p => p.z)),
+    maxZ: Math.max(...outline.map(p => p.z)),
+  };
+  const cells = ceiling.shape === 'flat' ? 1 : CURVED_CELLS;
+  const cellWidth = (bounds.maxX - bounds.minX) / cells;
+  const cellDepth = (bounds.maxZ - bounds.minZ) / cells;
+
+  const positions = [];
+  for (let i = 0; i < cells; i++) {
+    for (let j = 0; j < cells; j++) {
+      const piece = clipToCell(
+        outline,
+        bounds.minX + i * cellWidth,
+        bounds.minX + (i + 1) * cellWidth,
+        bounds.minZ + j * cellDepth,
+        bounds.minZ + (j + 1) * cellDepth
+      );
+      if (piece.length < 3) continue;
+      const contour = piece.map(p => new THREE.Vector2(p.x, p.z));
+      THREE.ShapeUtils.triangulateShape(contour, []).forEach(triangle => {
+        const [a, b, c] = triangle.map(index => piece[index]);
+        // Wind each triangle so it faces down into the room
+        const cross = (b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x);
+        [a, ...(cross > 0 ? [b, c] : [c, b])].forEach(p => {
+          positions.push(p.x, getCeilingHeightAt(ceiling, bounds, p.x, p.z), p.z);
+        });
+      });
+    }
+  }
+  if (positions.length === 0) return null;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+};
@@ -21,3 +21,23 @@ export const WALL_TEXTURES = [
   { id: 'wood', name: 'Wood Panel', color: '#a05a2c', roughness: 0.6 },
   { id: 'dark', name: 'Dark Slate', color: '#334155', roughness: 0.7 },
 ];
+
+export const DEFAULT_COLUMN_SIZE = 12; // 0.6 meters across
+export const COLUMN_SHAPES = [
+  { id: 'round', name: 'Round' },
+  { id: 'square', name: 'Square' },
+];
+
+export const FLOOR_ZONE_KINDS = [
+  { id: 'platform', name: 'Raised Platform', defaultElevation: 0.6 },
+  { id: 'mezzanine', name: 'Mezzanine', defaultElevation: 3 },
+];
+export const MEZZANINE_THICKNESS = 0.3; // meters
+
+export const CEILING_SHAPES = [
+  { id: 'none', name: 'Open (no ceiling)' },
+  { id: 'flat', name: 'Flat' },
+  { id: 'vaulted', name: 'Vaulted' },
+  { id: 'dome', name: 'Dome' },
+];
+export const DEFAULT_CEILING = { shape: 'none', height: DEFAULT_WALL_HEIGHT, rise: 2, axis: 'x' };
@@ -0,0 +1,538 @@
+/**
+ * Floorplan import from CAD drawings
+ *
+ * Reads DXF (LINE, LWPOLYLINE and POLYLINE entities) and SVG (path, line, polyline,
+ * polygon and rect elements) into straight line segments, then turns them into the
+ * editor's points and walls at PIXELS_PER_METER. Curves are imported as straight
+ * lines between their end points.
+ *
+ * Doors and windows are found where a wall line stops and carries on along the same
+ * line after a gap: a gap with a line drawn inside it (glazing) becomes a window, an
+ * empty gap of door width becomes a door. Openings drawn with jambs or swing arcs
+ * attached to the wall ends are left as gaps.
+ */
+
+import {
+  PIXELS_PER_METER,
+  DEFAULT_WALL_HEIGHT,
+  DEFAULT_DOOR_HEIGHT,
+  DEFAULT_WINDOW_HEIGHT,
+  DEFAULT_WINDOW_ELEVATION,
+} from './constants';
+
+export const DRAWING_UNITS = [
+  { id: 'mm', label: 'Millimeters', metres: 0.001 },
+  { id: 'cm', label: 'Centimeters', metres: 0.01 },
+  { id: 'm', label: 'Meters', metres: 1 },
+  { id: 'in', label: 'Inches', metres: 0.0254 },
+  { id: 'ft', label: 'Feet', metres: 0.3048 },
+  { id: 'px', label: `Editor pixels (${PIXELS_PER_METER} per meter)`, metres: 1 / PIXELS_PER_METER },
+];
+
+// The floorplan service accepts at most this many walls
+export const MAX_IMPORTED_WALLS = 2000;
+
+// Distances in meters
+const ENDPOINT_TOLERANCE = 0.02;
+const MIN_WALL_LENGTH = 0.05;
+const LINE_TOLERANCE = 0.05;
+const MIN_OPENING = 0.5;
+const MAX_DOOR = 2.5;
+const MAX_WINDOW = 4;
+const GLAZING_CORRIDOR = 0.4;
+const PARALLEL_COS = Math.cos((3 * Math.PI) / 180);
+
+// Imported drawings are placed this far (pixels) from the editor's origin
+const IMPORT_MARGIN = 40;
+
+// DXF $INSUNITS codes
+const DXF_UNITS = { 1: 'in', 2: 'ft', 4: 'mm', 5: 'cm', 6: 'm' };
+
+const generateId = () => Math.random().toString(36).substr(2, 9);
+
+// --- DXF ---
+
+const readDxfPairs = (text) => {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    pairs.push({ code: parseInt(lines[i], 10), value: lines[i + 1].trim() });
+  }
+  return pairs;
+};
+
+const polylineSegments = (vertices, closed, layer) => {
+  const segments = [];
+  for (let i = 0; i + 1 < vertices.length; i += 1) {
+    segments.push({ a: vertices[i], b: vertices[i + 1], layer });
+  }
+  if (closed && vertices.length > 2) {
+    segments.push({ a: vertices[vertices.length - 1], b: vertices[0], layer });
+  }
+  return segments;
+};
+
+/**
+ * Line segments of a DXF drawing
+ * @param {String} text - ASCII DXF file contents
+ * @returns {{ segments: Array, unit: String|null, flipY: Boolean }}
+ */
+export const parseDxf = (text) => {
+  const pairs = readDxfPairs(text);
+  if (!pairs.some((pair) => pair.code === 0 && pair.value === 'SECTION')) {
+    throw new Error('This file is not an ASCII DXF drawing');
+  }
+
+  let unit = null;
+  let section = null;
+  const entities = [];
+  for (let i = 0; i < pairs.length; i += 1) {
+    const { code, value } = pairs[i];
+    if (code === 0 && value === 'SECTION') {
+      section = pairs[i + 1]?.code === 2 ? pairs[i + 1].value : null;
+    } else if (code === 0 && value === 'ENDSEC') {
+      section = null;
+    } else if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+      unit = DXF_UNITS[parseInt(pairs[i + 1]?.value, 10)] || null;
+    } else if (section === 'ENTITIES') {
+      if (code === 0) {
+        entities.push({ type: value, pairs: [] });
+      } else if (entities.length > 0) {
+        entities[entities.length - 1].pairs.push({ code, value });
+      }
+    }
+  }
+
+  const segments = [];
+  let openPolyline = null;
+  entities.forEach(({ type, pairs: fields }) => {
+    const layer = fields.find((field) => field.code === 8)?.value || '0';
+    const number = (fieldCode) => parseFloat(fields.find((field) => field.code === fieldCode)?.value) || 0;
+
+    if (type === 'LINE') {
+      segments.push({ a: { x: number(10), y: number(20) }, b: { x: number(11), y: number(21) }, layer });
+    } else if (type === 'LWPOLYLINE') {
+      const vertices = [];
+      fields.forEach((field) => {
+        if (field.code === 10) vertices.push({ x: parseFloat(field.value) || 0, y: 0 });
+        if (field.code === 20 && vertices.length > 0) vertices[vertices.length - 1].y = parseFloat(field.value) || 0;
+      });
+      segments.push(...polylineSegments(vertices, (number(70) & 1) === 1, layer));
+    } else if (type === 'POLYLINE') {
+      openPolyline = { vertices: [], closed: (number(70) & 1) === 1, layer };
+    } else if (type === 'VERTEX' && openPolyline) {
+      openPolyline.vertices.push({ x: number(10), y: number(20) });
+    } else if (type === 'SEQEND' && openPolyline) {
+      segments.push(...polylineSegments(openPolyline.vertices, openPolyline.closed, openPolyline.layer));
+      openPolyline = null;
+    }
+  });
+
+  // CAD drawings have y pointing up; the editor's y points down
+  return { segments, unit, flipY: true };
+};
+
+// --- SVG ---
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5],
+];
+
+const apply = (m, point) => ({ x: m[0] * point.x + m[2] * point.y + m[4], y: m[1] * point.x + m[3] * point.y + m[5] });
+
+const parseNumbers = (text) => (text.match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+
+const parseTransform = (text) => {
+  let matrix = IDENTITY;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match = pattern.exec(text || '');
+  while (match) {
+    const args = parseNumbers(match[2]);
+    let next = IDENTITY;
+    if (match[1] === 'matrix' && args.length === 6) {
+      next = args;
+    } else if (match[1] === 'translate') {
+      next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+    } else if (match[1] === 'scale') {
+      next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+    } else if (match[1] === 'rotate') {
+      const angle = ((args[0] || 0) * Math.PI) / 180;
+      const [cx, cy] = [args[1] || 0, args[2] || 0];
+      next = multiply(
+        multiply([1, 0, 0, 1, cx, cy], [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]),
+        [1, 0, 0, 1, -cx, -cy]
+      );
+    } else if (match[1] === 'skewX') {
+      next = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+    } else if (match[1] === 'skewY') {
+      next = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+    }
+    matrix = multiply(matrix, next);
+    match = pattern.exec(text);
+  }
+  return matrix;
+};
+
+// Number of arguments each path command takes
+const PATH_ARGS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+// Polylines of an SVG path's `d`; curves become straight lines to their end points
+const pathPolylines = (d) => {
+  const tokens = d.match(/[MLHVCSQTAZ]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const polylines = [];
+  let current = null;
+  let position = { x: 0, y: 0 };
+  let start = position;
+  let command = null;
+  let i = 0;
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) {
+      command = tokens[i];
+      i += 1;
+    } else if (!command) {
+      break;
+    }
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    if (upper === 'Z') {
+      if (current && current.length > 1) current.push({ ...start });
+      position = start;
+      current = null;
+      command = null;
+      continue;
+    }
+    const args = tokens.slice(i, i + PATH_ARGS[upper]).map(Number);
+    if (args.length < PATH_ARGS[upper]) break;
+    i += PATH_ARGS[upper];
+
+    let next;
+    if (upper === 'H') {
+      next = { x: relative ? position.x + args[0] : args[0], y: position.y };
+    } else if (upper === 'V') {
+      next = { x: position.x, y: relative ? position.y + args[0] : args[0] };
+    } else {
+      const [x, y] = args.slice(-2);
+      next = relative ? { x: position.x + x, y: position.y + y } : { x, y };
+    }
+
+    if (upper === 'M') {
+      current = [next];
+      polylines.push(current);
+      start = next;
+      // Further pairs after a move are lines
+      command = relative ? 'l' : 'L';
+    } else {
+      if (!current) {
+        current = [position];
+        polylines.push(current);
+      }
+      current.push(next);
+    }
+    position = next;
+  }
+  return polylines;
+};
+
+const LENGTH_IN_METRES = { mm: 0.001, cm: 0.01, in: 0.0254, pt: 0.0254 / 72, pc: 0.0254 / 6 };
+
+// Meters per user unit when the drawing states a real-world width and a viewBox
+const svgUnit = (svg) => {
+  const match = /^\s*([\d.]+)\s*(mm|cm|in|pt|pc)\s*$/.exec(svg.getAttribute('width') || '');
+  const viewBox = parseNumbers(svg.getAttribute('viewBox') || '');
+  if (!match || viewBox.length !== 4 || !(viewBox[2] > 0)) return null;
+  return (parseFloat(match[1]) * LENGTH_IN_METRES[match[2]]) / viewBox[2];
+};
+
+/**
+ * Line segments of an SVG drawing. Layers are the top-level groups (their label or id).
+ * @param {String} text - SVG file contents
+ * @returns {{ segments: Array, unit: String|null, metresPerUnit: Number|null, flipY: Boolean }}
+ */
+export const parseSvg = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  const svg = doc.documentElement;
+  if (!svg || svg.nodeName.toLowerCase() !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('This file is not a valid SVG drawing');
+  }
+
+  const segments = [];
+  const walk = (element, matrix, layer) => {
+    const tag = element.nodeName.toLowerCase();
+    if (['defs', 'clippath', 'mask', 'pattern', 'symbol', 'text', 'metadata'].includes(tag)) return;
+    const elementMatrix = multiply(matrix, parseTransform(element.getAttribute('transform')));
+    const attr = (name) => parseFloat(element.getAttribute(name)) || 0;
+    const add = (points, closed) => {
+      const transformed = points.map((point) => apply(elementMatrix, point));
+      segments.push(...polylineSegments(transformed, closed, layer));
+    };
+
+    if (tag === 'line') {
+      add([{ x: attr('x1'), y: attr('y1') }, { x: attr('x2'), y: attr('y2') }], false);
+    } else if (tag === 'polyline' || tag === 'polygon') {
+      const numbers = parseNumbers(element.getAttribute('points') || '');
+      const points = [];
+      for (let i = 0; i + 1 < numbers.length; i += 2) points.push({ x: numbers[i], y: numbers[i + 1] });
+      add(points, tag === 'polygon');
+    } else if (tag === 'rect') {
+      const [x, y, width, height] = [attr('x'), attr('y'), attr('width'), attr('height')];
+      add([{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }], true);
+    } else if (tag === 'path') {
+      pathPolylines(element.getAttribute('d') || '').forEach((points) => add(points, false));
+    }
+
+    Array.from(element.children || []).forEach((child) => {
+      const childLayer =
+        element === svg && child.nodeName.toLowerCase() === 'g'
+          ? child.getAttribute('inkscape:label') || child.getAttribute('id') || layer
+          : layer;
+      walk(child, elementMatrix, childLayer);
+    });
+  };
+  walk(svg, IDENTITY, 'Drawing');
+
+  return { segments, unit: null, metresPerUnit: svgUnit(svg), flipY: false };
+};
+
+/**
+ * Parse an imported drawing by its file name
+ * @param {String} fileName
+ * @param {String} text
+ */
+export const parseDrawing = (fileName, text) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'dxf') return parseDxf(text);
+  if (extension === 'svg') return parseSvg(text);
+  throw new Error('Choose a .dxf or .svg file');
+};
+
+/**
+ * Layers of a drawing with how many lines each has
+ * @returns {Array} [{ name, count }]
+ */
+export const listLayers = (drawing) => {
+  const counts = new Map();
+  drawing.segments.forEach((segment) => counts.set(segment.layer, (counts.get(segment.layer) || 0) + 1));
+  return [...counts.entries()].map(([name, count]) => ({ name, count })).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// --- Walls and openings ---
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// Shares one point object between endpoints closer than the tolerance
+const createPointIndex = () => {
+  const cells = new Map();
+  const keyOf = (x, y) => `${x},${y}`;
+  return (point) => {
+    const cx = Math.round(point.x / ENDPOINT_TOLERANCE);
+    const cy = Math.round(point.y / ENDPOINT_TOLERANCE);
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dy = -1; dy <= 1; dy += 1) {
+        const found = (cells.get(keyOf(cx + dx, cy + dy)) || []).find((other) => distance(other, point) <= ENDPOINT_TOLERANCE);
+        if (found) return found;
+      }
+    }
+    const shared = { x: point.x, y: point.y };
+    const key = keyOf(cx, cy);
+    cells.set(key, [...(cells.get(key) || []), shared]);
+    return shared;
+  };
+};
+
+const unitVector = (from, to) => {
+  const length = distance(from, to) || 1;
+  return { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+};
+
+// Openings measured from the other end of a wall
+const reversedOpenings = (wall) =>
+  wall.openings.map((opening) => ({ ...opening, offset: distance(wall.a, wall.b) - opening.offset }));
+
+/**
+ * One pass of joining wall lines that carry on after a gap, recording the gap as a door or window.
+ * Walls are { a, b, openings } in meters with shared endpoint objects.
+ * @returns {Array|null} The walls after joining, or null when no gap was found
+ */
+const joinOpeningsOnce = (walls) => {
+  const degree = new Map();
+  walls.forEach((wall) => {
+    degree.set(wall.a, (degree.get(wall.a) || 0) + 1);
+    degree.set(wall.b, (degree.get(wall.b) || 0) + 1);
+  });
+
+  const cellOf = (point) => [Math.floor(point.x / MAX_WINDOW), Math.floor(point.y / MAX_WINDOW)];
+  const freeEnds = new Map();
+  walls.forEach((wall) => {
+    [
+      [wall.a, wall.b],
+      [wall.b, wall.a],
+    ].forEach(([end, other]) => {
+      if (degree.get(end) !== 1) return;
+      const key = cellOf(end).join(',');
+      freeEnds.set(key, [...(freeEnds.get(key) || []), { wall, end, other }]);
+    });
+  });
+
+  const consumed = new Set();
+  const joined = [];
+
+  // Nearest free end carrying on along the same line, within opening width
+  const findContinuation = (wall, end, direction) => {
+    const [cx, cy] = cellOf(end);
+    const nearby = [];
+    [-1, 0, 1].forEach((dx) => [-1, 0, 1].forEach((dy) => nearby.push(...(freeEnds.get(`${cx + dx},${cy + dy}`) || []))));
+    return nearby.reduce((best, candidate) => {
+      if (candidate.wall === wall || consumed.has(candidate.wall)) return best;
+      const gap = distance(end, candidate.end);
+      const along = (candidate.end.x - end.x) * direction.x + (candidate.end.y - end.y) * direction.y;
+      const across = Math.abs((candidate.end.x - end.x) * direction.y - (candidate.end.y - end.y) * direction.x);
+      const onward = unitVector(candidate.end, candidate.other);
+      const collinear =
+        along > 0 && across <= LINE_TOLERANCE && onward.x * direction.x + onward.y * direction.y >= PARALLEL_COS;
+      if (!collinear || gap < MIN_OPENING || gap > MAX_WINDOW || (best && best.gap <= gap)) return best;
+      return { ...candidate, gap };
+    }, null);
+  };
+
+  walls.forEach((wall) => {
+    if (consumed.has(wall)) return;
+    [
+      [wall.a, wall.b],
+      [wall.b, wall.a],
+    ].some(([end, other]) => {
+      if (degree.get(end) !== 1 || consumed.has(wall)) return false;
+      const direction = unitVector(other, end);
+      const next = findContinuation(wall, end, direction);
+      if (!next) return false;
+
+      // Lines drawn inside the gap, along the wall, are the glazing of a window
+      const glazing = walls.filter((line) => {
+        if (line === wall || line === next.wall || consumed.has(line)) return false;
+        return [line.a, line.b].every((point) => {
+          const along = (point.x - end.x) * direction.x + (point.y - end.y) * direction.y;
+          const across = Math.abs((point.x - end.x) * direction.y - (point.y - end.y) * direction.x);
+          return along >= -LINE_TOLERANCE && along <= next.gap + LINE_TOLERANCE && across <= GLAZING_CORRIDOR;
+        });
+      });
+      const type = glazing.length > 0 ? 'window' : next.gap <= MAX_DOOR ? 'door' : null;
+      if (!type) return false;
+
+      const firstLength = distance(other, end);
+      const firstOpenings = wall.a === other ? wall.openings : reversedOpenings(wall);
+      const secondOpenings = next.wall.a === next.end ? next.wall.openings : reversedOpenings(next.wall);
+      joined.push({
+        a: other,
+        b: next.other,
+        openings: [
+          ...firstOpenings,
+          { type, offset: firstLength + next.gap / 2, width: next.gap },
+          ...secondOpenings.map((opening) => ({ ...opening, offset: firstLength + next.gap + opening.offset })),
+        ],
+      });
+      consumed.add(wall);
+      consumed.add(next.wall);
+      glazing.forEach((line) => consumed.add(line));
+      return true;
+    });
+  });
+
+  if (consumed.size === 0) return null;
+  return [...walls.filter((wall) => !consumed.has(wall)), ...joined];
+};
+
+const joinOpenings = (walls) => {
+  let current = walls;
+  // A wall with several openings is joined one gap per pass
+  for (let pass = 0; pass < 20; pass += 1) {
+    const next = joinOpeningsOnce(current);
+    if (!next) break;
+    current = next;
+  }
+  return current;
+};
+
+/**
+ * Editor floorplan from a parsed drawing
+ * @param {Object} drawing - From parseDrawing
+ * @param {Object} options
+ * @param {Number} options.metresPerUnit - Real-world size of one drawing unit
+ * @param {Array} [options.layers] - Layer names to import (all when omitted)
+ * @param {Number} [options.wallThickness] - Meters
+ * @param {Boolean} [options.detectOpenings] - Turn wall gaps into doors and windows
+ * @returns {{ floorplan: Object, size: { width: Number, depth: Number }, doorCount: Number, windowCount: Number }}
+ */
+export const buildImportedFloorplan = (drawing, { metresPerUnit, layers, wallThickness = 0.5, detectOpenings = true }) => {
+  const layerSet = layers ? new Set(layers) : null;
+  const toMetres = (point) => ({
+    x: point.x * metresPerUnit,
+    y: (drawing.flipY ? -point.y : point.y) * metresPerUnit,
+  });
+  const sharedPoint = createPointIndex();
+
+  const seen = new Set();
+  let walls = [];
+  drawing.segments.forEach((segment) => {
+    if (layerSet && !layerSet.has(segment.layer)) return;
+    const a = sharedPoint(toMetres(segment.a));
+    const b = sharedPoint(toMetres(segment.b));
+    if (a === b || distance(a, b) < MIN_WALL_LENGTH) return;
+    // A line drawn twice is one wall
+    const key = [a, b].map((point) => `${point.x},${point.y}`).sort().join('|');
+    if (seen.has(key)) return;
+    seen.add(key);
+    walls.push({ a, b, openings: [] });
+  });
+
+  if (detectOpenings) {
+    walls = joinOpenings(walls);
+  }
+
+  const usedPoints = [...new Set(walls.flatMap((wall) => [wall.a, wall.b]))];
+  const minX = Math.min(...usedPoints.map((point) => point.x));
+  const minY = Math.min(...usedPoints.map((point) => point.y));
+  const maxX = Math.max(...usedPoints.map((point) => point.x));
+  const maxY = Math.max(...usedPoints.map((point) => point.y));
+  const toPixels = (value) => Math.round(value * PIXELS_PER_METER * 100) / 100;
+
+  const pointIds = new Map();
+  const points = usedPoints.map((point) => {
+    const id = generateId();
+    pointIds.set(point, id);
+    return { id, x: toPixels(point.x - minX) + IMPORT_MARGIN, y: toPixels(point.y - minY) + IMPORT_MARGIN };
+  });
+
+  const doors = [];
+  const windows = [];
+  const editorWalls = walls.map((wall) => {
+    const id = generateId();
+    wall.openings.forEach((opening) => {
+      const base = { id: generateId(), wallId: id, offset: toPixels(opening.offset), width: toPixels(opening.width) };
+      if (opening.type === 'door') {
+        doors.push({ ...base, height: DEFAULT_DOOR_HEIGHT });
+      } else {
+        windows.push({ ...base, height: DEFAULT_WINDOW_HEIGHT, heightFromGround: DEFAULT_WINDOW_ELEVATION });
+      }
+    });
+    return {
+      id,
+      startPointId: pointIds.get(wall.a),
+      endPointId: pointIds.get(wall.b),
+      thickness: toPixels(wallThickness),
+      height: DEFAULT_WALL_HEIGHT,
+    };
+  });
+
+  return {
+    floorplan: { points, walls: editorWalls, doors, windows, stages: [] },
+    size: usedPoints.length > 0 ? { width: maxX - minX, depth: maxY - minY } : { width: 0, depth: 0 },
+    doorCount: doors.length,
+    windowCount: windows.length,
+  };
+};
@@ -0,0 +1,184 @@
+import { parseDxf, parseSvg, parseDrawing, listLayers, buildImportedFloorplan } from './floorplanImport';
+import { PIXELS_PER_METER } from './constants';
+
+const dxf = (...pairs) => pairs.map(([code, value]) => `${code}\n${value}`).join('\n');
+
+const DXF_DRAWING = dxf(
+  [0, 'SECTION'],
+  [2, 'HEADER'],
+  [9, '$INSUNITS'],
+  [70, 4],
+  [0, 'ENDSEC'],
+  [0, 'SECTION'],
+  [2, 'ENTITIES'],
+  [0, 'LINE'],
+  [8, 'Walls'],
+  [10, 0],
+  [20, 0],
+  [11, 5],
+  [21, 0],
+  [0, 'LWPOLYLINE'],
+  [8, 'Walls'],
+  [70, 1],
+  [10, 0],
+  [20, 0],
+  [10, 1],
+  [20, 0],
+  [10, 1],
+  [20, 1],
+  [0, 'POLYLINE'],
+  [8, 'Outline'],
+  [70, 0],
+  [0, 'VERTEX'],
+  [10, 0],
+  [20, 0],
+  [0, 'VERTEX'],
+  [10, 2],
+  [20, 2],
+  [0, 'SEQEND'],
+  [0, 'ENDSEC'],
+  [0, 'EOF']
+);
+
+const SVG_DRAWING = `<svg xmlns="http://www.w3.org/2000/svg" width="200mm" viewBox="0 0 200 100">
+  <g id="Walls" transform="translate(10 20)"><rect x="0" y="0" width="100" height="50" /></g>
+  <g id="Notes"><line x1="0" y1="0" x2="5" y2="0" /><text>Bar</text></g>
+  <path d="M0 0 h10 v10 z" />
+</svg>`;
+
+// A 6 m x 4 m room drawn in meters, with extra segments for each case
+const roomDrawing = (extraSegments, layer = 'Walls') => ({
+  segments: [
+    ...extraSegments,
+    { a: { x: 6, y: 0 }, b: { x: 6, y: 4 } },
+    { a: { x: 6, y: 4 }, b: { x: 0, y: 4 } },
+    { a: { x: 0, y: 4 }, b: { x: 0, y: 0 } },
+  ].map((segment) => ({ layer, ...segment })),
+  unit: 'm',
+  flipY: false,
+});
+
+const FRONT_WALL = [{ a: { x: 0, y: 0 }, b: { x: 6, y: 0 } }];
+// The front wall stops at 2 m and carries on at 3 m
+const FRONT_WALL_WITH_GAP = [
+  { a: { x: 0, y: 0 }, b: { x: 2, y: 0 } },
+  { a: { x: 3, y: 0 }, b: { x: 6, y: 0 } },
+];
+
+describe('parseDxf', () => {
+  it('reads lines, closed polylines and old-style polylines with their layers', () => {
+    const drawing = parseDxf(DXF_DRAWING);
+
+    expect(drawing.unit).toBe('mm');
+    expect(drawing.flipY).toBe(true);
+    expect(drawing.segments).toHaveLength(5);
+    expect(drawing.segments[0]).toEqual({ a: { x: 0, y: 0 }, b: { x: 5, y: 0 }, layer: 'Walls' });
+    // The closed LWPOLYLINE goes back to its first vertex
+    expect(drawing.segments[3]).toEqual({ a: { x: 1, y: 1 }, b: { x: 0, y: 0 }, layer: 'Walls' });
+    expect(drawing.segments[4]).toEqual({ a: { x: 0, y: 0 }, b: { x: 2, y: 2 }, layer: 'Outline' });
+  });
+
+  it('rejects files that are not ASCII DXF', () => {
+    expect(() => parseDxf('not a drawing')).toThrow('This file is not an ASCII DXF drawing');
+  });
+});
+
+describe('parseSvg', () => {
+  it('reads shapes through their transforms, using top-level groups as layers', () => {
+    const drawing = parseSvg(SVG_DRAWING);
+
+    expect(drawing.flipY).toBe(false);
+    expect(drawing.metresPerUnit).toBeCloseTo(0.001);
+    const walls = drawing.segments.filter((segment) => segment.layer === 'Walls');
+    expect(walls).toHaveLength(4);
+    expect(walls[0]).toEqual({ a: { x: 10, y: 20 }, b: { x: 110, y: 20 }, layer: 'Walls' });
+    // Text is skipped; the path's relative moves and closing edge become lines
+    expect(listLayers(drawing)).toEqual([
+      { name: 'Drawing', count: 3 },
+      { name: 'Notes', count: 1 },
+      { name: 'Walls', count: 4 },
+    ]);
+  });
+
+  it('rejects malformed SVG', () => {
+    expect(() => parseSvg('<svg><g></svg>')).toThrow('This file is not a valid SVG drawing');
+  });
+});
+
+describe('parseDrawing', () => {
+  it('picks the parser by file extension', () => {
+    expect(parseDrawing('plan.DXF', DXF_DRAWING).unit).toBe('mm');
+    expect(parseDrawing('plan.svg', SVG_DRAWING).segments).toHaveLength(8);
+    expect(() => parseDrawing('plan.dwg', '')).toThrow('Choose a .dxf or .svg file');
+  });
+});
+
+describe('buildImportedFloorplan', () => {
+  it('turns segments into walls in editor pixels, joining shared corners', () => {
+    const { floorplan, size, doorCount } = buildImportedFloorplan(roomDrawing(FRONT_WALL), { metresPerUnit: 1 });
+
+    expect(size).toEqual({ width: 6, depth: 4 });
+    expect(doorCount).toBe(0);
+    expect(floorplan.points).toHaveLength(4);
+    expect(floorplan.walls).toHaveLength(4);
+    const xs = floorplan.points.map((point) => point.x);
+    const ys = floorplan.points.map((point) => point.y);
+    expect(Math.max(...xs) - Math.min(...xs)).toBe(6 * PIXELS_PER_METER);
+    expect(Math.max(...ys) - Math.min(...ys)).toBe(4 * PIXELS_PER_METER);
+    expect(floorplan.walls[0].thickness).toBe(0.5 * PIXELS_PER_METER);
+  });
+
+  it('imports a line drawn twice as one wall and skips unselected layers', () => {
+    const drawing = roomDrawing([...FRONT_WALL, { a: { x: 6, y: 0 }, b: { x: 0, y: 0 } }]);
+    drawing.segments.push({ a: { x: 1, y: 1 }, b: { x: 2, y: 1 }, layer: 'Furniture' });
+
+    expect(buildImportedFloorplan(drawing, { metresPerUnit: 1 }).floorplan.walls).toHaveLength(5);
+    expect(buildImportedFloorplan(drawing, { metresPerUnit: 1, layers: ['Walls'] }).floorplan.walls).toHaveLength(4);
+  });
+
+  it('turns an empty gap of door width into a door on the joined wall', () => {
+    const { floorplan, doorCount, windowCount } = buildImportedFloorplan(roomDrawing(FRONT_WALL_WITH_GAP), {
+      metresPerUnit: 1,
+    });
+
+    expect(doorCount).toBe(1);
+    expect(windowCount).toBe(0);
+    expect(floorplan.walls).toHaveLength(4);
+    expect(floorplan.doors[0]).toMatchObject({ offset: 2.5 * PIXELS_PER_METER, width: PIXELS_PER_METER });
+    expect(floorplan.walls.map((wall) => wall.id)).toContain(floorplan.doors[0].wallId);
+  });
+
+  it('turns a gap with glazing drawn inside it into a window', () => {
+    const glazing = { a: { x: 2.1, y: 0.1 }, b: { x: 2.9, y: 0.1 } };
+    const { floorplan, doorCount, windowCount } = buildImportedFloorplan(
+      roomDrawing([...FRONT_WALL_WITH_GAP, glazing]),
+      { metresPerUnit: 1 }
+    );
+
+    expect(windowCount).toBe(1);
+    expect(doorCount).toBe(0);
+    // The glazing line is part of the window, not a wall of its own
+    expect(floorplan.walls).toHaveLength(4);
+    expect(floorplan.windows[0]).toMatchObject({ offset: 2.5 * PIXELS_PER_METER, width: PIXELS_PER_METER });
+  });
+
+  it('leaves gaps alone when opening detection is off', () => {
+    const { floorplan, doorCount } = buildImportedFloorplan(roomDrawing(FRONT_WALL_WITH_GAP), {
+      metresPerUnit: 1,
+      detectOpenings: false,
+    });
+
+    expect(doorCount).toBe(0);
+    expect(floorplan.walls).toHaveLength(5);
+  });
+
+  it('scales drawing units and flips CAD drawings so y points down', () => {
+    const drawing = parseDxf(DXF_DRAWING);
+    const { size, floorplan } = buildImportedFloorplan(drawing, { metresPerUnit: 1000, layers: ['Outline'] });
+
+    expect(size).toEqual({ width: 2000, depth: 2000 });
+    // (0, 0) -> (2, 2) runs up and to the right in the drawing, so its right end is higher on screen
+    const [left, right] = [...floorplan.points].sort((a, b) => a.x - b.x);
+    expect(right.y).toBeLessThan(left.y);
+  });
+});
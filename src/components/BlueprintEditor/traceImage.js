@@ -0,0 +1,107 @@
+/**
+ * Trace-over images for the floorplan editor
+ *
+ * A floor plan image (scan, photo or RoomSketcher export) shown under the drawing so
+ * walls can be traced over it. It is kept on the floorplan as `underlay`:
+ * { src, cx, cy, width, height, rotation, opacity, locked }, with its centre and size
+ * in editor pixels and rotation in degrees, so it comes back when the floorplan is reopened.
+ */
+
+import { PIXELS_PER_METER } from './constants';
+
+// Longest side of uploaded images, so the floorplan stays small enough to save
+const MAX_IMAGE_SIZE = 1600;
+
+// Images start this wide (meters) until they are calibrated
+const INITIAL_WIDTH_METERS = 40;
+
+export const DEFAULT_UNDERLAY_OPACITY = 0.5;
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|bmp)$/i;
+
+export const isImagePath = (path) => IMAGE_EXTENSIONS.test(path || '');
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The image could not be loaded'));
+    image.src = src;
+  });
+
+/**
+ * Read an image file as a data URL, scaled down to at most MAX_IMAGE_SIZE pixels
+ * @param {File} file
+ * @returns {Promise<{ src: String, naturalWidth: Number, naturalHeight: Number }>}
+ */
+export const readImageFile = async (file) => {
+  if (!file.type.startsWith('image/')) {
+    throw new Error('Choose a PNG, JPG or WebP image');
+  }
+  const objectUrl = URL.createObjectURL(file);
+  try {
+    const image = await loadImage(objectUrl);
+    const factor = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * factor);
+    canvas.height = Math.round(image.naturalHeight * factor);
+    const context = canvas.getContext('2d');
+    // Transparent areas of PNGs would otherwise turn black in the JPEG
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return { src: canvas.toDataURL('image/jpeg', 0.8), naturalWidth: canvas.width, naturalHeight: canvas.height };
+  } finally {
+    URL.revokeObjectURL(objectUrl);
+  }
+};
+
+/**
+ * Size of an image at a URL
+ * @param {String} src
+ * @returns {Promise<{ src: String, naturalWidth: Number, naturalHeight: Number }>}
+ */
+export const readImageUrl = async (src) => {
+  const image = await loadImage(src);
+  return { src, naturalWidth: image.naturalWidth, naturalHeight: image.naturalHeight };
+};
+
+/**
+ * New underlay centred on a point of the drawing
+ * @param {Object} image - From readImageFile / readImageUrl
+ * @param {{ x: Number, y: Number }} center - Editor pixels
+ */
+export const createUnderlay = (image, center) => {
+  const width = INITIAL_WIDTH_METERS * PIXELS_PER_METER;
+  return {
+    src: image.src,
+    cx: center.x,
+    cy: center.y,
+    width,
+    height: (width * image.naturalHeight) / image.naturalWidth,
+    rotation: 0,
+    opacity: DEFAULT_UNDERLAY_OPACITY,
+    locked: false,
+  };
+};
+
+/**
+ * Underlay scaled so the distance between two points picked on it is a real-world length
+ * @param {Object} underlay
+ * @param {{ x: Number, y: Number }} first - Picked points, in editor pixels
+ * @param {{ x: Number, y: Number }} second
+ * @param {Number} meters - Real distance between the points
+ * @returns {Object} The scaled underlay (the first point stays where it is)
+ */
+export const calibrateUnderlay = (underlay, first, second, meters) => {
+  const measured = Math.hypot(second.x - first.x, second.y - first.y);
+  if (!(measured > 0) || !(meters > 0)) return underlay;
+  const factor = (meters * PIXELS_PER_METER) / measured;
+  return {
+    ...underlay,
+    cx: first.x + (underlay.cx - first.x) * factor,
+    cy: first.y + (underlay.cy - first.y) * factor,
+    width: underlay.width * factor,
+    height: underlay.height * factor,
+  };
+};
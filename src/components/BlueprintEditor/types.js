@@ -20,6 +20,7 @@ export const Wall = {
   thickness: Number, // in pixels
   height: Number,    // in meters
   texture: String,  // Texture ID (optional)
+  bulge: Number,    // Curved walls: how far the middle of the arc sits from the straight line, in pixels (optional, signed)
 };
 
 // Door interface
@@ -53,6 +54,34 @@ export const Stage = {
   color: String, // Hex color code (optional)
 };
 
+// Column interface (freestanding pillar)
+export const Column = {
+  id: String,
+  x: Number, // Center x
+  y: Number, // Center y
+  shape: String, // 'round' | 'square'
+  size: Number, // Diameter or side, pixels
+  height: Number, // meters (optional, defaults to the ceiling)
+  rotation: Number, // degrees, square columns
+};
+
+// FloorZone interface (raised platform or mezzanine level)
+export const FloorZone = {
+  id: String,
+  points: Array, // [{ x, y }] outline, pixels
+  kind: String, // 'platform' | 'mezzanine'
+  elevation: Number, // Height of its floor, meters
+  label: String, // (optional)
+};
+
+// Ceiling interface
+export const Ceiling = {
+  shape: String, // 'none' | 'flat' | 'vaulted' | 'dome'
+  height: Number, // Where the ceiling meets the walls, meters
+  rise: Number, // Extra height at the top of a vault or dome, meters
+  axis: String, // Direction a vault runs: 'x' | 'y'
+};
+
 // FloorplanData interface
 export const FloorplanData = {
   points: Array,
@@ -60,5 +89,8 @@ export const FloorplanData = {
   doors: Array,
   windows: Array,
   stages: Array,
+  columns: Array,
+  floorZones: Array,
+  ceiling: Object, // (optional)
 };
 
@@ -0,0 +1,186 @@
+/**
+ * Wall geometry shared by the 2D editor and the 3D model
+ *
+ * A wall runs straight from its start point to its end point unless it has a `bulge`:
+ * the signed distance (pixels) from the middle of the straight line to the middle of
+ * the arc, positive to the left when walking from start to end. Door and window offsets
+ * are measured along the wall, so along the arc for curved walls.
+ *
+ * The server keeps a CommonJS copy of getWallArc, sampleWall and getRoomOutline in
+ * server/services/venueLayoutService.js, to work out the designer's no-go zones from a
+ * saved floorplan. Change both together; wallGeometry.test.js checks they agree.
+ */
+
+const MIN_BULGE = 0.5;
+
+/**
+ * Circle the arc of a curved wall lies on, or null for straight walls
+ * @returns {{ cx: Number, cy: Number, radius: Number, startAngle: Number, sweep: Number }|null}
+ * sweep is signed: positive when the angle grows from start to end (clockwise on screen)
+ */
+export const getWallArc = (start, end, bulge) => {
+  const chord = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!bulge || Math.abs(bulge) < MIN_BULGE || chord < 1) return null;
+
+  // A semicircle is as curved as a wall between two points gets
+  const sagitta = Math.min(Math.abs(bulge), chord / 2);
+  const side = Math.sign(bulge);
+  const normal = { x: (end.y - start.y) / chord, y: -(end.x - start.x) / chord };
+  const radius = (chord * chord) / 4 / (2 * sagitta) + sagitta / 2;
+  const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const cx = mid.x + normal.x * side * (sagitta - radius);
+  const cy = mid.y + normal.y * side * (sagitta - radius);
+
+  const startAngle = Math.atan2(start.y - cy, start.x - cx);
+  const span = 4 * Math.atan((2 * sagitta) / chord);
+  // Go the way round that passes through the bulge
+  const apex = { x: mid.x + normal.x * side * sagitta, y: mid.y + normal.y * side * sagitta };
+  const halfway = startAngle + span / 2;
+  const forward = Math.hypot(cx + radius * Math.cos(halfway) - apex.x, cy + radius * Math.sin(halfway) - apex.y);
+  const sweep = forward < radius * 0.01 + 0.01 ? span : -span;
+
+  return { cx, cy, radius, startAngle, sweep };
+};
+
+/**
+ * Length of a wall along its line or arc, in pixels
+ */
+export const getWallLength = (start, end, bulge) => {
+  const arc = getWallArc(start, end, bulge);
+  if (!arc) return Math.hypot(end.x - start.x, end.y - start.y);
+  return arc.radius * Math.abs(arc.sweep);
+};
+
+/**
+ * Point at a distance along a wall, with the wall's direction there (radians)
+ * @returns {{ x: Number, y: Number, angle: Number }}
+ */
+export const getPointOnWall = (start, end, bulge, offset) => {
+  const arc = getWallArc(start, end, bulge);
+  if (!arc) {
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    return { x: start.x + Math.cos(angle) * offset, y: start.y + Math.sin(angle) * offset, angle };
+  }
+  const theta = arc.startAngle + (Math.sign(arc.sweep) * offset) / arc.radius;
+  return {
+    x: arc.cx + arc.radius * Math.cos(theta),
+    y: arc.cy + arc.radius * Math.sin(theta),
+    angle: theta + (Math.sign(arc.sweep) * Math.PI) / 2,
+  };
+};
+
+/**
+ * Nearest point of a wall to a position
+ * @returns {{ distance: Number, offset: Number, x: Number, y: Number, angle: Number }}
+ * offset is along the wall from its start point
+ */
+export const projectOntoWall = (start, end, bulge, position) => {
+  const arc = getWallArc(start, end, bulge);
+  let offset;
+  if (!arc) {
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    const ratio = length > 0
+      ? ((position.x - start.x) * (end.x - start.x) + (position.y - start.y) * (end.y - start.y)) / (length * length)
+      : 0;
+    offset = Math.max(0, Math.min(1, ratio)) * length;
+  } else {
+    const direction = Math.sign(arc.sweep);
+    const turn = Math.atan2(position.y - arc.cy, position.x - arc.cx) - arc.startAngle;
+    // Angle travelled from the start point, 0..2π in the wall's direction
+    const travelled = (((direction * turn) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    const span = Math.abs(arc.sweep);
+    // Past the end: snap to whichever end is closer round the circle
+    const clamped = travelled <= span ? travelled : (travelled - span < 2 * Math.PI - travelled ? span : 0);
+    offset = clamped * arc.radius;
+  }
+  const point = getPointOnWall(start, end, bulge, offset);
+  return { ...point, offset, distance: Math.hypot(position.x - point.x, position.y - point.y) };
+};
+
+/**
+ * Points along a wall from start to end, at most maxStep pixels apart on curves
+ * @returns {Array} [{ x, y }], the start and end points included
+ */
+export const sampleWall = (start, end, bulge, maxStep = 10) => {
+  const arc = getWallArc(start, end, bulge);
+  if (!arc) return [{ x: start.x, y: start.y }, { x: end.x, y: end.y }];
+  const length = arc.radius * Math.abs(arc.sweep);
+  // Also cap the turn per step, so tight curves stay round
+  const steps = Math.max(2, Math.ceil(length / maxStep), Math.ceil(Math.abs(arc.sweep) / (Math.PI / 24)));
+  const points = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const theta = arc.startAngle + (arc.sweep * i) / steps;
+    points.push({ x: arc.cx + arc.radius * Math.cos(theta), y: arc.cy + arc.radius * Math.sin(theta) });
+  }
+  return points;
+};
+
+/**
+ * SVG path of a wall's centre line
+ */
+export const getWallPath = (start, end, bulge) => {
+  const arc = getWallArc(start, end, bulge);
+  if (!arc) return `M ${start.x} ${start.y} L ${end.x} ${end.y}`;
+  return `M ${start.x} ${start.y} A ${arc.radius} ${arc.radius} 0 0 ${arc.sweep > 0 ? 1 : 0} ${end.x} ${end.y}`;
+};
+
+/**
+ * Outline of the room: the first closed loop of walls, with curved walls followed along their arcs
+ * @param {Object} data - Floorplan data
+ * @returns {Array|null} [{ x, y }] in pixels, not repeating the first point; null without a closed loop
+ */
+export const getRoomOutline = (data) => {
+  if (data.walls.length < 3) return null;
+
+  const adj = new Map();
+  data.walls.forEach(w => {
+    if (!adj.has(w.startPointId)) adj.set(w.startPointId, []);
+    if (!adj.has(w.endPointId)) adj.set(w.endPointId, []);
+    adj.get(w.startPointId).push(w.endPointId);
+    adj.get(w.endPointId).push(w.startPointId);
+  });
+
+  const startNodeId = Array.from(adj.keys()).find(k => adj.get(k).length >= 2);
+  if (!startNodeId) return null;
+
+  const path = [startNodeId];
+  const visited = new Set([startNodeId]);
+  let curr = startNodeId;
+  let prev = null;
+
+  for (let i = 0; i < data.points.length * 2; i++) {
+    const neighbors = adj.get(curr);
+    if (!neighbors) break;
+    const from = prev;
+    const next = neighbors.find(n => n !== from);
+    if (next === startNodeId && path.length > 2) break;
+    if (!next || visited.has(next)) break;
+    visited.add(next);
+    path.push(next);
+    prev = curr;
+    curr = next;
+  }
+
+  if (path.length < 3) return null;
+
+  const pointById = new Map(data.points.map(p => [p.id, p]));
+  if (path.some(id => !pointById.has(id))) return null;
+
+  const outline = [];
+  path.forEach((id, i) => {
+    const nextId = path[(i + 1) % path.length];
+    const a = pointById.get(id);
+    const b = pointById.get(nextId);
+    const wall = data.walls.find(w =>
+      (w.startPointId === id && w.endPointId === nextId) || (w.startPointId === nextId && w.endPointId === id));
+    if (!wall || !wall.bulge) {
+      outline.push({ x: a.x, y: a.y });
+      return;
+    }
+    const samples = wall.startPointId === id
+      ? sampleWall(a, b, wall.bulge)
+      : sampleWall(b, a, wall.bulge).reverse();
+    outline.push(...samples.slice(0, -1));
+  });
+  return outline;
+};
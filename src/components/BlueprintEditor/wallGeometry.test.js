@@ -0,0 +1,91 @@
+import { getRoomOutline, getWallLength, getPointOnWall, projectOntoWall } from './wallGeometry';
+import { PIXELS_PER_METER } from './constants';
+
+// The server works out no-go zones from its own copy of the wall geometry
+const { buildVenueLayout } = require('../../../server/services/venueLayoutService');
+
+// A frame the designer neither scales nor shifts, so layout meters are editor pixels / PIXELS_PER_METER
+const IDENTITY_FRAME = {
+  offsetX: 0,
+  offsetZ: 0,
+  bounds: { minX: -10, maxX: 10, minY: 0, maxY: 3, minZ: -10, maxZ: 10 },
+};
+
+const room = (bulges) => ({
+  points: [
+    { id: 'a', x: 0, y: 0 },
+    { id: 'b', x: 200, y: 0 },
+    { id: 'c', x: 200, y: 160 },
+    { id: 'd', x: 0, y: 160 },
+  ],
+  walls: [
+    { id: 'w1', startPointId: 'a', endPointId: 'b', bulge: bulges[0] },
+    // Drawn end to start, so the outline has to walk it backwards
+    { id: 'w2', startPointId: 'c', endPointId: 'b', bulge: bulges[1] },
+    { id: 'w3', startPointId: 'c', endPointId: 'd', bulge: bulges[2] },
+    { id: 'w4', startPointId: 'd', endPointId: 'a', bulge: bulges[3] },
+  ],
+  doors: [],
+  windows: [],
+});
+
+const serverOutline = (data) => buildVenueLayout({ ...data, modelFrame: IDENTITY_FRAME }).floor;
+const clientOutline = (data) =>
+  getRoomOutline(data).map((point) => ({ x: point.x / PIXELS_PER_METER, z: point.y / PIXELS_PER_METER }));
+
+const expectSameOutline = (data) => {
+  const server = serverOutline(data);
+  const client = clientOutline(data);
+  expect(server).toHaveLength(client.length);
+  server.forEach((point, i) => {
+    expect(point.x).toBeCloseTo(client[i].x, 6);
+    expect(point.z).toBeCloseTo(client[i].z, 6);
+  });
+};
+
+describe('wall geometry', () => {
+  test('straight walls follow the wall corners', () => {
+    expect(getRoomOutline(room([0, 0, 0, 0]))).toEqual([
+      { x: 0, y: 0 },
+      { x: 200, y: 0 },
+      { x: 200, y: 160 },
+      { x: 0, y: 160 },
+    ]);
+  });
+
+  test('a semicircular wall is half a circle long and passes through its bulge', () => {
+    const start = { x: 0, y: 0 };
+    const end = { x: 200, y: 0 };
+    expect(getWallLength(start, end, 100)).toBeCloseTo(100 * Math.PI, 6);
+    const middle = getPointOnWall(start, end, 100, getWallLength(start, end, 100) / 2);
+    // Positive bulges bow to the left of start -> end, which is -y on screen
+    expect(middle.x).toBeCloseTo(100, 6);
+    expect(middle.y).toBeCloseTo(-100, 6);
+  });
+
+  test('a bulge larger than half the chord is capped at a semicircle', () => {
+    expect(getWallLength({ x: 0, y: 0 }, { x: 200, y: 0 }, 500)).toBeCloseTo(100 * Math.PI, 6);
+  });
+
+  test('projecting a point finds its offset along a curved wall', () => {
+    const start = { x: 0, y: 0 };
+    const end = { x: 200, y: 0 };
+    const point = getPointOnWall(start, end, 40, 75);
+    // Step off the wall at right angles to it
+    const off = { x: point.x - 5 * Math.sin(point.angle), y: point.y + 5 * Math.cos(point.angle) };
+    const projected = projectOntoWall(start, end, 40, off);
+    expect(projected.offset).toBeCloseTo(75, 6);
+    expect(projected.distance).toBeCloseTo(5, 6);
+  });
+
+  describe('matches the server copy used for no-go zones', () => {
+    test.each([
+      ['straight walls', [0, 0, 0, 0]],
+      ['one curved wall', [30, 0, 0, 0]],
+      ['a wall drawn backwards that bows inwards', [0, -25, 0, 0]],
+      ['every wall curved', [20, 40, -15, 80]],
+    ])('%s', (_, bulges) => {
+      expectSameOutline(room(bulges));
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { buildTourPath, sampleTourPath } from './cameraTourPath';
+
+const VIDEO_FPS = 30;
+const FRAME_SEQUENCE_FPS = 12;
+const VIDEO_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+// How far ahead the camera looks when there are no orbit controls to take a target from
+const LOOK_DISTANCE = 5;
+
+const toPoint = (vector) => ({
+  x: Math.round(vector.x * 1000) / 1000,
+  y: Math.round(vector.y * 1000) / 1000,
+  z: Math.round(vector.z * 1000) / 1000,
+});
+
+/**
+ * Drives the canvas camera along saved camera tours. Lives inside the Canvas and hands the
+ * owner an API through onRegister:
+ * getCameraPose(), setCameraPose(pose), play(tour), recordVideo(tour) -> WebM Blob,
+ * captureFrames(tour, { onProgress }) -> [{ name, blob }] (null when stopped) and stop().
+ * The owner should disable its orbit controls while a tour runs. The camera returns to
+ * where it was once a tour ends.
+ */
+const CameraTourBridge = ({ onRegister }) => {
+  const { gl, scene, camera, controls } = useThree();
+  const playbackRef = useRef(null);
+  const cancelledRef = useRef(false);
+  const positionRef = useRef(new THREE.Vector3());
+  const targetRef = useRef(new THREE.Vector3());
+
+  useFrame((_, delta) => {
+    const playback = playbackRef.current;
+    if (!playback) return;
+    playback.elapsed = Math.min(playback.elapsed + delta, playback.path.duration);
+    playback.apply(playback.elapsed);
+    if (playback.elapsed >= playback.path.duration) {
+      playbackRef.current = null;
+      playback.resolve();
+    }
+  });
+
+  useEffect(() => {
+    if (!onRegister) return undefined;
+
+    const applyPose = (position, target) => {
+      camera.position.copy(position);
+      camera.lookAt(target);
+      if (controls?.target) {
+        controls.target.copy(target);
+      }
+    };
+
+    const getCameraPose = () => {
+      const target = controls?.target
+        ? controls.target.clone()
+        : camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(LOOK_DISTANCE).add(camera.position);
+      return { position: toPoint(camera.position), target: toPoint(target) };
+    };
+
+    const setCameraPose = (pose) => {
+      applyPose(
+        new THREE.Vector3(pose.position.x, pose.position.y, pose.position.z),
+        new THREE.Vector3(pose.target.x, pose.target.y, pose.target.z)
+      );
+      controls?.update?.();
+    };
+
+    const savePose = () => ({
+      position: camera.position.clone(),
+      quaternion: camera.quaternion.clone(),
+      target: controls?.target?.clone() || null,
+    });
+
+    const restorePose = (saved) => {
+      camera.position.copy(saved.position);
+      camera.quaternion.copy(saved.quaternion);
+      if (saved.target && controls?.target) {
+        controls.target.copy(saved.target);
+        controls.update?.();
+      }
+    };
+
+    const requirePath = (tour) => {
+      const path = buildTourPath(tour);
+      if (!path) {
+        throw new Error('A tour needs at least two camera positions');
+      }
+      return path;
+    };
+
+    // Resolves once the camera reaches the last keyframe (or stop() is called)
+    const runTour = (path) =>
+      new Promise((resolve) => {
+        const apply = (time) => {
+          sampleTourPath(path, time, positionRef.current, targetRef.current);
+          applyPose(positionRef.current, targetRef.current);
+        };
+        apply(0);
+        playbackRef.current = { path, elapsed: 0, apply, resolve };
+      });
+
+    const play = async (tour) => {
+      const path = requirePath(tour);
+      const saved = savePose();
+      try {
+        await runTour(path);
+      } finally {
+        restorePose(saved);
+      }
+    };
+
+    // Real-time capture of the canvas while the tour plays
+    const recordVideo = async (tour) => {
+      const path = requirePath(tour);
+      const mimeType =
+        typeof MediaRecorder !== 'undefined' && gl.domElement.captureStream
+          ? VIDEO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type))
+          : null;
+      if (!mimeType) {
+        throw new Error('This browser cannot record video. Export a frame sequence instead.');
+      }
+
+      const stream = gl.domElement.captureStream(VIDEO_FPS);
+      const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+      const chunks = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      const stopped = new Promise((resolve) => {
+        recorder.onstop = resolve;
+      });
+
+      const saved = savePose();
+      cancelledRef.current = false;
+      recorder.start();
+      try {
+        await runTour(path);
+      } finally {
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach((track) => track.stop());
+        restorePose(saved);
+      }
+      return cancelledRef.current ? null : new Blob(chunks, { type: 'video/webm' });
+    };
+
+    // Renders the tour frame by frame at a fixed rate, independent of the display's frame rate
+    const captureFrames = async (tour, { onProgress } = {}) => {
+      const path = requirePath(tour);
+      const frameCount = Math.floor(path.duration * FRAME_SEQUENCE_FPS) + 1;
+      const frames = [];
+      const saved = savePose();
+      cancelledRef.current = false;
+      try {
+        for (let index = 0; index < frameCount; index += 1) {
+          if (cancelledRef.current) return null;
+          sampleTourPath(path, index / FRAME_SEQUENCE_FPS, positionRef.current, targetRef.current);
+          applyPose(positionRef.current, targetRef.current);
+          gl.render(scene, camera);
+          const blob = await new Promise((resolve) => gl.domElement.toBlob(resolve, 'image/jpeg', 0.92));
+          frames.push({ name: `frame-${String(index + 1).padStart(5, '0')}.jpg`, blob });
+          onProgress?.((index + 1) / frameCount);
+        }
+      } finally {
+        restorePose(saved);
+      }
+      return frames;
+    };
+
+    const stop = () => {
+      cancelledRef.current = true;
+      const playback = playbackRef.current;
+      if (playback) {
+        playbackRef.current = null;
+        playback.resolve();
+      }
+    };
+
+    onRegister({ getCameraPose, setCameraPose, play, recordVideo, captureFrames, stop });
+    return () => {
+      stop();
+      onRegister(null);
+    };
+  }, [gl, scene, camera, controls, onRegister]);
+
+  return null;
+};
+
+CameraTourBridge.propTypes = {
+  onRegister: PropTypes.func,
+};
+
+CameraTourBridge.defaultProps = {
+  onRegister: undefined,
+};
+
+export default CameraTourBridge;
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Box, IconButton, LinearProgress, MenuItem, TextField, Tooltip, Typography } from '@mui/material';
+import { PlayArrow, Stop, Videocam, BurstMode } from '@mui/icons-material';
+import { getTourDuration } from './cameraTourPath';
+
+const STATUS_LABELS = {
+  playing: 'Playing tour',
+  recording: 'Recording video - keep this tab open',
+  capturing: 'Capturing frames',
+};
+
+/**
+ * Tour picker with play and export buttons, laid over a read-only 3D preview.
+ * Renders nothing when the design has no camera tours.
+ */
+const CameraTourControls = ({ tours, player }) => {
+  const [selectedId, setSelectedId] = useState(tours[0]?.id || '');
+  const selectedTour = tours.find((tour) => tour.id === selectedId) || tours[0] || null;
+
+  useEffect(() => {
+    if (!tours.some((tour) => tour.id === selectedId)) {
+      setSelectedId(tours[0]?.id || '');
+    }
+  }, [tours, selectedId]);
+
+  if (!selectedTour) return null;
+
+  const { status, progress, busy } = player;
+
+  return (
+    <Box
+      onPointerDown={(e) => e.stopPropagation()}
+      sx={{
+        position: 'absolute',
+        left: 16,
+        bottom: 16,
+        zIndex: 2,
+        width: 300,
+        p: 1.5,
+        borderRadius: 2,
+        backgroundColor: 'rgba(255, 255, 255, 0.95)',
+        boxShadow: '0 8px 24px rgba(15, 18, 35, 0.15)',
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <TextField
+          select
+          size="small"
+          label="Camera tour"
+          value={selectedTour.id}
+          onChange={(e) => setSelectedId(e.target.value)}
+          disabled={busy}
+          sx={{ flex: 1 }}
+        >
+          {tours.map((tour) => (
+            <MenuItem key={tour.id} value={tour.id}>
+              {tour.name} ({Math.round(getTourDuration(tour))}s)
+            </MenuItem>
+          ))}
+        </TextField>
+        {busy ? (
+          <Tooltip title="Stop">
+            <IconButton onClick={player.stop} sx={{ color: '#e16789' }}>
+              <Stop />
+            </IconButton>
+          </Tooltip>
+        ) : (
+          <>
+            <Tooltip title="Play tour">
+              <IconButton onClick={() => player.play(selectedTour)} sx={{ color: '#e16789' }}>
+                <PlayArrow />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Download as WebM video">
+              <IconButton onClick={() => player.exportVideo(selectedTour)}>
+                <Videocam />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Download as a frame sequence (ZIP of JPEG images)">
+              <IconButton onClick={() => player.exportFrames(selectedTour)}>
+                <BurstMode />
+              </IconButton>
+            </Tooltip>
+          </>
+        )}
+      </Box>
+      {busy && (
+        <Box sx={{ mt: 1 }}>
+          <Typography variant="caption" color="text.secondary">
+            {STATUS_LABELS[status]}
+          </Typography>
+          <LinearProgress
+            variant={status === 'capturing' ? 'determinate' : 'indeterminate'}
+            value={progress * 100}
+            sx={{ mt: 0.5, '& .MuiLinearProgress-bar': { backgroundColor: '#e16789' } }}
+          />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+CameraTourControls.propTypes = {
+  tours: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      keyframes: PropTypes.arrayOf(PropTypes.object).isRequired,
+    })
+  ),
+  player: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    progress: PropTypes.number.isRequired,
+    busy: PropTypes.bool.isRequired,
+    play: PropTypes.func.isRequired,
+    stop: PropTypes.func.isRequired,
+    exportVideo: PropTypes.func.isRequired,
+    exportFrames: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+CameraTourControls.defaultProps = {
+  tours: [],
+};
+
+export default CameraTourControls;
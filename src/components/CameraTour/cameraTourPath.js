@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+export const DEFAULT_KEYFRAME_DURATION = 3;
+
+// Seconds spent speeding up at the start of a tour and slowing down at the end
+const EASE_SECONDS = 1;
+
+const toVector = (point) => new THREE.Vector3(point?.x || 0, point?.y || 0, point?.z || 0);
+
+// Seconds from the start of the tour at which each keyframe is reached
+const getKeyframeTimes = (keyframes) => {
+  let elapsed = 0;
+  return keyframes.map((keyframe, index) => {
+    if (index > 0) {
+      elapsed += Number(keyframe.duration) || DEFAULT_KEYFRAME_DURATION;
+    }
+    return elapsed;
+  });
+};
+
+/**
+ * Total playback length of a tour in seconds
+ * @param {Object} tour - { keyframes: [{ position, target, duration }] }
+ * @returns {Number}
+ */
+export const getTourDuration = (tour) => {
+  const times = getKeyframeTimes(tour?.keyframes || []);
+  return times[times.length - 1] || 0;
+};
+
+/**
+ * Smooth camera path through a tour's keyframes. The camera position and the point it
+ * looks at each follow a Catmull-Rom curve, so the camera glides through every keyframe
+ * without stopping.
+ * @param {Object} tour - { keyframes: [{ position, target, duration }] }
+ * @returns {Object|null} Path for sampleTourPath, or null when the tour has fewer than two keyframes
+ */
+export function buildTourPath(tour) {
+  const keyframes = tour?.keyframes || [];
+  if (keyframes.length < 2) return null;
+
+  const times = getKeyframeTimes(keyframes);
+  return {
+    positions: new THREE.CatmullRomCurve3(keyframes.map((keyframe) => toVector(keyframe.position)), false, 'centripetal'),
+    targets: new THREE.CatmullRomCurve3(keyframes.map((keyframe) => toVector(keyframe.target)), false, 'centripetal'),
+    times,
+    duration: times[times.length - 1],
+  };
+}
+
+// Trapezoid speed profile: ramps up over the first EASE_SECONDS and down over the last,
+// while the tour still ends at its full duration
+const easeTourTime = (time, duration) => {
+  const ramp = Math.min(EASE_SECONDS, duration / 4);
+  if (ramp <= 0) return time;
+  const speed = duration / (duration - ramp);
+  if (time < ramp) return (speed * time * time) / (2 * ramp);
+  if (time > duration - ramp) return duration - (speed * (duration - time) ** 2) / (2 * ramp);
+  return speed * (time - ramp / 2);
+};
+
+/**
+ * Camera pose at a moment of the tour
+ * @param {Object} path - From buildTourPath
+ * @param {Number} time - Seconds from the start (clamped to the tour)
+ * @param {THREE.Vector3} position - Receives the camera position
+ * @param {THREE.Vector3} target - Receives the point the camera looks at
+ */
+export function sampleTourPath(path, time, position, target) {
+  const { times, duration } = path;
+  const eased = easeTourTime(Math.min(Math.max(time, 0), duration), duration);
+
+  let segment = 0;
+  while (segment < times.length - 2 && eased > times[segment + 1]) {
+    segment += 1;
+  }
+  const segmentLength = times[segment + 1] - times[segment];
+  const local = segmentLength > 0 ? (eased - times[segment]) / segmentLength : 1;
+  // getPoint (not getPointAt) reaches keyframe i at exactly i / (n - 1)
+  const curveT = Math.min((segment + local) / (times.length - 1), 1);
+
+  path.positions.getPoint(curveT, position);
+  path.targets.getPoint(curveT, target);
+}
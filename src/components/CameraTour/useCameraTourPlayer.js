@@ -0,0 +1,98 @@
+import { useCallback, useRef, useState } from 'react';
+import { createZipArchive } from '../../utils/zipArchive';
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const toFileName = (tour) =>
+  (tour?.name || 'camera-tour')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'camera-tour';
+
+/**
+ * Playback and export state for a CameraTourBridge.
+ * status is 'idle', 'playing', 'recording' (WebM) or 'capturing' (frame sequence);
+ * progress (0-1) is reported while capturing frames.
+ * @param {Function} onError - Called with a message when a tour cannot be played or exported
+ */
+export function useCameraTourPlayer({ onError } = {}) {
+  const bridgeRef = useRef(null);
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState(0);
+
+  const registerBridge = useCallback((bridge) => {
+    bridgeRef.current = bridge;
+  }, []);
+
+  const run = useCallback(
+    async (nextStatus, task) => {
+      const bridge = bridgeRef.current;
+      if (!bridge) return;
+      setStatus(nextStatus);
+      setProgress(0);
+      try {
+        await task(bridge);
+      } catch (err) {
+        onError?.(err.message || 'Failed to play the camera tour');
+      } finally {
+        setStatus('idle');
+      }
+    },
+    [onError]
+  );
+
+  const play = useCallback((tour) => run('playing', (bridge) => bridge.play(tour)), [run]);
+
+  const exportVideo = useCallback(
+    (tour) =>
+      run('recording', async (bridge) => {
+        const video = await bridge.recordVideo(tour);
+        if (video) downloadBlob(video, `${toFileName(tour)}.webm`);
+      }),
+    [run]
+  );
+
+  const exportFrames = useCallback(
+    (tour) =>
+      run('capturing', async (bridge) => {
+        const frames = await bridge.captureFrames(tour, { onProgress: setProgress });
+        if (!frames) return;
+        const folder = toFileName(tour);
+        const files = await Promise.all(
+          frames.map(async (frame) => ({
+            name: `${folder}/${frame.name}`,
+            data: new Uint8Array(await frame.blob.arrayBuffer()),
+          }))
+        );
+        downloadBlob(createZipArchive(files), `${folder}-frames.zip`);
+      }),
+    [run]
+  );
+
+  const stop = useCallback(() => {
+    bridgeRef.current?.stop();
+  }, []);
+
+  const getCameraPose = useCallback(() => bridgeRef.current?.getCameraPose() || null, []);
+  const setCameraPose = useCallback((pose) => bridgeRef.current?.setCameraPose(pose), []);
+
+  return {
+    status,
+    progress,
+    busy: status !== 'idle',
+    registerBridge,
+    play,
+    stop,
+    exportVideo,
+    exportFrames,
+    getCameraPose,
+    setCameraPose,
+  };
+}
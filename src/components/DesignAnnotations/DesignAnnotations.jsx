@@ -0,0 +1,156 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { Html, Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { formatMeasurement, measureDistance, resolveAnchor, resolveAnnotations } from './annotationGeometry';
+import './DesignAnnotations.css';
+
+const LINE_COLOR = '#392e2a';
+const SELECTED_COLOR = '#e16789';
+// Notes float above the point they are pinned to
+const NOTE_HEIGHT = 1.2;
+
+const endGeometry = new THREE.SphereGeometry(0.06, 12, 12);
+const stopPropagation = (e) => e.stopPropagation();
+
+const toArray = (point) => [point.x, point.y, point.z];
+
+const DimensionLine = ({ start, end, label, selected, onSelect }) => {
+  const color = selected ? SELECTED_COLOR : LINE_COLOR;
+  const middle = [(start.x + end.x) / 2, Math.max(start.y, end.y) + 0.25, (start.z + end.z) / 2];
+
+  return (
+    <group>
+      <Line points={[toArray(start), toArray(end)]} color={color} lineWidth={2} />
+      <mesh geometry={endGeometry} position={toArray(start)}>
+        <meshBasicMaterial color={color} />
+      </mesh>
+      <mesh geometry={endGeometry} position={toArray(end)}>
+        <meshBasicMaterial color={color} />
+      </mesh>
+      <Html position={middle} center distanceFactor={28} zIndexRange={[20, 0]}>
+        <div
+          className={`design-annotation-dimension ${selected ? 'selected' : ''} ${onSelect ? 'interactive' : ''}`}
+          onPointerDown={onSelect ? stopPropagation : undefined}
+          onClick={onSelect}
+        >
+          <i className="fas fa-ruler" />
+          {formatMeasurement(measureDistance(start, end))}
+          {label && <em>{label}</em>}
+        </div>
+      </Html>
+    </group>
+  );
+};
+
+const NotePin = ({ position, note, selected, onSelect }) => {
+  const top = [position.x, position.y + NOTE_HEIGHT, position.z];
+
+  return (
+    <group>
+      <Line
+        points={[toArray(position), top]}
+        color={selected ? SELECTED_COLOR : LINE_COLOR}
+        lineWidth={1}
+        dashed
+        dashSize={0.1}
+        gapSize={0.06}
+      />
+      <Html position={top} center distanceFactor={28} zIndexRange={[20, 0]}>
+        <div
+          className={`design-annotation-note ${selected ? 'selected' : ''} ${onSelect ? 'interactive' : ''}`}
+          style={{ '--note-color': note.color }}
+          onPointerDown={onSelect ? stopPropagation : undefined}
+          onClick={onSelect}
+        >
+          {note.text || <span className="design-annotation-empty">Empty note</span>}
+        </div>
+      </Html>
+    </group>
+  );
+};
+
+/**
+ * A design's dimension lines and sticky notes (layoutData.annotations) in the 3D scene.
+ * Points tied to a placed element follow it. With onSelect, clicking a label selects it.
+ */
+const DesignAnnotations = ({ annotations, placements, selectedId, onSelect }) => {
+  const placementById = useMemo(() => new Map(placements.map((placement) => [placement.id, placement])), [placements]);
+  const { dimensions, notes } = resolveAnnotations(annotations);
+
+  return (
+    // Kept out of the designer's point picking so new points land on what is behind a label
+    <group userData={{ isAnnotation: true }}>
+      {dimensions.map((dimension) => (
+        <DimensionLine
+          key={dimension.id}
+          start={resolveAnchor(dimension.start, placementById)}
+          end={resolveAnchor(dimension.end, placementById)}
+          label={dimension.label}
+          selected={dimension.id === selectedId}
+          onSelect={onSelect ? () => onSelect(dimension.id) : undefined}
+        />
+      ))}
+      {notes.map((note) => (
+        <NotePin
+          key={note.id}
+          position={resolveAnchor(note.anchor, placementById)}
+          note={note}
+          selected={note.id === selectedId}
+          onSelect={onSelect ? () => onSelect(note.id) : undefined}
+        />
+      ))}
+    </group>
+  );
+};
+
+const POINT_SHAPE = PropTypes.shape({ x: PropTypes.number, y: PropTypes.number, z: PropTypes.number });
+
+DimensionLine.propTypes = {
+  start: POINT_SHAPE.isRequired,
+  end: POINT_SHAPE.isRequired,
+  label: PropTypes.string,
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func,
+};
+
+DimensionLine.defaultProps = {
+  label: '',
+  selected: false,
+  onSelect: undefined,
+};
+
+NotePin.propTypes = {
+  position: POINT_SHAPE.isRequired,
+  note: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    text: PropTypes.string,
+    color: PropTypes.string,
+  }).isRequired,
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func,
+};
+
+NotePin.defaultProps = {
+  selected: false,
+  onSelect: undefined,
+};
+
+DesignAnnotations.propTypes = {
+  annotations: PropTypes.shape({
+    dimensions: PropTypes.arrayOf(PropTypes.object),
+    notes: PropTypes.arrayOf(PropTypes.object),
+  }),
+  placements: PropTypes.arrayOf(PropTypes.object),
+  selectedId: PropTypes.string,
+  onSelect: PropTypes.func,
+};
+
+DesignAnnotations.defaultProps = {
+  annotations: null,
+  placements: [],
+  selectedId: null,
+  onSelect: undefined,
+};
+
+export default DesignAnnotations;
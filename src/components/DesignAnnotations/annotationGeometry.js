@@ -0,0 +1,93 @@
+// Must match MAX_DIMENSIONS and MAX_NOTES on the server
+export const MAX_DIMENSIONS = 50;
+export const MAX_NOTES = 50;
+
+export const NOTE_COLORS = ['#fde68a', '#fbcfe8', '#bfdbfe', '#bbf7d0'];
+
+// Height difference below which a measurement is treated as level
+const LEVEL_TOLERANCE = 0.3;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const toRadians = (degrees) => ((Number(degrees) || 0) * Math.PI) / 180;
+
+export const createAnnotationId = (prefix) =>
+  `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * layoutData.annotations with defaults filled in
+ * @param {Object} annotations - { dimensions, notes }
+ * @returns {{ dimensions: Array, notes: Array }}
+ */
+export const resolveAnnotations = (annotations) => ({
+  dimensions: Array.isArray(annotations?.dimensions) ? annotations.dimensions : [],
+  notes: Array.isArray(annotations?.notes) ? annotations.notes : [],
+});
+
+/**
+ * Anchor for a picked point. On a placed element, the point is also kept relative to the
+ * element (in its unrotated frame) so the anchor follows the element when it moves or turns.
+ * @param {{ x: Number, y: Number, z: Number }} point - World position
+ * @param {Object} [placement] - Placed element the point is on
+ * @returns {{ position: Object, elementId?: String, offset?: Object }}
+ */
+export const createAnchor = (point, placement) => {
+  const position = { x: round(point.x), y: round(point.y), z: round(point.z) };
+  if (!placement?.id) return { position };
+
+  const origin = placement.position || {};
+  const dx = position.x - (origin.x || 0);
+  const dz = position.z - (origin.z || 0);
+  const angle = toRadians(placement.rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    position,
+    elementId: placement.id,
+    offset: {
+      x: round(dx * cos - dz * sin),
+      y: round(position.y - (origin.y || 0)),
+      z: round(dx * sin + dz * cos),
+    },
+  };
+};
+
+/**
+ * Current world position of an anchor
+ * @param {Object} anchor - { position, elementId, offset }
+ * @param {Map<String, Object>} placementById - Placed elements by id
+ * @returns {{ x: Number, y: Number, z: Number }}
+ */
+export const resolveAnchor = (anchor, placementById) => {
+  const placement = anchor?.elementId ? placementById.get(anchor.elementId) : null;
+  if (!placement || !anchor.offset) {
+    return { x: anchor?.position?.x || 0, y: anchor?.position?.y || 0, z: anchor?.position?.z || 0 };
+  }
+
+  const origin = placement.position || {};
+  const { x, y, z } = anchor.offset;
+  const angle = toRadians(placement.rotation);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: (origin.x || 0) + x * cos + z * sin,
+    y: (origin.y || 0) + y,
+    z: (origin.z || 0) - x * sin + z * cos,
+  };
+};
+
+/**
+ * Distance between two points as a planner reads it: across the floor, plus the height
+ * difference when the points are not level
+ * @returns {{ horizontal: Number, vertical: Number }}
+ */
+export const measureDistance = (start, end) => ({
+  horizontal: Math.hypot(end.x - start.x, end.z - start.z),
+  vertical: Math.abs(end.y - start.y),
+});
+
+export const formatDistance = (meters) => (meters < 1 ? `${Math.round(meters * 100)} cm` : `${meters.toFixed(2)} m`);
+
+export const formatMeasurement = ({ horizontal, vertical }) =>
+  vertical > LEVEL_TOLERANCE
+    ? `${formatDistance(horizontal)} · ${formatDistance(vertical)} height`
+    : formatDistance(horizontal);
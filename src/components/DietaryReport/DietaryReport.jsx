@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  CircularProgress,
+} from '@mui/material';
+import { getDietaryReportCsv } from '../../lib/api';
+
+const formatTally = (entries) =>
+  entries.length > 0 ? entries.map((entry) => `${entry.label} (${entry.count})`).join(', ') : '—';
+
+const TallyChips = ({ label, entries, color }) => (
+  <Box sx={{ mb: 1.5 }}>
+    <Typography variant="body2" sx={{ mb: 0.5 }}>
+      {label}:
+    </Typography>
+    {entries.length === 0 ? (
+      <Typography variant="body2" color="text.secondary">
+        None recorded
+      </Typography>
+    ) : (
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.75 }}>
+        {entries.map((entry) => (
+          <Chip key={entry.label} label={`${entry.label} × ${entry.count}`} size="small" color={color} variant="outlined" />
+        ))}
+      </Box>
+    )}
+  </Box>
+);
+
+TallyChips.propTypes = {
+  label: PropTypes.string.isRequired,
+  entries: PropTypes.arrayOf(PropTypes.shape({ label: PropTypes.string, count: PropTypes.number })).isRequired,
+  color: PropTypes.string,
+};
+
+TallyChips.defaultProps = {
+  color: 'default',
+};
+
+/**
+ * Read-only dietary and allergy rollup of a catering booking's guests
+ * (counts only - guest names and contact details are never included).
+ */
+const DietaryReport = ({ bookingId, report, onError }) => {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownloadCsv = async () => {
+    try {
+      setDownloading(true);
+      const csv = await getDietaryReportCsv(bookingId);
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `dietary-report-${bookingId}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      onError?.(err.message || 'Failed to download dietary report');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const { totals, tables, unseated, pendingGuestCount } = report;
+
+  return (
+    <Box sx={{ mb: 3, p: 2, border: '1px solid #e0e0e0', borderRadius: 1, backgroundColor: '#fafafa' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1.5 }}>
+        <Typography variant="subtitle2" color="text.secondary">
+          Dietary &amp; Allergy Report
+        </Typography>
+        <Button
+          size="small"
+          variant="outlined"
+          onClick={handleDownloadCsv}
+          disabled={downloading}
+          startIcon={downloading ? <CircularProgress size={14} /> : null}
+          sx={{ textTransform: 'none' }}
+        >
+          Download CSV
+        </Button>
+      </Box>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1.5 }}>
+        <Typography variant="body2">Confirmed headcount:</Typography>
+        <Typography variant="body2" fontWeight="medium">
+          {totals.headcount}
+          {pendingGuestCount > 0 && ` (${pendingGuestCount} still awaiting RSVP)`}
+        </Typography>
+      </Box>
+
+      <TallyChips label="Meals" entries={totals.mealChoices} color="primary" />
+      <TallyChips label="Dietary requirements" entries={totals.dietaryRequirements} />
+      <TallyChips label="Allergies" entries={totals.allergies} color="error" />
+
+      {tables.length > 0 && (
+        <TableContainer sx={{ mt: 1 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Table</TableCell>
+                <TableCell align="right">Guests</TableCell>
+                <TableCell>Meals</TableCell>
+                <TableCell>Dietary</TableCell>
+                <TableCell>Allergies</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {tables.map((table) => (
+                <TableRow key={table.tableNumber}>
+                  <TableCell>Table {table.tableNumber}</TableCell>
+                  <TableCell align="right">{table.headcount}</TableCell>
+                  <TableCell>{formatTally(table.mealChoices)}</TableCell>
+                  <TableCell>{formatTally(table.dietaryRequirements)}</TableCell>
+                  <TableCell>{formatTally(table.allergies)}</TableCell>
+                </TableRow>
+              ))}
+              {unseated && unseated.headcount > 0 && (
+                <TableRow>
+                  <TableCell>Not seated yet</TableCell>
+                  <TableCell align="right">{unseated.headcount}</TableCell>
+                  <TableCell>{formatTally(unseated.mealChoices)}</TableCell>
+                  <TableCell>{formatTally(unseated.dietaryRequirements)}</TableCell>
+                  <TableCell>{formatTally(unseated.allergies)}</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+const tallyShape = PropTypes.shape({
+  headcount: PropTypes.number,
+  mealChoices: PropTypes.array,
+  dietaryRequirements: PropTypes.array,
+  allergies: PropTypes.array,
+});
+
+DietaryReport.propTypes = {
+  bookingId: PropTypes.string.isRequired,
+  report: PropTypes.shape({
+    pendingGuestCount: PropTypes.number,
+    totals: tallyShape.isRequired,
+    tables: PropTypes.arrayOf(tallyShape).isRequired,
+    unseated: tallyShape,
+  }).isRequired,
+  onError: PropTypes.func,
+};
+
+DietaryReport.defaultProps = {
+  onError: undefined,
+};
+
+export default DietaryReport;
@@ -0,0 +1,214 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import {
+  PAPER_SIZES,
+  PLAN_SCALES,
+  buildFloorPlan,
+  exportFloorPlan,
+  layoutFloorPlan,
+} from '../../utils/floorPlanExport';
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '';
+
+const toSlug = (text) =>
+  (text || 'venue')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+
+/**
+ * Export of the layout as a printable 2D plan (PDF or SVG) at a chosen paper size and scale:
+ * item footprints with names and table numbers, dimension lines and notes, a scale bar and
+ * the venue seen from above (from the canvas' PlanCaptureBridge) underneath.
+ */
+const FloorPlanExportDialog = ({ open, onClose, placements, tables, annotations, project, planBridgeRef }) => {
+  const [paper, setPaper] = useState('A3');
+  const [orientation, setOrientation] = useState('landscape');
+  const [scale, setScale] = useState('fit');
+  const [format, setFormat] = useState('pdf');
+  const [showLabels, setShowLabels] = useState(true);
+  const [showAnnotations, setShowAnnotations] = useState(true);
+  const [showVenue, setShowVenue] = useState(true);
+  const [venueBounds, setVenueBounds] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setVenueBounds(planBridgeRef?.current?.getVenueBounds() || null);
+      setError('');
+    }
+  }, [open, planBridgeRef]);
+
+  const plan = useMemo(
+    () => buildFloorPlan({ placements, tables, annotations, venueBounds }),
+    [placements, tables, annotations, venueBounds]
+  );
+  const layout = useMemo(() => layoutFloorPlan(plan, { paper, orientation, scale }), [plan, paper, orientation, scale]);
+
+  const handleExport = () => {
+    try {
+      const bridge = planBridgeRef?.current;
+      exportFloorPlan(plan, layout, {
+        format,
+        title: 'Floor plan',
+        subtitle: [project?.projectName, formatDate(project?.weddingDate), project?.venueName]
+          .filter(Boolean)
+          .join('  ·  '),
+        background: showVenue && bridge ? bridge.capture(layout.world) : null,
+        showLabels,
+        showAnnotations,
+        fileName: `floor-plan-${toSlug(project?.projectName || project?.venueName)}`,
+      });
+      onClose();
+    } catch (err) {
+      console.error('Error exporting floor plan:', err);
+      setError('Failed to export the floor plan');
+    }
+  };
+
+  const areaWidth = layout.world.maxX - layout.world.minX;
+  const areaDepth = layout.world.maxZ - layout.world.minZ;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Typography variant="h5" component="h2" sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>
+          Export floor plan
+        </Typography>
+        <IconButton onClick={onClose} size="small" aria-label="Close">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+            <TextField select size="small" label="Paper" value={paper} onChange={(e) => setPaper(e.target.value)}>
+              {Object.entries(PAPER_SIZES).map(([key, size]) => (
+                <MenuItem key={key} value={key}>
+                  {size.label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField select size="small" label="Scale" value={scale} onChange={(e) => setScale(e.target.value)}>
+              {PLAN_SCALES.map((option) => (
+                <MenuItem key={option} value={option}>
+                  {option === 'fit' ? 'Fit to page' : `1:${option}`}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={orientation}
+            onChange={(e, next) => next && setOrientation(next)}
+            fullWidth
+          >
+            <ToggleButton value="landscape">Landscape</ToggleButton>
+            <ToggleButton value="portrait">Portrait</ToggleButton>
+          </ToggleButtonGroup>
+
+          <ToggleButtonGroup exclusive size="small" value={format} onChange={(e, next) => next && setFormat(next)} fullWidth>
+            <ToggleButton value="pdf">PDF</ToggleButton>
+            <ToggleButton value="svg">SVG</ToggleButton>
+          </ToggleButtonGroup>
+
+          <Box sx={{ display: 'flex', flexDirection: 'column' }}>
+            <FormControlLabel
+              control={<Checkbox checked={showLabels} onChange={(e) => setShowLabels(e.target.checked)} />}
+              label="Item names and table numbers"
+            />
+            <FormControlLabel
+              control={<Checkbox checked={showAnnotations} onChange={(e) => setShowAnnotations(e.target.checked)} />}
+              label="Dimension lines and notes"
+            />
+            <FormControlLabel
+              control={<Checkbox checked={showVenue} onChange={(e) => setShowVenue(e.target.checked)} />}
+              label="Venue seen from above"
+            />
+          </Box>
+
+          <Typography variant="body2" color="text.secondary">
+            Prints at 1:{layout.scaleDenominator} - the page shows {Math.round(areaWidth)} m × {Math.round(areaDepth)} m
+            of the venue.
+          </Typography>
+
+          {!layout.fits && (
+            <Alert severity="warning">
+              The layout is bigger than {layout.paperLabel} at this scale, so its edges will be cut off. Choose a larger
+              paper or a smaller scale.
+            </Alert>
+          )}
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ p: 2, justifyContent: 'flex-end' }}>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleExport}
+          sx={{
+            bgcolor: 'primary.main',
+            '&:hover': { bgcolor: 'primary.dark' },
+            fontWeight: 600,
+          }}
+        >
+          Download {format.toUpperCase()}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+FloorPlanExportDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  placements: PropTypes.arrayOf(PropTypes.object),
+  // Seating plan tables, for table numbers
+  tables: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      tableNumber: PropTypes.number.isRequired,
+    })
+  ),
+  annotations: PropTypes.object,
+  project: PropTypes.shape({
+    projectName: PropTypes.string,
+    weddingDate: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+    venueName: PropTypes.string,
+  }),
+  // Ref to the API registered by PlanCaptureBridge
+  planBridgeRef: PropTypes.shape({ current: PropTypes.object }),
+};
+
+FloorPlanExportDialog.defaultProps = {
+  placements: [],
+  tables: [],
+  annotations: null,
+  project: null,
+  planBridgeRef: null,
+};
+
+export default FloorPlanExportDialog;
@@ -0,0 +1,101 @@
+import { useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+
+// Plans show the venue cut at this height, so roofs, beams and chandeliers don't hide the floor
+export const PLAN_CUT_HEIGHT = 3;
+export const PLAN_CAMERA_HEIGHT = 100;
+
+const CAPTURE_PIXELS_PER_METRE = 40;
+const MAX_CAPTURE_PIXELS = 3000;
+
+/**
+ * Renders the venue seen from above for printed plans. Lives inside the Canvas and hands the
+ * owner an API through onRegister:
+ * getVenueBounds() -> { minX, maxX, minZ, maxZ } of the venue model (null without one) and
+ * capture(world) -> PNG data URL of the venue floor area world ({ minX, maxX, minZ, maxZ }).
+ * Placed items and annotations are left out; plans draw them as vector shapes on top.
+ */
+const PlanCaptureBridge = ({ onRegister }) => {
+  const { gl, scene } = useThree();
+
+  useEffect(() => {
+    if (!onRegister) return undefined;
+
+    const getVenueBounds = () => {
+      const box = new THREE.Box3();
+      scene.traverse((object) => {
+        if (object.userData?.isVenue) box.expandByObject(object);
+      });
+      return box.isEmpty() ? null : { minX: box.min.x, maxX: box.max.x, minZ: box.min.z, maxZ: box.max.z };
+    };
+
+    const capture = (world) => {
+      const width = world.maxX - world.minX;
+      const depth = world.maxZ - world.minZ;
+      const pixelsPerMetre = Math.min(CAPTURE_PIXELS_PER_METRE, MAX_CAPTURE_PIXELS / Math.max(width, depth));
+      const camera = new THREE.OrthographicCamera(
+        -width / 2,
+        width / 2,
+        depth / 2,
+        -depth / 2,
+        PLAN_CAMERA_HEIGHT - PLAN_CUT_HEIGHT,
+        PLAN_CAMERA_HEIGHT + 10
+      );
+      const centerX = (world.minX + world.maxX) / 2;
+      const centerZ = (world.minZ + world.maxZ) / 2;
+      camera.position.set(centerX, PLAN_CAMERA_HEIGHT, centerZ);
+      // Top of the image is -z, like the plan view
+      camera.up.set(0, 0, -1);
+      camera.lookAt(centerX, 0, centerZ);
+      camera.updateMatrixWorld();
+
+      const hidden = [];
+      scene.traverse((object) => {
+        if (object.visible && (object.userData?.isPlacement || object.userData?.isAnnotation || object.isGridHelper)) {
+          hidden.push(object);
+        }
+      });
+      hidden.forEach((object) => {
+        object.visible = false;
+      });
+      const prevBackground = scene.background;
+      const prevFog = scene.fog;
+      scene.background = new THREE.Color('#ffffff');
+      scene.fog = null;
+      const prevSize = gl.getSize(new THREE.Vector2());
+      const prevPixelRatio = gl.getPixelRatio();
+
+      gl.setPixelRatio(1);
+      gl.setSize(Math.max(1, Math.round(width * pixelsPerMetre)), Math.max(1, Math.round(depth * pixelsPerMetre)), false);
+      gl.render(scene, camera);
+      const dataUrl = gl.domElement.toDataURL('image/png');
+
+      gl.setPixelRatio(prevPixelRatio);
+      gl.setSize(prevSize.x, prevSize.y, false);
+      scene.background = prevBackground;
+      scene.fog = prevFog;
+      hidden.forEach((object) => {
+        object.visible = true;
+      });
+
+      return dataUrl;
+    };
+
+    onRegister({ getVenueBounds, capture });
+    return () => onRegister(null);
+  }, [gl, scene, onRegister]);
+
+  return null;
+};
+
+PlanCaptureBridge.propTypes = {
+  onRegister: PropTypes.func,
+};
+
+PlanCaptureBridge.defaultProps = {
+  onRegister: undefined,
+};
+
+export default PlanCaptureBridge;
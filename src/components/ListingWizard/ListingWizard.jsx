@@ -84,6 +84,9 @@ const PRICING_POLICIES = {
   },
 };
 
+// Only per unit / per table quantities can follow the couple's confirmed guest count
+const isHeadcountPolicy = (pricingPolicy) => pricingPolicy === 'per_unit' || pricingPolicy === 'per_table';
+
 // Filter pricing policies based on category
 const getAvailablePricingPolicies = (category, availabilityType) => {
   // Venues should only have fixed_package
@@ -155,6 +158,9 @@ const ListingWizard = ({
     price: '',
     pricingPolicy: 'fixed_package',
     hourlyRate: '', // For time_based pricing
+    quantityFollowsHeadcount: false, // per_unit / per_table quantity driven by confirmed RSVPs
+    guestsPerUnit: '1',
+    maxOccupancy: '', // Venue only
     cancellationPolicy: '', // Cancellation policy text
     cancellationFeeTiers: { // Cancellation fee percentages
       '>90': 0,
@@ -201,6 +207,9 @@ const ListingWizard = ({
         price: initialData.price || '',
         pricingPolicy: initialData.pricingPolicy || 'fixed_package',
         hourlyRate: initialData.hourlyRate ? (typeof initialData.hourlyRate === 'string' ? initialData.hourlyRate : parseFloat(initialData.hourlyRate).toString()) : '',
+        quantityFollowsHeadcount: initialData.quantityFollowsHeadcount || false,
+        guestsPerUnit: initialData.guestsPerUnit ? initialData.guestsPerUnit.toString() : '1',
+        maxOccupancy: initialData.maxOccupancy ? initialData.maxOccupancy.toString() : '',
         cancellationPolicy: initialData.cancellationPolicy || '',
         cancellationFeeTiers: initialData.cancellationFeeTiers ? (
           typeof initialData.cancellationFeeTiers === 'string'
@@ -347,6 +356,9 @@ const ListingWizard = ({
           // If switching away from time_based, clear hourlyRate
           updated.hourlyRate = '';
         }
+        if (!isHeadcountPolicy(value)) {
+          updated.quantityFollowsHeadcount = false;
+        }
       }
       
       return updated;
@@ -398,6 +410,12 @@ const ListingWizard = ({
         if (!formData.price || parseFloat(formData.price) < 0) {
           errors.price = 'Please enter a valid price';
           errorMessage = 'Please enter a valid price';
+        } else if (formData.quantityFollowsHeadcount && !(parseInt(formData.guestsPerUnit, 10) >= 1)) {
+          errors.guestsPerUnit = 'Guests per unit must be at least 1';
+          errorMessage = 'Guests per unit must be at least 1';
+        } else if (formData.category === 'Venue' && formData.maxOccupancy && !(parseInt(formData.maxOccupancy, 10) >= 1)) {
+          errors.maxOccupancy = 'Maximum occupancy must be at least 1';
+          errorMessage = 'Maximum occupancy must be at least 1';
         }
       } else if (formData.pricingPolicy === 'time_based') {
         if (!formData.hourlyRate || parseFloat(formData.hourlyRate) <= 0) {
@@ -820,6 +838,63 @@ const ListingWizard = ({
                 </Box>
               )}
 
+              {/* Venue capacity, checked against the couple's layout and guest list */}
+              {formData.category === 'Venue' && (
+                <Box sx={{ mt: 3, p: 2, bgcolor: 'grey.50', borderRadius: 1 }}>
+                  <TextField
+                    fullWidth
+                    label="Maximum occupancy (guests)"
+                    type="number"
+                    value={formData.maxOccupancy}
+                    onChange={(e) => handleInputChange('maxOccupancy', e.target.value)}
+                    helperText="Most guests the venue may hold. Couples can't check out a layout that seats more."
+                    inputProps={{ min: 1, step: 1 }}
+                    error={Boolean(fieldErrors.maxOccupancy)}
+                  />
+                </Box>
+              )}
+
+              {/* Headcount-driven quantity for per_unit / per_table pricing */}
+              {isHeadcountPolicy(formData.pricingPolicy) && (
+                <Box sx={{ mt: 3, p: 2, bgcolor: 'grey.50', borderRadius: 1 }}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={formData.quantityFollowsHeadcount}
+                        onChange={(e) => handleInputChange('quantityFollowsHeadcount', e.target.checked)}
+                      />
+                    }
+                    label={
+                      <Box>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                          Quantity follows guest count
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          The quantity updates automatically from the couple's confirmed RSVPs (e.g. catering per head, favors per guest)
+                        </Typography>
+                      </Box>
+                    }
+                  />
+                  {formData.quantityFollowsHeadcount && (
+                    <TextField
+                      fullWidth
+                      label="Guests per unit"
+                      type="number"
+                      value={formData.guestsPerUnit}
+                      onChange={(e) => handleInputChange('guestsPerUnit', e.target.value)}
+                      helperText={
+                        formData.pricingPolicy === 'per_table'
+                          ? 'Guests seated per table (e.g. 10 guests = 1 table)'
+                          : 'Use 1 for per-guest pricing'
+                      }
+                      inputProps={{ min: 1, step: 1 }}
+                      error={Boolean(fieldErrors.guestsPerUnit)}
+                      sx={{ mt: 2 }}
+                    />
+                  )}
+                </Box>
+              )}
+
             </Box>
 
             {/* Cancellation Policy Section */}
@@ -1,10 +1,22 @@
 import React, { Suspense, useMemo, useState, useEffect } from 'react';
 import { Canvas } from '@react-three/fiber';
-import { ContactShadows, Environment, OrbitControls, useGLTF } from '@react-three/drei';
+import { ContactShadows, OrbitControls, useGLTF } from '@react-three/drei';
 import * as THREE from 'three';
 import { Box, CircularProgress, Typography } from '@mui/material';
 import PlacedElement from '../../pages/VenueDesigner/PlacedElement';
 import { VenueDesignerProvider } from '../../pages/VenueDesigner/VenueDesignerContext';
+import SceneLighting from '../SceneLighting/SceneLighting';
+
+const SUN_SHADOW = {
+  'shadow-mapSize': [2048, 2048],
+  'shadow-camera-left': -100,
+  'shadow-camera-right': 100,
+  'shadow-camera-top': 100,
+  'shadow-camera-bottom': -100,
+  'shadow-camera-near': 0.1,
+  'shadow-camera-far': 100,
+  'shadow-bias': -0.0001,
+};
 
 const normalizeUrl = (url) => {
   if (!url) return null;
@@ -193,23 +205,7 @@ const PackagePreview3D = ({ packageId, height = '500px' }) => {
         }}
       >
         <Canvas shadows camera={{ position: [14, 16, 18], fov: 42, near: 0.1, far: 500 }} dpr={[1, 2]}>
-        <color attach="background" args={['#cbd2de']} />
-        <fog attach="fog" args={['#efe9e4', 60, 220]} />
-        <ambientLight intensity={0.65} />
-        <directionalLight
-          position={[18, 30, 20]}
-          intensity={1.2}
-          castShadow
-          shadow-mapSize={[2048, 2048]}
-          shadow-camera-left={-100}
-          shadow-camera-right={100}
-          shadow-camera-top={100}
-          shadow-camera-bottom={-100}
-          shadow-camera-near={0.1}
-          shadow-camera-far={100}
-          shadow-bias={-0.0001}
-        />
-        <directionalLight position={[-20, 15, -10]} intensity={0.4} />
+        <SceneLighting lighting={designData.design?.layoutData?.lighting} sunShadow={SUN_SHADOW} />
 
         <SceneGround size={200} />
 
@@ -243,8 +239,6 @@ const PackagePreview3D = ({ packageId, height = '500px' }) => {
           ))}
         </Suspense>
 
-        <Environment preset="sunset" />
-
         <OrbitControls
           makeDefault
           enableDamping
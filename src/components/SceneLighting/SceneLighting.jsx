@@ -0,0 +1,219 @@
+import React, { Suspense, useLayoutEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useFrame } from '@react-three/fiber';
+import { Environment, TransformControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { getLightingPreset, resolveLighting } from './lightingPresets';
+
+const toRadians = (degrees) => ((Number(degrees) || 0) * Math.PI) / 180;
+
+const bulbGeometry = new THREE.SphereGeometry(0.03, 8, 8);
+const fixtureGeometry = new THREE.CylinderGeometry(0.08, 0.12, 0.22, 16);
+const waxGeometry = new THREE.CylinderGeometry(0.035, 0.035, 0.14, 16);
+const flameGeometry = new THREE.SphereGeometry(0.018, 8, 8);
+const darkMetal = new THREE.MeshStandardMaterial({ color: '#2f2b2a', metalness: 0.6, roughness: 0.4 });
+const wax = new THREE.MeshStandardMaterial({ color: '#f5efe3', roughness: 0.8 });
+
+// Spotlight or uplight: the fixture faces where the light shines (rotation and pitch in degrees)
+const Spotlight = ({ light }) => {
+  const target = useMemo(() => new THREE.Object3D(), []);
+  const yaw = toRadians(light.rotation);
+  const pitch = toRadians(light.pitch ?? -90);
+  const direction = [Math.sin(yaw) * Math.cos(pitch), Math.sin(pitch), Math.cos(yaw) * Math.cos(pitch)];
+
+  return (
+    <>
+      <primitive object={target} position={direction.map((value) => value * 5)} />
+      <group rotation={[0, yaw, 0]}>
+        {/* The cylinder's wide end faces down (-y), so tilt it from pointing down to the pitch */}
+        <mesh geometry={fixtureGeometry} material={darkMetal} rotation={[-(pitch + Math.PI / 2), 0, 0]} />
+      </group>
+      <spotLight
+        color={light.color}
+        intensity={light.intensity}
+        angle={0.45}
+        penumbra={0.6}
+        distance={25}
+        decay={2}
+        target={target}
+      />
+    </>
+  );
+};
+
+// A string of bulbs along the light's rotation, sagging in the middle
+const FairyLights = ({ light }) => {
+  const meshRef = useRef(null);
+  const length = Number(light.length) || 6;
+  const bulbCount = Math.min(Math.max(Math.round(length * 5), 8), 60);
+  const sag = Math.min(0.4, length * 0.06);
+  const material = useMemo(() => new THREE.MeshBasicMaterial({ toneMapped: false }), []);
+
+  useLayoutEffect(() => {
+    material.color.set(light.color);
+  }, [material, light.color]);
+
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    const matrix = new THREE.Matrix4();
+    for (let index = 0; index < bulbCount; index += 1) {
+      const u = index / (bulbCount - 1) - 0.5;
+      matrix.makeTranslation(u * length, -sag * (1 - 4 * u * u), 0);
+      mesh.setMatrixAt(index, matrix);
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+  }, [bulbCount, length, sag]);
+
+  // A few point lights stand in for the bulbs' glow
+  const glowPoints = length < 3 ? [0] : [-length / 3, 0, length / 3];
+
+  return (
+    <group rotation={[0, toRadians(light.rotation), 0]}>
+      <instancedMesh key={bulbCount} ref={meshRef} args={[bulbGeometry, material, bulbCount]} />
+      {glowPoints.map((x) => (
+        <pointLight
+          key={x}
+          position={[x, -sag * 0.6, 0]}
+          color={light.color}
+          intensity={light.intensity / glowPoints.length}
+          distance={Math.max(3, length / 2)}
+          decay={2}
+        />
+      ))}
+    </group>
+  );
+};
+
+const Candle = ({ light }) => {
+  const lightRef = useRef(null);
+  const seed = useMemo(() => Math.random() * 100, []);
+
+  useFrame(({ clock }) => {
+    if (!lightRef.current) return;
+    const t = clock.elapsedTime;
+    const flicker = Math.sin(t * 13 + seed) * 0.5 + Math.sin(t * 7.3 + seed * 2) * 0.5;
+    lightRef.current.intensity = light.intensity * (0.88 + 0.12 * flicker);
+  });
+
+  return (
+    <group>
+      <mesh geometry={waxGeometry} material={wax} position={[0, 0.07, 0]} />
+      <mesh geometry={flameGeometry} position={[0, 0.16, 0]} scale={[1, 1.8, 1]}>
+        <meshBasicMaterial color={light.color} toneMapped={false} />
+      </mesh>
+      <pointLight ref={lightRef} position={[0, 0.2, 0]} color={light.color} intensity={light.intensity} distance={3} decay={2} />
+    </group>
+  );
+};
+
+const LIGHT_COMPONENTS = {
+  spotlight: Spotlight,
+  fairyLights: FairyLights,
+  candle: Candle,
+};
+
+const PlacedLight = ({ light }) => {
+  const LightComponent = LIGHT_COMPONENTS[light.type];
+  return LightComponent ? <LightComponent light={light} /> : null;
+};
+
+/**
+ * Lighting of a design's 3D scene (layoutData.lighting): background, fog, ambient and sun light
+ * and environment map for the time-of-day preset, plus the lights placed in the venue.
+ * With onMoveLight, the selected light gets a move gizmo and its new position is reported on release.
+ */
+const SceneLighting = ({ lighting, sunShadow, selectedLightId, onMoveLight }) => {
+  const { preset: presetId, lights } = resolveLighting(lighting);
+  const preset = getLightingPreset(presetId);
+  const gizmoRef = useRef(null);
+
+  const handleGizmoRelease = () => {
+    const object = gizmoRef.current?.object;
+    if (!object) return;
+    onMoveLight(selectedLightId, {
+      x: Math.round(object.position.x * 100) / 100,
+      y: Math.max(0, Math.round(object.position.y * 100) / 100),
+      z: Math.round(object.position.z * 100) / 100,
+    });
+  };
+
+  return (
+    <>
+      <color attach="background" args={[preset.background]} />
+      <fog attach="fog" args={[preset.fog, 60, 220]} />
+      <ambientLight color={preset.ambient.color} intensity={preset.ambient.intensity} />
+      <directionalLight
+        position={preset.sun.position}
+        color={preset.sun.color}
+        intensity={preset.sun.intensity}
+        castShadow
+        {...sunShadow}
+      />
+      <directionalLight position={preset.fill.position} color={preset.fill.color} intensity={preset.fill.intensity} />
+      {/* Own boundary so switching presets doesn't blank the scene while the new map loads */}
+      <Suspense fallback={null}>
+        <Environment preset={preset.environment} environmentIntensity={preset.environmentIntensity} />
+      </Suspense>
+
+      {lights.map((light) => {
+        const position = [light.position?.x || 0, light.position?.y || 0, light.position?.z || 0];
+        if (onMoveLight && light.id === selectedLightId) {
+          return (
+            <TransformControls
+              key={light.id}
+              ref={gizmoRef}
+              mode="translate"
+              size={0.7}
+              position={position}
+              onMouseUp={handleGizmoRelease}
+            >
+              <PlacedLight light={light} />
+            </TransformControls>
+          );
+        }
+        return (
+          <group key={light.id} position={position}>
+            <PlacedLight light={light} />
+          </group>
+        );
+      })}
+    </>
+  );
+};
+
+const LIGHT_SHAPE = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  type: PropTypes.oneOf(['spotlight', 'fairyLights', 'candle']).isRequired,
+  position: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number, z: PropTypes.number }),
+  rotation: PropTypes.number,
+  pitch: PropTypes.number,
+  color: PropTypes.string,
+  intensity: PropTypes.number,
+  length: PropTypes.number,
+});
+
+Spotlight.propTypes = { light: LIGHT_SHAPE.isRequired };
+FairyLights.propTypes = { light: LIGHT_SHAPE.isRequired };
+Candle.propTypes = { light: LIGHT_SHAPE.isRequired };
+PlacedLight.propTypes = { light: LIGHT_SHAPE.isRequired };
+
+SceneLighting.propTypes = {
+  lighting: PropTypes.shape({
+    preset: PropTypes.string,
+    lights: PropTypes.arrayOf(LIGHT_SHAPE),
+  }),
+  // shadow-* props for the sun
+  sunShadow: PropTypes.object,
+  selectedLightId: PropTypes.string,
+  onMoveLight: PropTypes.func,
+};
+
+SceneLighting.defaultProps = {
+  lighting: null,
+  sunShadow: {},
+  selectedLightId: null,
+  onMoveLight: undefined,
+};
+
+export default SceneLighting;
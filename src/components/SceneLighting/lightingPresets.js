@@ -0,0 +1,93 @@
+// Time-of-day lighting for the 3D scene. Daylight matches the scene's original fixed lighting.
+export const LIGHTING_PRESETS = {
+  daylight: {
+    label: 'Daylight',
+    icon: 'fa-sun',
+    background: '#cbd2de',
+    fog: '#efe9e4',
+    ambient: { color: '#ffffff', intensity: 0.65 },
+    sun: { position: [18, 30, 20], color: '#ffffff', intensity: 1.2 },
+    fill: { position: [-20, 15, -10], color: '#ffffff', intensity: 0.4 },
+    environment: 'sunset',
+    environmentIntensity: 1,
+  },
+  goldenHour: {
+    label: 'Golden hour',
+    icon: 'fa-cloud-sun',
+    background: '#e9c6a4',
+    fog: '#f3d8bb',
+    ambient: { color: '#ffe0bd', intensity: 0.45 },
+    sun: { position: [34, 9, 14], color: '#ffb36b', intensity: 1.6 },
+    fill: { position: [-20, 12, -10], color: '#8fa6d8', intensity: 0.25 },
+    environment: 'sunset',
+    environmentIntensity: 0.7,
+  },
+  evening: {
+    label: 'Evening',
+    icon: 'fa-moon',
+    background: '#1d2136',
+    fog: '#1d2136',
+    ambient: { color: '#5a68a6', intensity: 0.16 },
+    sun: { position: [-15, 25, -20], color: '#93a6dc', intensity: 0.22 },
+    fill: { position: [20, 10, 10], color: '#ffb070', intensity: 0.1 },
+    environment: 'night',
+    environmentIntensity: 0.25,
+  },
+};
+
+export const DEFAULT_LIGHTING_PRESET = 'daylight';
+
+// Must match MAX_SCENE_LIGHTS on the server
+export const MAX_SCENE_LIGHTS = 24;
+
+// Placeable lights and the values a new one starts with
+export const LIGHT_TYPES = {
+  spotlight: {
+    label: 'Spotlight',
+    icon: 'fa-lightbulb',
+    defaults: { color: '#fff1d6', intensity: 30, pitch: -90, height: 4 },
+    maxIntensity: 100,
+  },
+  fairyLights: {
+    label: 'Fairy lights',
+    icon: 'fa-star',
+    defaults: { color: '#ffd98a', intensity: 3, length: 6, height: 2.5 },
+    maxIntensity: 20,
+  },
+  candle: {
+    label: 'Candle',
+    icon: 'fa-fire',
+    defaults: { color: '#ffb65c', intensity: 1.5, height: 0.8 },
+    maxIntensity: 10,
+  },
+};
+
+export const getLightingPreset = (presetId) =>
+  LIGHTING_PRESETS[presetId] || LIGHTING_PRESETS[DEFAULT_LIGHTING_PRESET];
+
+/**
+ * layoutData.lighting with defaults filled in
+ * @param {Object} lighting - { preset, lights }
+ * @returns {{ preset: String, lights: Array }}
+ */
+export const resolveLighting = (lighting) => ({
+  preset: LIGHTING_PRESETS[lighting?.preset] ? lighting.preset : DEFAULT_LIGHTING_PRESET,
+  lights: Array.isArray(lighting?.lights) ? lighting.lights.filter((light) => LIGHT_TYPES[light?.type]) : [],
+});
+
+/**
+ * A new light of a type at a floor point
+ * @param {String} type - Key of LIGHT_TYPES
+ * @param {{ x: Number, z: Number }} point - Where to put it
+ * @returns {Object}
+ */
+export const createLight = (type, point) => {
+  const { height, ...defaults } = LIGHT_TYPES[type].defaults;
+  return {
+    id: `light_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    position: { x: point?.x || 0, y: height, z: point?.z || 0 },
+    rotation: 0,
+    ...defaults,
+  };
+};
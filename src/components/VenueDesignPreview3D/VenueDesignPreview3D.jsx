@@ -1,11 +1,30 @@
-import React, { Suspense, useMemo, useState, useEffect } from 'react';
+import React, { Suspense, useCallback, useMemo, useRef, useState, useEffect } from 'react';
 import { Canvas } from '@react-three/fiber';
-import { ContactShadows, Environment, OrbitControls, useGLTF } from '@react-three/drei';
+import { ContactShadows, OrbitControls, useGLTF } from '@react-three/drei';
 import * as THREE from 'three';
-import { Box, CircularProgress, Typography } from '@mui/material';
+import { Box, Button, CircularProgress, Typography } from '@mui/material';
+import { Map as MapIcon } from '@mui/icons-material';
 import { apiFetch } from '../../lib/api';
 import PlacedElement from '../../pages/VenueDesigner/PlacedElement';
 import { VenueDesignerProvider } from '../../pages/VenueDesigner/VenueDesignerContext';
+import CameraTourBridge from '../CameraTour/CameraTourBridge';
+import CameraTourControls from '../CameraTour/CameraTourControls';
+import { useCameraTourPlayer } from '../CameraTour/useCameraTourPlayer';
+import SceneLighting from '../SceneLighting/SceneLighting';
+import DesignAnnotations from '../DesignAnnotations/DesignAnnotations';
+import PlanCaptureBridge from '../FloorPlan/PlanCaptureBridge';
+import FloorPlanExportDialog from '../FloorPlan/FloorPlanExportDialog';
+
+const SUN_SHADOW = {
+  'shadow-mapSize': [2048, 2048],
+  'shadow-camera-left': -100,
+  'shadow-camera-right': 100,
+  'shadow-camera-top': 100,
+  'shadow-camera-bottom': -100,
+  'shadow-camera-near': 0.1,
+  'shadow-camera-far': 100,
+  'shadow-bias': -0.0001,
+};
 
 const normalizeUrl = (url) => {
   if (!url) return null;
@@ -40,6 +59,7 @@ const VenueModel = ({ modelUrl }) => {
   const venueScene = useMemo(() => {
     if (!scene) return null;
     const copy = scene.clone(true);
+    copy.userData.isVenue = true;
     copy.traverse((child) => {
       if (child.isMesh) {
         child.castShadow = true;
@@ -76,10 +96,20 @@ const VenueModel = ({ modelUrl }) => {
   return <primitive object={venueScene} />;
 };
 
-const VenueDesignPreview3D = ({ projectId, height = '70vh', fullBleed = false }) => {
+// With a snapshotId, the couple's saved restore point is shown instead of the vendor view of the live design.
+// Camera tours saved on the design can be played and downloaded from the overlay.
+// The floor plan (table numbers, dimensions, notes) can be exported as a scaled PDF or SVG.
+const VenueDesignPreview3D = ({ projectId, snapshotId = null, height = '70vh', fullBleed = false }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [designData, setDesignData] = useState(null);
+  const [tourError, setTourError] = useState(null);
+  const tourPlayer = useCameraTourPlayer({ onError: setTourError });
+  const [planExportOpen, setPlanExportOpen] = useState(false);
+  const planBridgeRef = useRef(null);
+  const registerPlanBridge = useCallback((bridge) => {
+    planBridgeRef.current = bridge;
+  }, []);
 
   useEffect(() => {
     let active = true;
@@ -87,7 +117,11 @@ const VenueDesignPreview3D = ({ projectId, height = '70vh', fullBleed = false })
       try {
         setLoading(true);
         setError(null);
-        const data = await apiFetch(`/venue-designs/${projectId}/vendor-preview`);
+        const data = await apiFetch(
+          snapshotId
+            ? `/venue-designs/${projectId}/snapshots/${snapshotId}`
+            : `/venue-designs/${projectId}/vendor-preview`
+        );
         if (!active) return;
         setDesignData(data);
       } catch (err) {
@@ -105,7 +139,7 @@ const VenueDesignPreview3D = ({ projectId, height = '70vh', fullBleed = false })
     return () => {
       active = false;
     };
-  }, [projectId]);
+  }, [projectId, snapshotId]);
 
   const venueModelUrl = useMemo(
     () => (designData?.venue?.modelFile ? normalizeUrl(designData.venue.modelFile) : null),
@@ -113,6 +147,7 @@ const VenueDesignPreview3D = ({ projectId, height = '70vh', fullBleed = false })
   );
 
   const placements = useMemo(() => designData?.design?.placedElements || [], [designData?.design?.placedElements]);
+  const cameraTours = useMemo(() => designData?.design?.cameraTours || [], [designData?.design?.cameraTours]);
 
   const previewContextValue = useMemo(
     () => ({
@@ -198,23 +233,7 @@ const VenueDesignPreview3D = ({ projectId, height = '70vh', fullBleed = false })
         }}
       >
         <Canvas shadows camera={{ position: [14, 16, 18], fov: 42, near: 0.1, far: 500 }} dpr={[1, 2]}>
-          <color attach="background" args={['#cbd2de']} />
-          <fog attach="fog" args={['#efe9e4', 60, 220]} />
-          <ambientLight intensity={0.65} />
-          <directionalLight
-            position={[18, 30, 20]}
-            intensity={1.2}
-            castShadow
-            shadow-mapSize={[2048, 2048]}
-            shadow-camera-left={-100}
-            shadow-camera-right={100}
-            shadow-camera-top={100}
-            shadow-camera-bottom={-100}
-            shadow-camera-near={0.1}
-            shadow-camera-far={100}
-            shadow-bias={-0.0001}
-          />
-          <directionalLight position={[-20, 15, -10]} intensity={0.4} />
+          <SceneLighting lighting={designData.design?.lighting} sunShadow={SUN_SHADOW} />
 
           <SceneGround size={200} />
 
@@ -247,10 +266,14 @@ const VenueDesignPreview3D = ({ projectId, height = '70vh', fullBleed = false })
             ))}
           </Suspense>
 
-          <Environment preset="sunset" />
+          <DesignAnnotations annotations={designData.design?.annotations} placements={placements} />
+
+          <CameraTourBridge onRegister={tourPlayer.registerBridge} />
+          <PlanCaptureBridge onRegister={registerPlanBridge} />
 
           <OrbitControls
             makeDefault
+            enabled={!tourPlayer.busy}
             enableDamping
             dampingFactor={0.08}
             minDistance={6}
@@ -260,6 +283,52 @@ const VenueDesignPreview3D = ({ projectId, height = '70vh', fullBleed = false })
             target={[0, 2, 0]}
           />
         </Canvas>
+        <CameraTourControls tours={cameraTours} player={tourPlayer} />
+        <Button
+          size="small"
+          variant="contained"
+          startIcon={<MapIcon />}
+          onClick={() => setPlanExportOpen(true)}
+          sx={{
+            position: 'absolute',
+            right: 16,
+            bottom: 16,
+            bgcolor: 'rgba(255, 255, 255, 0.95)',
+            color: '#392e2a',
+            textTransform: 'none',
+            '&:hover': { bgcolor: '#fff' },
+          }}
+        >
+          Export floor plan
+        </Button>
+        <FloorPlanExportDialog
+          open={planExportOpen}
+          onClose={() => setPlanExportOpen(false)}
+          placements={placements}
+          tables={designData.design?.tables}
+          annotations={designData.design?.annotations}
+          project={designData.project || { venueName: designData.venue?.name }}
+          planBridgeRef={planBridgeRef}
+        />
+        {tourError && (
+          <Typography
+            variant="caption"
+            onClick={() => setTourError(null)}
+            sx={{
+              position: 'absolute',
+              left: 16,
+              top: 16,
+              px: 1.5,
+              py: 0.75,
+              borderRadius: 1,
+              cursor: 'pointer',
+              color: '#b91c1c',
+              backgroundColor: 'rgba(255, 255, 255, 0.95)',
+            }}
+          >
+            {tourError}
+          </Typography>
+        )}
       </Box>
     </VenueDesignerProvider>
   );
@@ -1,9 +1,20 @@
+// Socket of the venue design this tab is collaborating on; the server skips it when
+// broadcasting the tab's own changes to the other editors
+let realtimeSocketId = null;
+
+export function setRealtimeSocketId(socketId) {
+  realtimeSocketId = socketId || null;
+}
+
 export async function apiFetch(path, options = {}) {
   // Don't set Content-Type for FormData - browser will set it with boundary
   const isFormData = options.body instanceof FormData;
   const headers = isFormData 
     ? { ...(options.headers || {}) }
     : { 'Content-Type': 'application/json', ...(options.headers || {}) };
+  if (realtimeSocketId) {
+    headers['X-Socket-Id'] = realtimeSocketId;
+  }
   
   const response = await fetch(`http://localhost:4000${path}` , {
     credentials: 'include',
@@ -59,6 +70,13 @@ export function updateDesignElement(projectId, elementId, payload) {
   });
 }
 
+export function updateDesignElements(projectId, updates) {
+  return apiFetch(`/venue-designs/${projectId}/elements`, {
+    method: 'PATCH',
+    body: JSON.stringify({ updates }),
+  });
+}
+
 export function deleteDesignElement(projectId, elementId, scope = 'single') {
   const params = new URLSearchParams({ scope });
   return apiFetch(`/venue-designs/${projectId}/elements/${elementId}?${params.toString()}`, {
@@ -72,6 +90,110 @@ export function duplicateDesignElement(projectId, elementId) {
   });
 }
 
+export function restoreDesignElements(projectId, placements) {
+  return apiFetch(`/venue-designs/${projectId}/elements/restore`, {
+    method: 'POST',
+    body: JSON.stringify({ placements }),
+  });
+}
+
+export function generateDesignPattern(projectId, payload) {
+  return apiFetch(`/venue-designs/${projectId}/elements/pattern`, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+// Layout variants: several named designs per project, one active
+export function getDesignVariants(projectId) {
+  return apiFetch(`/venue-designs/${projectId}/variants`);
+}
+
+export function compareDesignVariants(projectId) {
+  return apiFetch(`/venue-designs/${projectId}/variants/compare`);
+}
+
+export function createDesignVariant(projectId, payload) {
+  return apiFetch(`/venue-designs/${projectId}/variants`, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function renameDesignVariant(projectId, variantId, name) {
+  return apiFetch(`/venue-designs/${projectId}/variants/${variantId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ name }),
+  });
+}
+
+export function activateDesignVariant(projectId, variantId) {
+  return apiFetch(`/venue-designs/${projectId}/variants/${variantId}/activate`, {
+    method: 'POST',
+  });
+}
+
+export function deleteDesignVariant(projectId, variantId) {
+  return apiFetch(`/venue-designs/${projectId}/variants/${variantId}`, {
+    method: 'DELETE',
+  });
+}
+
+// Restore points taken on each explicit save of the active layout
+export function getDesignSnapshots(projectId) {
+  return apiFetch(`/venue-designs/${projectId}/snapshots`);
+}
+
+export function getDesignSnapshot(projectId, snapshotId) {
+  return apiFetch(`/venue-designs/${projectId}/snapshots/${snapshotId}`);
+}
+
+export function restoreDesignSnapshot(projectId, snapshotId) {
+  return apiFetch(`/venue-designs/${projectId}/snapshots/${snapshotId}/restore`, {
+    method: 'POST',
+  });
+}
+
+// Walkway, clearance and occupancy checks of the active layout
+export function getLayoutValidation(projectId) {
+  return apiFetch(`/venue-designs/${projectId}/layout-validation`);
+}
+
+// Guided camera tours saved on the active layout
+export function createCameraTour(projectId, payload) {
+  return apiFetch(`/venue-designs/${projectId}/camera-tours`, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateCameraTour(projectId, tourId, payload) {
+  return apiFetch(`/venue-designs/${projectId}/camera-tours/${tourId}`, {
+    method: 'PUT',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteCameraTour(projectId, tourId) {
+  return apiFetch(`/venue-designs/${projectId}/camera-tours/${tourId}`, {
+    method: 'DELETE',
+  });
+}
+
+export function saveDesignLighting(projectId, lighting) {
+  return apiFetch(`/venue-designs/${projectId}/lighting`, {
+    method: 'PUT',
+    body: JSON.stringify(lighting),
+  });
+}
+
+export function saveDesignAnnotations(projectId, annotations) {
+  return apiFetch(`/venue-designs/${projectId}/annotations`, {
+    method: 'PUT',
+    body: JSON.stringify(annotations),
+  });
+}
+
 export function duplicatePackageDesignElement(packageId, elementId) {
   return apiFetch(`/admin/package-design/${packageId}/elements/${elementId}/duplicate`, {
     method: 'POST',
@@ -242,4 +364,96 @@ export function createBooking(payload) {
   });
 }
 
+export function getBooking(bookingId) {
+  return apiFetch(`/bookings/${bookingId}`);
+}
+
+// Returns the CSV text of a catering booking's dietary and allergy rollup
+export function getDietaryReportCsv(bookingId) {
+  return apiFetch(`/bookings/${bookingId}/dietary-report/csv`);
+}
+
+export function getBookingSetupSheet(bookingId) {
+  return apiFetch(`/bookings/${bookingId}/setup-sheet`);
+}
+
+
+
+// Guest list APIs
+export function getProjectGuests(projectId) {
+  return apiFetch(`/projects/${projectId}/guests`);
+}
+
+export function createGuest(projectId, payload) {
+  return apiFetch(`/projects/${projectId}/guests`, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function createGuestsBulk(projectId, guests) {
+  return apiFetch(`/projects/${projectId}/guests/bulk`, {
+    method: 'POST',
+    body: JSON.stringify({ guests }),
+  });
+}
+
+export function updateGuest(projectId, guestId, payload) {
+  return apiFetch(`/projects/${projectId}/guests/${guestId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteGuest(projectId, guestId) {
+  return apiFetch(`/projects/${projectId}/guests/${guestId}`, {
+    method: 'DELETE',
+  });
+}
+
+export function getRsvpSummary(projectId) {
+  return apiFetch(`/projects/${projectId}/guests/summary`);
+}
+
+export function updateRsvpSettings(projectId, payload) {
+  return apiFetch(`/projects/${projectId}/guests/rsvp-settings`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function generateGuestInvitations(projectId) {
+  return apiFetch(`/projects/${projectId}/guests/invitations`, {
+    method: 'POST',
+  });
+}
+
+export function sendGuestInvitations(projectId, payload = {}) {
+  return apiFetch(`/projects/${projectId}/guests/invitations/send`, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function getSeatingPlan(projectId) {
+  return apiFetch(`/projects/${projectId}/guests/seating`);
+}
 
+export function saveSeatingAssignments(projectId, assignments) {
+  return apiFetch(`/projects/${projectId}/guests/seating`, {
+    method: 'PUT',
+    body: JSON.stringify({ assignments }),
+  });
+}
+
+// Public RSVP APIs (no login required - the token identifies the household)
+export function getRsvpInvitation(token) {
+  return apiFetch(`/rsvp/${token}`);
+}
+
+export function submitRsvp(token, responses) {
+  return apiFetch(`/rsvp/${token}`, {
+    method: 'POST',
+    body: JSON.stringify({ responses }),
+  });
+}
@@ -33,10 +33,12 @@ import {
   TableSortLabel,
   TablePagination,
 } from '@mui/material';
-import { Close, Cancel } from '@mui/icons-material';
-import { apiFetch } from '../../lib/api';
+import { Close, Cancel, PictureAsPdf } from '@mui/icons-material';
+import { apiFetch, getBooking, getBookingSetupSheet } from '../../lib/api';
 import ConfirmationDialog from '../../components/ConfirmationDialog/ConfirmationDialog';
+import DietaryReport from '../../components/DietaryReport/DietaryReport';
 import VenueDesignPreview3D from '../../components/VenueDesignPreview3D/VenueDesignPreview3D';
+import { exportSetupSheetPdf } from '../../utils/setupSheetPdf';
 import './BookingRequests.styles.css';
 
 const BookingRequests = () => {
@@ -58,6 +60,7 @@ const BookingRequests = () => {
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [showVenueDesign3D, setShowVenueDesign3D] = useState(false);
+  const [downloadingSetupSheet, setDownloadingSetupSheet] = useState(false);
 
   useEffect(() => {
     fetchBookings();
@@ -78,9 +81,19 @@ const BookingRequests = () => {
     }
   };
 
-  const handleViewDetails = (booking) => {
+  const handleViewDetails = async (booking) => {
     setSelectedBooking(booking);
     setShowDetailDialog(true);
+
+    // Caterers get the guests' dietary rollup from the booking detail endpoint
+    if (booking.projectId && booking.selectedServices?.some((s) => s.serviceListing?.category === 'Caterer')) {
+      try {
+        const detail = await getBooking(booking.id);
+        setSelectedBooking((prev) => (prev?.id === booking.id ? { ...prev, dietaryReport: detail.dietaryReport } : prev));
+      } catch (err) {
+        console.error('Failed to load dietary report:', err);
+      }
+    }
   };
 
   const handleStatusUpdate = async (bookingId, newStatus, depositDueDate = null, finalDueDate = null) => {
@@ -112,6 +125,19 @@ const BookingRequests = () => {
     }
   };
 
+  const handleDownloadSetupSheet = async (booking) => {
+    try {
+      setDownloadingSetupSheet(true);
+      setError(null);
+      const sheet = await getBookingSetupSheet(booking.id);
+      exportSetupSheetPdf(sheet);
+    } catch (err) {
+      setError(err.message || 'Failed to generate setup sheet');
+    } finally {
+      setDownloadingSetupSheet(false);
+    }
+  };
+
   const handleAccept = (booking) => {
     setConfirmationDialog({
       open: true,
@@ -660,6 +686,20 @@ const BookingRequests = () => {
                           >
                             View Venue Design (3D)
                           </Button>
+                          <Button
+                            size="small"
+                            variant="outlined"
+                            startIcon={<PictureAsPdf />}
+                            onClick={() => handleDownloadSetupSheet(selectedBooking)}
+                            disabled={
+                              downloadingSetupSheet ||
+                              !selectedBooking.project?.id ||
+                              ['cancelled_by_couple', 'cancelled_by_vendor', 'rejected'].includes(selectedBooking.status)
+                            }
+                            sx={{ textTransform: 'none' }}
+                          >
+                            {downloadingSetupSheet ? 'Preparing...' : 'Setup Sheet (PDF)'}
+                          </Button>
                         </Box>
                       </Box>
                     )}
@@ -766,6 +806,14 @@ const BookingRequests = () => {
                   </TableContainer>
                 </Box>
 
+                {selectedBooking.dietaryReport && (
+                  <DietaryReport
+                    bookingId={selectedBooking.id}
+                    report={selectedBooking.dietaryReport}
+                    onError={setError}
+                  />
+                )}
+
                 {selectedBooking.payments && selectedBooking.payments.length > 0 && (
                   <Box sx={{ mb: 3 }}>
                     <Typography variant="subtitle2" color="text.secondary" gutterBottom>
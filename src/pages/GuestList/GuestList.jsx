@@ -0,0 +1,1088 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Card,
+  IconButton,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Chip,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Snackbar,
+  Alert,
+  Tooltip,
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  Delete as DeleteIcon,
+  Edit as EditIcon,
+  Add as AddIcon,
+  Search as SearchIcon,
+  UploadFile as UploadFileIcon,
+  Link as LinkIcon,
+  Send as SendIcon,
+  NotificationsActive as ReminderIcon,
+  Settings as SettingsIcon,
+} from '@mui/icons-material';
+import {
+  apiFetch,
+  getProjectGuests,
+  createGuest,
+  createGuestsBulk,
+  updateGuest,
+  deleteGuest,
+  getRsvpSummary,
+  updateRsvpSettings,
+  generateGuestInvitations,
+  sendGuestInvitations,
+} from '../../lib/api';
+import { useWebSocket } from '../../context/WebSocketContext';
+import SuccessMessage from '../../components/SuccessMessage/SuccessMessage';
+import './GuestList.styles.css';
+
+const SIDE_OPTIONS = [
+  { value: 'bride', label: "Bride's side" },
+  { value: 'groom', label: "Groom's side" },
+  { value: 'both', label: 'Both' },
+];
+
+const RSVP_STATUS_OPTIONS = [
+  { value: 'pending', label: 'Awaiting reply', color: '#f57c00' },
+  { value: 'attending', label: 'Attending', color: '#2e7d32' },
+  { value: 'declined', label: 'Declined', color: '#c62828' },
+];
+
+const EMPTY_GUEST_FORM = {
+  name: '',
+  email: '',
+  contactNumber: '',
+  household: '',
+  side: 'both',
+  dietaryRequirements: '',
+  allergies: '',
+  plusOneAllowance: 0,
+  notes: '',
+  rsvpStatus: 'pending',
+  mealChoice: '',
+  plusOnesAttending: 0,
+};
+
+const fieldSx = {
+  '& .MuiOutlinedInput-root': {
+    fontFamily: "'Literata', serif",
+    borderRadius: 1,
+  },
+  '& .MuiInputLabel-root': {
+    fontFamily: "'Literata', serif",
+  },
+};
+
+const outlinedPinkButtonSx = {
+  border: '2px solid #e16789',
+  color: '#e16789',
+  textTransform: 'none',
+  borderRadius: 1,
+  fontFamily: "'Literata', serif",
+  fontWeight: 600,
+  '&:hover': {
+    background: '#e16789',
+    border: '2px solid #e16789',
+    color: 'white',
+  },
+};
+
+// "vegetarian, halal" -> ['vegetarian', 'halal']
+const splitTags = (value) =>
+  String(value || '')
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Parse pasted spreadsheet rows into guest payloads.
+ * Expected columns (tab or comma separated): Name, Email, Phone, Household, Side, Plus-ones
+ * Only the name is required; a header row starting with "name" is skipped.
+ */
+const parseGuestRows = (text) => {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => line.split(line.includes('\t') ? '\t' : ',').map((cell) => cell.trim()))
+    .filter((cells) => cells[0] && cells[0].toLowerCase() !== 'name')
+    .map(([name, email, contactNumber, household, side, plusOnes]) => {
+      const normalizedSide = String(side || '').toLowerCase();
+      const plusOneAllowance = parseInt(plusOnes, 10);
+      return {
+        name,
+        email: email || null,
+        contactNumber: contactNumber || null,
+        household: household || null,
+        side: ['bride', 'groom', 'both'].includes(normalizedSide) ? normalizedSide : 'both',
+        plusOneAllowance: Number.isFinite(plusOneAllowance) && plusOneAllowance > 0 ? plusOneAllowance : 0,
+      };
+    });
+};
+
+const buildRsvpLink = (token) => `${window.location.origin}/rsvp/${token}`;
+
+const GuestList = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const projectId = searchParams.get('projectId');
+  const { socket, isConnected } = useWebSocket();
+
+  const [guests, setGuests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [sideFilter, setSideFilter] = useState(null);
+  const [guestDialog, setGuestDialog] = useState({ open: false, guest: null });
+  const [guestForm, setGuestForm] = useState(EMPTY_GUEST_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [showDeleteDialog, setShowDeleteDialog] = useState(null);
+  const [rsvpSettings, setRsvpSettings] = useState({ rsvpDeadline: null, rsvpMealOptions: [] });
+  const [showSettingsDialog, setShowSettingsDialog] = useState(false);
+  const [settingsForm, setSettingsForm] = useState({ rsvpDeadline: '', rsvpMealOptions: '' });
+  const [sendingInvitations, setSendingInvitations] = useState(false);
+  const [successMessage, setSuccessMessage] = useState({ open: false, message: '' });
+  const [toast, setToast] = useState({ open: false, message: '', severity: 'error' });
+
+  useEffect(() => {
+    if (projectId) {
+      fetchGuests();
+    } else {
+      fetchFirstProject();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  // Refresh RSVP statuses live when a household responds through its link
+  useEffect(() => {
+    if (!socket || !isConnected || !projectId) return undefined;
+    const handleRsvpUpdate = (payload) => {
+      if (payload?.projectId === projectId) {
+        getProjectGuests(projectId)
+          .then((data) => setGuests(Array.isArray(data) ? data : []))
+          .catch(() => {});
+      }
+    };
+    socket.on('rsvp-updated', handleRsvpUpdate);
+    return () => {
+      socket.off('rsvp-updated', handleRsvpUpdate);
+    };
+  }, [socket, isConnected, projectId]);
+
+  const fetchFirstProject = async () => {
+    try {
+      const projects = await apiFetch('/projects');
+      if (projects && projects.length > 0) {
+        navigate(`/guests?projectId=${projects[0].id}`, { replace: true });
+      } else {
+        setError('No projects found. Please create a project first.');
+        setLoading(false);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load projects');
+      setLoading(false);
+    }
+  };
+
+  const fetchGuests = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [data, summary] = await Promise.all([getProjectGuests(projectId), getRsvpSummary(projectId)]);
+      setGuests(Array.isArray(data) ? data : []);
+      setRsvpSettings({
+        rsvpDeadline: summary?.rsvpDeadline || null,
+        rsvpMealOptions: summary?.rsvpMealOptions || [],
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to load guests');
+      console.error('Error fetching guests:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openGuestDialog = (guest = null) => {
+    setGuestForm(
+      guest
+        ? {
+            name: guest.name || '',
+            email: guest.email || '',
+            contactNumber: guest.contactNumber || '',
+            household: guest.household || '',
+            side: guest.side || 'both',
+            dietaryRequirements: (guest.dietaryRequirements || []).join(', '),
+            allergies: (guest.allergies || []).join(', '),
+            plusOneAllowance: guest.plusOneAllowance || 0,
+            notes: guest.notes || '',
+            rsvpStatus: guest.rsvpStatus || 'pending',
+            mealChoice: guest.mealChoice || '',
+            plusOnesAttending: guest.plusOnesAttending || 0,
+          }
+        : EMPTY_GUEST_FORM
+    );
+    setFormErrors({});
+    setGuestDialog({ open: true, guest });
+  };
+
+  const closeGuestDialog = () => {
+    setGuestDialog({ open: false, guest: null });
+    setGuestForm(EMPTY_GUEST_FORM);
+    setFormErrors({});
+  };
+
+  const validateGuestForm = () => {
+    const errors = {};
+    if (!guestForm.name.trim()) {
+      errors.name = 'Guest name is required';
+    } else if (guestForm.name.length > 100) {
+      errors.name = 'Guest name must be 100 characters or less';
+    }
+    if (guestForm.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(guestForm.email.trim())) {
+      errors.email = 'Please enter a valid email address';
+    }
+    if (guestForm.contactNumber && !/^[0-9+\-\s()]*$/.test(guestForm.contactNumber)) {
+      errors.contactNumber = 'Contact number contains invalid characters';
+    }
+    const plusOnes = Number(guestForm.plusOneAllowance);
+    if (!Number.isInteger(plusOnes) || plusOnes < 0 || plusOnes > 10) {
+      errors.plusOneAllowance = 'Plus-ones must be a whole number between 0 and 10';
+    }
+    const plusOnesAttending = Number(guestForm.plusOnesAttending);
+    if (guestForm.rsvpStatus === 'attending' && (!Number.isInteger(plusOnesAttending) || plusOnesAttending < 0 || plusOnesAttending > plusOnes)) {
+      errors.plusOnesAttending = `Must be between 0 and the plus-one allowance (${Number.isInteger(plusOnes) ? plusOnes : 0})`;
+    }
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSaveGuest = async () => {
+    if (!validateGuestForm()) return;
+
+    const payload = {
+      name: guestForm.name.trim(),
+      email: guestForm.email.trim() || null,
+      contactNumber: guestForm.contactNumber.trim() || null,
+      household: guestForm.household.trim() || null,
+      side: guestForm.side,
+      dietaryRequirements: splitTags(guestForm.dietaryRequirements),
+      allergies: splitTags(guestForm.allergies),
+      plusOneAllowance: Number(guestForm.plusOneAllowance),
+      notes: guestForm.notes.trim() || null,
+    };
+
+    try {
+      setSaving(true);
+      if (guestDialog.guest) {
+        const rsvpPayload = {
+          rsvpStatus: guestForm.rsvpStatus,
+          ...(guestForm.rsvpStatus === 'attending'
+            ? { mealChoice: guestForm.mealChoice || null, plusOnesAttending: Number(guestForm.plusOnesAttending) || 0 }
+            : {}),
+        };
+        const updated = await updateGuest(projectId, guestDialog.guest.id, { ...payload, ...rsvpPayload });
+        setGuests((prev) => prev.map((g) => (g.id === updated.id ? updated : g)));
+        setSuccessMessage({ open: true, message: 'Guest updated successfully!' });
+      } else {
+        const created = await createGuest(projectId, payload);
+        setGuests((prev) => [...prev, created]);
+        setSuccessMessage({ open: true, message: 'Guest added successfully!' });
+      }
+      closeGuestDialog();
+    } catch (err) {
+      setToast({ open: true, message: err.message || 'Failed to save guest', severity: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImportGuests = async () => {
+    const rows = parseGuestRows(importText);
+    if (rows.length === 0) {
+      setToast({ open: true, message: 'No guests found in the pasted text', severity: 'warning' });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const created = await createGuestsBulk(projectId, rows);
+      setGuests((prev) => [...prev, ...(Array.isArray(created) ? created : [])]);
+      setShowImportDialog(false);
+      setImportText('');
+      setSuccessMessage({ open: true, message: `${rows.length} guest${rows.length === 1 ? '' : 's'} imported successfully!` });
+    } catch (err) {
+      setToast({ open: true, message: err.message || 'Failed to import guests', severity: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteGuest = async () => {
+    if (!showDeleteDialog) return;
+    try {
+      await deleteGuest(projectId, showDeleteDialog.id);
+      setGuests((prev) => prev.filter((g) => g.id !== showDeleteDialog.id));
+      setShowDeleteDialog(null);
+      setSuccessMessage({ open: true, message: 'Guest deleted successfully!' });
+    } catch (err) {
+      setShowDeleteDialog(null);
+      setToast({ open: true, message: err.message || 'Failed to delete guest', severity: 'error' });
+    }
+  };
+
+  const openSettingsDialog = () => {
+    setSettingsForm({
+      rsvpDeadline: rsvpSettings.rsvpDeadline ? String(rsvpSettings.rsvpDeadline).slice(0, 10) : '',
+      rsvpMealOptions: (rsvpSettings.rsvpMealOptions || []).join(', '),
+    });
+    setShowSettingsDialog(true);
+  };
+
+  const handleSaveSettings = async () => {
+    try {
+      setSaving(true);
+      const updated = await updateRsvpSettings(projectId, {
+        rsvpDeadline: settingsForm.rsvpDeadline || null,
+        rsvpMealOptions: splitTags(settingsForm.rsvpMealOptions),
+      });
+      setRsvpSettings({ rsvpDeadline: updated.rsvpDeadline, rsvpMealOptions: updated.rsvpMealOptions || [] });
+      setShowSettingsDialog(false);
+      setSuccessMessage({ open: true, message: 'RSVP settings saved!' });
+    } catch (err) {
+      setToast({ open: true, message: err.message || 'Failed to save RSVP settings', severity: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleGenerateLinks = async () => {
+    try {
+      setSendingInvitations(true);
+      const result = await generateGuestInvitations(projectId);
+      await fetchGuests();
+      setSuccessMessage({
+        open: true,
+        message: result.invitedCount > 0
+          ? `RSVP links created for ${result.invitedCount} guest${result.invitedCount === 1 ? '' : 's'}`
+          : 'Every guest already has an RSVP link',
+      });
+    } catch (err) {
+      setToast({ open: true, message: err.message || 'Failed to generate RSVP links', severity: 'error' });
+    } finally {
+      setSendingInvitations(false);
+    }
+  };
+
+  const handleSendInvitations = async (reminder = false) => {
+    try {
+      setSendingInvitations(true);
+      const result = await sendGuestInvitations(projectId, { reminder });
+      await fetchGuests();
+      const noun = reminder ? 'reminder' : 'invitation';
+      setSuccessMessage({
+        open: true,
+        message: `${result.sent} ${noun}${result.sent === 1 ? '' : 's'} sent${result.skipped ? ` (${result.skipped} household${result.skipped === 1 ? '' : 's'} skipped)` : ''}`,
+      });
+    } catch (err) {
+      setToast({ open: true, message: err.message || 'Failed to send invitations', severity: 'error' });
+    } finally {
+      setSendingInvitations(false);
+    }
+  };
+
+  const handleCopyLink = async (guest) => {
+    if (!guest.invitation?.token) return;
+    try {
+      await navigator.clipboard.writeText(buildRsvpLink(guest.invitation.token));
+      setSuccessMessage({ open: true, message: 'RSVP link copied to clipboard' });
+    } catch {
+      setToast({ open: true, message: buildRsvpLink(guest.invitation.token), severity: 'info' });
+    }
+  };
+
+  // Summary counts
+  const totalGuests = guests.length;
+  const totalPlusOnes = guests.reduce((sum, g) => sum + (g.plusOneAllowance || 0), 0);
+  const householdCount = new Set(guests.map((g) => g.household || `guest:${g.id}`)).size;
+  const sideCounts = guests.reduce(
+    (acc, g) => ({ ...acc, [g.side]: (acc[g.side] || 0) + 1 }),
+    { bride: 0, groom: 0, both: 0 }
+  );
+  const rsvpCounts = guests.reduce(
+    (acc, g) => ({ ...acc, [g.rsvpStatus || 'pending']: (acc[g.rsvpStatus || 'pending'] || 0) + 1 }),
+    { pending: 0, attending: 0, declined: 0 }
+  );
+  const confirmedHeadcount = guests
+    .filter((g) => g.rsvpStatus === 'attending')
+    .reduce((sum, g) => sum + 1 + (g.plusOnesAttending || 0), 0);
+  const guestsWithoutLink = guests.filter((g) => !g.invitationId).length;
+
+  // Filter guests
+  const normalizedQuery = searchQuery.trim().toLowerCase();
+  const filteredGuests = guests.filter((g) => {
+    if (sideFilter && g.side !== sideFilter) return false;
+    if (!normalizedQuery) return true;
+    return [g.name, g.email, g.contactNumber, g.household]
+      .filter(Boolean)
+      .some((value) => value.toLowerCase().includes(normalizedQuery));
+  });
+
+  // Group guests by household (guests without a household are listed individually)
+  const groupedGuests = filteredGuests.reduce((groups, guest) => {
+    const key = guest.household || 'No Household';
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(guest);
+    return groups;
+  }, {});
+  const groupKeys = Object.keys(groupedGuests).sort((a, b) => {
+    if (a === 'No Household') return 1;
+    if (b === 'No Household') return -1;
+    return a.localeCompare(b);
+  });
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '80vh' }}>
+        <Typography>Loading guest list...</Typography>
+      </Box>
+    );
+  }
+
+  if (error) {
+    return (
+      <Container maxWidth="lg" sx={{ py: 4 }}>
+        <Box sx={{ textAlign: 'center', py: 8 }}>
+          <Typography variant="h5" color="error" gutterBottom>
+            {error}
+          </Typography>
+          <Button component={Link} to="/projects" variant="contained" sx={{ mt: 2 }}>
+            Back to Projects
+          </Button>
+        </Box>
+      </Container>
+    );
+  }
+
+  const statCards = [
+    { label: 'Guests', value: totalGuests, caption: `${householdCount} households` },
+    { label: 'Attending', value: rsvpCounts.attending, color: '#2e7d32' },
+    { label: 'Declined', value: rsvpCounts.declined, color: '#c62828' },
+    { label: 'Awaiting Reply', value: rsvpCounts.pending, color: '#f57c00' },
+    { label: 'Confirmed Headcount', value: confirmedHeadcount, caption: `of ${totalGuests + totalPlusOnes} max` },
+  ];
+
+  return (
+    <Box className="guest-list-container" sx={{ minHeight: '100vh', backgroundColor: '#f5f6fa', pb: 6 }}>
+      {/* Hero Section */}
+      <Box
+        sx={{
+          background: 'linear-gradient(135deg, rgba(225, 103, 137, 0.15) 0%, rgba(171, 71, 188, 0.15) 100%)',
+          paddingY: { xs: 4, md: 5 },
+          paddingX: 2,
+          marginBottom: 4,
+        }}
+      >
+        <Container maxWidth="lg">
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, gap: 2, flexWrap: 'wrap' }}>
+            <Button
+              component={Link}
+              to={`/project-dashboard?projectId=${projectId}`}
+              startIcon={<ArrowBackIcon />}
+              sx={{
+                color: '#666',
+                textTransform: 'none',
+                fontFamily: "'Literata', serif",
+                '&:hover': { color: '#e16789', backgroundColor: 'rgba(225, 103, 137, 0.1)' },
+              }}
+            >
+              Back to Dashboard
+            </Button>
+            <Box sx={{ display: 'flex', gap: 1.5 }}>
+              <Button
+                variant="outlined"
+                startIcon={<UploadFileIcon />}
+                onClick={() => setShowImportDialog(true)}
+                sx={{ ...outlinedPinkButtonSx, px: 3 }}
+              >
+                Import from Spreadsheet
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<AddIcon />}
+                onClick={() => openGuestDialog()}
+                sx={{ ...outlinedPinkButtonSx, px: 3 }}
+              >
+                Add Guest
+              </Button>
+            </Box>
+          </Box>
+
+          <Typography
+            variant="h2"
+            sx={{
+              fontFamily: "'Playfair Display', serif",
+              fontSize: { xs: '2rem', md: '2.5rem' },
+              fontWeight: 700,
+              color: '#0f060d',
+              mb: 1,
+              lineHeight: 1.2,
+            }}
+          >
+            Guest List
+          </Typography>
+        </Container>
+      </Box>
+
+      <Container maxWidth="lg" sx={{ py: 2, px: { xs: 2, md: 3 } }}>
+        {/* Quick Stats Cards */}
+        <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+          {statCards.map((stat) => (
+            <Card
+              key={stat.label}
+              sx={{
+                flex: { xs: '1 1 calc(50% - 8px)', md: '1 1 calc(20% - 13px)' },
+                padding: 2,
+                borderRadius: 1,
+                border: '1px solid rgba(225, 103, 137, 0.2)',
+                boxShadow: '0 4px 16px rgba(0, 0, 0, 0.08)',
+              }}
+            >
+              <Typography
+                variant="h4"
+                sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 700, color: stat.color || '#e16789', mb: 0.5 }}
+              >
+                {stat.value}
+              </Typography>
+              <Typography variant="body2" sx={{ fontFamily: "'Literata', serif", color: '#666', fontSize: '0.875rem' }}>
+                {stat.label}
+              </Typography>
+              {stat.caption && (
+                <Typography variant="caption" sx={{ fontFamily: "'Literata', serif", color: '#999' }}>
+                  {stat.caption}
+                </Typography>
+              )}
+            </Card>
+          ))}
+        </Box>
+
+        {/* RSVP Invitations */}
+        <Card
+          sx={{
+            borderRadius: 1,
+            padding: 2.5,
+            mb: 3,
+            boxShadow: '0 4px 16px rgba(0, 0, 0, 0.08)',
+            border: '1px solid rgba(225, 103, 137, 0.1)',
+          }}
+        >
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+            <Box>
+              <Typography variant="h6" sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>
+                RSVP Invitations
+              </Typography>
+              <Typography variant="body2" sx={{ fontFamily: "'Literata', serif", color: '#666' }}>
+                Each household gets one private link. Guests can reply without creating an account.
+                {rsvpSettings.rsvpDeadline &&
+                  ` Replies close on ${new Date(rsvpSettings.rsvpDeadline).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.`}
+                {guestsWithoutLink > 0 && ` ${guestsWithoutLink} guest${guestsWithoutLink === 1 ? '' : 's'} without a link yet.`}
+              </Typography>
+            </Box>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              <Button size="small" startIcon={<SettingsIcon />} onClick={openSettingsDialog} sx={{ color: '#666', textTransform: 'none', fontFamily: "'Literata', serif" }}>
+                RSVP Settings
+              </Button>
+              <Button size="small" variant="outlined" startIcon={<LinkIcon />} disabled={sendingInvitations || guests.length === 0} onClick={handleGenerateLinks} sx={outlinedPinkButtonSx}>
+                Generate Links
+              </Button>
+              <Button size="small" variant="outlined" startIcon={<SendIcon />} disabled={sendingInvitations || guests.length === 0} onClick={() => handleSendInvitations(false)} sx={outlinedPinkButtonSx}>
+                Send Invitations
+              </Button>
+              <Button size="small" variant="outlined" startIcon={<ReminderIcon />} disabled={sendingInvitations || rsvpCounts.pending === 0} onClick={() => handleSendInvitations(true)} sx={outlinedPinkButtonSx}>
+                Send Reminders
+              </Button>
+            </Box>
+          </Box>
+        </Card>
+
+        {/* Search and Side Filters */}
+        <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap', alignItems: 'center' }}>
+          <TextField
+            placeholder="Search by name, email, phone or household..."
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            size="small"
+            InputProps={{
+              startAdornment: <SearchIcon sx={{ color: '#999', mr: 1, fontSize: '1.2rem' }} />,
+            }}
+            sx={{
+              flex: { xs: '1 1 100%', sm: '1 1 auto' },
+              minWidth: { sm: '300px' },
+              '& .MuiOutlinedInput-root': {
+                fontFamily: "'Literata', serif",
+                borderRadius: 1,
+                backgroundColor: 'white',
+              },
+            }}
+          />
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {[{ value: null, label: `All (${totalGuests})` }, ...SIDE_OPTIONS.map((o) => ({ ...o, label: `${o.label} (${sideCounts[o.value]})` }))].map(
+              (option) => (
+                <Chip
+                  key={option.value || 'all'}
+                  label={option.label}
+                  onClick={() => setSideFilter(option.value)}
+                  sx={{
+                    backgroundColor: sideFilter === option.value ? '#e16789' : 'rgba(225, 103, 137, 0.1)',
+                    color: sideFilter === option.value ? 'white' : '#e16789',
+                    fontFamily: "'Literata', serif",
+                    fontWeight: 600,
+                    borderRadius: 1,
+                    cursor: 'pointer',
+                    '&:hover': {
+                      backgroundColor: sideFilter === option.value ? '#d1537a' : 'rgba(225, 103, 137, 0.2)',
+                    },
+                  }}
+                />
+              )
+            )}
+          </Box>
+        </Box>
+
+        {/* Guest Table */}
+        {filteredGuests.length === 0 ? (
+          <Card sx={{ borderRadius: 1, p: 6, textAlign: 'center', boxShadow: '0 4px 16px rgba(0, 0, 0, 0.08)' }}>
+            <Typography sx={{ fontFamily: "'Literata', serif", color: '#666' }}>
+              {guests.length === 0
+                ? 'No guests yet. Add your first guest or import your spreadsheet to get started.'
+                : 'No guests match your search.'}
+            </Typography>
+          </Card>
+        ) : (
+          groupKeys.map((groupKey) => (
+            <Box key={groupKey} sx={{ mb: 3 }}>
+              <Typography
+                variant="h6"
+                sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600, color: '#0f060d', mb: 1 }}
+              >
+                {groupKey}
+                <Typography component="span" sx={{ fontFamily: "'Literata', serif", color: '#999', ml: 1, fontSize: '0.875rem' }}>
+                  {groupedGuests[groupKey].length} guest{groupedGuests[groupKey].length === 1 ? '' : 's'}
+                </Typography>
+              </Typography>
+              <TableContainer component={Card} sx={{ borderRadius: 1, boxShadow: '0 4px 16px rgba(0, 0, 0, 0.08)' }}>
+                <Table size="small" className="guest-list-table">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Name</TableCell>
+                      <TableCell>Contact</TableCell>
+                      <TableCell>Side</TableCell>
+                      <TableCell>Dietary / Allergies</TableCell>
+                      <TableCell align="center">Plus-ones</TableCell>
+                      <TableCell>RSVP</TableCell>
+                      <TableCell align="right">Actions</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {groupedGuests[groupKey].map((guest) => (
+                      <TableRow key={guest.id} hover>
+                        <TableCell sx={{ fontWeight: 600 }}>{guest.name}</TableCell>
+                        <TableCell>
+                          <Typography variant="body2">{guest.email || '—'}</Typography>
+                          {guest.contactNumber && (
+                            <Typography variant="caption" sx={{ color: '#999' }}>
+                              {guest.contactNumber}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>{SIDE_OPTIONS.find((o) => o.value === guest.side)?.label || '—'}</TableCell>
+                        <TableCell>
+                          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                            {(guest.dietaryRequirements || []).map((tag) => (
+                              <Chip key={`diet-${tag}`} label={tag} size="small" className="guest-tag guest-tag--dietary" />
+                            ))}
+                            {(guest.allergies || []).map((tag) => (
+                              <Chip key={`allergy-${tag}`} label={`${tag} allergy`} size="small" className="guest-tag guest-tag--allergy" />
+                            ))}
+                            {(guest.dietaryRequirements || []).length === 0 && (guest.allergies || []).length === 0 && '—'}
+                          </Box>
+                        </TableCell>
+                        <TableCell align="center">
+                          {guest.rsvpStatus === 'attending' ? `${guest.plusOnesAttending || 0} / ` : ''}
+                          {guest.plusOneAllowance || 0}
+                        </TableCell>
+                        <TableCell>
+                          {(() => {
+                            const status = RSVP_STATUS_OPTIONS.find((o) => o.value === (guest.rsvpStatus || 'pending'));
+                            return (
+                              <Chip
+                                label={status.label}
+                                size="small"
+                                className="guest-tag"
+                                sx={{ backgroundColor: `${status.color}1a`, color: status.color, fontWeight: 600 }}
+                              />
+                            );
+                          })()}
+                          {guest.mealChoice && (
+                            <Typography variant="caption" sx={{ display: 'block', color: '#666', mt: 0.5 }}>
+                              {guest.mealChoice}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right">
+                          {guest.invitation?.token && (
+                            <Tooltip title={guest.invitation.sentAt ? 'Copy RSVP link (invitation sent)' : 'Copy RSVP link'}>
+                              <IconButton size="small" onClick={() => handleCopyLink(guest)} sx={{ color: guest.invitation.sentAt ? '#e16789' : '#999' }}>
+                                <LinkIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                          <IconButton size="small" onClick={() => openGuestDialog(guest)} sx={{ color: '#999', '&:hover': { color: '#e16789' } }}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            onClick={() => setShowDeleteDialog(guest)}
+                            sx={{ color: '#999', '&:hover': { color: '#c62828' } }}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Box>
+          ))
+        )}
+
+        {/* Add / Edit Guest Dialog */}
+        <Dialog open={guestDialog.open} onClose={closeGuestDialog} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 1 } }}>
+          <DialogTitle sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>
+            {guestDialog.guest ? 'Edit Guest' : 'Add Guest'}
+          </DialogTitle>
+          <DialogContent>
+            <TextField
+              fullWidth
+              label="Name *"
+              value={guestForm.name}
+              onChange={(e) => setGuestForm({ ...guestForm, name: e.target.value })}
+              error={!!formErrors.name}
+              helperText={formErrors.name || `${guestForm.name.length}/100 characters`}
+              inputProps={{ maxLength: 100 }}
+              margin="normal"
+              sx={fieldSx}
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                fullWidth
+                label="Email"
+                type="email"
+                value={guestForm.email}
+                onChange={(e) => setGuestForm({ ...guestForm, email: e.target.value })}
+                error={!!formErrors.email}
+                helperText={formErrors.email}
+                margin="normal"
+                sx={fieldSx}
+              />
+              <TextField
+                fullWidth
+                label="Contact Number"
+                value={guestForm.contactNumber}
+                onChange={(e) => setGuestForm({ ...guestForm, contactNumber: e.target.value })}
+                error={!!formErrors.contactNumber}
+                helperText={formErrors.contactNumber}
+                inputProps={{ maxLength: 30 }}
+                margin="normal"
+                sx={fieldSx}
+              />
+            </Box>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                fullWidth
+                label="Household / Party"
+                placeholder="e.g. Tan Family"
+                value={guestForm.household}
+                onChange={(e) => setGuestForm({ ...guestForm, household: e.target.value })}
+                inputProps={{ maxLength: 100 }}
+                margin="normal"
+                sx={fieldSx}
+              />
+              <TextField
+                select
+                fullWidth
+                label="Side"
+                value={guestForm.side}
+                onChange={(e) => setGuestForm({ ...guestForm, side: e.target.value })}
+                margin="normal"
+                sx={fieldSx}
+              >
+                {SIDE_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Box>
+            <TextField
+              fullWidth
+              label="Dietary Requirements"
+              placeholder="e.g. vegetarian, halal"
+              value={guestForm.dietaryRequirements}
+              onChange={(e) => setGuestForm({ ...guestForm, dietaryRequirements: e.target.value })}
+              helperText="Separate multiple entries with commas"
+              margin="normal"
+              sx={fieldSx}
+            />
+            <TextField
+              fullWidth
+              label="Allergies"
+              placeholder="e.g. peanut, shellfish"
+              value={guestForm.allergies}
+              onChange={(e) => setGuestForm({ ...guestForm, allergies: e.target.value })}
+              helperText="Separate multiple entries with commas"
+              margin="normal"
+              sx={fieldSx}
+            />
+            <TextField
+              fullWidth
+              label="Plus-one Allowance"
+              type="number"
+              value={guestForm.plusOneAllowance}
+              onChange={(e) => setGuestForm({ ...guestForm, plusOneAllowance: e.target.value })}
+              error={!!formErrors.plusOneAllowance}
+              helperText={formErrors.plusOneAllowance || 'How many additional guests this person may bring'}
+              inputProps={{ min: 0, max: 10 }}
+              margin="normal"
+              sx={fieldSx}
+            />
+            <TextField
+              fullWidth
+              label="Notes"
+              value={guestForm.notes}
+              onChange={(e) => setGuestForm({ ...guestForm, notes: e.target.value })}
+              inputProps={{ maxLength: 1000 }}
+              margin="normal"
+              multiline
+              rows={2}
+              sx={fieldSx}
+            />
+            {guestDialog.guest && (
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <TextField
+                  select
+                  fullWidth
+                  label="RSVP"
+                  value={guestForm.rsvpStatus}
+                  onChange={(e) => setGuestForm({ ...guestForm, rsvpStatus: e.target.value })}
+                  margin="normal"
+                  sx={fieldSx}
+                >
+                  {RSVP_STATUS_OPTIONS.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                {guestForm.rsvpStatus === 'attending' && (
+                  <>
+                    <TextField
+                      select={rsvpSettings.rsvpMealOptions.length > 0}
+                      fullWidth
+                      label="Meal Choice"
+                      value={guestForm.mealChoice}
+                      onChange={(e) => setGuestForm({ ...guestForm, mealChoice: e.target.value })}
+                      margin="normal"
+                      sx={fieldSx}
+                    >
+                      {rsvpSettings.rsvpMealOptions.map((option) => (
+                        <MenuItem key={option} value={option}>
+                          {option}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                    <TextField
+                      fullWidth
+                      label="Plus-ones Attending"
+                      type="number"
+                      value={guestForm.plusOnesAttending}
+                      onChange={(e) => setGuestForm({ ...guestForm, plusOnesAttending: e.target.value })}
+                      error={!!formErrors.plusOnesAttending}
+                      helperText={formErrors.plusOnesAttending}
+                      inputProps={{ min: 0, max: Number(guestForm.plusOneAllowance) || 0 }}
+                      margin="normal"
+                      sx={fieldSx}
+                    />
+                  </>
+                )}
+              </Box>
+            )}
+          </DialogContent>
+          <DialogActions sx={{ px: 3, pb: 2 }}>
+            <Button onClick={closeGuestDialog} sx={{ color: '#666', textTransform: 'none', fontFamily: "'Literata', serif" }}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveGuest} disabled={saving} variant="outlined" sx={outlinedPinkButtonSx}>
+              {guestDialog.guest ? 'Save Changes' : 'Add Guest'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Import Dialog */}
+        <Dialog
+          open={showImportDialog}
+          onClose={() => setShowImportDialog(false)}
+          maxWidth="md"
+          fullWidth
+          PaperProps={{ sx: { borderRadius: 1 } }}
+        >
+          <DialogTitle sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>Import Guests</DialogTitle>
+          <DialogContent>
+            <Typography variant="body2" sx={{ fontFamily: "'Literata', serif", color: '#666', mb: 1 }}>
+              Copy rows from your spreadsheet and paste them below, one guest per line. Columns:
+              Name, Email, Phone, Household, Side (bride/groom/both), Plus-ones. Only the name is required.
+            </Typography>
+            <TextField
+              fullWidth
+              multiline
+              rows={10}
+              placeholder={'Aisha Rahman\taisha@example.com\t0123456789\tRahman Family\tbride\t1'}
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              sx={fieldSx}
+            />
+            <Typography variant="caption" sx={{ color: '#999', fontFamily: "'Literata', serif" }}>
+              {parseGuestRows(importText).length} guest(s) detected
+            </Typography>
+          </DialogContent>
+          <DialogActions sx={{ px: 3, pb: 2 }}>
+            <Button
+              onClick={() => setShowImportDialog(false)}
+              sx={{ color: '#666', textTransform: 'none', fontFamily: "'Literata', serif" }}
+            >
+              Cancel
+            </Button>
+            <Button onClick={handleImportGuests} disabled={saving} variant="outlined" sx={outlinedPinkButtonSx}>
+              Import Guests
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* RSVP Settings Dialog */}
+        <Dialog
+          open={showSettingsDialog}
+          onClose={() => setShowSettingsDialog(false)}
+          maxWidth="sm"
+          fullWidth
+          PaperProps={{ sx: { borderRadius: 1 } }}
+        >
+          <DialogTitle sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>RSVP Settings</DialogTitle>
+          <DialogContent>
+            <TextField
+              fullWidth
+              label="Reply By"
+              type="date"
+              value={settingsForm.rsvpDeadline}
+              onChange={(e) => setSettingsForm({ ...settingsForm, rsvpDeadline: e.target.value })}
+              helperText="Guests can no longer reply through their link after this date"
+              margin="normal"
+              InputLabelProps={{ shrink: true }}
+              sx={fieldSx}
+            />
+            <TextField
+              fullWidth
+              label="Meal Options"
+              placeholder="e.g. Chicken, Fish, Vegetarian"
+              value={settingsForm.rsvpMealOptions}
+              onChange={(e) => setSettingsForm({ ...settingsForm, rsvpMealOptions: e.target.value })}
+              helperText="Separate options with commas. Leave empty if guests don't choose a meal."
+              margin="normal"
+              sx={fieldSx}
+            />
+          </DialogContent>
+          <DialogActions sx={{ px: 3, pb: 2 }}>
+            <Button
+              onClick={() => setShowSettingsDialog(false)}
+              sx={{ color: '#666', textTransform: 'none', fontFamily: "'Literata', serif" }}
+            >
+              Cancel
+            </Button>
+            <Button onClick={handleSaveSettings} disabled={saving} variant="outlined" sx={outlinedPinkButtonSx}>
+              Save Settings
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Delete Confirmation Dialog */}
+        <Dialog open={!!showDeleteDialog} onClose={() => setShowDeleteDialog(null)} PaperProps={{ sx: { borderRadius: 1 } }}>
+          <DialogTitle sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>Confirm Deletion</DialogTitle>
+          <DialogContent>
+            <Typography sx={{ fontFamily: "'Literata', serif" }}>
+              Are you sure you want to remove "{showDeleteDialog?.name}" from your guest list?
+            </Typography>
+          </DialogContent>
+          <DialogActions sx={{ px: 3, pb: 2 }}>
+            <Button
+              onClick={() => setShowDeleteDialog(null)}
+              sx={{ color: '#666', textTransform: 'none', fontFamily: "'Literata', serif" }}
+            >
+              Cancel
+            </Button>
+            <Button
+              onClick={handleDeleteGuest}
+              variant="outlined"
+              sx={{
+                ...outlinedPinkButtonSx,
+                border: '2px solid #c62828',
+                color: '#c62828',
+                '&:hover': { background: '#c62828', border: '2px solid #c62828', color: 'white' },
+              }}
+            >
+              Delete
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Success Message */}
+        <SuccessMessage
+          open={successMessage.open}
+          onClose={() => setSuccessMessage({ ...successMessage, open: false })}
+          message={successMessage.message}
+        />
+      </Container>
+
+      {/* Toast Notification */}
+      <Snackbar
+        open={toast.open}
+        autoHideDuration={6000}
+        onClose={() => setToast({ ...toast, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert onClose={() => setToast({ ...toast, open: false })} severity={toast.severity} sx={{ width: '100%' }}>
+          {toast.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default GuestList;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   Box,
   Button,
@@ -28,6 +29,7 @@ import {
   Close as CloseIcon,
   ThreeDRotation as ThreeDIcon,
   Search as SearchIcon,
+  Architecture as ArchitectureIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../context/AuthContext';
 import { apiFetch } from '../../lib/api';
@@ -36,8 +38,12 @@ import Model3DViewer from '../../components/Model3DViewer/Model3DViewer';
 import Viewer3D from '../../components/ModelDimensionEditor/Viewer3D';
 import './ManageDesignElements.css';
 
+// What a host element (e.g. a table) lets designers place on top of it; text fields as typed
+const EMPTY_HOST_RULES = { canHostChildren: false, hostSurfaceHeight: '', maxChildren: '', hostChildTypes: '' };
+
 const ManageDesignElements = () => {
   const { user, loading: authLoading } = useAuth();
+  const navigate = useNavigate();
   const [designElements, setDesignElements] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -61,6 +67,7 @@ const ManageDesignElements = () => {
   const [viewingElement, setViewingElement] = useState(null);
   const [dimensions, setDimensions] = useState({ width: '', height: '', depth: '' });
   const [isStackable, setIsStackable] = useState(false);
+  const [hostRules, setHostRules] = useState(EMPTY_HOST_RULES);
   const [useDimensionEditor, setUseDimensionEditor] = useState(false);
   const dimensionExportRef = useRef(null);
   const [searchQuery, setSearchQuery] = useState('');
@@ -113,6 +120,12 @@ const ManageDesignElements = () => {
       };
       setDimensions(dims);
       setIsStackable(Boolean(element.isStackable));
+      setHostRules({
+        canHostChildren: Boolean(element.canHostChildren),
+        hostSurfaceHeight: element.hostSurfaceHeight ?? '',
+        maxChildren: element.maxChildren ?? '',
+        hostChildTypes: (element.hostChildTypes || []).join(', '),
+      });
       setUseDimensionEditor(element.modelFile ? true : false); // Show dimension editor if model exists
     } else {
       setEditingElement(null);
@@ -129,6 +142,7 @@ const ManageDesignElements = () => {
       setLivePreviewUrl(null);
       setDimensions({ width: '', height: '', depth: '' });
       setIsStackable(false);
+      setHostRules(EMPTY_HOST_RULES);
       setUseDimensionEditor(false);
     }
     setError('');
@@ -258,12 +272,40 @@ const ManageDesignElements = () => {
     return Object.keys(entries).length > 0 ? entries : null;
   };
 
+  const buildHostRulesPayload = () => {
+    const toNumber = (raw) => (raw === '' || raw === null || raw === undefined ? null : Number(raw));
+    return {
+      canHostChildren: hostRules.canHostChildren,
+      hostSurfaceHeight: hostRules.canHostChildren ? toNumber(hostRules.hostSurfaceHeight) : null,
+      maxChildren: hostRules.canHostChildren ? toNumber(hostRules.maxChildren) : null,
+      hostChildTypes: hostRules.canHostChildren
+        ? hostRules.hostChildTypes
+            .split(',')
+            .map((type) => type.trim())
+            .filter(Boolean)
+        : [],
+    };
+  };
+
   const handleSave = async () => {
     if (!formData.name.trim()) {
       setError('Name is required');
       return;
     }
 
+    const hostRulesPayload = buildHostRulesPayload();
+    if (hostRulesPayload.hostSurfaceHeight !== null && !(hostRulesPayload.hostSurfaceHeight >= 0)) {
+      setError('Surface height must be a number of meters');
+      return;
+    }
+    if (
+      hostRulesPayload.maxChildren !== null &&
+      !(Number.isInteger(hostRulesPayload.maxChildren) && hostRulesPayload.maxChildren >= 1)
+    ) {
+      setError('Max items must be a whole number of at least 1');
+      return;
+    }
+
     if (!editingElement && !model3DFile) {
       setError('Please upload a 3D model file');
       return;
@@ -281,6 +323,7 @@ const ManageDesignElements = () => {
           elementType: formData.elementType.trim() || null,
           isStackable,
           dimensions: dimensionsPayload,
+          ...hostRulesPayload,
         };
 
         await apiFetch(`/design-elements/${editingElement.id}`, {
@@ -314,6 +357,10 @@ const ManageDesignElements = () => {
           formData3D.append('elementType', formData.elementType.trim());
         }
         formData3D.append('isStackable', String(isStackable));
+        formData3D.append('canHostChildren', String(hostRulesPayload.canHostChildren));
+        formData3D.append('hostSurfaceHeight', String(hostRulesPayload.hostSurfaceHeight ?? ''));
+        formData3D.append('maxChildren', String(hostRulesPayload.maxChildren ?? ''));
+        formData3D.append('hostChildTypes', JSON.stringify(hostRulesPayload.hostChildTypes));
         const dimensionsPayload = buildDimensionsPayload();
         if (dimensionsPayload) {
           formData3D.append('dimensions', JSON.stringify(dimensionsPayload));
@@ -747,6 +794,16 @@ const ManageDesignElements = () => {
                         >
                           <EditIcon fontSize="small" />
                         </IconButton>
+                        {element.floorplanMetadata && (
+                          <IconButton
+                            size="small"
+                            onClick={() => navigate(`/vendor/venue-floorplan?designElementId=${element.id}`)}
+                            sx={{ color: '#666' }}
+                            title="Edit floorplan"
+                          >
+                            <ArchitectureIcon fontSize="small" />
+                          </IconButton>
+                        )}
                         <IconButton
                           size="small"
                           onClick={() => handleDeleteClick(element.id)}
@@ -943,6 +1000,57 @@ const ManageDesignElements = () => {
                     </Box>
                   }
                 />
+                <FormControlLabel
+                  sx={{ mt: 1 }}
+                  control={
+                    <Switch
+                      checked={hostRules.canHostChildren}
+                      onChange={(e) => setHostRules((prev) => ({ ...prev, canHostChildren: e.target.checked }))}
+                      color="primary"
+                    />
+                  }
+                  label={
+                    <Box>
+                      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                        Can hold stacked items
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        Stackable items can be placed on this model's top surface (e.g., a table top holds centerpieces, a chair holds nothing).
+                      </Typography>
+                    </Box>
+                  }
+                />
+                {hostRules.canHostChildren && (
+                  <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 2, mt: 2 }}>
+                    <TextField
+                      label="Surface height (m)"
+                      type="number"
+                      size="small"
+                      value={hostRules.hostSurfaceHeight}
+                      onChange={(e) => setHostRules((prev) => ({ ...prev, hostSurfaceHeight: e.target.value }))}
+                      inputProps={{ min: 0, step: 0.01 }}
+                      helperText="Height of the top from the floor. Leave empty to use the model's height."
+                    />
+                    <TextField
+                      label="Max items"
+                      type="number"
+                      size="small"
+                      value={hostRules.maxChildren}
+                      onChange={(e) => setHostRules((prev) => ({ ...prev, maxChildren: e.target.value }))}
+                      inputProps={{ min: 1, step: 1 }}
+                      helperText="Leave empty for no limit."
+                    />
+                    <TextField
+                      label="Accepted element types"
+                      size="small"
+                      value={hostRules.hostChildTypes}
+                      onChange={(e) => setHostRules((prev) => ({ ...prev, hostChildTypes: e.target.value }))}
+                      placeholder="e.g. centerpiece, tableware"
+                      helperText="Comma-separated. Leave empty to accept any stackable item."
+                      sx={{ gridColumn: '1 / -1' }}
+                    />
+                  </Box>
+                )}
               </Box>
             </Box>
           </Stack>
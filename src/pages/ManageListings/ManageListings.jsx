@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   Box,
   Button,
@@ -44,6 +45,7 @@ import {
   Search as SearchIcon,
   MoreVert as MoreVertIcon,
   ThreeDRotation as ThreeDIcon,
+  Architecture as ArchitectureIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../context/AuthContext';
 import { apiFetch } from '../../lib/api';
@@ -78,6 +80,9 @@ const PRICING_POLICIES = {
   time_based: 'Time Based',
 };
 
+// Only per unit / per table quantities can follow the couple's confirmed guest count
+const isHeadcountPolicy = (pricingPolicy) => pricingPolicy === 'per_unit' || pricingPolicy === 'per_table';
+
 // Filter pricing policies based on category and availability type
 const getAvailablePricingPolicies = (category, availabilityType) => {
   // Venues should only have fixed_package
@@ -99,6 +104,7 @@ const getAvailablePricingPolicies = (category, availabilityType) => {
 
 const ManageListings = () => {
   const { user, loading: authLoading } = useAuth();
+  const navigate = useNavigate();
   const [listings, setListings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -126,6 +132,9 @@ const ManageListings = () => {
     maxQuantity: '',
     pricingPolicy: 'fixed_package',
     hourlyRate: '',
+    quantityFollowsHeadcount: false,
+    guestsPerUnit: '1',
+    maxOccupancy: '',
     cancellationPolicy: '',
     cancellationFeeTiers: {
       '>90': 0,
@@ -271,6 +280,9 @@ const ManageListings = () => {
         maxQuantity: listing.maxQuantity ? listing.maxQuantity.toString() : '',
         pricingPolicy: listing.pricingPolicy || 'fixed_package',
         hourlyRate: listing.hourlyRate ? parseFloat(listing.hourlyRate).toString() : '',
+        quantityFollowsHeadcount: listing.quantityFollowsHeadcount || false,
+        guestsPerUnit: listing.guestsPerUnit ? listing.guestsPerUnit.toString() : '1',
+        maxOccupancy: listing.maxOccupancy ? listing.maxOccupancy.toString() : '',
         cancellationPolicy: listing.cancellationPolicy || '',
         cancellationFeeTiers: listing.cancellationFeeTiers ? (
           typeof listing.cancellationFeeTiers === 'string'
@@ -349,6 +361,9 @@ const ManageListings = () => {
         maxQuantity: '',
         pricingPolicy: 'fixed_package',
         hourlyRate: '',
+        quantityFollowsHeadcount: false,
+        guestsPerUnit: '1',
+        maxOccupancy: '',
         cancellationPolicy: '',
         cancellationFeeTiers: {
           '>90': 0,
@@ -396,6 +411,9 @@ const ManageListings = () => {
       description: wizardData.description || '',
       price: wizardData.price,
       pricingPolicy: wizardData.pricingPolicy,
+      quantityFollowsHeadcount: wizardData.quantityFollowsHeadcount || false,
+      guestsPerUnit: wizardData.guestsPerUnit || '1',
+      maxOccupancy: wizardData.maxOccupancy || '',
       isBundle: wizardData.isBundle || false,
       cancellationPolicy: wizardData.cancellationPolicy || prev.cancellationPolicy || '',
       cancellationFeeTiers: wizardData.cancellationFeeTiers || prev.cancellationFeeTiers || null,
@@ -503,6 +521,9 @@ const ManageListings = () => {
           // If switching away from time_based, clear hourlyRate
           updated.hourlyRate = '';
         }
+        if (!isHeadcountPolicy(value)) {
+          updated.quantityFollowsHeadcount = false;
+        }
       }
       
       return updated;
@@ -717,6 +738,10 @@ const ManageListings = () => {
           maxQuantity: dataToUse.availabilityType === 'quantity_based' ? parseInt(dataToUse.maxQuantity) : null,
           pricingPolicy: dataToUse.pricingPolicy,
           hourlyRate: dataToUse.pricingPolicy === 'time_based' && dataToUse.hourlyRate ? parseFloat(dataToUse.hourlyRate) : null,
+          quantityFollowsHeadcount: isHeadcountPolicy(dataToUse.pricingPolicy) && Boolean(dataToUse.quantityFollowsHeadcount),
+          guestsPerUnit: parseInt(dataToUse.guestsPerUnit, 10) || 1,
+          maxOccupancy:
+            dataToUse.category === 'Venue' && dataToUse.maxOccupancy ? parseInt(dataToUse.maxOccupancy, 10) : null,
           cancellationPolicy: dataToUse.cancellationPolicy || formData.cancellationPolicy || null,
           cancellationFeeTiers: dataToUse.cancellationFeeTiers || formData.cancellationFeeTiers || null,
           // Include designElementId for non-bundle services
@@ -765,6 +790,9 @@ const ManageListings = () => {
           const formData3D = new FormData();
           formData3D.append('model3D', model3DFile);
           formData3D.append('isStackable', String(isStackable));
+          if (model3DSource === 'floorplan' && floorplanData) {
+            formData3D.append('floorplanMetadata', JSON.stringify(floorplanData));
+          }
           const listingDimensions = buildDimensionsPayloadFromState(modelDimensions);
           if (listingDimensions) {
             formData3D.append('dimensions', JSON.stringify(listingDimensions));
@@ -897,6 +925,10 @@ const ManageListings = () => {
           maxQuantity: dataToUse.availabilityType === 'quantity_based' ? parseInt(dataToUse.maxQuantity) : null,
           pricingPolicy: dataToUse.pricingPolicy,
           hourlyRate: dataToUse.pricingPolicy === 'time_based' && dataToUse.hourlyRate ? parseFloat(dataToUse.hourlyRate) : null,
+          quantityFollowsHeadcount: isHeadcountPolicy(dataToUse.pricingPolicy) && Boolean(dataToUse.quantityFollowsHeadcount),
+          guestsPerUnit: parseInt(dataToUse.guestsPerUnit, 10) || 1,
+          maxOccupancy:
+            dataToUse.category === 'Venue' && dataToUse.maxOccupancy ? parseInt(dataToUse.maxOccupancy, 10) : null,
           cancellationPolicy: dataToUse.cancellationPolicy || formData.cancellationPolicy || null,
           cancellationFeeTiers: dataToUse.cancellationFeeTiers || formData.cancellationFeeTiers || null,
           // Include designElementId for non-bundle services
@@ -947,6 +979,9 @@ const ManageListings = () => {
             const formData3D = new FormData();
             formData3D.append('model3D', model3DFile);
             formData3D.append('isStackable', String(isStackable));
+            if (model3DSource === 'floorplan' && floorplanData) {
+              formData3D.append('floorplanMetadata', JSON.stringify(floorplanData));
+            }
             const listingDimensions = buildDimensionsPayloadFromState(modelDimensions);
             if (listingDimensions) {
               formData3D.append('dimensions', JSON.stringify(listingDimensions));
@@ -2269,6 +2304,56 @@ const ManageListings = () => {
               />
             )}
 
+            {/* Headcount-driven quantity - per unit / per table listings only */}
+            {isHeadcountPolicy(formData.pricingPolicy) && (
+              <Box sx={{ p: 2, border: '1px solid #e0e0e0', borderRadius: 1, backgroundColor: '#fafafa' }}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={formData.quantityFollowsHeadcount}
+                      onChange={(e) => handleInputChange('quantityFollowsHeadcount', e.target.checked)}
+                    />
+                  }
+                  label={
+                    <Box>
+                      <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                        Quantity follows guest count
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        The quantity updates automatically from the couple's confirmed RSVPs (e.g. catering per head)
+                      </Typography>
+                    </Box>
+                  }
+                />
+                {formData.quantityFollowsHeadcount && (
+                  <TextField
+                    fullWidth
+                    label="Guests per unit"
+                    type="number"
+                    value={formData.guestsPerUnit}
+                    onChange={(e) => handleInputChange('guestsPerUnit', e.target.value)}
+                    helperText={formData.pricingPolicy === 'per_table' ? 'Guests seated per table' : 'Use 1 for per-guest pricing'}
+                    inputProps={{ min: 1, step: 1 }}
+                    sx={{ mt: 2, '& .MuiFormHelperText-root': { fontSize: '12px' } }}
+                  />
+                )}
+              </Box>
+            )}
+
+            {/* Venue capacity, checked against the couple's layout and guest list */}
+            {formData.category === 'Venue' && (
+              <TextField
+                fullWidth
+                label="Maximum occupancy (guests)"
+                type="number"
+                value={formData.maxOccupancy}
+                onChange={(e) => handleInputChange('maxOccupancy', e.target.value)}
+                helperText="Most guests the venue may hold. Couples can't check out a layout that seats more."
+                inputProps={{ min: 1, step: 1 }}
+                sx={{ '& .MuiFormHelperText-root': { fontSize: '12px' } }}
+              />
+            )}
+
 
             {/* Bundle Toggle - Hide for venue listings when editing */}
             {!(editingListing && editingListing.category === 'Venue') && (
@@ -3007,6 +3092,33 @@ const ManageListings = () => {
             </Box>
             )}
 
+            {/* Venue models are redrawn in the floorplan editor, which reopens the saved floorplan */}
+            {editingListing && editingListing.category === 'Venue' && (
+              <Box>
+                <Typography variant="body2" sx={{ mb: 1, fontWeight: 500 }}>
+                  Venue 3D Model
+                </Typography>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+                  {editingListing.designElement?.floorplanMetadata
+                    ? 'Reopen the floorplan this venue model was drawn from to edit it and regenerate the model.'
+                    : 'This venue model has no saved floorplan. Draw one to replace the model.'}
+                </Typography>
+                <Button
+                  variant="outlined"
+                  startIcon={<ArchitectureIcon />}
+                  onClick={() => navigate(`/vendor/venue-floorplan/${editingListing.id}`)}
+                  sx={{
+                    textTransform: 'none',
+                    borderColor: '#e16789',
+                    color: '#e16789',
+                    '&:hover': { borderColor: '#d1537a', backgroundColor: 'rgba(225, 103, 137, 0.04)' },
+                  }}
+                >
+                  {editingListing.designElement?.floorplanMetadata ? 'Edit Floorplan' : 'Draw Floorplan'}
+                </Button>
+              </Box>
+            )}
+
             {/* Active Status Toggle */}
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
               <Typography variant="body1" sx={{ fontWeight: 500 }}>
@@ -39,8 +39,10 @@ import {
   Close,
   WarningAmberRounded,
   LocalOffer as LocalOfferIcon,
+  Groups as GroupsIcon,
 } from '@mui/icons-material';
-import { apiFetch, updateProjectVenue } from '../../lib/api';
+import { apiFetch, updateProjectVenue, getRsvpSummary } from '../../lib/api';
+import { useWebSocket } from '../../context/WebSocketContext';
 import VendorDetailsPopup from '../../components/VendorDetailsPopup/VendorDetailsPopup';
 import Model3DViewer from '../../components/Model3DViewer/Model3DViewer';
 import '../CreateProject/CreateProject.styles.css';
@@ -67,11 +69,34 @@ const ProjectDashboard = () => {
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [isImageFullscreen, setIsImageFullscreen] = useState(false);
   const [activeModelIndex, setActiveModelIndex] = useState(0);
+  const [rsvpSummary, setRsvpSummary] = useState(null);
+  const { socket, isConnected } = useWebSocket();
 
   useEffect(() => {
     fetchProjectData();
   }, [projectId]);
 
+  useEffect(() => {
+    if (!projectId) return;
+    getRsvpSummary(projectId)
+      .then(setRsvpSummary)
+      .catch((err) => console.error('Error fetching RSVP summary:', err));
+  }, [projectId]);
+
+  // RSVP counts update live as guests respond through their invitation links
+  useEffect(() => {
+    if (!socket || !isConnected || !projectId) return undefined;
+    const handleRsvpUpdate = (payload) => {
+      if (payload?.projectId === projectId && payload.summary) {
+        setRsvpSummary((prev) => ({ ...prev, ...payload.summary }));
+      }
+    };
+    socket.on('rsvp-updated', handleRsvpUpdate);
+    return () => {
+      socket.off('rsvp-updated', handleRsvpUpdate);
+    };
+  }, [socket, isConnected, projectId]);
+
   const fetchVenues = async () => {
     try {
       setVenuesLoading(true);
@@ -388,6 +413,9 @@ const ProjectDashboard = () => {
             spent: parseFloat(project.budget.totalSpent || 0),
             categories: project.budget.categories || {},
           } : { total: 0, spent: 0, categories: {} },
+          guests: {
+            total: project._count?.guests || 0,
+          },
           checklist: {
             total: project.tasks?.length || 0,
             completed: project.tasks?.filter(t => t.isCompleted).length || 0,
@@ -478,6 +506,15 @@ const ProjectDashboard = () => {
       link: `/checklist?projectId=${projectData.id}`,
       stats: `${projectData.checklist.completed} of ${projectData.checklist.total} tasks`,
     },
+    {
+      icon: GroupsIcon,
+      title: 'Guest List',
+      description: 'Keep every guest, household and dietary need in one place',
+      progress: `${projectData.guests.total} guests`,
+      color: '#e16789',
+      link: `/guests?projectId=${projectData.id}`,
+      stats: rsvpSummary ? `${rsvpSummary.attending} attending, ${rsvpSummary.pending} awaiting reply` : 'Manage guests',
+    },
     {
       icon: View3DIcon,
       title: '3D Venue Designer',
@@ -907,6 +944,90 @@ const ProjectDashboard = () => {
               </Grid>
             </Grid>
           </Card>
+
+          {/* Guest RSVP Card */}
+          {rsvpSummary && rsvpSummary.totalGuests > 0 && (
+            <Card
+              sx={{
+                borderRadius: 1,
+                padding: { xs: 2, md: 3 },
+                mt: 3,
+                boxShadow: '0 4px 16px rgba(0, 0, 0, 0.08)',
+                width: '100%',
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: { xs: 1.5, md: 2 }, mb: 2 }}>
+                <Box
+                  sx={{
+                    width: { xs: 40, md: 48 },
+                    height: { xs: 40, md: 48 },
+                    borderRadius: 1,
+                    border: '2px solid #e16789',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    color: '#e16789',
+                    flexShrink: 0,
+                  }}
+                >
+                  <GroupsIcon sx={{ fontSize: { xs: '1.2rem', md: '1.5rem' } }} />
+                </Box>
+                <Box sx={{ minWidth: 0, flex: 1 }}>
+                  <Typography
+                    variant="h6"
+                    sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600, fontSize: { xs: '1rem', md: '1.25rem' } }}
+                  >
+                    Guest RSVPs
+                  </Typography>
+                  <Typography
+                    variant="body2"
+                    sx={{ color: '#666', fontFamily: "'Literata', serif", fontSize: { xs: '0.875rem', md: '0.9375rem' } }}
+                  >
+                    {rsvpSummary.totalGuests - rsvpSummary.pending} of {rsvpSummary.totalGuests} guests have replied
+                  </Typography>
+                </Box>
+                <Button
+                  component={Link}
+                  to={`/guests?projectId=${projectId}`}
+                  endIcon={<ArrowForwardIcon />}
+                  sx={{ color: '#e16789', textTransform: 'none', fontFamily: "'Literata', serif", fontWeight: 600 }}
+                >
+                  Guest List
+                </Button>
+              </Box>
+              <LinearProgress
+                variant="determinate"
+                value={((rsvpSummary.totalGuests - rsvpSummary.pending) / rsvpSummary.totalGuests) * 100}
+                sx={{
+                  height: 10,
+                  borderRadius: 1,
+                  backgroundColor: '#f0f0f0',
+                  mb: 2,
+                  '& .MuiLinearProgress-bar': {
+                    background: '#e16789',
+                    borderRadius: 1,
+                  },
+                }}
+              />
+              <Box sx={{ display: 'flex', gap: { xs: 2, md: 4 }, flexWrap: 'wrap' }}>
+                {[
+                  { label: 'Attending', value: rsvpSummary.attending, color: '#2e7d32' },
+                  { label: 'Declined', value: rsvpSummary.declined, color: '#c62828' },
+                  { label: 'Awaiting reply', value: rsvpSummary.pending, color: '#f57c00' },
+                  { label: 'Confirmed headcount', value: rsvpSummary.confirmedHeadcount, color: '#e16789' },
+                ].map((stat) => (
+                  <Box key={stat.label}>
+                    <Typography sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 700, fontSize: '1.5rem', color: stat.color }}>
+                      {stat.value}
+                    </Typography>
+                    <Typography variant="body2" sx={{ color: '#666', fontFamily: "'Literata', serif" }}>
+                      {stat.label}
+                    </Typography>
+                  </Box>
+                ))}
+              </Box>
+            </Card>
+          )}
         </Box>
 
         {/* Planning Tools Section */}
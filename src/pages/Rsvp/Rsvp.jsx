@@ -0,0 +1,292 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Card,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+  CircularProgress,
+  Divider,
+} from '@mui/material';
+import {
+  CalendarToday as CalendarIcon,
+  LocationOn as LocationIcon,
+  CheckCircle as CheckCircleIcon,
+} from '@mui/icons-material';
+import { getRsvpInvitation, submitRsvp } from '../../lib/api';
+import './Rsvp.styles.css';
+
+const toResponseState = (guests) =>
+  guests.reduce((acc, guest) => {
+    acc[guest.id] = {
+      rsvpStatus: guest.rsvpStatus === 'pending' ? '' : guest.rsvpStatus,
+      mealChoice: guest.mealChoice || '',
+      plusOnesAttending: guest.plusOnesAttending || 0,
+    };
+    return acc;
+  }, {});
+
+/**
+ * Public RSVP form reached through a household's tokenized invitation link.
+ * No login is required; the token in the URL identifies the household.
+ */
+const Rsvp = () => {
+  const { token } = useParams();
+
+  const [invitation, setInvitation] = useState(null);
+  const [responses, setResponses] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [submitError, setSubmitError] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        setLoading(true);
+        const data = await getRsvpInvitation(token);
+        setInvitation(data);
+        setResponses(toResponseState(data.guests || []));
+      } catch (err) {
+        setError(err.message || 'This invitation link is invalid');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchInvitation();
+  }, [token]);
+
+  const updateResponse = (guestId, changes) => {
+    setResponses((prev) => ({ ...prev, [guestId]: { ...prev[guestId], ...changes } }));
+    setSubmitError('');
+  };
+
+  const handleSubmit = async () => {
+    const mealOptions = invitation.event.mealOptions || [];
+    const answered = invitation.guests.filter((g) => responses[g.id]?.rsvpStatus);
+
+    if (answered.length === 0) {
+      setSubmitError('Please let us know whether each guest is attending');
+      return;
+    }
+    const missingMeal = answered.find(
+      (g) => responses[g.id].rsvpStatus === 'attending' && mealOptions.length > 0 && !responses[g.id].mealChoice
+    );
+    if (missingMeal) {
+      setSubmitError(`Please choose a meal for ${missingMeal.name}`);
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const payload = answered.map((g) => ({
+        guestId: g.id,
+        rsvpStatus: responses[g.id].rsvpStatus,
+        mealChoice: responses[g.id].mealChoice || null,
+        plusOnesAttending: Number(responses[g.id].plusOnesAttending) || 0,
+      }));
+      const data = await submitRsvp(token, payload);
+      setInvitation(data);
+      setResponses(toResponseState(data.guests || []));
+      setSubmitted(true);
+    } catch (err) {
+      setSubmitError(err.message || 'Failed to submit your RSVP');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '80vh' }}>
+        <CircularProgress sx={{ color: '#e16789' }} />
+      </Box>
+    );
+  }
+
+  if (error || !invitation) {
+    return (
+      <Container maxWidth="sm" sx={{ py: 8 }}>
+        <Box sx={{ textAlign: 'center' }}>
+          <Typography variant="h5" color="error" gutterBottom>
+            {error || 'Invitation not found'}
+          </Typography>
+          <Typography sx={{ color: '#666', fontFamily: "'Literata', serif" }}>
+            Please check the link in your invitation email, or contact the couple directly.
+          </Typography>
+        </Box>
+      </Container>
+    );
+  }
+
+  const { event } = invitation;
+  const mealOptions = event.mealOptions || [];
+
+  return (
+    <Box className="rsvp-page" sx={{ minHeight: '100vh', backgroundColor: '#f5f6fa', py: { xs: 4, md: 8 } }}>
+      <Container maxWidth="sm">
+        <Card sx={{ borderRadius: 2, overflow: 'hidden', boxShadow: '0 10px 30px rgba(15, 23, 42, 0.08)' }}>
+          {/* Invitation Header */}
+          <Box
+            sx={{
+              background: 'linear-gradient(135deg, rgba(225, 103, 137, 0.9) 0%, rgba(171, 71, 188, 0.9) 100%)',
+              color: 'white',
+              px: { xs: 3, md: 4 },
+              py: 4,
+              textAlign: 'center',
+            }}
+          >
+            <Typography sx={{ fontFamily: "'Literata', serif", opacity: 0.9, mb: 1 }}>
+              {invitation.household ? `Dear ${invitation.household},` : 'You are invited to'}
+            </Typography>
+            <Typography
+              variant="h3"
+              sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 700, fontSize: { xs: '2rem', md: '2.5rem' } }}
+            >
+              {event.name}
+            </Typography>
+            <Box sx={{ display: 'flex', justifyContent: 'center', gap: 3, mt: 2, flexWrap: 'wrap' }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <CalendarIcon fontSize="small" />
+                <Typography sx={{ fontFamily: "'Literata', serif" }}>
+                  {new Date(event.weddingDate).toLocaleDateString('en-US', {
+                    weekday: 'long',
+                    year: 'numeric',
+                    month: 'long',
+                    day: 'numeric',
+                  })}
+                </Typography>
+              </Box>
+              {event.venueName && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <LocationIcon fontSize="small" />
+                  <Typography sx={{ fontFamily: "'Literata', serif" }}>{event.venueName}</Typography>
+                </Box>
+              )}
+            </Box>
+          </Box>
+
+          <Box sx={{ px: { xs: 3, md: 4 }, py: 3 }}>
+            {!invitation.isOpen && (
+              <Alert severity="info" sx={{ mb: 3 }}>
+                {invitation.closedReason}
+              </Alert>
+            )}
+            {submitted && (
+              <Alert icon={<CheckCircleIcon fontSize="inherit" />} severity="success" sx={{ mb: 3 }}>
+                Thank you! Your response has been recorded. You can come back to this link to update it.
+              </Alert>
+            )}
+            {invitation.isOpen && event.rsvpDeadline && (
+              <Typography sx={{ fontFamily: "'Literata', serif", color: '#666', mb: 2, textAlign: 'center' }}>
+                Kindly reply by{' '}
+                <strong>
+                  {new Date(event.rsvpDeadline).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
+                </strong>
+              </Typography>
+            )}
+
+            {invitation.guests.map((guest, index) => {
+              const response = responses[guest.id] || {};
+              const isAttending = response.rsvpStatus === 'attending';
+              return (
+                <Box key={guest.id}>
+                  {index > 0 && <Divider sx={{ my: 2 }} />}
+                  <Typography sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600, fontSize: '1.2rem', mb: 1 }}>
+                    {guest.name}
+                  </Typography>
+                  <ToggleButtonGroup
+                    exclusive
+                    value={response.rsvpStatus || null}
+                    onChange={(_e, value) => value && updateResponse(guest.id, { rsvpStatus: value })}
+                    disabled={!invitation.isOpen}
+                    fullWidth
+                    size="small"
+                    className="rsvp-toggle"
+                  >
+                    <ToggleButton value="attending">Joyfully accepts</ToggleButton>
+                    <ToggleButton value="declined">Regretfully declines</ToggleButton>
+                  </ToggleButtonGroup>
+
+                  {isAttending && (
+                    <Box sx={{ display: 'flex', gap: 2, mt: 2 }}>
+                      {mealOptions.length > 0 && (
+                        <TextField
+                          select
+                          fullWidth
+                          size="small"
+                          label="Meal choice"
+                          value={response.mealChoice}
+                          onChange={(e) => updateResponse(guest.id, { mealChoice: e.target.value })}
+                          disabled={!invitation.isOpen}
+                        >
+                          {mealOptions.map((option) => (
+                            <MenuItem key={option} value={option}>
+                              {option}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      )}
+                      {guest.plusOneAllowance > 0 && (
+                        <TextField
+                          select
+                          fullWidth
+                          size="small"
+                          label="Additional guests"
+                          value={response.plusOnesAttending}
+                          onChange={(e) => updateResponse(guest.id, { plusOnesAttending: Number(e.target.value) })}
+                          disabled={!invitation.isOpen}
+                        >
+                          {Array.from({ length: guest.plusOneAllowance + 1 }, (_v, n) => (
+                            <MenuItem key={n} value={n}>
+                              {n === 0 ? 'Just me' : `+${n}`}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      )}
+                    </Box>
+                  )}
+                </Box>
+              );
+            })}
+
+            {submitError && (
+              <Alert severity="error" sx={{ mt: 3 }}>
+                {submitError}
+              </Alert>
+            )}
+
+            {invitation.isOpen && (
+              <Button
+                fullWidth
+                variant="contained"
+                onClick={handleSubmit}
+                disabled={submitting}
+                sx={{
+                  mt: 3,
+                  py: 1.25,
+                  backgroundColor: '#e16789',
+                  textTransform: 'none',
+                  fontFamily: "'Literata', serif",
+                  fontWeight: 600,
+                  '&:hover': { backgroundColor: '#d1567a' },
+                }}
+              >
+                {submitting ? 'Sending...' : invitation.respondedAt ? 'Update RSVP' : 'Send RSVP'}
+              </Button>
+            )}
+          </Box>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default Rsvp;
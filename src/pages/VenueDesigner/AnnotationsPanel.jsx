@@ -0,0 +1,215 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  MAX_DIMENSIONS,
+  MAX_NOTES,
+  NOTE_COLORS,
+  formatMeasurement,
+  measureDistance,
+  resolveAnchor,
+} from '../../components/DesignAnnotations/annotationGeometry';
+import './AnnotationsPanel.styles.css';
+
+const TOOL_HINTS = {
+  measure: 'Click the first point - on the floor or on an item.',
+  measureEnd: 'Click the second point.',
+  note: 'Click where the note should be pinned.',
+};
+
+/**
+ * Side panel for measuring the layout and annotating it. The tape measure gives the distance
+ * between two clicked points; a measurement can be kept as a dimension line. Notes are pinned
+ * to the floor or to an item. Points on an item move with it. Both are saved with the layout
+ * and shown to vendors in their preview.
+ */
+const AnnotationsPanel = ({
+  annotations,
+  placements,
+  tool,
+  measuring,
+  measurement,
+  selectedId,
+  onChangeTool,
+  onKeepMeasurement,
+  onSelect,
+  onUpdateDimension,
+  onRemoveDimension,
+  onUpdateNote,
+  onRemoveNote,
+  onClose,
+}) => {
+  const placementById = useMemo(() => new Map(placements.map((placement) => [placement.id, placement])), [placements]);
+  const { dimensions, notes } = annotations;
+  const canAddDimension = dimensions.length < MAX_DIMENSIONS;
+  const canAddNote = notes.length < MAX_NOTES;
+
+  const describe = (start, end) =>
+    formatMeasurement(measureDistance(resolveAnchor(start, placementById), resolveAnchor(end, placementById)));
+
+  const toggle = (id) => onSelect(id === selectedId ? null : id);
+
+  const hint = tool === 'measure' && measuring ? TOOL_HINTS.measureEnd : TOOL_HINTS[tool];
+
+  return (
+    <div className="annotations-panel" onPointerDown={(e) => e.stopPropagation()}>
+      <div className="annotations-header">
+        <div>
+          <strong>Measure &amp; notes</strong>
+          <span>Distances, dimension lines and notes</span>
+        </div>
+        <button type="button" onClick={onClose} title="Hide measure & notes">
+          <i className="fas fa-times" />
+        </button>
+      </div>
+
+      <div className="annotations-tools">
+        <button
+          type="button"
+          className={`annotations-tool ${tool === 'measure' ? 'active' : ''}`}
+          onClick={() => onChangeTool(tool === 'measure' ? null : 'measure')}
+        >
+          <i className="fas fa-ruler" />
+          Tape measure
+        </button>
+        <button
+          type="button"
+          className={`annotations-tool ${tool === 'note' ? 'active' : ''}`}
+          onClick={() => onChangeTool(tool === 'note' ? null : 'note')}
+          disabled={!canAddNote}
+          title={canAddNote ? undefined : `At most ${MAX_NOTES} notes`}
+        >
+          <i className="fas fa-sticky-note" />
+          Note
+        </button>
+      </div>
+
+      {tool && (
+        <span className="annotations-note">
+          {hint} Right-drag to pan, scroll to zoom, Esc to stop.
+        </span>
+      )}
+
+      {measurement && (
+        <div className="annotations-measurement">
+          <div>
+            <span>Measured</span>
+            <strong>{describe(measurement.start, measurement.end)}</strong>
+          </div>
+          <button
+            type="button"
+            onClick={onKeepMeasurement}
+            disabled={!canAddDimension}
+            title={canAddDimension ? undefined : `At most ${MAX_DIMENSIONS} dimension lines`}
+          >
+            <i className="fas fa-thumbtack" /> Keep as dimension line
+          </button>
+        </div>
+      )}
+
+      <span className="annotations-section">Dimension lines</span>
+      {dimensions.length === 0 && (
+        <span className="annotations-note">
+          Keep a measurement to show it to vendors, e.g. the dance floor&apos;s distance from the stage.
+        </span>
+      )}
+      {dimensions.map((dimension) => (
+        <div key={dimension.id} className={`annotations-item ${dimension.id === selectedId ? 'active' : ''}`}>
+          <button type="button" className="annotations-item-row" onClick={() => toggle(dimension.id)}>
+            <i className="fas fa-ruler" />
+            <strong>{describe(dimension.start, dimension.end)}</strong>
+            {dimension.label && <span>{dimension.label}</span>}
+          </button>
+          {dimension.id === selectedId && (
+            <div className="annotations-editor">
+              <input
+                value={dimension.label || ''}
+                maxLength={80}
+                placeholder="Label, e.g. Walkway"
+                onChange={(e) => onUpdateDimension(dimension.id, { label: e.target.value })}
+              />
+              <button type="button" className="annotations-remove" onClick={() => onRemoveDimension(dimension.id)}>
+                <i className="fas fa-trash" /> Remove
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      <span className="annotations-section">Notes</span>
+      {notes.length === 0 && (
+        <span className="annotations-note">Pin notes for vendors, like where power is or what goes on a table.</span>
+      )}
+      {notes.map((note) => (
+        <div key={note.id} className={`annotations-item ${note.id === selectedId ? 'active' : ''}`}>
+          <button type="button" className="annotations-item-row" onClick={() => toggle(note.id)}>
+            <span className="annotations-swatch" style={{ background: note.color }} />
+            <span className="annotations-note-text">{note.text || 'Empty note'}</span>
+          </button>
+          {note.id === selectedId && (
+            <div className="annotations-editor">
+              <textarea
+                value={note.text}
+                rows={3}
+                maxLength={500}
+                placeholder="Write a note"
+                onChange={(e) => onUpdateNote(note.id, { text: e.target.value })}
+              />
+              <div className="annotations-colors">
+                {NOTE_COLORS.map((color) => (
+                  <button
+                    key={color}
+                    type="button"
+                    className={`annotations-swatch ${note.color === color ? 'active' : ''}`}
+                    style={{ background: color }}
+                    onClick={() => onUpdateNote(note.id, { color })}
+                    title="Note color"
+                  />
+                ))}
+              </div>
+              <button type="button" className="annotations-remove" onClick={() => onRemoveNote(note.id)}>
+                <i className="fas fa-trash" /> Remove
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ANCHOR_SHAPE = PropTypes.shape({
+  position: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number, z: PropTypes.number }).isRequired,
+  elementId: PropTypes.string,
+  offset: PropTypes.object,
+});
+
+AnnotationsPanel.propTypes = {
+  annotations: PropTypes.shape({
+    dimensions: PropTypes.arrayOf(PropTypes.object).isRequired,
+    notes: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+  placements: PropTypes.arrayOf(PropTypes.object),
+  tool: PropTypes.oneOf(['measure', 'note']),
+  // The tape measure has its first point
+  measuring: PropTypes.bool,
+  measurement: PropTypes.shape({ start: ANCHOR_SHAPE.isRequired, end: ANCHOR_SHAPE.isRequired }),
+  selectedId: PropTypes.string,
+  onChangeTool: PropTypes.func.isRequired,
+  onKeepMeasurement: PropTypes.func.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onUpdateDimension: PropTypes.func.isRequired,
+  onRemoveDimension: PropTypes.func.isRequired,
+  onUpdateNote: PropTypes.func.isRequired,
+  onRemoveNote: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+AnnotationsPanel.defaultProps = {
+  placements: [],
+  tool: null,
+  measuring: false,
+  measurement: null,
+  selectedId: null,
+};
+
+export default AnnotationsPanel;
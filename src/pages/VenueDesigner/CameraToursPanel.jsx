@@ -0,0 +1,276 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { LinearProgress } from '@mui/material';
+import { DEFAULT_KEYFRAME_DURATION, getTourDuration } from '../../components/CameraTour/cameraTourPath';
+import './CameraToursPanel.styles.css';
+
+const MAX_KEYFRAMES = 40;
+
+const STATUS_LABELS = {
+  playing: 'Playing tour',
+  recording: 'Recording video - keep this tab open',
+  capturing: 'Capturing frames',
+};
+
+const formatSeconds = (seconds) => `${Math.round(seconds * 10) / 10}s`;
+
+/**
+ * Side panel for recording guided camera tours of the design. A tour is a list of camera
+ * positions (keyframes) the camera glides through; each keyframe is taken from the current
+ * view. Saved tours can be played here, in the version history preview and in the vendors'
+ * preview, and downloaded as a WebM video or a frame sequence.
+ */
+const CameraToursPanel = ({ tours, player, onSaveTour, onDeleteTour, onClose }) => {
+  const [draft, setDraft] = useState(null); // { id, name, keyframes }
+  const [saving, setSaving] = useState(false);
+  const { status, progress, busy } = player;
+
+  const updateKeyframes = (updater) =>
+    setDraft((prev) => (prev ? { ...prev, keyframes: updater(prev.keyframes) } : prev));
+
+  const handleAddKeyframe = () => {
+    const pose = player.getCameraPose();
+    if (!pose) return;
+    updateKeyframes((keyframes) => [...keyframes, { ...pose, duration: DEFAULT_KEYFRAME_DURATION }]);
+  };
+
+  const handleMoveKeyframe = (index, offset) =>
+    updateKeyframes((keyframes) => {
+      const next = [...keyframes];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+
+  const handleDurationChange = (index, value) =>
+    updateKeyframes((keyframes) =>
+      keyframes.map((keyframe, i) => (i === index ? { ...keyframe, duration: value } : keyframe))
+    );
+
+  const handleSave = async () => {
+    setSaving(true);
+    const saved = await onSaveTour({
+      ...draft,
+      name: draft.name.trim(),
+      keyframes: draft.keyframes.map((keyframe) => ({
+        ...keyframe,
+        duration: Number(keyframe.duration) || DEFAULT_KEYFRAME_DURATION,
+      })),
+    });
+    setSaving(false);
+    if (saved) setDraft(null);
+  };
+
+  const canSave = draft && draft.name.trim() && draft.keyframes.length >= 2 && !saving && !busy;
+
+  return (
+    <div className="camera-tours-panel" onPointerDown={(e) => e.stopPropagation()}>
+      <div className="camera-tours-header">
+        <div>
+          <strong>Camera tours</strong>
+          <span>Guided walk-throughs of your design</span>
+        </div>
+        <button type="button" onClick={onClose} title="Hide camera tours">
+          <i className="fas fa-times" />
+        </button>
+      </div>
+
+      {busy && (
+        <div className="camera-tours-status">
+          <div>
+            <span>{STATUS_LABELS[status]}</span>
+            <button type="button" onClick={player.stop}>
+              <i className="fas fa-stop" /> Stop
+            </button>
+          </div>
+          <LinearProgress
+            variant={status === 'capturing' ? 'determinate' : 'indeterminate'}
+            value={progress * 100}
+            sx={{ '& .MuiLinearProgress-bar': { backgroundColor: '#e16789' } }}
+          />
+        </div>
+      )}
+
+      {!draft && (
+        <>
+          {tours.length === 0 && (
+            <span className="camera-tours-note">
+              No tours yet. Record one to show guests, family or vendors around the venue.
+            </span>
+          )}
+          {tours.map((tour) => (
+            <div key={tour.id} className="camera-tour">
+              <div className="camera-tour-info">
+                <strong>{tour.name}</strong>
+                <span>
+                  {tour.keyframes.length} positions - {formatSeconds(getTourDuration(tour))}
+                </span>
+              </div>
+              <div className="camera-tour-actions">
+                <button type="button" onClick={() => player.play(tour)} disabled={busy} title="Play">
+                  <i className="fas fa-play" />
+                </button>
+                <button type="button" onClick={() => setDraft(tour)} disabled={busy} title="Edit">
+                  <i className="fas fa-pen" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => player.exportVideo(tour)}
+                  disabled={busy}
+                  title="Download as WebM video"
+                >
+                  <i className="fas fa-video" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => player.exportFrames(tour)}
+                  disabled={busy}
+                  title="Download as a frame sequence (ZIP of JPEG images)"
+                >
+                  <i className="fas fa-images" />
+                </button>
+                <button type="button" onClick={() => onDeleteTour(tour.id)} disabled={busy} title="Delete">
+                  <i className="fas fa-trash" />
+                </button>
+              </div>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="camera-tours-primary"
+            onClick={() => setDraft({ id: null, name: `Tour ${tours.length + 1}`, keyframes: [] })}
+            disabled={busy}
+          >
+            <i className="fas fa-plus" /> New tour
+          </button>
+        </>
+      )}
+
+      {draft && (
+        <>
+          <input
+            className="camera-tours-name"
+            value={draft.name}
+            maxLength={80}
+            placeholder="Tour name"
+            onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+          />
+          <span className="camera-tours-note">
+            Move the camera in orbit or walk view, then add its position. The tour glides through the
+            positions in order.
+          </span>
+
+          {draft.keyframes.map((keyframe, index) => (
+            <div key={index} className="camera-tour-keyframe">
+              <span className="camera-tour-keyframe-index">{index + 1}</span>
+              {index > 0 ? (
+                <label>
+                  <input
+                    type="number"
+                    min={0.5}
+                    max={60}
+                    step={0.5}
+                    value={keyframe.duration}
+                    onChange={(e) => handleDurationChange(index, e.target.value)}
+                  />
+                  s
+                </label>
+              ) : (
+                <span className="camera-tour-keyframe-start">Start</span>
+              )}
+              <div className="camera-tour-actions">
+                <button
+                  type="button"
+                  onClick={() => player.setCameraPose(keyframe)}
+                  disabled={busy}
+                  title="Move the camera here"
+                >
+                  <i className="fas fa-crosshairs" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMoveKeyframe(index, -1)}
+                  disabled={index === 0}
+                  title="Move up"
+                >
+                  <i className="fas fa-arrow-up" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleMoveKeyframe(index, 1)}
+                  disabled={index === draft.keyframes.length - 1}
+                  title="Move down"
+                >
+                  <i className="fas fa-arrow-down" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => updateKeyframes((keyframes) => keyframes.filter((_, i) => i !== index))}
+                  title="Remove"
+                >
+                  <i className="fas fa-trash" />
+                </button>
+              </div>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            className="camera-tours-primary"
+            onClick={handleAddKeyframe}
+            disabled={busy || draft.keyframes.length >= MAX_KEYFRAMES}
+          >
+            <i className="fas fa-camera" /> Add camera position
+          </button>
+
+          <div className="camera-tours-footer">
+            <button
+              type="button"
+              onClick={() => player.play(draft)}
+              disabled={busy || draft.keyframes.length < 2}
+              title="Preview the tour"
+            >
+              <i className="fas fa-play" /> Preview
+            </button>
+            <button type="button" onClick={() => setDraft(null)} disabled={saving}>
+              Cancel
+            </button>
+            <button type="button" className="camera-tours-save" onClick={handleSave} disabled={!canSave}>
+              {saving ? 'Saving...' : 'Save tour'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+CameraToursPanel.propTypes = {
+  tours: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      keyframes: PropTypes.arrayOf(PropTypes.object).isRequired,
+    })
+  ),
+  player: PropTypes.shape({
+    status: PropTypes.string.isRequired,
+    progress: PropTypes.number.isRequired,
+    busy: PropTypes.bool.isRequired,
+    play: PropTypes.func.isRequired,
+    stop: PropTypes.func.isRequired,
+    exportVideo: PropTypes.func.isRequired,
+    exportFrames: PropTypes.func.isRequired,
+    getCameraPose: PropTypes.func.isRequired,
+    setCameraPose: PropTypes.func.isRequired,
+  }).isRequired,
+  onSaveTour: PropTypes.func.isRequired,
+  onDeleteTour: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+CameraToursPanel.defaultProps = {
+  tours: [],
+};
+
+export default CameraToursPanel;
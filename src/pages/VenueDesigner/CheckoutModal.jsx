@@ -105,7 +105,7 @@ const CheckoutModal = ({ open, onClose, projectId, weddingDate, venueDesignId, e
   }, [open, projectId, onShowToast]);
 
   // Use backend-provided groupedByVendor
-  const groupedByVendor = checkoutData?.groupedByVendor || [];
+  const groupedByVendor = useMemo(() => checkoutData?.groupedByVendor || [], [checkoutData]);
   const hasVenueSelected = Boolean(checkoutData?.hasVenueSelected);
   const venueBooking = checkoutData?.venue?.booking || null;
   const venueRequested = Boolean(venueBooking?.isRequested);
@@ -126,6 +126,15 @@ const CheckoutModal = ({ open, onClose, projectId, weddingDate, venueDesignId, e
 
   const isVenueFirstBlocked = !hasVenueSelected || (venueRequested && !venueAccepted);
 
+  // Headcount-driven quantities that moved with RSVPs since the last booking request
+  const headcountChanges = useMemo(
+    () =>
+      groupedByVendor.flatMap((vendor) =>
+        vendor.items.filter((item) => item.headcountChange).map((item) => ({ ...item, vendorName: vendor.vendorName }))
+      ),
+    [groupedByVendor]
+  );
+
   const orderedVendors = useMemo(() => {
     const venueVendors = [];
     const otherVendors = [];
@@ -489,6 +498,31 @@ const CheckoutModal = ({ open, onClose, projectId, weddingDate, venueDesignId, e
               </Paper>
             )}
 
+            {headcountChanges.length > 0 && (
+              <Paper
+                elevation={0}
+                sx={{
+                  p: 2,
+                  mb: 2,
+                  borderRadius: 2,
+                  bgcolor: '#EFF6FF',
+                  border: '1px solid #3B82F6',
+                }}
+              >
+                <Typography variant="body2" sx={{ color: '#1E3A8A', fontWeight: 700, mb: 0.5 }}>
+                  Quantities updated from your RSVPs
+                </Typography>
+                <Typography variant="body2" sx={{ color: '#1E3A8A', mb: 1 }}>
+                  Your confirmed guest count is now {checkoutData?.confirmedHeadcount ?? 0}. Please review these changes before sending booking requests.
+                </Typography>
+                {headcountChanges.map((item) => (
+                  <Typography key={item.key} variant="body2" sx={{ color: '#1E3A8A' }}>
+                    {item.name} ({item.vendorName}): {item.headcountChange.previousQuantity} &rarr; {item.headcountChange.quantity}
+                  </Typography>
+                ))}
+              </Paper>
+            )}
+
             <Stack spacing={2}>
               {orderedVendors.map((vendor) => {
                 const vendorKey = vendor.vendorId || vendor.vendorName;
@@ -593,6 +627,7 @@ const CheckoutModal = ({ open, onClose, projectId, weddingDate, venueDesignId, e
                                   {item.serviceListing?.category === 'Venue'
                                     ? 'Venue (must be booked first)'
                                     : (item.isBundle ? 'Bundle' : 'Individual Item')}
+                                  {item.quantityFollowsHeadcount && ` · Follows guest count (${item.designQuantity})`}
                                 </Typography>
                               </Box>
                               <Typography variant="body2" sx={{ fontWeight: 600, color: 'primary.main' }}>
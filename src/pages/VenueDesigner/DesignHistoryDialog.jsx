@@ -0,0 +1,219 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  CircularProgress,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import PropTypes from 'prop-types';
+import { getDesignSnapshots, restoreDesignSnapshot } from '../../lib/api';
+import VenueDesignPreview3D from '../../components/VenueDesignPreview3D/VenueDesignPreview3D';
+
+const formatSnapshotTime = (value) =>
+  new Date(value).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * Version history of the active layout. Every "Save" stores a restore point; a point can be
+ * previewed read-only and restored over the current layout. Booked items are never changed.
+ */
+const DesignHistoryDialog = ({ open, onClose, projectId, onRestored }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [confirmRestore, setConfirmRestore] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const loadSnapshots = useCallback(async () => {
+    if (!projectId) return;
+    setLoading(true);
+    try {
+      const response = await getDesignSnapshots(projectId);
+      setSnapshots(response.snapshots || []);
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load design history');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (open) {
+      setSelectedId(null);
+      setConfirmRestore(false);
+      setResult(null);
+      loadSnapshots();
+    }
+  }, [open, loadSnapshots]);
+
+  const selectedSnapshot = snapshots.find((snapshot) => snapshot.id === selectedId) || null;
+
+  const handleSelect = (snapshotId) => {
+    setSelectedId(snapshotId);
+    setConfirmRestore(false);
+  };
+
+  const handleRestore = async () => {
+    if (!confirmRestore) {
+      setConfirmRestore(true);
+      return;
+    }
+    setRestoring(true);
+    setError('');
+    try {
+      const response = await restoreDesignSnapshot(projectId, selectedId);
+      setResult(response);
+      setConfirmRestore(false);
+      await onRestored(response);
+      await loadSnapshots();
+      setSelectedId(null);
+    } catch (err) {
+      setError(err.message || 'Failed to restore this version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={restoring ? undefined : onClose} maxWidth="lg" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Typography variant="h5" component="h2" sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>
+          Version History
+        </Typography>
+        <IconButton onClick={onClose} size="small" aria-label="Close" disabled={restoring}>
+          <Close />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          A restore point is kept every time you click Save. Restoring replaces the current layout with the selected
+          version; booked items, camera tours, lighting and annotations stay as they are, and the current layout is
+          saved as a restore point first.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {result && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setResult(null)}>
+            Restored {result.restoredCount} item{result.restoredCount === 1 ? '' : 's'}
+            {result.keptBookedCount > 0 ? `, kept ${result.keptBookedCount} booked` : ''}
+            {result.skippedCount > 0 ? `, skipped ${result.skippedCount} no longer available` : ''}.
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, minHeight: 420 }}>
+          <Box
+            sx={{
+              width: 260,
+              flexShrink: 0,
+              border: '1px solid #eee',
+              borderRadius: 1,
+              overflowY: 'auto',
+              maxHeight: 480,
+            }}
+          >
+            {loading && snapshots.length === 0 ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                <CircularProgress size={28} />
+              </Box>
+            ) : snapshots.length === 0 ? (
+              <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                No restore points yet. Click Save in the designer to create one.
+              </Typography>
+            ) : (
+              <List dense disablePadding>
+                {snapshots.map((snapshot) => (
+                  <ListItemButton
+                    key={snapshot.id}
+                    selected={snapshot.id === selectedId}
+                    onClick={() => handleSelect(snapshot.id)}
+                    disabled={restoring}
+                  >
+                    <ListItemText
+                      primary={snapshot.label || formatSnapshotTime(snapshot.createdAt)}
+                      secondary={`${snapshot.label ? `${formatSnapshotTime(snapshot.createdAt)} · ` : ''}${
+                        snapshot.placementCount
+                      } item${snapshot.placementCount === 1 ? '' : 's'}`}
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+          </Box>
+
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            {selectedSnapshot ? (
+              <VenueDesignPreview3D projectId={projectId} snapshotId={selectedSnapshot.id} height={480} />
+            ) : (
+              <Box
+                sx={{
+                  height: 480,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  backgroundColor: '#f5f5f5',
+                  borderRadius: 2,
+                }}
+              >
+                <Typography variant="body2" color="text.secondary">
+                  Select a restore point to preview it
+                </Typography>
+              </Box>
+            )}
+          </Box>
+        </Box>
+      </DialogContent>
+
+      <DialogActions sx={{ p: 2 }}>
+        <Button onClick={onClose} disabled={restoring}>
+          Close
+        </Button>
+        <Button
+          variant="contained"
+          color={confirmRestore ? 'error' : 'primary'}
+          onClick={handleRestore}
+          disabled={!selectedSnapshot || restoring}
+          startIcon={restoring ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          {confirmRestore ? 'Click again to replace current layout' : 'Restore this version'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+DesignHistoryDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  projectId: PropTypes.string,
+  onRestored: PropTypes.func,
+};
+
+DesignHistoryDialog.defaultProps = {
+  projectId: null,
+  onRestored: () => {},
+};
+
+export default DesignHistoryDialog;
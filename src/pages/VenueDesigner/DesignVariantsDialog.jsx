@@ -0,0 +1,361 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+  IconButton,
+  TextField,
+  Tooltip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  CircularProgress,
+} from '@mui/material';
+import { Close, ContentCopy, DeleteOutline, Edit } from '@mui/icons-material';
+import PropTypes from 'prop-types';
+import {
+  compareDesignVariants,
+  createDesignVariant,
+  renameDesignVariant,
+  activateDesignVariant,
+  deleteDesignVariant,
+} from '../../lib/api';
+
+const formatMoney = (value) =>
+  `RM ${Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDifference = (value, formatter) => {
+  if (!value) return '—';
+  return `${value > 0 ? '+' : '−'}${formatter(Math.abs(value))}`;
+};
+
+/**
+ * Manage a project's layout variants ("Theatre style", "Banquet style", ...) and compare
+ * their planned cost and seating capacity side by side. The active variant is the one
+ * shown in the designer and used for checkout and the budget.
+ */
+const DesignVariantsDialog = ({ open, onClose, projectId, onActivated }) => {
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [newName, setNewName] = useState('');
+  const [newSource, setNewSource] = useState('copy');
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const loadComparison = useCallback(async () => {
+    if (!projectId) return;
+    setLoading(true);
+    try {
+      setComparison(await compareDesignVariants(projectId));
+      setError('');
+    } catch (err) {
+      setError(err.message || 'Failed to load layout variants');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (open) {
+      setRenaming(null);
+      setConfirmDeleteId(null);
+      setNotice('');
+      loadComparison();
+    }
+  }, [open, loadComparison]);
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setError('');
+    setNotice('');
+    try {
+      await action();
+      await loadComparison();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreate = () =>
+    runAction('new', async () => {
+      await createDesignVariant(projectId, { name: newName.trim(), blank: newSource === 'blank' });
+      setNewName('');
+    });
+
+  const handleDuplicate = (variant) =>
+    runAction(variant.id, () =>
+      createDesignVariant(projectId, { name: `${variant.name} (copy)`.slice(0, 80), sourceVariantId: variant.id })
+    );
+
+  const handleRename = () =>
+    runAction(renaming.id, async () => {
+      await renameDesignVariant(projectId, renaming.id, renaming.name.trim());
+      setRenaming(null);
+    });
+
+  const handleActivate = (variant) =>
+    runAction(variant.id, async () => {
+      const { seating } = await activateDesignVariant(projectId, variant.id);
+      if (seating?.unseated > 0) {
+        setNotice(
+          `${seating.unseated} guest${seating.unseated === 1 ? '' : 's'} sat at tables this layout doesn't have. ` +
+            'Seat them again in the seating plan.'
+        );
+      }
+      await onActivated(variant);
+    });
+
+  const handleDelete = (variant) => {
+    if (confirmDeleteId !== variant.id) {
+      setConfirmDeleteId(variant.id);
+      return;
+    }
+    setConfirmDeleteId(null);
+    runAction(variant.id, () => deleteDesignVariant(projectId, variant.id));
+  };
+
+  const variants = comparison?.variants || [];
+  const headcount = comparison?.confirmedHeadcount || 0;
+
+  const rows = [
+    { label: 'Planned total', render: (variant) => formatMoney(variant.plannedSpend) },
+    {
+      label: 'Difference vs active',
+      render: (variant) => (variant.isActive ? 'Active layout' : formatDifference(variant.costDifference, formatMoney)),
+    },
+    { label: '3D items & table services', render: (variant) => formatMoney(variant.layoutSpend) },
+    { label: 'Elements placed', render: (variant) => variant.placementCount },
+    {
+      label: 'Tables',
+      render: (variant) =>
+        variant.tablesWithoutCapacity > 0
+          ? `${variant.tableCount} (${variant.tablesWithoutCapacity} without seat count)`
+          : variant.tableCount,
+    },
+    {
+      label: 'Seats',
+      render: (variant) =>
+        variant.looseChairs > 0
+          ? `${variant.seatCapacity} (${variant.tableSeats} at tables + ${variant.looseChairs} chairs)`
+          : variant.seatCapacity,
+    },
+    {
+      label: `Seats for ${headcount} confirmed guest${headcount === 1 ? '' : 's'}`,
+      render: (variant) =>
+        variant.seatShortfall > 0 ? (
+          <Typography component="span" variant="body2" color="error">
+            {variant.seatShortfall} short
+          </Typography>
+        ) : (
+          `${variant.seatCapacity - headcount} spare`
+        ),
+    },
+  ];
+
+  const atLimit = Boolean(comparison?.maxVariants) && variants.length >= comparison.maxVariants;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Typography variant="h5" component="h2" sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>
+          Layout Variants
+        </Typography>
+        <IconButton onClick={onClose} size="small" aria-label="Close">
+          <Close />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Keep alternative layouts of the same venue and compare them. The active layout is the one you edit in the
+          designer, and the one used for your budget, table tagging and checkout. Venue and non-3D services are shared
+          by every layout ({formatMoney(comparison?.sharedSpend)}).
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+            {notice}
+          </Alert>
+        )}
+
+        {loading && !comparison ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : (
+          <TableContainer sx={{ border: '1px solid #eee', borderRadius: 1, mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell sx={{ width: 200 }} />
+                  {variants.map((variant) => (
+                    <TableCell key={variant.id} sx={{ verticalAlign: 'top', minWidth: 180 }}>
+                      {renaming?.id === variant.id ? (
+                        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                          <TextField
+                            size="small"
+                            value={renaming.name}
+                            onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                            onKeyDown={(e) => e.key === 'Enter' && renaming.name.trim() && handleRename()}
+                            inputProps={{ maxLength: 80 }}
+                            autoFocus
+                          />
+                          <Button size="small" onClick={handleRename} disabled={!renaming.name.trim()}>
+                            Save
+                          </Button>
+                        </Box>
+                      ) : (
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                          <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                            {variant.name}
+                          </Typography>
+                          {variant.isActive && <Chip label="Active" size="small" color="primary" />}
+                        </Box>
+                      )}
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 1 }}>
+                        {!variant.isActive && (
+                          <Button
+                            size="small"
+                            variant="outlined"
+                            onClick={() => handleActivate(variant)}
+                            disabled={Boolean(busyId)}
+                          >
+                            Set active
+                          </Button>
+                        )}
+                        <Tooltip title="Rename">
+                          <IconButton
+                            size="small"
+                            onClick={() => setRenaming({ id: variant.id, name: variant.name })}
+                            disabled={Boolean(busyId)}
+                          >
+                            <Edit fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title={atLimit ? 'Variant limit reached' : 'Duplicate'}>
+                          <span>
+                            <IconButton
+                              size="small"
+                              onClick={() => handleDuplicate(variant)}
+                              disabled={Boolean(busyId) || atLimit}
+                            >
+                              <ContentCopy fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        {!variant.isActive && (
+                          <Tooltip title={confirmDeleteId === variant.id ? 'Click again to delete' : 'Delete'}>
+                            <IconButton
+                              size="small"
+                              color={confirmDeleteId === variant.id ? 'error' : 'default'}
+                              onClick={() => handleDelete(variant)}
+                              disabled={Boolean(busyId)}
+                            >
+                              <DeleteOutline fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {busyId === variant.id && <CircularProgress size={16} />}
+                      </Box>
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map((row) => (
+                  <TableRow key={row.label}>
+                    <TableCell sx={{ color: 'text.secondary' }}>{row.label}</TableCell>
+                    {variants.map((variant) => (
+                      <TableCell
+                        key={variant.id}
+                        sx={variant.isActive ? { backgroundColor: 'rgba(225, 103, 137, 0.06)' } : undefined}
+                      >
+                        {row.render(variant)}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+          New layout
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            size="small"
+            label="Name"
+            placeholder="e.g. Banquet style"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            inputProps={{ maxLength: 80 }}
+            sx={{ minWidth: 240 }}
+          />
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            value={newSource}
+            onChange={(e, next) => next && setNewSource(next)}
+          >
+            <ToggleButton value="copy">Copy of active</ToggleButton>
+            <ToggleButton value="blank">Empty venue</ToggleButton>
+          </ToggleButtonGroup>
+          <Button
+            variant="contained"
+            onClick={handleCreate}
+            disabled={!newName.trim() || Boolean(busyId) || atLimit}
+            startIcon={busyId === 'new' ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            Create
+          </Button>
+        </Box>
+        {atLimit && (
+          <Typography variant="caption" color="text.secondary">
+            You have reached the maximum number of layouts. Delete one to add another.
+          </Typography>
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ p: 2 }}>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+DesignVariantsDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  projectId: PropTypes.string,
+  onActivated: PropTypes.func,
+};
+
+DesignVariantsDialog.defaultProps = {
+  projectId: null,
+  onActivated: () => {},
+};
+
+export default DesignVariantsDialog;
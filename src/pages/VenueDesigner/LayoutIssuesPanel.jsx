@@ -0,0 +1,105 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Alert, CircularProgress } from '@mui/material';
+import './LayoutIssuesPanel.styles.css';
+
+const IssueItem = ({ violation, onSelect }) => (
+  <button type="button" className={`layout-issue ${violation.severity}`} onClick={() => onSelect(violation)}>
+    <span className="layout-issue-badge">{violation.severity === 'hard' ? 'Must fix' : 'Advice'}</span>
+    <span className="layout-issue-message">{violation.message}</span>
+  </button>
+);
+
+IssueItem.propTypes = {
+  violation: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    severity: PropTypes.oneOf(['hard', 'soft']).isRequired,
+    message: PropTypes.string.isRequired,
+  }).isRequired,
+  onSelect: PropTypes.func.isRequired,
+};
+
+/**
+ * Side panel for the layout check: problems with walkways, door and stage clearance and the
+ * venue's occupancy. "Must fix" problems block checkout. Clicking a problem selects its items.
+ */
+const LayoutIssuesPanel = ({ report, onSelectIssue, onRefresh, onClose }) => {
+  const violations = report?.violations || [];
+  const hard = violations.filter((violation) => violation.severity === 'hard');
+  const soft = violations.filter((violation) => violation.severity === 'soft');
+
+  return (
+    <div className="layout-issues-panel" onPointerDown={(e) => e.stopPropagation()}>
+      <div className="layout-issues-header">
+        <div>
+          <strong>Layout check</strong>
+          <span>Walkways, clearances and occupancy</span>
+        </div>
+        <div className="layout-issues-actions">
+          <button type="button" onClick={onRefresh} title="Check again">
+            <i className="fas fa-sync-alt" />
+          </button>
+          <button type="button" onClick={onClose} title="Hide layout check">
+            <i className="fas fa-times" />
+          </button>
+        </div>
+      </div>
+
+      {!report && (
+        <div className="layout-issues-loading">
+          <CircularProgress size={24} sx={{ color: '#e16789' }} />
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div className="layout-issues-summary">
+            <span>
+              Seats: {report.seatCapacity}
+              {report.maxOccupancy ? ` / ${report.maxOccupancy} max` : ''}
+            </span>
+            <span>Confirmed guests: {report.confirmedHeadcount}</span>
+          </div>
+
+          {violations.length === 0 && (
+            <Alert severity="success" sx={{ mb: 1 }}>
+              No problems found. Your layout is ready for checkout.
+            </Alert>
+          )}
+          {hard.length > 0 && (
+            <Alert severity="error" sx={{ mb: 1 }}>
+              {hard.length} problem{hard.length === 1 ? '' : 's'} must be fixed before checkout.
+            </Alert>
+          )}
+          {!report.maxOccupancy && (
+            <span className="layout-issues-note">The venue has not listed a maximum occupancy.</span>
+          )}
+
+          {[...hard, ...soft].map((violation) => (
+            <IssueItem key={violation.id} violation={violation} onSelect={onSelectIssue} />
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+LayoutIssuesPanel.propTypes = {
+  report: PropTypes.shape({
+    hardCount: PropTypes.number,
+    softCount: PropTypes.number,
+    violations: PropTypes.arrayOf(PropTypes.object),
+    maxOccupancy: PropTypes.number,
+    seatCapacity: PropTypes.number,
+    confirmedHeadcount: PropTypes.number,
+  }),
+  onSelectIssue: PropTypes.func.isRequired,
+  onRefresh: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+LayoutIssuesPanel.defaultProps = {
+  report: null,
+};
+
+export default LayoutIssuesPanel;
@@ -0,0 +1,199 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Slider } from '@mui/material';
+import { LIGHTING_PRESETS, LIGHT_TYPES, MAX_SCENE_LIGHTS } from '../../components/SceneLighting/lightingPresets';
+import './LightingPanel.styles.css';
+
+const SLIDER_SX = { color: '#e16789', py: 1 };
+
+const LightSlider = ({ label, value, min, max, step, unit, onChange }) => (
+  <label className="lighting-field">
+    <span>
+      {label}
+      <em>
+        {value}
+        {unit}
+      </em>
+    </span>
+    <Slider size="small" value={value} min={min} max={max} step={step} onChange={(_, next) => onChange(next)} sx={SLIDER_SX} />
+  </label>
+);
+
+LightSlider.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.number.isRequired,
+  min: PropTypes.number.isRequired,
+  max: PropTypes.number.isRequired,
+  step: PropTypes.number.isRequired,
+  unit: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+};
+
+LightSlider.defaultProps = {
+  unit: '',
+};
+
+/**
+ * Side panel for the scene's lighting: the time-of-day preset and placed lights (spotlights,
+ * fairy-light strings, candles). Select a light to drag it with the move gizmo and change its
+ * color and brightness. Lighting is saved with the layout and shown in every 3D preview.
+ */
+const LightingPanel = ({
+  lighting,
+  selectedLightId,
+  onSelectLight,
+  onChangePreset,
+  onAddLight,
+  onUpdateLight,
+  onRemoveLight,
+  onClose,
+}) => {
+  const selectedLight = lighting.lights.find((light) => light.id === selectedLightId) || null;
+  const canAdd = lighting.lights.length < MAX_SCENE_LIGHTS;
+
+  const update = (changes) => onUpdateLight(selectedLight.id, changes);
+  const updatePosition = (key, value) => update({ position: { ...selectedLight.position, [key]: value } });
+
+  return (
+    <div className="lighting-panel" onPointerDown={(e) => e.stopPropagation()}>
+      <div className="lighting-header">
+        <div>
+          <strong>Lighting</strong>
+          <span>Time of day and placed lights</span>
+        </div>
+        <button type="button" onClick={onClose} title="Hide lighting">
+          <i className="fas fa-times" />
+        </button>
+      </div>
+
+      <div className="lighting-presets">
+        {Object.entries(LIGHTING_PRESETS).map(([presetId, preset]) => (
+          <button
+            key={presetId}
+            type="button"
+            className={`lighting-preset ${lighting.preset === presetId ? 'active' : ''}`}
+            onClick={() => onChangePreset(presetId)}
+          >
+            <i className={`fas ${preset.icon}`} />
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="lighting-add">
+        {Object.entries(LIGHT_TYPES).map(([type, lightType]) => (
+          <button
+            key={type}
+            type="button"
+            onClick={() => onAddLight(type)}
+            disabled={!canAdd}
+            title={canAdd ? `Add ${lightType.label.toLowerCase()} at the centre of the view` : `At most ${MAX_SCENE_LIGHTS} lights`}
+          >
+            <i className={`fas ${lightType.icon}`} /> {lightType.label}
+          </button>
+        ))}
+      </div>
+
+      {lighting.lights.length === 0 && (
+        <span className="lighting-note">
+          Add uplights, fairy lights or candles to see how an evening reception will look.
+        </span>
+      )}
+
+      {lighting.lights.map((light, index) => (
+        <button
+          key={light.id}
+          type="button"
+          className={`lighting-light ${light.id === selectedLightId ? 'active' : ''}`}
+          onClick={() => onSelectLight(light.id === selectedLightId ? null : light.id)}
+        >
+          <span className="lighting-swatch" style={{ background: light.color }} />
+          {LIGHT_TYPES[light.type].label} {index + 1}
+        </button>
+      ))}
+
+      {selectedLight && (
+        <div className="lighting-editor">
+          <span className="lighting-note">Drag the arrows in the scene to move this light.</span>
+          <label className="lighting-field lighting-color">
+            <span>Color</span>
+            <input type="color" value={selectedLight.color} onChange={(e) => update({ color: e.target.value })} />
+          </label>
+          <LightSlider
+            label="Brightness"
+            value={selectedLight.intensity}
+            min={0}
+            max={LIGHT_TYPES[selectedLight.type].maxIntensity}
+            step={LIGHT_TYPES[selectedLight.type].maxIntensity / 100}
+            onChange={(value) => update({ intensity: value })}
+          />
+          <LightSlider
+            label="Height"
+            value={selectedLight.position.y}
+            min={0}
+            max={10}
+            step={0.05}
+            unit=" m"
+            onChange={(value) => updatePosition('y', value)}
+          />
+          {selectedLight.type !== 'candle' && (
+            <LightSlider
+              label={selectedLight.type === 'spotlight' ? 'Facing' : 'Direction'}
+              value={selectedLight.rotation || 0}
+              min={-180}
+              max={180}
+              step={5}
+              unit="°"
+              onChange={(value) => update({ rotation: value })}
+            />
+          )}
+          {selectedLight.type === 'spotlight' && (
+            <LightSlider
+              label="Tilt (down to up)"
+              value={selectedLight.pitch ?? -90}
+              min={-90}
+              max={90}
+              step={5}
+              unit="°"
+              onChange={(value) => update({ pitch: value })}
+            />
+          )}
+          {selectedLight.type === 'fairyLights' && (
+            <LightSlider
+              label="Length"
+              value={selectedLight.length || 6}
+              min={0.5}
+              max={30}
+              step={0.5}
+              unit=" m"
+              onChange={(value) => update({ length: value })}
+            />
+          )}
+          <button type="button" className="lighting-remove" onClick={() => onRemoveLight(selectedLight.id)}>
+            <i className="fas fa-trash" /> Remove light
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+LightingPanel.propTypes = {
+  lighting: PropTypes.shape({
+    preset: PropTypes.string.isRequired,
+    lights: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+  selectedLightId: PropTypes.string,
+  onSelectLight: PropTypes.func.isRequired,
+  onChangePreset: PropTypes.func.isRequired,
+  onAddLight: PropTypes.func.isRequired,
+  onUpdateLight: PropTypes.func.isRequired,
+  onRemoveLight: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+LightingPanel.defaultProps = {
+  selectedLightId: null,
+};
+
+export default LightingPanel;
@@ -0,0 +1,326 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  IconButton,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Checkbox,
+  FormControlLabel,
+  CircularProgress,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import PropTypes from 'prop-types';
+import { PLACEMENT_MODEL_SCALE } from './placementGeometry';
+
+const MAX_PATTERN_PLACEMENTS = 200;
+
+// Walkway added to an item's own size for the default centre-to-centre spacing (metres)
+const DEFAULT_AISLE = 1.2;
+
+const toNumber = (value, fallback = 0) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const NumberField = ({ label, value, onChange, helperText, step }) => (
+  <TextField
+    label={label}
+    type="number"
+    size="small"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    helperText={helperText}
+    inputProps={{ step }}
+    fullWidth
+  />
+);
+
+NumberField.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  onChange: PropTypes.func.isRequired,
+  helperText: PropTypes.string,
+  step: PropTypes.number,
+};
+
+NumberField.defaultProps = {
+  helperText: undefined,
+  step: 1,
+};
+
+/**
+ * Lays out many copies of a single-item service in one go: a banquet grid,
+ * a circle around a point, or chairs around the selected table.
+ */
+const PatternGeneratorDialog = ({ open, onClose, listings, selectedTable, onGenerate }) => {
+  const [serviceListingId, setServiceListingId] = useState('');
+  const [pattern, setPattern] = useState('grid');
+  const [rows, setRows] = useState(4);
+  const [columns, setColumns] = useState(5);
+  const [spacingX, setSpacingX] = useState(2.5);
+  const [spacingZ, setSpacingZ] = useState(2.5);
+  const [rotation, setRotation] = useState(0);
+  const [count, setCount] = useState(8);
+  const [radius, setRadius] = useState(3);
+  const [facing, setFacing] = useState('center');
+  const [centerX, setCenterX] = useState(0);
+  const [centerZ, setCenterZ] = useState(0);
+  const [skipOccupied, setSkipOccupied] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const selectedListing = useMemo(
+    () => listings.find((listing) => listing.id === serviceListingId) || null,
+    [listings, serviceListingId]
+  );
+
+  useEffect(() => {
+    if (!open) return;
+    setError('');
+    setPattern(selectedTable ? 'around_table' : 'grid');
+    const origin = selectedTable?.position || { x: 0, z: 0 };
+    setCenterX(Number((origin.x || 0).toFixed(2)));
+    setCenterZ(Number((origin.z || 0).toFixed(2)));
+  }, [open, selectedTable]);
+
+  useEffect(() => {
+    if (!open || serviceListingId || listings.length === 0) return;
+    // Default to a chair for "around table", otherwise the first listing
+    const chair = listings.find((listing) => listing.name.toLowerCase().includes('chair'));
+    setServiceListingId((selectedTable && chair ? chair : listings[0]).id);
+  }, [open, listings, selectedTable, serviceListingId]);
+
+  useEffect(() => {
+    const dimensions = selectedListing?.designElement?.dimensions;
+    if (!dimensions) return;
+    // Spaced by the size the models are drawn at, which their footprints use
+    setSpacingX(Number(((toNumber(dimensions.width) || 1) * PLACEMENT_MODEL_SCALE + DEFAULT_AISLE).toFixed(2)));
+    setSpacingZ(Number(((toNumber(dimensions.depth) || 1) * PLACEMENT_MODEL_SCALE + DEFAULT_AISLE).toFixed(2)));
+  }, [selectedListing]);
+
+  const itemCount =
+    pattern === 'grid'
+      ? Math.max(0, Math.floor(toNumber(rows))) * Math.max(0, Math.floor(toNumber(columns)))
+      : Math.max(0, Math.floor(toNumber(count)));
+
+  const handleGenerate = async () => {
+    if (!selectedListing) {
+      setError('Choose a service to place.');
+      return;
+    }
+    const base = { serviceListingId: selectedListing.id, skipOccupied };
+    const center = { x: toNumber(centerX), y: 0, z: toNumber(centerZ) };
+    let payload;
+    if (pattern === 'grid') {
+      payload = {
+        ...base,
+        pattern,
+        center,
+        rows: Math.floor(toNumber(rows)),
+        columns: Math.floor(toNumber(columns)),
+        spacingX: toNumber(spacingX),
+        spacingZ: toNumber(spacingZ),
+        rotation: toNumber(rotation),
+      };
+    } else if (pattern === 'circle') {
+      payload = {
+        ...base,
+        pattern,
+        center,
+        count: Math.floor(toNumber(count)),
+        radius: toNumber(radius),
+        facing,
+        rotation: toNumber(rotation),
+      };
+    } else {
+      payload = { ...base, pattern, tableElementId: selectedTable.id, count: Math.floor(toNumber(count)) };
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      await onGenerate(payload);
+      onClose();
+    } catch (err) {
+      setError(
+        err.data?.occupiedCount
+          ? `${err.message} Tick "Skip occupied spots" to place the rest.`
+          : err.message || 'Unable to place the pattern'
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={submitting ? undefined : onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Typography variant="h5" component="h2" sx={{ fontFamily: "'Playfair Display', serif", fontWeight: 600 }}>
+          Pattern Generator
+        </Typography>
+        <IconButton onClick={onClose} size="small" aria-label="Close" disabled={submitting}>
+          <Close />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent>
+        {listings.length === 0 ? (
+          <Alert severity="info" sx={{ mt: 1 }}>
+            No single-item services with a 3D model in the catalog. Search the catalog for tables or chairs first.
+          </Alert>
+        ) : (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <TextField
+              select
+              size="small"
+              label="Service"
+              value={serviceListingId}
+              onChange={(e) => setServiceListingId(e.target.value)}
+              helperText="Services from the current catalog view that place a single 3D item"
+            >
+              {listings.map((listing) => (
+                <MenuItem key={listing.id} value={listing.id}>
+                  {listing.name}
+                  {listing.vendor?.name ? ` · ${listing.vendor.name}` : ''}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            <ToggleButtonGroup
+              exclusive
+              size="small"
+              value={pattern}
+              onChange={(e, next) => next && setPattern(next)}
+              fullWidth
+            >
+              <ToggleButton value="grid">Grid</ToggleButton>
+              <ToggleButton value="circle">Circle</ToggleButton>
+              <ToggleButton value="around_table" disabled={!selectedTable}>
+                Around table
+              </ToggleButton>
+            </ToggleButtonGroup>
+
+            {pattern === 'grid' && (
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+                <NumberField label="Rows" value={rows} onChange={setRows} />
+                <NumberField label="Columns" value={columns} onChange={setColumns} />
+                <NumberField label="Spacing left-right (m)" value={spacingX} onChange={setSpacingX} step={0.1} />
+                <NumberField label="Spacing front-back (m)" value={spacingZ} onChange={setSpacingZ} step={0.1} />
+                <NumberField
+                  label="Orientation (°)"
+                  value={rotation}
+                  onChange={setRotation}
+                  step={15}
+                  helperText="Turns the whole grid"
+                />
+              </Box>
+            )}
+
+            {pattern === 'circle' && (
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+                <NumberField label="Items" value={count} onChange={setCount} />
+                <NumberField label="Radius (m)" value={radius} onChange={setRadius} step={0.1} />
+                <TextField select size="small" label="Facing" value={facing} onChange={(e) => setFacing(e.target.value)}>
+                  <MenuItem value="center">Towards the centre</MenuItem>
+                  <MenuItem value="outward">Away from the centre</MenuItem>
+                  <MenuItem value="fixed">Same direction</MenuItem>
+                </TextField>
+                {facing === 'fixed' && (
+                  <NumberField label="Orientation (°)" value={rotation} onChange={setRotation} step={15} />
+                )}
+              </Box>
+            )}
+
+            {pattern !== 'around_table' && (
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+                <NumberField label="Centre X (m)" value={centerX} onChange={setCenterX} step={0.5} />
+                <NumberField label="Centre Z (m)" value={centerZ} onChange={setCenterZ} step={0.5} />
+              </Box>
+            )}
+
+            {pattern === 'around_table' && selectedTable && (
+              <>
+                <Typography variant="body2" color="text.secondary">
+                  Chairs are spaced around {selectedTable.designElement?.name || 'the selected table'} using its
+                  dimensions and face the table.
+                </Typography>
+                <NumberField label="Chairs" value={count} onChange={setCount} />
+              </>
+            )}
+
+            <FormControlLabel
+              control={<Checkbox checked={skipOccupied} onChange={(e) => setSkipOccupied(e.target.checked)} />}
+              label="Skip occupied spots instead of cancelling"
+            />
+
+            <Typography variant="body2" color={itemCount > MAX_PATTERN_PLACEMENTS ? 'error' : 'text.secondary'}>
+              Places {itemCount} item{itemCount === 1 ? '' : 's'}
+              {itemCount > MAX_PATTERN_PLACEMENTS ? ` (maximum ${MAX_PATTERN_PLACEMENTS})` : ''}. Each is priced and
+              booked as one unit of the service.
+            </Typography>
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+
+      <DialogActions sx={{ p: 2, justifyContent: 'flex-end' }}>
+        <Button onClick={onClose} disabled={submitting}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleGenerate}
+          disabled={submitting || !selectedListing || itemCount < 1 || itemCount > MAX_PATTERN_PLACEMENTS}
+          startIcon={submitting ? <CircularProgress size={16} color="inherit" /> : null}
+          sx={{
+            bgcolor: 'primary.main',
+            '&:hover': { bgcolor: 'primary.dark' },
+            fontWeight: 600,
+          }}
+        >
+          Place {itemCount > 0 ? itemCount : ''} items
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+PatternGeneratorDialog.propTypes = {
+  open: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  listings: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      designElement: PropTypes.shape({ dimensions: PropTypes.object }),
+      vendor: PropTypes.shape({ name: PropTypes.string }),
+    })
+  ),
+  selectedTable: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    position: PropTypes.shape({ x: PropTypes.number, z: PropTypes.number }),
+    designElement: PropTypes.shape({ name: PropTypes.string }),
+  }),
+  onGenerate: PropTypes.func.isRequired,
+};
+
+PatternGeneratorDialog.defaultProps = {
+  listings: [],
+  selectedTable: null,
+};
+
+export default PatternGeneratorDialog;
@@ -4,6 +4,15 @@ import { Html, useGLTF } from '@react-three/drei';
 import { useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 import { useVenueDesigner } from './VenueDesignerContext';
+import {
+  PLACEMENT_MODEL_SCALE,
+  canHostChild,
+  clampToFootprint,
+  footprintsOverlap,
+  getFootprintRadius,
+  getHostSurfaceY,
+} from './placementGeometry';
+import { findLayoutViolation } from './venueLayout';
 
 const PLACEHOLDER_COLOR = '#e5dcd2';
 const HIGHLIGHT_COLOR = '#e76f93';
@@ -197,23 +206,6 @@ const ModelInstance = ({
   );
 };
 
-const COLLISION_RADIUS_DEFAULT = 0.4;
-
-const getFootprintRadius = (placement) => {
-  const metaRadius = parseFloat(placement.metadata?.footprintRadius);
-  if (Number.isFinite(metaRadius) && metaRadius > 0) {
-    return metaRadius;
-  }
-  const dims = placement.designElement?.dimensions;
-  if (dims) {
-    const width = Number(dims.width) || 0;
-    const depth = Number(dims.depth) || 0;
-    const derived = Math.max(width, depth) / 2;
-    if (derived > 0) return derived;
-  }
-  return COLLISION_RADIUS_DEFAULT;
-};
-
 // Helper to determine if an object can be stacked on top of surfaces
 const isStackable = (p) => {
   if (p.metadata?.isStackable !== undefined) {
@@ -247,6 +239,7 @@ const PlacedElement = ({
   allPlacements = [],
   removable = false,
   venueBounds,
+  venueLayout,
   onOpenTaggingModal,
   onRegisterElementRef,
   onUpdateOtherSelected,
@@ -495,7 +488,7 @@ const PlacedElement = ({
       state.captureTarget = event.target;
       state.captureTarget?.setPointerCapture?.(event.pointerId);
     },
-    [onSelect, placement.id, onOrbitToggle, isSelected, isLockedLocal, interactionMode, selectedIds, allPlacements]
+    [onSelect, placement.id, onOrbitToggle, isSelected, isLockedLocal, interactionMode, selectedIds, onInitializeDragSession]
   );
 
   const handlePointerMove = useCallback(
@@ -547,34 +540,21 @@ const PlacedElement = ({
                }
 
                if (isPlacement) {
-                 foundValidParent = true;
-                 // Get the world bounding box of the hit object (or the specific mesh)
-                 const box = new THREE.Box3().setFromObject(hit.object);
-                 // Stack on top
-                 nextY = box.max.y;
-                 
                  // Find the parent placement ID by traversing up to find the placement group
                  let parentGroup = hit.object;
                  while (parentGroup && !parentGroup.userData?.placementId) {
                    if (!parentGroup.parent) break;
                    parentGroup = parentGroup.parent;
                  }
-                const detectedParentId = parentGroup?.userData?.placementId;
-                
-                if (detectedParentId && 
-                    typeof detectedParentId === 'string') {
-                  const trimmedId = detectedParentId.trim();
-                  if (trimmedId !== '' && trimmedId !== placement.id) {
-                    dragStateRef.current.parentElementId = trimmedId;
-                    console.log('[Parent-Child] Detected parent during drag:', trimmedId, 'for child:', placement.id);
-                  } else {
-                    dragStateRef.current.parentElementId = null;
-                    console.log('[Parent-Child] Self-reference detected, clearing parent');
-                  }
-                } else {
-                  dragStateRef.current.parentElementId = null;
-                  console.log('[Parent-Child] No valid parent found, clearing parent');
-                }
+                 const host = allPlacements.find((p) => p.id === parentGroup?.userData?.placementId);
+                 // Items that can't hold this one are looked through, e.g. a vase passes over a chair
+                 if (!host || !canHostChild(host, placement, allPlacements)) continue;
+
+                 foundValidParent = true;
+                 // Snap onto the host's declared surface, or the top of the mesh that was hit
+                 nextY = getHostSurfaceY(host) ?? new THREE.Box3().setFromObject(hit.object).max.y;
+                 ({ x: nextX, z: nextZ } = clampToFootprint(host, { x: nextX, z: nextZ }));
+                 dragStateRef.current.parentElementId = host.id;
                  break;
                }
              }
@@ -589,34 +569,16 @@ const PlacedElement = ({
              }
           }
 
-          let collisionFound = false;
-          // Check collisions
-          for (const other of allPlacements) {
-            if (other.id === placement.id) continue;
-
-            const otherPos = other.position || {};
-            const dx = nextX - (otherPos.x || 0);
-            const dz = nextZ - (otherPos.z || 0);
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            const otherRadius = getFootprintRadius(other);
-            
-            const clearance = 0.02;
-            const threshold = Math.max(0.1, footprintRadius + otherRadius - clearance);
-            const isIntersecting = distance < threshold;
-
-            if (isIntersecting) {
-              if (nextY > 0.1) {
-                // We are stacked, ignore floor-level collisions
-              } else {
-                // We are on floor, so collide with floor items
-                const otherY = other.position?.y || 0;
-                if (otherY < 0.1) {
-                  collisionFound = true;
-                  break;
-                }
-              }
-            }
-          }
+          const isGroupDrag = selectedIds.length > 1 && selectedIds.includes(placement.id);
+          const currentRotation = radToDeg(groupRef.current.rotation.y);
+          // Check collisions against the rotated footprints (stacked items never collide)
+          const collisionFound = allPlacements.some(
+            (other) =>
+              other.id !== placement.id &&
+              // The rest of the selection moves along; the group is checked as a whole on commit
+              !(isGroupDrag && selectedIds.includes(other.id)) &&
+              footprintsOverlap(placement, { x: nextX, y: nextY, z: nextZ }, other, other.position, currentRotation)
+          );
 
           if (venueBounds) {
             const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
@@ -627,7 +589,14 @@ const PlacedElement = ({
             }
           }
 
-          if (!collisionFound) {
+          // Walls, columns and the stage of a drawn venue are off limits, though an item
+          // already standing in one can still be dragged out
+          const currentPosition = groupRef.current.position;
+          const entersNoGoZone =
+            !!findLayoutViolation(venueLayout, placement, { x: nextX, y: nextY, z: nextZ }, currentRotation) &&
+            !findLayoutViolation(venueLayout, placement, currentPosition, currentRotation);
+
+          if (!collisionFound && !entersNoGoZone) {
             const oldX = groupRef.current.position.x;
             const oldY = groupRef.current.position.y;
             const oldZ = groupRef.current.position.z;
@@ -675,6 +644,24 @@ const PlacedElement = ({
         // Sensitivity factor: 0.01 radians per pixel
         const oldRotation = groupRef.current.rotation.y;
         const newRotation = state.startRotation + delta * 0.01;
+        // A single item can't be turned into a neighbour; a selection is checked as a whole on commit
+        const isGroupRotate = selectedIds.length > 1 && selectedIds.includes(placement.id);
+        if (!isGroupRotate) {
+          const position = groupRef.current.position;
+          const rotationCollides = allPlacements.some(
+            (other) =>
+              other.id !== placement.id &&
+              footprintsOverlap(placement, position, other, other.position, radToDeg(newRotation)) &&
+              !footprintsOverlap(placement, position, other, other.position, radToDeg(oldRotation))
+          );
+          if (rotationCollides) return;
+          if (
+            findLayoutViolation(venueLayout, placement, position, radToDeg(newRotation)) &&
+            !findLayoutViolation(venueLayout, placement, position, radToDeg(oldRotation))
+          ) {
+            return;
+          }
+        }
         groupRef.current.rotation.y = newRotation;
         
         // Update other selected elements in real-time for multi-selection rotation
@@ -697,7 +684,7 @@ const PlacedElement = ({
         }
       }
     },
-    [snapIncrement, allPlacements, footprintRadius, placement.id, placement, scene, camera, raycaster, venueBounds]
+    [snapIncrement, allPlacements, footprintRadius, placement, scene, camera, raycaster, venueBounds, venueLayout, selectedIds, onUpdateOtherSelected]
   );
 
   const handlePointerUp = useCallback(
@@ -754,7 +741,7 @@ const PlacedElement = ({
       }}
       userData={{ isPlacement: true, placementId: placement.id }}
     >
-      <group ref={modelGroupRef} scale={[1.2, 1.2, 1.2]}>
+      <group ref={modelGroupRef} scale={[PLACEMENT_MODEL_SCALE, PLACEMENT_MODEL_SCALE, PLACEMENT_MODEL_SCALE]}>
         {placement.designElement?.modelFile ? (
           <ModelInstance
             url={placement.designElement.modelFile}
@@ -946,6 +933,17 @@ PlacedElement.propTypes = {
     minZ: PropTypes.number,
     maxZ: PropTypes.number,
   }),
+  // Walkable floor and no-go zones of a venue drawn in the floorplan editor
+  venueLayout: PropTypes.shape({
+    floor: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number, z: PropTypes.number })),
+    obstacles: PropTypes.arrayOf(
+      PropTypes.shape({
+        kind: PropTypes.string,
+        id: PropTypes.string,
+        polygon: PropTypes.arrayOf(PropTypes.shape({ x: PropTypes.number, z: PropTypes.number })),
+      })
+    ),
+  }),
   onOpenTaggingModal: PropTypes.func,
   onRegisterElementRef: PropTypes.func,
   onUpdateOtherSelected: PropTypes.func,
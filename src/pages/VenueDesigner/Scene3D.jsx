@@ -1,15 +1,51 @@
 import React, { Suspense, useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { Canvas, useThree } from '@react-three/fiber';
-import { ContactShadows, Environment, OrbitControls, PointerLockControls, useGLTF } from '@react-three/drei';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import {
+  ContactShadows,
+  Html,
+  Line,
+  OrbitControls,
+  OrthographicCamera,
+  PointerLockControls,
+  useGLTF,
+} from '@react-three/drei';
 import * as THREE from 'three';
 import PropTypes from 'prop-types';
-import { Tooltip } from '@mui/material';
+import { Divider, ListItemIcon, ListItemText, Menu, MenuItem, Tooltip } from '@mui/material';
 import PlacedElement from './PlacedElement';
+import { findFloorCollision, getArrangedPositions } from './placementGeometry';
 import { useVenueDesigner } from './VenueDesignerContext';
 import { useWASDControls } from './useWASDControls';
 import BudgetTracker from '../../components/BudgetTracker/BudgetTracker';
 import TableTaggingModal from '../../components/TableTaggingModal/TableTaggingModal';
 import HelpModal from '../../components/HelpModal/HelpModal';
+import SeatingPanel, { GUEST_DRAG_TYPE, formatTableCapacity } from './SeatingPanel';
+import PatternGeneratorDialog from './PatternGeneratorDialog';
+import DesignVariantsDialog from './DesignVariantsDialog';
+import DesignHistoryDialog from './DesignHistoryDialog';
+import LayoutIssuesPanel from './LayoutIssuesPanel';
+import CameraToursPanel from './CameraToursPanel';
+import CameraTourBridge from '../../components/CameraTour/CameraTourBridge';
+import { useCameraTourPlayer } from '../../components/CameraTour/useCameraTourPlayer';
+import LightingPanel from './LightingPanel';
+import SceneLighting from '../../components/SceneLighting/SceneLighting';
+import { createLight, resolveLighting } from '../../components/SceneLighting/lightingPresets';
+import AnnotationsPanel from './AnnotationsPanel';
+import DesignAnnotations from '../../components/DesignAnnotations/DesignAnnotations';
+import {
+  NOTE_COLORS,
+  createAnchor,
+  createAnnotationId,
+  formatMeasurement,
+  measureDistance,
+  resolveAnchor,
+  resolveAnnotations,
+} from '../../components/DesignAnnotations/annotationGeometry';
+import PlanCaptureBridge, { PLAN_CAMERA_HEIGHT, PLAN_CUT_HEIGHT } from '../../components/FloorPlan/PlanCaptureBridge';
+import FloorPlanExportDialog from '../../components/FloorPlan/FloorPlanExportDialog';
+import { SCALE_BAR_LENGTHS, buildFloorPlan } from '../../utils/floorPlanExport';
+import { getSeatingPlan, saveSeatingAssignments } from '../../lib/api';
+import { exportSeatingChartPdf } from '../../utils/seatingChartPdf';
 import './Scene3D.css';
 
 const DEFAULT_GRID = {
@@ -28,6 +64,29 @@ const CAMERA_BOUNDS = {
 };
 
 const FIRST_PERSON_HEIGHT = 1.7;
+const SUN_SHADOW = {
+  'shadow-mapSize': [4096, 4096],
+  'shadow-camera-left': -110,
+  'shadow-camera-right': 110,
+  'shadow-camera-top': 110,
+  'shadow-camera-bottom': -110,
+  'shadow-camera-near': 0.1,
+  'shadow-camera-far': 200,
+  'shadow-bias': -0.0005,
+  'shadow-normalBias': 0.04,
+  'shadow-radius': 2,
+};
+
+const ARRANGE_COMMANDS = [
+  { command: 'left', label: 'Align left', icon: 'fa-align-left' },
+  { command: 'centerX', label: 'Align centers (left-right)', icon: 'fa-align-center' },
+  { command: 'right', label: 'Align right', icon: 'fa-align-right' },
+  { command: 'back', label: 'Align back', icon: 'fa-arrow-up' },
+  { command: 'centerZ', label: 'Align centers (front-back)', icon: 'fa-grip-lines' },
+  { command: 'front', label: 'Align front', icon: 'fa-arrow-down' },
+  { command: 'distributeX', label: 'Distribute evenly (left-right)', icon: 'fa-arrows-alt-h', divider: true },
+  { command: 'distributeZ', label: 'Distribute evenly (front-back)', icon: 'fa-arrows-alt-v' },
+];
 
 const exitPointerLockIfNeeded = () => {
   if (document.exitPointerLock && document.pointerLockElement) {
@@ -72,6 +131,8 @@ const VenueModel = ({ modelUrl, onBoundsCalculated }) => {
   const venueScene = useMemo(() => {
     if (!scene) return null;
     const copy = scene.clone(true);
+    // Lets the plan export find the venue among everything else in the scene
+    copy.userData.isVenue = true;
     copy.traverse((child) => {
       if (child.isMesh) {
         child.castShadow = true;
@@ -82,6 +143,8 @@ const VenueModel = ({ modelUrl, onBoundsCalculated }) => {
       }
     });
 
+    // The server's venueLayoutService repeats this centring and scaling to map a drawn
+    // venue's walls, columns and stage onto the floor; keep the two in step
     const bbox = new THREE.Box3().setFromObject(copy);
     const center = bbox.getCenter(new THREE.Vector3());
     copy.position.sub(center);
@@ -135,13 +198,14 @@ const WASDControls = ({ mode, venueBounds }) => {
   return null;
 };
 
-const SceneRefsBridge = ({ cameraRef, sizeRef, glRef }) => {
-  const { camera, size, gl } = useThree();
+const SceneRefsBridge = ({ cameraRef, sizeRef, glRef, sceneRef }) => {
+  const { camera, size, gl, scene } = useThree();
   useEffect(() => {
     cameraRef.current = camera;
     sizeRef.current = size;
     glRef.current = gl;
-  }, [camera, size, gl, cameraRef, sizeRef, glRef]);
+    sceneRef.current = scene;
+  }, [camera, size, gl, scene, cameraRef, sizeRef, glRef, sceneRef]);
   return null;
 };
 
@@ -149,6 +213,7 @@ SceneRefsBridge.propTypes = {
   cameraRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
   sizeRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
   glRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
+  sceneRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
 };
 
 const CaptureBridge = ({ onRegisterCapture, controlsRef }) => {
@@ -158,10 +223,12 @@ const CaptureBridge = ({ onRegisterCapture, controlsRef }) => {
     if (!onRegisterCapture) return undefined;
     const capture = async () => {
       const renderer = gl;
+      // The 2D plan's orthographic camera can't take the perspective shot, so use a stand-in
+      const shotCamera = camera.isOrthographicCamera ? new THREE.PerspectiveCamera(42, 1400 / 900, 0.1, 500) : camera;
       const prevSize = renderer.getSize(new THREE.Vector2());
       const prevPixelRatio = renderer.getPixelRatio();
-      const prevPosition = camera.position.clone();
-      const prevQuaternion = camera.quaternion.clone();
+      const prevPosition = shotCamera.position.clone();
+      const prevQuaternion = shotCamera.quaternion.clone();
       const controls = controlsRef?.current;
       const prevTarget = controls?.target?.clone();
       const framingTarget = new THREE.Vector3(0, 1.5, 0);
@@ -169,8 +236,8 @@ const CaptureBridge = ({ onRegisterCapture, controlsRef }) => {
       renderer.setPixelRatio(1);
       renderer.setSize(1400, 900, false);
 
-      camera.position.set(18, 14, 20);
-      camera.lookAt(framingTarget);
+      shotCamera.position.set(18, 14, 20);
+      shotCamera.lookAt(framingTarget);
       if (controls && controls.target && prevTarget) {
         controls.target.copy(framingTarget);
         if (typeof controls.update === 'function') {
@@ -178,11 +245,11 @@ const CaptureBridge = ({ onRegisterCapture, controlsRef }) => {
         }
       }
 
-      renderer.render(scene, camera);
+      renderer.render(scene, shotCamera);
       const dataUrl = renderer.domElement.toDataURL('image/jpeg', 0.92);
 
-      camera.position.copy(prevPosition);
-      camera.quaternion.copy(prevQuaternion);
+      shotCamera.position.copy(prevPosition);
+      shotCamera.quaternion.copy(prevQuaternion);
       if (controls && controls.target && prevTarget) {
         controls.target.copy(prevTarget);
         if (typeof controls.update === 'function') {
@@ -212,6 +279,285 @@ CaptureBridge.defaultProps = {
   controlsRef: undefined,
 };
 
+// Seat count label above a table in seating mode; guests can be dropped straight onto it
+const TableSeatLabel = ({ table, position, onDropGuest }) => {
+  const [isOver, setIsOver] = useState(false);
+  return (
+    <Html position={[position.x, (position.y || 0) + 1.6, position.z]} center distanceFactor={28}>
+      <div
+        className={`scene3d-seat-label ${isOver ? 'drag-over' : ''} ${table.isOverCapacity ? 'over-capacity' : ''}`}
+        onDragOver={(e) => {
+          if (!e.dataTransfer.types.includes(GUEST_DRAG_TYPE)) return;
+          e.preventDefault();
+          setIsOver(true);
+        }}
+        onDragLeave={() => setIsOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setIsOver(false);
+          const guestId = e.dataTransfer.getData(GUEST_DRAG_TYPE);
+          if (guestId) onDropGuest(guestId, table.id);
+        }}
+      >
+        <div className="scene3d-label-chip">
+          <i className="fas fa-chair" />
+          Table {table.tableNumber} · {formatTableCapacity(table)}
+          {table.isOverCapacity && <small>Over capacity</small>}
+        </div>
+      </div>
+    </Html>
+  );
+};
+
+TableSeatLabel.propTypes = {
+  table: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    tableNumber: PropTypes.number,
+    capacity: PropTypes.number,
+    seatsUsed: PropTypes.number,
+    isOverCapacity: PropTypes.bool,
+  }).isRequired,
+  position: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number, z: PropTypes.number }).isRequired,
+  onDropGuest: PropTypes.func.isRequired,
+};
+
+// Floor plane used to turn the mouse position into a shared cursor point
+const FLOOR_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const cursorRaycaster = new THREE.Raycaster();
+const cursorNdc = new THREE.Vector2();
+const cursorHit = new THREE.Vector3();
+
+// Other editors of the same layout: their cursor on the floor and a ring under each item they have selected
+const CollaboratorOverlays = ({ collaborators, placements }) => {
+  const placementById = useMemo(() => new Map(placements.map((placement) => [placement.id, placement])), [placements]);
+
+  return collaborators.map((editor) => {
+    const selected = (editor.selectedIds || []).map((id) => placementById.get(id)).filter(Boolean);
+    return (
+      <group key={editor.socketId}>
+        {editor.cursor && (
+          <Html position={[editor.cursor.x, 0.1, editor.cursor.z]} distanceFactor={28} zIndexRange={[20, 0]}>
+            <div className="scene3d-collaborator-cursor" style={{ '--editor-color': editor.color }}>
+              <i className="fas fa-mouse-pointer" />
+              <span>{editor.name}</span>
+            </div>
+          </Html>
+        )}
+        {selected.map((placement) => {
+          const { x = 0, z = 0 } = placement.position || {};
+          const dimensions = placement.designElement?.dimensions || {};
+          const footprint = Math.hypot(Number(dimensions.width) || 1, Number(dimensions.depth) || 1);
+          const radius = Math.max(0.4, footprint / 2 + 0.15);
+          return (
+            <mesh key={placement.id} position={[x, 0.03, z]} rotation={[-Math.PI / 2, 0, 0]}>
+              <ringGeometry args={[radius, radius + 0.08, 48]} />
+              <meshBasicMaterial color={editor.color} transparent opacity={0.85} depthWrite={false} />
+            </mesh>
+          );
+        })}
+        {selected.length > 0 && (
+          <Html
+            position={[
+              selected[0].position?.x || 0,
+              (selected[0].position?.y || 0) + 1.2,
+              selected[0].position?.z || 0,
+            ]}
+            center
+            distanceFactor={28}
+            zIndexRange={[20, 0]}
+          >
+            <div className="scene3d-collaborator-label" style={{ '--editor-color': editor.color }}>
+              {editor.name}
+              {selected.length > 1 ? ` · ${selected.length} items` : ''}
+            </div>
+          </Html>
+        )}
+      </group>
+    );
+  });
+};
+
+CollaboratorOverlays.propTypes = {
+  collaborators: PropTypes.arrayOf(
+    PropTypes.shape({
+      socketId: PropTypes.string.isRequired,
+      name: PropTypes.string,
+      color: PropTypes.string,
+      selectedIds: PropTypes.arrayOf(PropTypes.string),
+      cursor: PropTypes.shape({ x: PropTypes.number, z: PropTypes.number }),
+    })
+  ).isRequired,
+  placements: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+// Tape measure: the points clicked in the scene (an item or the floor) become annotation anchors
+const pickRaycaster = new THREE.Raycaster();
+const pickNdc = new THREE.Vector2();
+const pickHit = new THREE.Vector3();
+
+// Rubber band from the tape measure's first point to the mouse, measured on a level plane through the point
+const MeasurementPreview = ({ start }) => {
+  const lineRef = useRef(null);
+  const labelGroupRef = useRef(null);
+  const labelRef = useRef(null);
+  const raycaster = useMemo(() => new THREE.Raycaster(), []);
+  const plane = useMemo(() => new THREE.Plane(new THREE.Vector3(0, 1, 0), -start.y), [start.y]);
+  const end = useMemo(() => new THREE.Vector3(), []);
+
+  useFrame(({ pointer, camera }) => {
+    raycaster.setFromCamera(pointer, camera);
+    if (!raycaster.ray.intersectPlane(plane, end) || !lineRef.current) return;
+    lineRef.current.geometry.setPositions([start.x, start.y, start.z, end.x, end.y, end.z]);
+    lineRef.current.computeLineDistances();
+    labelGroupRef.current?.position.set((start.x + end.x) / 2, start.y + 0.25, (start.z + end.z) / 2);
+    if (labelRef.current) {
+      labelRef.current.textContent = formatMeasurement(measureDistance(start, end));
+    }
+  });
+
+  return (
+    <group userData={{ isAnnotation: true }}>
+      <Line
+        ref={lineRef}
+        points={[
+          [start.x, start.y, start.z],
+          [start.x, start.y, start.z],
+        ]}
+        color="#e16789"
+        lineWidth={2}
+        dashed
+        dashSize={0.2}
+        gapSize={0.1}
+      />
+      <group ref={labelGroupRef} position={[start.x, start.y + 0.25, start.z]}>
+        <Html center distanceFactor={28} zIndexRange={[20, 0]}>
+          <div className="design-annotation-dimension selected" ref={labelRef} />
+        </Html>
+      </group>
+    </group>
+  );
+};
+
+MeasurementPreview.propTypes = {
+  start: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number, z: PropTypes.number }).isRequired,
+};
+
+// Longest the 2D plan's scale bar gets on screen (px)
+const PLAN_SCALE_BAR_MAX = 140;
+// Share of the screen the layout fills when the 2D plan opens
+const PLAN_FIT = 0.85;
+
+// Table numbers and item names on the 2D plan; names only on items at least a metre across
+const PlanLabels = ({ items }) => (
+  <group userData={{ isAnnotation: true }}>
+    {items
+      .filter((item) => item.tableNumber || item.width >= 1)
+      .map((item) => (
+        <Html key={item.id} position={[item.center.x, 0.1, item.center.z]} center zIndexRange={[15, 0]}>
+          <div className={`scene3d-plan-label ${item.tableNumber ? 'table' : ''}`}>
+            {item.tableNumber && <strong>{item.tableNumber}</strong>}
+            {item.width >= 1 && <span>{item.name}</span>}
+          </div>
+        </Html>
+      ))}
+  </group>
+);
+
+PlanLabels.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+// Keeps the 2D plan's scale bar (DOM, outside the canvas) in step with the camera zoom
+const PlanScaleUpdater = ({ barRef, labelRef }) => {
+  const zoomRef = useRef(null);
+
+  useFrame(({ camera }) => {
+    if (!camera.isOrthographicCamera || camera.zoom === zoomRef.current || !barRef.current) return;
+    zoomRef.current = camera.zoom;
+    // An orthographic camera's zoom is pixels per metre
+    const metres =
+      [...SCALE_BAR_LENGTHS].reverse().find((length) => length * camera.zoom <= PLAN_SCALE_BAR_MAX) ||
+      SCALE_BAR_LENGTHS[0];
+    barRef.current.style.width = `${metres * camera.zoom}px`;
+    if (labelRef.current) {
+      labelRef.current.textContent = metres < 1 ? `${metres * 100} cm` : `${metres} m`;
+    }
+  });
+
+  return null;
+};
+
+PlanScaleUpdater.propTypes = {
+  barRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
+  labelRef: PropTypes.shape({ current: PropTypes.object }).isRequired,
+};
+
+const LAYOUT_ISSUE_COLORS = { hard: '#e11d48', soft: '#f59e0b' };
+
+// Layout check results: a ring under every item involved (red if any problem with it must be fixed)
+// and a label where each walkway or clearance problem is
+const LayoutIssueOverlays = ({ violations, placements }) => {
+  const placementById = useMemo(() => new Map(placements.map((placement) => [placement.id, placement])), [placements]);
+
+  const flagged = useMemo(() => {
+    const severityById = new Map();
+    violations.forEach((violation) => {
+      violation.elementIds.forEach((id) => {
+        if (severityById.get(id) !== 'hard') severityById.set(id, violation.severity);
+      });
+    });
+    return Array.from(severityById.entries())
+      .map(([id, severity]) => ({ placement: placementById.get(id), severity }))
+      .filter((entry) => entry.placement);
+  }, [violations, placementById]);
+
+  return (
+    <group>
+      {flagged.map(({ placement, severity }) => {
+        const { x = 0, z = 0 } = placement.position || {};
+        const dimensions = placement.designElement?.dimensions || {};
+        const footprint = Math.hypot(Number(dimensions.width) || 1, Number(dimensions.depth) || 1);
+        const radius = Math.max(0.4, footprint / 2 + 0.1);
+        return (
+          <mesh key={placement.id} position={[x, 0.02, z]} rotation={[-Math.PI / 2, 0, 0]}>
+            <ringGeometry args={[radius, radius + 0.1, 48]} />
+            <meshBasicMaterial color={LAYOUT_ISSUE_COLORS[severity]} transparent opacity={0.8} depthWrite={false} />
+          </mesh>
+        );
+      })}
+      {violations
+        .filter((violation) => violation.position)
+        .map((violation) => (
+          <Html
+            key={violation.id}
+            position={[violation.position.x, 0.6, violation.position.z]}
+            center
+            distanceFactor={28}
+            zIndexRange={[20, 0]}
+          >
+            <div className="scene3d-layout-issue-label" style={{ '--issue-color': LAYOUT_ISSUE_COLORS[violation.severity] }}>
+              <i className={`fas ${violation.severity === 'hard' ? 'fa-exclamation-circle' : 'fa-exclamation-triangle'}`} />
+              {violation.message}
+            </div>
+          </Html>
+        ))}
+    </group>
+  );
+};
+
+LayoutIssueOverlays.propTypes = {
+  violations: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      severity: PropTypes.oneOf(['hard', 'soft']).isRequired,
+      message: PropTypes.string.isRequired,
+      elementIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+      position: PropTypes.shape({ x: PropTypes.number, z: PropTypes.number }),
+    })
+  ).isRequired,
+  placements: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
 const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout, onRegisterCapture, budgetData }) => {
   const {
     placements = [],
@@ -220,21 +566,43 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
     designLayout,
     setDesignLayout,
     onUpdatePlacement,
+    onUpdatePlacements,
     onRemovePlacement,
     onToggleLock,
     onDuplicatePlacement,
     onDuplicateMultiple,
     onDeleteMultiple,
     onLockMultiple,
+    onGeneratePattern,
+    catalogItems = [],
     venueInfo,
     venueDesignId,
+    designVariantName,
+    onVariantActivated,
+    onSnapshotRestored,
+    collaborators = [],
+    onSharePresence,
+    layoutValidation,
+    showLayoutIssues = false,
+    setShowLayoutIssues,
+    refreshLayoutValidation,
+    cameraTours = [],
+    onSaveCameraTour,
+    onDeleteCameraTour,
     projectId,
     onReloadDesign,
+    onUndo,
+    onRedo,
+    canUndo = false,
+    canRedo = false,
+    undoLabel,
+    redoLabel,
     sceneOptions = {},
     packageInvalidListingIds = [],
     startReplaceFromPlacement,
     replaceTarget,
     cancelReplace,
+    setToastNotification,
   } = useVenueDesigner();
 
   const [selectedIds, setSelectedIds] = useState([]); 
@@ -246,7 +614,9 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
   
   const [groupInteractionMode, setGroupInteractionMode] = useState('translate'); 
   const [orbitEnabled, setOrbitEnabled] = useState(true);
-  const [viewMode, setViewMode] = useState('orbit'); // 'orbit' | 'walk'
+  const [viewMode, setViewMode] = useState('orbit'); // 'orbit' | 'walk' | 'plan'
+  const [planFrame, setPlanFrame] = useState(null);
+  const [planExportOpen, setPlanExportOpen] = useState(false);
   const [pointerLocked, setPointerLocked] = useState(false);
   const [venueBounds, setVenueBounds] = useState(null);
   const [taggingModalPlacement, setTaggingModalPlacement] = useState(null);
@@ -255,6 +625,23 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
   const [showHelpModal, setShowHelpModal] = useState(false);
   const [bookingHighlightEnabled, setBookingHighlightEnabled] = useState(false);
   const [needsUpdateHighlightEnabled, setNeedsUpdateHighlightEnabled] = useState(false);
+  const [seatingMode, setSeatingMode] = useState(false);
+  const [seatingPlan, setSeatingPlan] = useState(null);
+  const [seatingLoading, setSeatingLoading] = useState(false);
+  const [seatingError, setSeatingError] = useState('');
+  const [cameraToursOpen, setCameraToursOpen] = useState(false);
+  const handleCameraTourError = useCallback(
+    (message) => setToastNotification?.({ open: true, message, severity: 'error' }),
+    [setToastNotification]
+  );
+  const tourPlayer = useCameraTourPlayer({ onError: handleCameraTourError });
+  const [lightingOpen, setLightingOpen] = useState(false);
+  const [selectedLightId, setSelectedLightId] = useState(null);
+  const [annotationsOpen, setAnnotationsOpen] = useState(false);
+  const [annotationTool, setAnnotationTool] = useState(null); // null | 'measure' | 'note'
+  const [measureStart, setMeasureStart] = useState(null);
+  const [measurement, setMeasurement] = useState(null); // { start, end } anchors
+  const [selectedAnnotationId, setSelectedAnnotationId] = useState(null);
 
   const isProjectMode = designerMode === 'project';
   const isPackageMode = designerMode === 'package';
@@ -299,6 +686,13 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
   const cameraRef = useRef(null);
   const sizeRef = useRef(null);
   const glRef = useRef(null);
+  const sceneRef = useRef(null);
+  const planBridgeRef = useRef(null);
+  const planScaleBarRef = useRef(null);
+  const planScaleLabelRef = useRef(null);
+  const registerPlanBridge = useCallback((bridge) => {
+    planBridgeRef.current = bridge;
+  }, []);
 
   const handleVenueBoundsCalculated = useCallback((bounds) => {
     const margin = 0.5; 
@@ -369,6 +763,81 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
     }
   }, [placements, taggingModalPlacement]);
 
+  const loadSeatingPlan = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      setSeatingLoading(true);
+      setSeatingError('');
+      const plan = await getSeatingPlan(projectId);
+      setSeatingPlan(plan);
+    } catch (err) {
+      setSeatingError(err.message || 'Failed to load seating plan');
+    } finally {
+      setSeatingLoading(false);
+    }
+  }, [projectId]);
+
+  // Reload when tables are added or removed while seating
+  const placementCount = placements.length;
+  // The 2D plan and its export also use the seating plan, for table numbers
+  const needsSeatingPlan = seatingMode || viewMode === 'plan' || planExportOpen;
+  useEffect(() => {
+    if (needsSeatingPlan) {
+      loadSeatingPlan();
+    }
+  }, [needsSeatingPlan, placementCount, loadSeatingPlan]);
+
+  // The seating, layout check, camera tour, lighting and annotation panels share the same spot
+  useEffect(() => {
+    if (showLayoutIssues) {
+      setSeatingMode(false);
+      setCameraToursOpen(false);
+      setLightingOpen(false);
+      setAnnotationsOpen(false);
+      setAnnotationTool(null);
+    }
+  }, [showLayoutIssues]);
+
+  const handleAssignGuest = useCallback(
+    async (guestId, tableId) => {
+      const guest = seatingPlan?.guests?.find((g) => g.id === guestId);
+      if (!guest || guest.tableId === tableId) return;
+      try {
+        setSeatingError('');
+        const plan = await saveSeatingAssignments(projectId, [{ guestId, tableId }]);
+        setSeatingPlan(plan);
+      } catch (err) {
+        setSeatingError(err.message || 'Failed to update seating');
+      }
+    },
+    [projectId, seatingPlan]
+  );
+
+  const handleExportSeatingChart = useCallback(() => {
+    if (!seatingPlan) return;
+    try {
+      exportSeatingChartPdf(seatingPlan, placements);
+    } catch (err) {
+      console.error('Error generating seating chart PDF:', err);
+      setSeatingError('Failed to generate seating chart PDF');
+    }
+  }, [seatingPlan, placements]);
+
+  const seatingLabels = useMemo(() => {
+    if (!seatingMode || !seatingPlan) return [];
+    // Use live placement positions so labels follow tables as they are moved
+    const placementsById = new Map(placements.map((p) => [p.id, p]));
+    return seatingPlan.tables.map((table) => ({
+      table,
+      position: placementsById.get(table.id)?.position || table.position,
+    }));
+  }, [seatingMode, seatingPlan, placements]);
+
+  const planItems = useMemo(
+    () => (viewMode === 'plan' ? buildFloorPlan({ placements, tables: seatingPlan?.tables }).items : []),
+    [viewMode, placements, seatingPlan]
+  );
+
   const handleSelect = useCallback((placementId, isShiftKey = false) => {
     if (isShiftKey) {
       setSelectedIds((prev) => {
@@ -433,7 +902,26 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
       const rect = event.target.getBoundingClientRect();
       setBoxSelectionEnd({ x: event.clientX - rect.left, y: event.clientY - rect.top });
     }
-  }, [boxSelectionStart]);
+    if (onSharePresence && cameraRef.current) {
+      const rect = event.currentTarget.getBoundingClientRect();
+      cursorNdc.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      cursorRaycaster.setFromCamera(cursorNdc, cameraRef.current);
+      const hit = cursorRaycaster.ray.intersectPlane(FLOOR_PLANE, cursorHit);
+      onSharePresence({ cursor: hit ? { x: hit.x, z: hit.z } : null });
+    }
+  }, [boxSelectionStart, onSharePresence]);
+
+  const handleCanvasPointerLeave = useCallback(() => {
+    onSharePresence?.({ cursor: null });
+  }, [onSharePresence]);
+
+  // Let the other editors see what is selected here
+  useEffect(() => {
+    onSharePresence?.({ selectedIds });
+  }, [selectedIds, onSharePresence]);
 
   const handleCanvasPointerUp = useCallback((event) => {
     if (boxSelectionStart && boxSelectionEnd) {
@@ -844,6 +1332,21 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
     [placements, initializeDragSession]
   );
 
+  // Snap models back to their saved transform (after a rejected or failed group edit)
+  const resetVisualTransforms = useCallback(
+    (placementIds) => {
+      placementIds.forEach((id) => {
+        const placement = placements.find((p) => p.id === id);
+        const group = selectedElementRefs.current.get(id)?.groupRef?.current;
+        if (!placement || !group) return;
+        const { x = 0, y = 0, z = 0 } = placement.position || {};
+        group.position.set(x, y, z);
+        group.rotation.y = THREE.MathUtils.degToRad(placement.rotation || 0);
+      });
+    },
+    [placements]
+  );
+
   const handleTransformCommit = useCallback(
     async (placementId, nextState) => {
       if (!placementId || !nextState) return;
@@ -863,108 +1366,123 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
       selectedInitialPositionsRef.current.clear();
       currentDragSessionRef.current = null;
       
-      try {
-        const draggedPlacement = placements.find((p) => p.id === placementId);
-        if (!draggedPlacement) return;
+      const draggedPlacement = placements.find((p) => p.id === placementId);
+      if (!draggedPlacement) return;
+
+      // Collect every change of this gesture so it is saved as one request (and one undo step)
+      const updates = new Map([[placementId, { id: placementId, ...payload }]]);
+
+      // Calculate offset for multi-selection movement
+      const isMultiSelect = selectedIds.length > 1 && selectedIds.includes(placementId);
+      let positionOffset = null;
+      let rotationOffset = null;
+
+      if (isMultiSelect && nextState.position) {
+        const oldPos = draggedPlacement.position || { x: 0, y: 0, z: 0 };
+        positionOffset = {
+          x: nextState.position.x - oldPos.x,
+          y: nextState.position.y - oldPos.y,
+          z: nextState.position.z - oldPos.z,
+        };
+      }
 
-        // Calculate offset for multi-selection movement
-        const isMultiSelect = selectedIds.length > 1 && selectedIds.includes(placementId);
-        let positionOffset = null;
-        let rotationOffset = null;
-        
-        if (isMultiSelect && nextState.position) {
-          const oldPos = draggedPlacement.position || { x: 0, y: 0, z: 0 };
-          positionOffset = {
-            x: nextState.position.x - oldPos.x,
-            y: nextState.position.y - oldPos.y,
-            z: nextState.position.z - oldPos.z,
-          };
-        }
-        
-        if (isMultiSelect && typeof nextState.rotation === 'number' && draggedPlacement.rotation !== undefined) {
-          rotationOffset = nextState.rotation - draggedPlacement.rotation;
-        }
+      if (isMultiSelect && typeof nextState.rotation === 'number' && draggedPlacement.rotation !== undefined) {
+        rotationOffset = nextState.rotation - draggedPlacement.rotation;
+      }
 
-        // Update the dragged element
-        await onUpdatePlacement?.(placementId, payload);
+      // All other selected elements (multi-selection movement)
+      if (isMultiSelect) {
+        const otherSelected = placements.filter(
+          (p) => selectedIds.includes(p.id) && p.id !== placementId && !p.isLocked
+        );
 
-        // Update all other selected elements (multi-selection movement)
-        if (isMultiSelect) {
-          const otherSelected = placements.filter(
-            (p) => selectedIds.includes(p.id) && p.id !== placementId && !p.isLocked
-          );
-          
-          for (const other of otherSelected) {
-            const otherPayload = {};
-            
-            if (positionOffset) {
-              const otherPos = other.position || { x: 0, y: 0, z: 0 };
-              otherPayload.position = {
-                x: otherPos.x + positionOffset.x,
-                y: otherPos.y + positionOffset.y,
-                z: otherPos.z + positionOffset.z,
-              };
-            }
-            
-            if (rotationOffset !== null && other.rotation !== undefined) {
-              otherPayload.rotation = (other.rotation || 0) + rotationOffset;
-            }
-            
-            if (Object.keys(otherPayload).length > 0) {
-              await onUpdatePlacement?.(other.id, otherPayload);
-            }
+        for (const other of otherSelected) {
+          const otherPayload = {};
+
+          if (positionOffset) {
+            const otherPos = other.position || { x: 0, y: 0, z: 0 };
+            otherPayload.position = {
+              x: Number((otherPos.x + positionOffset.x).toFixed(3)),
+              y: Number((otherPos.y + positionOffset.y).toFixed(3)),
+              z: Number((otherPos.z + positionOffset.z).toFixed(3)),
+            };
+          }
+
+          if (rotationOffset !== null && other.rotation !== undefined) {
+            otherPayload.rotation = (other.rotation || 0) + rotationOffset;
+          }
+
+          if (Object.keys(otherPayload).length > 0) {
+            updates.set(other.id, { id: other.id, ...otherPayload });
           }
         }
+      }
 
-        // If this element has children, update their positions/rotations (parent-child relationship)
-        // Only update if this element is a parent (not a child itself)
-        // Update children when parent moves OR rotates
-        if (draggedPlacement && draggedPlacement.parentElementId === null && (nextState.position || typeof nextState.rotation === 'number')) {
-          // Find all child elements (children that have this element as parent)
-          const children = placements.filter((p) => p.parentElementId === placementId);
-          
-          if (children.length > 0) {
-            // Get the current visual position from the element ref if available
-            const draggedRef = selectedElementRefs.current.get(placementId);
-            const parentVisualPos = draggedRef?.groupRef?.current?.position 
-              ? { 
-                  x: draggedRef.groupRef.current.position.x,
-                  y: draggedRef.groupRef.current.position.y,
-                  z: draggedRef.groupRef.current.position.z,
-                }
-              : (nextState.position || draggedPlacement.position || { x: 0, y: 0, z: 0 });
-            
-            for (const child of children) {
-              // Get child's current visual position if available (already updated in real-time)
-              const childRef = selectedElementRefs.current.get(child.id);
-              const childVisualPos = childRef?.groupRef?.current?.position
-                ? {
-                    x: childRef.groupRef.current.position.x,
-                    y: childRef.groupRef.current.position.y,
-                    z: childRef.groupRef.current.position.z,
-                  }
-                : (child.position || { x: 0, y: 0, z: 0 });
-              
-              // Use the child's current visual position directly - it's already correctly positioned
-              // from the real-time updates during drag/rotation
-              // Do NOT recalculate or re-rotate - just save what's already there
-              // Also, do NOT change the child's rotation - it should maintain its original orientation
-              await onUpdatePlacement?.(child.id, {
-                position: {
-                  x: Number(childVisualPos.x.toFixed(3)),
-                  y: Number(childVisualPos.y.toFixed(3)),
-                  z: Number(childVisualPos.z.toFixed(3)),
-                },
-                // Don't change child's rotation - it should maintain its original orientation
-              });
-            }
+      // If this element has children, save their positions too (parent-child relationship)
+      // Only update if this element is a parent (not a child itself)
+      // Update children when parent moves OR rotates
+      if (draggedPlacement.parentElementId === null && (nextState.position || typeof nextState.rotation === 'number')) {
+        const children = placements.filter((p) => p.parentElementId === placementId);
+
+        for (const child of children) {
+          // Get child's current visual position if available (already updated in real-time)
+          const childRef = selectedElementRefs.current.get(child.id);
+          const childVisualPos = childRef?.groupRef?.current?.position
+            ? {
+                x: childRef.groupRef.current.position.x,
+                y: childRef.groupRef.current.position.y,
+                z: childRef.groupRef.current.position.z,
+              }
+            : (child.position || { x: 0, y: 0, z: 0 });
+
+          // Use the child's current visual position directly - it's already correctly positioned
+          // from the real-time updates during drag/rotation
+          // Do NOT change the child's rotation - it should maintain its original orientation
+          updates.set(child.id, {
+            ...(updates.get(child.id) || { id: child.id }),
+            position: {
+              x: Number(childVisualPos.x.toFixed(3)),
+              y: Number(childVisualPos.y.toFixed(3)),
+              z: Number(childVisualPos.z.toFixed(3)),
+            },
+          });
+        }
+      }
+
+      // The dragged element was collision-checked while dragging; the rest of the group (and turns) are checked here
+      const moves = Array.from(updates.values())
+        .filter((update) => update.position || typeof update.rotation === 'number')
+        .map((update) => ({
+          placement: placements.find((p) => p.id === update.id),
+          position: update.position,
+          rotation: update.rotation,
+        }))
+        .filter((move) => move.placement);
+      const collision = findFloorCollision(moves, placements);
+      if (collision) {
+        resetVisualTransforms(Array.from(updates.keys()));
+        setToastNotification?.({
+          open: true,
+          message: `Can't move ${isMultiSelect ? 'the selection' : 'this element'} here: ${collision.placement.designElement?.name || 'an element'} would overlap ${collision.other.designElement?.name || 'another element'}.`,
+          severity: 'warning',
+        });
+        return;
+      }
+
+      try {
+        if (onUpdatePlacements) {
+          await onUpdatePlacements(Array.from(updates.values()), isMultiSelect ? 'Move selection' : 'Move');
+        } else {
+          for (const { id, ...update } of updates.values()) {
+            await onUpdatePlacement?.(id, update);
           }
         }
       } catch (err) {
-        // Errors already handled upstream, no-op to keep interaction smooth
+        // Errors already handled upstream; put the models back where the server has them
+        resetVisualTransforms(Array.from(updates.keys()));
       }
     },
-    [onUpdatePlacement, placements, selectedIds]
+    [onUpdatePlacement, onUpdatePlacements, placements, selectedIds, resetVisualTransforms, setToastNotification]
   );
 
   const updateGridSetting = useCallback(
@@ -980,6 +1498,225 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
     [setDesignLayout]
   );
 
+  const lighting = useMemo(() => resolveLighting(designLayout?.lighting), [designLayout?.lighting]);
+
+  // Lighting is part of layoutData; the designer saves it through its own route (package designs: the layout autosave)
+  const updateLighting = useCallback(
+    (updater) => {
+      setDesignLayout?.((prev) => ({
+        ...(prev || {}),
+        lighting: updater(resolveLighting(prev?.lighting)),
+      }));
+    },
+    [setDesignLayout]
+  );
+
+  const handleChangeLightingPreset = useCallback(
+    (preset) => updateLighting((current) => ({ ...current, preset })),
+    [updateLighting]
+  );
+
+  const handleAddLight = useCallback(
+    (type) => {
+      // Drop it where the camera is looking
+      const camera = cameraRef.current;
+      const target = orbitControlsRef.current?.target;
+      let point = { x: 0, z: 0 };
+      if (target) {
+        point = { x: target.x, z: target.z };
+      } else if (camera) {
+        point = camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(3).add(camera.position);
+      }
+      const light = createLight(type, { x: Math.round(point.x * 100) / 100, z: Math.round(point.z * 100) / 100 });
+      updateLighting((current) => ({ ...current, lights: [...current.lights, light] }));
+      setSelectedLightId(light.id);
+    },
+    [updateLighting]
+  );
+
+  const handleUpdateLight = useCallback(
+    (lightId, changes) =>
+      updateLighting((current) => ({
+        ...current,
+        lights: current.lights.map((light) => (light.id === lightId ? { ...light, ...changes } : light)),
+      })),
+    [updateLighting]
+  );
+
+  const handleMoveLight = useCallback(
+    (lightId, position) => handleUpdateLight(lightId, { position }),
+    [handleUpdateLight]
+  );
+
+  const handleRemoveLight = useCallback(
+    (lightId) => {
+      updateLighting((current) => ({ ...current, lights: current.lights.filter((light) => light.id !== lightId) }));
+      setSelectedLightId(null);
+    },
+    [updateLighting]
+  );
+
+  const annotations = useMemo(() => resolveAnnotations(designLayout?.annotations), [designLayout?.annotations]);
+
+  // Annotations are part of layoutData too and are saved the same way as lighting
+  const updateAnnotations = useCallback(
+    (updater) => {
+      setDesignLayout?.((prev) => ({
+        ...(prev || {}),
+        annotations: updater(resolveAnnotations(prev?.annotations)),
+      }));
+    },
+    [setDesignLayout]
+  );
+
+  const handleChangeAnnotationTool = useCallback(
+    (tool) => {
+      setAnnotationTool(tool);
+      setMeasureStart(null);
+      // Clicks go to the tool while it is on, so drop the item selection and its gizmo
+      if (tool) handleCloseSelection();
+    },
+    [handleCloseSelection]
+  );
+
+  // Clicking a dimension line or note in the scene opens it in the panel
+  const handleSelectAnnotation = useCallback(
+    (annotationId) => {
+      setShowLayoutIssues?.(false);
+      setSeatingMode(false);
+      setCameraToursOpen(false);
+      setLightingOpen(false);
+      setAnnotationsOpen(true);
+      setSelectedAnnotationId(annotationId);
+    },
+    [setShowLayoutIssues]
+  );
+
+  const handleKeepMeasurement = useCallback(() => {
+    if (!measurement) return;
+    const dimension = { id: createAnnotationId('dim'), ...measurement };
+    updateAnnotations((current) => ({ ...current, dimensions: [...current.dimensions, dimension] }));
+    setMeasurement(null);
+    setSelectedAnnotationId(dimension.id);
+  }, [measurement, updateAnnotations]);
+
+  const handleUpdateDimension = useCallback(
+    (dimensionId, changes) =>
+      updateAnnotations((current) => ({
+        ...current,
+        dimensions: current.dimensions.map((item) => (item.id === dimensionId ? { ...item, ...changes } : item)),
+      })),
+    [updateAnnotations]
+  );
+
+  const handleRemoveDimension = useCallback(
+    (dimensionId) => {
+      updateAnnotations((current) => ({
+        ...current,
+        dimensions: current.dimensions.filter((item) => item.id !== dimensionId),
+      }));
+      setSelectedAnnotationId(null);
+    },
+    [updateAnnotations]
+  );
+
+  const handleUpdateNote = useCallback(
+    (noteId, changes) =>
+      updateAnnotations((current) => ({
+        ...current,
+        notes: current.notes.map((item) => (item.id === noteId ? { ...item, ...changes } : item)),
+      })),
+    [updateAnnotations]
+  );
+
+  const handleRemoveNote = useCallback(
+    (noteId) => {
+      updateAnnotations((current) => ({ ...current, notes: current.notes.filter((item) => item.id !== noteId) }));
+      setSelectedAnnotationId(null);
+    },
+    [updateAnnotations]
+  );
+
+  // What is under the mouse: a point on an item (with the item), else on the venue or floor
+  const pickAnchor = useCallback(
+    (event) => {
+      const camera = cameraRef.current;
+      const scene = sceneRef.current;
+      const canvas = glRef.current?.domElement;
+      if (!camera || !scene || !canvas) return null;
+
+      const rect = canvas.getBoundingClientRect();
+      pickNdc.set(((event.clientX - rect.left) / rect.width) * 2 - 1, -((event.clientY - rect.top) / rect.height) * 2 + 1);
+      pickRaycaster.setFromCamera(pickNdc, camera);
+
+      const hits = pickRaycaster.intersectObjects(scene.children, true);
+      for (const hit of hits) {
+        if (!hit.object.isMesh) continue;
+        let node = hit.object;
+        while (node && !node.userData?.placementId && !node.userData?.isAnnotation) {
+          node = node.parent;
+        }
+        if (node?.userData?.isAnnotation) continue;
+        const placement = node ? placements.find((item) => item.id === node.userData.placementId) : null;
+        const point = hit.object.userData?.isGround ? hit.point.clone().setY(0) : hit.point;
+        return createAnchor(point, placement);
+      }
+
+      const floorPoint = pickRaycaster.ray.intersectPlane(FLOOR_PLANE, pickHit);
+      return floorPoint ? createAnchor(floorPoint) : null;
+    },
+    [placements]
+  );
+
+  // While a tool is on, left clicks in the scene place points instead of selecting or orbiting
+  useEffect(() => {
+    const wrapper = wrapperRef.current;
+    if (!annotationTool || viewMode === 'walk' || !wrapper) return undefined;
+
+    const handlePointerDown = (event) => {
+      if (event.button !== 0 || event.target !== glRef.current?.domElement) return;
+      event.stopPropagation();
+      const anchor = pickAnchor(event);
+      if (!anchor) return;
+
+      if (annotationTool === 'note') {
+        const note = { id: createAnnotationId('note'), anchor, text: '', color: NOTE_COLORS[0] };
+        updateAnnotations((current) => ({ ...current, notes: [...current.notes, note] }));
+        setSelectedAnnotationId(note.id);
+        setAnnotationTool(null);
+      } else if (measureStart) {
+        setMeasurement({ start: measureStart, end: anchor });
+        setMeasureStart(null);
+      } else {
+        setMeasureStart(anchor);
+        setMeasurement(null);
+      }
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        setAnnotationTool(null);
+        setMeasureStart(null);
+      }
+    };
+
+    wrapper.addEventListener('pointerdown', handlePointerDown, true);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      wrapper.removeEventListener('pointerdown', handlePointerDown, true);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [annotationTool, viewMode, measureStart, pickAnchor, updateAnnotations]);
+
+  const handleCloseAnnotations = useCallback(() => {
+    setAnnotationsOpen(false);
+    setAnnotationTool(null);
+    setMeasureStart(null);
+    setMeasurement(null);
+  }, []);
+
+  const placementById = useMemo(() => new Map(placements.map((placement) => [placement.id, placement])), [placements]);
+  const measureStartPoint = measureStart ? resolveAnchor(measureStart, placementById) : null;
+
   const handleToggleGrid = () => {
     updateGridSetting('visible', !effectiveGrid?.visible);
   };
@@ -992,69 +1729,122 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
     return placements.filter((placement) => selectedIds.includes(placement.id));
   }, [placements, selectedIds]);
   const selectedPlacement = selectedPlacements.length === 1 ? selectedPlacements[0] : null; // For backward compatibility with single-selection UI
+  const [arrangeMenuAnchor, setArrangeMenuAnchor] = useState(null);
+  const [patternDialogOpen, setPatternDialogOpen] = useState(false);
+  const [variantsDialogOpen, setVariantsDialogOpen] = useState(false);
+  const [historyDialogOpen, setHistoryDialogOpen] = useState(false);
+
+  // Pattern generator places many units of one single-item 3D service
+  const patternListings = useMemo(
+    () => catalogItems.filter((item) => item.designElement && (item.components || []).length === 0),
+    [catalogItems]
+  );
+  const selectedTable =
+    selectedPlacement &&
+    (selectedPlacement.designElement?.elementType === 'table' ||
+      selectedPlacement.elementType === 'table' ||
+      selectedPlacement.designElement?.name?.toLowerCase().includes('table'))
+      ? selectedPlacement
+      : null;
+
+  // Align or distribute the selection on the floor plan; stacked items follow their parent
+  const handleArrangeSelection = useCallback(
+    async (command) => {
+      setArrangeMenuAnchor(null);
+      const arrangeable = selectedPlacements.filter((p) => !p.isLocked && !p.parentElementId);
+      const moves = getArrangedPositions(arrangeable, command);
+      if (moves.length === 0) {
+        setToastNotification?.({
+          open: true,
+          message: command.startsWith('distribute')
+            ? 'Select at least 3 unlocked items to distribute.'
+            : 'Nothing to align - select at least 2 unlocked items that are not already aligned.',
+          severity: 'info',
+        });
+        return;
+      }
+
+      moves.forEach((move) => {
+        const dx = move.position.x - (move.placement.position?.x || 0);
+        const dz = move.position.z - (move.placement.position?.z || 0);
+        placements
+          .filter((p) => p.parentElementId === move.placement.id)
+          .forEach((child) => {
+            const childPos = child.position || { x: 0, y: 0, z: 0 };
+            moves.push({
+              placement: child,
+              position: {
+                x: Number((childPos.x + dx).toFixed(3)),
+                y: childPos.y,
+                z: Number((childPos.z + dz).toFixed(3)),
+              },
+            });
+          });
+      });
+
+      const collision = findFloorCollision(moves, placements);
+      if (collision) {
+        setToastNotification?.({
+          open: true,
+          message: `Can't arrange the selection: ${collision.placement.designElement?.name || 'an element'} would overlap ${collision.other.designElement?.name || 'another element'}.`,
+          severity: 'warning',
+        });
+        return;
+      }
+
+      const label = ARRANGE_COMMANDS.find((entry) => entry.command === command)?.label || 'Arrange';
+      try {
+        await onUpdatePlacements?.(
+          moves.map((move) => ({ id: move.placement.id, position: move.position })),
+          label
+        );
+      } catch (err) {
+        // Errors already handled upstream
+      }
+    },
+    [selectedPlacements, placements, onUpdatePlacements, setToastNotification]
+  );
+
+  const handleDeleteSelection = useCallback(async () => {
+    const ids = selectedPlacements.filter((p) => !p.isBooked).map((p) => p.id);
+    if (ids.length < selectedPlacements.length) {
+      setToastNotification?.({
+        open: true,
+        message: 'Booked elements were left in place - they cannot be removed from the design.',
+        severity: 'warning',
+      });
+    }
+    if (ids.length === 0) return;
+    await onDeleteMultiple?.(ids);
+    setSelectedIds([]);
+    selectedIdsRef.current = [];
+  }, [selectedPlacements, onDeleteMultiple, setToastNotification]);
 
   const handleViewModeChange = useCallback(
     (mode) => {
       if (mode === viewMode) return;
-      if (mode === 'orbit') {
+      if (mode === 'walk') {
+        handleCloseSelection();
+      } else {
         exitPointerLockIfNeeded();
         setPointerLocked(false);
-      } else {
-        handleCloseSelection();
+      }
+      if (mode === 'plan') {
+        // Open the plan centred on the venue (or the layout) with all of it on screen
+        const { extents } = buildFloorPlan({ placements, venueBounds });
+        const size = sizeRef.current || { width: 800, height: 600 };
+        const spanX = Math.max(extents.maxX - extents.minX, 4);
+        const spanZ = Math.max(extents.maxZ - extents.minZ, 4);
+        setPlanFrame({
+          center: { x: (extents.minX + extents.maxX) / 2, z: (extents.minZ + extents.maxZ) / 2 },
+          zoom: Math.min(size.width / spanX, size.height / spanZ) * PLAN_FIT,
+        });
       }
       setViewMode(mode);
     },
-    [handleCloseSelection, viewMode]
+    [handleCloseSelection, viewMode, placements, venueBounds]
   );
 
-  const handleTopView = useCallback(() => {
-    // Switch to orbit mode if not already
-    if (viewMode !== 'orbit') {
-      handleViewModeChange('orbit');
-      // Wait a bit for mode to change before setting camera
-      setTimeout(() => {
-        if (orbitControlsRef.current) {
-          const controls = orbitControlsRef.current;
-          
-          // Calculate center of venue bounds or use default
-          const centerX = venueBounds ? (venueBounds.minX + venueBounds.maxX) / 2 : 0;
-          const centerZ = venueBounds ? (venueBounds.minZ + venueBounds.maxZ) / 2 : 0;
-          const centerY = venueBounds ? (venueBounds.minY + venueBounds.maxY) / 2 : 2;
-          
-          // Position camera high above, looking straight down
-          const height = venueBounds ? Math.max(venueBounds.maxY - venueBounds.minY, 20) + 10 : 30;
-          controls.object.position.set(centerX, centerY + height, centerZ);
-          
-          // Set target to center of venue
-          controls.target.set(centerX, centerY, centerZ);
-          
-          // Update controls to apply the changes
-          controls.update();
-        }
-      }, 100);
-    } else {
-      // Already in orbit mode, set camera immediately
-      if (orbitControlsRef.current) {
-        const controls = orbitControlsRef.current;
-        
-        // Calculate center of venue bounds or use default
-        const centerX = venueBounds ? (venueBounds.minX + venueBounds.maxX) / 2 : 0;
-        const centerZ = venueBounds ? (venueBounds.minZ + venueBounds.maxZ) / 2 : 0;
-        const centerY = venueBounds ? (venueBounds.minY + venueBounds.maxY) / 2 : 2;
-        
-        // Position camera high above, looking straight down
-        const height = venueBounds ? Math.max(venueBounds.maxY - venueBounds.minY, 20) + 10 : 30;
-        controls.object.position.set(centerX, centerY + height, centerZ);
-        
-        // Set target to center of venue
-        controls.target.set(centerX, centerY, centerZ);
-        
-        // Update controls to apply the changes
-        controls.update();
-      }
-    }
-  }, [viewMode, handleViewModeChange, venueBounds]);
-
   useEffect(() => {
     const handleGlobalPointerDown = (event) => {
       if (!wrapperRef.current) return;
@@ -1067,7 +1857,7 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
   }, [handleCloseSelection]);
 
   const isBoxSelecting = Boolean(boxSelectionStart);
-  const orbitControlsEnabled = orbitEnabled && !isShiftDown && !isBoxSelecting;
+  const orbitControlsEnabled = orbitEnabled && !isShiftDown && !isBoxSelecting && !tourPlayer.busy;
   const handleSaveClick = useCallback(() => {
     onSaveDesign?.();
   }, [onSaveDesign]);
@@ -1076,6 +1866,17 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
     onOpenSummary?.();
   }, [onOpenSummary]);
 
+  // Select the items involved in a layout problem so they can be moved together
+  const handleSelectLayoutIssue = useCallback(
+    (violation) => {
+      const ids = violation.elementIds.filter((id) => placements.some((placement) => placement.id === id));
+      if (ids.length > 0) {
+        setSelectedIds(ids);
+      }
+    },
+    [placements]
+  );
+
   const handleCheckoutClick = useCallback(() => {
     onProceedCheckout?.();
   }, [onProceedCheckout]);
@@ -1146,6 +1947,61 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
             <i className="fas fa-info-circle"></i>
           </button>
         </Tooltip>
+        {isProjectMode && onUndo && (
+          <Tooltip title={canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'} placement="left" arrow>
+            <span>
+              <button type="button" className="scene3d-view-mode-btn" onClick={onUndo} disabled={!canUndo}>
+                <i className="fas fa-undo"></i>
+              </button>
+            </span>
+          </Tooltip>
+        )}
+        {isProjectMode && onRedo && (
+          <Tooltip title={canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'} placement="left" arrow>
+            <span>
+              <button type="button" className="scene3d-view-mode-btn" onClick={onRedo} disabled={!canRedo}>
+                <i className="fas fa-redo"></i>
+              </button>
+            </span>
+          </Tooltip>
+        )}
+        {isProjectMode && projectId && (
+          <Tooltip
+            title={`Layout variants${designVariantName ? ` - editing "${designVariantName}"` : ''}`}
+            placement="left"
+            arrow
+          >
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${variantsDialogOpen ? 'active' : ''}`}
+              onClick={() => setVariantsDialogOpen(true)}
+            >
+              <i className="fas fa-clone"></i>
+            </button>
+          </Tooltip>
+        )}
+        {isProjectMode && projectId && (
+          <Tooltip title="Version history - preview and restore saved versions" placement="left" arrow>
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${historyDialogOpen ? 'active' : ''}`}
+              onClick={() => setHistoryDialogOpen(true)}
+            >
+              <i className="fas fa-history"></i>
+            </button>
+          </Tooltip>
+        )}
+        {isProjectMode && onGeneratePattern && (
+          <Tooltip title="Pattern generator - grids, circles and chairs around a table" placement="left" arrow>
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${patternDialogOpen ? 'active' : ''}`}
+              onClick={() => setPatternDialogOpen(true)}
+            >
+              <i className="fas fa-th-large"></i>
+            </button>
+          </Tooltip>
+        )}
         {isProjectMode && (
           <Tooltip title={bookingLegend} placement="left" arrow>
             <button
@@ -1158,6 +2014,103 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
             </button>
           </Tooltip>
         )}
+        {isProjectMode && projectId && setShowLayoutIssues && (
+          <Tooltip title="Layout check - walkways, door clearance and venue capacity" placement="left" arrow>
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${showLayoutIssues ? 'active' : ''}`}
+              onClick={() => setShowLayoutIssues((prev) => !prev)}
+            >
+              <i className="fas fa-clipboard-check"></i>
+              {layoutValidation?.hardCount > 0 && (
+                <span className="scene3d-btn-badge">{layoutValidation.hardCount}</span>
+              )}
+            </button>
+          </Tooltip>
+        )}
+        {isProjectMode && projectId && (
+          <Tooltip title="Seating - assign guests to tables" placement="left" arrow>
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${seatingMode ? 'active' : ''}`}
+              onClick={() => {
+                if (!seatingMode) {
+                  setShowLayoutIssues?.(false);
+                  setCameraToursOpen(false);
+                  setLightingOpen(false);
+                  handleCloseAnnotations();
+                }
+                setSeatingMode((prev) => !prev);
+              }}
+            >
+              <i className="fas fa-chair"></i>
+            </button>
+          </Tooltip>
+        )}
+        {isProjectMode && projectId && onSaveCameraTour && (
+          <Tooltip title="Camera tours - record and play guided walk-throughs" placement="left" arrow>
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${cameraToursOpen ? 'active' : ''}`}
+              onClick={() => {
+                if (!cameraToursOpen) {
+                  setShowLayoutIssues?.(false);
+                  setSeatingMode(false);
+                  setLightingOpen(false);
+                  handleCloseAnnotations();
+                }
+                setCameraToursOpen((prev) => !prev);
+              }}
+            >
+              <i className="fas fa-video"></i>
+            </button>
+          </Tooltip>
+        )}
+        {setDesignLayout && (
+          <Tooltip title="Lighting - time of day, spotlights, fairy lights and candles" placement="left" arrow>
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${lightingOpen ? 'active' : ''}`}
+              onClick={() => {
+                if (!lightingOpen) {
+                  setShowLayoutIssues?.(false);
+                  setSeatingMode(false);
+                  setCameraToursOpen(false);
+                  handleCloseAnnotations();
+                }
+                setLightingOpen((prev) => !prev);
+              }}
+            >
+              <i className="fas fa-lightbulb"></i>
+            </button>
+          </Tooltip>
+        )}
+        {setDesignLayout && (
+          <Tooltip title="Measure & notes - tape measure, dimension lines and notes for vendors" placement="left" arrow>
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${annotationsOpen ? 'active' : ''}`}
+              onClick={() => {
+                if (annotationsOpen) {
+                  handleCloseAnnotations();
+                } else {
+                  setShowLayoutIssues?.(false);
+                  setSeatingMode(false);
+                  setCameraToursOpen(false);
+                  setLightingOpen(false);
+                  setAnnotationsOpen(true);
+                }
+              }}
+            >
+              <i className="fas fa-ruler-combined"></i>
+            </button>
+          </Tooltip>
+        )}
+        <Tooltip title="Export floor plan - scaled 2D plan as PDF or SVG" placement="left" arrow>
+          <button type="button" className="scene3d-view-mode-btn" onClick={() => setPlanExportOpen(true)}>
+            <i className="fas fa-file-export"></i>
+          </button>
+        </Tooltip>
         {isPackageMode && (
           <Tooltip
             title="Highlight elements that need admin update (vendor/listing inactive or missing)"
@@ -1204,8 +2157,8 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
         </button>
         <button
           type="button"
-          className="scene3d-view-mode-btn"
-          onClick={handleTopView}
+          className={`scene3d-view-mode-btn ${viewMode === 'plan' ? 'active' : ''}`}
+          onClick={() => handleViewModeChange('plan')}
           title="Top view (2D)"
         >
           <i className="fas fa-map"></i>
@@ -1298,6 +2251,26 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
           >
             <i className="fas fa-copy"></i>
           </button>
+          {onUpdatePlacements && (
+            <button
+              type="button"
+              className={`scene3d-view-mode-btn ${arrangeMenuAnchor ? 'active' : ''}`}
+              onClick={(e) => setArrangeMenuAnchor(e.currentTarget)}
+              title="Align and distribute"
+            >
+              <i className="fas fa-th"></i>
+            </button>
+          )}
+          {onDeleteMultiple && sceneOptions.allowRemoval !== false && (
+            <button
+              type="button"
+              className="scene3d-view-mode-btn"
+              onClick={handleDeleteSelection}
+              title="Delete selected"
+            >
+              <i className="fas fa-trash"></i>
+            </button>
+          )}
           <button
             type="button"
             className="scene3d-view-mode-btn"
@@ -1308,19 +2281,151 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
           </button>
         </div>
       )}
+      <Menu
+        anchorEl={arrangeMenuAnchor}
+        open={Boolean(arrangeMenuAnchor) && selectedIds.length > 1}
+        onClose={() => setArrangeMenuAnchor(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+        transformOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        {ARRANGE_COMMANDS.flatMap((entry) => [
+          entry.divider ? <Divider key={`${entry.command}-divider`} /> : null,
+          <MenuItem key={entry.command} dense onClick={() => handleArrangeSelection(entry.command)}>
+            <ListItemIcon>
+              <i className={`fas ${entry.icon}`}></i>
+            </ListItemIcon>
+            <ListItemText>{entry.label}</ListItemText>
+          </MenuItem>,
+        ]).filter(Boolean)}
+      </Menu>
       <div className="scene3d-meta">
         <span>Wedding Venue Space</span>
+        {isProjectMode && designVariantName && <span>Layout: {designVariantName}</span>}
+        {collaborators.length > 0 && (
+          <span className="scene3d-collaborators">
+            Also editing:
+            {collaborators.map((editor) => (
+              <span
+                key={editor.socketId}
+                className="scene3d-collaborator-chip"
+                style={{ '--editor-color': editor.color }}
+              >
+                {editor.name}
+              </span>
+            ))}
+          </span>
+        )}
         {savingState?.lastSaved && (
           <span className="scene3d-meta-muted">
             Last saved {new Date(savingState.lastSaved).toLocaleTimeString()}
           </span>
         )}
       </div>
+      {isProjectMode && projectId && (
+        <DesignVariantsDialog
+          open={variantsDialogOpen}
+          onClose={() => setVariantsDialogOpen(false)}
+          projectId={projectId}
+          onActivated={onVariantActivated}
+        />
+      )}
+      {isProjectMode && projectId && (
+        <DesignHistoryDialog
+          open={historyDialogOpen}
+          onClose={() => setHistoryDialogOpen(false)}
+          projectId={projectId}
+          onRestored={onSnapshotRestored}
+        />
+      )}
+      {isProjectMode && onGeneratePattern && (
+        <PatternGeneratorDialog
+          open={patternDialogOpen}
+          onClose={() => setPatternDialogOpen(false)}
+          listings={patternListings}
+          selectedTable={selectedTable}
+          onGenerate={onGeneratePattern}
+        />
+      )}
+      {seatingMode && (
+        <SeatingPanel
+          seatingPlan={seatingPlan}
+          loading={seatingLoading}
+          error={seatingError}
+          onAssignGuest={handleAssignGuest}
+          onExportPdf={handleExportSeatingChart}
+          onClose={() => setSeatingMode(false)}
+        />
+      )}
+      {showLayoutIssues && (
+        <LayoutIssuesPanel
+          report={layoutValidation}
+          onSelectIssue={handleSelectLayoutIssue}
+          onRefresh={refreshLayoutValidation}
+          onClose={() => setShowLayoutIssues(false)}
+        />
+      )}
+      {lightingOpen && (
+        <LightingPanel
+          lighting={lighting}
+          selectedLightId={selectedLightId}
+          onSelectLight={setSelectedLightId}
+          onChangePreset={handleChangeLightingPreset}
+          onAddLight={handleAddLight}
+          onUpdateLight={handleUpdateLight}
+          onRemoveLight={handleRemoveLight}
+          onClose={() => setLightingOpen(false)}
+        />
+      )}
+      {annotationsOpen && (
+        <AnnotationsPanel
+          annotations={annotations}
+          placements={placements}
+          tool={annotationTool}
+          measuring={Boolean(measureStart)}
+          measurement={measurement}
+          selectedId={selectedAnnotationId}
+          onChangeTool={handleChangeAnnotationTool}
+          onKeepMeasurement={handleKeepMeasurement}
+          onSelect={setSelectedAnnotationId}
+          onUpdateDimension={handleUpdateDimension}
+          onRemoveDimension={handleRemoveDimension}
+          onUpdateNote={handleUpdateNote}
+          onRemoveNote={handleRemoveNote}
+          onClose={handleCloseAnnotations}
+        />
+      )}
+      {cameraToursOpen && (
+        <CameraToursPanel
+          tours={cameraTours}
+          player={tourPlayer}
+          onSaveTour={onSaveCameraTour}
+          onDeleteTour={onDeleteCameraTour}
+          onClose={() => {
+            tourPlayer.stop();
+            setCameraToursOpen(false);
+          }}
+        />
+      )}
       {viewMode === 'walk' && !pointerLocked && (
         <div className="scene3d-hint">
           Click inside the scene to look around. Press Esc to exit walk mode.
         </div>
       )}
+      {viewMode === 'plan' && (
+        <div className="scene3d-plan-scale">
+          <div className="scene3d-plan-scale-bar" ref={planScaleBarRef} />
+          <span ref={planScaleLabelRef} />
+        </div>
+      )}
+      <FloorPlanExportDialog
+        open={planExportOpen}
+        onClose={() => setPlanExportOpen(false)}
+        placements={placements}
+        tables={seatingPlan?.tables}
+        annotations={annotations}
+        project={seatingPlan?.project || { venueName: venueInfo?.name }}
+        planBridgeRef={planBridgeRef}
+      />
 
       <Canvas
         shadows
@@ -1330,28 +2435,18 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
         onPointerDown={handleCanvasPointerDown}
         onPointerMove={handleCanvasPointerMove}
         onPointerUp={handleCanvasPointerUp}
+        onPointerLeave={handleCanvasPointerLeave}
       >
-        <SceneRefsBridge cameraRef={cameraRef} sizeRef={sizeRef} glRef={glRef} />
+        <SceneRefsBridge cameraRef={cameraRef} sizeRef={sizeRef} glRef={glRef} sceneRef={sceneRef} />
         <CaptureBridge onRegisterCapture={onRegisterCapture} controlsRef={orbitControlsRef} />
-        <color attach="background" args={['#cbd2de']} />
-        <fog attach="fog" args={['#efe9e4', 60, 220]} />
-        <ambientLight intensity={0.65} />
-        <directionalLight
-          position={[18, 30, 20]}
-          intensity={1.2}
-          castShadow
-          shadow-mapSize={[4096, 4096]}
-          shadow-camera-left={-110}
-          shadow-camera-right={110}
-          shadow-camera-top={110}
-          shadow-camera-bottom={-110}
-          shadow-camera-near={0.1}
-          shadow-camera-far={200}
-          shadow-bias={-0.0005}
-          shadow-normalBias={0.04}
-          shadow-radius={2}
+        <CameraTourBridge onRegister={tourPlayer.registerBridge} />
+        <PlanCaptureBridge onRegister={registerPlanBridge} />
+        <SceneLighting
+          lighting={lighting}
+          sunShadow={SUN_SHADOW}
+          selectedLightId={lightingOpen ? selectedLightId : null}
+          onMoveLight={handleMoveLight}
         />
-        <directionalLight position={[-20, 15, -10]} intensity={0.4} />
 
         <SceneGround size={200} />
 
@@ -1396,6 +2491,7 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
                 onShowDetails={sceneOptions.onShowDetails}
                 onClose={handleCloseSelection}
                 venueBounds={venueBounds}
+                venueLayout={venueInfo?.layout}
                 onOpenTaggingModal={handleOpenTaggingModal}
                 bookingHighlightEnabled={isProjectMode && bookingHighlightEnabled}
                 needsUpdateHighlightEnabled={isPackageMode && needsUpdateHighlightEnabled}
@@ -1410,9 +2506,34 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
             ))}
         </Suspense>
 
-        <Environment preset="sunset" />
+        {viewMode === 'plan' && !seatingMode && <PlanLabels items={planItems} />}
+
+        {seatingLabels.map(({ table, position }) => (
+          <TableSeatLabel key={table.id} table={table} position={position} onDropGuest={handleAssignGuest} />
+        ))}
 
-        <WASDControls mode={viewMode} venueBounds={venueBounds} />
+        {collaborators.length > 0 && <CollaboratorOverlays collaborators={collaborators} placements={placements} />}
+
+        <DesignAnnotations
+          annotations={annotations}
+          placements={placements}
+          selectedId={annotationsOpen ? selectedAnnotationId : null}
+          onSelect={setDesignLayout ? handleSelectAnnotation : undefined}
+        />
+        {annotationsOpen && measurement && (
+          <DesignAnnotations
+            annotations={{ dimensions: [{ id: 'measurement', ...measurement }] }}
+            placements={placements}
+            selectedId="measurement"
+          />
+        )}
+        {annotationTool === 'measure' && measureStartPoint && <MeasurementPreview start={measureStartPoint} />}
+
+        {showLayoutIssues && layoutValidation?.violations?.length > 0 && (
+          <LayoutIssueOverlays violations={layoutValidation.violations} placements={placements} />
+        )}
+
+        {viewMode !== 'plan' && <WASDControls mode={viewMode} venueBounds={venueBounds} />}
 
         {viewMode === 'orbit' && (
           <OrbitControls
@@ -1430,6 +2551,33 @@ const Scene3D = ({ designerMode, onSaveDesign, onOpenSummary, onProceedCheckout,
           />
         )}
 
+        {viewMode === 'plan' && planFrame && (
+          <>
+            {/* Looks straight down, with the roof cut away so the floor shows */}
+            <OrthographicCamera
+              key="plan-camera"
+              makeDefault
+              position={[planFrame.center.x, PLAN_CAMERA_HEIGHT, planFrame.center.z + 0.001]}
+              zoom={planFrame.zoom}
+              near={PLAN_CAMERA_HEIGHT - PLAN_CUT_HEIGHT}
+              far={PLAN_CAMERA_HEIGHT + 10}
+            />
+            <OrbitControls
+              key="plan-controls"
+              ref={orbitControlsRef}
+              makeDefault
+              enabled={orbitControlsEnabled}
+              enableRotate={false}
+              screenSpacePanning
+              mouseButtons={{ LEFT: THREE.MOUSE.PAN, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.PAN }}
+              minZoom={2}
+              maxZoom={400}
+              target={[planFrame.center.x, 0, planFrame.center.z]}
+            />
+            <PlanScaleUpdater barRef={planScaleBarRef} labelRef={planScaleLabelRef} />
+          </>
+        )}
+
         {viewMode === 'walk' && (
           <PointerLockControls
             key="pointer-lock-controls"
@@ -0,0 +1,241 @@
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Alert, CircularProgress } from '@mui/material';
+import './SeatingPanel.styles.css';
+
+// dataTransfer type used when dragging a guest onto a table (panel list or 3D table label)
+export const GUEST_DRAG_TYPE = 'application/x-wedding-guest';
+
+export const formatTableCapacity = (table) =>
+  table.capacity === null ? `${table.seatsUsed} seated` : `${table.seatsUsed}/${table.capacity}`;
+
+const GuestChip = ({ guest, onUnseat }) => (
+  <div
+    className={`seating-guest-chip ${guest.rsvpStatus === 'declined' ? 'declined' : ''}`}
+    draggable
+    onDragStart={(e) => {
+      e.dataTransfer.setData(GUEST_DRAG_TYPE, guest.id);
+      e.dataTransfer.effectAllowed = 'move';
+    }}
+    title={guest.household ? `${guest.name} (${guest.household})` : guest.name}
+  >
+    <span className="seating-guest-name">{guest.name}</span>
+    {guest.seatsNeeded > 1 && <span className="seating-guest-seats">+{guest.seatsNeeded - 1}</span>}
+    {guest.rsvpStatus === 'declined' && <span className="seating-guest-seats">declined</span>}
+    {onUnseat && (
+      <button type="button" onClick={() => onUnseat(guest.id)} title="Unseat guest">
+        <i className="fas fa-times" />
+      </button>
+    )}
+  </div>
+);
+
+GuestChip.propTypes = {
+  guest: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    household: PropTypes.string,
+    rsvpStatus: PropTypes.string,
+    seatsNeeded: PropTypes.number,
+  }).isRequired,
+  onUnseat: PropTypes.func,
+};
+
+GuestChip.defaultProps = {
+  onUnseat: undefined,
+};
+
+const DropZone = ({ className, onDropGuest, children }) => {
+  const [isOver, setIsOver] = useState(false);
+  return (
+    <div
+      className={`${className} ${isOver ? 'drag-over' : ''}`}
+      onDragOver={(e) => {
+        if (!e.dataTransfer.types.includes(GUEST_DRAG_TYPE)) return;
+        e.preventDefault();
+        setIsOver(true);
+      }}
+      onDragLeave={() => setIsOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setIsOver(false);
+        const guestId = e.dataTransfer.getData(GUEST_DRAG_TYPE);
+        if (guestId) onDropGuest(guestId);
+      }}
+    >
+      {children}
+    </div>
+  );
+};
+
+DropZone.propTypes = {
+  className: PropTypes.string,
+  onDropGuest: PropTypes.func.isRequired,
+  children: PropTypes.node,
+};
+
+DropZone.defaultProps = {
+  className: '',
+  children: null,
+};
+
+/**
+ * Side panel for seating mode: drag guests from the unseated list onto a table
+ * (here or on the table's label in the 3D scene), or back to unseat them.
+ */
+const SeatingPanel = ({ seatingPlan, loading, error, onAssignGuest, onExportPdf, onClose }) => {
+  const [search, setSearch] = useState('');
+
+  const tables = useMemo(() => seatingPlan?.tables || [], [seatingPlan]);
+  const guests = useMemo(() => seatingPlan?.guests || [], [seatingPlan]);
+  const warnings = seatingPlan?.warnings;
+
+  const guestsById = useMemo(() => new Map(guests.map((guest) => [guest.id, guest])), [guests]);
+
+  const unseatedGuests = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return guests.filter(
+      (guest) =>
+        !guest.tableId &&
+        guest.rsvpStatus !== 'declined' &&
+        (!query ||
+          guest.name.toLowerCase().includes(query) ||
+          (guest.household || '').toLowerCase().includes(query))
+    );
+  }, [guests, search]);
+
+  const overCapacityTables = tables.filter((table) => table.isOverCapacity);
+
+  return (
+    <div className="seating-panel" onPointerDown={(e) => e.stopPropagation()}>
+      <div className="seating-panel-header">
+        <div>
+          <strong>Seating</strong>
+          <span>Drag guests onto a table</span>
+        </div>
+        <div className="seating-panel-actions">
+          {onExportPdf && (
+            <button
+              type="button"
+              onClick={onExportPdf}
+              disabled={!seatingPlan || seatingPlan.tables.length === 0}
+              title="Download seating chart and place cards (PDF)"
+            >
+              <i className="fas fa-file-pdf" />
+            </button>
+          )}
+          <button type="button" onClick={onClose} title="Exit seating mode">
+            <i className="fas fa-times" />
+          </button>
+        </div>
+      </div>
+
+      {loading && !seatingPlan && (
+        <div className="seating-panel-loading">
+          <CircularProgress size={24} sx={{ color: '#e16789' }} />
+        </div>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {error}
+        </Alert>
+      )}
+
+      {seatingPlan && (
+        <>
+          {tables.length === 0 && (
+            <Alert severity="info" sx={{ mb: 1 }}>
+              Place tables in your venue design to start seating guests.
+            </Alert>
+          )}
+          {overCapacityTables.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              {overCapacityTables.map((table) => `Table ${table.tableNumber}`).join(', ')}{' '}
+              {overCapacityTables.length === 1 ? 'has' : 'have'} more guests than seats.
+            </Alert>
+          )}
+          {warnings?.unseatedGuestCount > 0 && tables.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              {warnings.unseatedGuestCount} guest{warnings.unseatedGuestCount === 1 ? '' : 's'} (
+              {warnings.unseatedSeatCount} seat{warnings.unseatedSeatCount === 1 ? '' : 's'}) not seated yet.
+            </Alert>
+          )}
+
+          <DropZone className="seating-section" onDropGuest={(guestId) => onAssignGuest(guestId, null)}>
+            <div className="seating-section-title">Unseated ({unseatedGuests.length})</div>
+            <input
+              className="seating-search"
+              type="text"
+              placeholder="Search guests or households"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <div className="seating-guest-list">
+              {unseatedGuests.length === 0 ? (
+                <span className="seating-empty">
+                  {guests.length === 0 ? 'Add guests in your guest list first.' : 'Everyone has a seat.'}
+                </span>
+              ) : (
+                unseatedGuests.map((guest) => <GuestChip key={guest.id} guest={guest} />)
+              )}
+            </div>
+          </DropZone>
+
+          {tables.map((table) => (
+            <DropZone
+              key={table.id}
+              className={`seating-section seating-table ${table.isOverCapacity ? 'over-capacity' : ''}`}
+              onDropGuest={(guestId) => onAssignGuest(guestId, table.id)}
+            >
+              <div className="seating-section-title">
+                <span>
+                  Table {table.tableNumber}
+                  <small>{table.name}</small>
+                </span>
+                <span className="seating-capacity">{formatTableCapacity(table)}</span>
+              </div>
+              {table.capacity === null && (
+                <span className="seating-empty">Seat count unknown (no chairs in this listing)</span>
+              )}
+              <div className="seating-guest-list">
+                {table.guestIds.map((guestId) => {
+                  const guest = guestsById.get(guestId);
+                  return guest ? (
+                    <GuestChip key={guestId} guest={guest} onUnseat={(id) => onAssignGuest(id, null)} />
+                  ) : null;
+                })}
+              </div>
+            </DropZone>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+SeatingPanel.propTypes = {
+  seatingPlan: PropTypes.shape({
+    tables: PropTypes.arrayOf(PropTypes.object),
+    guests: PropTypes.arrayOf(PropTypes.object),
+    warnings: PropTypes.shape({
+      overCapacityTableIds: PropTypes.arrayOf(PropTypes.string),
+      unseatedGuestCount: PropTypes.number,
+      unseatedSeatCount: PropTypes.number,
+    }),
+  }),
+  loading: PropTypes.bool,
+  error: PropTypes.string,
+  onAssignGuest: PropTypes.func.isRequired,
+  onExportPdf: PropTypes.func,
+  onClose: PropTypes.func.isRequired,
+};
+
+SeatingPanel.defaultProps = {
+  seatingPlan: null,
+  loading: false,
+  error: '',
+  onExportPdf: undefined,
+};
+
+export default SeatingPanel;
@@ -10,9 +10,18 @@ import {
   getVenueDesignBudget,
   addDesignElement,
   updateDesignElement,
+  updateDesignElements,
   deleteDesignElement,
   duplicateDesignElement,
   duplicatePackageDesignElement,
+  restoreDesignElements,
+  generateDesignPattern,
+  getLayoutValidation,
+  createCameraTour,
+  updateCameraTour,
+  deleteCameraTour,
+  saveDesignLighting,
+  saveDesignAnnotations,
   saveVenueDesign,
   getVenueCatalog,
   getVenueAvailability,
@@ -31,6 +40,10 @@ import CatalogSidebar from '../../components/Catalog/CatalogSidebar';
 import Listing3DDialog from '../../components/Catalog/Listing3DDialog';
 import Scene3D from './Scene3D';
 import { VenueDesignerProvider } from './VenueDesignerContext';
+import { useDesignHistory } from './useDesignHistory';
+import { useDesignCollaboration, mergePlacementUpdates } from './useDesignCollaboration';
+import { useLayoutSectionSync } from './useLayoutSectionSync';
+import { useWebSocket } from '../../context/WebSocketContext';
 
 const CATEGORIES = [
   'All Categories',
@@ -55,6 +68,46 @@ const normalizeLayout = (layout = {}) => ({
   sidebar: { collapsed: false, ...(layout?.sidebar || {}) },
 });
 
+// Everything the restore endpoint needs to re-create a removed placement (used by undo/redo)
+const toRestoreSnapshot = (placement) => ({
+  id: placement.id,
+  designElementId: placement.designElement?.id,
+  position: placement.position || { x: 0, y: 0, z: 0 },
+  rotation: placement.rotation ?? 0,
+  isLocked: Boolean(placement.isLocked),
+  parentElementId: placement.parentElementId || null,
+  serviceListingIds: placement.serviceListingIds || [],
+  elementType: placement.elementType || null,
+  metadata: placement.metadata,
+});
+
+const canRestorePlacement = (placement) =>
+  Boolean(placement?.designElement?.id && placement?.metadata?.serviceListingId);
+
+// Current values of the fields an update payload is about to change
+const pickPreviousValues = (placement, payload) => {
+  const previous = {};
+  if (payload.position) {
+    previous.position = { ...(placement.position || { x: 0, y: 0, z: 0 }) };
+  }
+  if (payload.rotation !== undefined) {
+    previous.rotation = placement.rotation ?? 0;
+  }
+  if (payload.isLocked !== undefined) {
+    previous.isLocked = Boolean(placement.isLocked);
+  }
+  if (payload.parentElementId !== undefined) {
+    previous.parentElementId = placement.parentElementId || null;
+  }
+  if (payload.metadata) {
+    previous.metadata = {};
+    Object.keys(payload.metadata).forEach((key) => {
+      previous.metadata[key] = placement.metadata?.[key] ?? null;
+    });
+  }
+  return previous;
+};
+
 const VenueDesigner = () => {
   const location = useLocation();
   const navigate = useNavigate();
@@ -96,16 +149,46 @@ const VenueDesigner = () => {
   const [catalogOverrides, setCatalogOverrides] = useState(null); // { minPrice, maxPrice, tags, excludeListingId }
   const [venueInfo, setVenueInfo] = useState(null);
   const [venueDesignId, setVenueDesignId] = useState(null);
+  const [designVariantName, setDesignVariantName] = useState(null);
   const [projectServices, setProjectServices] = useState([]);
   const [bookedQuantities, setBookedQuantities] = useState({});
   const [toastNotification, setToastNotification] = useState({ open: false, message: '', severity: 'info' });
+  const [layoutValidation, setLayoutValidation] = useState(null);
+  const [showLayoutIssues, setShowLayoutIssues] = useState(false);
+  const [cameraTours, setCameraTours] = useState([]);
   const layoutAutosaveTimerRef = useRef(null);
   const skipNextLayoutSaveRef = useRef(true);
+  // Latest placements for history bookkeeping inside async handlers
+  const placementsRef = useRef(placements);
+  placementsRef.current = placements;
   const captureScreenshotRef = useRef(null);
   const handleRegisterCapture = useCallback((fn) => {
     captureScreenshotRef.current = fn;
   }, []);
 
+  // Lighting and annotations have their own routes in project mode; package designs keep them
+  // in the layout save
+  const showSyncError = useCallback((err) => {
+    setToastNotification({ open: true, message: err.message || 'Failed to save your changes.', severity: 'error' });
+  }, []);
+  const saveLighting = useCallback((lighting) => saveDesignLighting(projectId, lighting), [projectId]);
+  const { markSynced: markLightingSynced } = useLayoutSectionSync({
+    enabled: designerMode === 'project',
+    value: designLayout?.lighting,
+    save: saveLighting,
+    onError: showSyncError,
+  });
+  const saveAnnotations = useCallback(
+    (annotations) => saveDesignAnnotations(projectId, annotations),
+    [projectId]
+  );
+  const { markSynced: markAnnotationsSynced } = useLayoutSectionSync({
+    enabled: designerMode === 'project',
+    value: designLayout?.annotations,
+    save: saveAnnotations,
+    onError: showSyncError,
+  });
+
   // Calculate remaining: totalBudget - plannedSpend - totalSpent
   // Parse totalSpent - handle both string and number types
   let totalSpent = 0;
@@ -139,7 +222,10 @@ const VenueDesigner = () => {
       setPlacements(data.design?.placedElements || []);
       skipNextLayoutSaveRef.current = true;
       const layoutFromServer = normalizeLayout(data.design?.layoutData || {});
+      markLightingSynced(layoutFromServer.lighting);
+      markAnnotationsSynced(layoutFromServer.annotations);
       setDesignLayout(layoutFromServer);
+      setCameraTours(data.design?.layoutData?.cameraTours || []);
       setSidebarCollapsed(layoutFromServer.sidebar.collapsed ?? false);
       setSavingState((prev) => ({
         ...prev,
@@ -153,6 +239,7 @@ const VenueDesigner = () => {
 
       if (designerMode === 'project') {
         setVenueInfo(data.venue || null);
+        setDesignVariantName(data.design?.name || null);
         const backendBudget = data.project?.budget;
         if (backendBudget) {
           setBudget(backendBudget);
@@ -191,7 +278,7 @@ const VenueDesigner = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [resourceId, designerMode, projectId, packageId]);
+  }, [resourceId, designerMode, projectId, packageId, markLightingSynced, markAnnotationsSynced]);
 
   const refreshBookedQuantities = useCallback(async () => {
     if (!projectId || designerMode !== 'project') return;
@@ -227,6 +314,231 @@ const VenueDesigner = () => {
     }
   }, [projectId, designerMode]);
 
+  // Replays undo/redo operations against the server (project mode only)
+  const applyHistoryOperations = useCallback(
+    async (operations) => {
+      const current = new Map(placementsRef.current.map((placement) => [placement.id, placement]));
+      const removesBookedElement = operations.some(
+        (op) => op.type === 'remove' && op.placementIds.some((id) => current.get(id)?.isBooked)
+      );
+      if (removesBookedElement) {
+        setToastNotification({
+          open: true,
+          message: 'This step would remove an element that has been booked since, so it was skipped.',
+          severity: 'warning',
+        });
+        return false;
+      }
+
+      for (let index = 0; index < operations.length; ) {
+        const op = operations[index];
+        if (op.type === 'update') {
+          // Consecutive updates go to the server as one batch (each element at most once per batch)
+          const updates = [];
+          const batchIds = new Set();
+          while (
+            index < operations.length &&
+            operations[index].type === 'update' &&
+            !batchIds.has(operations[index].placementId)
+          ) {
+            updates.push({ id: operations[index].placementId, ...operations[index].payload });
+            batchIds.add(operations[index].placementId);
+            index += 1;
+          }
+          const response = await updateDesignElements(projectId, updates);
+          const updatedById = new Map((response.placements || []).map((placement) => [placement.id, placement]));
+          updatedById.forEach((placement, id) => current.set(id, placement));
+          setPlacements((prev) => mergePlacementUpdates(prev, response.placements));
+          continue;
+        }
+
+        index += 1;
+        if (op.type === 'remove') {
+          const removedIds = new Set();
+          for (const placementId of op.placementIds) {
+            if (!current.has(placementId) || removedIds.has(placementId)) continue;
+            const response = await deleteDesignElement(projectId, placementId, 'single');
+            (response.removedPlacementIds || [placementId]).forEach((id) => {
+              removedIds.add(id);
+              current.delete(id);
+            });
+          }
+          // The server un-links children of removed parents (parentElementId is set to null)
+          setPlacements((prev) =>
+            prev
+              .filter((placement) => !removedIds.has(placement.id))
+              .map((placement) =>
+                removedIds.has(placement.parentElementId) ? { ...placement, parentElementId: null } : placement
+              )
+          );
+        } else if (op.type === 'restore') {
+          const response = await restoreDesignElements(projectId, op.placements);
+          const restored = response.placements || [];
+          const restoredIds = new Set(restored.map((placement) => placement.id));
+          restored.forEach((placement) => current.set(placement.id, placement));
+          setPlacements((prev) => [...prev.filter((placement) => !restoredIds.has(placement.id)), ...restored]);
+        }
+      }
+
+      await refreshBudget();
+      return true;
+    },
+    [projectId, refreshBudget]
+  );
+
+  const handleHistoryError = useCallback(
+    (err, entry, direction) => {
+      setToastNotification({
+        open: true,
+        message: `Unable to ${direction} "${entry.label}": ${err.message || 'the design has changed'}. Edit history was cleared.`,
+        severity: 'error',
+      });
+      loadDesign();
+    },
+    [loadDesign]
+  );
+
+  const {
+    record: recordHistory,
+    runBatch: runHistoryBatch,
+    undo,
+    redo,
+    clear: clearHistory,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
+  } = useDesignHistory({
+    enabled: designerMode === 'project',
+    applyOperations: applyHistoryOperations,
+    onError: handleHistoryError,
+  });
+
+  useEffect(() => {
+    clearHistory();
+  }, [projectId, clearHistory]);
+
+  // Switching layout variants or restoring a snapshot swaps every placement, so earlier history no longer applies
+  const handleVariantActivated = useCallback(async () => {
+    clearHistory();
+    await loadDesign();
+    await refreshBudget();
+  }, [clearHistory, loadDesign, refreshBudget]);
+
+  // Changes other editors committed to the same layout, broadcast over the design's socket room
+  const handleRemoteDesignChange = useCallback(
+    (change) => {
+      if (change.type === 'placements-upserted') {
+        const knownIds = new Set(placementsRef.current.map((placement) => placement.id));
+        const incoming = change.placements || [];
+        setPlacements((prev) => mergePlacementUpdates(prev, incoming, { append: true }));
+        // Moves don't change the budget; new items do
+        if (incoming.some((placement) => !knownIds.has(placement.id))) {
+          refreshBudget();
+        }
+      } else if (change.type === 'placements-removed') {
+        const removedIds = new Set(change.placementIds || []);
+        setPlacements((prev) =>
+          prev
+            .filter((placement) => !removedIds.has(placement.id))
+            .map((placement) =>
+              removedIds.has(placement.parentElementId) ? { ...placement, parentElementId: null } : placement
+            )
+        );
+        refreshBudget();
+      } else if (change.type === 'camera-tours-updated') {
+        setCameraTours(change.cameraTours || []);
+      } else if (change.type === 'lighting-updated') {
+        markLightingSynced(change.lighting);
+        setDesignLayout((prev) => ({ ...prev, lighting: change.lighting }));
+      } else if (change.type === 'annotations-updated') {
+        markAnnotationsSynced(change.annotations);
+        setDesignLayout((prev) => ({ ...prev, annotations: change.annotations }));
+      } else if (change.type === 'design-reloaded') {
+        handleVariantActivated();
+      }
+    },
+    [refreshBudget, handleVariantActivated, markLightingSynced, markAnnotationsSynced]
+  );
+
+  const { socket, isConnected } = useWebSocket();
+  const { editors: collaborators, sharePresence } = useDesignCollaboration({
+    socket,
+    isConnected,
+    projectId,
+    venueDesignId,
+    enabled: designerMode === 'project',
+    onRemoteChange: handleRemoteDesignChange,
+  });
+
+  // Walkway, clearance and occupancy report of the active layout
+  const refreshLayoutValidation = useCallback(async () => {
+    if (designerMode !== 'project' || !projectId) return null;
+    try {
+      const report = await getLayoutValidation(projectId);
+      setLayoutValidation(report);
+      return report;
+    } catch (err) {
+      console.error('[VenueDesigner] Layout validation failed:', err);
+      return null;
+    }
+  }, [designerMode, projectId]);
+
+  // Keep the overlay current while it is shown
+  useEffect(() => {
+    if (!showLayoutIssues) return undefined;
+    const timeout = setTimeout(refreshLayoutValidation, 500);
+    return () => clearTimeout(timeout);
+  }, [showLayoutIssues, placements, refreshLayoutValidation]);
+
+  // Camera tours are saved straight away (not with the layout autosave); returns the saved tour or null
+  const handleSaveCameraTour = useCallback(
+    async (tour) => {
+      if (!projectId) return null;
+      try {
+        const payload = { name: tour.name, keyframes: tour.keyframes };
+        const result = tour.id
+          ? await updateCameraTour(projectId, tour.id, payload)
+          : await createCameraTour(projectId, payload);
+        setCameraTours(result.cameraTours || []);
+        setToastNotification({ open: true, message: `Saved camera tour "${result.tour.name}"`, severity: 'success' });
+        return result.tour;
+      } catch (err) {
+        setToastNotification({ open: true, message: err.message || 'Failed to save camera tour', severity: 'error' });
+        return null;
+      }
+    },
+    [projectId]
+  );
+
+  const handleDeleteCameraTour = useCallback(
+    async (tourId) => {
+      if (!projectId) return;
+      try {
+        const result = await deleteCameraTour(projectId, tourId);
+        setCameraTours(result.cameraTours || []);
+      } catch (err) {
+        setToastNotification({ open: true, message: err.message || 'Failed to delete camera tour', severity: 'error' });
+      }
+    },
+    [projectId]
+  );
+
+  const handleProceedToCheckout = useCallback(async () => {
+    const report = await refreshLayoutValidation();
+    setShowCheckout(false);
+    if (report && report.hardCount > 0) {
+      setShowLayoutIssues(true);
+      setToastNotification({
+        open: true,
+        message: `Fix ${report.hardCount} layout problem${report.hardCount === 1 ? '' : 's'} before checking out.`,
+        severity: 'error',
+      });
+      return;
+    }
+    setShowCheckoutModal(true);
+  }, [refreshLayoutValidation]);
+
   // Handle tag updates - refresh budget immediately, then reload design
   const handleTagUpdateReload = useCallback(async () => {
     // When tags are updated, refresh budget immediately (lightweight)
@@ -295,7 +607,7 @@ const VenueDesigner = () => {
   }, [designerMode, projectId, placements]);
 
   const saveLayoutData = useCallback(
-    async (layoutData = {}) => {
+    async (layoutData = {}, { snapshot = false } = {}) => {
       if (!resourceId) {
         setToastNotification({ open: true, message: 'No design context selected.', severity: 'error' });
         return;
@@ -317,7 +629,8 @@ const VenueDesigner = () => {
             }
           }
         } else {
-          await saveVenueDesign(projectId, payload);
+          // Explicit saves also store a restore point in the design history
+          await saveVenueDesign(projectId, snapshot ? { ...payload, snapshot: true } : payload);
         }
         setSavingState({
           loading: false,
@@ -393,7 +706,15 @@ const VenueDesigner = () => {
             });
           }
         } else {
-          setPlacements((prev) => [...prev, ...(response.placements || [])]);
+          const addedPlacements = response.placements || [];
+          setPlacements((prev) => [...prev, ...addedPlacements]);
+          if (designerMode === 'project' && addedPlacements.length > 0 && addedPlacements.every(canRestorePlacement)) {
+            recordHistory({
+              label: `Add ${item.name || 'item'}`,
+              undo: [{ type: 'remove', placementIds: addedPlacements.map((placement) => placement.id) }],
+              redo: [{ type: 'restore', placements: addedPlacements.map(toRestoreSnapshot) }],
+            });
+          }
           // Refresh budget immediately (lightweight update, no full page reload)
           // Add small delay to ensure backend has finished updating plannedSpend
           await new Promise(resolve => setTimeout(resolve, 100));
@@ -408,19 +729,41 @@ const VenueDesigner = () => {
         setToastNotification({ open: true, message: err.message || 'Unable to add item to design', severity: 'error' });
       }
     },
-    [resourceId, designerMode, packageId, projectId, loadDesign, replaceTarget]
+    [resourceId, designerMode, packageId, projectId, loadDesign, replaceTarget, recordHistory]
   );
 
   const handleRemovePlacement = useCallback(
     async (placementId, scope = 'bundle') => {
       if (!resourceId) return;
       try {
+        const placementsBefore = placementsRef.current;
         const response =
           designerMode === 'package'
             ? await deletePackageDesignElement(packageId, placementId, scope)
             : await deleteDesignElement(projectId, placementId, scope);
         const removedIds = response.removedPlacementIds || [];
         setPlacements((prev) => prev.filter((placement) => !removedIds.includes(placement.id)));
+        if (designerMode === 'project' && removedIds.length > 0) {
+          const removedPlacements = placementsBefore.filter((placement) => removedIds.includes(placement.id));
+          // Stacked items left behind lose their parent on the server; undo links them back
+          const orphanedChildren = placementsBefore.filter(
+            (placement) => removedIds.includes(placement.parentElementId) && !removedIds.includes(placement.id)
+          );
+          if (removedPlacements.length === removedIds.length && removedPlacements.every(canRestorePlacement)) {
+            recordHistory({
+              label: `Remove ${removedPlacements[0].designElement?.name || 'element'}`,
+              undo: [
+                { type: 'restore', placements: removedPlacements.map(toRestoreSnapshot) },
+                ...orphanedChildren.map((child) => ({
+                  type: 'update',
+                  placementId: child.id,
+                  payload: { parentElementId: child.parentElementId },
+                })),
+              ],
+              redo: [{ type: 'remove', placementIds: removedIds }],
+            });
+          }
+        }
         // Refresh budget immediately (lightweight update, no full page reload)
         if (designerMode === 'project') {
           // Add small delay to ensure backend has finished updating plannedSpend
@@ -446,7 +789,7 @@ const VenueDesigner = () => {
         }
       }
     },
-    [resourceId, designerMode, packageId, projectId, refreshBudget]
+    [resourceId, designerMode, packageId, projectId, refreshBudget, recordHistory]
   );
 
   const handleRemoveProjectService = useCallback(
@@ -493,28 +836,86 @@ const VenueDesigner = () => {
           : await updateDesignElement(projectId, placement.id, {
               isLocked: !placement.isLocked,
             });
-      setPlacements((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+      setPlacements((prev) => mergePlacementUpdates(prev, [updated]));
+      if (designerMode === 'project') {
+        recordHistory({
+          label: placement.isLocked ? 'Unlock' : 'Lock',
+          undo: [{ type: 'update', placementId: placement.id, payload: { isLocked: Boolean(placement.isLocked) } }],
+          redo: [{ type: 'update', placementId: placement.id, payload: { isLocked: !placement.isLocked } }],
+        });
+      }
     } catch (err) {
       setToastNotification({ open: true, message: err.message || 'Unable to update lock state', severity: 'error' });
     }
-  }, [resourceId, designerMode, packageId, projectId]);
+  }, [resourceId, designerMode, packageId, projectId, recordHistory]);
 
   const handleUpdatePlacement = useCallback(
     async (placementId, payload) => {
       if (!resourceId) return null;
       try {
+        const previousPlacement = placementsRef.current.find((item) => item.id === placementId);
         const updated =
           designerMode === 'package'
             ? await updatePackageDesignElement(packageId, placementId, payload)
             : await updateDesignElement(projectId, placementId, payload);
-        setPlacements((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+        setPlacements((prev) => mergePlacementUpdates(prev, [updated]));
+        if (designerMode === 'project' && previousPlacement) {
+          const previousValues = pickPreviousValues(previousPlacement, payload);
+          if (Object.keys(previousValues).length > 0) {
+            recordHistory({
+              label: payload.position || payload.rotation !== undefined ? 'Move' : 'Edit',
+              undo: [{ type: 'update', placementId, payload: previousValues }],
+              redo: [{ type: 'update', placementId, payload }],
+            });
+          }
+        }
         return updated;
       } catch (err) {
         setToastNotification({ open: true, message: err.message || 'Unable to update element', severity: 'error' });
         throw err;
       }
     },
-    [resourceId, designerMode, packageId, projectId]
+    [resourceId, designerMode, packageId, projectId, recordHistory]
+  );
+
+  // Update several placements at once (group move/rotate, align, bulk lock) - one request and one undo step
+  const handleUpdatePlacements = useCallback(
+    async (updates, label = 'Move') => {
+      if (!resourceId || !updates || updates.length === 0) return [];
+      const previousById = new Map(placementsRef.current.map((placement) => [placement.id, placement]));
+      try {
+        let updatedPlacements = [];
+        if (designerMode === 'package') {
+          // Package designs have no batch endpoint
+          for (const { id, ...payload } of updates) {
+            updatedPlacements.push(await updatePackageDesignElement(packageId, id, payload));
+          }
+        } else {
+          const response = await updateDesignElements(projectId, updates);
+          updatedPlacements = response.placements || [];
+        }
+        setPlacements((prev) => mergePlacementUpdates(prev, updatedPlacements));
+
+        if (designerMode === 'project') {
+          recordHistory({
+            label,
+            undo: updates
+              .filter(({ id }) => previousById.has(id))
+              .map(({ id, ...payload }) => ({
+                type: 'update',
+                placementId: id,
+                payload: pickPreviousValues(previousById.get(id), payload),
+              })),
+            redo: updates.map(({ id, ...payload }) => ({ type: 'update', placementId: id, payload })),
+          });
+        }
+        return updatedPlacements;
+      } catch (err) {
+        setToastNotification({ open: true, message: err.message || 'Unable to update elements', severity: 'error' });
+        throw err;
+      }
+    },
+    [resourceId, designerMode, packageId, projectId, recordHistory]
   );
 
   const handleDuplicatePlacement = useCallback(
@@ -531,6 +932,13 @@ const VenueDesigner = () => {
         const newPlacements = response.placements || (response.placement ? [response.placement] : []);
         if (newPlacements.length > 0) {
           setPlacements((prev) => [...prev, ...newPlacements]);
+          if (designerMode === 'project' && newPlacements.every(canRestorePlacement)) {
+            recordHistory({
+              label: 'Duplicate',
+              undo: [{ type: 'remove', placementIds: newPlacements.map((placement) => placement.id) }],
+              redo: [{ type: 'restore', placements: newPlacements.map(toRestoreSnapshot) }],
+            });
+          }
           const itemCount = newPlacements.length > 1 ? `${newPlacements.length} elements` : 'element';
           
           // Show warning if booked services were filtered out, otherwise show success
@@ -556,7 +964,36 @@ const VenueDesigner = () => {
         throw err;
       }
     },
-    [resourceId, designerMode, projectId]
+    [resourceId, designerMode, projectId, recordHistory]
+  );
+
+  const handleGeneratePattern = useCallback(
+    async (payload) => {
+      if (designerMode !== 'project' || !projectId) return [];
+      // Errors are rethrown so the pattern dialog can show them next to the form
+      const response = await generateDesignPattern(projectId, payload);
+      const addedPlacements = response.placements || [];
+      setPlacements((prev) => [...prev, ...addedPlacements]);
+      if (addedPlacements.length > 0 && addedPlacements.every(canRestorePlacement)) {
+        recordHistory({
+          label: `Add pattern (${addedPlacements.length})`,
+          undo: [{ type: 'remove', placementIds: addedPlacements.map((placement) => placement.id) }],
+          redo: [{ type: 'restore', placements: addedPlacements.map(toRestoreSnapshot) }],
+        });
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      await refreshBudget();
+      const skipped = response.skippedCount
+        ? ` ${response.skippedCount} occupied spot${response.skippedCount === 1 ? ' was' : 's were'} skipped.`
+        : '';
+      setToastNotification({
+        open: true,
+        message: `Placed ${addedPlacements.length} item${addedPlacements.length === 1 ? '' : 's'}.${skipped}`,
+        severity: 'success',
+      });
+      return addedPlacements;
+    },
+    [designerMode, projectId, recordHistory, refreshBudget]
   );
 
   const handleDuplicateMultiple = useCallback(
@@ -583,28 +1020,31 @@ const VenueDesigner = () => {
       const results = [];
       
       const warnings = [];
-      for (const id of uniqueIds) {
-        try {
-          const result = await handleDuplicatePlacement(id);
-          if (result) {
-            // result can be an array (for bundles) or a single placement
-            if (Array.isArray(result)) {
-              results.push(...result);
-            } else {
-              results.push(result);
+      // One undo step for the whole selection
+      await runHistoryBatch('Duplicate selection', async () => {
+        for (const id of uniqueIds) {
+          try {
+            const result = await handleDuplicatePlacement(id);
+            if (result) {
+              // result can be an array (for bundles) or a single placement
+              if (Array.isArray(result)) {
+                results.push(...result);
+              } else {
+                results.push(result);
+              }
+              // Collect warnings from the response
+              // Note: handleDuplicatePlacement shows toast, but we collect for summary
+            }
+          } catch (err) {
+            // Continue with other elements even if one fails
+            console.error(`Failed to duplicate element ${id}:`, err);
+            // Check if it's a warning (exclusive service, etc.)
+            if (err.message && (err.message.includes('exclusive') || err.message.includes('maximum quantity'))) {
+              warnings.push(err.message);
             }
-            // Collect warnings from the response
-            // Note: handleDuplicatePlacement shows toast, but we collect for summary
-          }
-        } catch (err) {
-          // Continue with other elements even if one fails
-          console.error(`Failed to duplicate element ${id}:`, err);
-          // Check if it's a warning (exclusive service, etc.)
-          if (err.message && (err.message.includes('exclusive') || err.message.includes('maximum quantity'))) {
-            warnings.push(err.message);
           }
         }
-      }
+      });
       
       if (results.length > 0 || warnings.length > 0) {
         const itemCount = results.length > 1 ? `${results.length} elements` : results.length === 1 ? 'element' : 'elements';
@@ -626,21 +1066,25 @@ const VenueDesigner = () => {
         }
       }
     },
-    [handleDuplicatePlacement, placements]
+    [handleDuplicatePlacement, placements, runHistoryBatch]
   );
 
   const handleDeleteMultiple = useCallback(
     async (placementIds) => {
       if (!placementIds || placementIds.length === 0) return;
       const results = [];
-      for (const id of placementIds) {
-        try {
-          await handleRemovePlacement(id);
-          results.push(id);
-        } catch (err) {
-          console.error(`Failed to delete element ${id}:`, err);
+      await runHistoryBatch('Delete selection', async () => {
+        for (const id of placementIds) {
+          // Already removed together with an earlier bundle member
+          if (!placementsRef.current.some((placement) => placement.id === id)) continue;
+          try {
+            await handleRemovePlacement(id);
+            results.push(id);
+          } catch (err) {
+            console.error(`Failed to delete element ${id}:`, err);
+          }
         }
-      }
+      });
       if (results.length > 0) {
         setToastNotification({
           open: true,
@@ -649,33 +1093,28 @@ const VenueDesigner = () => {
         });
       }
     },
-    [handleRemovePlacement]
+    [handleRemovePlacement, runHistoryBatch]
   );
 
   const handleLockMultiple = useCallback(
     async (placementIds, lockState) => {
       if (!placementIds || placementIds.length === 0) return;
-      const results = [];
-      for (const id of placementIds) {
-        try {
-          const placement = placements.find((p) => p.id === id);
-          if (placement && placement.isLocked !== lockState) {
-            await handleToggleLock(placement);
-            results.push(id);
-          }
-        } catch (err) {
-          console.error(`Failed to ${lockState ? 'lock' : 'unlock'} element ${id}:`, err);
-        }
-      }
-      if (results.length > 0) {
+      const updates = placements
+        .filter((placement) => placementIds.includes(placement.id) && Boolean(placement.isLocked) !== lockState)
+        .map((placement) => ({ id: placement.id, isLocked: lockState }));
+      if (updates.length === 0) return;
+      try {
+        await handleUpdatePlacements(updates, lockState ? 'Lock selection' : 'Unlock selection');
         setToastNotification({
           open: true,
-          message: `${lockState ? 'Locked' : 'Unlocked'} ${results.length} element(s)`,
+          message: `${lockState ? 'Locked' : 'Unlocked'} ${updates.length} element(s)`,
           severity: 'success',
         });
+      } catch (err) {
+        console.error(`Failed to ${lockState ? 'lock' : 'unlock'} elements:`, err);
       }
     },
-    [placements, handleToggleLock]
+    [placements, handleUpdatePlacements]
   );
 
   const handleSidebarToggle = () => {
@@ -694,7 +1133,7 @@ const VenueDesigner = () => {
       clearTimeout(layoutAutosaveTimerRef.current);
       layoutAutosaveTimerRef.current = null;
     }
-    saveLayoutData(normalizeLayout(designLayout || {}));
+    saveLayoutData(normalizeLayout(designLayout || {}), { snapshot: true });
   };
 
   const handleShow3D = (item, modelSrc) => {
@@ -715,17 +1154,39 @@ const VenueDesigner = () => {
       availabilityMap,
       venueInfo,
       venueDesignId,
+      designVariantName,
+      onVariantActivated: handleVariantActivated,
+      onSnapshotRestored: handleVariantActivated,
+      collaborators,
+      onSharePresence: sharePresence,
+      layoutValidation,
+      showLayoutIssues,
+      setShowLayoutIssues,
+      refreshLayoutValidation,
+      cameraTours,
+      onSaveCameraTour: handleSaveCameraTour,
+      onDeleteCameraTour: handleDeleteCameraTour,
       refreshAvailability,
       onToggleLock: handleToggleLock,
       onRemovePlacement: handleRemovePlacement,
       onRemoveProjectService: handleRemoveProjectService,
       setToastNotification,
       onUpdatePlacement: handleUpdatePlacement,
+      onUpdatePlacements: handleUpdatePlacements,
       onDuplicatePlacement: handleDuplicatePlacement,
       onDuplicateMultiple: handleDuplicateMultiple,
+      onGeneratePattern: handleGeneratePattern,
+      catalogItems,
       onDeleteMultiple: handleDeleteMultiple,
       onLockMultiple: handleLockMultiple,
       onReloadDesign: handleTagUpdateReload,
+      runHistoryBatch,
+      onUndo: undo,
+      onRedo: redo,
+      canUndo,
+      canRedo,
+      undoLabel,
+      redoLabel,
       savingState,
       designLayout,
       setDesignLayout,
@@ -785,16 +1246,36 @@ const VenueDesigner = () => {
       availabilityMap,
       venueInfo,
       venueDesignId,
+      designVariantName,
+      handleVariantActivated,
+      collaborators,
+      sharePresence,
+      layoutValidation,
+      showLayoutIssues,
+      refreshLayoutValidation,
+      cameraTours,
+      handleSaveCameraTour,
+      handleDeleteCameraTour,
       refreshAvailability,
       handleToggleLock,
       handleRemovePlacement,
       handleRemoveProjectService,
       handleUpdatePlacement,
+      handleUpdatePlacements,
       handleDuplicatePlacement,
       handleDuplicateMultiple,
+      handleGeneratePattern,
+      catalogItems,
       handleDeleteMultiple,
       handleLockMultiple,
       handleTagUpdateReload,
+      runHistoryBatch,
+      undo,
+      redo,
+      canUndo,
+      canRedo,
+      undoLabel,
+      redoLabel,
       savingState,
       designLayout,
       packageInvalidListingIds,
@@ -971,10 +1452,7 @@ const VenueDesigner = () => {
           onClose={() => setShowCheckout(false)}
           eventStartTime={eventStartTime}
           eventEndTime={eventEndTime}
-          onProceedToCheckout={() => {
-            setShowCheckout(false);
-            setShowCheckoutModal(true);
-          }}
+          onProceedToCheckout={handleProceedToCheckout}
         />
       )}
 
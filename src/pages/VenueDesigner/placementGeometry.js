@@ -0,0 +1,302 @@
+// Footprint and layout helpers shared by single-element dragging and group edits in the 3D designer
+
+export const COLLISION_RADIUS_DEFAULT = 0.4;
+
+// Items above this height are stacked on something and never collide with floor items
+export const FLOOR_LEVEL_Y = 0.1;
+
+const FOOTPRINT_CLEARANCE = 0.02;
+
+// Models are drawn this much larger than their declared dimensions (PlacedElement's model group);
+// footprints use the drawn size, like the server's MODEL_SCALE
+export const PLACEMENT_MODEL_SCALE = 1.2;
+
+export const getFootprintRadius = (placement) => {
+  const metaRadius = parseFloat(placement.metadata?.footprintRadius);
+  if (Number.isFinite(metaRadius) && metaRadius > 0) {
+    return metaRadius;
+  }
+  const dims = placement.designElement?.dimensions;
+  if (dims) {
+    const width = Number(dims.width) || 0;
+    const depth = Number(dims.depth) || 0;
+    const derived = (Math.max(width, depth) * PLACEMENT_MODEL_SCALE) / 2;
+    if (derived > 0) return derived;
+  }
+  return COLLISION_RADIUS_DEFAULT;
+};
+
+const isRound = (placement) => (placement.designElement?.name || '').toLowerCase().includes('round');
+
+/**
+ * Half width and half depth of a placement's footprint (DesignElement.dimensions as drawn),
+ * plus a circle radius for round items
+ */
+export const getFootprintShape = (placement) => {
+  const width = Number(placement.designElement?.dimensions?.width) || 0;
+  const depth = Number(placement.designElement?.dimensions?.depth) || 0;
+  if (width <= 0 && depth <= 0) {
+    return { halfWidth: COLLISION_RADIUS_DEFAULT, halfDepth: COLLISION_RADIUS_DEFAULT, radius: null };
+  }
+  // A missing dimension is treated as square rather than as a line
+  const halfWidth = ((width || depth) * PLACEMENT_MODEL_SCALE) / 2;
+  const halfDepth = ((depth || width) * PLACEMENT_MODEL_SCALE) / 2;
+  return { halfWidth, halfDepth, radius: isRound(placement) ? Math.max(halfWidth, halfDepth) : null };
+};
+
+// Centre and local floor axes of a footprint; rotation in degrees like PlacedElement.rotation
+const toFootprint = (placement, position, rotation) => {
+  const angle = ((Number(rotation) || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    ...getFootprintShape(placement),
+    center: { x: position?.x || 0, z: position?.z || 0 },
+    axes: [
+      { x: cos, z: -sin },
+      { x: sin, z: cos },
+    ],
+  };
+};
+
+const projectedRadius = (footprint, axis) =>
+  footprint.halfWidth * Math.abs(footprint.axes[0].x * axis.x + footprint.axes[0].z * axis.z) +
+  footprint.halfDepth * Math.abs(footprint.axes[1].x * axis.x + footprint.axes[1].z * axis.z);
+
+const distanceToRectangle = (footprint, point) => {
+  const dx = point.x - footprint.center.x;
+  const dz = point.z - footprint.center.z;
+  const localX = dx * footprint.axes[0].x + dz * footprint.axes[0].z;
+  const localZ = dx * footprint.axes[1].x + dz * footprint.axes[1].z;
+  return Math.hypot(
+    Math.max(Math.abs(localX) - footprint.halfWidth, 0),
+    Math.max(Math.abs(localZ) - footprint.halfDepth, 0)
+  );
+};
+
+const ROUND_OUTLINE_SIDES = 16;
+
+/**
+ * Corners of a placement's footprint on the floor (a polygon for round items), pulled in
+ * by the clearance so items standing flush against a wall don't count as touching it
+ * @returns {Array} [{ x, z }]
+ */
+export const getFootprintOutline = (placement, position, rotation = placement.rotation) => {
+  const footprint = toFootprint(placement, position, rotation);
+  if (footprint.radius !== null) {
+    const radius = Math.max(footprint.radius - FOOTPRINT_CLEARANCE, 0);
+    return Array.from({ length: ROUND_OUTLINE_SIDES }, (_, i) => {
+      const angle = (i / ROUND_OUTLINE_SIDES) * 2 * Math.PI;
+      return { x: footprint.center.x + radius * Math.cos(angle), z: footprint.center.z + radius * Math.sin(angle) };
+    });
+  }
+  const halfWidth = Math.max(footprint.halfWidth - FOOTPRINT_CLEARANCE, 0);
+  const halfDepth = Math.max(footprint.halfDepth - FOOTPRINT_CLEARANCE, 0);
+  const [widthAxis, depthAxis] = footprint.axes;
+  return [
+    [1, 1],
+    [1, -1],
+    [-1, -1],
+    [-1, 1],
+  ].map(([u, v]) => ({
+    x: footprint.center.x + u * halfWidth * widthAxis.x + v * halfDepth * depthAxis.x,
+    z: footprint.center.z + u * halfWidth * widthAxis.z + v * halfDepth * depthAxis.z,
+  }));
+};
+
+/**
+ * Whether two floor-level items overlap. Footprints are the rotated rectangles of their
+ * dimensions (circles for round items), matching the server's check.
+ */
+export const footprintsOverlap = (a, aPosition, b, bPosition, aRotation = a.rotation, bRotation = b.rotation) => {
+  if ((aPosition?.y || 0) >= FLOOR_LEVEL_Y || (bPosition?.y || 0) >= FLOOR_LEVEL_Y) {
+    return false;
+  }
+  const first = toFootprint(a, aPosition, aRotation);
+  const second = toFootprint(b, bPosition, bRotation);
+
+  if (first.radius !== null && second.radius !== null) {
+    const distance = Math.hypot(second.center.x - first.center.x, second.center.z - first.center.z);
+    return distance < first.radius + second.radius - FOOTPRINT_CLEARANCE;
+  }
+  if (first.radius !== null || second.radius !== null) {
+    const [circle, rectangle] = first.radius !== null ? [first, second] : [second, first];
+    return distanceToRectangle(rectangle, circle.center) < circle.radius - FOOTPRINT_CLEARANCE;
+  }
+
+  // Separating axis test: the rectangles overlap unless one of their edge directions separates them
+  const dx = second.center.x - first.center.x;
+  const dz = second.center.z - first.center.z;
+  return [...first.axes, ...second.axes].every(
+    (axis) =>
+      Math.abs(dx * axis.x + dz * axis.z) <
+      projectedRadius(first, axis) + projectedRadius(second, axis) - FOOTPRINT_CLEARANCE
+  );
+};
+
+/**
+ * Whether a placement can hold a stackable child on top, following its vendor's host rules
+ * (canHostChildren, hostChildTypes, maxChildren) like the server does. Existing links are
+ * always kept, and placements without host rules (package designs) hold anything.
+ * @param {Object} host - Placement the child would stand on
+ * @param {Object} child - Stackable placement being moved
+ * @param {Array} allPlacements - Every placement in the design
+ * @returns {Boolean}
+ */
+export const canHostChild = (host, child, allPlacements) => {
+  if (host.id === child.id) return false;
+  if (child.parentElementId === host.id) return true;
+  const element = host.designElement;
+  if (element?.canHostChildren === undefined) return true;
+  if (!element.canHostChildren) return false;
+
+  const accepted = (element.hostChildTypes || []).map((type) => type.toLowerCase());
+  const childType = (child.designElement?.elementType || child.elementType || '').toLowerCase();
+  if (accepted.length > 0 && !accepted.includes(childType)) return false;
+
+  if (element.maxChildren !== null && element.maxChildren !== undefined) {
+    const childCount = allPlacements.filter((other) => other.parentElementId === host.id && other.id !== child.id).length;
+    if (childCount >= element.maxChildren) return false;
+  }
+  return true;
+};
+
+/**
+ * World height of a host's top surface (hostSurfaceHeight, else the height of its
+ * dimensions), or null when its element declares neither
+ */
+export const getHostSurfaceY = (host) => {
+  const element = host.designElement;
+  const declared = element?.hostSurfaceHeight ?? Number(element?.dimensions?.height);
+  if (!Number.isFinite(declared) || declared <= 0) return null;
+  const scaleMultiplier = parseFloat(host.metadata?.scaleMultiplier);
+  const verticalOffset = parseFloat(host.metadata?.verticalOffset);
+  const height =
+    declared * (Number.isFinite(scaleMultiplier) && scaleMultiplier > 0 ? scaleMultiplier : 1) +
+    (Number.isFinite(verticalOffset) ? verticalOffset : 0);
+  return (host.position?.y || 0) + height * PLACEMENT_MODEL_SCALE;
+};
+
+/**
+ * Closest point to `point` on a host's footprint, so stacked items stay on its top
+ * @param {Object} host - Placement with position, rotation (degrees) and designElement
+ * @param {{ x: Number, z: Number }} point
+ * @returns {{ x: Number, z: Number }}
+ */
+export const clampToFootprint = (host, point) => {
+  const footprint = toFootprint(host, host.position, host.rotation);
+  const dx = point.x - footprint.center.x;
+  const dz = point.z - footprint.center.z;
+  if (footprint.radius !== null) {
+    const distance = Math.hypot(dx, dz);
+    if (distance <= footprint.radius) return point;
+    return {
+      x: footprint.center.x + (dx / distance) * footprint.radius,
+      z: footprint.center.z + (dz / distance) * footprint.radius,
+    };
+  }
+  const [widthAxis, depthAxis] = footprint.axes;
+  const clamp = (value, half) => Math.min(Math.max(value, -half), half);
+  const localX = clamp(dx * widthAxis.x + dz * widthAxis.z, footprint.halfWidth);
+  const localZ = clamp(dx * depthAxis.x + dz * depthAxis.z, footprint.halfDepth);
+  return {
+    x: footprint.center.x + localX * widthAxis.x + localZ * depthAxis.x,
+    z: footprint.center.z + localX * widthAxis.z + localZ * depthAxis.z,
+  };
+};
+
+/**
+ * First floor-level collision a set of moves would cause, or null.
+ * Pairs that already overlapped before the move are ignored so an existing
+ * overlap never blocks tidying up a layout.
+ * @param {Array} moves - [{ placement, position, rotation? }]
+ * @param {Array} allPlacements - Every placement in the design
+ * @returns {{ placement: Object, other: Object } | null}
+ */
+export const findFloorCollision = (moves, allPlacements) => {
+  const nextStates = new Map(moves.map((move) => [move.placement.id, move]));
+  const positionOf = (placement) => nextStates.get(placement.id)?.position || placement.position;
+  const rotationOf = (placement) => nextStates.get(placement.id)?.rotation ?? placement.rotation;
+
+  for (const move of moves) {
+    for (const other of allPlacements) {
+      if (other.id === move.placement.id) continue;
+      if (
+        !footprintsOverlap(
+          move.placement,
+          positionOf(move.placement),
+          other,
+          positionOf(other),
+          rotationOf(move.placement),
+          rotationOf(other)
+        )
+      ) {
+        continue;
+      }
+      if (footprintsOverlap(move.placement, move.placement.position, other, other.position)) continue;
+      return { placement: move.placement, other };
+    }
+  }
+  return null;
+};
+
+// Half the size of a placement's rotated footprint along the world x or z axis
+const getAxisExtent = (placement, axis) => {
+  const footprint = toFootprint(placement, placement.position, placement.rotation);
+  if (footprint.radius !== null) return footprint.radius;
+  return projectedRadius(footprint, axis === 'x' ? { x: 1, z: 0 } : { x: 0, z: 1 });
+};
+
+const ALIGN_AXES = {
+  left: 'x',
+  centerX: 'x',
+  right: 'x',
+  distributeX: 'x',
+  back: 'z',
+  centerZ: 'z',
+  front: 'z',
+  distributeZ: 'z',
+};
+
+/**
+ * New positions for an align or distribute command on the floor plan.
+ * Align uses the edges of the rotated footprints (left/right on x, back/front on z); distribute
+ * spaces centres evenly between the two outermost items.
+ * @param {Array} placements - Placements to arrange (at least 2, or 3 to distribute)
+ * @param {String} command - left | centerX | right | back | centerZ | front | distributeX | distributeZ
+ * @returns {Array} [{ placement, position }] for placements that actually move
+ */
+export const getArrangedPositions = (placements, command) => {
+  const axis = ALIGN_AXES[command];
+  if (!axis) return [];
+  const isDistribute = command.startsWith('distribute');
+  if (placements.length < (isDistribute ? 3 : 2)) return [];
+
+  const items = placements.map((placement) => ({
+    placement,
+    position: placement.position || { x: 0, y: 0, z: 0 },
+    extent: getAxisExtent(placement, axis),
+  }));
+
+  const targetFor = (() => {
+    if (isDistribute) {
+      const sorted = [...items].sort((a, b) => a.position[axis] - b.position[axis]);
+      const start = sorted[0].position[axis];
+      const step = (sorted[sorted.length - 1].position[axis] - start) / (sorted.length - 1);
+      const targets = new Map(sorted.map((item, index) => [item.placement.id, start + step * index]));
+      return (item) => targets.get(item.placement.id);
+    }
+    const minEdge = Math.min(...items.map((item) => item.position[axis] - item.extent));
+    const maxEdge = Math.max(...items.map((item) => item.position[axis] + item.extent));
+    if (command === 'left' || command === 'back') return (item) => minEdge + item.extent;
+    if (command === 'right' || command === 'front') return (item) => maxEdge - item.extent;
+    return () => (minEdge + maxEdge) / 2;
+  })();
+
+  return items
+    .map((item) => ({
+      placement: item.placement,
+      position: { ...item.position, [axis]: Number(targetFor(item).toFixed(3)) },
+    }))
+    .filter((move) => Math.abs(move.position[axis] - (move.placement.position?.[axis] || 0)) > 0.0005);
+};
@@ -0,0 +1,46 @@
+import { PLACEMENT_MODEL_SCALE, getArrangedPositions } from './placementGeometry';
+
+// Elements whose models are drawn at the given size in meters
+const drawnAt = (name, width, depth) => ({
+  name,
+  dimensions: { width: width / PLACEMENT_MODEL_SCALE, depth: depth / PLACEMENT_MODEL_SCALE },
+});
+
+const longTable = drawnAt('Long Table', 2, 1);
+const roundTable = drawnAt('Round Table', 1.6, 1.6);
+
+const placed = (id, designElement, x, z, rotation = 0) => ({
+  id,
+  designElement,
+  position: { x, y: 0, z },
+  rotation,
+});
+
+const targetsOf = (moves, axis) => Object.fromEntries(moves.map((move) => [move.placement.id, move.position[axis]]));
+
+describe('getArrangedPositions', () => {
+  it('aligns long tables by the edges of their rotated footprints', () => {
+    // A turned table reaches 0.5 m along x; one running along x reaches 1 m
+    const placements = [placed('a', longTable, 0, 0), placed('b', longTable, 5, 3, 90)];
+
+    expect(targetsOf(getArrangedPositions(placements, 'left'), 'x')).toEqual({ b: -0.5 });
+    expect(targetsOf(getArrangedPositions(placements, 'right'), 'x')).toEqual({ a: 4.5 });
+    // Along z the turned table is the long one
+    expect(targetsOf(getArrangedPositions(placements, 'back'), 'z')).toEqual({ b: 0.5 });
+  });
+
+  it('uses the circle of round items and centres on the shared span', () => {
+    const placements = [placed('a', roundTable, 0, 0), placed('b', longTable, 4, 0)];
+
+    expect(targetsOf(getArrangedPositions(placements, 'left'), 'x')).toEqual({ b: 0.2 });
+    expect(targetsOf(getArrangedPositions(placements, 'centerX'), 'x')).toEqual({ a: 2.1, b: 2.1 });
+  });
+
+  it('spaces centres evenly between the outermost items', () => {
+    const placements = [placed('a', longTable, 0, 0), placed('b', longTable, 1, 0), placed('c', longTable, 6, 0)];
+
+    expect(targetsOf(getArrangedPositions(placements, 'distributeX'), 'x')).toEqual({ b: 3 });
+    expect(getArrangedPositions(placements.slice(0, 2), 'distributeX')).toEqual([]);
+    expect(getArrangedPositions(placements, 'sideways')).toEqual([]);
+  });
+});
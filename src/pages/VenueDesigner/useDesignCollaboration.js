@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { setRealtimeSocketId } from '../../lib/api';
+
+// Selection/cursor updates are sent at most this often
+const PRESENCE_THROTTLE_MS = 100;
+
+/**
+ * Apply updated placements to a placement list. An update only replaces the copy we hold
+ * if its version is at least as new, so a late HTTP response can't undo a newer edit
+ * another editor made to the same element. With `append`, unknown placements are added.
+ */
+export const mergePlacementUpdates = (current, updates, { append = false } = {}) => {
+  const pending = new Map((updates || []).map((placement) => [placement.id, placement]));
+  const merged = current.map((placement) => {
+    const update = pending.get(placement.id);
+    if (!update) return placement;
+    pending.delete(placement.id);
+    return (update.version ?? 0) >= (placement.version ?? 0) ? update : placement;
+  });
+  return append ? [...merged, ...pending.values()] : merged;
+};
+
+/**
+ * Live co-editing of the project's active venue design over the shared Socket.IO connection.
+ *
+ * Joins the design's room while the designer is open, passes element changes committed by
+ * other editors to `onRemoteChange(change)` and tracks the other editors' selections and
+ * cursors. Change types: 'placements-upserted' ({ placements }), 'placements-removed'
+ * ({ placementIds }), 'camera-tours-updated' ({ cameraTours }), 'lighting-updated' ({ lighting }),
+ * 'annotations-updated' ({ annotations }) and 'design-reloaded'.
+ */
+export function useDesignCollaboration({
+  socket,
+  isConnected = false,
+  projectId,
+  venueDesignId,
+  enabled = true,
+  onRemoteChange,
+} = {}) {
+  const [editors, setEditors] = useState([]);
+  const joinedRef = useRef(false);
+  const presenceRef = useRef({ selectedIds: [], cursor: null });
+  const presenceTimerRef = useRef(null);
+  const onRemoteChangeRef = useRef(onRemoteChange);
+  onRemoteChangeRef.current = onRemoteChange;
+
+  useEffect(() => {
+    if (!enabled || !socket || !isConnected || !projectId || !venueDesignId) return undefined;
+    let active = true;
+
+    socket.emit('join-venue-design', { projectId }, (response) => {
+      if (!active) return;
+      if (response?.error) {
+        console.warn('[VenueDesigner] Live collaboration unavailable:', response.error);
+        return;
+      }
+      joinedRef.current = true;
+      setRealtimeSocketId(socket.id);
+      setEditors(response.editors || []);
+      // Let the others see what we already had selected before joining
+      socket.emit('venue-design-presence', presenceRef.current);
+    });
+
+    const handleEditorJoined = (editor) => {
+      setEditors((prev) => [...prev.filter((item) => item.socketId !== editor.socketId), editor]);
+    };
+    const handleEditorLeft = ({ socketId }) => {
+      setEditors((prev) => prev.filter((item) => item.socketId !== socketId));
+    };
+    const handlePresence = ({ socketId, selectedIds, cursor }) => {
+      setEditors((prev) =>
+        prev.map((item) => (item.socketId === socketId ? { ...item, selectedIds: selectedIds || [], cursor } : item))
+      );
+    };
+    const handleChange = (change) => {
+      if (!change || change.sourceSocketId === socket.id) return;
+      onRemoteChangeRef.current?.(change);
+    };
+
+    socket.on('venue-design-editor-joined', handleEditorJoined);
+    socket.on('venue-design-editor-left', handleEditorLeft);
+    socket.on('venue-design-presence', handlePresence);
+    socket.on('venue-design-change', handleChange);
+
+    return () => {
+      active = false;
+      socket.off('venue-design-editor-joined', handleEditorJoined);
+      socket.off('venue-design-editor-left', handleEditorLeft);
+      socket.off('venue-design-presence', handlePresence);
+      socket.off('venue-design-change', handleChange);
+      if (joinedRef.current) {
+        socket.emit('leave-venue-design');
+      }
+      joinedRef.current = false;
+      setRealtimeSocketId(null);
+      setEditors([]);
+      if (presenceTimerRef.current) {
+        clearTimeout(presenceTimerRef.current);
+        presenceTimerRef.current = null;
+      }
+    };
+  }, [enabled, socket, isConnected, projectId, venueDesignId]);
+
+  // presence: { selectedIds?, cursor? } - cursor is a floor point { x, z } or null
+  const sharePresence = useCallback(
+    (presence) => {
+      presenceRef.current = { ...presenceRef.current, ...presence };
+      if (!socket || presenceTimerRef.current) return;
+      presenceTimerRef.current = setTimeout(() => {
+        presenceTimerRef.current = null;
+        if (joinedRef.current) {
+          socket.emit('venue-design-presence', presenceRef.current);
+        }
+      }, PRESENCE_THROTTLE_MS);
+    },
+    [socket]
+  );
+
+  return { editors, sharePresence };
+}
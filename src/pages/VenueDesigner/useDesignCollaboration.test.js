@@ -0,0 +1,82 @@
+import { act, renderHook } from '@testing-library/react';
+import { mergePlacementUpdates, useDesignCollaboration } from './useDesignCollaboration';
+
+const placement = (id, version, x = 0) => ({ id, version, position: { x, y: 0, z: 0 } });
+
+// Stands in for the shared Socket.IO connection; the server answers the join with `editors`
+const createSocket = (editors = []) => {
+  const handlers = new Map();
+  return {
+    id: 'me',
+    on: jest.fn((event, handler) => handlers.set(event, handler)),
+    off: jest.fn((event) => handlers.delete(event)),
+    emit: jest.fn((event, payload, ack) => {
+      if (event === 'join-venue-design') ack({ editors });
+    }),
+    receive: (event, payload) => handlers.get(event)?.(payload),
+  };
+};
+
+const renderCollaboration = (socket, onRemoteChange = jest.fn()) =>
+  renderHook(() =>
+    useDesignCollaboration({ socket, isConnected: true, projectId: 'prj1', venueDesignId: 'vnd1', onRemoteChange })
+  );
+
+describe('mergePlacementUpdates', () => {
+  it('keeps the newer copy of each placement', () => {
+    const current = [placement('a', 2, 1), placement('b', 1, 1)];
+    const merged = mergePlacementUpdates(current, [placement('a', 1, 5), placement('b', 1, 5)]);
+
+    // A late response for an older version of "a" doesn't undo the newer edit
+    expect(merged[0].position.x).toBe(1);
+    expect(merged[1].position.x).toBe(5);
+  });
+
+  it('adds placements it does not know only when appending', () => {
+    const current = [placement('a', 1)];
+    const updates = [placement('new', 1)];
+
+    expect(mergePlacementUpdates(current, updates).map((item) => item.id)).toEqual(['a']);
+    expect(mergePlacementUpdates(current, updates, { append: true }).map((item) => item.id)).toEqual(['a', 'new']);
+    expect(mergePlacementUpdates(current, null)).toEqual(current);
+  });
+});
+
+describe('useDesignCollaboration', () => {
+  it('joins the design and tracks the other editors and their selections', () => {
+    const socket = createSocket([{ socketId: 'other', name: 'Sam', selectedIds: [] }]);
+    const { result } = renderCollaboration(socket);
+
+    expect(socket.emit).toHaveBeenCalledWith('join-venue-design', { projectId: 'prj1' }, expect.any(Function));
+    expect(result.current.editors.map((editor) => editor.socketId)).toEqual(['other']);
+
+    act(() => socket.receive('venue-design-editor-joined', { socketId: 'third', selectedIds: [] }));
+    act(() => socket.receive('venue-design-presence', { socketId: 'other', selectedIds: ['a'], cursor: null }));
+    expect(result.current.editors.find((editor) => editor.socketId === 'other').selectedIds).toEqual(['a']);
+
+    act(() => socket.receive('venue-design-editor-left', { socketId: 'other' }));
+    expect(result.current.editors.map((editor) => editor.socketId)).toEqual(['third']);
+  });
+
+  it("passes on other editors' changes but not its own", () => {
+    const socket = createSocket();
+    const onRemoteChange = jest.fn();
+    renderCollaboration(socket, onRemoteChange);
+
+    const change = { type: 'placements-removed', placementIds: ['a'], sourceSocketId: 'other' };
+    act(() => socket.receive('venue-design-change', change));
+    act(() => socket.receive('venue-design-change', { ...change, sourceSocketId: 'me' }));
+
+    expect(onRemoteChange).toHaveBeenCalledTimes(1);
+    expect(onRemoteChange).toHaveBeenCalledWith(change);
+  });
+
+  it('leaves the design when unmounted', () => {
+    const socket = createSocket();
+    const { unmount } = renderCollaboration(socket);
+
+    unmount();
+    expect(socket.emit).toHaveBeenLastCalledWith('leave-venue-design');
+    expect(socket.off).toHaveBeenCalledWith('venue-design-change', expect.any(Function));
+  });
+});
@@ -0,0 +1,140 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const MAX_HISTORY_ENTRIES = 50;
+
+const isEditableTarget = (target) =>
+  target?.tagName === 'INPUT' || target?.tagName === 'TEXTAREA' || target?.isContentEditable;
+
+/**
+ * Undo/redo log for venue design edits.
+ *
+ * Each entry stores the operations that reverse it (`undo`) and re-apply it (`redo`);
+ * `applyOperations(ops, entry, direction)` sends them to the server and may return
+ * `false` to refuse the step (the entry is then dropped). Edits recorded inside
+ * `runBatch` collapse into a single entry, e.g. a table moved together with its chairs.
+ *
+ * Operations: { type: 'update', placementId, payload } | { type: 'remove', placementIds }
+ * | { type: 'restore', placements }
+ */
+export function useDesignHistory({ enabled = true, applyOperations, onError } = {}) {
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const batchRef = useRef(null);
+  const busyRef = useRef(false);
+  const [, setVersion] = useState(0);
+
+  const bumpVersion = useCallback(() => setVersion((prev) => prev + 1), []);
+
+  const pushEntry = useCallback(
+    (entry) => {
+      undoStackRef.current = [...undoStackRef.current, entry].slice(-MAX_HISTORY_ENTRIES);
+      redoStackRef.current = [];
+      bumpVersion();
+    },
+    [bumpVersion]
+  );
+
+  const record = useCallback(
+    (entry) => {
+      // Edits replayed by undo/redo itself must not be logged again
+      if (!enabled || busyRef.current || !entry) return;
+      if (!entry.undo?.length || !entry.redo?.length) return;
+
+      if (batchRef.current) {
+        // Undo runs in reverse order of the edits, redo in the original order
+        batchRef.current.undo = [...entry.undo, ...batchRef.current.undo];
+        batchRef.current.redo = [...batchRef.current.redo, ...entry.redo];
+        return;
+      }
+      pushEntry({ label: entry.label || 'Edit', undo: entry.undo, redo: entry.redo });
+    },
+    [enabled, pushEntry]
+  );
+
+  const runBatch = useCallback(
+    async (label, fn) => {
+      // Nested batches join the outer one
+      if (!enabled || batchRef.current) {
+        return fn();
+      }
+      batchRef.current = { label, undo: [], redo: [] };
+      try {
+        return await fn();
+      } finally {
+        const batch = batchRef.current;
+        batchRef.current = null;
+        if (batch.undo.length > 0 && batch.redo.length > 0) {
+          pushEntry(batch);
+        }
+      }
+    },
+    [enabled, pushEntry]
+  );
+
+  const clear = useCallback(() => {
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+    bumpVersion();
+  }, [bumpVersion]);
+
+  const step = useCallback(
+    async (direction) => {
+      const fromRef = direction === 'undo' ? undoStackRef : redoStackRef;
+      const toRef = direction === 'undo' ? redoStackRef : undoStackRef;
+      if (!enabled || busyRef.current || fromRef.current.length === 0 || !applyOperations) return;
+
+      const entry = fromRef.current[fromRef.current.length - 1];
+      busyRef.current = true;
+      try {
+        const applied = await applyOperations(direction === 'undo' ? entry.undo : entry.redo, entry, direction);
+        fromRef.current = fromRef.current.slice(0, -1);
+        if (applied !== false) {
+          toRef.current = [...toRef.current, entry];
+        }
+      } catch (err) {
+        // The server no longer matches the log, so nothing in it can be trusted
+        undoStackRef.current = [];
+        redoStackRef.current = [];
+        onError?.(err, entry, direction);
+      } finally {
+        busyRef.current = false;
+        bumpVersion();
+      }
+    },
+    [enabled, applyOperations, onError, bumpVersion]
+  );
+
+  const undo = useCallback(() => step('undo'), [step]);
+  const redo = useCallback(() => step('redo'), [step]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, undo, redo]);
+
+  return {
+    record,
+    runBatch,
+    undo,
+    redo,
+    clear,
+    canUndo: enabled && undoStackRef.current.length > 0,
+    canRedo: enabled && redoStackRef.current.length > 0,
+    undoLabel: undoStackRef.current[undoStackRef.current.length - 1]?.label || null,
+    redoLabel: redoStackRef.current[redoStackRef.current.length - 1]?.label || null,
+  };
+}
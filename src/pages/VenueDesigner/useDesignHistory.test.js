@@ -0,0 +1,86 @@
+import { act, renderHook } from '@testing-library/react';
+import { useDesignHistory } from './useDesignHistory';
+
+const move = (placementId, from, to) => ({
+  label: 'Move',
+  undo: [{ type: 'update', placementId, payload: { position: from } }],
+  redo: [{ type: 'update', placementId, payload: { position: to } }],
+});
+
+const renderHistory = (applyOperations = jest.fn(), onError = jest.fn()) =>
+  renderHook((props) => useDesignHistory(props), { initialProps: { applyOperations, onError } });
+
+describe('useDesignHistory', () => {
+  it('undoes and redoes recorded edits in order', async () => {
+    const applyOperations = jest.fn();
+    const { result } = renderHistory(applyOperations);
+
+    act(() => result.current.record(move('a', 0, 1)));
+    act(() => result.current.record({ ...move('b', 0, 2), label: 'Rotate' }));
+    expect(result.current.undoLabel).toBe('Rotate');
+
+    await act(() => result.current.undo());
+    expect(applyOperations).toHaveBeenLastCalledWith(
+      [{ type: 'update', placementId: 'b', payload: { position: 0 } }],
+      expect.objectContaining({ label: 'Rotate' }),
+      'undo'
+    );
+    expect(result.current.undoLabel).toBe('Move');
+    expect(result.current.redoLabel).toBe('Rotate');
+
+    await act(() => result.current.redo());
+    expect(applyOperations).toHaveBeenLastCalledWith(
+      [{ type: 'update', placementId: 'b', payload: { position: 2 } }],
+      expect.anything(),
+      'redo'
+    );
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('collapses a batch into one entry that undoes in reverse order', async () => {
+    const applyOperations = jest.fn();
+    const { result } = renderHistory(applyOperations);
+
+    await act(() =>
+      result.current.runBatch('Move table', async () => {
+        result.current.record(move('table', 0, 1));
+        result.current.record(move('chair', 0, 1));
+      })
+    );
+    expect(result.current.undoLabel).toBe('Move table');
+
+    await act(() => result.current.undo());
+    expect(applyOperations.mock.calls[0][0].map((op) => op.placementId)).toEqual(['chair', 'table']);
+    expect(result.current.canUndo).toBe(false);
+  });
+
+  it('a new edit clears the redo stack', async () => {
+    const { result } = renderHistory();
+
+    act(() => result.current.record(move('a', 0, 1)));
+    await act(() => result.current.undo());
+    expect(result.current.canRedo).toBe(true);
+
+    act(() => result.current.record(move('b', 0, 1)));
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('drops a step the server refuses and clears the log when one fails', async () => {
+    const error = new Error('Placement not found');
+    const applyOperations = jest.fn().mockResolvedValueOnce(false).mockRejectedValueOnce(error);
+    const onError = jest.fn();
+    const { result } = renderHistory(applyOperations, onError);
+
+    act(() => result.current.record(move('a', 0, 1)));
+    act(() => result.current.record(move('b', 0, 1)));
+    act(() => result.current.record(move('c', 0, 1)));
+
+    await act(() => result.current.undo());
+    expect(result.current.canRedo).toBe(false);
+    expect(result.current.canUndo).toBe(true);
+
+    await act(() => result.current.undo());
+    expect(onError).toHaveBeenCalledWith(error, expect.anything(), 'undo');
+    expect(result.current.canUndo).toBe(false);
+  });
+});
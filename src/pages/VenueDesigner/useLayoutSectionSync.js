@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+// Edits made in quick succession (dragging a light, typing a note) are sent once they settle
+const SYNC_DELAY_MS = 600;
+
+/**
+ * Saves one section of layoutData that has a route of its own (e.g. lighting) whenever the
+ * local copy changes, instead of with the layout autosave, so a stale autosave from another
+ * editor can't undo it. Call `markSynced(value)` with every copy that came from the server
+ * (initial load, another editor's change) before putting it into state, so it isn't sent back.
+ * @param {Object} options
+ * @param {Boolean} options.enabled - Off in package mode, where the section is part of the layout save
+ * @param {*} options.value - Current local copy of the section
+ * @param {Function} options.save - Sends a copy to the server; returns a promise
+ * @param {Function} options.onError - Called with the error when a save fails
+ * @returns {{ markSynced: Function }}
+ */
+export function useLayoutSectionSync({ enabled, value, save, onError }) {
+  const syncedRef = useRef(undefined);
+  const saveRef = useRef(save);
+  saveRef.current = save;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  const markSynced = useCallback((syncedValue) => {
+    syncedRef.current = JSON.stringify(syncedValue ?? null);
+  }, []);
+
+  useEffect(() => {
+    const serialized = JSON.stringify(value ?? null);
+    if (!enabled || syncedRef.current === undefined || serialized === syncedRef.current) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        await saveRef.current(value);
+        syncedRef.current = serialized;
+      } catch (err) {
+        onErrorRef.current?.(err);
+      }
+    }, SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [enabled, value]);
+
+  return { markSynced };
+}
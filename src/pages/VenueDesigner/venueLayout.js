@@ -0,0 +1,49 @@
+// No-go zones of venues drawn in the floorplan editor. The layout comes with the venue
+// (venue.layout) and is checked here the same way the server checks saved placements.
+
+import { FLOOR_LEVEL_Y, getFootprintOutline } from './placementGeometry';
+
+const cross = (origin, a, b) => (a.x - origin.x) * (b.z - origin.z) - (a.z - origin.z) * (b.x - origin.x);
+
+const edgesOf = (polygon) => polygon.map((point, i) => [point, polygon[(i + 1) % polygon.length]]);
+
+const segmentsCross = ([a, b], [c, d]) =>
+  (cross(c, d, a) > 0) !== (cross(c, d, b) > 0) && (cross(a, b, c) > 0) !== (cross(a, b, d) > 0);
+
+const containsPoint = (polygon, point) => {
+  let inside = false;
+  edgesOf(polygon).forEach(([a, b]) => {
+    if ((a.z > point.z) !== (b.z > point.z) && point.x < a.x + ((point.z - a.z) * (b.x - a.x)) / (b.z - a.z)) {
+      inside = !inside;
+    }
+  });
+  return inside;
+};
+
+const edgesCross = (first, second) =>
+  edgesOf(first).some((edge) => edgesOf(second).some((other) => segmentsCross(edge, other)));
+
+const polygonsOverlap = (first, second) =>
+  first.some((point) => containsPoint(second, point)) ||
+  second.some((point) => containsPoint(first, point)) ||
+  edgesCross(first, second);
+
+/**
+ * Obstacle (wall, column, stage, platform) a floor-level item would stand on at this
+ * position, or 'outside' when it would leave the venue's floor
+ * @param {Object|null} layout - venue.layout: { floor: [{ x, z }] | null, obstacles: [{ kind, id, polygon }] }
+ * @param {Object} placement - Placement with designElement
+ * @param {Object} position - { x, y, z }
+ * @param {Number} [rotation] - Degrees
+ * @returns {{ kind: String, id?: String }|null}
+ */
+export const findLayoutViolation = (layout, placement, position, rotation = placement.rotation) => {
+  if (!layout || (position?.y || 0) >= FLOOR_LEVEL_Y) return null;
+  const outline = getFootprintOutline(placement, position, rotation);
+  const obstacle = layout.obstacles.find((candidate) => polygonsOverlap(outline, candidate.polygon));
+  if (obstacle) return { kind: obstacle.kind, id: obstacle.id };
+  if (layout.floor && (!outline.every((point) => containsPoint(layout.floor, point)) || edgesCross(outline, layout.floor))) {
+    return { kind: 'outside' };
+  }
+  return null;
+};
@@ -1,9 +1,8 @@
 import React, { useState, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { Box, Typography, Button, Alert, CircularProgress, Dialog, DialogTitle, DialogContent, DialogActions } from '@mui/material';
 import { ArrowBack as ArrowBackIcon, Save as SaveIcon } from '@mui/icons-material';
 import BlueprintEditor from '../../components/BlueprintEditor/BlueprintEditor';
-import { useAuth } from '../../context/AuthContext';
 import { apiFetch } from '../../lib/api';
 import './VenueFloorplanEditor.css';
 
@@ -11,47 +10,67 @@ import './VenueFloorplanEditor.css';
  * Vendor page for creating/editing venue 3D models from floorplans
  * 
  * This page allows vendors to:
- * 1. Draw a 2D floorplan
+ * 1. Draw a 2D floorplan, or reopen the one saved with the venue's model
  * 2. Preview the 3D extrusion
- * 3. Export as GLB and save as the venue's designElement
+ * 3. Export as GLB and save as the venue's designElement, together with its floorplan
+ *
+ * Opened for a listing (/vendor/venue-floorplan/:listingId) or a design element
+ * (/vendor/venue-floorplan?designElementId=...).
  */
 const VenueFloorplanEditor = () => {
   const { listingId } = useParams();
+  const [searchParams] = useSearchParams();
+  const designElementIdParam = searchParams.get('designElementId');
   const navigate = useNavigate();
-  const { user } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [floorplanData, setFloorplanData] = useState(null);
   const [showConfirmDialog, setShowConfirmDialog] = useState(false);
   const [exportData, setExportData] = useState(null);
 
   // Load existing floorplan if editing
   const [initialFloorplan, setInitialFloorplan] = useState(null);
+  const [designElementId, setDesignElementId] = useState(designElementIdParam);
+  const [loadingFloorplan, setLoadingFloorplan] = useState(Boolean(listingId || designElementIdParam));
+  const [notice, setNotice] = useState('');
 
   React.useEffect(() => {
-    if (listingId) {
-      loadExistingListing();
-    }
-  }, [listingId]);
-
-  const loadExistingListing = async () => {
-    try {
-      const listing = await apiFetch(`/service-listings/${listingId}`);
-      if (listing.designElement?.modelFile) {
-        // If there's an existing model, we could load the floorplan metadata
-        // For now, we'll start fresh - vendors can re-draw or we can add
-        // a feature to import existing floorplan JSON if stored
-        console.log('Existing venue model found:', listing.designElement.modelFile);
+    if (!listingId && !designElementIdParam) return;
+
+    const loadExistingFloorplan = async () => {
+      setLoadingFloorplan(true);
+      try {
+        let elementId = designElementIdParam;
+        if (listingId) {
+          const listing = await apiFetch(`/service-listings/${listingId}`);
+          elementId = listing.designElementId;
+        }
+        setDesignElementId(elementId || null);
+        if (elementId) {
+          const element = await apiFetch(`/design-elements/${elementId}`);
+          if (element.floorplanMetadata) {
+            // The trace-over image is stored apart from the drawing
+            setInitialFloorplan(
+              element.floorplanUnderlay
+                ? { ...element.floorplanMetadata, underlay: element.floorplanUnderlay }
+                : element.floorplanMetadata
+            );
+          } else if (element.modelFile) {
+            setNotice(
+              'This venue model was uploaded as a file, so there is no floorplan to reopen. Drawing one here will replace the model.'
+            );
+          }
+        }
+      } catch (err) {
+        console.error('Error loading floorplan:', err);
+        setError(err.message || 'Failed to load the saved floorplan');
+      } finally {
+        setLoadingFloorplan(false);
       }
-    } catch (err) {
-      console.error('Error loading listing:', err);
-    }
-  };
+    };
 
-  const handleFloorplanChange = useCallback((data) => {
-    setFloorplanData(data);
-  }, []);
+    loadExistingFloorplan();
+  }, [listingId, designElementIdParam]);
 
   const handleExport = useCallback(async (exportData) => {
     setExportData(exportData);
@@ -84,35 +103,30 @@ const VenueFloorplanEditor = () => {
       formData.append('name', 'Venue Floorplan Model');
       formData.append('elementType', 'Venue');
       
-      // Store floorplan metadata as JSON string in a hidden field
-      // We'll need to extend the API to accept this, or store it separately
+      // Saved with the model so the floorplan can be reopened and edited later
       formData.append('floorplanMetadata', JSON.stringify(exportData.floorplan));
 
-      if (listingId) {
-        // Update existing listing
-        // First, check if listing has a designElement
-        const listing = await apiFetch(`/service-listings/${listingId}`);
-        
-        if (listing.designElementId) {
-          // Update existing design element
-          await apiFetch(`/design-elements/${listing.designElementId}/model3d`, {
-            method: 'POST',
-            body: formData,
-          });
-        } else {
-          // Create new design element and link to listing
-          const newElement = await apiFetch('/design-elements', {
-            method: 'POST',
-            body: formData,
-          });
-
-          await apiFetch(`/service-listings/${listingId}`, {
-            method: 'PATCH',
-            body: JSON.stringify({
-              designElementId: newElement.id,
-            }),
-          });
-        }
+      if (designElementId) {
+        // Replace the model (and floorplan) of the existing design element
+        await apiFetch(`/design-elements/${designElementId}/model3d`, {
+          method: 'POST',
+          body: formData,
+        });
+        setSuccess('Venue model updated successfully!');
+      } else if (listingId) {
+        // Create new design element and link to listing
+        const newElement = await apiFetch('/design-elements', {
+          method: 'POST',
+          body: formData,
+        });
+
+        await apiFetch(`/service-listings/${listingId}`, {
+          method: 'PATCH',
+          body: JSON.stringify({
+            designElementId: newElement.id,
+          }),
+        });
+        setDesignElementId(newElement.id);
 
         setSuccess('Venue model updated successfully!');
       } else {
@@ -156,7 +170,7 @@ const VenueFloorplanEditor = () => {
           Back
         </Button>
         <Typography variant="h4" sx={{ fontWeight: 600 }}>
-          {listingId ? 'Edit Venue Floorplan' : 'Create Venue from Floorplan'}
+          {listingId || designElementIdParam ? 'Edit Venue Floorplan' : 'Create Venue from Floorplan'}
         </Typography>
       </Box>
 
@@ -172,13 +186,25 @@ const VenueFloorplanEditor = () => {
         </Alert>
       )}
 
+      {notice && (
+        <Alert severity="info" sx={{ m: 2 }} onClose={() => setNotice('')}>
+          {notice}
+        </Alert>
+      )}
+
       <Box className="venue-floorplan-editor-content">
-        <BlueprintEditor
-          onExport={handleExport}
-          onFloorplanChange={handleFloorplanChange}
-          initialFloorplan={initialFloorplan}
-          textureDir="/rooms/textures"
-        />
+        {loadingFloorplan ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          // The editor reads initialFloorplan once, so it mounts after the saved floorplan has loaded
+          <BlueprintEditor
+            onExport={handleExport}
+            initialFloorplan={initialFloorplan}
+            textureDir="/rooms/textures"
+          />
+        )}
       </Box>
 
       {/* Confirmation Dialog */}
@@ -191,13 +217,13 @@ const VenueFloorplanEditor = () => {
         <DialogTitle>Save Venue Model?</DialogTitle>
         <DialogContent>
           <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-            This will {listingId ? 'update' : 'create'} the 3D venue model from your floorplan.
-            {listingId ? ' The existing model will be replaced.' : ''}
+            This will {designElementId ? 'update' : 'create'} the 3D venue model from your floorplan.
+            {designElementId ? ' The existing model will be replaced.' : ''}
           </Typography>
           {exportData && (
             <Box sx={{ mt: 2 }}>
               <Typography variant="caption" color="text.secondary">
-                Floorplan: {Object.keys(exportData.floorplan?.corners || {}).length} corners,{' '}
+                Floorplan: {exportData.floorplan?.points?.length || 0} points,{' '}
                 {exportData.floorplan?.walls?.length || 0} walls
               </Typography>
             </Box>
@@ -0,0 +1,527 @@
+import jsPDF from 'jspdf';
+import { getFootprintShape } from '../pages/VenueDesigner/placementGeometry';
+import {
+  formatDistance,
+  formatMeasurement,
+  measureDistance,
+  resolveAnchor,
+  resolveAnnotations,
+} from '../components/DesignAnnotations/annotationGeometry';
+
+// Paper sizes in millimetres (portrait)
+export const PAPER_SIZES = {
+  A4: { label: 'A4', width: 210, height: 297 },
+  A3: { label: 'A3', width: 297, height: 420 },
+  A2: { label: 'A2', width: 420, height: 594 },
+  A1: { label: 'A1', width: 594, height: 841 },
+  letter: { label: 'US Letter', width: 215.9, height: 279.4 },
+  tabloid: { label: 'US Tabloid', width: 279.4, height: 431.8 },
+};
+
+// Scales the plan can be printed at (1:n); 'fit' fills the page
+export const PLAN_SCALES = ['fit', 50, 100, 200, 500];
+
+const MARGIN = 12;
+const HEADER_HEIGHT = 16;
+const FOOTER_HEIGHT = 14;
+const PT_TO_MM = 25.4 / 72;
+// Space kept around the layout when it is fitted to the page (metres)
+const FIT_PADDING = 1;
+export const SCALE_BAR_LENGTHS = [0.5, 1, 2, 5, 10, 20, 50, 100];
+const INK = '#392e2a';
+const PINK = '#e16789';
+const MUTED = '#8b8681';
+
+const toRadians = (degrees) => ((Number(degrees) || 0) * Math.PI) / 180;
+
+// Rough Helvetica width, good enough to shorten and wrap labels the same way in SVG and PDF
+const textWidth = (text, size) => text.length * size * PT_TO_MM * 0.52;
+
+const fitText = (text, size, maxWidth) => {
+  if (textWidth(text, size) <= maxWidth) return text;
+  const chars = Math.floor(maxWidth / (size * PT_TO_MM * 0.52)) - 3;
+  return chars > 1 ? `${text.slice(0, chars)}...` : '';
+};
+
+const wrapText = (text, size, maxWidth, maxLines) => {
+  const lines = [];
+  text.split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).forEach((word) => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && textWidth(next, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    });
+    lines.push(line);
+  });
+  if (lines.length <= maxLines) return lines.map((line) => fitText(line, size, maxWidth));
+  return [...lines.slice(0, maxLines - 1), `${fitText(lines[maxLines - 1], size, maxWidth - 4)}...`];
+};
+
+/**
+ * Everything drawn on the 2D plan, in venue metres (x to the right, z down the page)
+ * @param {Object} params
+ * @param {Array} params.placements - Placed elements
+ * @param {Array} [params.tables] - Seating plan tables ({ id, tableNumber })
+ * @param {Object} [params.annotations] - layoutData.annotations
+ * @param {Object} [params.venueBounds] - { minX, maxX, minZ, maxZ } of the venue model
+ * @returns {{ items: Array, dimensions: Array, notes: Array, extents: Object }}
+ */
+export const buildFloorPlan = ({ placements = [], tables = [], annotations = null, venueBounds = null }) => {
+  const placementById = new Map(placements.map((placement) => [placement.id, placement]));
+  const tableNumberById = new Map(tables.map((table) => [table.id, table.tableNumber]));
+
+  // Stacked items (centrepieces etc.) sit on top of another element and only clutter the plan
+  const items = placements
+    .filter((placement) => !placement.parentElementId)
+    .map((placement) => {
+      const { halfWidth, halfDepth, radius } = getFootprintShape(placement);
+      const center = { x: placement.position?.x || 0, z: placement.position?.z || 0 };
+      const angle = toRadians(placement.rotation);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const corners = [
+        [-halfWidth, -halfDepth],
+        [halfWidth, -halfDepth],
+        [halfWidth, halfDepth],
+        [-halfWidth, halfDepth],
+      ].map(([x, z]) => ({ x: center.x + x * cos + z * sin, z: center.z - x * sin + z * cos }));
+      return {
+        id: placement.id,
+        name: placement.designElement?.name || 'Item',
+        center,
+        radius,
+        corners,
+        width: Math.min(halfWidth, halfDepth) * 2,
+        tableNumber: tableNumberById.get(placement.id) ?? null,
+      };
+    });
+
+  const resolved = resolveAnnotations(annotations);
+  const dimensions = resolved.dimensions.map((dimension) => {
+    const start = resolveAnchor(dimension.start, placementById);
+    const end = resolveAnchor(dimension.end, placementById);
+    const text = formatMeasurement(measureDistance(start, end));
+    return { id: dimension.id, start, end, text, label: dimension.label };
+  });
+  const notes = resolved.notes
+    .filter((note) => note.text)
+    .map((note) => ({
+      id: note.id,
+      position: resolveAnchor(note.anchor, placementById),
+      text: note.text,
+      color: note.color,
+    }));
+
+  const points = [
+    ...items.flatMap((item) => item.corners),
+    ...dimensions.flatMap((dimension) => [dimension.start, dimension.end]),
+    ...notes.map((note) => note.position),
+  ];
+  if (venueBounds) {
+    points.push({ x: venueBounds.minX, z: venueBounds.minZ }, { x: venueBounds.maxX, z: venueBounds.maxZ });
+  }
+
+  const extents =
+    points.length > 0
+      ? {
+          minX: Math.min(...points.map((point) => point.x)),
+          maxX: Math.max(...points.map((point) => point.x)),
+          minZ: Math.min(...points.map((point) => point.z)),
+          maxZ: Math.max(...points.map((point) => point.z)),
+        }
+      : { minX: -5, maxX: 5, minZ: -5, maxZ: 5 };
+
+  return { items, dimensions, notes, extents };
+};
+
+/**
+ * Where the plan goes on the page
+ * @param {Object} plan - From buildFloorPlan
+ * @param {Object} options
+ * @param {String} options.paper - Key of PAPER_SIZES
+ * @param {'landscape'|'portrait'} options.orientation
+ * @param {'fit'|Number} options.scale - Entry of PLAN_SCALES
+ * @returns {Object} Page size and drawing area (mm), mmPerMetre, scaleDenominator, whether the layout
+ * fits at that scale, and world: the venue area (metres) the drawing area shows
+ */
+export const layoutFloorPlan = (plan, { paper = 'A3', orientation = 'landscape', scale = 'fit' } = {}) => {
+  const size = PAPER_SIZES[paper] || PAPER_SIZES.A3;
+  const landscape = orientation === 'landscape';
+  const pageWidth = landscape ? size.height : size.width;
+  const pageHeight = landscape ? size.width : size.height;
+  const area = {
+    x: MARGIN,
+    y: MARGIN + HEADER_HEIGHT,
+    width: pageWidth - MARGIN * 2,
+    height: pageHeight - MARGIN * 2 - HEADER_HEIGHT - FOOTER_HEIGHT,
+  };
+
+  const { extents } = plan;
+  const spanX = extents.maxX - extents.minX;
+  const spanZ = extents.maxZ - extents.minZ;
+  const mmPerMetre =
+    scale === 'fit'
+      ? Math.min(area.width / (spanX + FIT_PADDING * 2), area.height / (spanZ + FIT_PADDING * 2))
+      : 1000 / scale;
+
+  const centerX = (extents.minX + extents.maxX) / 2;
+  const centerZ = (extents.minZ + extents.maxZ) / 2;
+  const halfWidth = area.width / 2 / mmPerMetre;
+  const halfHeight = area.height / 2 / mmPerMetre;
+
+  return {
+    paperLabel: size.label,
+    pageWidth,
+    pageHeight,
+    orientation: landscape ? 'landscape' : 'portrait',
+    area,
+    mmPerMetre,
+    scaleDenominator: Math.round(1000 / mmPerMetre),
+    fits: spanX * mmPerMetre <= area.width + 0.01 && spanZ * mmPerMetre <= area.height + 0.01,
+    world: {
+      minX: centerX - halfWidth,
+      maxX: centerX + halfWidth,
+      minZ: centerZ - halfHeight,
+      maxZ: centerZ + halfHeight,
+    },
+  };
+};
+
+const rectangle = (x, y, width, height) => [
+  { x, y },
+  { x: x + width, y },
+  { x: x + width, y: y + height },
+  { x, y: y + height },
+];
+
+const itemStyle = (item, highlightIds) => {
+  if (highlightIds) {
+    return highlightIds.has(item.id)
+      ? { fill: '#fbd5e0', stroke: PINK, lineWidth: 0.4 }
+      : { fill: '#f9fafb', stroke: '#d1d5db', lineWidth: 0.15 };
+  }
+  return item.tableNumber
+    ? { fill: '#fdf2f5', stroke: PINK, lineWidth: 0.3 }
+    : { fill: '#f3f4f6', stroke: '#6b7280', lineWidth: 0.2 };
+};
+
+// Drawing operations for the plan itself, clipped to the drawing area (page millimetres)
+const drawPlanArea = (
+  plan,
+  { area, mmPerMetre, world },
+  { background, showLabels, showAnnotations, highlightIds = null, markers = [] }
+) => {
+  const toPage = (point) => ({
+    x: area.x + (point.x - world.minX) * mmPerMetre,
+    y: area.y + (point.z - world.minZ) * mmPerMetre,
+  });
+  const ops = [{ type: 'clipStart', ...area }];
+  const addText = (x, y, text, size, style = {}) =>
+    ops.push({ type: 'text', x, y, text, size, bold: false, color: INK, align: 'left', ...style });
+  const addLine = (from, to, stroke, lineWidth) =>
+    ops.push({ type: 'line', x1: from.x, y1: from.y, x2: to.x, y2: to.y, stroke, lineWidth });
+
+  if (background) {
+    ops.push({ type: 'image', ...area, dataUrl: background });
+  }
+
+  plan.items.forEach((item) => {
+    const style = itemStyle(item, highlightIds);
+    if (item.radius) {
+      ops.push({ type: 'circle', ...toPage(item.center), r: item.radius * mmPerMetre, ...style });
+    } else {
+      ops.push({ type: 'polygon', points: item.corners.map(toPage), ...style });
+    }
+  });
+
+  if (showLabels) {
+    plan.items.forEach((item) => {
+      const center = toPage(item.center);
+      const width = item.width * mmPerMetre;
+      if (item.tableNumber) {
+        addText(center.x, center.y + 1, String(item.tableNumber), 9, { bold: true, align: 'center' });
+      }
+      // Names only where they fit, so rows of chairs don't bury the plan in text
+      if (width >= 8) {
+        const name = fitText(item.name, 5.5, width - 1);
+        if (name) {
+          addText(center.x, center.y + (item.tableNumber ? 3.6 : 0.7), name, 5.5, { color: MUTED, align: 'center' });
+        }
+      }
+    });
+  }
+
+  if (showAnnotations) {
+    plan.dimensions.forEach((dimension) => {
+      const start = toPage(dimension.start);
+      const end = toPage(dimension.end);
+      const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+      const normal = { x: -(end.y - start.y) / length, y: (end.x - start.x) / length };
+      addLine(start, end, PINK, 0.35);
+      // End ticks across the line
+      [start, end].forEach((point) => {
+        addLine(
+          { x: point.x - normal.x * 1.2, y: point.y - normal.y * 1.2 },
+          { x: point.x + normal.x * 1.2, y: point.y + normal.y * 1.2 },
+          PINK,
+          0.35
+        );
+      });
+      const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+      addText(middle.x, middle.y - 1.2, dimension.text, 7, { bold: true, color: PINK, align: 'center' });
+      if (dimension.label) {
+        addText(middle.x, middle.y + 2.8, dimension.label, 6, { align: 'center' });
+      }
+    });
+
+    plan.notes.forEach((note) => {
+      const pin = toPage(note.position);
+      const lines = wrapText(note.text, 6, 36, 5);
+      const lineHeight = 6 * PT_TO_MM * 1.3;
+      const boxWidth = Math.min(40, Math.max(...lines.map((line) => textWidth(line, 6))) + 4);
+      const boxHeight = lines.length * lineHeight + 2.5;
+      const box = { x: pin.x + 2, y: pin.y - boxHeight - 2 };
+      addLine(pin, { x: box.x, y: box.y + boxHeight }, INK, 0.2);
+      ops.push({ type: 'circle', x: pin.x, y: pin.y, r: 0.7, fill: INK, stroke: INK, lineWidth: 0.1 });
+      ops.push({
+        type: 'polygon',
+        points: rectangle(box.x, box.y, boxWidth, boxHeight),
+        fill: note.color,
+        stroke: '#b7a99f',
+        lineWidth: 0.15,
+      });
+      lines.forEach((line, index) => addText(box.x + 2, box.y + 1.2 + lineHeight * (index + 0.8), line, 6));
+    });
+  }
+
+  markers.forEach((marker) => {
+    const pin = toPage(marker);
+    ops.push({ type: 'circle', x: pin.x, y: pin.y, r: 2.2, fill: PINK, stroke: '#ffffff', lineWidth: 0.3 });
+    addText(pin.x, pin.y + 0.9, marker.text, 6, { bold: true, color: '#ffffff', align: 'center' });
+  });
+
+  ops.push({ type: 'clipEnd' });
+  return ops;
+};
+
+// Drawing operations for a whole plan page, shared by the SVG and PDF writers
+const drawFloorPlan = (plan, layout, { title, subtitle, background, showLabels, showAnnotations }) => {
+  const { area, mmPerMetre, pageWidth, pageHeight } = layout;
+  const ops = drawPlanArea(plan, layout, { background, showLabels, showAnnotations });
+  const addText = (x, y, text, size, style = {}) =>
+    ops.push({ type: 'text', x, y, text, size, bold: false, color: INK, align: 'left', ...style });
+  const addLine = (from, to, stroke, lineWidth) =>
+    ops.push({ type: 'line', x1: from.x, y1: from.y, x2: to.x, y2: to.y, stroke, lineWidth });
+
+  // Frame, header and footer
+  const frame = rectangle(area.x, area.y, area.width, area.height);
+  ops.push({ type: 'polygon', points: frame, stroke: '#d1d5db', lineWidth: 0.3 });
+  addText(MARGIN, MARGIN + 6, title, 14, { bold: true });
+  if (subtitle) {
+    addText(MARGIN, MARGIN + 11.5, subtitle, 8, { color: MUTED });
+  }
+  const right = pageWidth - MARGIN;
+  const scaleText = `Scale 1:${layout.scaleDenominator} on ${layout.paperLabel}`;
+  addText(right, MARGIN + 6, scaleText, 9, { bold: true, align: 'right' });
+  addText(right, MARGIN + 11.5, 'Plan seen from above. Distances in metres.', 7, { color: MUTED, align: 'right' });
+  addLine({ x: MARGIN, y: MARGIN + 13.5 }, { x: right, y: MARGIN + 13.5 }, PINK, 0.5);
+
+  // Scale bar: the longest round length that stays under 70 mm, in four blocks
+  const barMetres =
+    [...SCALE_BAR_LENGTHS].reverse().find((metres) => metres * mmPerMetre <= 70) || SCALE_BAR_LENGTHS[0];
+  const barLength = barMetres * mmPerMetre;
+  const barY = pageHeight - MARGIN - 6;
+  for (let index = 0; index < 4; index += 1) {
+    ops.push({
+      type: 'polygon',
+      points: rectangle(MARGIN + (barLength / 4) * index, barY, barLength / 4, 1.6),
+      fill: index % 2 === 0 ? INK : '#ffffff',
+      stroke: INK,
+      lineWidth: 0.2,
+    });
+  }
+  addText(MARGIN, barY + 4.8, '0', 6.5, { align: 'center' });
+  addText(MARGIN + barLength, barY + 4.8, formatDistance(barMetres), 6.5, { align: 'center' });
+  const exportedOn = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  addText(right, barY + 4.8, `Exported ${exportedOn}`, 6.5, { color: MUTED, align: 'right' });
+
+  return ops;
+};
+
+const escapeXml = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const SVG_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toSvg = (ops, layout) => {
+  const body = ops.map((op) => {
+    const stroke = op.stroke ? `stroke="${op.stroke}" stroke-width="${op.lineWidth}"` : 'stroke="none"';
+    const fill = `fill="${op.fill || 'none'}"`;
+    const box = `x="${round(op.x)}" y="${round(op.y)}" width="${round(op.width)}" height="${round(op.height)}"`;
+    switch (op.type) {
+      case 'clipStart':
+        return `<clipPath id="plan-area"><rect ${box}/></clipPath><g clip-path="url(#plan-area)">`;
+      case 'clipEnd':
+        return '</g>';
+      case 'image':
+        return `<image ${box} preserveAspectRatio="none" href="${op.dataUrl}"/>`;
+      case 'polygon': {
+        const points = op.points.map((point) => `${round(point.x)},${round(point.y)}`).join(' ');
+        return `<polygon points="${points}" ${fill} ${stroke}/>`;
+      }
+      case 'circle':
+        return `<circle cx="${round(op.x)}" cy="${round(op.y)}" r="${round(op.r)}" ${fill} ${stroke}/>`;
+      case 'line':
+        return `<line x1="${round(op.x1)}" y1="${round(op.y1)}" x2="${round(op.x2)}" y2="${round(op.y2)}" ${stroke}/>`;
+      case 'text': {
+        const font = `font-size="${round(op.size * PT_TO_MM)}" font-weight="${op.bold ? 'bold' : 'normal'}"`;
+        const position = `x="${round(op.x)}" y="${round(op.y)}" text-anchor="${SVG_ANCHORS[op.align]}"`;
+        return `<text ${position} ${font} fill="${op.color}">${escapeXml(op.text)}</text>`;
+      }
+      default:
+        return '';
+    }
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.pageWidth}mm" height="${layout.pageHeight}mm"` +
+      ` viewBox="0 0 ${layout.pageWidth} ${layout.pageHeight}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${layout.pageWidth}" height="${layout.pageHeight}" fill="#ffffff"/>`,
+    ...body,
+    '</svg>',
+  ].join('\n');
+};
+
+const renderPdfOps = (pdf, ops) => {
+  const pathStyle = (op) => {
+    if (op.fill && op.stroke) return 'FD';
+    return op.fill ? 'F' : 'S';
+  };
+  const setColors = (op) => {
+    if (op.fill) pdf.setFillColor(op.fill);
+    if (op.stroke) {
+      pdf.setDrawColor(op.stroke);
+      pdf.setLineWidth(op.lineWidth);
+    }
+  };
+
+  ops.forEach((op) => {
+    switch (op.type) {
+      case 'clipStart':
+        pdf.saveGraphicsState();
+        pdf.rect(op.x, op.y, op.width, op.height, null);
+        pdf.clip();
+        pdf.discardPath();
+        break;
+      case 'clipEnd':
+        pdf.restoreGraphicsState();
+        break;
+      case 'image':
+        pdf.addImage(op.dataUrl, 'PNG', op.x, op.y, op.width, op.height);
+        break;
+      case 'polygon': {
+        setColors(op);
+        const deltas = op.points.slice(1).map((point, i) => [point.x - op.points[i].x, point.y - op.points[i].y]);
+        pdf.lines(deltas, op.points[0].x, op.points[0].y, [1, 1], pathStyle(op), true);
+        break;
+      }
+      case 'circle':
+        setColors(op);
+        pdf.circle(op.x, op.y, op.r, pathStyle(op));
+        break;
+      case 'line':
+        setColors(op);
+        pdf.line(op.x1, op.y1, op.x2, op.y2);
+        break;
+      case 'text':
+        pdf.setFont('helvetica', op.bold ? 'bold' : 'normal');
+        pdf.setFontSize(op.size);
+        pdf.setTextColor(op.color);
+        pdf.text(op.text, op.x, op.y, { align: op.align });
+        break;
+      default:
+        break;
+    }
+  });
+};
+
+const toPdf = (ops, layout) => {
+  const pdf = new jsPDF({ orientation: layout.orientation, unit: 'mm', format: [layout.pageWidth, layout.pageHeight] });
+  renderPdfOps(pdf, ops);
+  return pdf;
+};
+
+/**
+ * Draw part of a plan into a box of an existing PDF page, e.g. the area around one vendor's items
+ * @param {jsPDF} pdf - Document in millimetres
+ * @param {Object} plan - From buildFloorPlan
+ * @param {Object} box - { x, y, width, height } on the page (mm)
+ * @param {Object} options
+ * @param {Object} options.focus - Venue area ({ minX, maxX, minZ, maxZ }, metres) to fit into the box
+ * @param {Set} [options.highlightIds] - Items to pick out; every other item is greyed
+ * @param {Array} [options.markers] - Numbered pins ({ x, z, text }) drawn on top
+ * @returns {Number} Scale denominator (1:n) the section was drawn at
+ */
+export const drawFloorPlanSection = (pdf, plan, box, { focus, highlightIds = null, markers = [] }) => {
+  const spanX = Math.max(focus.maxX - focus.minX, 1) + FIT_PADDING * 2;
+  const spanZ = Math.max(focus.maxZ - focus.minZ, 1) + FIT_PADDING * 2;
+  const mmPerMetre = Math.min(box.width / spanX, box.height / spanZ);
+  const centerX = (focus.minX + focus.maxX) / 2;
+  const centerZ = (focus.minZ + focus.maxZ) / 2;
+  const world = {
+    minX: centerX - box.width / 2 / mmPerMetre,
+    maxX: centerX + box.width / 2 / mmPerMetre,
+    minZ: centerZ - box.height / 2 / mmPerMetre,
+    maxZ: centerZ + box.height / 2 / mmPerMetre,
+  };
+
+  const ops = drawPlanArea(
+    plan,
+    { area: box, mmPerMetre, world },
+    { showLabels: true, showAnnotations: false, highlightIds, markers }
+  );
+  ops.push({ type: 'polygon', points: rectangle(box.x, box.y, box.width, box.height), stroke: '#d1d5db', lineWidth: 0.3 });
+  renderPdfOps(pdf, ops);
+  return Math.round(1000 / mmPerMetre);
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Download the plan as a PDF or SVG page
+ * @param {Object} plan - From buildFloorPlan
+ * @param {Object} layout - From layoutFloorPlan
+ * @param {Object} options
+ * @param {'pdf'|'svg'} options.format
+ * @param {String} options.title - Page heading
+ * @param {String} [options.subtitle] - Project, date and venue
+ * @param {String} [options.background] - PNG data URL of the venue seen from above, covering layout.world
+ * @param {Boolean} [options.showLabels] - Item names and table numbers
+ * @param {Boolean} [options.showAnnotations] - Dimension lines and notes
+ * @param {String} options.fileName - Without extension
+ */
+export const exportFloorPlan = (plan, layout, { format, fileName, ...options }) => {
+  const ops = drawFloorPlan(plan, layout, options);
+  if (format === 'svg') {
+    downloadBlob(new Blob([toSvg(ops, layout)], { type: 'image/svg+xml' }), `${fileName}.svg`);
+  } else {
+    toPdf(ops, layout).save(`${fileName}.pdf`);
+  }
+};
@@ -0,0 +1,253 @@
+import jsPDF from 'jspdf';
+
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 15;
+const PINK = '#e16789';
+const DEFAULT_FOOTPRINT = 0.8; // metres, for elements without dimensions
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+    : '';
+
+/**
+ * Top-down footprint corners of a placement in venue coordinates (x right, z down the page)
+ */
+const getFootprintCorners = (placement) => {
+  const dims = placement.designElement?.dimensions || {};
+  const halfW = (Number(dims.width) || DEFAULT_FOOTPRINT) / 2;
+  const halfD = (Number(dims.depth) || DEFAULT_FOOTPRINT) / 2;
+  const angle = placement.rotation || 0;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const cx = placement.position?.x || 0;
+  const cz = placement.position?.z || 0;
+
+  return [
+    [-halfW, -halfD],
+    [halfW, -halfD],
+    [halfW, halfD],
+    [-halfW, halfD],
+  ].map(([x, z]) => ({
+    x: cx + x * cos + z * sin,
+    z: cz - x * sin + z * cos,
+  }));
+};
+
+const drawHeader = (pdf, title, project) => {
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.setTextColor(15, 6, 13);
+  pdf.text(title, MARGIN, MARGIN + 5);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.setTextColor(102, 102, 102);
+  const subtitle = [project?.projectName, formatDate(project?.weddingDate), project?.venueName]
+    .filter(Boolean)
+    .join('  ·  ');
+  if (subtitle) {
+    pdf.text(subtitle, MARGIN, MARGIN + 11);
+  }
+  pdf.setDrawColor(PINK);
+  pdf.setLineWidth(0.5);
+  pdf.line(MARGIN, MARGIN + 14, PAGE_WIDTH - MARGIN, MARGIN + 14);
+  return MARGIN + 22;
+};
+
+/**
+ * Page 1: top-down floor plan with every placed element, tables highlighted and numbered
+ */
+const drawFloorPlan = (pdf, seatingPlan, placements) => {
+  const top = drawHeader(pdf, 'Seating Chart', seatingPlan.project);
+  const tableById = new Map(seatingPlan.tables.map((table) => [table.id, table]));
+  // Stacked items (centrepieces etc.) sit on top of another element and only clutter the plan
+  const footprints = placements
+    .filter((placement) => !placement.parentElementId)
+    .map((placement) => ({
+      placement,
+      table: tableById.get(placement.id) || null,
+      corners: getFootprintCorners(placement),
+    }));
+
+  if (footprints.length === 0) {
+    pdf.setFontSize(11);
+    pdf.text('No elements have been placed in the venue design yet.', MARGIN, top + 10);
+    return;
+  }
+
+  const allCorners = footprints.flatMap((f) => f.corners);
+  const minX = Math.min(...allCorners.map((c) => c.x));
+  const maxX = Math.max(...allCorners.map((c) => c.x));
+  const minZ = Math.min(...allCorners.map((c) => c.z));
+  const maxZ = Math.max(...allCorners.map((c) => c.z));
+
+  const areaWidth = PAGE_WIDTH - MARGIN * 2;
+  const areaHeight = PAGE_HEIGHT - top - MARGIN - 12;
+  const scale = Math.min(areaWidth / Math.max(maxX - minX, 1), areaHeight / Math.max(maxZ - minZ, 1));
+  const offsetX = MARGIN + (areaWidth - (maxX - minX) * scale) / 2;
+  const offsetY = top + (areaHeight - (maxZ - minZ) * scale) / 2;
+  const toPage = (point) => ({ x: offsetX + (point.x - minX) * scale, y: offsetY + (point.z - minZ) * scale });
+
+  pdf.setLineWidth(0.2);
+  footprints.forEach(({ corners, table }) => {
+    const pageCorners = corners.map(toPage);
+    const deltas = pageCorners.slice(1).map((corner, i) => [
+      corner.x - pageCorners[i].x,
+      corner.y - pageCorners[i].y,
+    ]);
+    if (table) {
+      pdf.setDrawColor(table.isOverCapacity ? '#c62828' : PINK);
+      pdf.setFillColor('#fdf2f5');
+    } else {
+      pdf.setDrawColor('#9ca3af');
+      pdf.setFillColor('#f3f4f6');
+    }
+    pdf.lines(deltas, pageCorners[0].x, pageCorners[0].y, [1, 1], 'FD', true);
+  });
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(9);
+  pdf.setTextColor(15, 6, 13);
+  footprints
+    .filter((f) => f.table)
+    .forEach(({ placement, table }) => {
+      const center = toPage({ x: placement.position?.x || 0, z: placement.position?.z || 0 });
+      pdf.text(String(table.tableNumber), center.x, center.y + 1.2, { align: 'center' });
+    });
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(102, 102, 102);
+  pdf.text(
+    `${seatingPlan.tables.length} tables · ${seatingPlan.guests.filter((g) => g.tableId).length} guests seated`,
+    MARGIN,
+    PAGE_HEIGHT - MARGIN
+  );
+};
+
+/**
+ * Alphabetical guest -> table index, two columns per page
+ */
+const drawGuestIndex = (pdf, seatingPlan) => {
+  const tableNumberById = new Map(seatingPlan.tables.map((table) => [table.id, table.tableNumber]));
+  const rows = seatingPlan.guests
+    .filter((guest) => guest.tableId && tableNumberById.has(guest.tableId))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((guest) => ({
+      name: guest.seatsNeeded > 1 ? `${guest.name} (+${guest.seatsNeeded - 1})` : guest.name,
+      table: tableNumberById.get(guest.tableId),
+    }));
+
+  pdf.addPage();
+  let top = drawHeader(pdf, 'Guest Index', seatingPlan.project);
+  const columnWidth = (PAGE_WIDTH - MARGIN * 2 - 10) / 2;
+  const rowHeight = 6.5;
+  const rowsPerColumn = Math.floor((PAGE_HEIGHT - top - MARGIN) / rowHeight);
+  let column = 0;
+  let row = 0;
+
+  pdf.setFontSize(10);
+  if (rows.length === 0) {
+    pdf.setTextColor(102, 102, 102);
+    pdf.text('No guests have been seated yet.', MARGIN, top);
+    return;
+  }
+
+  rows.forEach((entry) => {
+    if (row >= rowsPerColumn) {
+      row = 0;
+      column += 1;
+      if (column > 1) {
+        pdf.addPage();
+        top = drawHeader(pdf, 'Guest Index (continued)', seatingPlan.project);
+        column = 0;
+      }
+    }
+    const x = MARGIN + column * (columnWidth + 10);
+    const y = top + row * rowHeight;
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(15, 6, 13);
+    pdf.text(pdf.splitTextToSize(entry.name, columnWidth - 20)[0], x, y);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(PINK);
+    pdf.text(`Table ${entry.table}`, x + columnWidth, y, { align: 'right' });
+    pdf.setDrawColor('#eeeeee');
+    pdf.setLineWidth(0.1);
+    pdf.line(x, y + 2, x + columnWidth, y + 2);
+    row += 1;
+  });
+};
+
+/**
+ * Place cards grouped by table: one card per seat, plus-ones get a "Guest of" card
+ */
+const drawPlaceCards = (pdf, seatingPlan) => {
+  const guestsById = new Map(seatingPlan.guests.map((guest) => [guest.id, guest]));
+  const cards = seatingPlan.tables.flatMap((table) =>
+    table.guestIds
+      .map((guestId) => guestsById.get(guestId))
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap((guest) => [
+        { name: guest.name, tableNumber: table.tableNumber },
+        ...Array.from({ length: Math.max(guest.seatsNeeded - 1, 0) }, () => ({
+          name: `Guest of ${guest.name}`,
+          tableNumber: table.tableNumber,
+        })),
+      ])
+  );
+
+  if (cards.length === 0) return;
+
+  const columns = 2;
+  const rowsPerPage = 5;
+  const cardWidth = (PAGE_WIDTH - MARGIN * 2) / columns;
+  const cardHeight = (PAGE_HEIGHT - MARGIN * 2) / rowsPerPage;
+
+  cards.forEach((card, index) => {
+    const slot = index % (columns * rowsPerPage);
+    if (slot === 0) {
+      pdf.addPage();
+    }
+    const x = MARGIN + (slot % columns) * cardWidth;
+    const y = MARGIN + Math.floor(slot / columns) * cardHeight;
+
+    // Dashed cut lines
+    pdf.setDrawColor('#cccccc');
+    pdf.setLineWidth(0.2);
+    pdf.setLineDashPattern([2, 2], 0);
+    pdf.rect(x, y, cardWidth, cardHeight, 'S');
+    pdf.setLineDashPattern([], 0);
+
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(card.name.length > 28 ? 13 : 16);
+    pdf.setTextColor(15, 6, 13);
+    const nameLines = pdf.splitTextToSize(card.name, cardWidth - 12).slice(0, 2);
+    pdf.text(nameLines, x + cardWidth / 2, y + cardHeight / 2 - (nameLines.length - 1) * 3, { align: 'center' });
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(11);
+    pdf.setTextColor(PINK);
+    pdf.text(`Table ${card.tableNumber}`, x + cardWidth / 2, y + cardHeight - 10, { align: 'center' });
+  });
+};
+
+/**
+ * Build and download the seating chart PDF: floor plan, alphabetical guest index and place cards
+ * @param {Object} seatingPlan - Response of GET /projects/:projectId/guests/seating
+ * @param {Array} placements - Current venue design placements (for the floor plan)
+ */
+export function exportSeatingChartPdf(seatingPlan, placements = []) {
+  const pdf = new jsPDF('p', 'mm', 'a4');
+
+  drawFloorPlan(pdf, seatingPlan, placements);
+  drawGuestIndex(pdf, seatingPlan);
+  drawPlaceCards(pdf, seatingPlan);
+
+  const slug = (seatingPlan.project?.projectName || 'wedding')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+  pdf.save(`seating-chart-${slug}.pdf`);
+}
@@ -0,0 +1,225 @@
+import jsPDF from 'jspdf';
+import { buildFloorPlan, drawFloorPlanSection } from './floorPlanExport';
+
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 15;
+const PINK = '#e16789';
+const PLAN_HEIGHT = 105;
+const ROW_HEIGHT = 6.5;
+
+// Item list columns: x offset from the margin, width (mm)
+const COLUMNS = [
+  { key: 'ref', label: '#', x: 0, width: 8 },
+  { key: 'name', label: 'Item', x: 8, width: 52 },
+  { key: 'service', label: 'Service', x: 60, width: 44 },
+  { key: 'x', label: 'X (m)', x: 104, width: 14, align: 'right' },
+  { key: 'z', label: 'Z (m)', x: 118, width: 14, align: 'right' },
+  { key: 'rotation', label: 'Rotation', x: 132, width: 16, align: 'right' },
+  { key: 'where', label: 'Stands on', x: 152, width: 28 },
+];
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+    : '';
+
+const formatTime = (date) =>
+  date ? new Date(date).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }) : '';
+
+const drawHeader = (pdf, title, project) => {
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(18);
+  pdf.setTextColor(15, 6, 13);
+  pdf.text(title, MARGIN, MARGIN + 5);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(10);
+  pdf.setTextColor(102, 102, 102);
+  const eventTime = [formatTime(project?.eventStartTime), formatTime(project?.eventEndTime)].filter(Boolean).join(' - ');
+  const subtitle = [project?.projectName, formatDate(project?.weddingDate), eventTime, project?.venueName]
+    .filter(Boolean)
+    .join('  ·  ');
+  if (subtitle) {
+    pdf.text(subtitle, MARGIN, MARGIN + 11);
+  }
+  pdf.setDrawColor(PINK);
+  pdf.setLineWidth(0.5);
+  pdf.line(MARGIN, MARGIN + 14, PAGE_WIDTH - MARGIN, MARGIN + 14);
+  return MARGIN + 22;
+};
+
+const tableList = (tables) => tables.map((table) => table.tableNumber).join(', ');
+
+/**
+ * One line per booked service: quantity booked, items placed in the design and tables covered
+ */
+const drawSummary = (pdf, sheet, top) => {
+  let y = top;
+  sheet.services.forEach((service) => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(10);
+    pdf.setTextColor(15, 6, 13);
+    pdf.text(pdf.splitTextToSize(service.name, 110)[0], MARGIN, y);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(102, 102, 102);
+    const details = [`${service.quantity} booked`, `${service.items.length} placed in the design`];
+    if (service.tables.length > 0) {
+      details.push(`${service.tables.length} ${service.tables.length === 1 ? 'table' : 'tables'}`);
+    }
+    pdf.text(details.join(' · '), PAGE_WIDTH - MARGIN, y, { align: 'right' });
+    y += 5;
+    if (service.tables.length > 0) {
+      pdf.setFontSize(9);
+      pdf.setTextColor(PINK);
+      const lines = pdf.splitTextToSize(`Tables ${tableList(service.tables)}`, PAGE_WIDTH - MARGIN * 2);
+      pdf.text(lines, MARGIN, y);
+      y += lines.length * 4;
+    }
+    y += 2;
+  });
+  return y + 2;
+};
+
+/**
+ * The part of the floor plan around the vendor's items and tables, with numbered pins
+ */
+const drawPlan = (pdf, sheet, start) => {
+  let top = start;
+  if (top + PLAN_HEIGHT + 20 > PAGE_HEIGHT - MARGIN) {
+    pdf.addPage();
+    top = drawHeader(pdf, 'Setup Sheet (continued)', sheet.project);
+  }
+  const plan = buildFloorPlan({ placements: sheet.placements, tables: sheet.tables });
+  const placementById = new Map(sheet.placements.map((placement) => [placement.id, placement]));
+  const items = sheet.services.flatMap((service) => service.items);
+  const tableIds = sheet.services.flatMap((service) => service.tables.map((table) => table.id));
+
+  const focusPoints = [...items.map((item) => item.position), ...tableIds.map((id) => placementById.get(id)?.position)]
+    .filter(Boolean);
+  const focus =
+    focusPoints.length > 0
+      ? {
+          minX: Math.min(...focusPoints.map((point) => point.x)),
+          maxX: Math.max(...focusPoints.map((point) => point.x)),
+          minZ: Math.min(...focusPoints.map((point) => point.z)),
+          maxZ: Math.max(...focusPoints.map((point) => point.z)),
+        }
+      : plan.extents;
+
+  // Stacked items have no footprint of their own, so the table under them is picked out instead
+  const highlightIds = new Set([
+    ...items.map((item) => item.standsOn?.id || item.id),
+    ...tableIds,
+  ]);
+  const markers = items.map((item) => ({ x: item.position.x, z: item.position.z, text: String(item.ref) }));
+
+  const box = { x: MARGIN, y: top, width: PAGE_WIDTH - MARGIN * 2, height: PLAN_HEIGHT };
+  const scaleDenominator = drawFloorPlanSection(pdf, plan, box, { focus, highlightIds, markers });
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(102, 102, 102);
+  const caption = pdf.splitTextToSize(
+    `Plan seen from above at about 1:${scaleDenominator} on A4. Your items are pink and numbered as in the list. ` +
+      'X and Z are metres from the centre of the venue (X to the right, Z down the plan); ' +
+      'rotation is in degrees, counter-clockwise on the plan.',
+    PAGE_WIDTH - MARGIN * 2
+  );
+  pdf.text(caption, MARGIN, top + PLAN_HEIGHT + 5);
+  return top + PLAN_HEIGHT + 5 + caption.length * 3.5 + 6;
+};
+
+const drawColumnHeaders = (pdf, y) => {
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(8);
+  pdf.setTextColor(102, 102, 102);
+  COLUMNS.forEach((column) => {
+    const x = MARGIN + column.x + (column.align === 'right' ? column.width : 0);
+    pdf.text(column.label, x, y, { align: column.align || 'left' });
+  });
+  pdf.setDrawColor(PINK);
+  pdf.setLineWidth(0.3);
+  pdf.line(MARGIN, y + 2, PAGE_WIDTH - MARGIN, y + 2);
+  return y + ROW_HEIGHT;
+};
+
+/**
+ * Every item to set up, continuing onto further pages as needed
+ */
+const drawItems = (pdf, sheet, start) => {
+  const rows = sheet.services.flatMap((service) =>
+    service.items.map((item) => {
+      let where = '';
+      if (item.standsOn) {
+        where = item.standsOn.tableNumber ? `Table ${item.standsOn.tableNumber}` : item.standsOn.name;
+      }
+      return {
+        ref: String(item.ref),
+        name: item.tableNumber ? `${item.name} (Table ${item.tableNumber})` : item.name,
+        service: service.name,
+        x: item.position.x.toFixed(2),
+        z: item.position.z.toFixed(2),
+        rotation: `${item.rotation}°`,
+        where: where || 'Floor',
+      };
+    })
+  );
+
+  let top = start;
+  if (top + 25 > PAGE_HEIGHT - MARGIN) {
+    pdf.addPage();
+    top = drawHeader(pdf, 'Setup Sheet (continued)', sheet.project);
+  }
+  pdf.setFontSize(12);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setTextColor(15, 6, 13);
+  pdf.text('Items to set up', MARGIN, top);
+
+  if (rows.length === 0) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.setTextColor(102, 102, 102);
+    pdf.text('None of your services have been placed in the venue design yet.', MARGIN, top + 7);
+    return;
+  }
+
+  let y = drawColumnHeaders(pdf, top + 8);
+  rows.forEach((row) => {
+    if (y > PAGE_HEIGHT - MARGIN) {
+      pdf.addPage();
+      y = drawColumnHeaders(pdf, drawHeader(pdf, 'Setup Sheet (continued)', sheet.project));
+    }
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8.5);
+    COLUMNS.forEach((column) => {
+      const text = pdf.splitTextToSize(row[column.key], column.width - 1)[0] || '';
+      const x = MARGIN + column.x + (column.align === 'right' ? column.width : 0);
+      pdf.setTextColor(column.key === 'ref' ? PINK : '#0f060d');
+      pdf.text(text, x, y, { align: column.align || 'left' });
+    });
+    pdf.setDrawColor('#eeeeee');
+    pdf.setLineWidth(0.1);
+    pdf.line(MARGIN, y + 2, PAGE_WIDTH - MARGIN, y + 2);
+    y += ROW_HEIGHT;
+  });
+};
+
+/**
+ * Build and download a vendor's setup sheet PDF: booked services, the plan around their items and
+ * the item list with coordinates and rotations
+ * @param {Object} sheet - Response of GET /bookings/:id/setup-sheet
+ */
+export function exportSetupSheetPdf(sheet) {
+  const pdf = new jsPDF('p', 'mm', 'a4');
+
+  let top = drawHeader(pdf, 'Setup Sheet', sheet.project);
+  top = drawSummary(pdf, sheet, top);
+  top = drawPlan(pdf, sheet, top);
+  drawItems(pdf, sheet, top);
+
+  const slug = (sheet.project?.projectName || 'wedding')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+  pdf.save(`setup-sheet-${slug}.pdf`);
+}
@@ -0,0 +1,84 @@
+/**
+ * Uncompressed ZIP archive (store method) built in the browser, for bundling exported
+ * files into a single download. The files we bundle are already compressed images.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields used by ZIP headers
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{ name: String, data: Uint8Array }>} files - File names (may include folders) and contents
+ * @returns {Blob} application/zip
+ */
+export function createZipArchive(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const entries = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true); // Version needed to extract
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    entries.push(header, nameBytes, data);
+
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014b50, true);
+    record.setUint16(4, 20, true); // Version made by
+    record.setUint16(6, 20, true);
+    record.setUint16(12, time, true);
+    record.setUint16(14, date, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, data.length, true);
+    record.setUint32(24, data.length, true);
+    record.setUint16(28, nameBytes.length, true);
+    record.setUint32(42, offset, true);
+    directory.push(record, nameBytes);
+
+    offset += header.byteLength + nameBytes.length + data.length;
+  });
+
+  const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...entries, ...directory, end], { type: 'application/zip' });
+}